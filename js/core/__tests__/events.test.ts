@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { EVENT, checkEventPayload, isKnownEvent } from '../events'
+
+const SOURCE_ROOT = fileURLToPath(new URL('../..', import.meta.url))
+
+function listSources(dir: string): string[] {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) return entry.name === '__tests__' ? [] : listSources(path)
+    return entry.name.endsWith('.ts') ? [path] : []
+  })
+}
+
+describe('Event Schemas', () => {
+  it('should declare every event type published or subscribed in the source', () => {
+    const pattern = /\.(?:publish|fastPublish|subscribe|queue)\(\s*['"]([\w.]+)['"]/g
+    const undeclared = new Set<string>()
+
+    for (const file of listSources(SOURCE_ROOT)) {
+      for (const match of readFileSync(file, 'utf8').matchAll(pattern)) {
+        if (!isKnownEvent(match[1])) undeclared.add(match[1])
+      }
+    }
+
+    expect([...undeclared]).toEqual([])
+    expect(Object.values(EVENT).every(isKnownEvent)).toBe(true)
+  })
+
+  it('should check payloads against their schema', () => {
+    expect(checkEventPayload('player.damaged', { damage: 5, shieldDamage: 0, source: 'enemy', position: null })).toEqual([])
+    expect(checkEventPayload('player.damaged', { damage: '5', shieldDamage: 0, source: 'enemy' })).toEqual(['field damage must be number'])
+    expect(checkEventPayload('game.over', { source: 'physics' })).toEqual(['field reason must be string'])
+    expect(checkEventPayload('made.up', {})).toEqual(['event type is not declared in core/events.ts'])
+  })
+})
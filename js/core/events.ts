@@ -1,45 +1,235 @@
 // events.ts - typed events enum + optional dev validation
+//
+// Every message type published on a MessageBus is declared here twice: as a
+// TypeScript payload type (EventPayloads, checked at compile time by
+// MessageBus.publish/subscribe) and as a runtime schema (SCHEMA, checked in
+// debug mode). Add new events to EVENT, EventPayloads and SCHEMA together.
 
 import { DEBUG_MODE } from '../globals/debug.ts';
 
 export const EVENT = Object.freeze({
     GAME_OVER: 'game.over',
+    GAME_SAVED: 'game.saved',
+    GAME_LOADED: 'game.loaded',
+    INTRO_COMPLETED: 'intro.completed',
+    HORDE_ACTIVATED: 'horde.activated',
     PLAYER_CREATED: 'player.created',
+    PLAYER_DAMAGED: 'player.damaged',
+    PLAYER_HEALED: 'player.healed',
+    PLAYER_LEVELUP: 'player.levelup',
+    PLAYER_DOCKED: 'player.docked',
+    PLAYER_UNDOCKED: 'player.undocked',
+    PLAYER_REQUEST_UNDOCK: 'player.requestUndock',
+    PLAYER_SYNC_HEALTH: 'player.syncHealth',
     TRANSFORM_UPDATED: 'transform.updated',
     VFX_EXPLOSION: 'vfx.explosion',
+    EXPLOSION: 'explosion',
     MINING_START: 'player.mining.start',
     MINING_STOP: 'player.mining.stop',
+    MINING_EXTRACTED: 'player.mining.extracted',
+    SCAN_PULSE: 'player.scan.pulse',
+    ENEMY_DAMAGED: 'enemy.damaged',
     ENEMY_DESTROYED: 'enemy.destroyed',
+    ENTITY_DAMAGE: 'entity.damage',
+    ENTITY_DAMAGED: 'entity.damaged',
+    ENTITY_DESTROYED: 'entity.destroyed',
+    WEAPON_FIRE: 'weapon.fire',
     WEAPON_FIRED: 'weapon.fired',
     INPUT_VIBRATE: 'input.vibrate',
+    INPUT_LOCK_ON_TOGGLE: 'input.lockOnToggle',
+    INPUT_DEPLOY_LASER: 'input.deployLaser',
+    INPUT_PICKUP_INTERACT: 'input.pickupInteract',
+    INPUT_TURRET_ORDERS: 'input.turretOrders',
+    CREDITS_EARNED: 'player.credits.earned',
+    SYSTEM_ENTERED: 'system.entered',
+    UI_NOTIFICATION: 'ui.notification',
+    CONTRACT_ACCEPTED: 'contract.accepted',
+    CONTRACT_COMPLETED: 'contract.completed',
+    CONTRACT_FAILED: 'contract.failed',
+    ANOMALY_HUD_SCRAMBLED: 'anomaly.hudScrambled',
+    HAZARD_STARTED: 'hazard.started',
+    HAZARD_ENDED: 'hazard.ended',
+    ASTEROID_HIT: 'asteroid.hit',
+    BOSS_ENGAGED: 'boss.engaged',
+    BOSS_PHASE_CHANGED: 'boss.phaseChanged',
+    BOSS_SUBSYSTEM_DESTROYED: 'boss.subsystemDestroyed',
+    BOSS_DEFEATED: 'boss.defeated',
+    REPLAY_RECORDING_STARTED: 'replay.recordingStarted',
+    REPLAY_RECORDED: 'replay.recorded',
+    REPLAY_STARTED: 'replay.started',
+    REPLAY_FINISHED: 'replay.finished',
+    WORLD_INITIALIZED: 'world.initialized',
+    WORLD_PRE_UPDATE: 'world.preUpdate',
+    WORLD_POST_UPDATE: 'world.postUpdate',
 });
 
-const SCHEMA: Record<string, Record<string, string>> = {
-    [EVENT.GAME_OVER]: { reason: 'string' },
+type Position = { x: number; y: number; z: number };
+
+type HealthValues = { shield: number; maxShield: number; hull: number; maxHull: number };
+
+type Empty = Record<string, never>;
+
+/**
+ * Payload carried by each event type
+ */
+export interface EventPayloads {
+    'game.over': { reason: string; source?: string; type?: string; collisionType?: string };
+    'game.saved': { slotId: string; name: string; autosave: boolean };
+    'game.loaded': { name: string; savedAt: number };
+    'intro.completed': Empty;
+    'horde.activated': { startTime: number };
+    'player.created': { entity: object };
+    'player.damaged': { damage: number; shieldDamage: number; source: string; position?: Position | null };
+    'player.healed': { amount: number; position?: Position | null };
+    'player.levelup': { level?: number };
+    'player.docked': { playerPosition: Position | null; stargate?: unknown };
+    'player.undocked': HealthValues;
+    'player.requestUndock': { forced: boolean; reason: string };
+    'player.syncHealth': HealthValues;
+    'transform.updated': { entity: object };
+    'vfx.explosion': { position: Position; color?: number; size: number; duration: number };
+    'explosion': { position?: Position; size?: number };
+    'player.mining.start': { sourceEntity: object; targetEntity: object };
+    'player.mining.stop': { sourceEntity: object };
+    'player.mining.extracted': { resourceType: string; amount: number };
+    'player.scan.pulse': { asteroids: number; deposits: number; anomalies: number };
+    'enemy.damaged': { damage: number; position?: Position | null };
+    'enemy.destroyed': { entityId: string; enemyType: string };
+    'entity.damage': { entityId: string | number; damage: number; source: string; hitPoint?: Position | null; hitNormal?: Position | null };
+    'entity.damaged': { damage: number; damageType?: string; position?: Position | null };
+    'entity.destroyed': { entity?: any };
+    'weapon.fire': { type: string; weapon: string; direction: Position };
+    'weapon.fired': { entity: object };
+    'input.vibrate': { intensity: number; duration: number };
+    'input.lockOnToggle': Empty;
+    'input.deployLaser': Empty;
+    'input.pickupInteract': Empty;
+    'input.turretOrders': Empty;
+    'player.credits.earned': { amount: number; source: string };
+    'system.entered': { systemId: string };
+    'ui.notification': { message: string; type?: string; duration?: number };
+    'contract.accepted': { id: string; type: string };
+    'contract.completed': { id: string; type: string; reward: number };
+    'contract.failed': { id: string; type: string; reason?: string };
+    'anomaly.hudScrambled': { anomaly: string; duration: number };
+    'hazard.started': { hazard: string; severity: number };
+    'hazard.ended': { hazard: string };
+    'asteroid.hit': { eid: number; damage: number };
+    'boss.engaged': { boss: string; systemId: string | null };
+    'boss.phaseChanged': { boss: string; phase: number };
+    'boss.subsystemDestroyed': { boss: string; subsystem: string };
+    'boss.defeated': { boss: string; systemId: string | null; reward: number };
+    'replay.recordingStarted': { name: string };
+    'replay.recorded': { name: string; ticks: number };
+    'replay.started': { name: string; ticks: number };
+    'replay.finished': { name: string; ticks: number; completed: boolean; divergence: object | null };
+    'world.initialized': Empty;
+    'world.preUpdate': { deltaTime: number; time?: number };
+    'world.postUpdate': { deltaTime: number; time?: number };
+}
+
+export type EventType = keyof EventPayloads;
+
+// Field types: string, number, boolean, object or any; a trailing '?' makes the
+// field optional (undefined or null allowed)
+const SCHEMA: Record<EventType, Record<string, string>> = {
+    [EVENT.GAME_OVER]: { reason: 'string', source: 'string?', type: 'string?', collisionType: 'string?' },
+    [EVENT.GAME_SAVED]: { slotId: 'string', name: 'string', autosave: 'boolean' },
+    [EVENT.GAME_LOADED]: { name: 'string', savedAt: 'number' },
+    [EVENT.INTRO_COMPLETED]: {},
+    [EVENT.HORDE_ACTIVATED]: { startTime: 'number' },
     [EVENT.PLAYER_CREATED]: { entity: 'object' },
+    [EVENT.PLAYER_DAMAGED]: { damage: 'number', shieldDamage: 'number', source: 'string', position: 'object?' },
+    [EVENT.PLAYER_HEALED]: { amount: 'number', position: 'object?' },
+    [EVENT.PLAYER_LEVELUP]: { level: 'number?' },
+    [EVENT.PLAYER_DOCKED]: { playerPosition: 'object?', stargate: 'any' },
+    [EVENT.PLAYER_UNDOCKED]: { shield: 'number', maxShield: 'number', hull: 'number', maxHull: 'number' },
+    [EVENT.PLAYER_REQUEST_UNDOCK]: { forced: 'boolean', reason: 'string' },
+    [EVENT.PLAYER_SYNC_HEALTH]: { shield: 'number', maxShield: 'number', hull: 'number', maxHull: 'number' },
     [EVENT.TRANSFORM_UPDATED]: { entity: 'object' },
-    [EVENT.VFX_EXPLOSION]: { position: 'object', color: 'number', size: 'number', duration: 'number' },
+    [EVENT.VFX_EXPLOSION]: { position: 'object', color: 'number?', size: 'number', duration: 'number' },
+    [EVENT.EXPLOSION]: { position: 'object?', size: 'number?' },
     [EVENT.MINING_START]: { sourceEntity: 'object', targetEntity: 'object' },
     [EVENT.MINING_STOP]: { sourceEntity: 'object' },
-    [EVENT.ENEMY_DESTROYED]: { entityId: 'string' },
+    [EVENT.MINING_EXTRACTED]: { resourceType: 'string', amount: 'number' },
+    [EVENT.SCAN_PULSE]: { asteroids: 'number', deposits: 'number', anomalies: 'number' },
+    [EVENT.ENEMY_DAMAGED]: { damage: 'number', position: 'object?' },
+    [EVENT.ENEMY_DESTROYED]: { entityId: 'string', enemyType: 'string' },
+    [EVENT.ENTITY_DAMAGE]: { entityId: 'any', damage: 'number', source: 'string', hitPoint: 'object?', hitNormal: 'object?' },
+    [EVENT.ENTITY_DAMAGED]: { damage: 'number', damageType: 'string?', position: 'object?' },
+    [EVENT.ENTITY_DESTROYED]: { entity: 'object?' },
+    [EVENT.WEAPON_FIRE]: { type: 'string', weapon: 'string', direction: 'object' },
     [EVENT.WEAPON_FIRED]: { entity: 'object' },
     [EVENT.INPUT_VIBRATE]: { intensity: 'number', duration: 'number' },
+    [EVENT.INPUT_LOCK_ON_TOGGLE]: {},
+    [EVENT.INPUT_DEPLOY_LASER]: {},
+    [EVENT.INPUT_PICKUP_INTERACT]: {},
+    [EVENT.INPUT_TURRET_ORDERS]: {},
+    [EVENT.CREDITS_EARNED]: { amount: 'number', source: 'string' },
+    [EVENT.SYSTEM_ENTERED]: { systemId: 'string' },
+    [EVENT.UI_NOTIFICATION]: { message: 'string', type: 'string?', duration: 'number?' },
+    [EVENT.CONTRACT_ACCEPTED]: { id: 'string', type: 'string' },
+    [EVENT.CONTRACT_COMPLETED]: { id: 'string', type: 'string', reward: 'number' },
+    [EVENT.CONTRACT_FAILED]: { id: 'string', type: 'string', reason: 'string?' },
+    [EVENT.ANOMALY_HUD_SCRAMBLED]: { anomaly: 'string', duration: 'number' },
+    [EVENT.HAZARD_STARTED]: { hazard: 'string', severity: 'number' },
+    [EVENT.HAZARD_ENDED]: { hazard: 'string' },
+    [EVENT.ASTEROID_HIT]: { eid: 'number', damage: 'number' },
+    [EVENT.BOSS_ENGAGED]: { boss: 'string', systemId: 'string?' },
+    [EVENT.BOSS_PHASE_CHANGED]: { boss: 'string', phase: 'number' },
+    [EVENT.BOSS_SUBSYSTEM_DESTROYED]: { boss: 'string', subsystem: 'string' },
+    [EVENT.BOSS_DEFEATED]: { boss: 'string', systemId: 'string?', reward: 'number' },
+    [EVENT.REPLAY_RECORDING_STARTED]: { name: 'string' },
+    [EVENT.REPLAY_RECORDED]: { name: 'string', ticks: 'number' },
+    [EVENT.REPLAY_STARTED]: { name: 'string', ticks: 'number' },
+    [EVENT.REPLAY_FINISHED]: { name: 'string', ticks: 'number', completed: 'boolean', divergence: 'object?' },
+    [EVENT.WORLD_INITIALIZED]: {},
+    [EVENT.WORLD_PRE_UPDATE]: { deltaTime: 'number', time: 'number?' },
+    [EVENT.WORLD_POST_UPDATE]: { deltaTime: 'number', time: 'number?' },
 };
 
-export function validateEventPayload(type: string, data: any): boolean {
-    if (!DEBUG_MODE || !DEBUG_MODE.enabled) return true;
-    const shape = SCHEMA[type];
-    if (!shape) return true;
-    if (typeof data !== 'object' || data == null) return warn(type, 'payload is not object');
-    for (const [key, t] of Object.entries(shape)) {
+// Undeclared types already reported, so a per-frame event warns only once
+const reportedUnknownTypes = new Set<string>();
+
+export function isKnownEvent(type: string): type is EventType {
+    return Object.prototype.hasOwnProperty.call(SCHEMA, type);
+}
+
+/**
+ * Check a payload against its declared schema
+ * @returns A list of problems; empty if the payload matches
+ */
+export function checkEventPayload(type: string, data: any): string[] {
+    if (!isKnownEvent(type)) return ['event type is not declared in core/events.ts'];
+    if (typeof data !== 'object' || data == null) return ['payload is not object'];
+
+    const problems: string[] = [];
+    for (const [key, spec] of Object.entries(SCHEMA[type])) {
+        const optional = spec.endsWith('?');
+        const t = optional ? spec.slice(0, -1) : spec;
         const v = data[key];
+        if (t === 'any' || (optional && v == null)) continue;
+
         if (t === 'object') {
-            if (typeof v !== 'object' || v == null) return warn(type, `field ${key} must be object`);
+            if (typeof v !== 'object' || v == null) problems.push(`field ${key} must be object`);
         } else if (typeof v !== t) {
-            return warn(type, `field ${key} must be ${t}`);
+            problems.push(`field ${key} must be ${t}`);
+        }
+    }
+    return problems;
+}
+
+export function validateEventPayload(type: string, data: any): boolean {
+    if (!DEBUG_MODE || !DEBUG_MODE.enabled) return true;
+    if (!isKnownEvent(type)) {
+        if (!reportedUnknownTypes.has(type)) {
+            reportedUnknownTypes.add(type);
+            warn(type, 'event type is not declared in core/events.ts');
         }
+        return false;
     }
-    return true;
+    const problems = checkEventPayload(type, data);
+    return problems.length === 0 || warn(type, problems[0]);
 }
 
 function warn(type: string, msg: string): boolean {
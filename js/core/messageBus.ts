@@ -5,22 +5,31 @@
  * by publishing and subscribing to specific message types.
  */
 
-import { validateEventPayload } from './events.js';
+import { validateEventPayload, type EventPayloads, type EventType } from './events.js';
 
-export interface Message {
+export interface Message<T = any> {
     type: string;
-    data: any;
+    data: T;
     timestamp: number;
 }
 
 export type MessageCallback = (message: Message) => void;
 
+/**
+ * Observer called for every message published on any bus (see MessageBus.addTap)
+ * @param listenerCount Listeners the message was delivered to
+ */
+export type MessageTap = (bus: MessageBus, messageType: string, data: any, listenerCount: number) => void;
+
 interface Listener {
     callback: MessageCallback;
     context: any;
 }
 
 export class MessageBus {
+    // Debug observers shared by every bus instance
+    private static taps: Set<MessageTap> = new Set();
+
     public listeners: Map<string, Listener[]>;
     private queuedMessages: { type: string, data: any }[];
     private dispatching: boolean;
@@ -60,18 +69,18 @@ export class MessageBus {
      * @param {any} context Context to use when calling the callback
      * @returns {Function} Unsubscribe function
      */
-    subscribe(messageType: string, callback: MessageCallback, context: any = null): () => void {
+    subscribe<K extends EventType>(messageType: K, callback: (message: Message<EventPayloads[K]>) => void, context: any = null): () => void {
         if (!this.listeners.has(messageType)) {
             this.listeners.set(messageType, []);
         }
         
         this.listeners.get(messageType)!.push({
-            callback,
+            callback: callback as MessageCallback,
             context
         });
         
         // Return unsubscribe function for convenience
-        return () => this.unsubscribe(messageType, callback, context);
+        return () => this.unsubscribe(messageType, callback as MessageCallback, context);
     }
     
     /**
@@ -101,9 +110,10 @@ export class MessageBus {
      * @param {string} messageType The message type to publish
      * @param {any} data Data to include with the message
      */
-    fastPublish(messageType: string, data: any = {}): void {
+    fastPublish<K extends EventType>(messageType: K, data: EventPayloads[K] = {} as EventPayloads[K]): void {
         // Typed event validation in dev
         try { validateEventPayload && validateEventPayload(messageType, data); } catch {}
+        this.notifyTaps(messageType, data);
         if (!this.listeners.has(messageType)) return;
         
         const listeners = this.listeners.get(messageType)!;
@@ -124,14 +134,25 @@ export class MessageBus {
      * @param {string} messageType The message type to publish
      * @param {any} data Data to include with the message
      */
-    publish(messageType: string, data: any = {}): void {
-        // Typed event validation in dev
-        try { validateEventPayload && validateEventPayload(messageType, data); } catch {}
+    publish<K extends EventType>(messageType: K, data: EventPayloads[K] = {} as EventPayloads[K]): void {
         // Use fast path for high-frequency messages
         if (this.highFrequencyTypes.has(messageType)) {
             return this.fastPublish(messageType, data);
         }
         
+        // Typed event validation in dev
+        try { validateEventPayload && validateEventPayload(messageType, data); } catch {}
+        
+        this.notifyTaps(messageType, data);
+        this.dispatch(messageType, data);
+    }
+    
+    /**
+     * Deliver a published or queued message to listeners
+     * @param {string} messageType The message type to deliver
+     * @param {any} data Data to include with the message
+     */
+    private dispatch(messageType: string, data: any): void {
         // Enhanced handling for game.over events to ensure they are properly processed
         if (messageType === 'game.over') {
             // Always forward game.over events to the main message bus if this isn't it
@@ -186,7 +207,7 @@ export class MessageBus {
                 this.queuedMessages = [];
                 
                 queuedMessages.forEach(message => {
-                    this.publish(message.type, message.data);
+                    this.dispatch(message.type, message.data);
                 });
             }
         }
@@ -197,13 +218,39 @@ export class MessageBus {
      * @param {string} messageType The message type to queue
      * @param {any} data Data to include with the message
      */
-    queue(messageType: string, data: any = {}): void {
+    queue<K extends EventType>(messageType: K, data: EventPayloads[K] = {} as EventPayloads[K]): void {
+        try { validateEventPayload && validateEventPayload(messageType, data); } catch {}
+        this.notifyTaps(messageType, data);
         this.queuedMessages.push({
             type: messageType,
             data: data
         });
     }
     
+    /**
+     * Observe every message published on any bus, for debug tooling
+     * @param {MessageTap} tap Called with the bus, message type, payload and listener count
+     * @returns {Function} Function that removes the tap
+     */
+    static addTap(tap: MessageTap): () => void {
+        MessageBus.taps.add(tap);
+        return () => {
+            MessageBus.taps.delete(tap);
+        };
+    }
+    
+    private notifyTaps(messageType: string, data: any): void {
+        if (MessageBus.taps.size === 0) return;
+        const listenerCount = this.listeners.get(messageType)?.length ?? 0;
+        for (const tap of MessageBus.taps) {
+            try {
+                tap(this, messageType, data, listenerCount);
+            } catch (error) {
+                // A broken debug tap must never break message delivery
+            }
+        }
+    }
+    
     /**
      * Universal handler for game over events - used by multiple components
      * @param {string} reason Reason for game over
@@ -14,6 +14,7 @@ import {
   shieldRegenSystem,
   lifetimeSystem,
 } from '../systems/combatSystem'
+import { SpatialGrid, SPATIAL_LAYER } from '../spatialGrid'
 
 describe('Combat System', () => {
   let projectileEid: number
@@ -81,6 +82,16 @@ describe('Combat System', () => {
     expect(events.length).toBe(0)
   })
 
+  it('should only test indexed targets on the given layers', () => {
+    Position.x[targetEid] = 10
+    const index = new SpatialGrid()
+    index.update(projectileEid, 0, 0, 0, 5, SPATIAL_LAYER.PROJECTILE)
+    index.update(targetEid, 10, 0, 0, 10, SPATIAL_LAYER.ENEMY)
+
+    expect(projectileCollisionSystem([projectileEid], [], index, SPATIAL_LAYER.ENEMY)).toHaveLength(1)
+    expect(projectileCollisionSystem([projectileEid], [targetEid], index, SPATIAL_LAYER.ASTEROID)).toHaveLength(0)
+  })
+
   it('should apply damage with resistance', () => {
     // Setup: 10 damage, 50% resistance
     Weapon.damage[projectileEid] = 10
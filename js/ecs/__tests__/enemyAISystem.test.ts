@@ -8,12 +8,14 @@ import {
   Health,
   SeparationForce,
   Collider,
+  ShipState,
 } from '../components'
 import {
   enemyDetectionSystem,
   enemyPursuitSystem,
   enemyEvadeSystem,
   enemySeparationSystem,
+  countEngagedEnemies,
 } from '../systems/enemyAISystem'
 
 describe('Enemy AI System', () => {
@@ -108,6 +110,20 @@ describe('Enemy AI System', () => {
     expect(EnemyAI.playerFound[enemyEid]).toBe(1)
   })
 
+  it('should not detect a cloaked player', () => {
+    EnemyAI.state[enemyEid] = 1 // PATROL
+    EnemyAI.playerFound[enemyEid] = 0
+    Position.x[playerEid] = 500 // Within detection range (1000)
+    ShipState.isCloaked[playerEid] = 1
+
+    enemyDetectionSystem([enemyEid], playerEid)
+    expect(EnemyAI.state[enemyEid]).toBe(1) // Still PATROL
+
+    ShipState.isCloaked[playerEid] = 0
+    enemyDetectionSystem([enemyEid], playerEid)
+    expect(EnemyAI.state[enemyEid]).toBe(2) // CHASE
+  })
+
   it('should transition from CHASE to EVADE when health low', () => {
     // Enemy in CHASE state with low health
     EnemyAI.state[enemyEid] = 2 // CHASE
@@ -182,4 +198,14 @@ describe('Enemy AI System', () => {
     // Should transition back to CHASE due to health recovery
     expect(EnemyAI.state[enemyEid]).toBe(2) // CHASE
   })
+
+  it('should count chasing and evading enemies as engaged', () => {
+    EnemyAI.state[enemyEid] = 2 // CHASE
+    EnemyAI.state[enemyEid2] = 3 // EVADE
+    expect(countEngagedEnemies([enemyEid, enemyEid2])).toBe(2)
+
+    EnemyAI.state[enemyEid2] = 1 // PATROL
+    expect(countEngagedEnemies([enemyEid, enemyEid2])).toBe(1)
+    expect(countEngagedEnemies([])).toBe(0)
+  })
 })
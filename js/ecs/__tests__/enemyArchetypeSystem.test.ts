@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { addEntity } from 'bitecs'
+import { world } from '../world'
+import { Position, Velocity, EnemyAI, Health, Carrier, Kamikaze, Sniper } from '../components'
+import { applyEnemyArchetype, getEnemyArchetype, type EnemyArchetypeName } from '../enemyArchetypes'
+import {
+  sniperRangeSystem,
+  sniperFireSystem,
+  swarmerCohesionSystem,
+  carrierLaunchSystem,
+  kamikazeDiveSystem,
+} from '../systems/enemyArchetypeSystem'
+import { difficultyScalingSystem } from '../systems/enemyAISystem'
+import { SeededRandom } from '../../globals/random'
+
+const BASE = { health: 20, damage: 15, speed: 700 }
+
+function spawn(name: EnemyArchetypeName, x = 0, groupId = 0): number {
+  const eid = addEntity(world)
+  applyEnemyArchetype(eid, name, BASE, new SeededRandom(1), { groupId })
+  Position.x[eid] = x
+  Position.y[eid] = 0
+  Position.z[eid] = 0
+  Velocity.x[eid] = 0
+  Velocity.y[eid] = 0
+  Velocity.z[eid] = 0
+  EnemyAI.state[eid] = 2 // CHASE
+  return eid
+}
+
+describe('Enemy Archetypes', () => {
+  let playerEid: number
+
+  beforeEach(() => {
+    playerEid = addEntity(world)
+    Position.x[playerEid] = 0
+    Position.y[playerEid] = 0
+    Position.z[playerEid] = 0
+    Velocity.x[playerEid] = 0
+    Velocity.y[playerEid] = 0
+    Velocity.z[playerEid] = 0
+  })
+
+  it('should apply archetype stats as multipliers on the base stats', () => {
+    const swarmer = spawn('swarmer')
+    const carrier = spawn('carrier')
+
+    expect(getEnemyArchetype(swarmer).name).toBe('swarmer')
+    expect(Health.max[swarmer]).toBe(7)
+    expect(EnemyAI.speed[swarmer]).toBeCloseTo(910)
+    expect(Health.max[carrier]).toBe(80)
+    expect(Health.shield[carrier]).toBe(120)
+    expect(Carrier.launchedBy[carrier]).toBe(-1)
+    expect(Sniper.fireInterval[carrier]).toBe(0)
+  })
+
+  it('should keep snipers near their preferred range', () => {
+    const sniper = spawn('sniper', 500)
+    sniperRangeSystem([sniper], playerEid)
+    expect(Velocity.x[sniper]).toBeGreaterThan(0) // Backing away
+
+    Position.x[sniper] = 5000
+    sniperRangeSystem([sniper], playerEid)
+    expect(Velocity.x[sniper]).toBeLessThan(0) // Closing in
+
+    Position.x[sniper] = Sniper.preferredRange[sniper]
+    sniperRangeSystem([sniper], playerEid)
+    expect(Velocity.x[sniper]).toBeCloseTo(0) // Strafing
+    expect(Math.abs(Velocity.z[sniper])).toBeGreaterThan(0)
+  })
+
+  it('should fire sniper shots at the interval, leading the player', () => {
+    const sniper = spawn('sniper', 1800)
+    Sniper.fireTimer[sniper] = 0
+    Velocity.z[playerEid] = 500
+
+    expect(sniperFireSystem([sniper], playerEid, 1)).toEqual([])
+    const [shot] = sniperFireSystem([sniper], playerEid, Sniper.fireInterval[sniper])
+
+    expect(shot.sourceEid).toBe(sniper)
+    expect(shot.dirX).toBeLessThan(0)
+    expect(shot.dirZ).toBeGreaterThan(0)
+    expect(shot.damage).toBe(12)
+    expect(Sniper.fireTimer[sniper]).toBe(0)
+  })
+
+  it('should pull swarmers toward their own group', () => {
+    const a = spawn('swarmer', 0, 1)
+    const b = spawn('swarmer', 1000, 1)
+    const loner = spawn('swarmer', 5000, 2)
+
+    swarmerCohesionSystem([a, b, loner])
+
+    expect(Velocity.x[a]).toBeGreaterThan(0)
+    expect(Velocity.x[b]).toBeLessThan(0)
+    expect(Velocity.x[loner]).toBe(0)
+  })
+
+  it('should launch drones from carriers up to their limit', () => {
+    const carrier = spawn('carrier', 3000)
+    const interval = Carrier.launchInterval[carrier]
+
+    expect(carrierLaunchSystem([carrier], interval)).toEqual([]) // Player not found yet
+
+    EnemyAI.playerFound[carrier] = 1
+    const enemies = [carrier]
+    for (let i = 0; i < Carrier.maxDrones[carrier]; i++) {
+      const [launch] = carrierLaunchSystem(enemies, interval)
+      expect(launch.carrierEid).toBe(carrier)
+      const drone = spawn('drone', launch.x)
+      Carrier.launchedBy[drone] = carrier
+      enemies.push(drone)
+    }
+
+    expect(carrierLaunchSystem(enemies, interval)).toEqual([])
+  })
+
+  it('should commit kamikazes to a dive once in range', () => {
+    const kamikaze = spawn('kamikaze', 5000)
+    kamikazeDiveSystem([kamikaze], playerEid)
+    expect(Kamikaze.diving[kamikaze]).toBe(0)
+
+    Position.x[kamikaze] = 1000
+    EnemyAI.state[kamikaze] = 3 // EVADE
+    kamikazeDiveSystem([kamikaze], playerEid)
+
+    expect(Kamikaze.diving[kamikaze]).toBe(1)
+    expect(EnemyAI.state[kamikaze]).toBe(2)
+    expect(Velocity.x[kamikaze]).toBeCloseTo(-700 * 1.1 * 2.2)
+  })
+
+  it('should keep archetype ratios under horde scaling', () => {
+    const drone = spawn('drone')
+    const swarmer = spawn('swarmer')
+    const config = {
+      healthMultiplier: 2,
+      damageMultiplier: 2,
+      speedMultiplier: 1,
+      isHordeMode: true,
+      hordeSurvivalTime: 60,
+    }
+
+    difficultyScalingSystem([drone, swarmer], config)
+
+    expect(Health.max[drone]).toBe(40)
+    expect(Health.max[swarmer]).toBe(14)
+    expect(EnemyAI.damage[drone]).toBe(30)
+    expect(EnemyAI.damage[swarmer]).toBe(15)
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import { runSimulation } from '../simulation/headlessSimulation'
+
+describe('Headless Simulation', () => {
+  it('should report combat, damage and mining for a short run', () => {
+    const report = runSimulation({ durationSeconds: 60 })
+
+    expect(report.simulatedSeconds).toBe(60)
+    expect(report.survived).toBe(true)
+    expect(report.combat.enemiesSpawned).toBeGreaterThan(0)
+    expect(report.combat.enemiesKilled).toBeGreaterThan(0)
+    expect(report.combat.averageTimeToKill).toBeGreaterThan(0)
+    expect(report.combat.shotsHit).toBeLessThanOrEqual(report.combat.shotsFired)
+    expect(report.mining.unitsPerMinute).toBeGreaterThan(0)
+    expect(report.difficulty.finalLevel).toBe(1)
+    expect(report.perMinute).toHaveLength(1)
+    expect(report.perMinute[0].spawned).toBe(report.combat.enemiesSpawned)
+  })
+
+  it('should serialize the report as JSON', () => {
+    const report = runSimulation({ durationSeconds: 10 })
+
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report)
+  })
+
+  it('should spawn the same enemies and asteroids for the same seed', () => {
+    const first = runSimulation({ durationSeconds: 30, seed: 'repeat' })
+    const second = runSimulation({ durationSeconds: 30, seed: 'repeat' })
+
+    expect(second.combat.enemiesSpawned).toBe(first.combat.enemiesSpawned)
+    expect(second.mining).toEqual(first.mining)
+  })
+
+  it('should record damage when the player cannot shoot back', () => {
+    const report = runSimulation({
+      durationSeconds: 60,
+      player: { weaponRange: 0, shieldRegenRate: 0 },
+    })
+
+    expect(report.combat.enemiesKilled).toBe(0)
+    expect(report.combat.kamikazeHits).toBeGreaterThan(0)
+    expect(report.damage.shield).toBe(50)
+    expect(report.damage.total).toBe(report.damage.shield + report.damage.hull)
+  })
+
+  it('should spawn the live archetype mix as the difficulty rises', () => {
+    const report = runSimulation({ durationSeconds: 420, classification: 'Hazardous', player: { hull: 100000 } })
+    const spawned = report.combat.spawnedByArchetype
+
+    expect(report.difficulty.finalLevel).toBe(3)
+    expect(spawned.swarmer).toBeGreaterThan(0)
+    expect(spawned.sniper + spawned.kamikaze + spawned.carrier).toBeGreaterThan(0)
+    expect(Object.values(spawned).reduce((sum, count) => sum + count, 0)).toBe(report.combat.enemiesSpawned)
+  })
+
+  it('should leave tougher archetypes out of the home system', () => {
+    const report = runSimulation({ durationSeconds: 420, classification: 'Home System', player: { hull: 100000 } })
+
+    expect(report.combat.spawnedByArchetype.sniper).toBe(0)
+    expect(report.combat.spawnedByArchetype.carrier).toBe(0)
+  })
+})
@@ -9,11 +9,16 @@ import {
 } from '../components'
 import {
   miningDetectionSystem,
+  miningHeatSystem,
   miningProgressSystem,
   miningExtractionSystem,
+  activateMiningLaser,
   deactivateMiningLaser,
+  getHeatEfficiency,
+  getLaserHeatCapacity,
   ResourceType,
 } from '../systems/miningSystem'
+import { SpatialGrid, SPATIAL_LAYER } from '../spatialGrid'
 
 describe('Mining System', () => {
   let minerEid: number
@@ -37,6 +42,10 @@ describe('Mining System', () => {
     MiningLaser.goldRate[minerEid] = 0.044
     MiningLaser.platinumRate[minerEid] = 0.022
     MiningLaser.power[minerEid] = 1.0
+    MiningLaser.heat[minerEid] = 0
+    MiningLaser.heatCapacity[minerEid] = 1
+    MiningLaser.overheated[minerEid] = 0
+    MiningLaser.suspendedTarget[minerEid] = 0
     Cargo.maxCapacity[minerEid] = 1000
     Cargo.usedCapacity[minerEid] = 0
     Cargo.iron[minerEid] = 0
@@ -82,6 +91,20 @@ describe('Mining System', () => {
     expect(MiningLaser.targetEntity[minerEid]).toBe(0)
   })
 
+  it('should skip busy asteroids when detecting from a spatial index', () => {
+    const index = new SpatialGrid()
+    index.update(asteroidEid1, 1000, 0, 0, 0, SPATIAL_LAYER.ASTEROID)
+    index.update(asteroidEid2, 3000, 0, 0, 0, SPATIAL_LAYER.ASTEROID)
+    Position.x[asteroidEid2] = 3000
+    Mineable.beingMined[asteroidEid1] = 1
+
+    // The list is ignored when an index is given
+    miningDetectionSystem([minerEid], [], index)
+
+    expect(MiningLaser.targetEntity[minerEid]).toBe(asteroidEid2)
+    expect(Mineable.beingMined[asteroidEid2]).toBe(1)
+  })
+
   it('should advance mining progress over time', () => {
     // Setup: active mining, iron type
     MiningLaser.active[minerEid] = 1
@@ -166,4 +189,59 @@ describe('Mining System', () => {
     expect(Cargo.iron[minerEid]).toBe(0)
     expect(Cargo.platinum[minerEid]).toBe(0)
   })
+
+  it('should slow mining as the laser heats up', () => {
+    expect(getHeatEfficiency(0.5)).toBe(1)
+    expect(getHeatEfficiency(1)).toBeCloseTo(0.4)
+
+    MiningLaser.active[minerEid] = 1
+    MiningLaser.targetEntity[minerEid] = asteroidEid1
+    MiningLaser.heat[minerEid] = 0.9
+
+    miningProgressSystem([minerEid], 1.0)
+
+    expect(MiningLaser.progress[minerEid]).toBeLessThan(0.133 * 0.6)
+  })
+
+  it('should overheat, cool down and resume the interrupted target', () => {
+    MiningLaser.targetEntity[minerEid] = asteroidEid1
+    activateMiningLaser(minerEid)
+    MiningLaser.progress[minerEid] = 0.6
+    MiningLaser.heat[minerEid] = 0.99
+
+    miningHeatSystem([minerEid], 1.0)
+
+    expect(MiningLaser.overheated[minerEid]).toBe(1)
+    expect(MiningLaser.active[minerEid]).toBe(0)
+
+    // Locked out and keeping its target until fully cooled
+    activateMiningLaser(minerEid)
+    expect(MiningLaser.active[minerEid]).toBe(0)
+    miningDetectionSystem([minerEid], [asteroidEid1, asteroidEid2])
+    expect(MiningLaser.targetEntity[minerEid]).toBe(asteroidEid1)
+
+    for (let i = 0; i < 10; i++) miningHeatSystem([minerEid], 1.0)
+    expect(MiningLaser.heat[minerEid]).toBe(0)
+    expect(MiningLaser.overheated[minerEid]).toBe(0)
+
+    activateMiningLaser(minerEid)
+    expect(MiningLaser.active[minerEid]).toBe(1)
+    expect(MiningLaser.progress[minerEid]).toBeCloseTo(0.6)
+  })
+
+  it('should heat more slowly with upgraded heat capacity', () => {
+    expect(getLaserHeatCapacity(1)).toBe(1)
+    expect(getLaserHeatCapacity(3)).toBe(1.5)
+
+    MiningLaser.active[minerEid] = 1
+    MiningLaser.targetEntity[minerEid] = asteroidEid1
+    miningHeatSystem([minerEid], 6)
+    const baseHeat = MiningLaser.heat[minerEid]
+
+    MiningLaser.heat[minerEid] = 0
+    MiningLaser.heatCapacity[minerEid] = getLaserHeatCapacity(3)
+    miningHeatSystem([minerEid], 6)
+
+    expect(MiningLaser.heat[minerEid]).toBeCloseTo(baseHeat / 1.5)
+  })
 })
@@ -0,0 +1,143 @@
+import { bench, describe } from 'vitest'
+import { SpatialGrid } from '../spatialGrid'
+import { SeededRandom } from '../../globals/random'
+
+// Entity counts from a quiet system up to a dense belt plus a horde
+const COUNTS = [100, 1000, 5000]
+
+// Spread like the asteroid belt: wide and flat
+const EXTENT = 28000
+
+interface Point {
+  x: number
+  y: number
+  z: number
+  radius: number
+}
+
+function scatter(count: number): Point[] {
+  const random = new SeededRandom(count)
+  return Array.from({ length: count }, () => ({
+    x: random.float(-EXTENT, EXTENT),
+    y: random.float(-1000, 1000),
+    z: random.float(-EXTENT, EXTENT),
+    radius: random.float(5, 60),
+  }))
+}
+
+// Query origins reused by every case so brute force and grid do the same work
+const origins = scatter(64)
+
+function bruteRadius(points: Point[], x: number, y: number, z: number, radius: number): number {
+  let found = 0
+  for (const p of points) {
+    const reach = radius + p.radius
+    const dx = p.x - x
+    const dy = p.y - y
+    const dz = p.z - z
+    if (dx * dx + dy * dy + dz * dz <= reach * reach) found++
+  }
+  return found
+}
+
+function bruteNearest(points: Point[], x: number, y: number, z: number, maxDistance: number): number {
+  let best = -1
+  let bestDistSq = maxDistance * maxDistance
+  for (let i = 0; i < points.length; i++) {
+    const dx = points[i].x - x
+    const dy = points[i].y - y
+    const dz = points[i].z - z
+    const distSq = dx * dx + dy * dy + dz * dz
+    if (distSq <= bestDistSq) {
+      best = i
+      bestDistSq = distSq
+    }
+  }
+  return best
+}
+
+function bruteRay(points: Point[], o: Point, dx: number, dy: number, dz: number, maxDistance: number): number {
+  let best = Infinity
+  for (const p of points) {
+    const ox = p.x - o.x
+    const oy = p.y - o.y
+    const oz = p.z - o.z
+    const along = ox * dx + oy * dy + oz * dz
+    const offSq = ox * ox + oy * oy + oz * oz - along * along
+    if (offSq > p.radius * p.radius) continue
+    const t = along - Math.sqrt(p.radius * p.radius - offSq)
+    if (t >= 0 && t <= maxDistance && t < best) best = t
+  }
+  return best
+}
+
+function brutePairs(points: Point[]): number {
+  let pairs = 0
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const reach = points[i].radius + points[j].radius
+      const dx = points[i].x - points[j].x
+      const dy = points[i].y - points[j].y
+      const dz = points[i].z - points[j].z
+      if (dx * dx + dy * dy + dz * dz <= reach * reach) pairs++
+    }
+  }
+  return pairs
+}
+
+for (const count of COUNTS) {
+  const points = scatter(count)
+  const grid = new SpatialGrid()
+  points.forEach((p, id) => grid.update(id, p.x, p.y, p.z, p.radius))
+  const out: number[] = []
+
+  describe(`${count} entities: radius query (1000 units, 64 queries)`, () => {
+    bench('brute force', () => {
+      for (const o of origins) bruteRadius(points, o.x, o.y, o.z, 1000)
+    })
+    bench('grid', () => {
+      for (const o of origins) {
+        out.length = 0
+        grid.queryRadius(o.x, o.y, o.z, 1000, undefined, out)
+      }
+    })
+  })
+
+  describe(`${count} entities: nearest within mining range (6000 units, 64 queries)`, () => {
+    bench('brute force', () => {
+      for (const o of origins) bruteNearest(points, o.x, o.y, o.z, 6000)
+    })
+    bench('grid', () => {
+      for (const o of origins) grid.nearest(o.x, o.y, o.z, 6000)
+    })
+  })
+
+  describe(`${count} entities: line-of-sight ray (5000 units, 64 queries)`, () => {
+    bench('brute force', () => {
+      for (const o of origins) bruteRay(points, o, 1, 0, 0, 5000)
+    })
+    bench('grid', () => {
+      for (const o of origins) grid.raycast(o.x, o.y, o.z, 1, 0, 0, 5000)
+    })
+  })
+
+  describe(`${count} entities: all colliding pairs`, () => {
+    bench('brute force', () => {
+      brutePairs(points)
+    })
+    bench('grid', () => {
+      for (let id = 0; id < points.length; id++) {
+        const p = points[id]
+        out.length = 0
+        grid.queryRadius(p.x, p.y, p.z, p.radius, undefined, out)
+      }
+    })
+  })
+
+  describe(`${count} entities: sync positions after a small move`, () => {
+    bench('grid update', () => {
+      points.forEach((p, id) => grid.update(id, p.x + 1, p.y, p.z, p.radius))
+      points.forEach((p, id) => grid.update(id, p.x, p.y, p.z, p.radius))
+    })
+  })
+}
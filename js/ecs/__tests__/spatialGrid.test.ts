@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { SpatialGrid, SPATIAL_LAYER } from '../spatialGrid'
+import { SeededRandom } from '../../globals/random'
+
+type Point = { id: number; x: number; y: number; z: number; radius: number; layers: number }
+
+function scatter(count: number, extent: number, seed: number = 1): Point[] {
+  const random = new SeededRandom(seed)
+  return Array.from({ length: count }, (_, id) => ({
+    id,
+    x: random.float(-extent, extent),
+    y: random.float(-extent / 10, extent / 10),
+    z: random.float(-extent, extent),
+    radius: random.float(5, 150),
+    layers: id % 2 === 0 ? SPATIAL_LAYER.ASTEROID : SPATIAL_LAYER.ENEMY
+  }))
+}
+
+function fill(points: Point[], cellSize: number = 500): SpatialGrid {
+  const grid = new SpatialGrid(cellSize)
+  points.forEach(p => grid.update(p.id, p.x, p.y, p.z, p.radius, p.layers))
+  return grid
+}
+
+describe('Spatial Grid', () => {
+  it('should match a brute-force scan for radius queries', () => {
+    const points = scatter(2000, 20000)
+    const grid = fill(points)
+
+    for (const [x, y, z, radius] of [[0, 0, 0, 1200], [15000, 500, -9000, 3000], [-30000, 0, 0, 400]]) {
+      const expected = points
+        .filter(p => Math.hypot(p.x - x, p.y - y, p.z - z) <= radius + p.radius && p.layers === SPATIAL_LAYER.ASTEROID)
+        .map(p => p.id)
+        .sort((a, b) => a - b)
+      const found = grid.queryRadius(x, y, z, radius, SPATIAL_LAYER.ASTEROID).sort((a, b) => a - b)
+      expect(found).toEqual(expected)
+    }
+  })
+
+  it('should find the nearest accepted entry within range', () => {
+    const points = scatter(2000, 20000, 7)
+    const grid = fill(points)
+    const byDistance = (x: number, z: number) => [...points]
+      .filter(p => p.id % 4 !== 0)
+      .sort((a, b) => Math.hypot(a.x - x, a.y, a.z - z) - Math.hypot(b.x - x, b.y, b.z - z))
+
+    const expected = byDistance(1234, -4321)[0]
+    expect(grid.nearest(1234, 0, -4321, 50000, undefined, id => id % 4 !== 0)).toBe(expected.id)
+
+    // Out of range
+    const tooFar = Math.hypot(expected.x - 1234, expected.y, expected.z + 4321) - 1
+    expect(grid.nearest(1234, 0, -4321, tooFar, undefined, id => id % 4 !== 0)).toBe(-1)
+    expect(new SpatialGrid().nearest(0, 0, 0, 1000)).toBe(-1)
+  })
+
+  it('should return the first sphere along a ray', () => {
+    const grid = new SpatialGrid(100)
+    grid.update(1, 0, 0, -1000, 50)
+    grid.update(2, 0, 0, -600, 50)
+    grid.update(3, 0, 200, -300, 50)
+
+    expect(grid.raycast(0, 0, 0, 0, 0, -1, 5000)).toEqual({ id: 2, distance: 550 })
+    expect(grid.raycast(0, 0, 0, 0, 0, -1, 500)).toBeNull()
+    expect(grid.raycast(0, 0, 0, 0, 0, -1, 5000, undefined, id => id !== 2)?.id).toBe(1)
+  })
+
+  it('should move, re-layer and remove entries', () => {
+    const grid = new SpatialGrid(100)
+    grid.update(1, 0, 0, 0, 10, SPATIAL_LAYER.ENEMY)
+    grid.update(1, 5000, 0, 0, 10, SPATIAL_LAYER.ENEMY)
+
+    expect(grid.queryRadius(0, 0, 0, 100)).toEqual([])
+    expect(grid.queryRadius(5000, 0, 0, 100, SPATIAL_LAYER.ENEMY)).toEqual([1])
+    expect(grid.queryRadius(5000, 0, 0, 100, SPATIAL_LAYER.ASTEROID)).toEqual([])
+
+    // Entries too big for a handful of cells are still found
+    grid.update(2, 0, 0, 0, 3000, SPATIAL_LAYER.PLANET)
+    expect(grid.queryRadius(2900, 0, 0, 10)).toEqual([2])
+
+    grid.remove(1)
+    grid.remove(2)
+    expect(grid.size).toBe(0)
+    expect(grid.queryRadius(5000, 0, 0, 100)).toEqual([])
+  })
+})
@@ -200,6 +200,7 @@ export const ShipState = {
   isDocked: new Uint8Array(10000),
   isDestroyed: new Uint8Array(10000),
   isInvulnerable: new Uint8Array(10000),
+  isCloaked: new Uint8Array(10000),      // Hidden from enemy detection
   engineLevel: new Uint8Array(10000),
   fuelTankLevel: new Uint8Array(10000),
   hullLevel: new Uint8Array(10000),
@@ -235,7 +236,11 @@ export const MiningLaser = {
   range: new Float32Array(10000),        // Maximum mining range
   ironRate: new Float32Array(10000),     // Mining rate for iron (progress per second)
   goldRate: new Float32Array(10000),     // Mining rate for gold
-  platinumRate: new Float32Array(10000)  // Mining rate for platinum
+  platinumRate: new Float32Array(10000), // Mining rate for platinum
+  heat: new Float32Array(10000),         // Laser heat (0-1); overheats at 1
+  heatCapacity: new Float32Array(10000), // Heat capacity multiplier (upgrades raise it)
+  overheated: new Uint8Array(10000),     // 1 = cooling down, laser can't fire
+  suspendedTarget: new Uint32Array(10000) // Target whose progress is kept through a cooldown
 }
 
 /**
@@ -260,7 +265,7 @@ export const Mineable = {
  */
 export const EnemyAI = {
   faction: new Uint8Array(10000),      // 0 = spectrals, 1 = other (expand as needed)
-  aiType: new Uint8Array(10000),       // 0 = drone, 1 = other
+  aiType: new Uint8Array(10000),       // Archetype: 0 = drone, 1 = sniper, 2 = swarmer, 3 = carrier, 4 = kamikaze
   subtype: new Uint8Array(10000),      // 0 = standard, 1 = heavy, 2 = swift
   state: new Uint8Array(10000),        // 0 = idle, 1 = patrol, 2 = chase, 3 = evade
   detectionRange: new Float32Array(10000),
@@ -279,6 +284,44 @@ export const EnemyAI = {
   separationInfluence: new Float32Array(10000)
 }
 
+/**
+ * Sniper archetype: holds a standoff distance and fires projectiles
+ */
+export const Sniper = {
+  preferredRange: new Float32Array(10000),  // Distance to hold from the player
+  fireInterval: new Float32Array(10000),    // Seconds between shots
+  fireTimer: new Float32Array(10000),       // Seconds since the last shot
+  projectileSpeed: new Float32Array(10000),
+  projectileDamage: new Float32Array(10000)
+}
+
+/**
+ * Swarmer archetype: fast, fragile and drawn toward the rest of its group
+ */
+export const Swarmer = {
+  groupId: new Uint32Array(10000),          // Swarmers with the same group flock together
+  cohesion: new Float32Array(10000)         // 0-1 pull toward the group's center
+}
+
+/**
+ * Carrier archetype: shielded, launches drones once it finds the player
+ */
+export const Carrier = {
+  launchInterval: new Float32Array(10000),  // Seconds between drone launches
+  launchTimer: new Float32Array(10000),     // Seconds since the last launch
+  maxDrones: new Uint8Array(10000),         // Drones alive at once
+  launchedBy: new Int32Array(10000)         // On drones: carrier entity that launched it (-1 = none)
+}
+
+/**
+ * Kamikaze archetype: dives at the player once inside trigger range
+ */
+export const Kamikaze = {
+  triggerRange: new Float32Array(10000),    // Distance at which the dive starts
+  diveMultiplier: new Float32Array(10000),  // Speed multiplier while diving
+  diving: new Uint8Array(10000)             // 0 = approaching, 1 = diving
+}
+
 /**
  * Separation force for flocking/avoidance (computed by systems)
  */
@@ -389,6 +432,10 @@ export const AllComponents = {
 
   // AI
   EnemyAI,
+  Sniper,
+  Swarmer,
+  Carrier,
+  Kamikaze,
   SeparationForce,
 
   // Tags
@@ -428,6 +475,7 @@ export const AllComponents = {
  * - EnemyAI, SeparationForce
  * - Enemy (tag)
  * - Lifetime
+ * - Sniper, Swarmer, Carrier or Kamikaze (by archetype)
  *
  * Asteroid:
  * - Position, Velocity, Rotation, Scale
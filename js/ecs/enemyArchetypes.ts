@@ -0,0 +1,282 @@
+/**
+ * Enemy Archetypes
+ *
+ * Data definitions for every enemy type. Combat stats are multipliers on the
+ * difficulty manager's base enemy stats, so each archetype keeps its role as
+ * the difficulty level rises.
+ *
+ * The archetype id is stored in EnemyAI.aiType; archetype-specific data lives
+ * in the Sniper, Swarmer, Carrier and Kamikaze components.
+ */
+
+import {
+  Carrier,
+  Collider,
+  EnemyAI,
+  Health,
+  Kamikaze,
+  Lifetime,
+  SeparationForce,
+  Sniper,
+  Swarmer,
+} from './components'
+import type { SeededRandom } from '../globals/random.ts'
+
+/**
+ * Archetype ids as stored in EnemyAI.aiType
+ */
+export const ARCHETYPE = {
+  drone: 0,
+  sniper: 1,
+  swarmer: 2,
+  carrier: 3,
+  kamikaze: 4,
+} as const
+
+export type EnemyArchetypeName = keyof typeof ARCHETYPE
+
+/**
+ * Base enemy stats for the current difficulty level (see DifficultyManager.params)
+ */
+export interface EnemyBaseStats {
+  health: number
+  damage: number
+  speed: number
+}
+
+export interface EnemyArchetype {
+  name: EnemyArchetypeName
+  label: string
+  // Multipliers on the base stats
+  health: number
+  damage: number
+  speed: number
+  // Shield capacity as a fraction of max health
+  shield: number
+  shieldRegenRate: number
+  radius: number
+  detectionRange: number
+  // Chase movement style: 0 = spiral, 1 = direct, 2 = zigzag
+  subtype: number
+  separationInfluence: number
+  color: number
+  spawn: {
+    // First difficulty level the archetype appears at
+    unlockLevel: number
+    weight: number
+    // Weight added for each level above the unlock level
+    weightPerLevel: number
+    // Enemies spawned together
+    groupSize: number
+  }
+  sniper?: {
+    preferredRange: number
+    fireInterval: number
+    projectileSpeed: number
+    // Multiplier on the base damage
+    projectileDamage: number
+  }
+  swarmer?: {
+    cohesion: number
+  }
+  carrier?: {
+    launchInterval: number
+    maxDrones: number
+  }
+  kamikaze?: {
+    triggerRange: number
+    diveMultiplier: number
+  }
+}
+
+// Enemies expire through Lifetime when they ram the player - keep natural expiry out of reach
+const ENEMY_MAX_AGE = 3600
+
+export const ENEMY_ARCHETYPES: Record<EnemyArchetypeName, EnemyArchetype> = {
+  drone: {
+    name: 'drone',
+    label: 'Spectral Drone',
+    health: 1,
+    damage: 1,
+    speed: 1,
+    shield: 0,
+    shieldRegenRate: 0,
+    radius: 20,
+    detectionRange: 6000,
+    subtype: 0,
+    separationInfluence: 0.3,
+    color: 0x33ccff,
+    spawn: { unlockLevel: 1, weight: 10, weightPerLevel: 0, groupSize: 1 },
+  },
+  sniper: {
+    name: 'sniper',
+    label: 'Spectral Sniper',
+    health: 0.8,
+    damage: 0.5,
+    speed: 0.6,
+    shield: 0.25,
+    shieldRegenRate: 2,
+    radius: 22,
+    detectionRange: 8000,
+    subtype: 1,
+    separationInfluence: 0.2,
+    color: 0xff3366,
+    spawn: { unlockLevel: 2, weight: 2, weightPerLevel: 1.5, groupSize: 1 },
+    sniper: {
+      preferredRange: 1800,
+      fireInterval: 2.5,
+      projectileSpeed: 2500,
+      projectileDamage: 0.8,
+    },
+  },
+  swarmer: {
+    name: 'swarmer',
+    label: 'Spectral Swarmer',
+    health: 0.35,
+    damage: 0.5,
+    speed: 1.3,
+    shield: 0,
+    shieldRegenRate: 0,
+    radius: 12,
+    detectionRange: 5000,
+    subtype: 2,
+    separationInfluence: 0.15,
+    color: 0x99ff33,
+    spawn: { unlockLevel: 1, weight: 3, weightPerLevel: 1, groupSize: 5 },
+    swarmer: {
+      cohesion: 0.35,
+    },
+  },
+  carrier: {
+    name: 'carrier',
+    label: 'Spectral Carrier',
+    health: 4,
+    damage: 2,
+    speed: 0.4,
+    shield: 1.5,
+    shieldRegenRate: 4,
+    radius: 60,
+    detectionRange: 7000,
+    subtype: 1,
+    separationInfluence: 0.5,
+    color: 0xaa66ff,
+    spawn: { unlockLevel: 3, weight: 1, weightPerLevel: 0.5, groupSize: 1 },
+    carrier: {
+      launchInterval: 6,
+      maxDrones: 4,
+    },
+  },
+  kamikaze: {
+    name: 'kamikaze',
+    label: 'Spectral Kamikaze',
+    health: 0.6,
+    damage: 2.5,
+    speed: 1.1,
+    shield: 0,
+    shieldRegenRate: 0,
+    radius: 18,
+    detectionRange: 6000,
+    subtype: 0,
+    separationInfluence: 0.3,
+    color: 0xff9900,
+    spawn: { unlockLevel: 2, weight: 1.5, weightPerLevel: 1, groupSize: 1 },
+    kamikaze: {
+      triggerRange: 1200,
+      diveMultiplier: 2.2,
+    },
+  },
+}
+
+const ARCHETYPE_NAMES = Object.keys(ARCHETYPE) as EnemyArchetypeName[]
+
+/**
+ * Look up the archetype of an enemy entity (drones for unknown ids)
+ */
+export function getEnemyArchetype(eid: number): EnemyArchetype {
+  const name = ARCHETYPE_NAMES.find(key => ARCHETYPE[key] === EnemyAI.aiType[eid])
+  return ENEMY_ARCHETYPES[name || 'drone']
+}
+
+export interface ArchetypeSpawnOptions {
+  // Swarm the enemy belongs to
+  groupId?: number
+  // Carrier that launched the enemy
+  launchedBy?: number
+}
+
+/**
+ * Write an archetype's stats into an enemy entity's components.
+ * Position is left to the spawner.
+ *
+ * @param eid - Enemy entity ID
+ * @param name - Archetype to apply
+ * @param base - Base stats for the current difficulty level
+ * @param random - Seeded random source for movement variation
+ * @param options - Swarm group and launching carrier
+ */
+export function applyEnemyArchetype(
+  eid: number,
+  name: EnemyArchetypeName,
+  base: EnemyBaseStats,
+  random: SeededRandom,
+  options: ArchetypeSpawnOptions = {}
+): void {
+  const archetype = ENEMY_ARCHETYPES[name]
+  const health = Math.max(1, Math.round(base.health * archetype.health))
+
+  EnemyAI.aiType[eid] = ARCHETYPE[name]
+  EnemyAI.subtype[eid] = archetype.subtype
+  EnemyAI.state[eid] = 0
+  EnemyAI.detectionRange[eid] = archetype.detectionRange
+  EnemyAI.damage[eid] = base.damage * archetype.damage
+  EnemyAI.speed[eid] = base.speed * archetype.speed
+  EnemyAI.playerFound[eid] = 0
+  EnemyAI.stateTimer[eid] = 0
+  EnemyAI.timeAlive[eid] = 0
+  EnemyAI.spiralAmplitude[eid] = random.float(100, 200)
+  EnemyAI.spiralFrequency[eid] = random.float(1, 2)
+  EnemyAI.spiralPhase[eid] = random.float(0, Math.PI * 2)
+  EnemyAI.isDroneLike[eid] = name === 'carrier' || name === 'sniper' ? 0 : 1
+  EnemyAI.separationInfluence[eid] = archetype.separationInfluence
+
+  Health.current[eid] = health
+  Health.max[eid] = health
+  Health.maxShield[eid] = Math.round(health * archetype.shield)
+  Health.shield[eid] = Health.maxShield[eid]
+  Health.shieldRegenRate[eid] = archetype.shieldRegenRate
+  Health.shieldRegenDelay[eid] = 3
+  Health.timeSinceLastDamage[eid] = 0
+  Health.damageResistance[eid] = 0
+
+  Collider.radius[eid] = archetype.radius
+  Lifetime.age[eid] = 0
+  Lifetime.maxAge[eid] = ENEMY_MAX_AGE
+
+  SeparationForce.x[eid] = 0
+  SeparationForce.y[eid] = 0
+  SeparationForce.z[eid] = 0
+
+  // Component arrays keep values from recycled ids - clear every archetype's fields
+  const sniper = archetype.sniper
+  Sniper.preferredRange[eid] = sniper ? sniper.preferredRange : 0
+  Sniper.fireInterval[eid] = sniper ? sniper.fireInterval : 0
+  // Stagger the first shot so snipers spawned together don't fire in sync
+  Sniper.fireTimer[eid] = sniper ? random.float(0, sniper.fireInterval) : 0
+  Sniper.projectileSpeed[eid] = sniper ? sniper.projectileSpeed : 0
+  Sniper.projectileDamage[eid] = sniper ? base.damage * sniper.projectileDamage : 0
+
+  const swarmer = archetype.swarmer
+  Swarmer.groupId[eid] = swarmer ? options.groupId || 0 : 0
+  Swarmer.cohesion[eid] = swarmer ? swarmer.cohesion : 0
+
+  const carrier = archetype.carrier
+  Carrier.launchInterval[eid] = carrier ? carrier.launchInterval : 0
+  Carrier.launchTimer[eid] = 0
+  Carrier.maxDrones[eid] = carrier ? carrier.maxDrones : 0
+  Carrier.launchedBy[eid] = options.launchedBy !== undefined ? options.launchedBy : -1
+
+  const kamikaze = archetype.kamikaze
+  Kamikaze.triggerRange[eid] = kamikaze ? kamikaze.triggerRange : 0
+  Kamikaze.diveMultiplier[eid] = kamikaze ? kamikaze.diveMultiplier : 0
+  Kamikaze.diving[eid] = 0
+}
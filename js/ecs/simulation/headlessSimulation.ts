@@ -0,0 +1,891 @@
+/**
+ * Headless Simulation Runner
+ *
+ * Drives the bitECS systems with fixed ticks and no renderer or DOM, so
+ * balance changes can be measured from a Node script or a vitest case
+ * instead of by playing the game.
+ *
+ * Each tick mirrors updateECS ordering:
+ * 1. Physics (thrust, drag, integration)
+ * 2. Enemy AI (detection, patrol, pursuit, evade, separation, archetype
+ *    behavior, scaling, kamikaze)
+ * 3. Combat (projectile hits, enemy shots, damage, shield regen, lifetime)
+ * 4. General collision
+ *
+ * Enemies spawn on the live spawn schedule: every DifficultyManager spawn
+ * interval an archetype is picked for the difficulty level and system
+ * classification, and groups are cut short at the enemy cap. Snipers fire,
+ * carriers launch drones and kamikazes dive as they do in updateECS.
+ * A scripted stand-in player holds station, shoots the nearest enemy and
+ * mines the surrounding asteroid field.
+ *
+ * Spawn positions, archetypes and the asteroid field come from seeded
+ * streams. enemyEvadeSystem still uses Math.random for jitter, so runs with
+ * the same seed agree closely but not bit-for-bit.
+ */
+
+import {
+  Position,
+  Velocity,
+  Rotation,
+  Rigidbody,
+  Thrust,
+  Collider,
+  Health,
+  Weapon,
+  Cargo,
+  MiningLaser,
+  Mineable,
+  EnemyAI,
+  SeparationForce,
+  Lifetime,
+} from '../components'
+import { createGameEntity, removeGameEntity } from '../world'
+import {
+  applyThrustSystem,
+  applyDragSystem,
+  integratePositionSystem,
+  collisionSystem,
+  spatialIndexSystem,
+} from '../systems/physicsSystem'
+import { SpatialGrid, SPATIAL_LAYER } from '../spatialGrid'
+import {
+  enemyDetectionSystem,
+  enemyPatrolSystem,
+  enemyPursuitSystem,
+  enemyEvadeSystem,
+  enemySeparationSystem,
+  difficultyScalingSystem,
+  enemyCollisionAttackSystem,
+  type DifficultyConfig,
+} from '../systems/enemyAISystem'
+import {
+  sniperRangeSystem,
+  sniperFireSystem,
+  swarmerCohesionSystem,
+  carrierLaunchSystem,
+  kamikazeDiveSystem,
+  type EnemyShot,
+  type DroneLaunch,
+} from '../systems/enemyArchetypeSystem'
+import {
+  projectileCollisionSystem,
+  damageApplicationSystem,
+  shieldRegenSystem,
+  lifetimeSystem,
+} from '../systems/combatSystem'
+import {
+  miningDetectionSystem,
+  miningHeatSystem,
+  miningProgressSystem,
+  miningExtractionSystem,
+  activateMiningLaser,
+} from '../systems/miningSystem'
+import {
+  applyEnemyArchetype,
+  ENEMY_ARCHETYPES,
+  type ArchetypeSpawnOptions,
+  type EnemyArchetypeName,
+  type EnemyBaseStats,
+} from '../enemyArchetypes'
+import { getGroupPositions, pickArchetype, pickSpawnPosition, type SpawnPosition } from '../../modules/combat/aiAndSpawners.ts'
+import { DifficultyManager } from '../../main/difficultyManager.ts'
+import { RandomService, type SeededRandom } from '../../globals/random.ts'
+
+/**
+ * Stand-in player loadout
+ */
+export interface SimulatedPlayer {
+  hull: number
+  shield: number
+  shieldRegenRate: number
+  shieldRegenDelay: number
+  weaponDamage: number
+  fireRate: number // shots per second
+  weaponRange: number
+  projectileSpeed: number
+  miningPower: number
+}
+
+export interface SimulationOptions {
+  durationSeconds: number
+  // Ticks per second - projectiles can pass through enemies below ~60
+  tickRate: number
+  seed: string
+  hordeMode: boolean
+  player: SimulatedPlayer
+  // Overrides for the scaling config passed to difficultyScalingSystem
+  difficulty: Partial<DifficultyConfig>
+  asteroidCount: number
+  // Star system classification that shifts the archetype mix (null = no shift)
+  classification: string | null
+}
+
+// Options accepted by runSimulation; anything left out uses the defaults
+export type SimulationOverrides = Partial<Omit<SimulationOptions, 'player'>> & {
+  player?: Partial<SimulatedPlayer>
+}
+
+export interface MinuteStats {
+  minute: number
+  difficultyLevel: number
+  spawned: number
+  killed: number
+  kamikazeHits: number
+  peakAlive: number
+  damageTaken: number
+  unitsMined: number
+}
+
+export interface BalanceReport {
+  seed: string
+  hordeMode: boolean
+  durationSeconds: number
+  simulatedSeconds: number
+  survived: boolean
+  combat: {
+    enemiesSpawned: number
+    // Includes drones launched by carriers
+    spawnedByArchetype: Record<EnemyArchetypeName, number>
+    enemiesKilled: number
+    kamikazeHits: number
+    // Seconds from the first shot at an enemy until it dies
+    averageTimeToKill: number
+    shotsFired: number
+    shotsHit: number
+    accuracy: number
+  }
+  damage: {
+    total: number
+    shield: number
+    hull: number
+    finalHull: number
+    finalShield: number
+  }
+  mining: {
+    iron: number
+    gold: number
+    platinum: number
+    asteroidsDepleted: number
+    unitsPerMinute: number
+  }
+  difficulty: {
+    finalLevel: number
+    maxEnemies: number
+    spawnInterval: number
+    enemyHealth: number
+    enemyDamage: number
+    enemySpeed: number
+  }
+  perMinute: MinuteStats[]
+}
+
+// Hull, shield and particle cannon of the starting ship
+export const DEFAULT_SIMULATED_PLAYER: SimulatedPlayer = {
+  hull: 100,
+  shield: 50,
+  shieldRegenRate: 5,
+  shieldRegenDelay: 3,
+  weaponDamage: 20,
+  fireRate: 3,
+  weaponRange: 2000,
+  projectileSpeed: 3000,
+  miningPower: 1,
+}
+
+export const DEFAULT_SIMULATION_OPTIONS: SimulationOptions = {
+  durationSeconds: 600,
+  tickRate: 60,
+  seed: 'balance',
+  hordeMode: false,
+  player: DEFAULT_SIMULATED_PLAYER,
+  difficulty: {},
+  asteroidCount: 12,
+  classification: null,
+}
+
+const PLAYER_RADIUS = 30
+const PROJECTILE_RADIUS = 15
+const ASTEROID_RADIUS = 60
+
+// Sniper shots, as spawnEnemyShot in ecsRunner
+const ENEMY_PROJECTILE_RADIUS = 15
+const ENEMY_PROJECTILE_LIFETIME = 3
+
+const ASTEROID_MIN_DISTANCE = 800
+const ASTEROID_MAX_DISTANCE = 4000
+
+// Chance of each asteroid resource: iron, gold, platinum
+const RESOURCE_WEIGHTS = [0.7, 0.2, 0.1]
+
+interface SimulationState {
+  random: RandomService
+  difficulty: DifficultyManager
+  player: number
+  enemies: number[]
+  projectiles: number[]
+  // Sniper shots - they only hit the player
+  enemyProjectiles: number[]
+  asteroids: number[]
+  // Broadphase for collision, projectile and mining queries, rebuilt as entities come and go
+  index: SpatialGrid
+  // Time of the first shot at each enemy, for time-to-kill
+  engagedAt: Map<number, number>
+  killTimes: number[]
+  timeSinceShot: number
+  timeSinceSpawn: number
+  nextGroupId: number
+  ticks: number
+  elapsed: number
+  report: BalanceReport
+  currentMinute: MinuteStats
+}
+
+/**
+ * Run a headless balance simulation and return its report.
+ * All entities created by the run are removed before returning.
+ */
+export function runSimulation(options: SimulationOverrides = {}): BalanceReport {
+  const config: SimulationOptions = {
+    ...DEFAULT_SIMULATION_OPTIONS,
+    ...options,
+    player: { ...DEFAULT_SIMULATED_PLAYER, ...options.player },
+  }
+
+  const dt = 1 / config.tickRate
+  const totalTicks = Math.ceil(config.durationSeconds * config.tickRate)
+  const state = createState(config)
+
+  spawnAsteroidField(state, config.asteroidCount)
+
+  try {
+    for (let tick = 0; tick < totalTicks; tick++) {
+      stepSimulation(state, config, dt)
+      if (Health.current[state.player] <= 0) break
+    }
+  } finally {
+    finishReport(state)
+    cleanup(state)
+  }
+
+  return state.report
+}
+
+function createState(config: SimulationOptions): SimulationState {
+  const random = new RandomService(config.seed)
+  const player = createPlayer(config.player)
+
+  const report: BalanceReport = {
+    seed: config.seed,
+    hordeMode: config.hordeMode,
+    durationSeconds: config.durationSeconds,
+    simulatedSeconds: 0,
+    survived: true,
+    combat: {
+      enemiesSpawned: 0,
+      spawnedByArchetype: { drone: 0, sniper: 0, swarmer: 0, carrier: 0, kamikaze: 0 },
+      enemiesKilled: 0,
+      kamikazeHits: 0,
+      averageTimeToKill: 0,
+      shotsFired: 0,
+      shotsHit: 0,
+      accuracy: 0,
+    },
+    damage: { total: 0, shield: 0, hull: 0, finalHull: 0, finalShield: 0 },
+    mining: { iron: 0, gold: 0, platinum: 0, asteroidsDepleted: 0, unitsPerMinute: 0 },
+    difficulty: {
+      finalLevel: 1,
+      maxEnemies: 0,
+      spawnInterval: 0,
+      enemyHealth: 0,
+      enemyDamage: 0,
+      enemySpeed: 0,
+    },
+    perMinute: [],
+  }
+
+  const difficulty = new DifficultyManager()
+
+  return {
+    random,
+    difficulty,
+    player,
+    enemies: [],
+    projectiles: [],
+    enemyProjectiles: [],
+    asteroids: [],
+    index: new SpatialGrid(),
+    engagedAt: new Map(),
+    killTimes: [],
+    timeSinceShot: 0,
+    // Spawn the first enemy on the first tick
+    timeSinceSpawn: difficulty.params.spawnInterval,
+    nextGroupId: 1,
+    ticks: 0,
+    elapsed: 0,
+    report,
+    currentMinute: createMinuteStats(0, difficulty.currentLevel),
+  }
+}
+
+function stepSimulation(state: SimulationState, config: SimulationOptions, dt: number): void {
+  const { player, enemies, projectiles, enemyProjectiles } = state
+
+  // Bucket the tick by the time it starts at
+  rollMinute(state)
+  state.ticks++
+  state.elapsed = state.ticks / config.tickRate
+  state.difficulty.update(dt)
+
+  spawnEnemies(state, config, dt)
+  firePlayerWeapon(state, config.player, dt)
+
+  const entities = [player, ...enemies, ...projectiles, ...enemyProjectiles, ...state.asteroids]
+
+  // 1. Physics systems
+  applyThrustSystem(entities, dt)
+  applyDragSystem(entities, dt)
+  integratePositionSystem(entities, dt)
+  rebuildIndex(state)
+
+  // 2. Enemy AI systems
+  const shieldBefore = Health.shield[player]
+  const hullBefore = Health.current[player]
+
+  if (enemies.length > 0) {
+    enemyDetectionSystem(enemies, player)
+    enemyPatrolSystem(enemies, dt)
+    enemyPursuitSystem(enemies, player, dt)
+    enemyEvadeSystem(enemies, player, dt)
+    enemySeparationSystem(enemies)
+
+    // Archetype behavior overrides the shared chase movement
+    sniperRangeSystem(enemies, player)
+    swarmerCohesionSystem(enemies)
+    kamikazeDiveSystem(enemies, player)
+    const shots = sniperFireSystem(enemies, player, dt)
+    const launches = carrierLaunchSystem(enemies, dt)
+
+    difficultyScalingSystem(enemies, buildDifficultyConfig(state, config))
+    enemyCollisionAttackSystem(enemies, player)
+
+    shots.forEach(shot => spawnEnemyShot(state, shot))
+    launches.forEach(launch => launchDrone(state, launch))
+  }
+
+  // 3. Combat systems - the stand-in player's shots only hit enemies
+  if (projectiles.length > 0 && enemies.length > 0) {
+    const events = projectileCollisionSystem(projectiles, enemies, state.index, SPATIAL_LAYER.ENEMY)
+    if (events.length > 0) {
+      damageApplicationSystem(events)
+
+      const spent = new Set<number>()
+      for (const event of events) {
+        if (spent.has(event.projectileEid)) continue
+        spent.add(event.projectileEid)
+        state.report.combat.shotsHit++
+      }
+      spent.forEach(eid => removeFrom(state.projectiles, eid))
+    }
+  }
+
+  // Enemy shots are spent on impact
+  if (enemyProjectiles.length > 0) {
+    const hits = projectileCollisionSystem(enemyProjectiles, [player])
+    if (hits.length > 0) {
+      damageApplicationSystem(hits)
+      hits.forEach(hit => removeFrom(enemyProjectiles, hit.projectileEid))
+    }
+  }
+
+  recordDamage(state, shieldBefore - Health.shield[player], hullBefore - Health.current[player])
+
+  shieldRegenSystem([player, ...enemies], dt)
+
+  const expired = lifetimeSystem([...enemies, ...projectiles, ...enemyProjectiles], dt)
+  for (const eid of expired) {
+    if (enemies.includes(eid)) {
+      // Only kamikaze attacks push an enemy to its max age
+      state.report.combat.kamikazeHits++
+      state.currentMinute.kamikazeHits++
+      removeFrom(enemies, eid)
+    } else if (enemyProjectiles.includes(eid)) {
+      removeFrom(enemyProjectiles, eid)
+    } else {
+      removeFrom(projectiles, eid)
+    }
+  }
+
+  collectKills(state)
+
+  // 4. General collision system (shots and kills have removed entities since the last rebuild)
+  rebuildIndex(state)
+  collisionSystem([player, ...enemies, ...projectiles, ...enemyProjectiles, ...state.asteroids], state.index)
+
+  // The stand-in player holds station
+  Velocity.x[player] = 0
+  Velocity.y[player] = 0
+  Velocity.z[player] = 0
+
+  runMining(state, dt)
+
+  state.currentMinute.peakAlive = Math.max(state.currentMinute.peakAlive, enemies.length)
+}
+
+/**
+ * Mirrors buildDifficultyConfig in ecsRunner, with horde time taken from the run
+ */
+function buildDifficultyConfig(state: SimulationState, config: SimulationOptions): DifficultyConfig {
+  return {
+    healthMultiplier: 1,
+    damageMultiplier: 1,
+    speedMultiplier: 1,
+    isHordeMode: config.hordeMode,
+    hordeSurvivalTime: config.hordeMode ? state.elapsed : 0,
+    ...config.difficulty,
+  }
+}
+
+/**
+ * Mirrors AISpawnerManager.updateSpawnSchedule, placing enemies around the stand-in player
+ */
+function spawnEnemies(state: SimulationState, config: SimulationOptions, dt: number): void {
+  const params = state.difficulty.params
+  state.timeSinceSpawn += dt
+
+  if (state.timeSinceSpawn < params.spawnInterval) return
+
+  // A group only fills the room left under the cap
+  const room = params.maxEnemies - state.enemies.length
+  if (room <= 0) return
+
+  state.timeSinceSpawn = 0
+
+  const random = state.random.stream('spawns')
+  const position = pickSpawnPosition(random, {
+    x: Position.x[state.player],
+    y: Position.y[state.player],
+    z: Position.z[state.player],
+  })
+  const name = pickArchetype(random, state.difficulty.currentLevel, config.classification)
+  const base: EnemyBaseStats = {
+    health: params.enemyHealth,
+    damage: params.enemyDamage,
+    speed: params.enemySpeed,
+  }
+
+  const groupId = ENEMY_ARCHETYPES[name].spawn.groupSize > 1 ? state.nextGroupId++ : 0
+  for (const memberPosition of getGroupPositions(name, position, random, room)) {
+    spawnEnemy(state, name, memberPosition, base, { groupId })
+  }
+}
+
+function spawnEnemy(
+  state: SimulationState,
+  name: EnemyArchetypeName,
+  position: SpawnPosition,
+  base: EnemyBaseStats,
+  options: ArchetypeSpawnOptions = {}
+): number {
+  const eid = createGameEntity()
+  resetEntity(eid)
+
+  Position.x[eid] = position.x
+  Position.y[eid] = position.y
+  Position.z[eid] = position.z
+  applyEnemyArchetype(eid, name, base, state.random.stream('spawns'), options)
+
+  state.enemies.push(eid)
+  state.report.combat.enemiesSpawned++
+  state.report.combat.spawnedByArchetype[name]++
+  state.currentMinute.spawned++
+  return eid
+}
+
+/**
+ * Mirrors launchDrone in ecsRunner
+ */
+function launchDrone(state: SimulationState, launch: DroneLaunch): void {
+  const carrierEid = launch.carrierEid
+  const carrier = ENEMY_ARCHETYPES.carrier
+
+  // Recover the base stats the carrier was spawned with
+  const base: EnemyBaseStats = {
+    health: Health.max[carrierEid] / carrier.health,
+    damage: EnemyAI.damage[carrierEid] / carrier.damage,
+    speed: EnemyAI.speed[carrierEid] / carrier.speed,
+  }
+
+  const drone = spawnEnemy(state, 'drone', launch, base, { launchedBy: carrierEid })
+
+  // Launched drones already know where the player is
+  EnemyAI.playerFound[drone] = 1
+  EnemyAI.state[drone] = 2
+  EnemyAI.spawnX[drone] = launch.x
+  EnemyAI.spawnY[drone] = launch.y
+  EnemyAI.spawnZ[drone] = launch.z
+}
+
+/**
+ * Mirrors spawnEnemyShot in ecsRunner
+ */
+function spawnEnemyShot(state: SimulationState, shot: EnemyShot): void {
+  const eid = createGameEntity()
+  resetEntity(eid)
+
+  Position.x[eid] = shot.x
+  Position.y[eid] = shot.y
+  Position.z[eid] = shot.z
+  Velocity.x[eid] = shot.dirX * shot.speed
+  Velocity.y[eid] = shot.dirY * shot.speed
+  Velocity.z[eid] = shot.dirZ * shot.speed
+
+  Collider.radius[eid] = ENEMY_PROJECTILE_RADIUS
+  Weapon.damage[eid] = shot.damage
+  Lifetime.maxAge[eid] = ENEMY_PROJECTILE_LIFETIME
+
+  state.enemyProjectiles.push(eid)
+}
+
+function firePlayerWeapon(state: SimulationState, player: SimulatedPlayer, dt: number): void {
+  state.timeSinceShot += dt
+  if (state.timeSinceShot < 1 / player.fireRate) return
+
+  const target = findNearestEnemy(state, player.weaponRange)
+  if (target === -1) return
+
+  state.timeSinceShot = 0
+
+  // Lead the target by its current velocity
+  const dist = distanceBetween(state.player, target)
+  const flightTime = dist / player.projectileSpeed
+  const aimX = Position.x[target] + Velocity.x[target] * flightTime - Position.x[state.player]
+  const aimY = Position.y[target] + Velocity.y[target] * flightTime - Position.y[state.player]
+  const aimZ = Position.z[target] + Velocity.z[target] * flightTime - Position.z[state.player]
+  const aimLength = Math.sqrt(aimX * aimX + aimY * aimY + aimZ * aimZ)
+  if (aimLength === 0) return
+
+  const dirX = aimX / aimLength
+  const dirY = aimY / aimLength
+  const dirZ = aimZ / aimLength
+
+  const eid = createGameEntity()
+  resetEntity(eid)
+
+  // Start outside the player's collider so collisionSystem leaves it alone
+  const muzzle = PLAYER_RADIUS + PROJECTILE_RADIUS + 1
+  Position.x[eid] = Position.x[state.player] + dirX * muzzle
+  Position.y[eid] = Position.y[state.player] + dirY * muzzle
+  Position.z[eid] = Position.z[state.player] + dirZ * muzzle
+  Velocity.x[eid] = dirX * player.projectileSpeed
+  Velocity.y[eid] = dirY * player.projectileSpeed
+  Velocity.z[eid] = dirZ * player.projectileSpeed
+  Collider.radius[eid] = PROJECTILE_RADIUS
+  Weapon.damage[eid] = player.weaponDamage
+  Lifetime.maxAge[eid] = player.weaponRange / player.projectileSpeed
+
+  state.projectiles.push(eid)
+  state.report.combat.shotsFired++
+
+  if (!state.engagedAt.has(target)) {
+    state.engagedAt.set(target, state.elapsed)
+  }
+}
+
+function findNearestEnemy(state: SimulationState, range: number): number {
+  let nearest = -1
+  let nearestDist = range
+
+  for (const eid of state.enemies) {
+    const dist = distanceBetween(state.player, eid)
+    if (dist < nearestDist) {
+      nearest = eid
+      nearestDist = dist
+    }
+  }
+
+  return nearest
+}
+
+function collectKills(state: SimulationState): void {
+  for (const eid of [...state.enemies]) {
+    if (Health.current[eid] > 0) continue
+
+    const engagedAt = state.engagedAt.get(eid)
+    if (engagedAt !== undefined) {
+      state.killTimes.push(state.elapsed - engagedAt)
+      state.engagedAt.delete(eid)
+    }
+
+    state.report.combat.enemiesKilled++
+    state.currentMinute.killed++
+    removeFrom(state.enemies, eid)
+  }
+}
+
+function rebuildIndex(state: SimulationState): void {
+  const { index } = state
+  index.clear()
+  spatialIndexSystem(index, [state.player], () => SPATIAL_LAYER.PLAYER)
+  spatialIndexSystem(index, state.enemies, () => SPATIAL_LAYER.ENEMY)
+  spatialIndexSystem(index, state.projectiles, () => SPATIAL_LAYER.PROJECTILE)
+  spatialIndexSystem(index, state.enemyProjectiles, () => SPATIAL_LAYER.ENEMY_PROJECTILE)
+  spatialIndexSystem(index, state.asteroids, () => SPATIAL_LAYER.ASTEROID)
+}
+
+function runMining(state: SimulationState, dt: number): void {
+  const miners = [state.player]
+
+  if (!MiningLaser.active[state.player]) {
+    miningDetectionSystem(miners, state.asteroids, state.index)
+    if (MiningLaser.targetEntity[state.player] !== 0) {
+      activateMiningLaser(state.player)
+    }
+  }
+
+  const before = Cargo.usedCapacity[state.player]
+  miningHeatSystem(miners, dt)
+  miningProgressSystem(miners, dt)
+  const depleted = miningExtractionSystem(miners)
+  state.currentMinute.unitsMined += Cargo.usedCapacity[state.player] - before
+
+  for (const eid of depleted) {
+    removeFrom(state.asteroids, eid)
+    state.report.mining.asteroidsDepleted++
+    // Keep the field the same size
+    spawnAsteroidField(state, 1)
+  }
+}
+
+function spawnAsteroidField(state: SimulationState, count: number): void {
+  const random = state.random.stream('asteroids')
+
+  for (let i = 0; i < count; i++) {
+    const eid = createGameEntity()
+    resetEntity(eid)
+
+    placeAroundOrigin(eid, random, ASTEROID_MIN_DISTANCE, ASTEROID_MAX_DISTANCE)
+    Collider.radius[eid] = ASTEROID_RADIUS
+
+    const amount = random.int(20, 60)
+    Mineable.resourceType[eid] = pickWeighted(random, RESOURCE_WEIGHTS)
+    Mineable.totalAmount[eid] = amount
+    Mineable.remainingAmount[eid] = amount
+    Mineable.miningDifficulty[eid] = 1
+    Mineable.beingMined[eid] = 0
+
+    state.asteroids.push(eid)
+  }
+}
+
+function createPlayer(player: SimulatedPlayer): number {
+  const eid = createGameEntity()
+  resetEntity(eid)
+
+  Collider.radius[eid] = PLAYER_RADIUS
+
+  Health.current[eid] = player.hull
+  Health.max[eid] = player.hull
+  Health.shield[eid] = player.shield
+  Health.maxShield[eid] = player.shield
+  Health.shieldRegenRate[eid] = player.shieldRegenRate
+  Health.shieldRegenDelay[eid] = player.shieldRegenDelay
+
+  MiningLaser.power[eid] = player.miningPower
+  Cargo.maxCapacity[eid] = Number.MAX_SAFE_INTEGER
+
+  return eid
+}
+
+/**
+ * Component arrays keep values from recycled entity ids - zero everything the run reads
+ */
+function resetEntity(eid: number): void {
+  Position.x[eid] = 0
+  Position.y[eid] = 0
+  Position.z[eid] = 0
+  Velocity.x[eid] = 0
+  Velocity.y[eid] = 0
+  Velocity.z[eid] = 0
+  Rotation.x[eid] = 0
+  Rotation.y[eid] = 0
+  Rotation.z[eid] = 0
+  Rotation.w[eid] = 1
+  Rigidbody.drag[eid] = 0
+  Thrust.forward[eid] = 0
+  Thrust.backward[eid] = 0
+  Thrust.left[eid] = 0
+  Thrust.right[eid] = 0
+  Thrust.up[eid] = 0
+  Thrust.down[eid] = 0
+  Thrust.boost[eid] = 0
+  Collider.radius[eid] = 0
+
+  Health.current[eid] = 0
+  Health.max[eid] = 0
+  Health.shield[eid] = 0
+  Health.maxShield[eid] = 0
+  Health.shieldRegenRate[eid] = 0
+  Health.shieldRegenDelay[eid] = 0
+  Health.timeSinceLastDamage[eid] = 0
+  Health.damageResistance[eid] = 0
+
+  Weapon.damage[eid] = 0
+  Lifetime.age[eid] = 0
+  Lifetime.maxAge[eid] = 0
+
+  Cargo.maxCapacity[eid] = 0
+  Cargo.usedCapacity[eid] = 0
+  Cargo.iron[eid] = 0
+  Cargo.gold[eid] = 0
+  Cargo.platinum[eid] = 0
+
+  MiningLaser.active[eid] = 0
+  MiningLaser.targetEntity[eid] = 0
+  MiningLaser.progress[eid] = 0
+  MiningLaser.power[eid] = 0
+  MiningLaser.range[eid] = 0
+  MiningLaser.ironRate[eid] = 0
+  MiningLaser.goldRate[eid] = 0
+  MiningLaser.platinumRate[eid] = 0
+  MiningLaser.heat[eid] = 0
+  MiningLaser.heatCapacity[eid] = 0
+  MiningLaser.overheated[eid] = 0
+  MiningLaser.suspendedTarget[eid] = 0
+
+  EnemyAI.state[eid] = 0
+  EnemyAI.playerFound[eid] = 0
+  EnemyAI.stateTimer[eid] = 0
+  EnemyAI.timeAlive[eid] = 0
+  SeparationForce.x[eid] = 0
+  SeparationForce.y[eid] = 0
+  SeparationForce.z[eid] = 0
+}
+
+function recordDamage(state: SimulationState, shieldDamage: number, hullDamage: number): void {
+  if (shieldDamage <= 0 && hullDamage <= 0) return
+
+  const damage = state.report.damage
+  damage.shield += Math.max(0, shieldDamage)
+  damage.hull += Math.max(0, hullDamage)
+  damage.total = damage.shield + damage.hull
+  state.currentMinute.damageTaken += Math.max(0, shieldDamage) + Math.max(0, hullDamage)
+}
+
+function rollMinute(state: SimulationState): void {
+  const minute = Math.floor(state.elapsed / 60)
+  if (minute === state.currentMinute.minute) return
+
+  state.report.perMinute.push(state.currentMinute)
+  state.currentMinute = createMinuteStats(minute, state.difficulty.currentLevel)
+}
+
+function createMinuteStats(minute: number, difficultyLevel: number): MinuteStats {
+  return {
+    minute,
+    difficultyLevel,
+    spawned: 0,
+    killed: 0,
+    kamikazeHits: 0,
+    peakAlive: 0,
+    damageTaken: 0,
+    unitsMined: 0,
+  }
+}
+
+function finishReport(state: SimulationState): void {
+  const { report, player } = state
+
+  if (state.ticks > 0) {
+    report.perMinute.push(state.currentMinute)
+  }
+
+  report.simulatedSeconds = round(state.elapsed)
+  report.survived = Health.current[player] > 0
+  report.damage.finalHull = Health.current[player]
+  report.damage.finalShield = Health.shield[player]
+
+  const combat = report.combat
+  combat.averageTimeToKill = state.killTimes.length > 0
+    ? round(state.killTimes.reduce((sum, time) => sum + time, 0) / state.killTimes.length)
+    : 0
+  combat.accuracy = combat.shotsFired > 0 ? round(combat.shotsHit / combat.shotsFired) : 0
+
+  const damage = report.damage
+  damage.shield = round(damage.shield)
+  damage.hull = round(damage.hull)
+  damage.total = round(damage.total)
+  damage.finalHull = round(damage.finalHull)
+  damage.finalShield = round(damage.finalShield)
+  for (const minute of report.perMinute) {
+    minute.damageTaken = round(minute.damageTaken)
+  }
+
+  report.mining.iron = Cargo.iron[player]
+  report.mining.gold = Cargo.gold[player]
+  report.mining.platinum = Cargo.platinum[player]
+  const minutes = state.elapsed / 60
+  report.mining.unitsPerMinute = minutes > 0 ? round(Cargo.usedCapacity[player] / minutes) : 0
+
+  const params = state.difficulty.params
+  report.difficulty = {
+    finalLevel: state.difficulty.currentLevel,
+    maxEnemies: params.maxEnemies,
+    spawnInterval: params.spawnInterval,
+    enemyHealth: params.enemyHealth,
+    enemyDamage: params.enemyDamage,
+    enemySpeed: params.enemySpeed,
+  }
+}
+
+function cleanup(state: SimulationState): void {
+  const all = [state.player, ...state.enemies, ...state.projectiles, ...state.enemyProjectiles, ...state.asteroids]
+  for (const eid of all) {
+    removeGameEntity(eid)
+  }
+  state.enemies.length = 0
+  state.projectiles.length = 0
+  state.enemyProjectiles.length = 0
+  state.asteroids.length = 0
+  state.index.clear()
+}
+
+function placeAroundOrigin(eid: number, random: SeededRandom, minDistance: number, maxDistance: number): void {
+  // Uniform direction on a sphere
+  const theta = random.float(0, Math.PI * 2)
+  const cosPhi = random.float(-1, 1)
+  const sinPhi = Math.sqrt(1 - cosPhi * cosPhi)
+  const distance = random.float(minDistance, maxDistance)
+
+  Position.x[eid] = Math.cos(theta) * sinPhi * distance
+  Position.y[eid] = cosPhi * distance
+  Position.z[eid] = Math.sin(theta) * sinPhi * distance
+}
+
+function pickWeighted(random: SeededRandom, weights: number[]): number {
+  let roll = random.next()
+  for (let i = 0; i < weights.length; i++) {
+    roll -= weights[i]
+    if (roll < 0) return i
+  }
+  return weights.length - 1
+}
+
+function distanceBetween(a: number, b: number): number {
+  const dx = Position.x[a] - Position.x[b]
+  const dy = Position.y[a] - Position.y[b]
+  const dz = Position.z[a] - Position.z[b]
+  return Math.sqrt(dx * dx + dy * dy + dz * dz)
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100
+}
+
+function removeFrom(list: number[], eid: number): void {
+  const index = list.indexOf(eid)
+  if (index !== -1) {
+    list.splice(index, 1)
+    removeGameEntity(eid)
+  }
+}
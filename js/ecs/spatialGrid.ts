@@ -0,0 +1,478 @@
+/**
+ * Spatial Grid - Shared broadphase for bitECS and legacy systems
+ *
+ * Uniform hash grid over entity ids. Each entry is a sphere (position plus
+ * radius) tagged with layer bits, stored in every cell its bounds overlap.
+ * Radius, nearest and ray queries visit only the cells they touch, and fall
+ * back to a linear scan when that would cost more than checking every entry
+ * (very large queries on sparse grids).
+ *
+ * The grid is a broadphase: callers still run their exact narrowphase test
+ * against current positions.
+ */
+
+// Layer bits; an entity can sit on several
+export const SPATIAL_LAYER = {
+  PLAYER: 1,
+  ENEMY: 2,
+  ASTEROID: 4,
+  PROJECTILE: 8,
+  ENEMY_PROJECTILE: 16,
+  PLANET: 32,
+  OTHER: 64,
+} as const
+
+export const ALL_LAYERS = ~0
+
+export const DEFAULT_CELL_SIZE = 500
+
+// Entries overlapping more cells than this are kept in a list every query checks
+const MAX_ENTRY_CELLS = 64
+
+// Cell coordinates are clamped to +/- this so cell keys stay small integers
+// (+/- 256000 units at the default cell size; anything further shares the edge cells)
+const CELL_LIMIT = 512
+
+// Looking up a cell costs about this many entry checks
+const CELL_VISIT_COST = 4
+
+interface GridEntry {
+  id: number
+  // Position in the entry list, for swap-removal
+  slot: number
+  x: number
+  y: number
+  z: number
+  radius: number
+  layers: number
+  // Covered cell range; unused for oversized entries
+  minX: number
+  minY: number
+  minZ: number
+  maxX: number
+  maxY: number
+  maxZ: number
+  oversized: boolean
+  // Last query that visited this entry, to skip duplicates across cells
+  stamp: number
+}
+
+type Visitor = (entry: GridEntry) => void
+
+export interface RayHit {
+  id: number
+  distance: number
+}
+
+export class SpatialGrid {
+  readonly cellSize: number
+  private entries: Map<number, GridEntry>
+  // Same entries as a dense list, for linear scans
+  private list: GridEntry[]
+  private cells: Map<number, GridEntry[]>
+  private oversized: Set<GridEntry>
+  private stamp: number
+  // Occupied cell bounds; queries are clamped to them (they only grow until clear())
+  private bounds: { minX: number; minY: number; minZ: number; maxX: number; maxY: number; maxZ: number }
+
+  constructor(cellSize: number = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize
+    this.entries = new Map()
+    this.list = []
+    this.cells = new Map()
+    this.oversized = new Set()
+    this.stamp = 0
+    this.bounds = emptyBounds()
+  }
+
+  get size(): number {
+    return this.list.length
+  }
+
+  has(id: number): boolean {
+    return this.entries.has(id)
+  }
+
+  /**
+   * Insert an entry or move it; cells only change when its bounds cross a cell edge
+   */
+  update(id: number, x: number, y: number, z: number, radius: number = 0, layers: number = ALL_LAYERS): void {
+    const r = Math.max(0, radius)
+    const minX = this.toCell(x - r)
+    const minY = this.toCell(y - r)
+    const minZ = this.toCell(z - r)
+    const maxX = this.toCell(x + r)
+    const maxY = this.toCell(y + r)
+    const maxZ = this.toCell(z + r)
+    const oversized = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1) > MAX_ENTRY_CELLS
+
+    let entry = this.entries.get(id)
+    if (entry && entry.oversized === oversized && (oversized || (
+      entry.minX === minX && entry.minY === minY && entry.minZ === minZ &&
+      entry.maxX === maxX && entry.maxY === maxY && entry.maxZ === maxZ
+    ))) {
+      entry.x = x
+      entry.y = y
+      entry.z = z
+      entry.radius = r
+      entry.layers = layers
+      return
+    }
+
+    if (entry) {
+      this.unlink(entry)
+    } else {
+      entry = { id, slot: this.list.length, x, y, z, radius: r, layers, minX, minY, minZ, maxX, maxY, maxZ, oversized, stamp: 0 }
+      this.entries.set(id, entry)
+      this.list.push(entry)
+    }
+
+    entry.x = x
+    entry.y = y
+    entry.z = z
+    entry.radius = r
+    entry.layers = layers
+    entry.minX = minX
+    entry.minY = minY
+    entry.minZ = minZ
+    entry.maxX = maxX
+    entry.maxY = maxY
+    entry.maxZ = maxZ
+    entry.oversized = oversized
+    this.link(entry)
+  }
+
+  remove(id: number): void {
+    const entry = this.entries.get(id)
+    if (!entry) return
+    this.unlink(entry)
+    this.entries.delete(id)
+
+    const last = this.list.pop()!
+    if (last !== entry) {
+      last.slot = entry.slot
+      this.list[entry.slot] = last
+    }
+  }
+
+  clear(): void {
+    this.entries.clear()
+    this.list.length = 0
+    this.cells.clear()
+    this.oversized.clear()
+    this.bounds = emptyBounds()
+  }
+
+  /**
+   * Entries whose sphere touches the query sphere
+   * @param out Array to append to, so hot paths can reuse one
+   */
+  queryRadius(x: number, y: number, z: number, radius: number, layers: number = ALL_LAYERS, out: number[] = []): number[] {
+    const stamp = ++this.stamp
+    const visit = (entry: GridEntry): void => {
+      if (entry.stamp === stamp || (entry.layers & layers) === 0) return
+      entry.stamp = stamp
+      const reach = radius + entry.radius
+      if (distanceSq(entry, x, y, z) <= reach * reach) out.push(entry.id)
+    }
+
+    this.visitBox(x - radius, y - radius, z - radius, x + radius, y + radius, z + radius, visit)
+    return out
+  }
+
+  /**
+   * Entry whose centre is closest to the point, within maxDistance
+   * @param accept Optional extra test, e.g. "not depleted"
+   * @returns The entry id, or -1 if none qualifies
+   */
+  nearest(
+    x: number,
+    y: number,
+    z: number,
+    maxDistance: number,
+    layers: number = ALL_LAYERS,
+    accept?: (id: number) => boolean
+  ): number {
+    const stamp = ++this.stamp
+    let bestId = -1
+    let bestDistSq = maxDistance * maxDistance
+
+    const visit = (entry: GridEntry): void => {
+      if (entry.stamp === stamp || (entry.layers & layers) === 0) return
+      entry.stamp = stamp
+      const distSq = distanceSq(entry, x, y, z)
+      if (distSq <= bestDistSq && (!accept || accept(entry.id))) {
+        bestId = entry.id
+        bestDistSq = distSq
+      }
+    }
+
+    this.oversized.forEach(visit)
+    if (this.cells.size === 0) return bestId
+
+    const cx = this.toCell(x)
+    const cy = this.toCell(y)
+    const cz = this.toCell(z)
+    const b = this.bounds
+
+    // No need to search past the far edge of the occupied cells
+    const reach = Math.min(
+      Math.ceil(maxDistance / this.cellSize),
+      Math.max(cx - b.minX, b.maxX - cx, cy - b.minY, b.maxY - cy, cz - b.minZ, b.maxZ - cz)
+    )
+
+    // Grow Chebyshev rings of cells; once the best centre is within k cells
+    // nothing in ring k + 1 or beyond can beat it. If the rings cost more
+    // than checking every entry, finish with a linear scan instead.
+    let budget = this.list.length
+    for (let k = 0; k <= reach; k++) {
+      budget -= this.visitRing(cx, cy, cz, k, visit) * CELL_VISIT_COST
+      if (bestId !== -1 && Math.sqrt(bestDistSq) <= k * this.cellSize) break
+      if (budget < 0) {
+        this.scanAll(visit)
+        break
+      }
+    }
+    return bestId
+  }
+
+  /**
+   * First entry sphere hit by a ray
+   * @param dx, dy, dz Ray direction; need not be normalised
+   * @returns The hit, or null if nothing is hit within maxDistance
+   */
+  raycast(
+    ox: number,
+    oy: number,
+    oz: number,
+    dx: number,
+    dy: number,
+    dz: number,
+    maxDistance: number,
+    layers: number = ALL_LAYERS,
+    accept?: (id: number) => boolean
+  ): RayHit | null {
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    if (length === 0) return null
+    dx /= length
+    dy /= length
+    dz /= length
+
+    const stamp = ++this.stamp
+    let best: RayHit | null = null
+    const visit = (entry: GridEntry): void => {
+      if (entry.stamp === stamp || (entry.layers & layers) === 0) return
+      entry.stamp = stamp
+      const t = raySphere(ox, oy, oz, dx, dy, dz, entry)
+      if (t !== null && t <= maxDistance && (!best || t < best.distance) && (!accept || accept(entry.id))) {
+        best = { id: entry.id, distance: t }
+      }
+    }
+
+    this.oversized.forEach(visit)
+
+    // A ray crosses at most three cells per cell length travelled
+    const steps = Math.ceil(maxDistance / this.cellSize) * 3 + 1
+    if (this.preferLinearScan(steps)) {
+      this.scanAll(visit)
+      return best
+    }
+
+    // 3D DDA through the cells along the ray
+    let cx = this.toCell(ox)
+    let cy = this.toCell(oy)
+    let cz = this.toCell(oz)
+    const stepX = dx > 0 ? 1 : dx < 0 ? -1 : 0
+    const stepY = dy > 0 ? 1 : dy < 0 ? -1 : 0
+    const stepZ = dz > 0 ? 1 : dz < 0 ? -1 : 0
+    const boundary = (cell: number, step: number, origin: number, dir: number): number =>
+      step === 0 ? Infinity : ((cell + (step > 0 ? 1 : 0)) * this.cellSize - origin) / dir
+    let tMaxX = boundary(cx, stepX, ox, dx)
+    let tMaxY = boundary(cy, stepY, oy, dy)
+    let tMaxZ = boundary(cz, stepZ, oz, dz)
+    const tDeltaX = stepX === 0 ? Infinity : this.cellSize / Math.abs(dx)
+    const tDeltaY = stepY === 0 ? Infinity : this.cellSize / Math.abs(dy)
+    const tDeltaZ = stepZ === 0 ? Infinity : this.cellSize / Math.abs(dz)
+
+    let tEnter = 0
+    while (tEnter <= maxDistance) {
+      const cell = this.cells.get(cellKey(cx, cy, cz))
+      if (cell) {
+        for (let i = 0; i < cell.length; i++) visit(cell[i])
+      }
+
+      // A hit before this cell's exit can't be beaten by later cells
+      const tExit = Math.min(tMaxX, tMaxY, tMaxZ)
+      if (best && (best as RayHit).distance <= tExit) break
+
+      if (tMaxX === tExit) {
+        cx += stepX
+        tMaxX += tDeltaX
+      } else if (tMaxY === tExit) {
+        cy += stepY
+        tMaxY += tDeltaY
+      } else {
+        cz += stepZ
+        tMaxZ += tDeltaZ
+      }
+      tEnter = tExit
+    }
+    return best
+  }
+
+  private toCell(value: number): number {
+    const cell = Math.floor(value / this.cellSize)
+    return Math.max(-CELL_LIMIT, Math.min(CELL_LIMIT - 1, cell))
+  }
+
+  private link(entry: GridEntry): void {
+    if (entry.oversized) {
+      this.oversized.add(entry)
+      return
+    }
+
+    for (let cx = entry.minX; cx <= entry.maxX; cx++) {
+      for (let cy = entry.minY; cy <= entry.maxY; cy++) {
+        for (let cz = entry.minZ; cz <= entry.maxZ; cz++) {
+          const key = cellKey(cx, cy, cz)
+          const cell = this.cells.get(key)
+          if (cell) {
+            cell.push(entry)
+          } else {
+            this.cells.set(key, [entry])
+          }
+        }
+      }
+    }
+
+    const bounds = this.bounds
+    bounds.minX = Math.min(bounds.minX, entry.minX)
+    bounds.minY = Math.min(bounds.minY, entry.minY)
+    bounds.minZ = Math.min(bounds.minZ, entry.minZ)
+    bounds.maxX = Math.max(bounds.maxX, entry.maxX)
+    bounds.maxY = Math.max(bounds.maxY, entry.maxY)
+    bounds.maxZ = Math.max(bounds.maxZ, entry.maxZ)
+  }
+
+  private unlink(entry: GridEntry): void {
+    if (entry.oversized) {
+      this.oversized.delete(entry)
+      return
+    }
+
+    for (let cx = entry.minX; cx <= entry.maxX; cx++) {
+      for (let cy = entry.minY; cy <= entry.maxY; cy++) {
+        for (let cz = entry.minZ; cz <= entry.maxZ; cz++) {
+          const key = cellKey(cx, cy, cz)
+          const cell = this.cells.get(key)
+          if (!cell) continue
+          const index = cell.indexOf(entry)
+          if (index !== -1) {
+            // Order within a cell doesn't matter, so swap-remove
+            cell[index] = cell[cell.length - 1]
+            cell.pop()
+          }
+          if (cell.length === 0) this.cells.delete(key)
+        }
+      }
+    }
+  }
+
+  private countCells(minX: number, minY: number, minZ: number, maxX: number, maxY: number, maxZ: number): number {
+    const b = this.bounds
+    const spanX = Math.min(maxX, b.maxX) - Math.max(minX, b.minX) + 1
+    const spanY = Math.min(maxY, b.maxY) - Math.max(minY, b.minY) + 1
+    const spanZ = Math.min(maxZ, b.maxZ) - Math.max(minZ, b.minZ) + 1
+    return spanX > 0 && spanY > 0 && spanZ > 0 ? spanX * spanY * spanZ : 0
+  }
+
+  private preferLinearScan(cellCount: number): boolean {
+    return cellCount * CELL_VISIT_COST > this.list.length
+  }
+
+  // Every entry, oversized ones included
+  private scanAll(visit: Visitor): void {
+    const list = this.list
+    for (let i = 0; i < list.length; i++) visit(list[i])
+  }
+
+  // Visit every entry in the cells overlapping a world-space box, plus oversized entries
+  private visitBox(x0: number, y0: number, z0: number, x1: number, y1: number, z1: number, visit: Visitor): void {
+    const b = this.bounds
+    const minX = Math.max(this.toCell(x0), b.minX)
+    const minY = Math.max(this.toCell(y0), b.minY)
+    const minZ = Math.max(this.toCell(z0), b.minZ)
+    const maxX = Math.min(this.toCell(x1), b.maxX)
+    const maxY = Math.min(this.toCell(y1), b.maxY)
+    const maxZ = Math.min(this.toCell(z1), b.maxZ)
+
+    if (this.preferLinearScan(this.countCells(minX, minY, minZ, maxX, maxY, maxZ))) {
+      this.scanAll(visit)
+      return
+    }
+
+    this.oversized.forEach(visit)
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const cell = this.cells.get(cellKey(cx, cy, cz))
+          if (!cell) continue
+          for (let i = 0; i < cell.length; i++) visit(cell[i])
+        }
+      }
+    }
+  }
+
+  // Visit the cells exactly k cells (Chebyshev distance) from the centre cell
+  // @returns How many cells were looked up
+  private visitRing(cx: number, cy: number, cz: number, k: number, visit: Visitor): number {
+    const b = this.bounds
+    let lookups = 0
+    for (let x = Math.max(cx - k, b.minX); x <= Math.min(cx + k, b.maxX); x++) {
+      for (let y = Math.max(cy - k, b.minY); y <= Math.min(cy + k, b.maxY); y++) {
+        const onShell = Math.abs(x - cx) === k || Math.abs(y - cy) === k
+        // Inside the shell only the two z faces belong to this ring
+        const zStep = onShell || k === 0 ? 1 : 2 * k
+        for (let z = cz - k; z <= cz + k; z += zStep) {
+          if (z < b.minZ || z > b.maxZ) continue
+          lookups++
+          const cell = this.cells.get(cellKey(x, y, z))
+          if (!cell) continue
+          for (let i = 0; i < cell.length; i++) visit(cell[i])
+        }
+      }
+    }
+    return lookups
+  }
+}
+
+function emptyBounds() {
+  return { minX: Infinity, minY: Infinity, minZ: Infinity, maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity }
+}
+
+// Packs the clamped cell coordinates into one integer below 2^30
+function cellKey(cx: number, cy: number, cz: number): number {
+  const span = CELL_LIMIT * 2
+  return ((cx + CELL_LIMIT) * span + (cy + CELL_LIMIT)) * span + (cz + CELL_LIMIT)
+}
+
+function distanceSq(entry: GridEntry, x: number, y: number, z: number): number {
+  const dx = entry.x - x
+  const dy = entry.y - y
+  const dz = entry.z - z
+  return dx * dx + dy * dy + dz * dz
+}
+
+// Distance along a normalised ray to a sphere, 0 if the origin is inside it
+function raySphere(ox: number, oy: number, oz: number, dx: number, dy: number, dz: number, entry: GridEntry): number | null {
+  const mx = ox - entry.x
+  const my = oy - entry.y
+  const mz = oz - entry.z
+  const b = mx * dx + my * dy + mz * dz
+  const c = mx * mx + my * my + mz * mz - entry.radius * entry.radius
+  if (c <= 0) return 0
+  if (b > 0) return null
+  const discriminant = b * b - c
+  if (discriminant < 0) return null
+  return -b - Math.sqrt(discriminant)
+}
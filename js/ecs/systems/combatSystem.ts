@@ -6,6 +6,7 @@
  */
 
 import { Collider, Health, Lifetime, Position, Weapon } from '../components'
+import { ALL_LAYERS, type SpatialGrid } from '../spatialGrid'
 
 export type CollisionEvent = {
   projectileEid: number
@@ -13,104 +14,135 @@ export type CollisionEvent = {
   hitPosition: { x: number; y: number; z: number }
 }
 
+// Reused between calls to avoid a per-projectile allocation
+const hitCandidates: number[] = []
+
 /**
  * Detect collisions between projectiles and targets using sphere collision.
+ *
+ * @param index - Optional spatial grid; when given, targets are the grid
+ *                entries on targetLayers near each projectile and `targets`
+ *                is not scanned
  */
 export function projectileCollisionSystem(
   projectiles: number[],
-  targets: number[]
+  targets: number[],
+  index?: SpatialGrid,
+  targetLayers: number = ALL_LAYERS
 ): CollisionEvent[] {
   const events: CollisionEvent[] = []
 
   for (let i = 0; i < projectiles.length; i++) {
     const projectileEid = projectiles[i]
 
-    const projX = Position.x[projectileEid]
-    const projY = Position.y[projectileEid]
-    const projZ = Position.z[projectileEid]
-    const projRadius = Collider.radius[projectileEid]
+    if (index) {
+      hitCandidates.length = 0
+      index.queryRadius(
+        Position.x[projectileEid],
+        Position.y[projectileEid],
+        Position.z[projectileEid],
+        Collider.radius[projectileEid],
+        targetLayers,
+        hitCandidates
+      )
+      for (let j = 0; j < hitCandidates.length; j++) {
+        testProjectileHit(projectileEid, hitCandidates[j], events)
+      }
+      continue
+    }
 
     for (let j = 0; j < targets.length; j++) {
-      const targetEid = targets[j]
-
-      if (targetEid === projectileEid) continue
-
-      const dx = projX - Position.x[targetEid]
-      const dy = projY - Position.y[targetEid]
-      const dz = projZ - Position.z[targetEid]
-      const distSq = dx * dx + dy * dy + dz * dz
-
-      const radiusSum = projRadius + Collider.radius[targetEid]
-      const radiusSumSq = radiusSum * radiusSum
-
-      if (distSq <= radiusSumSq) {
-        let hitX = Position.x[targetEid]
-        let hitY = Position.y[targetEid]
-        let hitZ = Position.z[targetEid]
-
-        if (distSq > 0) {
-          const dist = Math.sqrt(distSq)
-          const nx = dx / dist
-          const ny = dy / dist
-          const nz = dz / dist
-          const targetRadius = Collider.radius[targetEid]
-
-          hitX += nx * targetRadius
-          hitY += ny * targetRadius
-          hitZ += nz * targetRadius
-        }
-
-        events.push({
-          projectileEid,
-          targetEid,
-          hitPosition: { x: hitX, y: hitY, z: hitZ },
-        })
-      }
+      testProjectileHit(projectileEid, targets[j], events)
     }
   }
 
   return events
 }
 
+function testProjectileHit(projectileEid: number, targetEid: number, events: CollisionEvent[]): void {
+  if (targetEid === projectileEid) return
+
+  const projX = Position.x[projectileEid]
+  const projY = Position.y[projectileEid]
+  const projZ = Position.z[projectileEid]
+
+  const dx = projX - Position.x[targetEid]
+  const dy = projY - Position.y[targetEid]
+  const dz = projZ - Position.z[targetEid]
+  const distSq = dx * dx + dy * dy + dz * dz
+
+  const radiusSum = Collider.radius[projectileEid] + Collider.radius[targetEid]
+  const radiusSumSq = radiusSum * radiusSum
+
+  if (distSq <= radiusSumSq) {
+    let hitX = Position.x[targetEid]
+    let hitY = Position.y[targetEid]
+    let hitZ = Position.z[targetEid]
+
+    if (distSq > 0) {
+      const dist = Math.sqrt(distSq)
+      const nx = dx / dist
+      const ny = dy / dist
+      const nz = dz / dist
+      const targetRadius = Collider.radius[targetEid]
+
+      hitX += nx * targetRadius
+      hitY += ny * targetRadius
+      hitZ += nz * targetRadius
+    }
+
+    events.push({
+      projectileEid,
+      targetEid,
+      hitPosition: { x: hitX, y: hitY, z: hitZ },
+    })
+  }
+}
+
 /**
  * Apply damage from projectile hits to targets.
  */
 export function damageApplicationSystem(events: CollisionEvent[]): void {
   for (let i = 0; i < events.length; i++) {
     const { projectileEid, targetEid } = events[i]
+    applyDamage(targetEid, Weapon.damage[projectileEid])
+  }
+}
 
-    const baseDamage = Weapon.damage[projectileEid]
-    if (baseDamage <= 0) continue
-
-    const resistance = clamp01(Health.damageResistance[targetEid])
-    const damage = baseDamage * (1 - resistance)
+/**
+ * Apply damage to a single target: shields absorb it first, then health.
+ */
+export function applyDamage(targetEid: number, baseDamage: number): void {
+  if (baseDamage <= 0) return
 
-    if (damage <= 0) continue
+  const resistance = clamp01(Health.damageResistance[targetEid])
+  const damage = baseDamage * (1 - resistance)
 
-    const currentShield = Health.shield[targetEid]
-    if (currentShield > 0) {
-      if (damage <= currentShield) {
-        Health.shield[targetEid] = currentShield - damage
-        Health.timeSinceLastDamage[targetEid] = 0
-        continue
-      }
+  if (damage <= 0) return
 
-      const remaining = damage - currentShield
-      Health.shield[targetEid] = 0
-      Health.current[targetEid] = Math.max(
-        0,
-        Health.current[targetEid] - remaining
-      )
+  const currentShield = Health.shield[targetEid]
+  if (currentShield > 0) {
+    if (damage <= currentShield) {
+      Health.shield[targetEid] = currentShield - damage
       Health.timeSinceLastDamage[targetEid] = 0
-      continue
+      return
     }
 
+    const remaining = damage - currentShield
+    Health.shield[targetEid] = 0
     Health.current[targetEid] = Math.max(
       0,
-      Health.current[targetEid] - damage
+      Health.current[targetEid] - remaining
     )
     Health.timeSinceLastDamage[targetEid] = 0
+    return
   }
+
+  Health.current[targetEid] = Math.max(
+    0,
+    Health.current[targetEid] - damage
+  )
+  Health.timeSinceLastDamage[targetEid] = 0
 }
 
 /**
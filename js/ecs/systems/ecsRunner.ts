@@ -11,9 +11,11 @@ import {
   applyDragSystem,
   integratePositionSystem,
   collisionSystem,
+  spatialIndexSystem,
   renderSyncSystem,
   createMeshRegistry,
   registerMesh,
+  unregisterMesh,
   type MeshRegistry,
   enemyDetectionSystem,
   enemyPatrolSystem,
@@ -25,18 +27,60 @@ import {
   enemyCollisionAttackSystem,
   projectileCollisionSystem,
   damageApplicationSystem,
+  applyDamage,
   shieldRegenSystem,
   lifetimeSystem,
+  sniperRangeSystem,
+  sniperFireSystem,
+  swarmerCohesionSystem,
+  carrierLaunchSystem,
+  kamikazeDiveSystem,
+  type EnemyShot,
+  type DroneLaunch,
 } from './index'
 import {
+  Collider,
+  Enemy,
+  EnemyAI,
+  Health,
+  Lifetime,
   Position,
+  Projectile,
   Velocity,
   Rotation,
   Scale,
   MeshRef,
   Renderable,
+  Weapon,
 } from '../components'
-import { createGameEntity } from '../world'
+import { createGameEntity, removeGameEntity } from '../world'
+import { SpatialGrid, SPATIAL_LAYER } from '../spatialGrid'
+import {
+  applyEnemyArchetype,
+  getEnemyArchetype,
+  ENEMY_ARCHETYPES,
+  type ArchetypeSpawnOptions,
+  type EnemyArchetypeName,
+  type EnemyBaseStats,
+} from '../enemyArchetypes'
+import { EVENT } from '../../core/events'
+import { gameRandom, type SeededRandom } from '../../globals/random'
+
+/**
+ * Projectile pool used for enemy shots (ProjectilePoolManager satisfies this)
+ */
+export interface EnemyProjectilePool {
+  getProjectile(type: string): THREE.Object3D
+  releaseProjectile(projectile: THREE.Object3D, type: string): void
+}
+
+// Pooled projectile type for enemy shots
+const ENEMY_PROJECTILE_TYPE = 'plasma'
+const ENEMY_PROJECTILE_RADIUS = 15
+const ENEMY_PROJECTILE_LIFETIME = 3
+
+// Prefix of the entityId set on runner-spawned enemy meshes (the player's cannon reports hits by it)
+export const ECS_ENTITY_ID_PREFIX = 'ecs:'
 
 // Track all bitECS entities
 const entities: number[] = []
@@ -44,6 +88,7 @@ const entities: number[] = []
 // Track entity categories for systems
 const enemies: number[] = []
 const projectiles: number[] = []
+const enemyProjectiles: number[] = []
 const asteroids: number[] = []
 const planets: number[] = []
 const entitiesWithHealth: number[] = []
@@ -51,21 +96,40 @@ const entitiesWithHealth: number[] = []
 // Track player entity (if any)
 let playerEntityId = -1
 
+// Broadphase shared by the runner's systems and legacy targeting/physics
+const spatialIndex = new SpatialGrid()
+
+// SPATIAL_LAYER bits for categorised entities; others are OTHER
+const entityLayers = new Map<number, number>()
+
+// Broadphase radius for entities without a Collider radius (e.g. belt asteroids)
+const indexRadii = new Map<number, number>()
+
 // Track game time for difficulty scaling
 let gameTime = 0
 
 // Mesh registry for render sync
 let meshRegistry: MeshRegistry | null = null
 
+// Scene that spawned enemies and shots are added to
+let scene: THREE.Scene | null = null
+
+// Pool for enemy projectile meshes (optional)
+let projectilePool: EnemyProjectilePool | null = null
+
+// Entities created by the runner, with the cleanup for their meshes
+const ownedEntities = new Map<number, () => void>()
+
 /**
  * Initialize bitECS systems
  *
  * Creates the mesh registry and a test entity to verify integration.
  * This test entity has a small velocity and should move across the screen.
  */
-export function initECS(scene?: THREE.Scene): void {
+export function initECS(gameScene?: THREE.Scene): void {
   // Create mesh registry
   meshRegistry = createMeshRegistry()
+  scene = gameScene || null
 
   // Create test entity to validate the integration
   const testEntity = createGameEntity()
@@ -110,6 +174,15 @@ export function initECS(scene?: THREE.Scene): void {
   // Add as enemy for testing radar/targeting
   addEnemy(testEntity)
 
+  // Apply particle cannon hits on spawned enemies
+  if ((globalThis as any).mainMessageBus) {
+    (globalThis as any).mainMessageBus.subscribe('entity.damage', (message: { data: any }) => {
+      const entityId = message.data && message.data.entityId
+      if (typeof entityId !== 'string' || !entityId.startsWith(ECS_ENTITY_ID_PREFIX)) return
+      damageEnemy(Number(entityId.slice(ECS_ENTITY_ID_PREFIX.length)), message.data.damage)
+    })
+  }
+
   console.log('[bitECS] Initialized - test entity created')
 }
 
@@ -118,9 +191,9 @@ export function initECS(scene?: THREE.Scene): void {
  *
  * Runs all bitECS systems in order:
  * 1. Physics systems (thrust, drag, integration)
- * 2. AI systems (detection, pursuit, separation, difficulty, collision attack)
+ * 2. AI systems (detection, pursuit, separation, archetype behavior, difficulty, collision attack)
  * 3. Combat systems (projectile collision, damage, shield regen, lifetime)
- * 4. Collision system (general collision detection)
+ * 4. Collision system (general collision detection, using the spatial index)
  * 5. Render sync (ECS -> Three.js)
  *
  * @param deltaTime - Time step in seconds
@@ -141,6 +214,7 @@ export function updateECS(deltaTime: number): void {
   applyThrustSystem(entities, deltaTime)
   applyDragSystem(entities, deltaTime)
   integratePositionSystem(entities, deltaTime)
+  spatialIndexSystem(spatialIndex, entities, getLayer, getIndexRadius)
 
   // 2. Enemy AI systems
   if (enemies.length > 0) {
@@ -150,20 +224,31 @@ export function updateECS(deltaTime: number): void {
     enemyEvadeSystem(enemies, playerEntityId, deltaTime)
     enemySeparationSystem(enemies)
 
+    // Archetype behavior overrides the shared chase movement
+    sniperRangeSystem(enemies, playerEntityId)
+    swarmerCohesionSystem(enemies)
+    kamikazeDiveSystem(enemies, playerEntityId)
+    const shots = sniperFireSystem(enemies, playerEntityId, deltaTime)
+    const launches = carrierLaunchSystem(enemies, deltaTime)
+
     // Build difficulty config from window.game (centralized dependency injection point)
     const diffConfig: DifficultyConfig = buildDifficultyConfig()
     difficultyScalingSystem(enemies, diffConfig)
 
     enemyCollisionAttackSystem(enemies, playerEntityId)
+
+    shots.forEach(spawnEnemyShot)
+    launches.forEach(launchDrone)
   }
 
   // 3. Combat systems
   if (projectiles.length > 0) {
     // Detect projectile-enemy collisions
     if (enemies.length > 0) {
-      const collisionEvents = projectileCollisionSystem(projectiles, enemies)
+      const collisionEvents = projectileCollisionSystem(projectiles, enemies, spatialIndex, SPATIAL_LAYER.ENEMY)
       if (collisionEvents.length > 0) {
         damageApplicationSystem(collisionEvents)
+        removeDestroyedEnemies(collisionEvents.map(event => event.targetEid))
       }
     }
 
@@ -181,6 +266,19 @@ export function updateECS(deltaTime: number): void {
     }
   }
 
+  // Enemy shots only hit the player and are spent on impact
+  if (enemyProjectiles.length > 0 && playerEntityId !== -1) {
+    const playerHits = projectileCollisionSystem(enemyProjectiles, [playerEntityId])
+    if (playerHits.length > 0) {
+      damageApplicationSystem(playerHits)
+      playerHits.forEach(hit => removeTrackedEntity(hit.projectileEid))
+
+      if ((globalThis as any).mainMessageBus) {
+        (globalThis as any).mainMessageBus.publish('input.vibrate', { intensity: 0.4, duration: 100 });
+      }
+    }
+  }
+
   // Shield regeneration for all entities with health
   if (entitiesWithHealth.length > 0) {
     shieldRegenSystem(entitiesWithHealth, deltaTime)
@@ -195,13 +293,231 @@ export function updateECS(deltaTime: number): void {
     // TODO: Trigger cleanup/removal from scene when entity management is integrated
   }
 
-  // 4. General collision system
-  collisionSystem(entities)
+  // 4. General collision system (AI and combat moved entities since the index was synced)
+  spatialIndexSystem(spatialIndex, entities, getLayer, getIndexRadius)
+  collisionSystem(entities, spatialIndex)
 
   // 5. Sync ECS data to Three.js meshes (must be last)
   renderSyncSystem(entities, meshRegistry)
 }
 
+function getLayer(eid: number): number {
+  return entityLayers.get(eid) ?? SPATIAL_LAYER.OTHER
+}
+
+function getIndexRadius(eid: number): number {
+  return indexRadii.get(eid) ?? Collider.radius[eid]
+}
+
+/**
+ * Put an entity in the spatial index now, so queries see it before the next update
+ */
+function indexEntity(eid: number, layer: number): void {
+  entityLayers.set(eid, layer)
+  spatialIndex.update(eid, Position.x[eid], Position.y[eid], Position.z[eid], getIndexRadius(eid), layer)
+}
+
+/**
+ * Stop tracking enemies whose health was shot down this frame
+ */
+function removeDestroyedEnemies(hitEids: number[]): void {
+  for (const eid of new Set(hitEids)) {
+    if (Health.current[eid] > 0) continue
+
+    const enemyType = getEnemyArchetype(eid).name
+    removeTrackedEntity(eid)
+    if ((globalThis as any).mainMessageBus) {
+      (globalThis as any).mainMessageBus.publish(EVENT.ENEMY_DESTROYED, { entityId: String(eid), enemyType })
+    }
+  }
+}
+
+/**
+ * Damage a tracked enemy directly (hitscan weapons), removing it if destroyed
+ *
+ * @param eid - Enemy entity ID
+ * @param damage - Damage before resistance; shields absorb it first
+ * @returns True if the enemy was destroyed
+ */
+export function damageEnemy(eid: number, damage: number): boolean {
+  if (enemies.indexOf(eid) === -1) return false
+
+  applyDamage(eid, damage)
+  removeDestroyedEnemies([eid])
+  return enemies.indexOf(eid) === -1
+}
+
+/**
+ * Create an enemy projectile entity, using a pooled mesh when a pool is set.
+ * Used for sniper shots and by other enemy weapons (e.g. boss turrets).
+ */
+export function spawnEnemyShot(shot: EnemyShot): void {
+  const eid = createGameEntity()
+
+  Position.x[eid] = shot.x
+  Position.y[eid] = shot.y
+  Position.z[eid] = shot.z
+  Velocity.x[eid] = shot.dirX * shot.speed
+  Velocity.y[eid] = shot.dirY * shot.speed
+  Velocity.z[eid] = shot.dirZ * shot.speed
+  setIdentityTransform(eid)
+
+  Collider.radius[eid] = ENEMY_PROJECTILE_RADIUS
+  Weapon.damage[eid] = shot.damage
+  Lifetime.age[eid] = 0
+  Lifetime.maxAge[eid] = ENEMY_PROJECTILE_LIFETIME
+  Projectile.tag[eid] = 1
+  Projectile.sourceEntity[eid] = shot.sourceEid
+
+  if (projectilePool) {
+    const pool = projectilePool
+    const mesh = pool.getProjectile(ENEMY_PROJECTILE_TYPE)
+    attachMesh(eid, mesh, () => pool.releaseProjectile(mesh, ENEMY_PROJECTILE_TYPE))
+  } else if (scene) {
+    attachOwnedMesh(eid, new THREE.Mesh(
+      new THREE.SphereGeometry(ENEMY_PROJECTILE_RADIUS / 2, 8, 6),
+      new THREE.MeshBasicMaterial({ color: 0xff3366 })
+    ))
+  } else {
+    ownedEntities.set(eid, () => {})
+  }
+
+  addTrackedEntity(eid)
+  enemyProjectiles.push(eid)
+  indexEntity(eid, SPATIAL_LAYER.ENEMY_PROJECTILE)
+}
+
+/**
+ * Launch a drone from a carrier, scaled to the carrier's difficulty
+ */
+function launchDrone(launch: DroneLaunch): void {
+  const carrierEid = launch.carrierEid
+  const carrier = ENEMY_ARCHETYPES.carrier
+
+  // Recover the base stats the carrier was spawned with
+  const base: EnemyBaseStats = {
+    health: Health.max[carrierEid] / carrier.health,
+    damage: EnemyAI.damage[carrierEid] / carrier.damage,
+    speed: EnemyAI.speed[carrierEid] / carrier.speed,
+  }
+
+  const drone = spawnEnemyArchetype('drone', launch, base, gameRandom.stream('spawns'), {
+    launchedBy: carrierEid,
+  })
+
+  // Launched drones already know where the player is
+  EnemyAI.playerFound[drone] = 1
+  EnemyAI.state[drone] = 2
+  EnemyAI.spawnX[drone] = launch.x
+  EnemyAI.spawnY[drone] = launch.y
+  EnemyAI.spawnZ[drone] = launch.z
+}
+
+/**
+ * Spawn an enemy of the given archetype and start tracking it
+ *
+ * @param name - Archetype to spawn
+ * @param position - World position
+ * @param base - Base stats for the current difficulty level
+ * @param random - Seeded random source (defaults to the 'spawns' stream)
+ * @param options - Swarm group and launching carrier
+ * @returns The new enemy entity ID
+ */
+export function spawnEnemyArchetype(
+  name: EnemyArchetypeName,
+  position: { x: number; y: number; z: number },
+  base: EnemyBaseStats,
+  random: SeededRandom = gameRandom.stream('spawns'),
+  options: ArchetypeSpawnOptions = {}
+): number {
+  const eid = createGameEntity()
+
+  Position.x[eid] = position.x
+  Position.y[eid] = position.y
+  Position.z[eid] = position.z
+  Velocity.x[eid] = 0
+  Velocity.y[eid] = 0
+  Velocity.z[eid] = 0
+  setIdentityTransform(eid)
+
+  applyEnemyArchetype(eid, name, base, random, options)
+  Enemy.tag[eid] = 1
+
+  if (scene) {
+    const archetype = ENEMY_ARCHETYPES[name]
+    const mesh = new THREE.Mesh(
+      new THREE.OctahedronGeometry(archetype.radius),
+      new THREE.MeshBasicMaterial({ color: archetype.color, wireframe: true })
+    )
+    mesh.userData.entityId = ECS_ENTITY_ID_PREFIX + eid
+    attachOwnedMesh(eid, mesh)
+  } else {
+    ownedEntities.set(eid, () => {})
+  }
+
+  addEnemy(eid)
+  addEntityWithHealth(eid)
+  return eid
+}
+
+/**
+ * Set the pool enemy shots take their meshes from
+ */
+export function setProjectilePool(pool: EnemyProjectilePool | null): void {
+  projectilePool = pool
+}
+
+function setIdentityTransform(eid: number): void {
+  Rotation.x[eid] = 0
+  Rotation.y[eid] = 0
+  Rotation.z[eid] = 0
+  Rotation.w[eid] = 1
+  Scale.x[eid] = 1
+  Scale.y[eid] = 1
+  Scale.z[eid] = 1
+}
+
+/**
+ * Add a mesh created for a runner-owned entity to the scene; it is disposed with the entity
+ */
+function attachOwnedMesh(eid: number, mesh: THREE.Mesh<THREE.BufferGeometry, THREE.Material>): void {
+  scene?.add(mesh)
+  attachMesh(eid, mesh, () => {
+    mesh.removeFromParent()
+    mesh.geometry.dispose()
+    mesh.material.dispose()
+  })
+}
+
+function attachMesh(eid: number, mesh: THREE.Object3D, release: () => void): void {
+  if (!meshRegistry) {
+    ownedEntities.set(eid, release)
+    return
+  }
+
+  const registry = meshRegistry
+  const meshIndex = registerMesh(registry, mesh)
+  MeshRef.meshIndex[eid] = meshIndex
+  Renderable.visible[eid] = 1
+  Renderable.castShadow[eid] = 0
+  Renderable.receiveShadow[eid] = 0
+
+  ownedEntities.set(eid, () => {
+    unregisterMesh(registry, meshIndex)
+    release()
+  })
+}
+
+/**
+ * Get the spatial index of tracked entities (for radius, nearest and ray queries)
+ *
+ * Entries are synced from Position each update; asteroids are indexed with
+ * their size so ray queries can use them for line of sight.
+ */
+export function getSpatialIndex(): SpatialGrid {
+  return spatialIndex
+}
+
 /**
  * Get the mesh registry (for external entity creation)
  */
@@ -239,6 +555,11 @@ export function removeTrackedEntity(eid: number): void {
     projectiles.splice(projectileIndex, 1)
   }
 
+  const enemyProjectileIndex = enemyProjectiles.indexOf(eid)
+  if (enemyProjectileIndex !== -1) {
+    enemyProjectiles.splice(enemyProjectileIndex, 1)
+  }
+
   const asteroidIndex = asteroids.indexOf(eid)
   if (asteroidIndex !== -1) {
     asteroids.splice(asteroidIndex, 1)
@@ -258,6 +579,18 @@ export function removeTrackedEntity(eid: number): void {
   if (eid === playerEntityId) {
     playerEntityId = -1
   }
+
+  spatialIndex.remove(eid)
+  entityLayers.delete(eid)
+  indexRadii.delete(eid)
+
+  // Entities the runner created are released along with their meshes
+  const release = ownedEntities.get(eid)
+  if (release) {
+    ownedEntities.delete(eid)
+    release()
+    removeGameEntity(eid)
+  }
 }
 
 /**
@@ -268,26 +601,35 @@ export function addEnemy(eid: number): void {
   if (enemies.indexOf(eid) === -1) {
     enemies.push(eid)
   }
+  indexEntity(eid, SPATIAL_LAYER.ENEMY)
 }
 
 /**
  * Add an entity to the asteroid category
+ *
+ * @param radius - Broadphase radius when the entity has no Collider radius
  */
-export function addAsteroid(eid: number): void {
+export function addAsteroid(eid: number, radius?: number): void {
   addTrackedEntity(eid)
   if (asteroids.indexOf(eid) === -1) {
     asteroids.push(eid)
   }
+  if (radius !== undefined) indexRadii.set(eid, radius)
+  indexEntity(eid, SPATIAL_LAYER.ASTEROID)
 }
 
 /**
  * Add an entity to the planet category
+ *
+ * @param radius - Broadphase radius when the entity has no Collider radius
  */
-export function addPlanet(eid: number): void {
+export function addPlanet(eid: number, radius?: number): void {
   addTrackedEntity(eid)
   if (planets.indexOf(eid) === -1) {
     planets.push(eid)
   }
+  if (radius !== undefined) indexRadii.set(eid, radius)
+  indexEntity(eid, SPATIAL_LAYER.PLANET)
 }
 
 /**
@@ -298,6 +640,7 @@ export function addProjectile(eid: number): void {
   if (projectiles.indexOf(eid) === -1) {
     projectiles.push(eid)
   }
+  indexEntity(eid, SPATIAL_LAYER.PROJECTILE)
 }
 
 /**
@@ -317,6 +660,7 @@ export function setPlayerEntity(eid: number): void {
   playerEntityId = eid
   addTrackedEntity(eid)
   addEntityWithHealth(eid)
+  indexEntity(eid, SPATIAL_LAYER.PLAYER)
 }
 
 /**
@@ -21,7 +21,9 @@ import {
   Health,
   Lifetime,
   Collider,
+  ShipState,
 } from '../components'
+import { getEnemyArchetype } from '../enemyArchetypes'
 
 // Constants from legacy system
 const SEPARATION_FORCE_MAGNITUDE = 150
@@ -58,6 +60,7 @@ const STATE_EVADE = 3
  *
  * Checks if enemies detect the player based on distance.
  * Sets EnemyAI.playerFound flag when player is within detection range.
+ * A cloaked player can't be detected; enemies already chasing keep chasing.
  * Handles state transitions: IDLE -> PATROL, PATROL -> CHASE.
  *
  * @param enemies - Array of enemy entity IDs
@@ -77,7 +80,7 @@ export function enemyDetectionSystem(
     }
   }
 
-  if (playerEid === -1) return
+  if (playerEid === -1 || ShipState.isCloaked[playerEid]) return
 
   // Get player position
   const playerX = Position.x[playerEid]
@@ -103,6 +106,20 @@ export function enemyDetectionSystem(
   }
 }
 
+/**
+ * Number of enemies engaging the player: chasing, or evading mid-fight.
+ * Drives the adaptive music's danger and combat states.
+ *
+ * @param enemies - Array of enemy entity IDs
+ */
+export function countEngagedEnemies(enemies: number[]): number {
+  let count = 0
+  for (const eid of enemies) {
+    if (EnemyAI.state[eid] === STATE_CHASE || EnemyAI.state[eid] === STATE_EVADE) count++
+  }
+  return count
+}
+
 /**
  * Enemy Pursuit System
  *
@@ -624,18 +641,20 @@ export function difficultyScalingSystem(
     // Speed multiplier
     const speedMultiplier = config.speedMultiplier || (1 + minutesPassed * 0.2)
 
-    // Apply scaling to all enemies
+    // Apply scaling to all enemies, keeping each archetype's stat ratios
     for (const eid of enemies) {
+      const archetype = getEnemyArchetype(eid)
+
       // Scale damage
-      EnemyAI.damage[eid] = Math.floor(15 * damageMultiplier) // Base damage 15
+      EnemyAI.damage[eid] = Math.floor(15 * damageMultiplier * archetype.damage) // Base damage 15
 
       // Scale speed
-      EnemyAI.speed[eid] = 700 * speedMultiplier // Base speed 700
+      EnemyAI.speed[eid] = 700 * speedMultiplier * archetype.speed // Base speed 700
 
       // Scale health (if enemy has Health component)
       if (Health.max[eid] > 0) {
         const baseHealth = 20
-        Health.max[eid] = Math.floor(baseHealth * healthMultiplier)
+        Health.max[eid] = Math.max(1, Math.floor(baseHealth * healthMultiplier * archetype.health))
         // Don't reduce current health, only increase max
         if (Health.current[eid] > Health.max[eid]) {
           Health.current[eid] = Health.max[eid]
@@ -0,0 +1,313 @@
+/**
+ * Enemy Archetype Systems (bitECS)
+ *
+ * Behavior for the archetypes defined in ../enemyArchetypes.ts.
+ * Runs after the shared enemy AI systems and overrides their chase movement:
+ * - Snipers hold a standoff distance and fire projectiles
+ * - Swarmers flock toward the rest of their group
+ * - Carriers launch drones once they find the player
+ * - Kamikazes dive at the player once inside trigger range
+ *
+ * Systems that create entities return requests instead - the runner owns
+ * entity creation, meshes and projectile pooling.
+ */
+
+import {
+  Position,
+  Velocity,
+  EnemyAI,
+  Sniper,
+  Swarmer,
+  Carrier,
+  Kamikaze,
+} from '../components'
+import { ARCHETYPE } from '../enemyArchetypes'
+
+const STATE_CHASE = 2
+const STATE_EVADE = 3
+
+// Fraction of the preferred range a sniper may drift before correcting
+const SNIPER_RANGE_TOLERANCE = 0.2
+
+// Sideways speed while a sniper holds its range, as a fraction of its speed
+const SNIPER_STRAFE_FACTOR = 0.4
+
+// Snipers only fire within this multiple of their preferred range
+const SNIPER_FIRE_RANGE_MULTIPLIER = 1.5
+
+// Distance from a carrier's center at which drones are launched
+const CARRIER_LAUNCH_OFFSET = 80
+
+/**
+ * Projectile fired by an enemy
+ */
+export interface EnemyShot {
+  sourceEid: number
+  x: number
+  y: number
+  z: number
+  // Normalized direction of travel
+  dirX: number
+  dirY: number
+  dirZ: number
+  speed: number
+  damage: number
+}
+
+/**
+ * Drone launched by a carrier
+ */
+export interface DroneLaunch {
+  carrierEid: number
+  x: number
+  y: number
+  z: number
+}
+
+/**
+ * Sniper Range System
+ *
+ * Keeps chasing snipers near their preferred range: back off when the player
+ * is too close, close in when too far, strafe around the player otherwise.
+ *
+ * @param enemies - Array of enemy entity IDs
+ * @param playerEid - Player entity ID (or -1 if no player)
+ */
+export function sniperRangeSystem(
+  enemies: number[],
+  playerEid: number
+): void {
+  if (playerEid === -1) return
+
+  for (const eid of enemies) {
+    if (EnemyAI.aiType[eid] !== ARCHETYPE.sniper) continue
+    if (EnemyAI.state[eid] !== STATE_CHASE) continue
+
+    const dx = Position.x[playerEid] - Position.x[eid]
+    const dy = Position.y[playerEid] - Position.y[eid]
+    const dz = Position.z[playerEid] - Position.z[eid]
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    if (dist === 0) continue
+
+    const dirX = dx / dist
+    const dirY = dy / dist
+    const dirZ = dz / dist
+    const speed = EnemyAI.speed[eid]
+    const preferred = Sniper.preferredRange[eid]
+
+    if (dist < preferred * (1 - SNIPER_RANGE_TOLERANCE)) {
+      Velocity.x[eid] = -dirX * speed
+      Velocity.y[eid] = -dirY * speed
+      Velocity.z[eid] = -dirZ * speed
+    } else if (dist > preferred * (1 + SNIPER_RANGE_TOLERANCE)) {
+      Velocity.x[eid] = dirX * speed
+      Velocity.y[eid] = dirY * speed
+      Velocity.z[eid] = dirZ * speed
+    } else {
+      // Circle the player in the horizontal plane (direction x up)
+      let rightX = -dirZ
+      let rightZ = dirX
+      const rightLen = Math.sqrt(rightX * rightX + rightZ * rightZ)
+      if (rightLen > 0.1) {
+        rightX /= rightLen
+        rightZ /= rightLen
+      } else {
+        rightX = 1
+        rightZ = 0
+      }
+
+      const strafe = speed * SNIPER_STRAFE_FACTOR
+      Velocity.x[eid] = rightX * strafe
+      Velocity.y[eid] = 0
+      Velocity.z[eid] = rightZ * strafe
+    }
+  }
+}
+
+/**
+ * Sniper Fire System
+ *
+ * Fires at the player when a chasing sniper's shot timer is ready,
+ * leading the target by its current velocity.
+ *
+ * @param enemies - Array of enemy entity IDs
+ * @param playerEid - Player entity ID (or -1 if no player)
+ * @param dt - Delta time in seconds
+ * @returns Shots fired this frame
+ */
+export function sniperFireSystem(
+  enemies: number[],
+  playerEid: number,
+  dt: number
+): EnemyShot[] {
+  const shots: EnemyShot[] = []
+
+  for (const eid of enemies) {
+    if (EnemyAI.aiType[eid] !== ARCHETYPE.sniper) continue
+
+    Sniper.fireTimer[eid] += dt
+
+    if (playerEid === -1 || EnemyAI.state[eid] !== STATE_CHASE) continue
+    if (Sniper.fireTimer[eid] < Sniper.fireInterval[eid]) continue
+
+    let dx = Position.x[playerEid] - Position.x[eid]
+    let dy = Position.y[playerEid] - Position.y[eid]
+    let dz = Position.z[playerEid] - Position.z[eid]
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    const speed = Sniper.projectileSpeed[eid]
+
+    if (dist === 0 || speed <= 0) continue
+    if (dist > Sniper.preferredRange[eid] * SNIPER_FIRE_RANGE_MULTIPLIER) continue
+
+    // Aim where the player will be when the shot arrives
+    const travelTime = dist / speed
+    dx += Velocity.x[playerEid] * travelTime
+    dy += Velocity.y[playerEid] * travelTime
+    dz += Velocity.z[playerEid] * travelTime
+    const aimDist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    if (aimDist === 0) continue
+
+    Sniper.fireTimer[eid] = 0
+    shots.push({
+      sourceEid: eid,
+      x: Position.x[eid],
+      y: Position.y[eid],
+      z: Position.z[eid],
+      dirX: dx / aimDist,
+      dirY: dy / aimDist,
+      dirZ: dz / aimDist,
+      speed,
+      damage: Sniper.projectileDamage[eid],
+    })
+  }
+
+  return shots
+}
+
+/**
+ * Swarmer Cohesion System
+ *
+ * Steers moving swarmers toward the center of their group so swarms
+ * arrive together.
+ *
+ * @param enemies - Array of enemy entity IDs
+ */
+export function swarmerCohesionSystem(enemies: number[]): void {
+  const centers = new Map<number, { x: number; y: number; z: number; count: number }>()
+
+  for (const eid of enemies) {
+    if (EnemyAI.aiType[eid] !== ARCHETYPE.swarmer) continue
+
+    const groupId = Swarmer.groupId[eid]
+    const center = centers.get(groupId) || { x: 0, y: 0, z: 0, count: 0 }
+    center.x += Position.x[eid]
+    center.y += Position.y[eid]
+    center.z += Position.z[eid]
+    center.count++
+    centers.set(groupId, center)
+  }
+
+  for (const eid of enemies) {
+    if (EnemyAI.aiType[eid] !== ARCHETYPE.swarmer) continue
+
+    const center = centers.get(Swarmer.groupId[eid])
+    if (!center || center.count < 2) continue
+
+    const dx = center.x / center.count - Position.x[eid]
+    const dy = center.y / center.count - Position.y[eid]
+    const dz = center.z / center.count - Position.z[eid]
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    if (dist < 1) continue
+
+    const speed = EnemyAI.speed[eid]
+    const cohesion = Swarmer.cohesion[eid]
+
+    Velocity.x[eid] += ((dx / dist) * speed - Velocity.x[eid]) * cohesion
+    Velocity.y[eid] += ((dy / dist) * speed - Velocity.y[eid]) * cohesion
+    Velocity.z[eid] += ((dz / dist) * speed - Velocity.z[eid]) * cohesion
+  }
+}
+
+/**
+ * Carrier Launch System
+ *
+ * Carriers that have found the player launch a drone every launch interval
+ * while fewer than their maximum drones are alive.
+ *
+ * @param enemies - Array of enemy entity IDs
+ * @param dt - Delta time in seconds
+ * @returns Drones to launch this frame
+ */
+export function carrierLaunchSystem(
+  enemies: number[],
+  dt: number
+): DroneLaunch[] {
+  const launches: DroneLaunch[] = []
+
+  for (const eid of enemies) {
+    if (EnemyAI.aiType[eid] !== ARCHETYPE.carrier) continue
+    if (!EnemyAI.playerFound[eid]) continue
+
+    Carrier.launchTimer[eid] += dt
+    if (Carrier.launchTimer[eid] < Carrier.launchInterval[eid]) continue
+
+    let alive = 0
+    for (const other of enemies) {
+      if (Carrier.launchedBy[other] === eid) alive++
+    }
+    if (alive >= Carrier.maxDrones[eid]) continue
+
+    Carrier.launchTimer[eid] = 0
+
+    // Launch from the carrier's flank, alternating sides
+    const side = alive % 2 === 0 ? 1 : -1
+    launches.push({
+      carrierEid: eid,
+      x: Position.x[eid] + side * CARRIER_LAUNCH_OFFSET,
+      y: Position.y[eid],
+      z: Position.z[eid],
+    })
+  }
+
+  return launches
+}
+
+/**
+ * Kamikaze Dive System
+ *
+ * Kamikazes inside trigger range commit to a straight dive at the player
+ * and never break off to evade. The hit itself is handled by
+ * enemyCollisionAttackSystem.
+ *
+ * @param enemies - Array of enemy entity IDs
+ * @param playerEid - Player entity ID (or -1 if no player)
+ */
+export function kamikazeDiveSystem(
+  enemies: number[],
+  playerEid: number
+): void {
+  if (playerEid === -1) return
+
+  for (const eid of enemies) {
+    if (EnemyAI.aiType[eid] !== ARCHETYPE.kamikaze) continue
+
+    const state = EnemyAI.state[eid]
+    if (state !== STATE_CHASE && state !== STATE_EVADE) continue
+
+    const dx = Position.x[playerEid] - Position.x[eid]
+    const dy = Position.y[playerEid] - Position.y[eid]
+    const dz = Position.z[playerEid] - Position.z[eid]
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    if (dist === 0) continue
+
+    if (!Kamikaze.diving[eid] && dist > Kamikaze.triggerRange[eid]) continue
+
+    Kamikaze.diving[eid] = 1
+    EnemyAI.state[eid] = STATE_CHASE
+
+    const speed = EnemyAI.speed[eid] * Kamikaze.diveMultiplier[eid]
+    Velocity.x[eid] = (dx / dist) * speed
+    Velocity.y[eid] = (dy / dist) * speed
+    Velocity.z[eid] = (dz / dist) * speed
+  }
+}
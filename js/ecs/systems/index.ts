@@ -11,6 +11,7 @@ export {
   applyDragSystem,
   integratePositionSystem,
   collisionSystem,
+  spatialIndexSystem,
 } from './physicsSystem'
 
 // Render sync system
@@ -26,6 +27,7 @@ export {
 export {
   projectileCollisionSystem,
   damageApplicationSystem,
+  applyDamage,
   shieldRegenSystem,
   lifetimeSystem,
   type CollisionEvent,
@@ -48,6 +50,12 @@ export {
   getAsteroids,
   getPlanets,
   getPlayerEntity,
+  getSpatialIndex,
+  spawnEnemyArchetype,
+  spawnEnemyShot,
+  damageEnemy,
+  setProjectilePool,
+  type EnemyProjectilePool,
 } from './ecsRunner'
 
 // Enemy AI system
@@ -59,15 +67,31 @@ export {
   enemySeparationSystem,
   difficultyScalingSystem,
   enemyCollisionAttackSystem,
+  countEngagedEnemies,
   type DifficultyConfig,
 } from './enemyAISystem'
 
+// Enemy archetype systems
+export {
+  sniperRangeSystem,
+  sniperFireSystem,
+  swarmerCohesionSystem,
+  carrierLaunchSystem,
+  kamikazeDiveSystem,
+  type EnemyShot,
+  type DroneLaunch,
+} from './enemyArchetypeSystem'
+
 // Mining system
 export {
   miningDetectionSystem,
+  miningHeatSystem,
   miningProgressSystem,
   miningExtractionSystem,
   activateMiningLaser,
   deactivateMiningLaser,
+  getHeatEfficiency,
+  getLaserHeatCapacity,
+  stepLaserHeat,
   ResourceType,
 } from './miningSystem'
@@ -6,8 +6,9 @@
  *
  * System flow:
  * 1. miningDetectionSystem - Detect valid mineable targets in range
- * 2. miningProgressSystem - Update mining progress for active lasers
- * 3. miningExtractionSystem - Extract resources when mining completes
+ * 2. miningHeatSystem - Heat firing lasers, cool idle ones, force overheat cooldowns
+ * 3. miningProgressSystem - Update mining progress for active lasers
+ * 4. miningExtractionSystem - Extract resources when mining completes
  */
 
 import {
@@ -16,6 +17,7 @@ import {
   Mineable,
   Cargo,
 } from '../components'
+import { SPATIAL_LAYER, type SpatialGrid } from '../spatialGrid'
 
 // Mining constants (from legacy miningSystem.ts)
 const MINING_RANGE = 6000
@@ -23,6 +25,13 @@ const MINING_SPEED_IRON = 0.133 // 1/7.5 seconds (7.5s to complete)
 const MINING_SPEED_GOLD = 0.044 // 1/22.5 seconds (22.5s to complete)
 const MINING_SPEED_PLATINUM = 0.022 // 1/45 seconds (45s to complete)
 
+// Laser heat: 0 is cold, 1 overheats and locks the laser until it has fully cooled
+export const LASER_HEAT_RATE = 1 / 30 // Heat per second while firing (30s to overheat at capacity 1)
+export const LASER_COOL_RATE = 1 / 8 // Heat shed per second while idle
+const HEAT_EFFICIENCY_THRESHOLD = 0.5 // Mining slows above this heat
+const MIN_HEAT_EFFICIENCY = 0.4 // Mining rate just before overheating
+const HEAT_CAPACITY_PER_LEVEL = 0.25 // Extra heat capacity per mining laser upgrade
+
 // Resource type enum (matches Mineable.resourceType)
 export enum ResourceType {
   Iron = 0,
@@ -41,33 +50,46 @@ export enum ResourceType {
  *
  * @param minerEntities - Entities with MiningLaser (typically just the player)
  * @param asteroidEntities - Entities with Mineable component (asteroids)
+ * @param index - Optional spatial grid; when given, asteroids are its
+ *                ASTEROID-layer entries and `asteroidEntities` is not scanned
  */
 export function miningDetectionSystem(
   minerEntities: number[],
-  asteroidEntities: number[]
+  asteroidEntities: number[],
+  index?: SpatialGrid
 ): void {
   for (const minerEid of minerEntities) {
     // Skip if entity doesn't have required components
     if (!hasMiningLaser(minerEid) || !hasPosition(minerEid)) continue
 
-    // Skip if already mining
-    if (MiningLaser.active[minerEid]) continue
+    // Skip if already mining, or holding a target through an overheat cooldown
+    if (MiningLaser.active[minerEid] || MiningLaser.suspendedTarget[minerEid]) continue
 
     // Get mining range
     const range = MiningLaser.range[minerEid] || MINING_RANGE
 
+    if (index) {
+      const nearestEid = index.nearest(
+        Position.x[minerEid],
+        Position.y[minerEid],
+        Position.z[minerEid],
+        range,
+        SPATIAL_LAYER.ASTEROID,
+        isMineableTarget
+      )
+      if (nearestEid > 0) {
+        MiningLaser.targetEntity[minerEid] = nearestEid
+        Mineable.beingMined[nearestEid] = 1
+      }
+      continue
+    }
+
     // Find closest mineable target in range
     let closestEid = 0
     let closestDistSq = range * range
 
     for (const asteroidEid of asteroidEntities) {
-      if (!hasMineable(asteroidEid) || !hasPosition(asteroidEid)) continue
-
-      // Skip if already being mined
-      if (Mineable.beingMined[asteroidEid]) continue
-
-      // Skip if depleted
-      if (Mineable.remainingAmount[asteroidEid] <= 0) continue
+      if (!isMineableTarget(asteroidEid)) continue
 
       // Calculate distance
       const dx = Position.x[minerEid] - Position.x[asteroidEid]
@@ -90,6 +112,74 @@ export function miningDetectionSystem(
   }
 }
 
+/**
+ * Mining rate multiplier at a given laser heat
+ *
+ * Full rate up to half heat, then falling linearly to MIN_HEAT_EFFICIENCY.
+ */
+export function getHeatEfficiency(heat: number): number {
+  if (heat <= HEAT_EFFICIENCY_THRESHOLD) return 1
+  const overThreshold = (Math.min(heat, 1) - HEAT_EFFICIENCY_THRESHOLD) / (1 - HEAT_EFFICIENCY_THRESHOLD)
+  return 1 - overThreshold * (1 - MIN_HEAT_EFFICIENCY)
+}
+
+/**
+ * Heat capacity multiplier for a mining laser upgrade level (level 1 = 1.0)
+ */
+export function getLaserHeatCapacity(miningLevel: number): number {
+  return 1 + Math.max(0, miningLevel - 1) * HEAT_CAPACITY_PER_LEVEL
+}
+
+/**
+ * Laser heat after one step
+ *
+ * @param firing - Laser is cutting this step
+ * @param heatCapacity - Higher capacity heats more slowly
+ * @returns Heat clamped to [0, 1]
+ */
+export function stepLaserHeat(heat: number, firing: boolean, heatCapacity: number, dt: number): number {
+  const next = firing
+    ? heat + (LASER_HEAT_RATE / (heatCapacity || 1)) * dt
+    : heat - LASER_COOL_RATE * dt
+  return Math.max(0, Math.min(1, next))
+}
+
+/**
+ * Mining Heat System
+ *
+ * Heats active lasers and cools idle ones. A laser that reaches full heat
+ * shuts off and stays locked until it is cold again; the progress on its
+ * target is kept, so re-activating on the same target picks up where it
+ * stopped.
+ *
+ * @param minerEntities - Entities with MiningLaser
+ * @param deltaTime - Time step in seconds
+ */
+export function miningHeatSystem(minerEntities: number[], deltaTime: number): void {
+  for (const minerEid of minerEntities) {
+    if (!hasMiningLaser(minerEid)) continue
+
+    const firing = MiningLaser.active[minerEid] === 1
+    const heat = stepLaserHeat(MiningLaser.heat[minerEid], firing, MiningLaser.heatCapacity[minerEid], deltaTime)
+    MiningLaser.heat[minerEid] = heat
+
+    if (firing && heat >= 1) {
+      MiningLaser.overheated[minerEid] = 1
+      MiningLaser.active[minerEid] = 0
+      MiningLaser.suspendedTarget[minerEid] = MiningLaser.targetEntity[minerEid]
+    } else if (MiningLaser.overheated[minerEid] && heat <= 0) {
+      MiningLaser.overheated[minerEid] = 0
+    }
+  }
+}
+
+/**
+ * Asteroid can be mined: not already being mined and not depleted
+ */
+function isMineableTarget(eid: number): boolean {
+  return hasMineable(eid) && hasPosition(eid) && !Mineable.beingMined[eid] && Mineable.remainingAmount[eid] > 0
+}
+
 /**
  * Mining Progress System
  *
@@ -169,10 +259,10 @@ export function miningProgressSystem(
         break
     }
 
-    // Apply difficulty and power modifiers
+    // Apply difficulty, power and heat modifiers
     const difficulty = Mineable.miningDifficulty[targetEid] || 1.0
     const power = MiningLaser.power[minerEid] || 1.0
-    const effectiveRate = (baseMiningRate * power) / difficulty
+    const effectiveRate = (baseMiningRate * power * getHeatEfficiency(MiningLaser.heat[minerEid])) / difficulty
 
     // Update progress
     MiningLaser.progress[minerEid] += effectiveRate * deltaTime
@@ -278,8 +368,9 @@ export function miningExtractionSystem(minerEntities: number[]): number[] {
 export function activateMiningLaser(minerEid: number): void {
   if (!hasMiningLaser(minerEid)) return
 
-  // Check if already mining
+  // Check if already mining or cooling down
   if (MiningLaser.active[minerEid]) return
+  if (MiningLaser.overheated[minerEid]) return
 
   // Check if we have a target
   const targetEid = MiningLaser.targetEntity[minerEid]
@@ -288,18 +379,23 @@ export function activateMiningLaser(minerEid: number): void {
   // Validate target
   if (!hasMineable(targetEid) || !hasPosition(targetEid)) {
     MiningLaser.targetEntity[minerEid] = 0
+    MiningLaser.suspendedTarget[minerEid] = 0
     return
   }
 
   // Check if target is depleted
   if (Mineable.remainingAmount[targetEid] <= 0) {
     MiningLaser.targetEntity[minerEid] = 0
+    MiningLaser.suspendedTarget[minerEid] = 0
     return
   }
 
-  // Activate laser
+  // Activate laser, resuming a target interrupted by overheating
   MiningLaser.active[minerEid] = 1
-  MiningLaser.progress[minerEid] = 0
+  if (MiningLaser.suspendedTarget[minerEid] !== targetEid) {
+    MiningLaser.progress[minerEid] = 0
+  }
+  MiningLaser.suspendedTarget[minerEid] = 0
   Mineable.beingMined[targetEid] = 1
 }
 
@@ -321,6 +417,7 @@ export function deactivateMiningLaser(minerEid: number): void {
   // Deactivate laser
   MiningLaser.active[minerEid] = 0
   MiningLaser.progress[minerEid] = 0
+  MiningLaser.suspendedTarget[minerEid] = 0
 
   // Release target
   if (targetEid > 0 && hasMineable(targetEid)) {
@@ -5,7 +5,7 @@
  * - Thrust accumulates velocity
  * - Objects keep moving (Newton's first law)
  * - Small friction for playability
- * - Simple sphere collision detection
+ * - Sphere collision detection, with an optional spatial grid broadphase
  *
  * Based on js/modules/physics.js implementation.
  */
@@ -22,6 +22,7 @@ import {
   Thruster,
   Collider,
 } from '../components'
+import { ALL_LAYERS, type SpatialGrid } from '../spatialGrid'
 
 // Physics constants (from physics.js)
 const THRUST_FORCE = 0.5
@@ -144,17 +145,57 @@ export function integratePositionSystem(entities: number[], dt: number): void {
   }
 }
 
+/**
+ * Copy entity positions into a spatial grid so later systems can query it
+ *
+ * @param index - Grid to update; entries move only when they cross a cell
+ * @param layerOf - Layer bits for each entity (see SPATIAL_LAYER)
+ * @param radiusOf - Broadphase radius; must be at least the collider radius
+ */
+export function spatialIndexSystem(
+  index: SpatialGrid,
+  entities: number[],
+  layerOf: (eid: number) => number,
+  radiusOf: (eid: number) => number = eid => Collider.radius[eid]
+): void {
+  for (let i = 0; i < entities.length; i++) {
+    const eid = entities[i]
+    if (!hasPosition(eid)) continue
+    index.update(eid, Position.x[eid], Position.y[eid], Position.z[eid], radiusOf(eid), layerOf(eid))
+  }
+}
+
+// Reused between calls to avoid a per-entity allocation
+const collisionCandidates: number[] = []
+
 /**
  * Simple sphere collision detection
  *
- * Checks all pairs of entities with Collider components.
+ * Checks pairs of entities with Collider components.
  * On collision, applies separation force to push entities apart.
  *
- * TODO: Use spatial partitioning (octree/grid) for better performance
+ * @param index - Optional grid holding the same entities (see spatialIndexSystem);
+ *                without it every pair is checked
  */
-export function collisionSystem(entities: number[]): void {
-  // Simple O(n^2) check - fine for small entity counts
-  // For larger games, use spatial partitioning
+export function collisionSystem(entities: number[], index?: SpatialGrid): void {
+  if (index) {
+    for (let i = 0; i < entities.length; i++) {
+      const eidA = entities[i]
+      if (!hasCollider(eidA) || !hasPosition(eidA)) continue
+
+      collisionCandidates.length = 0
+      index.queryRadius(Position.x[eidA], Position.y[eidA], Position.z[eidA], Collider.radius[eidA], ALL_LAYERS, collisionCandidates)
+      for (let j = 0; j < collisionCandidates.length; j++) {
+        const eidB = collisionCandidates[j]
+        // Each pair once
+        if (eidB <= eidA || !hasCollider(eidB) || !hasPosition(eidB)) continue
+        resolveCollision(eidA, eidB)
+      }
+    }
+    return
+  }
+
+  // O(n^2) check - fine for small entity counts
   for (let i = 0; i < entities.length; i++) {
     const eidA = entities[i]
     if (!hasCollider(eidA) || !hasPosition(eidA)) continue
@@ -162,66 +203,72 @@ export function collisionSystem(entities: number[]): void {
     for (let j = i + 1; j < entities.length; j++) {
       const eidB = entities[j]
       if (!hasCollider(eidB) || !hasPosition(eidB)) continue
+      resolveCollision(eidA, eidB)
+    }
+  }
+}
 
-      // Calculate distance between entities
-      const dx = Position.x[eidA] - Position.x[eidB]
-      const dy = Position.y[eidA] - Position.y[eidB]
-      const dz = Position.z[eidA] - Position.z[eidB]
-      const distSq = dx * dx + dy * dy + dz * dz
-
-      // Check collision
-      const radiusSum = Collider.radius[eidA] + Collider.radius[eidB]
-      const radiusSumSq = radiusSum * radiusSum
-
-      if (distSq < radiusSumSq && distSq > 0) {
-        // Collision detected - apply separation
-        const dist = Math.sqrt(distSq)
-        const overlap = radiusSum - dist
-
-        // Normalize separation vector
-        const nx = dx / dist
-        const ny = dy / dist
-        const nz = dz / dist
-
-        // Push entities apart by half the overlap each
-        const separation = overlap * 0.5
-
-        Position.x[eidA] += nx * separation
-        Position.y[eidA] += ny * separation
-        Position.z[eidA] += nz * separation
-
-        Position.x[eidB] -= nx * separation
-        Position.y[eidB] -= ny * separation
-        Position.z[eidB] -= nz * separation
-
-        // Apply bounce to velocity if entities have velocity
-        if (hasVelocity(eidA) && hasVelocity(eidB)) {
-          // Simple elastic collision response
-          const restitution = 0.5 // Bounciness factor
-
-          // Relative velocity
-          const vrelX = Velocity.x[eidA] - Velocity.x[eidB]
-          const vrelY = Velocity.y[eidA] - Velocity.y[eidB]
-          const vrelZ = Velocity.z[eidA] - Velocity.z[eidB]
-
-          // Velocity along collision normal
-          const vn = vrelX * nx + vrelY * ny + vrelZ * nz
-
-          // Don't resolve if velocities are separating
-          if (vn < 0) {
-            // Impulse magnitude
-            const impulse = -(1 + restitution) * vn
-
-            // Apply impulse
-            Velocity.x[eidA] += impulse * nx * 0.5
-            Velocity.y[eidA] += impulse * ny * 0.5
-            Velocity.z[eidA] += impulse * nz * 0.5
-
-            Velocity.x[eidB] -= impulse * nx * 0.5
-            Velocity.y[eidB] -= impulse * ny * 0.5
-            Velocity.z[eidB] -= impulse * nz * 0.5
-          }
-        }
+/**
+ * Separate two overlapping entities and bounce their velocities
+ */
+function resolveCollision(eidA: number, eidB: number): void {
+  // Calculate distance between entities
+  const dx = Position.x[eidA] - Position.x[eidB]
+  const dy = Position.y[eidA] - Position.y[eidB]
+  const dz = Position.z[eidA] - Position.z[eidB]
+  const distSq = dx * dx + dy * dy + dz * dz
+
+  // Check collision
+  const radiusSum = Collider.radius[eidA] + Collider.radius[eidB]
+  const radiusSumSq = radiusSum * radiusSum
+
+  if (distSq < radiusSumSq && distSq > 0) {
+    // Collision detected - apply separation
+    const dist = Math.sqrt(distSq)
+    const overlap = radiusSum - dist
+
+    // Normalize separation vector
+    const nx = dx / dist
+    const ny = dy / dist
+    const nz = dz / dist
+
+    // Push entities apart by half the overlap each
+    const separation = overlap * 0.5
+
+    Position.x[eidA] += nx * separation
+    Position.y[eidA] += ny * separation
+    Position.z[eidA] += nz * separation
+
+    Position.x[eidB] -= nx * separation
+    Position.y[eidB] -= ny * separation
+    Position.z[eidB] -= nz * separation
+
+    // Apply bounce to velocity if entities have velocity
+    if (hasVelocity(eidA) && hasVelocity(eidB)) {
+      // Simple elastic collision response
+      const restitution = 0.5 // Bounciness factor
+
+      // Relative velocity
+      const vrelX = Velocity.x[eidA] - Velocity.x[eidB]
+      const vrelY = Velocity.y[eidA] - Velocity.y[eidB]
+      const vrelZ = Velocity.z[eidA] - Velocity.z[eidB]
+
+      // Velocity along collision normal
+      const vn = vrelX * nx + vrelY * ny + vrelZ * nz
+
+      // Don't resolve if velocities are separating
+      if (vn < 0) {
+        // Impulse magnitude
+        const impulse = -(1 + restitution) * vn
+
+        // Apply impulse
+        Velocity.x[eidA] += impulse * nx * 0.5
+        Velocity.y[eidA] += impulse * ny * 0.5
+        Velocity.z[eidA] += impulse * nz * 0.5
+
+        Velocity.x[eidB] -= impulse * nx * 0.5
+        Velocity.y[eidB] -= impulse * ny * 0.5
+        Velocity.z[eidB] -= impulse * nz * 0.5
       }
     }
   }
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { RandomService, SeededRandom, getSeedFromUrl } from '../random'
+
+function take(random: SeededRandom, count: number): number[] {
+  return Array.from({ length: count }, () => random.next())
+}
+
+describe('Random Service', () => {
+  it('should produce the same sequence for the same seed', () => {
+    const a = new RandomService('SECTOR7')
+    const b = new RandomService('SECTOR7')
+
+    expect(take(a.stream('systems'), 5)).toEqual(take(b.stream('systems'), 5))
+  })
+
+  it('should produce different sequences for different seeds', () => {
+    const a = new RandomService('SECTOR7')
+    const b = new RandomService('SECTOR8')
+
+    expect(take(a.stream('systems'), 5)).not.toEqual(take(b.stream('systems'), 5))
+  })
+
+  it('should keep streams independent of each other', () => {
+    const a = new RandomService('SECTOR7')
+    const b = new RandomService('SECTOR7')
+
+    // Extra draws from one stream must not shift another
+    take(a.stream('asteroids'), 100)
+
+    expect(take(a.stream('planets'), 5)).toEqual(take(b.stream('planets'), 5))
+  })
+
+  it('should derive the same generator regardless of order', () => {
+    const a = new RandomService('SECTOR7')
+    const b = new RandomService('SECTOR7')
+
+    const first = take(a.derive('planets', 'System-1'), 3)
+    take(b.derive('planets', 'System-2'), 3)
+
+    expect(take(b.derive('planets', 'System-1'), 3)).toEqual(first)
+  })
+
+  it('should restart streams when the seed changes', () => {
+    const random = new RandomService('SECTOR7')
+    const first = take(random.stream('systems'), 3)
+
+    random.setSeed('SECTOR7')
+
+    expect(take(random.stream('systems'), 3)).toEqual(first)
+  })
+
+  it('should keep values within range', () => {
+    const random = new SeededRandom(42)
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random.int(2, 8)
+      expect(value).toBeGreaterThanOrEqual(2)
+      expect(value).toBeLessThanOrEqual(8)
+    }
+  })
+
+  it('should read the seed from the URL', () => {
+    expect(getSeedFromUrl('?seed=abc&portal=true')).toBe('abc')
+    expect(getSeedFromUrl('?seed=')).toBeNull()
+    expect(getSeedFromUrl('')).toBeNull()
+  })
+})
@@ -0,0 +1,114 @@
+// random.ts - Seeded PRNG service shared by all procedural generators
+//
+// Every generator draws from a named stream instead of Math.random(), so the
+// same seed always produces the same universe. Streams are independent: adding
+// an extra roll to the asteroid belt never shifts planet layouts.
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ */
+export function hashString(value: string): number {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small, fast deterministic generator (mulberry32)
+ */
+export class SeededRandom {
+    private state: number;
+
+    constructor(seed: number) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next(): number {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    float(min: number, max: number): number {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Integer in [min, max] inclusive
+     */
+    int(min: number, max: number): number {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    pick<T>(items: readonly T[]): T {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    chance(probability: number): boolean {
+        return this.next() < probability;
+    }
+}
+
+export class RandomService {
+    seed: string;
+    private streams: Map<string, SeededRandom>;
+
+    constructor(seed: string = RandomService.generateSeed()) {
+        this.seed = seed;
+        this.streams = new Map();
+    }
+
+    /**
+     * Create a short, human-shareable seed
+     */
+    static generateSeed(): string {
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36).toUpperCase();
+    }
+
+    /**
+     * Change the seed. Existing streams restart from the new seed.
+     */
+    setSeed(seed: string): void {
+        this.seed = seed;
+        this.streams.clear();
+    }
+
+    /**
+     * Persistent stream for a subsystem. Successive calls continue the same sequence.
+     * @param name Subsystem name, e.g. 'systems', 'asteroids', 'anomalies'
+     */
+    stream(name: string): SeededRandom {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new SeededRandom(hashString(`${this.seed}:${name}`));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Fresh generator for one keyed piece of content (e.g. the planets of a
+     * single system). The result does not depend on generation order.
+     */
+    derive(name: string, key: string): SeededRandom {
+        return new SeededRandom(hashString(`${this.seed}:${name}:${key}`));
+    }
+}
+
+export const gameRandom = new RandomService();
+
+/**
+ * Read the seed from the ?seed= URL parameter, if present
+ */
+export function getSeedFromUrl(search: string): string | null {
+    const seed = new URLSearchParams(search).get('seed');
+    return seed && seed.trim() ? seed.trim() : null;
+}
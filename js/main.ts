@@ -16,10 +16,14 @@ import { mainMessageBus } from './globals/messageBus.ts';
 
 // Import bitECS systems
 import { createGameEntity } from './ecs/world';
-import { Position, Rotation, Player } from './ecs/components';
+import { Position, Rotation, Player, Health, Collider } from './ecs/components';
 import { setPlayerEntity } from './ecs/systems/index';
+import { getBenchmarkScenarioFromUrl } from './modules/debug/benchmark.ts';
 // import { initECS, updateECS } from './ecs/systems/index.js'; // Removed direct import
 
+// Collision radius of the player ship for bitECS enemy attacks and shots
+const PLAYER_COLLIDER_RADIUS = 30;
+
 export class Game {
     initializer: any;
     lifecycle: any;
@@ -27,6 +31,14 @@ export class Game {
     hordeMode: any;
     audioUpdater: any;
     objectPools: any;
+    saveManager: any;
+    market: any;
+    contractManager: any;
+    replayManager: any;
+    bossManager: any;
+    turretManager: any;
+    runStats: any;
+    benchmark: any = null;
     gameLoop: any;
     boundAnimate: any;
     startupSequence: any;
@@ -34,6 +46,8 @@ export class Game {
     isGameOver: boolean = false;
     introSequenceActive: boolean = false;
     gameTime: number = 0;
+    // Career stats kept with the save game
+    playerStats: { bossesDefeated: number } = { bossesDefeated: 0 };
     isMobile: boolean = false;
     ui: any;
     physics: any;
@@ -95,6 +109,27 @@ export class Game {
             const { ObjectPools } = await import('./main/objectPools.js');
             this.objectPools = new ObjectPools(this);
 
+            const { SaveManager } = await import('./main/saveManager.ts');
+            this.saveManager = new SaveManager(this);
+
+            const { MarketModel } = await import('./modules/market/marketModel.ts');
+            this.market = new MarketModel();
+
+            const { ContractManager } = await import('./main/contractManager.ts');
+            this.contractManager = new ContractManager(this);
+
+            const { ReplayManager } = await import('./main/replayManager.ts');
+            this.replayManager = new ReplayManager(this);
+
+            const { BossManager } = await import('./main/bossManager.ts');
+            this.bossManager = new BossManager(this);
+
+            const { TurretManager } = await import('./main/turretManager.ts');
+            this.turretManager = new TurretManager(this);
+
+            const { RunStatsManager } = await import('./main/runStatsManager.ts');
+            this.runStats = new RunStatsManager(this);
+
             // Register event handlers
             this.initializer.setupEventHandlers();
 
@@ -126,6 +161,13 @@ export class Game {
 
             // Start the initialization sequence
             this.startupSequence.initializeGameSequence();
+
+            // ?benchmark=<scenario> takes over once the world has loaded
+            const benchmarkScenario = getBenchmarkScenarioFromUrl(window.location.search);
+            if (benchmarkScenario) {
+                const { BenchmarkRunner } = await import('./modules/debug/benchmarkRunner.ts');
+                void new BenchmarkRunner(this, benchmarkScenario).start();
+            }
         } catch (error) {
             throw error;
         }
@@ -195,17 +237,24 @@ export class Game {
     // Main update loop
     update(deltaTime: number) {
         if (this.isGameOver) return;
+
+        // Section timings for the perf overlay (F3) and benchmark reports
+        let mark = performance.now();
         
         // Update horde mode
         this.hordeMode.update();
         
         // Update physics
         this.physics.update(deltaTime);
+        mark = this.recordSystemTime('physics', mark);
 
         // Update bitECS systems (parallel to legacy systems)
         if (this._updateECS) {
+            this.syncPlayerHealthToECS();
             this._updateECS(deltaTime);
+            this.applyECSPlayerDamage();
         }
+        mark = this.recordSystemTime('ecs', mark);
 
         // Sync player position/rotation to bitECS for radar and other systems
         if (this.playerEid !== undefined && this.spaceship && this.spaceship.mesh) {
@@ -223,6 +272,7 @@ export class Game {
         if (this.spaceship.update) {
             this.spaceship.update(deltaTime);
         }
+        mark = this.recordSystemTime('spaceship', mark);
         
         // Update difficulty manager (but not during intro sequence)
         if (this.difficultyManager && !this.introSequenceActive && !this.spaceship.isDocked) {
@@ -240,27 +290,65 @@ export class Game {
             this.controls.update();
         }
         
+        mark = this.recordSystemTime('controls', mark);
+
         // Update combat
         this.updateCombat(deltaTime);
+        mark = this.recordSystemTime('combat', mark);
+
+        // Update contract deadlines and progress
+        if (this.contractManager) {
+            this.contractManager.update(deltaTime);
+        }
+
+        // Update the dreadnought encounter
+        if (this.bossManager) {
+            this.bossManager.update(deltaTime);
+        }
+
+        // Update deployed laser turrets
+        if (this.turretManager) {
+            this.turretManager.update(deltaTime);
+        }
+
+        // Update run statistics
+        if (this.runStats) {
+            this.runStats.update(deltaTime);
+        }
+        mark = this.recordSystemTime('managers', mark);
         
         // Update environment
         if (this.environment.update) {
             this.environment.update(deltaTime, this.camera);
         }
+        mark = this.recordSystemTime('environment', mark);
         
         // Update UI
         if (this.ui.update) {
             this.ui.update(deltaTime);
         }
+        mark = this.recordSystemTime('ui', mark);
         
         // Update audio
         this.updateAudio();
+        mark = this.recordSystemTime('audio', mark);
         
         // Check for game over conditions
         this.checkGameOver();
         
         // Update ECS world
         this.updateECSWorld(deltaTime);
+        this.recordSystemTime('world', mark);
+    }
+
+    // Add the time since start to a section's total in the perf sink; returns now
+    private recordSystemTime(name: string, start: number): number {
+        const now = performance.now();
+        const perf = window.__perf;
+        if (perf && perf.enabled) {
+            perf.systems[name] = (perf.systems[name] || 0) + now - start;
+        }
+        return now;
     }
     
     // Explicitly typed helper for combat
@@ -290,6 +378,49 @@ export class Game {
         }
     }
     
+    // Mirror hull and shields into the bitECS player so enemy rams and shots can hit it
+    syncPlayerHealthToECS() {
+        const eid = this.playerEid;
+        const spaceship = this.spaceship;
+        if (eid === undefined || !spaceship) return;
+
+        // A zero-health player can't be rammed while docked or during the intro
+        const exposed = !spaceship.isDocked && !spaceship.isDestroyed && !this.introSequenceActive;
+        Health.current[eid] = exposed ? spaceship.hull : 0;
+        Health.max[eid] = spaceship.maxHull;
+        Health.shield[eid] = exposed ? spaceship.shield : 0;
+        Health.maxShield[eid] = spaceship.maxShield;
+        Collider.radius[eid] = PLAYER_COLLIDER_RADIUS;
+    }
+
+    // Copy damage taken by the bitECS player back to the ship
+    applyECSPlayerDamage() {
+        const eid = this.playerEid;
+        const spaceship = this.spaceship;
+        if (eid === undefined || !spaceship || spaceship.isDocked || spaceship.isDestroyed || this.introSequenceActive) return;
+
+        const damage = Math.max(0, spaceship.hull - Health.current[eid]);
+        const shieldDamage = Math.max(0, spaceship.shield - Health.shield[eid]);
+        if (damage === 0 && shieldDamage === 0) return;
+
+        spaceship.hull -= damage;
+        spaceship.shield -= shieldDamage;
+        if (spaceship.syncValuesToHealthComponent) {
+            spaceship.syncValuesToHealthComponent();
+        }
+
+        mainMessageBus.publish('player.damaged', {
+            damage,
+            shieldDamage,
+            source: 'enemy',
+            position: spaceship.mesh ? spaceship.mesh.position.clone() : null
+        });
+
+        if (spaceship.hull <= 0) {
+            spaceship.handleDestruction(0, spaceship.shield);
+        }
+    }
+
     updateECSWorld(deltaTime: number) {
         // Update the ECS world with the current delta time - skip during intro sequence
         if (this.world && !this.introSequenceActive) {
@@ -0,0 +1,421 @@
+// bossManager.ts - Runs the hostile Star Dreadnought encounter in dangerous systems
+//
+// Each dangerous system rolls once, from the universe seed, for a dormant
+// dreadnought. It only attacks once the player flies close or opens fire, so
+// the fight is optional. Boss progress is not part of save games: leaving the
+// system or loading a save removes the encounter.
+
+import * as THREE from 'three';
+import { EVENT } from '../core/events.ts';
+import { mainMessageBus } from '../globals/messageBus.ts';
+import { gameRandom } from '../globals/random.ts';
+import { StarDreadnought } from '../modules/environment/starDreadnought.ts';
+import { spawnEnemyArchetype, spawnEnemyShot } from '../ecs/systems/index';
+import {
+    DreadnoughtBoss,
+    DREADNOUGHT_REWARD,
+    type BossEvent,
+    type BossStatus,
+    type BossSubsystem,
+    type BossSubsystemId
+} from '../modules/boss/dreadnoughtBoss.ts';
+
+type BossSystemInfo = {
+    id: string;
+    name: string;
+    classification: string;
+};
+
+type BossGameContext = {
+    introSequenceActive?: boolean;
+    playerStats?: { bossesDefeated: number };
+    spaceship?: {
+        credits: number;
+        isDocked: boolean;
+        isDestroyed?: boolean;
+        mesh?: THREE.Object3D;
+    };
+    difficultyManager?: {
+        currentLevel: number;
+        params: { enemyHealth: number; enemyDamage: number; enemySpeed: number };
+    };
+    environment?: {
+        starSystemGenerator?: {
+            getCurrentSystemData: () => BossSystemInfo | null;
+        };
+    };
+    renderer?: {
+        scene?: THREE.Scene;
+    };
+    combat?: {
+        effectsManager?: {
+            createExplosionEffect?: (position: THREE.Vector3, duration?: number, isVisible?: boolean) => void;
+        };
+    };
+    ui?: {
+        updateBossBar?: (status: BossStatus | null) => void;
+    };
+};
+
+// Chance that a system of each classification hosts a dreadnought
+const SPAWN_CHANCE: Record<string, number> = {
+    'Hazardous': 0.5,
+    'Unstable': 0.35,
+    'Ancient': 0.35
+};
+
+// Must match the StarDreadnought model scale
+const MODEL_SCALE = 1200;
+
+// Distance from the system origin the dreadnought waits at
+const SPAWN_DISTANCE: [number, number] = [10000, 16000];
+
+// The dreadnought wakes up when the player comes this close
+const ENGAGE_RANGE = 5000;
+
+// The dreadnought closes to this distance and holds there
+const STANDOFF_RANGE = 1500;
+
+// Units per second with both engine pods running
+const MAX_SPEED = 150;
+
+// Fraction of the remaining turn completed per second
+const TURN_RATE = 0.5;
+
+// Turret shots
+const SHOT_SPEED = 3000;
+const SHOT_DAMAGE = 0.6; // Multiplier on the base enemy damage
+const SHOT_SPREAD = 0.04; // Radians
+
+// Seconds the teleport beam stays on after a drone wave
+const BEAM_DURATION = 2;
+
+// Drones appear around the beam's impact point, which sits below the hull
+const BEAM_IMPACT = new THREE.Vector3(0, -MODEL_SCALE, -MODEL_SCALE * 0.1);
+const DRONE_SPREAD = 150;
+
+// Seconds between HUD refreshes
+const HUD_REFRESH_INTERVAL = 0.25;
+
+// Seconds between "hull shielded" reminders
+const SHIELDED_NOTICE_INTERVAL = 5;
+
+const ENTITY_ID_PREFIX = 'dreadnought:';
+
+export class BossManager {
+    game: BossGameContext;
+    boss: DreadnoughtBoss | null;
+    model: StarDreadnought | null;
+    engaged: boolean;
+    private systemId: string | null;
+    private defeatedSystems: Set<string>;
+    private hitboxes: Map<BossSubsystemId, THREE.Mesh[]>;
+    private beamTimer: number;
+    private hudTimer: number;
+    private shieldedNoticeTimer: number;
+
+    constructor(game: BossGameContext) {
+        this.game = game;
+        this.boss = null;
+        this.model = null;
+        this.engaged = false;
+        this.systemId = null;
+        this.defeatedSystems = new Set();
+        this.hitboxes = new Map();
+        this.beamTimer = 0;
+        this.hudTimer = 0;
+        this.shieldedNoticeTimer = 0;
+
+        mainMessageBus.subscribe('entity.damage', (message) => this.handleDamage(message.data));
+        mainMessageBus.subscribe('game.over', () => this.despawn());
+        mainMessageBus.subscribe('game.loaded', () => {
+            this.despawn();
+            this.defeatedSystems.clear();
+            // Re-roll for the loaded system on the next update
+            this.systemId = null;
+        });
+    }
+
+    /**
+     * Whether a system hosts a dreadnought. Fixed per universe seed.
+     */
+    static hasDreadnought(system: BossSystemInfo): boolean {
+        const chance = SPAWN_CHANCE[system.classification] || 0;
+        return chance > 0 && gameRandom.derive('dreadnought', system.id).chance(chance);
+    }
+
+    update(deltaTime: number): void {
+        const system = this.game.environment?.starSystemGenerator?.getCurrentSystemData() || null;
+        const systemId = system ? system.id : null;
+        if (systemId !== this.systemId) {
+            this.despawn();
+            this.systemId = systemId;
+            if (system && !this.defeatedSystems.has(system.id) && BossManager.hasDreadnought(system)) {
+                this.spawn(system);
+            }
+        }
+
+        const boss = this.boss;
+        const ship = this.model?.getShip();
+        const spaceship = this.game.spaceship;
+        if (!boss || !this.model || !ship || !spaceship || !spaceship.mesh) return;
+
+        this.model.update(deltaTime);
+        this.updateBeam(deltaTime);
+        this.shieldedNoticeTimer = Math.max(0, this.shieldedNoticeTimer - deltaTime);
+
+        // Hold fire while the player is docked, destroyed or watching the intro
+        if (spaceship.isDocked || spaceship.isDestroyed || this.game.introSequenceActive) return;
+
+        const playerPosition = spaceship.mesh.position;
+        if (!this.engaged) {
+            if (ship.position.distanceTo(playerPosition) > ENGAGE_RANGE) return;
+            this.engage();
+        }
+
+        this.move(ship, playerPosition, boss.getEngineFactor(), deltaTime);
+
+        const actions = boss.update(deltaTime);
+        actions.volleys.forEach(battery => this.fireVolley(battery, playerPosition, boss.phase.shotsPerBattery));
+        if (actions.droneWave > 0) {
+            this.teleportDrones(ship, actions.droneWave);
+        }
+
+        this.hudTimer += deltaTime;
+        if (this.hudTimer >= HUD_REFRESH_INTERVAL) {
+            this.hudTimer = 0;
+            this.refreshHUD();
+        }
+    }
+
+    private spawn(system: BossSystemInfo): void {
+        const scene = this.game.renderer?.scene;
+        if (!scene) return;
+
+        const random = gameRandom.derive('dreadnought-position', system.id);
+        const angle = random.float(0, Math.PI * 2);
+        const distance = random.float(SPAWN_DISTANCE[0], SPAWN_DISTANCE[1]);
+
+        const level = this.game.difficultyManager?.currentLevel || 1;
+        this.boss = new DreadnoughtBoss(1 + (level - 1) * 0.25);
+        this.model = new StarDreadnought(scene);
+        this.engaged = false;
+        this.beamTimer = 0;
+
+        const ship = this.model.getShip()!;
+        ship.position.set(Math.cos(angle) * distance, random.float(-2000, 2000), Math.sin(angle) * distance);
+        ship.rotation.y = random.float(0, Math.PI * 2);
+        this.model.setEnginesPower(0.2);
+        this.createHitboxes(ship, this.boss.subsystems);
+
+        this.notify(`Long-range scan: a hostile dreadnought is holding position in ${system.name}`, 'info');
+    }
+
+    private despawn(): void {
+        if (this.model) {
+            this.model.dispose();
+        }
+        this.hitboxes.clear();
+        this.model = null;
+        this.boss = null;
+        this.engaged = false;
+        this.beamTimer = 0;
+        this.game.ui?.updateBossBar?.(null);
+    }
+
+    private engage(): void {
+        this.engaged = true;
+        this.model?.setEnginesPower(1);
+        this.notify('The dreadnought is powering up its weapons!', 'error');
+        mainMessageBus.publish('boss.engaged', { boss: 'dreadnought', systemId: this.systemId });
+        this.refreshHUD();
+    }
+
+    // Invisible boxes the particle cannon's raycast can hit, one set per subsystem
+    private createHitboxes(ship: THREE.Group, subsystems: BossSubsystem[]): void {
+        for (const subsystem of subsystems) {
+            const meshes = subsystem.hitboxes.map(box => {
+                const mesh = new THREE.Mesh(
+                    new THREE.BoxGeometry(box.size[0] * MODEL_SCALE, box.size[1] * MODEL_SCALE, box.size[2] * MODEL_SCALE),
+                    new THREE.MeshBasicMaterial({ visible: false })
+                );
+                mesh.position.set(box.center[0] * MODEL_SCALE, box.center[1] * MODEL_SCALE, box.center[2] * MODEL_SCALE);
+                mesh.userData.entityId = ENTITY_ID_PREFIX + subsystem.id;
+                ship.add(mesh);
+                return mesh;
+            });
+            this.hitboxes.set(subsystem.id, meshes);
+        }
+    }
+
+    // Close to standoff range, turning the nose (-z) towards the player
+    private move(ship: THREE.Group, target: THREE.Vector3, engineFactor: number, deltaTime: number): void {
+        this.model?.setEnginesPower(engineFactor);
+        if (engineFactor <= 0) return;
+
+        const facing = new THREE.Quaternion().setFromRotationMatrix(
+            new THREE.Matrix4().lookAt(ship.position, target, ship.up)
+        );
+        ship.quaternion.slerp(facing, Math.min(1, TURN_RATE * engineFactor * deltaTime));
+
+        const toTarget = target.clone().sub(ship.position);
+        const distance = toTarget.length();
+        if (distance > STANDOFF_RANGE) {
+            const step = Math.min(distance - STANDOFF_RANGE, MAX_SPEED * engineFactor * deltaTime);
+            ship.position.addScaledVector(toTarget.normalize(), step);
+        }
+    }
+
+    private fireVolley(battery: BossSubsystem, target: THREE.Vector3, shots: number): void {
+        const hitbox = this.hitboxes.get(battery.id)?.[0];
+        if (!hitbox) return;
+
+        const random = gameRandom.stream('boss');
+        const origin = hitbox.getWorldPosition(new THREE.Vector3());
+        const aim = target.clone().sub(origin).normalize();
+        const damage = (this.game.difficultyManager?.params.enemyDamage || 15) * SHOT_DAMAGE;
+
+        for (let i = 0; i < shots; i++) {
+            const direction = aim.clone()
+                .add(new THREE.Vector3(
+                    random.float(-SHOT_SPREAD, SHOT_SPREAD),
+                    random.float(-SHOT_SPREAD, SHOT_SPREAD),
+                    random.float(-SHOT_SPREAD, SHOT_SPREAD)
+                ))
+                .normalize();
+
+            spawnEnemyShot({
+                // The dreadnought has no bitECS entity of its own
+                sourceEid: 0,
+                x: origin.x,
+                y: origin.y,
+                z: origin.z,
+                dirX: direction.x,
+                dirY: direction.y,
+                dirZ: direction.z,
+                speed: SHOT_SPEED,
+                damage
+            });
+        }
+    }
+
+    private teleportDrones(ship: THREE.Group, count: number): void {
+        const params = this.game.difficultyManager?.params;
+        const base = {
+            health: params ? params.enemyHealth : 20,
+            damage: params ? params.enemyDamage : 15,
+            speed: params ? params.enemySpeed : 700
+        };
+        const random = gameRandom.stream('boss');
+        const impact = ship.localToWorld(BEAM_IMPACT.clone());
+
+        for (let i = 0; i < count; i++) {
+            spawnEnemyArchetype('drone', {
+                x: impact.x + random.float(-DRONE_SPREAD, DRONE_SPREAD),
+                y: impact.y + random.float(-DRONE_SPREAD, DRONE_SPREAD),
+                z: impact.z + random.float(-DRONE_SPREAD, DRONE_SPREAD)
+            }, base, random);
+        }
+
+        this.model?.activateTeleportBeam();
+        this.beamTimer = BEAM_DURATION;
+        this.notify(`The dreadnought is teleporting in ${count} drones`, 'error');
+    }
+
+    private updateBeam(deltaTime: number): void {
+        if (this.beamTimer <= 0) return;
+
+        this.beamTimer -= deltaTime;
+        if (this.beamTimer <= 0) {
+            this.model?.deactivateTeleportBeam();
+        } else {
+            this.model?.updateTeleportBeam(1 - this.beamTimer / BEAM_DURATION);
+        }
+    }
+
+    private handleDamage(data: { entityId?: unknown; damage?: number; source?: string }): void {
+        const boss = this.boss;
+        if (!boss || !data || typeof data.entityId !== 'string' || !data.entityId.startsWith(ENTITY_ID_PREFIX)) return;
+
+        // Shooting a dormant dreadnought wakes it up
+        if (!this.engaged) {
+            this.engage();
+        }
+
+        const subsystemId = data.entityId.slice(ENTITY_ID_PREFIX.length) as BossSubsystemId;
+        const result = boss.damage(subsystemId, data.damage || 0);
+
+        if (result.shielded && this.shieldedNoticeTimer <= 0) {
+            this.shieldedNoticeTimer = SHIELDED_NOTICE_INTERVAL;
+            this.notify('The hull is shielded - take out the shield generator first', 'info');
+        }
+
+        result.events.forEach(event => this.handleEvent(event));
+        if (this.boss) {
+            this.refreshHUD();
+        }
+    }
+
+    private handleEvent(event: BossEvent): void {
+        switch (event.type) {
+            case 'subsystemDestroyed': {
+                const meshes = this.hitboxes.get(event.subsystem.id) || [];
+                for (const mesh of meshes) {
+                    this.explode(mesh.getWorldPosition(new THREE.Vector3()));
+                    mesh.removeFromParent();
+                    mesh.geometry.dispose();
+                    (mesh.material as THREE.Material).dispose();
+                }
+                this.hitboxes.delete(event.subsystem.id);
+
+                if (event.subsystem.kind !== 'hull') {
+                    this.notify(`Dreadnought ${event.subsystem.label.toLowerCase()} destroyed`, 'success');
+                }
+                mainMessageBus.publish('boss.subsystemDestroyed', { boss: 'dreadnought', subsystem: event.subsystem.id });
+                break;
+            }
+            case 'phaseChanged':
+                this.notify(`Dreadnought phase ${event.phase.phase}: ${event.phase.name}`, 'error');
+                mainMessageBus.publish('boss.phaseChanged', { boss: 'dreadnought', phase: event.phase.phase });
+                break;
+            case 'defeated':
+                this.handleDefeat();
+                break;
+        }
+    }
+
+    private handleDefeat(): void {
+        const ship = this.model?.getShip();
+        if (ship) {
+            this.explode(ship.position.clone());
+        }
+
+        const spaceship = this.game.spaceship;
+        if (spaceship) {
+            spaceship.credits += DREADNOUGHT_REWARD;
+            mainMessageBus.publish(EVENT.CREDITS_EARNED, { amount: DREADNOUGHT_REWARD, source: 'boss' });
+        }
+        if (this.game.playerStats) {
+            this.game.playerStats.bossesDefeated++;
+        }
+        if (this.systemId) {
+            this.defeatedSystems.add(this.systemId);
+        }
+
+        this.notify(`Dreadnought destroyed! +${DREADNOUGHT_REWARD} CR`, 'success');
+        mainMessageBus.publish('boss.defeated', { boss: 'dreadnought', systemId: this.systemId, reward: DREADNOUGHT_REWARD });
+        this.despawn();
+    }
+
+    private explode(position: THREE.Vector3): void {
+        this.game.combat?.effectsManager?.createExplosionEffect?.(position, 1500, true);
+    }
+
+    private refreshHUD(): void {
+        this.game.ui?.updateBossBar?.(this.boss && this.engaged ? this.boss.getStatus() : null);
+    }
+
+    private notify(message: string, type: 'info' | 'success' | 'error'): void {
+        mainMessageBus.publish('ui.notification', { message, type, duration: 4000 });
+    }
+}
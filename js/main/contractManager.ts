@@ -0,0 +1,245 @@
+// contractManager.ts - Connects the contract board to gameplay events, credits and the HUD
+//
+// Contracts are not part of save games: loading a save clears the board.
+
+import * as THREE from 'three';
+import { EVENT } from '../core/events.ts';
+import { mainMessageBus } from '../globals/messageBus.ts';
+import type { Commodity } from '../modules/market/marketModel.ts';
+import {
+    ContractBoard,
+    MAX_ACTIVE_CONTRACTS,
+    type Contract,
+    type ContractOutcome,
+    type ContractSystemInfo
+} from '../modules/contracts/contractBoard.ts';
+import { getScannerRangeFactor } from '../modules/environment/environmentalHazards.ts';
+
+type ContractGameContext = {
+    spaceship?: {
+        credits: number;
+        isDocked: boolean;
+        scanRange?: number;
+        mesh?: { position: THREE.Vector3 };
+    };
+    controls?: {
+        resources?: Record<Commodity, number>;
+    };
+    environment?: {
+        starSystemGenerator?: {
+            getCurrentSystemData: () => ContractSystemInfo | null;
+        };
+        findClosestAnomaly?: (position: THREE.Vector3, maxDistance: number) => { type: string } | null;
+    };
+    renderer?: {
+        scene?: THREE.Scene;
+    };
+    ui?: {
+        updateContracts?: (contracts: Contract[]) => void;
+    };
+};
+
+// Minimum distance at which an anomaly can be scanned; scanner upgrades extend it
+const MIN_ANOMALY_SCAN_RANGE = 3000;
+
+// Seconds between HUD refreshes
+const HUD_REFRESH_INTERVAL = 0.25;
+
+export class ContractManager {
+    game: ContractGameContext;
+    board: ContractBoard;
+    private hudTimer: number;
+    private zoneMarkers: Map<string, THREE.Mesh>;
+    private markerSystemId: string | null;
+
+    constructor(game: ContractGameContext) {
+        this.game = game;
+        this.board = new ContractBoard();
+        this.hudTimer = 0;
+        this.zoneMarkers = new Map();
+        this.markerSystemId = null;
+
+        mainMessageBus.subscribe(EVENT.ENEMY_DESTROYED, () => {
+            this.resolve(this.board.recordEnemyDestroyed());
+        });
+        mainMessageBus.subscribe(EVENT.MINING_EXTRACTED, () => {
+            const resources = this.game.controls?.resources;
+            if (resources) {
+                this.board.recordCargo(resources);
+                this.refreshHUD();
+            }
+        });
+        mainMessageBus.subscribe('player.docked', () => this.deliverCargo());
+        mainMessageBus.subscribe('game.over', () => this.resolve(this.board.failAll('Ship destroyed')));
+        mainMessageBus.subscribe('game.loaded', () => {
+            this.board.reset();
+            this.syncZoneMarkers();
+            this.refreshHUD();
+        });
+    }
+
+    getCurrentSystem(): ContractSystemInfo | null {
+        const generator = this.game.environment?.starSystemGenerator;
+        return generator ? generator.getCurrentSystemData() : null;
+    }
+
+    /**
+     * Contracts posted at the current system's stargate
+     */
+    getOffers(): Contract[] {
+        const system = this.getCurrentSystem();
+        return system ? this.board.getOffers(system) : [];
+    }
+
+    getActive(): Contract[] {
+        return this.board.getActive();
+    }
+
+    /**
+     * Accept a contract from the current system's board
+     * @returns The contract, or null if it couldn't be accepted
+     */
+    accept(contractId: string): Contract | null {
+        const system = this.getCurrentSystem();
+        if (!system) return null;
+
+        if (this.board.getActive().length >= MAX_ACTIVE_CONTRACTS) {
+            this.notify(`Contract limit reached (${MAX_ACTIVE_CONTRACTS} active)`, 'error');
+            return null;
+        }
+
+        const contract = this.board.accept(system.id, contractId);
+        if (!contract) return null;
+
+        const resources = this.game.controls?.resources;
+        if (resources) {
+            this.board.recordCargo(resources);
+        }
+
+        mainMessageBus.publish('contract.accepted', { id: contract.id, type: contract.type });
+        this.syncZoneMarkers();
+        this.refreshHUD();
+        return contract;
+    }
+
+    abandon(contractId: string): boolean {
+        const outcome = this.board.abandon(contractId);
+        if (!outcome) return false;
+        this.resolve([outcome]);
+        return true;
+    }
+
+    update(deltaTime: number): void {
+        const spaceship = this.game.spaceship;
+        const system = this.getCurrentSystem();
+        if (!spaceship || this.board.getActive().length === 0) return;
+
+        const position = !spaceship.isDocked && spaceship.mesh ? spaceship.mesh.position : null;
+
+        // Zone markers only belong in the system that posted the contract
+        const systemId = system ? system.id : null;
+        if (systemId !== this.markerSystemId) {
+            this.syncZoneMarkers();
+        }
+
+        if (position && system) {
+            this.scanAnomalies(system.id, position);
+        }
+
+        this.resolve(this.board.update(deltaTime, systemId, position));
+
+        this.hudTimer += deltaTime;
+        if (this.hudTimer >= HUD_REFRESH_INTERVAL) {
+            this.hudTimer = 0;
+            this.refreshHUD();
+        }
+    }
+
+    private scanAnomalies(systemId: string, position: THREE.Vector3): void {
+        const environment = this.game.environment;
+        if (!environment || !environment.findClosestAnomaly) return;
+        if (!this.board.getActive().some(contract => contract.type === 'survey')) return;
+
+        const range = Math.max(MIN_ANOMALY_SCAN_RANGE, this.game.spaceship?.scanRange || 0) * getScannerRangeFactor();
+        const anomaly = environment.findClosestAnomaly(position, range);
+        if (anomaly) {
+            this.resolve(this.board.recordAnomalyScan(systemId, anomaly.type));
+        }
+    }
+
+    private deliverCargo(): void {
+        const system = this.getCurrentSystem();
+        const resources = this.game.controls?.resources;
+        if (!system || !resources) return;
+
+        const result = this.board.deliver(system.id, resources);
+        for (const [commodity, amount] of Object.entries(result.delivered)) {
+            resources[commodity as Commodity] -= amount as number;
+        }
+        this.resolve(result.outcomes);
+    }
+
+    // Pay rewards, charge penalties and announce finished contracts
+    private resolve(outcomes: ContractOutcome[]): void {
+        if (outcomes.length === 0) return;
+
+        const spaceship = this.game.spaceship;
+        for (const { contract, status } of outcomes) {
+            if (status === 'completed') {
+                if (spaceship) {
+                    spaceship.credits += contract.reward;
+                    mainMessageBus.publish(EVENT.CREDITS_EARNED, { amount: contract.reward, source: 'contract' });
+                }
+                this.notify(`Contract complete: ${contract.title} (+${contract.reward} CR)`, 'success');
+                mainMessageBus.publish('contract.completed', { id: contract.id, type: contract.type, reward: contract.reward });
+            } else {
+                if (spaceship) spaceship.credits = Math.max(0, spaceship.credits - contract.penalty);
+                this.notify(`Contract failed: ${contract.title} - ${contract.failureReason} (-${contract.penalty} CR)`, 'error');
+                mainMessageBus.publish('contract.failed', { id: contract.id, type: contract.type, reason: contract.failureReason });
+            }
+        }
+
+        this.syncZoneMarkers();
+        this.refreshHUD();
+    }
+
+    private refreshHUD(): void {
+        this.game.ui?.updateContracts?.(this.board.getActive());
+    }
+
+    // Show a translucent sphere around each active holdout zone
+    private syncZoneMarkers(): void {
+        const scene = this.game.renderer?.scene;
+        if (!scene) return;
+
+        const system = this.getCurrentSystem();
+        this.markerSystemId = system ? system.id : null;
+        const zones = this.board.getActive().filter(contract =>
+            contract.type === 'holdout' && contract.location && contract.systemId === system?.id);
+
+        for (const [id, marker] of this.zoneMarkers) {
+            if (!zones.some(contract => contract.id === id)) {
+                scene.remove(marker);
+                marker.geometry.dispose();
+                (marker.material as THREE.Material).dispose();
+                this.zoneMarkers.delete(id);
+            }
+        }
+
+        for (const contract of zones) {
+            if (this.zoneMarkers.has(contract.id)) continue;
+
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(contract.radius, 24, 16),
+                new THREE.MeshBasicMaterial({ color: 0x33ff99, wireframe: true, transparent: true, opacity: 0.25 })
+            );
+            marker.position.set(contract.location!.x, contract.location!.y, contract.location!.z);
+            scene.add(marker);
+            this.zoneMarkers.set(contract.id, marker);
+        }
+    }
+
+    private notify(message: string, type: 'info' | 'success' | 'error'): void {
+        mainMessageBus.publish('ui.notification', { message, type, duration: 3000 });
+    }
+}
@@ -1,6 +1,7 @@
 // diagnostics.js - Performance overlay and debug toggles
 
 import { initPerfOverlay } from '../modules/debug/perfOverlay.js';
+import { initEventInspector } from '../modules/debug/eventInspector.ts';
 import { DEBUG_MODE, toggleDebugMode } from '../globals/debug.ts';
 import { objectPool } from '../globals/objectPool.ts';
 
@@ -70,6 +71,9 @@ export class Diagnostics {
         });
         perf.enabled = false;
         
+        // Message bus event inspector (F4)
+        initEventInspector();
+        
         // Add debug command for FPS limit
         window.setFPSLimit = (limit: number) => {
             if (this.game.gameLoop) {
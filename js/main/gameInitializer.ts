@@ -20,11 +20,13 @@ type PhysicsSpaceship = Parameters<Physics['setSpaceship']>[0];
 
 type GameEnvironment = {
     setSpaceship: (ship: PhysicsSpaceship) => void;
+    getAsteroidByEid: (eid: number) => any;
 };
 
 type GameSpaceship = PhysicsSpaceship & DockingSpaceship & {
     thrustPower: number;
     strafePower: number;
+    fuel: number;
 };
 
 type GameUi = {
@@ -109,6 +111,10 @@ export class GameInitializer {
                         this.game.audio.playSound(sound);
                     }
                 }
+            },
+            asteroidLookup: {
+                // Environment is created below; asteroids load after it
+                getAsteroidByEid: (eid: number) => this.game.environment?.getAsteroidByEid(eid) ?? null
             }
         });
         this.game.physics = physics;
@@ -16,6 +16,7 @@ interface GameInstance {
     physics: any;
     controls: any;
     combat: any;
+    runStats?: any;
 }
 
 export class GameLifecycle {
@@ -49,15 +50,22 @@ export class GameLifecycle {
             cancelAnimationFrame(this.game.boundAnimate);
         }
 
+        // Record the run before showing how it compares with personal bests
+        const runSummary = this.game.runStats ? this.game.runStats.finishRun() : null;
+
         // Show game over UI
         if (this.game.ui) {
-            // Check if it's a horde mode game over
-            if (this.game.hordeMode && this.game.hordeMode.isActive) {
-                const survivalTime = this.game.hordeMode.getFormattedSurvivalTime();
-                this.game.ui.showGameOver(`HORDE MODE - Survived: ${survivalTime}\n${reason}`);
-            } else {
-                this.game.ui.showGameOver(reason);
-            }
+            const hordeMode = this.game.hordeMode;
+            const gameStats = {
+                resources: this.game.controls?.resources || {},
+                hordeMode: {
+                    active: !!(hordeMode && hordeMode.isActive),
+                    survivalTime: hordeMode ? hordeMode.getFormattedSurvivalTime() : '00:00',
+                    rawSurvivalTime: hordeMode ? hordeMode.survivalTime : 0
+                },
+                runSummary
+            };
+            this.game.ui.showGameOver(gameStats, reason);
         }
 
         // Play game over sound
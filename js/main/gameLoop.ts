@@ -13,10 +13,22 @@ type GameLoopUi = {
     settings?: GameLoopSettings;
 };
 
+type GameLoopReplay = {
+    beginTick: () => void;
+    endTick: () => void;
+};
+
+type GameLoopBenchmark = {
+    beginFrame: () => void;
+    endFrame: (frameMs: number, simMs: number, renderMs: number) => void;
+};
+
 type GameLoopGame = {
     update: (deltaTime: number) => void;
     renderer?: GameLoopRenderer;
     ui?: GameLoopUi;
+    replayManager?: GameLoopReplay;
+    benchmark?: GameLoopBenchmark | null;
     gameTime: number;
 };
 
@@ -148,6 +160,18 @@ export class GameLoop {
         
         // Update accumulator for fixed timestep
         this.accumulator += rawDelta;
+
+        // Benchmark runs steer the ship before the frame's ticks
+        this.game.benchmark?.beginFrame();
+
+        // Per-system timings are summed over this frame's ticks (see Game.update)
+        const perf = window.__perf;
+        if (perf && perf.enabled) {
+            for (const name in perf.systems) {
+                perf.systems[name] = 0;
+            }
+        }
+        const simStart = performance.now();
         
         // Perform fixed timestep updates
         // This keeps physics and gameplay consistent regardless of frame rate
@@ -158,8 +182,10 @@ export class GameLoop {
             // Store game time before update
             this.game.gameTime += this.deltaTime;
             
-            // Update all game systems
+            // Update all game systems, recording or replaying this tick's input
+            this.game.replayManager?.beginTick();
             this.game.update(this.deltaTime);
+            this.game.replayManager?.endTick();
             
             this.accumulator -= this.fixedDeltaTime;
         }
@@ -167,10 +193,20 @@ export class GameLoop {
         // Interpolation factor for rendering (unused for now, but useful for smooth rendering)
         // const alpha = this.accumulator / this.fixedDeltaTime;
         
+        const renderStart = performance.now();
+
         // Render the frame
         if (this.game.renderer && this.game.renderer.render) {
             this.game.renderer.render();
         }
+
+        const renderEnd = performance.now();
+        if (perf) {
+            perf.simMs = renderStart - simStart;
+            perf.renderMs = renderEnd - renderStart;
+            perf.fps = this.actualFrameTime ? 1000 / this.actualFrameTime : 0;
+        }
+        this.game.benchmark?.endFrame(this.actualFrameTime, renderStart - simStart, renderEnd - renderStart);
         
         // Update FPS calculation
         this.updateFPS();
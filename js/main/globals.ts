@@ -4,6 +4,8 @@ import * as THREE from 'three';
 import { mainMessageBus } from '../globals/messageBus.ts';
 import { objectPool } from '../globals/objectPool.ts';
 import { setDebugMode } from '../globals/debug.ts';
+import { gameRandom, getSeedFromUrl } from '../globals/random.ts';
+import { getBenchmarkScenarioFromUrl } from '../modules/debug/benchmark.ts';
 
 type VectorPool = {
     pool: THREE.Vector3[];
@@ -24,6 +26,14 @@ export function initializeGlobals(): void {
     void mainMessageBus;
     void objectPool;
 
+    // Seed procedural generation before any generator runs; benchmarks bring their own seed
+    const urlSeed = getSeedFromUrl(window.location.search)
+        ?? getBenchmarkScenarioFromUrl(window.location.search)?.seed;
+    if (urlSeed) {
+        gameRandom.setSeed(urlSeed);
+    }
+    console.log(`Universe seed: ${gameRandom.seed}`);
+
     // Initialize global vector pool for reusing vector objects
     initializeVectorPool();
 }
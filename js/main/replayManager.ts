@@ -0,0 +1,454 @@
+// replayManager.ts - Records per-tick input and plays it back through the same input path
+//
+// Recording and playback both start docked from a freshly applied save, with
+// the universe seed reset and Math.random swapped for a seeded generator, so
+// the fixed-step loop sees the same world and the same input on every tick.
+// Ship checkpoints taken while recording flag the first tick a replay drifts.
+// Purchases made while docked are not recorded, so a recording that docks
+// part way through only replays faithfully if nothing is bought or sold.
+
+import { mainMessageBus } from '../globals/messageBus.ts';
+import { gameRandom, hashString, SeededRandom } from '../globals/random.ts';
+import type { SaveData } from '../modules/save/saveFormat.ts';
+import {
+    REPLAY_VERSION,
+    CHECKPOINT_INTERVAL,
+    ReplayWriter,
+    ReplayReader,
+    checkDivergence,
+    createCheckpoint,
+    gamepadFromSnapshot,
+    snapshotGamepad,
+    parseReplay,
+    type ReplayAction,
+    type ReplayCheckpoint,
+    type ReplayData,
+    type GamepadState,
+    type TickInput
+} from '../modules/replay/replayFormat.ts';
+
+type ReplayMode = 'idle' | 'recording' | 'replaying';
+
+type ReplayGameContext = {
+    spaceship?: {
+        isDocked: boolean;
+        hull: number;
+        shield: number;
+        mesh?: { position: { x: number; y: number; z: number } };
+    };
+    physics?: {
+        updateRotation: (deltaX: number, deltaY: number) => void;
+    };
+    controls?: {
+        performAction?: (action: ReplayAction) => void;
+    };
+    saveManager?: {
+        captureState: (name: string) => SaveData | null;
+        applyState: (save: SaveData) => boolean;
+    };
+    environment?: {
+        updateEnvironmentForSystem?: (systemId: string) => void;
+    };
+    gameLoop?: {
+        fixedDeltaTime: number;
+    };
+};
+
+type InputWindow = Window & {
+    inputIntent?: number;
+};
+
+export interface ReplayResult {
+    name: string;
+    ticks: number;
+    completed: boolean;
+    // First recorded checkpoint the replay failed to match, if any
+    divergence: ReplayCheckpoint | null;
+}
+
+export class ReplayManager {
+    game: ReplayGameContext;
+    mode: ReplayMode;
+    lastResult: ReplayResult | null;
+    private writer: ReplayWriter | null;
+    private reader: ReplayReader | null;
+    private recording: Omit<ReplayData, 'frames' | 'checkpoints' | 'tickCount'> | null;
+    private replay: ReplayData | null;
+    private checkpoints: ReplayCheckpoint[];
+    private divergence: ReplayCheckpoint | null;
+    private pendingLook: [number, number];
+    private pendingActions: ReplayAction[];
+    private tickInput: TickInput | null;
+    private gamepad: GamepadState | null;
+    private replayGamepad: GamepadState | null;
+    private originalRandom: (() => number) | null;
+    private originalDeltaTime: number | null;
+    private awaitingUndock: boolean;
+    private readThisTick: boolean;
+
+    constructor(game: ReplayGameContext) {
+        this.game = game;
+        this.mode = 'idle';
+        this.lastResult = null;
+        this.writer = null;
+        this.reader = null;
+        this.recording = null;
+        this.replay = null;
+        this.checkpoints = [];
+        this.divergence = null;
+        this.pendingLook = [0, 0];
+        this.pendingActions = [];
+        this.tickInput = null;
+        this.gamepad = null;
+        this.replayGamepad = null;
+        this.originalRandom = null;
+        this.originalDeltaTime = null;
+        this.awaitingUndock = false;
+        this.readThisTick = false;
+
+        // Docking goes through the stargate UI and proximity checks, so record the outcome
+        mainMessageBus.subscribe('player.docked', () => this.recordAction('dock'));
+        mainMessageBus.subscribe('player.undocked', () => {
+            this.recordAction('undock');
+            this.awaitingUndock = false;
+        });
+    }
+
+    isRecording(): boolean {
+        return this.mode === 'recording';
+    }
+
+    isReplaying(): boolean {
+        return this.mode === 'replaying';
+    }
+
+    /**
+     * Start recording from the current docked state
+     * @returns True if recording started
+     */
+    startRecording(name: string = 'Recording'): boolean {
+        if (this.mode !== 'idle') return false;
+
+        if (!this.game.spaceship || !this.game.spaceship.isDocked) {
+            this.notify("Dock at a stargate to start recording", 'error');
+            return false;
+        }
+
+        const initialState = this.game.saveManager?.captureState(name);
+        if (!initialState) {
+            console.error("ReplayManager: Could not capture the starting state");
+            return false;
+        }
+
+        const recordedAt = Date.now();
+        const randomSeed = hashString(`${gameRandom.seed}:${recordedAt}`);
+        if (!this.resetWorld(gameRandom.seed, initialState, randomSeed)) {
+            return false;
+        }
+
+        this.recording = {
+            version: REPLAY_VERSION,
+            name,
+            recordedAt,
+            seed: gameRandom.seed,
+            randomSeed,
+            fixedDeltaTime: this.game.gameLoop?.fixedDeltaTime ?? 1 / 60,
+            initialState
+        };
+        this.writer = new ReplayWriter();
+        this.checkpoints = [];
+        this.pendingLook = [0, 0];
+        this.pendingActions = [];
+        this.gamepad = null;
+        this.mode = 'recording';
+
+        mainMessageBus.publish('replay.recordingStarted', { name });
+        this.notify("Recording input - press F6 to stop", 'info');
+        return true;
+    }
+
+    /**
+     * Stop recording
+     * @returns The finished recording, or null if nothing was being recorded
+     */
+    stopRecording(): ReplayData | null {
+        if (this.mode !== 'recording' || !this.writer || !this.recording) return null;
+
+        const replay: ReplayData = {
+            ...this.recording,
+            tickCount: this.writer.tickCount,
+            frames: this.writer.frames,
+            checkpoints: this.checkpoints
+        };
+
+        this.writer = null;
+        this.recording = null;
+        this.tickInput = null;
+        this.mode = 'idle';
+        this.restoreRandom();
+
+        mainMessageBus.publish('replay.recorded', { name: replay.name, ticks: replay.tickCount });
+        this.notify(`Recorded ${replay.tickCount} ticks`, 'success');
+        return replay;
+    }
+
+    /**
+     * Play a recording back from its starting state
+     * @returns True if playback started
+     */
+    playReplay(replay: ReplayData): boolean {
+        if (this.mode !== 'idle') return false;
+
+        if (!this.game.spaceship || !this.game.spaceship.isDocked) {
+            this.notify("Dock at a stargate to play a replay", 'error');
+            return false;
+        }
+
+        if (!this.resetWorld(replay.seed, replay.initialState, replay.randomSeed)) {
+            return false;
+        }
+
+        // Replays must tick at the rate they were recorded at
+        const gameLoop = this.game.gameLoop;
+        if (gameLoop && gameLoop.fixedDeltaTime !== replay.fixedDeltaTime) {
+            this.originalDeltaTime = gameLoop.fixedDeltaTime;
+            gameLoop.fixedDeltaTime = replay.fixedDeltaTime;
+        }
+
+        this.replay = replay;
+        this.reader = new ReplayReader(replay);
+        this.divergence = null;
+        this.replayGamepad = null;
+        this.awaitingUndock = false;
+        this.mode = 'replaying';
+
+        mainMessageBus.publish('replay.started', { name: replay.name, ticks: replay.tickCount });
+        this.notify(`Playing replay "${replay.name}"`, 'info');
+        return true;
+    }
+
+    /**
+     * Stop playback early or when the recording runs out
+     */
+    stopReplay(): ReplayResult | null {
+        if (this.mode !== 'replaying' || !this.reader || !this.replay) return null;
+
+        const result: ReplayResult = {
+            name: this.replay.name,
+            ticks: this.reader.tick,
+            completed: this.reader.finished,
+            divergence: this.divergence
+        };
+
+        this.reader = null;
+        this.replay = null;
+        this.replayGamepad = null;
+        this.mode = 'idle';
+        this.restoreRandom();
+
+        if (this.originalDeltaTime !== null && this.game.gameLoop) {
+            this.game.gameLoop.fixedDeltaTime = this.originalDeltaTime;
+        }
+        this.originalDeltaTime = null;
+
+        this.lastResult = result;
+        mainMessageBus.publish('replay.finished', result);
+
+        if (result.divergence) {
+            this.notify(`Replay diverged at tick ${result.divergence.tick}`, 'error');
+        } else {
+            this.notify(result.completed ? "Replay finished" : "Replay stopped", 'success');
+        }
+        return result;
+    }
+
+    /**
+     * Called by the game loop before each fixed tick
+     */
+    beginTick(): void {
+        this.readThisTick = false;
+        if (this.mode === 'recording') {
+            // Everything that arrived since the last tick is consumed by this one
+            this.tickInput = {
+                intent: (window as InputWindow).inputIntent,
+                look: this.pendingLook,
+                gamepad: null,
+                actions: this.pendingActions
+            };
+            this.pendingLook = [0, 0];
+            this.pendingActions = [];
+        } else if (this.mode === 'replaying' && this.reader && !this.awaitingUndock) {
+            const input = this.reader.readTick();
+            this.readThisTick = true;
+
+            (window as InputWindow).inputIntent = input.intent;
+            this.replayGamepad = input.gamepad;
+
+            if (input.look[0] !== 0 || input.look[1] !== 0) {
+                this.game.physics?.updateRotation(input.look[0], input.look[1]);
+            }
+            for (const action of input.actions) {
+                // The undock sequence spans several browser frames; it was recorded
+                // when it completed, so hold the tape until it completes again
+                if (action === 'undock' && this.game.spaceship?.isDocked) {
+                    this.awaitingUndock = true;
+                }
+                this.game.controls?.performAction?.(action);
+            }
+        }
+    }
+
+    /**
+     * Called by the game loop after each fixed tick
+     */
+    endTick(): void {
+        if (this.mode === 'recording' && this.writer && this.tickInput) {
+            // The gamepad is read during the tick, so it is filled in last
+            this.tickInput.gamepad = this.gamepad;
+            this.writer.writeTick(this.tickInput);
+            this.tickInput = null;
+
+            const tick = this.writer.tickCount - 1;
+            if (tick % CHECKPOINT_INTERVAL === 0) {
+                const checkpoint = this.captureCheckpoint(tick);
+                if (checkpoint) this.checkpoints.push(checkpoint);
+            }
+        } else if (this.mode === 'replaying' && this.reader && this.replay) {
+            if (!this.readThisTick) return;
+            const tick = this.reader.tick;
+            if (tick % CHECKPOINT_INTERVAL === 0 && !this.divergence) {
+                const expected = this.replay.checkpoints.find(checkpoint => checkpoint.tick === tick);
+                const actual = this.captureCheckpoint(tick);
+                if (actual) {
+                    this.divergence = checkDivergence(expected, actual);
+                    if (this.divergence) {
+                        console.warn(`ReplayManager: Replay diverged at tick ${tick}`, { expected, actual });
+                    }
+                }
+            }
+
+            this.reader.advance();
+            if (this.reader.finished) {
+                this.stopReplay();
+            }
+        }
+    }
+
+    /**
+     * Mouse look applied outside the tick (pointer events)
+     */
+    recordLook(deltaX: number, deltaY: number): void {
+        if (this.mode !== 'recording') return;
+        this.pendingLook = [this.pendingLook[0] + deltaX, this.pendingLook[1] + deltaY];
+    }
+
+    recordAction(action: ReplayAction): void {
+        if (this.mode !== 'recording') return;
+        this.pendingActions.push(action);
+    }
+
+    /**
+     * Gamepad state read by GamepadHandler this tick (null when it disconnects)
+     */
+    recordGamepad(gamepad: GamepadState | null): void {
+        if (this.mode !== 'recording') return;
+        // Copy - the browser may reuse the live Gamepad object
+        this.gamepad = gamepad ? gamepadFromSnapshot(snapshotGamepad(gamepad)) : null;
+    }
+
+    /**
+     * Recorded gamepad state for the current tick while replaying
+     */
+    getReplayGamepad(): GamepadState | null {
+        return this.mode === 'replaying' ? this.replayGamepad : null;
+    }
+
+    /**
+     * Download a recording as JSON for bug reports
+     */
+    exportReplay(replay: ReplayData): void {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `asteroid-miner-replay-${replay.recordedAt}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a replay file and start playing it
+     */
+    async importFile(file: File): Promise<boolean> {
+        try {
+            const replay = parseReplay(await file.text());
+            return replay ? this.playReplay(replay) : false;
+        } catch (error: any) {
+            console.error("Error reading replay file:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Toggle recording; stopping downloads the recording (F6)
+     */
+    toggleRecording(): void {
+        if (this.mode === 'recording') {
+            const replay = this.stopRecording();
+            if (replay) this.exportReplay(replay);
+        } else if (this.mode === 'idle') {
+            this.startRecording();
+        }
+    }
+
+    // Put the world into the same starting state for recording and playback
+    private resetWorld(seed: string, initialState: SaveData, randomSeed: number): boolean {
+        const saveManager = this.game.saveManager;
+        if (!saveManager) {
+            console.error("ReplayManager: Save manager not available");
+            return false;
+        }
+
+        if (!saveManager.applyState({ ...initialState, seed })) {
+            return false;
+        }
+
+        // applyState only regenerates when the system changes, so reset the
+        // streams and regenerate here to get the same sector every time
+        gameRandom.setSeed(seed);
+        if (initialState.starSystem) {
+            this.game.environment?.updateEnvironmentForSystem?.(initialState.starSystem.currentSystem);
+        }
+
+        (window as InputWindow).inputIntent = undefined;
+        this.installRandom(randomSeed);
+        return true;
+    }
+
+    private installRandom(seed: number): void {
+        if (!this.originalRandom) {
+            this.originalRandom = Math.random;
+        }
+        const random = new SeededRandom(seed);
+        Math.random = () => random.next();
+    }
+
+    private restoreRandom(): void {
+        if (this.originalRandom) {
+            Math.random = this.originalRandom;
+            this.originalRandom = null;
+        }
+    }
+
+    private captureCheckpoint(tick: number): ReplayCheckpoint | null {
+        const spaceship = this.game.spaceship;
+        if (!spaceship || !spaceship.mesh) return null;
+        return createCheckpoint(tick, spaceship.mesh.position, spaceship.hull, spaceship.shield);
+    }
+
+    private notify(message: string, type: 'info' | 'success' | 'error'): void {
+        mainMessageBus.publish('ui.notification', { message, type, duration: 3000 });
+    }
+}
@@ -0,0 +1,138 @@
+// runStatsManager.ts - Collects statistics for the current run and records it on the leaderboard
+//
+// A run starts when the game launches (or a save is loaded) and ends at game
+// over. Stats come from message bus events so the systems producing them don't
+// need to know about the leaderboard.
+
+import { EVENT } from '../core/events.ts';
+import { mainMessageBus } from '../globals/messageBus.ts';
+import { createRunStats, type RunStats } from '../modules/stats/runStats.ts';
+import {
+    Leaderboard,
+    type RunComparison,
+    type ScoreboardService
+} from '../modules/stats/leaderboard.ts';
+
+type RunStatsGameContext = {
+    introSequenceActive?: boolean;
+    hordeMode?: {
+        isActive: boolean;
+        // Milliseconds since horde mode started
+        survivalTime: number;
+    };
+    environment?: {
+        starSystemGenerator?: {
+            getCurrentSystemData: () => { id: string } | null;
+        };
+    };
+};
+
+export class RunStatsManager {
+    game: RunStatsGameContext;
+    leaderboard: Leaderboard;
+    stats: RunStats;
+    services: ScoreboardService[];
+    // Comparison for the finished run (null while the run is in progress)
+    result: RunComparison | null;
+
+    constructor(game: RunStatsGameContext, leaderboard: Leaderboard = new Leaderboard()) {
+        this.game = game;
+        this.leaderboard = leaderboard;
+        this.services = [];
+        this.result = null;
+        this.stats = createRunStats();
+        this.recordCurrentSystem();
+
+        mainMessageBus.subscribe(EVENT.ENEMY_DESTROYED, (message) => {
+            this.addKill(message.data.enemyType || 'unknown');
+        });
+        mainMessageBus.subscribe('boss.defeated', (message) => {
+            this.addKill(message.data.boss || 'boss');
+        });
+        mainMessageBus.subscribe('entity.damage', (message) => {
+            if (message.data.source === 'player' && message.data.damage > 0) {
+                this.stats.damageDealt += message.data.damage;
+            }
+        });
+        mainMessageBus.subscribe('player.damaged', (message) => {
+            this.stats.damageTaken += (message.data.damage || 0) + (message.data.shieldDamage || 0);
+        });
+        mainMessageBus.subscribe(EVENT.MINING_EXTRACTED, (message) => {
+            const { resourceType, amount } = message.data;
+            this.stats.resourcesMined[resourceType] = (this.stats.resourcesMined[resourceType] || 0) + amount;
+        });
+        mainMessageBus.subscribe(EVENT.CREDITS_EARNED, (message) => {
+            this.stats.creditsEarned += message.data.amount;
+        });
+        mainMessageBus.subscribe(EVENT.SYSTEM_ENTERED, (message) => {
+            this.addSystem(message.data.systemId);
+        });
+        mainMessageBus.subscribe('horde.activated', () => {
+            this.stats.mode = 'horde';
+        });
+        mainMessageBus.subscribe('game.loaded', () => this.reset());
+    }
+
+    /**
+     * Start a new run
+     */
+    reset(): void {
+        this.stats = createRunStats(this.game.hordeMode?.isActive ? 'horde' : 'standard');
+        this.result = null;
+        this.recordCurrentSystem();
+    }
+
+    /**
+     * Send finished runs to another scoreboard as well as the local leaderboard
+     */
+    addScoreboardService(service: ScoreboardService): void {
+        this.services.push(service);
+    }
+
+    update(deltaTime: number): void {
+        if (this.result || this.game.introSequenceActive) return;
+
+        const horde = this.game.hordeMode;
+        if (this.stats.mode === 'horde' && horde && horde.isActive) {
+            this.stats.survivalTime = horde.survivalTime / 1000;
+        } else {
+            this.stats.survivalTime += deltaTime;
+        }
+    }
+
+    /**
+     * End the run: record it on the leaderboard and submit it to scoreboard services.
+     * Safe to call more than once - later calls return the first result.
+     * @returns How the run compares with the previous personal bests
+     */
+    finishRun(): RunComparison {
+        if (this.result) return this.result;
+
+        this.result = this.leaderboard.record(this.stats);
+        const entry = this.result.entry;
+        for (const service of this.services) {
+            Promise.resolve()
+                .then(() => service.submit(entry))
+                .then(accepted => {
+                    if (!accepted) console.warn(`Scoreboard ${service.name} rejected the run`);
+                })
+                .catch(error => console.error(`Error submitting run to ${service.name}:`, error));
+        }
+        return this.result;
+    }
+
+    private addKill(type: string): void {
+        this.stats.kills[type] = (this.stats.kills[type] || 0) + 1;
+    }
+
+    private addSystem(systemId: string): void {
+        if (systemId && !this.stats.systemsVisited.includes(systemId)) {
+            this.stats.systemsVisited.push(systemId);
+        }
+    }
+
+    private recordCurrentSystem(): void {
+        const system = this.game.environment?.starSystemGenerator?.getCurrentSystemData();
+        if (system) this.addSystem(system.id);
+    }
+}
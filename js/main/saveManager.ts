@@ -0,0 +1,282 @@
+// saveManager.ts - Captures and restores game state for save slots and autosave
+
+import { DEBUG_MODE } from '../globals/debug.ts';
+import { mainMessageBus } from '../globals/messageBus.ts';
+import { gameRandom } from '../globals/random.ts';
+import { SAVE_VERSION, ORB_RARITIES, type SaveData, type OrbRarity, type PlayerStatsSaveData } from '../modules/save/saveFormat.ts';
+import { SaveStorage, AUTOSAVE_SLOT, type SaveSlotInfo } from '../modules/save/saveStorage.ts';
+import { ALLOYS, getCargoAmount, type Alloy } from '../modules/cargo/cargoHold.ts';
+import { readLoadoutState, type WeaponLoadoutState } from '../modules/weapons/weaponLoadout.ts';
+import { readTurretFleetState, type TurretFleetState } from '../modules/turrets/turretFleet.ts';
+
+type SaveSpaceship = {
+    credits: number;
+    hull: number;
+    maxHull: number;
+    shield: number;
+    maxShield: number;
+    fuel: number;
+    maxFuel: number;
+    maxVelocity: number;
+    miningEfficiency: number;
+    collisionResistance: number;
+    scanRange: number;
+    deployableLaserCount: number;
+    shipUpgrades: {
+        getUpgradeLevels: () => SaveData['upgrades'];
+        setUpgradeLevels: (upgrades: Partial<SaveData['upgrades']>) => void;
+    } | null;
+    weapons?: {
+        getState: () => WeaponLoadoutState;
+        setState: (state: WeaponLoadoutState) => void;
+    };
+    turrets?: {
+        turrets: unknown[];
+        clear: () => unknown[];
+        getState: () => TurretFleetState;
+        setState: (state: TurretFleetState) => void;
+    };
+    syncValuesToHealthComponent?: () => void;
+};
+
+type SaveResources = {
+    iron: number;
+    gold: number;
+    platinum: number;
+    orbs?: Record<string, number>;
+    [alloy: string]: number | Record<string, number> | undefined;
+};
+
+type SaveGameContext = {
+    isGameOver?: boolean;
+    playerStats?: PlayerStatsSaveData;
+    introSequenceActive?: boolean;
+    spaceship?: SaveSpaceship;
+    controls?: {
+        resources?: SaveResources;
+        dockingSystem?: { updateMiningSystem?: () => void };
+    };
+    environment?: {
+        starSystemGenerator?: {
+            currentSystem: string | null;
+            getSaveState: () => SaveData['starSystem'];
+            restoreSaveState: (state: NonNullable<SaveData['starSystem']>) => boolean;
+        };
+        updateEnvironmentForSystem?: (systemId: string) => void;
+    };
+    ui?: {
+        stargateInterface?: { updateStargateUI?: (spaceship: unknown, resources: unknown) => void };
+    };
+};
+
+export class SaveManager {
+    game: SaveGameContext;
+    storage: SaveStorage;
+
+    constructor(game: SaveGameContext) {
+        this.game = game;
+        this.storage = new SaveStorage();
+
+        // Autosave whenever the player docks or undocks
+        mainMessageBus.subscribe('player.docked', () => this.autosave());
+        mainMessageBus.subscribe('player.undocked', () => this.autosave());
+    }
+
+    /**
+     * Build a save payload from the live game objects
+     * @param name Display name for the save
+     * @returns Save data, or null if the game isn't ready
+     */
+    captureState(name: string): SaveData | null {
+        const spaceship = this.game.spaceship;
+        const resources = this.game.controls?.resources;
+        if (!spaceship || !spaceship.shipUpgrades || !resources) {
+            console.warn("SaveManager: Game not ready to save");
+            return null;
+        }
+
+        const orbs = {} as Record<OrbRarity, number>;
+        for (const rarity of ORB_RARITIES) {
+            orbs[rarity] = resources.orbs?.[rarity] || 0;
+        }
+
+        const alloys = {} as Record<Alloy, number>;
+        for (const alloy of ALLOYS) {
+            alloys[alloy] = getCargoAmount(resources, alloy);
+        }
+
+        return {
+            version: SAVE_VERSION,
+            name,
+            savedAt: Date.now(),
+            seed: gameRandom.seed,
+            ship: {
+                credits: spaceship.credits,
+                hull: spaceship.hull,
+                maxHull: spaceship.maxHull,
+                shield: spaceship.shield,
+                maxShield: spaceship.maxShield,
+                fuel: spaceship.fuel,
+                maxFuel: spaceship.maxFuel,
+                maxVelocity: spaceship.maxVelocity,
+                miningEfficiency: spaceship.miningEfficiency,
+                collisionResistance: spaceship.collisionResistance,
+                scanRange: spaceship.scanRange,
+                // Deployed turrets are returned to the ship on load
+                deployableLaserCount: spaceship.deployableLaserCount + (spaceship.turrets ? spaceship.turrets.turrets.length : 0)
+            },
+            upgrades: spaceship.shipUpgrades.getUpgradeLevels(),
+            resources: {
+                iron: resources.iron,
+                gold: resources.gold,
+                platinum: resources.platinum
+            },
+            orbs,
+            alloys,
+            weapons: spaceship.weapons ? spaceship.weapons.getState() : readLoadoutState(null),
+            turrets: spaceship.turrets ? spaceship.turrets.getState() : readTurretFleetState(null),
+            stats: { bossesDefeated: this.game.playerStats?.bossesDefeated || 0 },
+            starSystem: this.game.environment?.starSystemGenerator?.getSaveState() ?? null
+        };
+    }
+
+    /**
+     * Restore a save payload into the live game objects
+     * @param save Validated save data
+     * @returns True if the state was applied
+     */
+    applyState(save: SaveData): boolean {
+        const spaceship = this.game.spaceship;
+        const resources = this.game.controls?.resources;
+        if (!spaceship || !spaceship.shipUpgrades || !resources) {
+            console.warn("SaveManager: Game not ready to load");
+            return false;
+        }
+
+        // Systems not yet visited in this session generate their content from
+        // the save's seed, so they match what the original run would have seen
+        if (save.seed) {
+            gameRandom.setSeed(save.seed);
+        }
+
+        // The saved turret count already includes turrets that were deployed,
+        // so the live ones are dropped rather than recalled. TurretManager
+        // removes their meshes on 'game.loaded'.
+        spaceship.turrets?.clear();
+
+        Object.assign(spaceship, save.ship);
+        spaceship.shipUpgrades.setUpgradeLevels(save.upgrades);
+        spaceship.weapons?.setState(save.weapons);
+        spaceship.turrets?.setState(save.turrets);
+        if (spaceship.syncValuesToHealthComponent) {
+            spaceship.syncValuesToHealthComponent();
+        }
+
+        // Mutate in place - controls, docking and UI share this reference
+        resources.iron = save.resources.iron;
+        resources.gold = save.resources.gold;
+        resources.platinum = save.resources.platinum;
+        resources.orbs = { ...save.orbs };
+        for (const alloy of ALLOYS) {
+            resources[alloy] = save.alloys[alloy];
+        }
+
+        this.game.playerStats = { ...save.stats };
+
+        // Re-apply mining efficiency to the mining speeds
+        this.game.controls?.dockingSystem?.updateMiningSystem?.();
+
+        const generator = this.game.environment?.starSystemGenerator;
+        if (save.starSystem && generator) {
+            const previousSystem = generator.currentSystem;
+            if (generator.restoreSaveState(save.starSystem) && previousSystem !== save.starSystem.currentSystem) {
+                this.game.environment?.updateEnvironmentForSystem?.(save.starSystem.currentSystem);
+            }
+        }
+
+        this.game.ui?.stargateInterface?.updateStargateUI?.(spaceship, resources);
+
+        mainMessageBus.publish('game.loaded', { name: save.name, savedAt: save.savedAt });
+        return true;
+    }
+
+    /**
+     * Save the current game into a named slot
+     * @returns The slot id written to, or null on failure
+     */
+    saveToSlot(name: string): string | null {
+        const save = this.captureState(name);
+        if (!save) return null;
+
+        const slotId = SaveStorage.userSlotIdFromName(name, 'manual');
+        if (!this.storage.writeSlot(slotId, save)) return null;
+
+        mainMessageBus.publish('game.saved', { slotId, name, autosave: false });
+        return slotId;
+    }
+
+    loadSlot(slotId: string): boolean {
+        const save = this.storage.readSlot(slotId);
+        if (!save) {
+            console.error(`SaveManager: Could not load slot ${slotId}`);
+            return false;
+        }
+        return this.applyState(save);
+    }
+
+    /**
+     * Load the most recently written slot (used by "Continue" on the start screen)
+     */
+    loadLatest(): boolean {
+        const latest = this.storage.listSlots()[0];
+        return latest ? this.loadSlot(latest.slotId) : false;
+    }
+
+    deleteSlot(slotId: string): boolean {
+        return this.storage.deleteSlot(slotId);
+    }
+
+    listSlots(): SaveSlotInfo[] {
+        return this.storage.listSlots();
+    }
+
+    hasSaves(): boolean {
+        return this.storage.listSlots().length > 0;
+    }
+
+    autosave(): boolean {
+        // Never persist a dead run or the intro cinematic state
+        if (this.game.isGameOver || this.game.introSequenceActive) return false;
+
+        const save = this.captureState('Autosave');
+        if (!save || !this.storage.writeSlot(AUTOSAVE_SLOT, save)) return false;
+
+        if (DEBUG_MODE.enabled) console.log("SaveManager: Autosaved");
+        mainMessageBus.publish('game.saved', { slotId: AUTOSAVE_SLOT, name: save.name, autosave: true });
+        return true;
+    }
+
+    exportSlot(slotId: string): boolean {
+        const save = this.storage.readSlot(slotId);
+        if (!save) return false;
+        this.storage.exportToFile(save);
+        return true;
+    }
+
+    /**
+     * Import a save file into its own slot. A numbered suffix keeps it from
+     * replacing an existing save with the same name.
+     * @returns The slot id the import was stored in, or null if the file was invalid
+     */
+    async importFile(file: File): Promise<string | null> {
+        const save = await this.storage.importFromFile(file);
+        if (!save) return null;
+
+        const baseId = SaveStorage.userSlotIdFromName(save.name, 'imported');
+        let slotId = baseId;
+        for (let suffix = 2; this.storage.readSlot(slotId); suffix++) {
+            slotId = `${baseId}-${suffix}`;
+        }
+        return this.storage.writeSlot(slotId, save) ? slotId : null;
+    }
+}
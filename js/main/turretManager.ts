@@ -0,0 +1,270 @@
+// turretManager.ts - Puts the ship's laser turrets into space and runs them
+//
+// TurretFleet tracks each deployed turret; this manager gives every turret a
+// mesh, turns fleet shots into tracers and enemy damage, and handles the
+// deploy, recall and orders controls. Deployed turrets stay behind in their
+// star system, so jumping away or loading a save returns them to the ship.
+
+import * as THREE from 'three';
+import { mainMessageBus } from '../globals/messageBus.ts';
+import { Health, Position } from '../ecs/components';
+import { damageEnemy, getEnemies } from '../ecs/systems/index';
+import { setRadarTurrets } from '../modules/ui/radarDisplay.ts';
+import {
+    PRIORITY_LABELS,
+    RECALL_RANGE,
+    type Turret,
+    type TurretFleet,
+    type TurretPosition,
+    type TurretStatus,
+    type TurretTarget
+} from '../modules/turrets/turretFleet.ts';
+
+type TurretGameContext = {
+    spaceship?: {
+        deployableLaserCount: number;
+        isDocked: boolean;
+        isDestroyed?: boolean;
+        mesh?: THREE.Object3D;
+        turrets?: TurretFleet;
+    };
+    environment?: {
+        starSystemGenerator?: {
+            getCurrentSystemData: () => { id: string } | null;
+        };
+    };
+    renderer?: {
+        scene?: THREE.Scene;
+    };
+    combat?: {
+        effectsManager?: {
+            createInstantTracer?: (start: THREE.Vector3, end: THREE.Vector3, isHit?: boolean, fadeTime?: number) => void;
+            createExplosionEffect?: (position: THREE.Vector3, duration?: number, isVisible?: boolean) => void;
+        };
+    };
+    ui?: {
+        updateTurrets?: (turrets: TurretStatus[]) => void;
+    };
+};
+
+// Turrets are dropped this far behind the ship
+const DEPLOY_OFFSET = new THREE.Vector3(0, 0, 40);
+
+// Height of the barrel above the turret's base, where tracers start
+const MUZZLE_HEIGHT = 12;
+
+// Seconds between HUD refreshes
+const HUD_REFRESH_INTERVAL = 0.25;
+
+export class TurretManager {
+    game: TurretGameContext;
+    private meshes: Map<number, THREE.Group>;
+    private systemId: string | null;
+    private hudTimer: number;
+
+    constructor(game: TurretGameContext) {
+        this.game = game;
+        this.meshes = new Map();
+        this.systemId = null;
+        this.hudTimer = 0;
+
+        mainMessageBus.subscribe('input.deployLaser', () => this.deploy());
+        mainMessageBus.subscribe('input.pickupInteract', () => this.recallNearest());
+        mainMessageBus.subscribe('input.turretOrders', () => this.cycleOrders());
+        // The saved turret count already includes deployed turrets
+        mainMessageBus.subscribe('game.loaded', () => this.removeAll(false));
+        mainMessageBus.subscribe('game.over', () => this.removeAll(false));
+    }
+
+    update(deltaTime: number): void {
+        const fleet = this.game.spaceship?.turrets;
+        if (!fleet) return;
+
+        const system = this.game.environment?.starSystemGenerator?.getCurrentSystemData() || null;
+        const systemId = system ? system.id : null;
+        if (systemId !== this.systemId) {
+            if (this.systemId !== null && fleet.turrets.length > 0) {
+                this.notify(`${fleet.turrets.length} turret(s) returned to the cargo bay`, 'info');
+            }
+            this.removeAll(true);
+            this.systemId = systemId;
+        }
+
+        if (fleet.turrets.length > 0) {
+            const { shots, destroyed } = fleet.update(deltaTime, this.getTargets(), this.getPlayerPosition());
+
+            for (const turret of destroyed) {
+                this.removeMesh(turret.id, true);
+                this.notify(`Turret ${turret.id} destroyed (${turret.kills} kills)`, 'error');
+            }
+
+            for (const shot of shots) {
+                const mesh = this.meshes.get(shot.turretId);
+                if (!mesh) continue;
+
+                const target = new THREE.Vector3(Position.x[shot.targetId], Position.y[shot.targetId], Position.z[shot.targetId]);
+                mesh.lookAt(target);
+                const muzzle = mesh.localToWorld(new THREE.Vector3(0, MUZZLE_HEIGHT, 0));
+                this.game.combat?.effectsManager?.createInstantTracer?.(muzzle, target, true, 0.2);
+
+                if (damageEnemy(shot.targetId, shot.damage)) {
+                    fleet.recordKill(shot.turretId);
+                }
+            }
+        }
+
+        this.hudTimer += deltaTime;
+        if (this.hudTimer >= HUD_REFRESH_INTERVAL) {
+            this.hudTimer = 0;
+            this.refreshHUD();
+        }
+    }
+
+    /**
+     * Drop a carried turret behind the ship
+     */
+    deploy(): void {
+        const spaceship = this.game.spaceship;
+        const scene = this.game.renderer?.scene;
+        if (!spaceship || !spaceship.turrets || !spaceship.mesh || !scene) return;
+        if (spaceship.isDocked || spaceship.isDestroyed) return;
+
+        if (spaceship.deployableLaserCount <= 0) {
+            this.notify('No laser turrets on board - buy them at the stargate', 'error');
+            return;
+        }
+
+        const position = spaceship.mesh.localToWorld(DEPLOY_OFFSET.clone());
+        const turret = spaceship.turrets.deploy({ x: position.x, y: position.y, z: position.z });
+        spaceship.deployableLaserCount--;
+        this.createMesh(turret, scene);
+
+        this.notify(`Turret ${turret.id} deployed (${spaceship.deployableLaserCount} left)`, 'success');
+        this.refreshHUD();
+    }
+
+    /**
+     * Pick the closest deployed turret back up, if the ship is next to it
+     */
+    recallNearest(): void {
+        const spaceship = this.game.spaceship;
+        const player = this.getPlayerPosition();
+        if (!spaceship || !spaceship.turrets || !player) return;
+
+        const turret = spaceship.turrets.findNearest(player, RECALL_RANGE);
+        if (!turret) {
+            if (spaceship.turrets.turrets.length > 0) {
+                this.notify(`Fly within ${RECALL_RANGE}m of a turret to recall it`, 'info');
+            }
+            return;
+        }
+
+        spaceship.turrets.recall(turret.id);
+        spaceship.deployableLaserCount++;
+        this.removeMesh(turret.id, false);
+
+        this.notify(`Turret ${turret.id} recalled (${turret.kills} kills)`, 'success');
+        this.refreshHUD();
+    }
+
+    /**
+     * Switch every turret to the next targeting priority
+     */
+    cycleOrders(): void {
+        const fleet = this.game.spaceship?.turrets;
+        if (!fleet) return;
+
+        const priority = fleet.cyclePriority();
+        this.notify(`Turret orders: ${PRIORITY_LABELS[priority]}`, 'info');
+    }
+
+    /**
+     * Remove every deployed turret from space
+     * @param refund Return the turrets to the ship's inventory
+     */
+    removeAll(refund: boolean): void {
+        const spaceship = this.game.spaceship;
+        const removed = spaceship?.turrets ? spaceship.turrets.clear() : [];
+        if (spaceship && refund) {
+            spaceship.deployableLaserCount += removed.length;
+        }
+        for (const id of [...this.meshes.keys()]) {
+            this.removeMesh(id, false);
+        }
+        this.refreshHUD();
+    }
+
+    private getTargets(): TurretTarget[] {
+        return getEnemies().map(eid => ({
+            id: eid,
+            x: Position.x[eid],
+            y: Position.y[eid],
+            z: Position.z[eid],
+            health: Health.current[eid]
+        }));
+    }
+
+    private getPlayerPosition(): TurretPosition | null {
+        const spaceship = this.game.spaceship;
+        if (!spaceship || !spaceship.mesh || spaceship.isDocked || spaceship.isDestroyed) return null;
+        const { x, y, z } = spaceship.mesh.position;
+        return { x, y, z };
+    }
+
+    private createMesh(turret: Turret, scene: THREE.Scene): void {
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x552233,
+            emissive: 0xff3333,
+            emissiveIntensity: 0.4,
+            metalness: 0.7,
+            roughness: 0.3
+        });
+
+        const group = new THREE.Group();
+        group.name = `turret-${turret.id}`;
+
+        const base = new THREE.Mesh(new THREE.CylinderGeometry(8, 10, 6, 12), material);
+        group.add(base);
+
+        // The barrel points along -z, so lookAt aims it at the target
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(1.5, 1.5, 16, 8), material);
+        barrel.rotation.x = Math.PI / 2;
+        barrel.position.set(0, MUZZLE_HEIGHT, -8);
+        group.add(barrel);
+
+        group.position.set(turret.position.x, turret.position.y, turret.position.z);
+        scene.add(group);
+        this.meshes.set(turret.id, group);
+    }
+
+    private removeMesh(id: number, explode: boolean): void {
+        const group = this.meshes.get(id);
+        if (!group) return;
+
+        if (explode) {
+            this.game.combat?.effectsManager?.createExplosionEffect?.(group.position.clone(), 1000, true);
+        }
+        group.removeFromParent();
+        group.traverse(object => {
+            if (object instanceof THREE.Mesh) {
+                object.geometry.dispose();
+            }
+        });
+        const base = group.children[0] as THREE.Mesh | undefined;
+        if (base) {
+            (base.material as THREE.Material).dispose();
+        }
+        this.meshes.delete(id);
+    }
+
+    private refreshHUD(): void {
+        const fleet = this.game.spaceship?.turrets;
+        const player = this.getPlayerPosition();
+        this.game.ui?.updateTurrets?.(fleet ? fleet.getStatus(player) : []);
+        setRadarTurrets(fleet ? fleet.turrets.map(turret => turret.position) : []);
+    }
+
+    private notify(message: string, type: 'info' | 'success' | 'error'): void {
+        mainMessageBus.publish('ui.notification', { message, type, duration: 3000 });
+    }
+}
@@ -3,6 +3,8 @@ import { AudioContextManager } from './core/context.js';
 import { AudioLoader, SoundMap } from './core/loader.js';
 import { MusicPlaylist } from './music/playlist.js';
 import { MusicPlayer } from './music/player.js';
+import { AdaptiveMusic } from './music/adaptiveMusic.js';
+import type { MusicState, StingerName } from './music/musicState.js';
 import { SoundPlayer } from './effects/soundPlayer.js';
 import { MobileAudioEnabler } from './mobile/enabler.js';
 
@@ -11,6 +13,7 @@ export class AudioManager {
     private audioLoader: AudioLoader;
     private musicPlaylist: MusicPlaylist;
     private musicPlayer: MusicPlayer;
+    private adaptiveMusic: AdaptiveMusic;
     private soundPlayer: SoundPlayer;
     private mobileEnabler: MobileAudioEnabler;
     
@@ -33,6 +36,7 @@ export class AudioManager {
         this.audioLoader = new AudioLoader(this.audioContextManager);
         this.musicPlaylist = new MusicPlaylist();
         this.musicPlayer = new MusicPlayer(this.musicPlaylist);
+        this.adaptiveMusic = new AdaptiveMusic(this.audioContextManager, this.musicPlayer);
         this.soundPlayer = new SoundPlayer(this.audioContextManager, this.audioLoader);
         this.mobileEnabler = new MobileAudioEnabler(this.audioContextManager, this.musicPlayer);
         
@@ -84,6 +88,11 @@ export class AudioManager {
         this.soundPlayer.setVolume(value);
     }
     
+    // Current adaptive music intensity state
+    get musicState(): MusicState {
+        return this.adaptiveMusic.getState();
+    }
+    
     get userHasInteracted(): boolean {
         return this.mobileEnabler.hasUserInteracted();
     }
@@ -124,6 +133,9 @@ export class AudioManager {
                 console.log("Music playback waiting for user interaction.");
             }
             
+            // Layer the adaptive music over the soundtrack
+            this.adaptiveMusic.start();
+            
             // Schedule loading of remaining gameplay sounds in the background 
             // after a short delay to let the UI fully initialize
             setTimeout(() => {
@@ -164,6 +176,11 @@ export class AudioManager {
         this.soundPlayer.playSound(name, this.userHasInteracted);
     }
     
+    // Play an adaptive music stinger over the current music
+    playStinger(name: StingerName): void {
+        this.adaptiveMusic.playStinger(name);
+    }
+    
     // Stop a continuous sound effect
     stopSound(name: string): void {
         this.soundPlayer.stopSound(name);
@@ -224,6 +241,7 @@ export class AudioManager {
         this.soundPlayer.stopAllSounds();
         
         // Pause all music
+        this.adaptiveMusic.stop();
         this.musicPlayer.pauseAll();
         
         // Clean up mobile enabler
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import {
+  resolveMusicState,
+  nextMusicState,
+  getCrossfadeTime,
+  COMBAT_ENEMY_COUNT,
+  COMBAT_MEMORY,
+  MIN_STATE_HOLD,
+  ESCALATE_FADE,
+  CALM_FADE,
+  type MusicInputs,
+} from '../musicState'
+
+const calm: MusicInputs = {
+  docked: false,
+  mining: false,
+  engagedEnemies: 0,
+  hazardActive: false,
+  bossActive: false,
+  secondsSinceCombat: Infinity,
+}
+
+describe('Adaptive music state', () => {
+  it('should pick the state from what the player is doing', () => {
+    expect(resolveMusicState(calm)).toBe('explore')
+    expect(resolveMusicState({ ...calm, mining: true })).toBe('mining')
+    expect(resolveMusicState({ ...calm, mining: true, hazardActive: true })).toBe('danger')
+    expect(resolveMusicState({ ...calm, docked: true, bossActive: true })).toBe('docked')
+    expect(resolveMusicState({ ...calm, bossActive: true })).toBe('combat')
+  })
+
+  it('should go from danger to combat once enemies engage in numbers or shots are traded', () => {
+    expect(resolveMusicState({ ...calm, engagedEnemies: 1 })).toBe('danger')
+    expect(resolveMusicState({ ...calm, engagedEnemies: 1, secondsSinceCombat: 1 })).toBe('combat')
+    expect(resolveMusicState({ ...calm, engagedEnemies: 1, secondsSinceCombat: COMBAT_MEMORY })).toBe('danger')
+    expect(resolveMusicState({ ...calm, engagedEnemies: COMBAT_ENEMY_COUNT })).toBe('combat')
+    // Firing at rocks with no one around isn't a fight
+    expect(resolveMusicState({ ...calm, secondsSinceCombat: 0 })).toBe('explore')
+  })
+
+  it('should escalate at once but hold a state before calming down', () => {
+    expect(nextMusicState('explore', 'combat', 0)).toBe('combat')
+    expect(nextMusicState('combat', 'explore', MIN_STATE_HOLD - 1)).toBe('combat')
+    expect(nextMusicState('combat', 'explore', MIN_STATE_HOLD)).toBe('explore')
+    expect(nextMusicState('combat', 'docked', 0)).toBe('docked')
+    expect(nextMusicState('docked', 'explore', 0)).toBe('explore')
+  })
+
+  it('should crossfade faster into intense states than out of them', () => {
+    expect(getCrossfadeTime('explore', 'combat')).toBe(ESCALATE_FADE)
+    expect(getCrossfadeTime('combat', 'danger')).toBe(CALM_FADE)
+    expect(ESCALATE_FADE).toBeLessThan(CALM_FADE)
+  })
+})
@@ -0,0 +1,387 @@
+// adaptiveMusic.ts - Layered music that follows the game's intensity
+//
+// The soundtrack plays as the bed; synthesized pad, drone, pulse and drum
+// layers are mixed in over it through Web Audio, crossfading as the state
+// changes between explore, mining, danger, combat and docked. Stingers mark
+// big moments like a horde starting or a boss arriving.
+
+import { AudioContextManager } from '../core/context.js';
+import { MusicPlayer } from './player.js';
+import { EVENT } from '../../../core/events.ts';
+import { mainMessageBus } from '../../../globals/messageBus.ts';
+import { countEngagedEnemies, getEnemies } from '../../../ecs/systems/index';
+import {
+    MUSIC_MIX,
+    STINGERS,
+    getCrossfadeTime,
+    nextMusicState,
+    resolveMusicState,
+    type MusicLayer,
+    type MusicState,
+    type StingerName
+} from './musicState.js';
+
+type SynthLayer = Exclude<MusicLayer, 'bed'>;
+
+const SYNTH_LAYERS: SynthLayer[] = ['pad', 'drone', 'pulse', 'drums'];
+const TICK_MS = 50;
+const LOOKAHEAD = 0.15;             // Seconds of notes scheduled ahead of the audio clock
+const CONTACT_STINGER_GAP = 20;     // Seconds between "enemies engaging" stingers
+
+// Eighth-note bass line, in semitones above the root an octave up
+const PULSE_PATTERN = [0, 0, 7, 0, 12, 0, 7, 3];
+
+export class AdaptiveMusic {
+    private contextManager: AudioContextManager;
+    private musicPlayer: MusicPlayer;
+    private bus: GainNode | null = null;
+    private layers: Partial<Record<SynthLayer, GainNode>> = {};
+    private stingerGain: GainNode | null = null;
+    private droneOscillators: OscillatorNode[] = [];
+    private padOscillators: OscillatorNode[] = [];
+    private noiseBuffer: AudioBuffer | null = null;
+    private timer: ReturnType<typeof setInterval> | null = null;
+    private unsubscribers: (() => void)[] = [];
+
+    private state: MusicState = 'explore';
+    private stateHeld = 0;
+    private bedLevel = 1;
+    private fadeTime = 0;
+    private busVolume = -1;
+    private nextStepTime = 0;
+    private step = 0;
+
+    // Inputs gathered from the message bus
+    private mining = false;
+    private bossActive = false;
+    private hazards = new Set<string>();
+    private lastCombatTime = -Infinity;
+    private lastContactStinger = -Infinity;
+
+    constructor(contextManager: AudioContextManager, musicPlayer: MusicPlayer) {
+        this.contextManager = contextManager;
+        this.musicPlayer = musicPlayer;
+    }
+
+    /**
+     * Subscribe to game events and start the layers
+     */
+    start(): void {
+        if (this.timer) return;
+
+        const markCombat = () => { this.lastCombatTime = this.now(); };
+        this.unsubscribers = [
+            mainMessageBus.subscribe(EVENT.MINING_START, () => { this.mining = true; }),
+            mainMessageBus.subscribe(EVENT.MINING_STOP, () => { this.mining = false; }),
+            mainMessageBus.subscribe(EVENT.HAZARD_STARTED, (message) => { this.hazards.add(message.data.hazard); }),
+            mainMessageBus.subscribe(EVENT.HAZARD_ENDED, (message) => { this.hazards.delete(message.data.hazard); }),
+            mainMessageBus.subscribe(EVENT.PLAYER_DAMAGED, markCombat),
+            mainMessageBus.subscribe(EVENT.WEAPON_FIRE, markCombat),
+            mainMessageBus.subscribe(EVENT.HORDE_ACTIVATED, () => this.playStinger('horde')),
+            mainMessageBus.subscribe(EVENT.BOSS_ENGAGED, () => {
+                this.bossActive = true;
+                this.playStinger('boss');
+            }),
+            mainMessageBus.subscribe(EVENT.BOSS_PHASE_CHANGED, () => this.playStinger('bossPhase')),
+            mainMessageBus.subscribe(EVENT.BOSS_DEFEATED, () => {
+                this.bossActive = false;
+                this.playStinger('victory');
+            }),
+            // A new system starts calm; its hazards announce themselves again
+            mainMessageBus.subscribe(EVENT.SYSTEM_ENTERED, () => {
+                this.hazards.clear();
+                this.bossActive = false;
+            })
+        ];
+
+        this.timer = setInterval(() => this.tick(TICK_MS / 1000), TICK_MS);
+    }
+
+    getState(): MusicState {
+        return this.state;
+    }
+
+    /**
+     * Play a short motif over the music
+     */
+    playStinger(name: StingerName): void {
+        const context = this.contextManager.getContext();
+        if (!context || !this.ensureGraph() || this.musicPlayer.isMuted()) return;
+
+        const stinger = STINGERS[name];
+        const root = MUSIC_MIX[this.state].root * 4;
+        const start = context.currentTime + 0.02;
+        stinger.notes.forEach((semitones, index) => {
+            this.playNote(
+                this.stingerGain!,
+                stinger.wave,
+                root * Math.pow(2, semitones / 12),
+                start + index * stinger.step,
+                stinger.step * 1.8,
+                stinger.gain
+            );
+        });
+    }
+
+    private tick(deltaTime: number): void {
+        this.stateHeld += deltaTime;
+
+        const game = (window as any).game;
+        const target = resolveMusicState({
+            docked: !!(game && game.spaceship && game.spaceship.isDocked),
+            mining: this.mining,
+            engagedEnemies: countEngagedEnemies(getEnemies()),
+            hazardActive: this.hazards.size > 0,
+            bossActive: this.bossActive,
+            secondsSinceCombat: this.now() - this.lastCombatTime
+        });
+
+        const next = nextMusicState(this.state, target, this.stateHeld);
+        if (next !== this.state) {
+            this.changeState(next);
+        }
+
+        this.updateBed(deltaTime);
+        if (!this.ensureGraph()) return;
+        this.updateVolume();
+        this.scheduleSteps();
+    }
+
+    private changeState(next: MusicState): void {
+        const previous = this.state;
+        this.state = next;
+        this.stateHeld = 0;
+
+        // Bosses have their own stinger
+        const now = this.now();
+        if (next === 'combat' && !this.bossActive && now - this.lastContactStinger >= CONTACT_STINGER_GAP) {
+            this.lastContactStinger = now;
+            this.playStinger('contact');
+        }
+
+        this.fadeTime = getCrossfadeTime(previous, next);
+
+        const context = this.contextManager.getContext();
+        if (!context || !this.bus) return;
+
+        // setTargetAtTime reaches ~95% after three time constants
+        const timeConstant = this.fadeTime / 3;
+        const mix = MUSIC_MIX[next];
+        for (const layer of SYNTH_LAYERS) {
+            this.layers[layer]!.gain.setTargetAtTime(mix.layers[layer], context.currentTime, timeConstant);
+        }
+        this.retune(mix.root, context.currentTime, timeConstant);
+    }
+
+    // The soundtrack fades with the same timing as the synth layers
+    private updateBed(deltaTime: number): void {
+        const target = MUSIC_MIX[this.state].layers.bed;
+        if (this.bedLevel === target) return;
+
+        const rate = deltaTime / Math.max(this.fadeTime, deltaTime);
+        this.bedLevel = this.bedLevel < target
+            ? Math.min(target, this.bedLevel + rate)
+            : Math.max(target, this.bedLevel - rate);
+        this.musicPlayer.setBedLevel(this.bedLevel);
+    }
+
+    // Follow the music volume and mute settings
+    private updateVolume(): void {
+        const context = this.contextManager.getContext();
+        const volume = this.musicPlayer.isMuted() ? 0 : this.musicPlayer.getVolume();
+        if (!context || !this.bus || volume === this.busVolume) return;
+
+        this.busVolume = volume;
+        this.bus.gain.setTargetAtTime(volume, context.currentTime, 0.05);
+    }
+
+    private scheduleSteps(): void {
+        const context = this.contextManager.getContext();
+        if (!context || context.state !== 'running') return;
+
+        // Don't replay a backlog of steps after the context was suspended
+        if (this.nextStepTime < context.currentTime) {
+            this.nextStepTime = context.currentTime + 0.05;
+        }
+
+        const mix = MUSIC_MIX[this.state];
+        const stepLength = 30 / mix.tempo; // Eighth notes
+        while (this.nextStepTime < context.currentTime + LOOKAHEAD) {
+            const time = this.nextStepTime;
+            const index = this.step % PULSE_PATTERN.length;
+
+            if (mix.layers.pulse > 0) {
+                const frequency = mix.root * 2 * Math.pow(2, PULSE_PATTERN[index] / 12);
+                this.playNote(this.layers.pulse!, 'triangle', frequency, time, stepLength * 0.9, 0.5);
+            }
+            if (mix.layers.drums > 0) {
+                if (index % 2 === 0) this.playKick(time);
+                if (index % 4 === 2) this.playHat(time, 0.5);
+                else this.playHat(time + stepLength / 2, 0.2);
+            }
+
+            this.nextStepTime += stepLength;
+            this.step++;
+        }
+    }
+
+    private playNote(destination: AudioNode, wave: OscillatorType, frequency: number, time: number, duration: number, gain: number): void {
+        const context = this.contextManager.getContext()!;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+
+        oscillator.type = wave;
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(gain, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+
+    private playKick(time: number): void {
+        const context = this.contextManager.getContext()!;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+
+        oscillator.frequency.setValueAtTime(120, time);
+        oscillator.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+        envelope.gain.setValueAtTime(0.9, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.25);
+
+        oscillator.connect(envelope);
+        envelope.connect(this.layers.drums!);
+        oscillator.start(time);
+        oscillator.stop(time + 0.3);
+    }
+
+    private playHat(time: number, gain: number): void {
+        const context = this.contextManager.getContext()!;
+        const source = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const envelope = context.createGain();
+
+        source.buffer = this.noiseBuffer;
+        filter.type = 'highpass';
+        filter.frequency.value = 7000;
+        envelope.gain.setValueAtTime(gain, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(this.layers.drums!);
+        source.start(time);
+        source.stop(time + 0.06);
+    }
+
+    private retune(root: number, time: number, timeConstant: number): void {
+        const droneRatios = [1, 1.005];
+        this.droneOscillators.forEach((oscillator, index) => {
+            oscillator.frequency.setTargetAtTime(root * droneRatios[index], time, timeConstant);
+        });
+
+        // Major triad two octaves up
+        const padRatios = [4, 5.04, 6];
+        this.padOscillators.forEach((oscillator, index) => {
+            oscillator.frequency.setTargetAtTime(root * padRatios[index], time, timeConstant);
+        });
+    }
+
+    /**
+     * Build the Web Audio graph on first use
+     * @returns False when Web Audio isn't available
+     */
+    private ensureGraph(): boolean {
+        if (this.bus) return true;
+
+        const context = this.contextManager.getContext();
+        if (!context || !this.contextManager.isReady()) return false;
+
+        try {
+            this.bus = context.createGain();
+            this.bus.gain.value = 0;
+            this.bus.connect(context.destination);
+
+            const mix = MUSIC_MIX[this.state];
+            for (const layer of SYNTH_LAYERS) {
+                const gain = context.createGain();
+                gain.gain.value = mix.layers[layer];
+                gain.connect(this.bus);
+                this.layers[layer] = gain;
+            }
+            this.stingerGain = context.createGain();
+            this.stingerGain.connect(this.bus);
+
+            // Drone: two slightly detuned saws through a low-pass filter
+            const droneFilter = context.createBiquadFilter();
+            droneFilter.type = 'lowpass';
+            droneFilter.frequency.value = 400;
+            droneFilter.connect(this.layers.drone!);
+            this.droneOscillators = [0, 1].map(() => {
+                const oscillator = context.createOscillator();
+                oscillator.type = 'sawtooth';
+                oscillator.connect(droneFilter);
+                return oscillator;
+            });
+
+            // Pad: a soft sine chord
+            const padLevel = context.createGain();
+            padLevel.gain.value = 0.2;
+            padLevel.connect(this.layers.pad!);
+            this.padOscillators = [0, 1, 2].map(() => {
+                const oscillator = context.createOscillator();
+                oscillator.type = 'sine';
+                oscillator.connect(padLevel);
+                return oscillator;
+            });
+
+            this.retune(mix.root, context.currentTime, 0.01);
+            [...this.droneOscillators, ...this.padOscillators].forEach(oscillator => oscillator.start());
+
+            // One second of white noise for the hi-hats
+            this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+            const samples = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = Math.random() * 2 - 1;
+            }
+            return true;
+        } catch (error) {
+            console.error("Error creating adaptive music layers:", error);
+            this.bus = null;
+            return false;
+        }
+    }
+
+    private now(): number {
+        return performance.now() / 1000;
+    }
+
+    /**
+     * Stop the layers and unsubscribe from game events
+     */
+    stop(): void {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        [...this.droneOscillators, ...this.padOscillators].forEach(oscillator => {
+            try { oscillator.stop(); } catch { /* already stopped */ }
+        });
+        this.droneOscillators = [];
+        this.padOscillators = [];
+        if (this.bus) {
+            this.bus.disconnect();
+            this.bus = null;
+        }
+        this.layers = {};
+        this.stingerGain = null;
+        this.busVolume = -1;
+        this.musicPlayer.setBedLevel(1);
+    }
+}
@@ -0,0 +1,98 @@
+// musicState.ts - Adaptive music intensity states, their layer mixes and stingers
+//
+// Pure rules only: AdaptiveMusic gathers the inputs, plays the layers and
+// crossfades between mixes.
+
+export type MusicState = 'explore' | 'mining' | 'danger' | 'combat' | 'docked';
+export type MusicLayer = 'bed' | 'pad' | 'drone' | 'pulse' | 'drums';
+export type StingerName = 'contact' | 'horde' | 'boss' | 'bossPhase' | 'victory';
+
+export interface MusicInputs {
+    docked: boolean;
+    mining: boolean;
+    engagedEnemies: number;         // Chasing or evading the player
+    hazardActive: boolean;
+    bossActive: boolean;
+    secondsSinceCombat: number;     // Since the player last fired or took damage
+}
+
+export interface MusicMix {
+    layers: Record<MusicLayer, number>;  // Gain per layer; 'bed' scales the soundtrack
+    tempo: number;                       // Beats per minute for the pulse and drums
+    root: number;                        // Frequency in Hz the layers are tuned to
+}
+
+export interface Stinger {
+    notes: number[];    // Semitones above the current root
+    step: number;       // Seconds between notes
+    wave: OscillatorType;
+    gain: number;
+}
+
+// Enemies engaging at once that count as combat even without shots fired
+export const COMBAT_ENEMY_COUNT = 3;
+// Seconds of quiet before a fight with engaged enemies calms to danger
+export const COMBAT_MEMORY = 6;
+// Seconds a state holds before the music may calm down
+export const MIN_STATE_HOLD = 8;
+
+export const ESCALATE_FADE = 0.8;   // Seconds to crossfade into a more intense state
+export const CALM_FADE = 3;         // Seconds to crossfade back down
+
+// Higher ranks win straight away; lower ranks wait out MIN_STATE_HOLD
+const INTENSITY: Record<MusicState, number> = {
+    docked: 0,
+    explore: 1,
+    mining: 2,
+    danger: 3,
+    combat: 4
+};
+
+export const MUSIC_MIX: Record<MusicState, MusicMix> = {
+    explore: { layers: { bed: 1, pad: 0, drone: 0.15, pulse: 0, drums: 0 }, tempo: 72, root: 55 },
+    mining: { layers: { bed: 0.9, pad: 0, drone: 0.1, pulse: 0.35, drums: 0 }, tempo: 90, root: 55 },
+    danger: { layers: { bed: 0.7, pad: 0, drone: 0.5, pulse: 0.4, drums: 0.2 }, tempo: 100, root: 51.91 },
+    combat: { layers: { bed: 0.4, pad: 0, drone: 0.6, pulse: 0.6, drums: 0.7 }, tempo: 128, root: 51.91 },
+    docked: { layers: { bed: 0.8, pad: 0.5, drone: 0, pulse: 0, drums: 0 }, tempo: 72, root: 65.41 }
+};
+
+export const STINGERS: Record<StingerName, Stinger> = {
+    contact: { notes: [12, 15, 19, 24], step: 0.09, wave: 'sawtooth', gain: 0.25 },
+    horde: { notes: [0, 0, 12, 11, 12], step: 0.16, wave: 'square', gain: 0.2 },
+    boss: { notes: [0, 6, 12, 6, 0], step: 0.35, wave: 'sawtooth', gain: 0.35 },
+    bossPhase: { notes: [12, 18, 24], step: 0.2, wave: 'sawtooth', gain: 0.3 },
+    victory: { notes: [12, 16, 19, 24, 28], step: 0.14, wave: 'triangle', gain: 0.3 }
+};
+
+/**
+ * The state the inputs call for, before any hold time
+ */
+export function resolveMusicState(inputs: MusicInputs): MusicState {
+    if (inputs.docked) return 'docked';
+
+    const fighting = inputs.engagedEnemies > 0 && inputs.secondsSinceCombat < COMBAT_MEMORY;
+    if (inputs.bossActive || fighting || inputs.engagedEnemies >= COMBAT_ENEMY_COUNT) return 'combat';
+
+    if (inputs.engagedEnemies > 0 || inputs.hazardActive) return 'danger';
+    if (inputs.mining) return 'mining';
+    return 'explore';
+}
+
+/**
+ * Next state given the target. Escalation, docking and undocking are immediate;
+ * calming down waits until the current state has held for MIN_STATE_HOLD.
+ * @param heldFor Seconds the current state has been playing
+ */
+export function nextMusicState(current: MusicState, target: MusicState, heldFor: number): MusicState {
+    if (target === current) return current;
+    if (target === 'docked' || current === 'docked') return target;
+    if (INTENSITY[target] > INTENSITY[current]) return target;
+    return heldFor >= MIN_STATE_HOLD ? target : current;
+}
+
+/**
+ * Seconds to crossfade from one state's mix to another's
+ */
+export function getCrossfadeTime(from: MusicState, to: MusicState): number {
+    return INTENSITY[to] > INTENSITY[from] ? ESCALATE_FADE : CALM_FADE;
+}
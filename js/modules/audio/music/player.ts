@@ -9,6 +9,8 @@ export class MusicPlayer {
     public playlist: MusicPlaylist;
     private currentMusic: ExtendedAudioElement | null = null;
     private muted: boolean = false;
+    // Adaptive music ducks the soundtrack under its own layers (1 = full volume)
+    private bedLevel: number = 1;
     
     constructor(playlist: MusicPlaylist) {
         this.playlist = playlist;
@@ -74,10 +76,7 @@ export class MusicPlayer {
         this.muted = !this.muted;
         
         // Adjust music volume
-        const tracks = this.playlist.getTracks();
-        for (const track of tracks) {
-            track.volume = this.muted ? 0 : this.playlist.getVolume();
-        }
+        this.applyTrackVolume();
         
         console.log(`Music ${this.muted ? 'muted' : 'unmuted'}`);
         return this.muted;
@@ -86,6 +85,20 @@ export class MusicPlayer {
     // Set music volume
     setVolume(volume: number): void {
         this.playlist.setVolume(this.muted ? 0 : volume);
+        this.applyTrackVolume();
+    }
+    
+    // Scale the soundtrack under the adaptive music layers
+    setBedLevel(level: number): void {
+        this.bedLevel = Math.max(0, Math.min(1, level));
+        this.applyTrackVolume();
+    }
+    
+    private applyTrackVolume(): void {
+        const volume = this.muted ? 0 : this.playlist.getVolume() * this.bedLevel;
+        for (const track of this.playlist.getTracks()) {
+            track.volume = volume;
+        }
     }
     
     // Get current music volume
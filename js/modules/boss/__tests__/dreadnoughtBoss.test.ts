@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { DreadnoughtBoss, BOSS_PHASES, type BossSubsystemId } from '../dreadnoughtBoss'
+
+function destroy(boss: DreadnoughtBoss, id: BossSubsystemId) {
+  return boss.damage(id, boss.getSubsystem(id)!.maxHealth)
+}
+
+describe('Dreadnought Boss', () => {
+  let boss: DreadnoughtBoss
+
+  beforeEach(() => {
+    boss = new DreadnoughtBoss()
+  })
+
+  it('should keep the hull immune until the shield generator falls', () => {
+    const blocked = boss.damage('hull', 500)
+    expect(blocked).toEqual({ applied: 0, shielded: true, events: [] })
+    expect(boss.getSubsystem('hull')!.health).toBe(boss.getSubsystem('hull')!.maxHealth)
+
+    const { events } = destroy(boss, 'shieldGenerator')
+    expect(events.map(event => event.type)).toEqual(['subsystemDestroyed', 'phaseChanged'])
+    expect(boss.phase.name).toBe('Last Stand')
+
+    expect(boss.damage('hull', 500).applied).toBe(500)
+  })
+
+  it('should call in reinforcements once two subsystems are lost', () => {
+    expect(destroy(boss, 'portEngine').events).toHaveLength(1)
+    expect(boss.getEngineFactor()).toBe(0.5)
+
+    const { events } = destroy(boss, 'portBattery')
+    expect(events[1]).toEqual({ type: 'phaseChanged', phase: BOSS_PHASES[1] })
+  })
+
+  it('should fire volleys from surviving batteries and teleport in drone waves', () => {
+    const volley = boss.update(BOSS_PHASES[0].volleyInterval)
+    expect(volley.volleys.map(battery => battery.id)).toEqual(['portBattery', 'starboardBattery'])
+    expect(volley.droneWave).toBe(0)
+
+    destroy(boss, 'portBattery')
+    expect(boss.update(BOSS_PHASES[0].volleyInterval).volleys.map(battery => battery.id)).toEqual(['starboardBattery'])
+
+    // A phase change opens with a wave straight away
+    destroy(boss, 'shieldGenerator')
+    expect(boss.update(0).droneWave).toBe(BOSS_PHASES[2].waveSize)
+  })
+
+  it('should be defeated when the hull is destroyed', () => {
+    destroy(boss, 'shieldGenerator')
+    const { events } = destroy(boss, 'hull')
+
+    expect(events.map(event => event.type)).toEqual(['subsystemDestroyed', 'defeated'])
+    expect(boss.defeated).toBe(true)
+    expect(boss.update(100)).toEqual({ volleys: [], droneWave: 0 })
+    expect(boss.damage('portBattery', 100).applied).toBe(0)
+  })
+
+  it('should scale subsystem health and report overall health', () => {
+    const tough = new DreadnoughtBoss(2)
+    expect(tough.getSubsystem('hull')!.maxHealth).toBe(6000)
+
+    tough.damage('portBattery', 300)
+    expect(tough.getSubsystem('portBattery')!.health).toBe(900)
+    expect(tough.getHealthFraction()).toBeCloseTo(1 - 300 / 12000)
+  })
+})
@@ -0,0 +1,287 @@
+// dreadnoughtBoss.ts - Combat state for the hostile Star Dreadnought encounter
+//
+// The dreadnought is fought subsystem by subsystem. Turret batteries fire
+// volleys, engine pods drive the ship, and the shield generator protects the
+// hull until it is knocked out. Losing subsystems pushes the boss into harsher
+// attack phases; destroying the hull ends the fight.
+//
+// This module holds no scene objects - BossManager turns the actions and
+// events returned here into projectiles, drones, effects and rewards.
+
+export type BossSubsystemId =
+    'portBattery' | 'starboardBattery' | 'portEngine' | 'starboardEngine' | 'shieldGenerator' | 'hull';
+
+export type BossSubsystemKind = 'battery' | 'engine' | 'shield' | 'hull';
+
+/**
+ * Box around part of the model, in fractions of the model scale
+ */
+export interface BossHitbox {
+    center: [number, number, number];
+    size: [number, number, number];
+}
+
+export interface BossSubsystem {
+    id: BossSubsystemId;
+    kind: BossSubsystemKind;
+    label: string;
+    health: number;
+    maxHealth: number;
+    hitboxes: BossHitbox[];
+    destroyed: boolean;
+}
+
+export interface BossPhase {
+    phase: number;
+    name: string;
+    // Seconds between turret volleys
+    volleyInterval: number;
+    // Shots fired by each surviving battery per volley
+    shotsPerBattery: number;
+    // Seconds between drone waves
+    waveInterval: number;
+    waveSize: number;
+}
+
+export interface BossActions {
+    // Batteries firing this frame
+    volleys: BossSubsystem[];
+    // Drones to teleport in this frame
+    droneWave: number;
+}
+
+export type BossEvent =
+    | { type: 'subsystemDestroyed'; subsystem: BossSubsystem }
+    | { type: 'phaseChanged'; phase: BossPhase }
+    | { type: 'defeated' };
+
+export interface BossDamageResult {
+    // Damage actually taken (0 when the hit was blocked)
+    applied: number;
+    // True when the hull shrugged off the hit because the shield generator is up
+    shielded: boolean;
+    events: BossEvent[];
+}
+
+/**
+ * Snapshot shown on the HUD boss bar
+ */
+export interface BossStatus {
+    name: string;
+    phase: string;
+    // Remaining health across every subsystem (0-1)
+    health: number;
+    hullShielded: boolean;
+    subsystems: { label: string; health: number; destroyed: boolean }[];
+}
+
+// Credits paid for destroying the dreadnought
+export const DREADNOUGHT_REWARD = 25000;
+
+export const BOSS_PHASES: BossPhase[] = [
+    { phase: 1, name: 'Bombardment', volleyInterval: 4, shotsPerBattery: 2, waveInterval: 40, waveSize: 2 },
+    { phase: 2, name: 'Reinforcements', volleyInterval: 3, shotsPerBattery: 2, waveInterval: 20, waveSize: 3 },
+    { phase: 3, name: 'Last Stand', volleyInterval: 2, shotsPerBattery: 3, waveInterval: 12, waveSize: 4 }
+];
+
+// Subsystems lost (hull excluded) before the boss calls in reinforcements
+const REINFORCEMENT_THRESHOLD = 2;
+
+type SubsystemDefinition = Omit<BossSubsystem, 'health' | 'maxHealth' | 'destroyed'> & { health: number };
+
+// Hitboxes follow the StarDreadnought model (nose towards -z, engines at +z)
+const SUBSYSTEMS: SubsystemDefinition[] = [
+    {
+        id: 'portBattery',
+        kind: 'battery',
+        label: 'Port Turret Battery',
+        health: 600,
+        hitboxes: [{ center: [-0.1, 0.045, -0.185], size: [0.04, 0.03, 0.8] }]
+    },
+    {
+        id: 'starboardBattery',
+        kind: 'battery',
+        label: 'Starboard Turret Battery',
+        health: 600,
+        hitboxes: [{ center: [0.1, 0.045, -0.185], size: [0.04, 0.03, 0.8] }]
+    },
+    {
+        id: 'portEngine',
+        kind: 'engine',
+        label: 'Port Engine Pod',
+        health: 500,
+        hitboxes: [{ center: [-0.05, 0.01, 0.5], size: [0.1, 0.06, 0.1] }]
+    },
+    {
+        id: 'starboardEngine',
+        kind: 'engine',
+        label: 'Starboard Engine Pod',
+        health: 500,
+        hitboxes: [{ center: [0.05, 0.01, 0.5], size: [0.1, 0.06, 0.1] }]
+    },
+    {
+        id: 'shieldGenerator',
+        kind: 'shield',
+        label: 'Shield Generator',
+        health: 800,
+        hitboxes: [
+            { center: [-0.08, 0.06, 0.35], size: [0.05, 0.04, 0.05] },
+            { center: [0.08, 0.06, 0.35], size: [0.05, 0.04, 0.05] }
+        ]
+    },
+    {
+        id: 'hull',
+        kind: 'hull',
+        label: 'Hull',
+        health: 3000,
+        hitboxes: [{ center: [0, 0, -0.02], size: [0.2, 0.06, 0.9] }]
+    }
+];
+
+export class DreadnoughtBoss {
+    subsystems: BossSubsystem[];
+    phase: BossPhase;
+    defeated: boolean;
+    private volleyTimer: number;
+    private waveTimer: number;
+
+    /**
+     * @param healthScale Multiplier on every subsystem's health (scales with difficulty)
+     */
+    constructor(healthScale: number = 1) {
+        this.subsystems = SUBSYSTEMS.map(definition => {
+            const health = Math.round(definition.health * healthScale);
+            return {
+                ...definition,
+                hitboxes: definition.hitboxes.map(box => ({ center: [...box.center], size: [...box.size] })),
+                health,
+                maxHealth: health,
+                destroyed: false
+            } as BossSubsystem;
+        });
+        this.phase = BOSS_PHASES[0];
+        this.defeated = false;
+        this.volleyTimer = 0;
+        this.waveTimer = 0;
+    }
+
+    getSubsystem(id: BossSubsystemId): BossSubsystem | null {
+        return this.subsystems.find(subsystem => subsystem.id === id) || null;
+    }
+
+    /**
+     * The hull can't be damaged while the shield generator is running
+     */
+    isHullShielded(): boolean {
+        const generator = this.getSubsystem('shieldGenerator');
+        return !!generator && !generator.destroyed;
+    }
+
+    /**
+     * Fraction of engine pods still running (0-1) - the boss's speed factor
+     */
+    getEngineFactor(): number {
+        const engines = this.subsystems.filter(subsystem => subsystem.kind === 'engine');
+        if (engines.length === 0) return 0;
+        return engines.filter(engine => !engine.destroyed).length / engines.length;
+    }
+
+    /**
+     * Remaining health across every subsystem (0-1), as shown on the boss bar
+     */
+    getHealthFraction(): number {
+        let health = 0;
+        let maxHealth = 0;
+        for (const subsystem of this.subsystems) {
+            health += subsystem.health;
+            maxHealth += subsystem.maxHealth;
+        }
+        return maxHealth > 0 ? health / maxHealth : 0;
+    }
+
+    getStatus(): BossStatus {
+        return {
+            name: 'Star Dreadnought',
+            phase: this.phase.name,
+            health: this.getHealthFraction(),
+            hullShielded: this.isHullShielded(),
+            subsystems: this.subsystems.map(subsystem => ({
+                label: subsystem.label,
+                health: subsystem.health / subsystem.maxHealth,
+                destroyed: subsystem.destroyed
+            }))
+        };
+    }
+
+    /**
+     * Damage a subsystem
+     * @param id Subsystem that was hit
+     * @param amount Damage dealt
+     */
+    damage(id: BossSubsystemId, amount: number): BossDamageResult {
+        const subsystem = this.getSubsystem(id);
+        if (!subsystem || subsystem.destroyed || this.defeated || amount <= 0) {
+            return { applied: 0, shielded: false, events: [] };
+        }
+
+        if (subsystem.kind === 'hull' && this.isHullShielded()) {
+            return { applied: 0, shielded: true, events: [] };
+        }
+
+        const applied = Math.min(subsystem.health, amount);
+        subsystem.health -= applied;
+        if (subsystem.health > 0) {
+            return { applied, shielded: false, events: [] };
+        }
+
+        subsystem.destroyed = true;
+        const events: BossEvent[] = [{ type: 'subsystemDestroyed', subsystem }];
+
+        if (subsystem.kind === 'hull') {
+            this.defeated = true;
+            events.push({ type: 'defeated' });
+            return { applied, shielded: false, events };
+        }
+
+        const phase = this.computePhase();
+        if (phase !== this.phase) {
+            this.phase = phase;
+            // Open the new phase with a wave instead of waiting out the old timer
+            this.waveTimer = phase.waveInterval;
+            events.push({ type: 'phaseChanged', phase });
+        }
+
+        return { applied, shielded: false, events };
+    }
+
+    /**
+     * Advance the attack timers
+     * @param deltaTime Seconds since the last update
+     * @returns Volleys and drone waves to launch this frame
+     */
+    update(deltaTime: number): BossActions {
+        const actions: BossActions = { volleys: [], droneWave: 0 };
+        if (this.defeated) return actions;
+
+        this.volleyTimer += deltaTime;
+        if (this.volleyTimer >= this.phase.volleyInterval) {
+            this.volleyTimer = 0;
+            actions.volleys = this.subsystems.filter(subsystem => subsystem.kind === 'battery' && !subsystem.destroyed);
+        }
+
+        this.waveTimer += deltaTime;
+        if (this.waveTimer >= this.phase.waveInterval) {
+            this.waveTimer = 0;
+            actions.droneWave = this.phase.waveSize;
+        }
+
+        return actions;
+    }
+
+    private computePhase(): BossPhase {
+        if (!this.isHullShielded()) return BOSS_PHASES[2];
+
+        const lost = this.subsystems.filter(subsystem => subsystem.kind !== 'hull' && subsystem.destroyed).length;
+        return lost >= REINFORCEMENT_THRESHOLD ? BOSS_PHASES[1] : BOSS_PHASES[0];
+    }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import {
+  ALLOYS,
+  ALLOY_PRICES,
+  BASE_CARGO_CAPACITY,
+  CARGO_MASS,
+  CARGO_VOLUME,
+  REFINING_RECIPES,
+  SHIP_DRY_MASS,
+  getAccelerationFactor,
+  getCargoCapacity,
+  getCargoMass,
+  getCargoSpace,
+  getCargoVolume,
+  getTopSpeedFactor,
+  jettisonCargo,
+  refineOre,
+} from '../cargoHold'
+import { BASE_PRICES } from '../../market/marketModel'
+
+describe('Cargo Hold', () => {
+  it('should measure volume and mass per ore type and ignore other entries', () => {
+    const inventory = { iron: 10, gold: 4, platinum: 1, steel: 2, orbs: { common: 5 } }
+
+    expect(getCargoVolume(inventory)).toBe(10 + 4 * CARGO_VOLUME.gold + CARGO_VOLUME.platinum + 2 * CARGO_VOLUME.steel)
+    expect(getCargoMass(inventory)).toBe(10 + 4 * CARGO_MASS.gold + CARGO_MASS.platinum + 2 * CARGO_MASS.steel)
+    expect(getCargoVolume({})).toBe(0)
+  })
+
+  it('should fit only whole units within the upgraded capacity', () => {
+    expect(getCargoCapacity(1)).toBe(BASE_CARGO_CAPACITY)
+    expect(getCargoCapacity(2)).toBeGreaterThan(getCargoCapacity(1))
+
+    const inventory = { iron: BASE_CARGO_CAPACITY - 3 }
+    expect(getCargoSpace(inventory, 'iron', BASE_CARGO_CAPACITY)).toBe(3)
+    expect(getCargoSpace(inventory, 'platinum', BASE_CARGO_CAPACITY)).toBe(1)
+    expect(getCargoSpace({ iron: 500 }, 'iron', BASE_CARGO_CAPACITY)).toBe(0)
+  })
+
+  it('should slow the ship as mass is loaded', () => {
+    expect(getAccelerationFactor(0)).toBe(1)
+    expect(getAccelerationFactor(SHIP_DRY_MASS)).toBe(0.5)
+    expect(getTopSpeedFactor(SHIP_DRY_MASS)).toBeGreaterThan(0.5)
+    expect(getTopSpeedFactor(SHIP_DRY_MASS)).toBeLessThan(1)
+  })
+
+  it('should refine ore into alloys worth more than their inputs', () => {
+    for (const alloy of ALLOYS) {
+      const inputs = Object.entries(REFINING_RECIPES[alloy].inputs) as [keyof typeof BASE_PRICES, number][]
+      const inputValue = inputs.reduce((total, [ore, amount]) => total + BASE_PRICES[ore] * amount, 0)
+      const inputVolume = inputs.reduce((total, [ore, amount]) => total + CARGO_VOLUME[ore] * amount, 0)
+      expect(ALLOY_PRICES[alloy]).toBeGreaterThan(inputValue)
+      expect(CARGO_VOLUME[alloy]).toBeLessThan(inputVolume)
+    }
+
+    const inventory = { iron: 13, gold: 9 }
+    expect(refineOre(inventory, 'electrum')).toBe(2)
+    expect(inventory).toEqual({ iron: 9, gold: 1, electrum: 2 })
+    expect(refineOre(inventory, 'steel', 1)).toBe(1)
+    expect(inventory).toEqual({ iron: 4, gold: 1, electrum: 2, steel: 1 })
+    expect(refineOre(inventory, 'superalloy')).toBe(0)
+  })
+
+  it('should jettison the cargo worth least per unit of volume', () => {
+    const inventory = { iron: 20, gold: 5, steel: 1 }
+
+    expect(jettisonCargo(inventory)).toEqual({ item: 'iron', amount: 20 })
+    expect(jettisonCargo(inventory)).toEqual({ item: 'steel', amount: 1 })
+    expect(jettisonCargo(inventory)).toEqual({ item: 'gold', amount: 5 })
+    expect(jettisonCargo(inventory)).toBeNull()
+  })
+})
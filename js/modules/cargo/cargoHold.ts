@@ -0,0 +1,174 @@
+// cargoHold.ts - Cargo hold volume, loaded mass and ore refining
+//
+// Every unit of cargo takes up hold volume and adds mass. The hold grows with
+// the cargo upgrade, and the loaded mass cuts the ship's acceleration and top
+// speed. The stargate refinery turns raw ore into alloys that sell for more
+// than their inputs and pack into less space.
+//
+// Cargo lives on the shared resource inventory (controls.resources): ores as
+// iron/gold/platinum, alloys under their own names next to them.
+
+import { BASE_PRICES, COMMODITIES, type Commodity } from '../market/marketModel.ts';
+
+export type Alloy = 'steel' | 'electrum' | 'superalloy';
+
+export type CargoItem = Commodity | Alloy;
+
+export const ALLOYS: Alloy[] = ['steel', 'electrum', 'superalloy'];
+
+export const CARGO_ITEMS: CargoItem[] = [...COMMODITIES, ...ALLOYS];
+
+// Hold volume taken by one unit
+export const CARGO_VOLUME: Record<CargoItem, number> = {
+    iron: 1,
+    gold: 1.5,
+    platinum: 2,
+    steel: 2,
+    electrum: 3,
+    superalloy: 4
+};
+
+// Mass of one unit in tonnes
+export const CARGO_MASS: Record<CargoItem, number> = {
+    iron: 1,
+    gold: 2.5,
+    platinum: 3,
+    steel: 4,
+    electrum: 10,
+    superalloy: 12
+};
+
+// Alloys sell at fixed prices at every stargate
+export const ALLOY_PRICES: Record<Alloy, number> = {
+    steel: 65,
+    electrum: 290,
+    superalloy: 900
+};
+
+export interface RefiningRecipe {
+    alloy: Alloy;
+    // Ore consumed per unit of alloy
+    inputs: Partial<Record<Commodity, number>>;
+}
+
+export const REFINING_RECIPES: Record<Alloy, RefiningRecipe> = {
+    steel: { alloy: 'steel', inputs: { iron: 5 } },
+    electrum: { alloy: 'electrum', inputs: { gold: 4, iron: 2 } },
+    superalloy: { alloy: 'superalloy', inputs: { platinum: 3, gold: 2 } }
+};
+
+// Hold volume at cargo level 1; each upgrade multiplies it
+export const BASE_CARGO_CAPACITY = 200;
+export const CARGO_CAPACITY_GROWTH = 1.5;
+
+// Mass of the empty ship - carrying this much cargo halves acceleration
+export const SHIP_DRY_MASS = 300;
+
+// Cargo inventories may hold other entries (e.g. orbs), which are ignored
+type CargoInventory = object;
+
+export interface JettisonResult {
+    item: CargoItem;
+    amount: number;
+}
+
+export function isAlloy(item: string): item is Alloy {
+    return (ALLOYS as string[]).includes(item);
+}
+
+export function getCargoAmount(inventory: CargoInventory, item: CargoItem): number {
+    const amount = (inventory as Record<string, unknown>)[item];
+    return typeof amount === 'number' && amount > 0 ? amount : 0;
+}
+
+function setCargoAmount(inventory: CargoInventory, item: CargoItem, amount: number): void {
+    (inventory as Record<string, unknown>)[item] = amount;
+}
+
+/**
+ * Hold volume at a cargo upgrade level
+ */
+export function getCargoCapacity(level: number): number {
+    return Math.round(BASE_CARGO_CAPACITY * Math.pow(CARGO_CAPACITY_GROWTH, Math.max(0, level - 1)));
+}
+
+export function getCargoVolume(inventory: CargoInventory): number {
+    return CARGO_ITEMS.reduce((total, item) => total + getCargoAmount(inventory, item) * CARGO_VOLUME[item], 0);
+}
+
+export function getCargoMass(inventory: CargoInventory): number {
+    return CARGO_ITEMS.reduce((total, item) => total + getCargoAmount(inventory, item) * CARGO_MASS[item], 0);
+}
+
+/**
+ * Whole units of an item that still fit in the hold
+ */
+export function getCargoSpace(inventory: CargoInventory, item: CargoItem, capacity: number): number {
+    const free = capacity - getCargoVolume(inventory);
+    return free > 0 ? Math.floor(free / CARGO_VOLUME[item]) : 0;
+}
+
+/**
+ * Thrust multiplier for a loaded mass (1 when empty)
+ */
+export function getAccelerationFactor(cargoMass: number): number {
+    return SHIP_DRY_MASS / (SHIP_DRY_MASS + Math.max(0, cargoMass));
+}
+
+/**
+ * Top speed multiplier for a loaded mass - falls more gently than acceleration
+ */
+export function getTopSpeedFactor(cargoMass: number): number {
+    return Math.sqrt(getAccelerationFactor(cargoMass));
+}
+
+/**
+ * Base value of one unit (home system market price for ores)
+ */
+export function getCargoUnitValue(item: CargoItem): number {
+    return isAlloy(item) ? ALLOY_PRICES[item] : BASE_PRICES[item];
+}
+
+/**
+ * Units of an alloy the inventory has enough ore for
+ */
+export function getRefinableAmount(inventory: CargoInventory, alloy: Alloy): number {
+    const inputs = Object.entries(REFINING_RECIPES[alloy].inputs) as [Commodity, number][];
+    return Math.min(...inputs.map(([ore, perUnit]) => Math.floor(getCargoAmount(inventory, ore) / perUnit)));
+}
+
+/**
+ * Refine ore into an alloy, consuming the recipe's inputs
+ * @param limit Most units to produce (default: as many as the ore allows)
+ * @returns Units of alloy produced
+ */
+export function refineOre(inventory: CargoInventory, alloy: Alloy, limit: number = Infinity): number {
+    const amount = Math.min(getRefinableAmount(inventory, alloy), Math.max(0, Math.floor(limit)));
+    if (amount <= 0) return 0;
+
+    for (const [ore, perUnit] of Object.entries(REFINING_RECIPES[alloy].inputs) as [Commodity, number][]) {
+        setCargoAmount(inventory, ore, getCargoAmount(inventory, ore) - perUnit * amount);
+    }
+    setCargoAmount(inventory, alloy, getCargoAmount(inventory, alloy) + amount);
+    return amount;
+}
+
+/**
+ * Dump the whole stack with the lowest value per unit of volume
+ * @returns What was dumped, or null if the hold is empty
+ */
+export function jettisonCargo(inventory: CargoInventory): JettisonResult | null {
+    let cheapest: CargoItem | null = null;
+    for (const item of CARGO_ITEMS) {
+        if (getCargoAmount(inventory, item) <= 0) continue;
+        const density = getCargoUnitValue(item) / CARGO_VOLUME[item];
+        if (!cheapest || density < getCargoUnitValue(cheapest) / CARGO_VOLUME[cheapest]) {
+            cheapest = item;
+        }
+    }
+    if (!cheapest) return null;
+
+    const amount = getCargoAmount(inventory, cheapest);
+    setCargoAmount(inventory, cheapest, 0);
+    return { item: cheapest, amount };
+}
@@ -1,7 +1,7 @@
 /**
  * Combat module - Handles all combat-related functionality
  * 
- * This module manages particle cannon firing and combat logic.
+ * This module manages weapon firing and combat logic.
  * 
  * REFACTORED: This module now uses submodules for better organization:
  * - worldSetup.js: ECS World construction and scene setup
@@ -9,14 +9,20 @@
  * - events.js: Event subscriptions and MessageBus interactions
  * - effects.js: Visual effects, materials, and rendering helpers
  * - aiAndSpawners.js: Enemy pool/spawner management
+ * - missileLauncher.ts: Guided missiles for the missile weapon
+ * - projectileLauncher.ts: Pooled laser, bullet and plasma bolts for the other weapons
  */
 
 import { WorldSetup } from './combat/worldSetup.js';
 import { SystemRegistrar } from './combat/registerSystems.js';
 import { EventManager } from './combat/events.js';
 import { EffectsManager } from './combat/effects.js';
-import { AISpawnerManager } from './combat/aiAndSpawners.js';
+import { AISpawnerManager, type SpawnScheduleContext } from './combat/aiAndSpawners.js';
 import { CombatLogic } from './combat/combatLogic.js';
+import { MissileLauncher } from './combat/missileLauncher.ts';
+import { ProjectileLauncher } from './combat/projectileLauncher.ts';
+import { getLockedEnemy } from './ui/lockOnDisplay.ts';
+import type { WeaponDefinition } from './weapons/weaponLoadout.ts';
 import * as THREE from 'three';
 
 // Define interfaces for submodules until they are converted
@@ -54,32 +60,21 @@ interface IEffectsManager {
 
 interface IAISpawnerManager {
     configureEnemySystem(enemySystem: any): void;
+    updateSpawnSchedule(deltaTime: number, context: SpawnScheduleContext): number[];
     registerEnemy(enemyId: string): void;
     unregisterEnemy(enemyId: string): void;
     emergencyCleanup(): void;
 }
 
 interface ICombatLogic {
-    fireParticleCannon(
-        scene: THREE.Scene,
-        spaceship: any,
-        world: any,
-        playerEntity: any,
-        particleCannonDamage: number,
-        lastFireTime: number,
-        cooldown: number
-    ): { newLastFireTime: number, success: boolean };
+    playFireFeedback(weapon: WeaponDefinition, direction: THREE.Vector3): void;
 }
 
 export class Combat {
     scene: THREE.Scene;
     spaceship: any;
-    fireRate: number;
-    lastFireTime: number;
     aimingSpread: number;
     isFiring: boolean;
-    cooldown: number;
-    particleCannonDamage: number;
     
     worldSetup: IWorldSetup;
     systemRegistrar: ISystemRegistrar;
@@ -87,6 +82,8 @@ export class Combat {
     effectsManager: IEffectsManager;
     aiSpawnerManager: IAISpawnerManager;
     combatLogic: ICombatLogic;
+    missileLauncher: MissileLauncher;
+    projectileLauncher: ProjectileLauncher;
     
     world: any;
     playerEntity: any;
@@ -97,21 +94,11 @@ export class Combat {
         this.scene = scene;
         this.spaceship = spaceship;
         
-        // Tuned these parameters for better gameplay
-        this.fireRate = 3; // shots per second
-        
-        // Track the last time we fired for rate limiting
-        this.lastFireTime = 0;
-        
         // Reference size for spread calculation
         this.aimingSpread = 0.05;
         
-        // Weapon properties
+        // Weapon properties - damage, fire rate and costs come from the ship's loadout
         this.isFiring = false;
-        this.cooldown = 1000 / this.fireRate; // milliseconds between shots
-        
-        // Combat properties
-        this.particleCannonDamage = 20; // Standard damage per particle cannon hit
         
         // Initialize submodules
         this.worldSetup = new WorldSetup();
@@ -120,8 +107,8 @@ export class Combat {
         this.effectsManager = new EffectsManager(scene);
         this.aiSpawnerManager = new AISpawnerManager();
         this.combatLogic = new CombatLogic(this.effectsManager, this.eventManager, this.aiSpawnerManager);
-        
-        // Pool manager removed - projectile system not in use
+        this.missileLauncher = new MissileLauncher(scene, this.effectsManager, this.combatLogic);
+        this.projectileLauncher = new ProjectileLauncher(scene, this.combatLogic);
         
         // Initialize ECS world for advanced combat systems
         this.initializeECSWorld();
@@ -212,11 +199,23 @@ export class Combat {
         // Update active tracer beams
         this.effectsManager.updateTracers(deltaTime);
         
-        // Pooled visual effects removed - using instant raycast only
+        // Fly guided missiles and the other weapons' pooled projectiles
+        this.missileLauncher.update(deltaTime, this.spaceship, this.world);
+        this.projectileLauncher.update(deltaTime, this.spaceship, this.world);
+        
+        // Recharge the weapon capacitor
+        if (this.spaceship.weapons) {
+            this.spaceship.weapons.recharge(deltaTime);
+        }
         
         // Handle firing weapons
         if (this.isFiring && !this.spaceship.isDocked) {
-            this.fireParticleCannon();
+            this.fireWeapon();
+        }
+        
+        // Spawn enemies on the difficulty schedule while the player is flying
+        if (this.world && !introActive && !this.spaceship.isDocked) {
+            this.updateSpawnSchedule(deltaTime);
         }
         
         // Update the ECS world with the current delta time
@@ -239,6 +238,26 @@ export class Combat {
         }
     }
     
+    /**
+     * Feed the current difficulty and system classification to the spawn schedule
+     * @param {number} deltaTime Time since last update in seconds
+     */
+    updateSpawnSchedule(deltaTime: number) {
+        const game = (window as any).game;
+        const difficulty = game && game.difficultyManager;
+        
+        // Benchmark scenarios place their own enemies
+        if (!difficulty || game.isGameOver || game.benchmark || !this.spaceship.mesh) return;
+        
+        const system = game.environment?.starSystemGenerator?.getCurrentSystemData?.();
+        this.aiSpawnerManager.updateSpawnSchedule(deltaTime, {
+            difficultyLevel: difficulty.currentLevel,
+            params: difficulty.params,
+            classification: system ? system.classification : null,
+            playerPosition: this.spaceship.mesh.position
+        });
+    }
+    
     /**
      * Update the player reference entity with the current spaceship position
      */
@@ -255,8 +274,8 @@ export class Combat {
     
     
     /**
-     * Set firing state for the particle cannon
-     * @param {boolean} isFiring Whether the cannon should be firing
+     * Set firing state for the active weapon
+     * @param {boolean} isFiring Whether the weapon should be firing
      */
     setFiring(isFiring: boolean) {
         this.isFiring = isFiring;
@@ -291,23 +310,41 @@ export class Combat {
     }
     
     /**
-     * Fire the particle cannon with instant raycast damage
+     * Fire the weapon on the active hardpoint if its cooldown, energy and ammo allow
+     * @returns {boolean} Whether a shot was fired
      */
-    fireParticleCannon() {
-        const result = this.combatLogic.fireParticleCannon(
-            this.scene, 
-            this.spaceship, 
-            this.world, 
-            this.playerEntity, 
-            this.particleCannonDamage, 
-            this.lastFireTime, 
-            this.cooldown
-        );
+    fireWeapon() {
+        const loadout = this.spaceship.weapons;
+        if (!this.scene || !this.spaceship.mesh || !loadout) return false;
+        
+        const weapon: WeaponDefinition | null = loadout.consumeShot();
+        if (!weapon) return false;
         
-        // Update last fire time
-        this.lastFireTime = result.newLastFireTime;
+        // Shots leave from the cannon on the active hardpoint
+        const cannon = loadout.activeHardpoint === 'left' ? this.spaceship.leftCannon : this.spaceship.rightCannon;
+        const origin = new THREE.Vector3();
+        (cannon || this.spaceship.mesh).getWorldPosition(origin);
         
-        return result.success;
+        const direction = new THREE.Vector3(0, 0, -1);
+        direction.applyQuaternion(this.spaceship.mesh.quaternion);
+        
+        if (weapon.projectile === 'missile') {
+            // Missiles home on the locked-on enemy, if any
+            this.missileLauncher.launch(origin, direction, weapon, weapon.homing ? getLockedEnemy() : -1);
+        } else {
+            this.projectileLauncher.launch(origin, direction, weapon);
+        }
+        
+        this.combatLogic.playFireFeedback(weapon, direction);
+        return true;
+    }
+    
+    /**
+     * Select the weapon on the other hardpoint
+     */
+    switchWeapon() {
+        if (!this.spaceship.weapons) return null;
+        return this.spaceship.weapons.switchWeapon();
     }
     
     
@@ -342,9 +379,15 @@ export class Combat {
      */
     dispose() {
 
-        // Projectile system removed
-        
         // Dispose submodules
+        if (this.missileLauncher) {
+            this.missileLauncher.dispose();
+        }
+        
+        if (this.projectileLauncher) {
+            this.projectileLauncher.dispose();
+        }
+        
         if (this.effectsManager) {
             this.effectsManager.dispose();
         }
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import { AISpawnerManager, getArchetypeWeights, pickArchetype } from '../aiAndSpawners'
+import { EnemyAI, Swarmer } from '../../../ecs/components'
+import { ARCHETYPE } from '../../../ecs/enemyArchetypes'
+import { getEnemies, removeTrackedEntity } from '../../../ecs/systems/index'
+import { SeededRandom, gameRandom } from '../../../globals/random'
+
+const BASE = { health: 20, damage: 15, speed: 700 }
+
+function scheduleContext(maxEnemies: number) {
+  return {
+    difficultyLevel: 5,
+    params: { maxEnemies, spawnInterval: 1, enemyHealth: 40, enemyDamage: 30, enemySpeed: 1050 },
+    classification: 'Hazardous',
+    playerPosition: { x: 0, y: 0, z: 0 },
+  }
+}
+
+describe('AI Spawner archetype mix', () => {
+  it('should only unlock tougher archetypes at higher difficulty', () => {
+    const early = getArchetypeWeights(1)
+    const late = getArchetypeWeights(5)
+
+    expect(early.sniper).toBe(0)
+    expect(early.carrier).toBe(0)
+    expect(early.drone).toBeGreaterThan(early.swarmer)
+    expect(late.sniper).toBeGreaterThan(0)
+    expect(late.carrier).toBeGreaterThan(0)
+    expect(late.sniper / late.drone).toBeGreaterThan(getArchetypeWeights(2).sniper / late.drone)
+  })
+
+  it('should shift the mix by system classification', () => {
+    expect(getArchetypeWeights(5, 'Home System').carrier).toBe(0)
+    expect(getArchetypeWeights(5, 'Ancient').carrier).toBe(getArchetypeWeights(5).carrier * 2)
+    expect(getArchetypeWeights(5, 'Unknown Class')).toEqual(getArchetypeWeights(5))
+  })
+
+  it('should pick archetypes deterministically from a seeded stream', () => {
+    const picks = (seed: number) => {
+      const random = new SeededRandom(seed)
+      return Array.from({ length: 50 }, () => pickArchetype(random, 5, 'Hazardous'))
+    }
+
+    expect(picks(7)).toEqual(picks(7))
+    expect(new Set(picks(7)).size).toBeGreaterThan(2)
+
+    const random = new SeededRandom(7)
+    const homePicks = Array.from({ length: 50 }, () => pickArchetype(random, 1, 'Home System'))
+    expect(homePicks).not.toContain('sniper')
+    expect(homePicks).not.toContain('carrier')
+  })
+
+  it('should spawn swarmers as a tracked group', () => {
+    const spawner = new AISpawnerManager()
+    const swarm = spawner.spawnArchetype('swarmer', { x: 100, y: 0, z: 0 }, BASE, new SeededRandom(3))
+
+    expect(swarm.length).toBeGreaterThan(1)
+    swarm.forEach(eid => {
+      expect(EnemyAI.aiType[eid]).toBe(ARCHETYPE.swarmer)
+      expect(Swarmer.groupId[eid]).toBe(Swarmer.groupId[swarm[0]])
+      expect(getEnemies()).toContain(eid)
+    })
+
+    swarm.forEach(removeTrackedEntity)
+    swarm.forEach(eid => expect(getEnemies()).not.toContain(eid))
+  })
+
+  it('should spawn a mix of archetypes on the difficulty schedule', () => {
+    gameRandom.setSeed('SPAWNS')
+    const spawner = new AISpawnerManager()
+    const context = scheduleContext(getEnemies().length + 1000)
+
+    expect(spawner.updateSpawnSchedule(0.5, context)).toEqual([])
+
+    const spawned: number[] = []
+    for (let i = 0; i < 40; i++) {
+      spawned.push(...spawner.updateSpawnSchedule(1, context))
+    }
+
+    const archetypes = new Set(spawned.map(eid => EnemyAI.aiType[eid]))
+    expect(archetypes.size).toBeGreaterThan(2)
+    expect(archetypes).toContain(ARCHETYPE.sniper)
+    spawned.forEach(eid => expect(getEnemies()).toContain(eid))
+
+    spawned.forEach(removeTrackedEntity)
+  })
+
+  it('should hold spawns while the enemy cap is reached', () => {
+    gameRandom.setSeed('SPAWNS')
+    const spawner = new AISpawnerManager()
+    const capped = spawner.updateSpawnSchedule(1, scheduleContext(getEnemies().length))
+
+    const spawned = spawner.updateSpawnSchedule(0, scheduleContext(getEnemies().length + 1))
+
+    expect(capped).toEqual([])
+    expect(spawned.length).toBeGreaterThan(0)
+
+    spawned.forEach(removeTrackedEntity)
+  })
+
+  it('should cut a group short at the enemy cap', () => {
+    gameRandom.setSeed('SPAWNS')
+    const spawner = new AISpawnerManager()
+    const spawned: number[] = []
+
+    for (let i = 0; i < 40; i++) {
+      const batch = spawner.updateSpawnSchedule(1, scheduleContext(getEnemies().length + 1))
+      expect(batch).toHaveLength(1)
+      spawned.push(...batch)
+    }
+
+    expect(spawned.map(eid => EnemyAI.aiType[eid])).toContain(ARCHETYPE.swarmer)
+
+    spawned.forEach(removeTrackedEntity)
+  })
+})
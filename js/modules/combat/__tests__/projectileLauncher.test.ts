@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import * as THREE from 'three'
+import { ProjectileLauncher } from '../projectileLauncher'
+import { WEAPONS } from '../../weapons/weaponLoadout'
+
+function createSharedAssets() {
+  return {
+    projectileGeometry: new THREE.CylinderGeometry(0.15, 0.15, 10, 8),
+    projectileGlowGeometry: new THREE.SphereGeometry(0.8, 12, 12),
+    muzzleFlashGeometry: new THREE.CylinderGeometry(0.5, 2, 15, 12, 1, true),
+    tracerGeometry: new THREE.BufferGeometry(),
+    trailParticleGeometries: [new THREE.SphereGeometry(0.5, 8, 8)],
+    projectileMaterial: new THREE.MeshStandardMaterial(),
+    projectileGlowMaterial: new THREE.MeshBasicMaterial({ transparent: true }),
+    trailParticleMaterial: new THREE.MeshBasicMaterial({ transparent: true }),
+    muzzleFlashMaterial: new THREE.MeshBasicMaterial({ transparent: true }),
+    tracerLineMaterial: new THREE.LineBasicMaterial({ transparent: true }),
+    explosionParticleMaterial: new THREE.PointsMaterial(),
+  }
+}
+
+function createLauncher(findHit: () => THREE.Intersection | null = () => null) {
+  const combatLogic = { findHit: vi.fn(findHit), applyHit: vi.fn() }
+  const launcher = new ProjectileLauncher(new THREE.Scene(), combatLogic)
+  return { launcher, combatLogic }
+}
+
+const ORIGIN = new THREE.Vector3(0, 0, 0)
+const FORWARD = new THREE.Vector3(0, 0, -1)
+
+describe('Projectile Launcher', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', { game: createSharedAssets() })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should take each weapon\'s projectiles from the pool of its type', () => {
+    const { launcher } = createLauncher()
+
+    for (const weapon of [WEAPONS.cannon, WEAPONS.autocannon, WEAPONS.plasma]) {
+      expect(launcher.launch(ORIGIN, FORWARD, weapon)).toBe(true)
+      const { mesh } = launcher.projectiles[launcher.projectiles.length - 1]
+      expect(mesh.userData.projectileType).toBe(weapon.projectile)
+      expect(mesh.userData.trail).toBeTruthy()
+    }
+
+    const pools = launcher.poolManager!
+    expect(pools.laserPool.activeCount()).toBe(1)
+    expect(pools.bulletPool.activeCount()).toBe(1)
+    expect(pools.plasmaPool.activeCount()).toBe(1)
+    expect(pools.missilePool.activeCount()).toBe(0)
+
+    const flashTypes = [...pools.muzzleFlashEffects.getActive()].map(flash => flash.userData.weaponType)
+    expect(flashTypes.sort()).toEqual(['bullet', 'laser', 'plasma'])
+  })
+
+  it('should damage what a projectile flies into and return it to its pool', () => {
+    const hit = { point: new THREE.Vector3(0, 0, -50) } as THREE.Intersection
+    const { launcher, combatLogic } = createLauncher(() => hit)
+    launcher.launch(ORIGIN, FORWARD, WEAPONS.plasma)
+    const impact = vi.spyOn(launcher.poolManager!, 'createImpactEffect')
+
+    launcher.update(0.1, null, null)
+
+    expect(combatLogic.applyHit).toHaveBeenCalledWith(null, hit, WEAPONS.plasma.damage, false)
+    expect(impact).toHaveBeenCalledWith(hit.point, 'plasma')
+    expect(launcher.projectiles).toHaveLength(0)
+    expect(launcher.poolManager!.plasmaPool.activeCount()).toBe(0)
+  })
+
+  it('should fly at its type\'s speed and expire at the weapon\'s range', () => {
+    const { launcher } = createLauncher()
+    launcher.launch(ORIGIN, FORWARD, WEAPONS.autocannon)
+    const { mesh } = launcher.projectiles[0]
+
+    launcher.update(0.1, null, null)
+    expect(mesh.position.z).toBeCloseTo(-mesh.userData.speed * 0.1)
+
+    launcher.update(1, null, null)
+    expect(launcher.projectiles).toHaveLength(0)
+    expect(launcher.poolManager!.bulletPool.activeCount()).toBe(0)
+  })
+})
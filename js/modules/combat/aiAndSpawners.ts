@@ -1,12 +1,137 @@
 /**
  * AI and Spawners Module - Handles enemy pool and spawner management
- * 
+ *
  * This module contains all logic for configuring the enemy system,
  * registering/unregistering enemies, and handling spawner state.
+ * Spawners mix enemy archetypes by difficulty level and system classification.
  */
 
+import {
+    ENEMY_ARCHETYPES,
+    type EnemyArchetypeName,
+    type EnemyBaseStats
+} from '../../ecs/enemyArchetypes.ts';
+import { getEnemies, spawnEnemyArchetype } from '../../ecs/systems/index';
+import { gameRandom, type SeededRandom } from '../../globals/random.ts';
+
+export type SpawnPosition = { x: number; y: number; z: number };
+
+/**
+ * Difficulty and location the spawn schedule runs against
+ */
+export type SpawnScheduleContext = {
+    difficultyLevel: number;
+    params: {
+        maxEnemies: number;
+        spawnInterval: number;
+        enemyHealth: number;
+        enemyDamage: number;
+        enemySpeed: number;
+    };
+    classification: string | null;
+    playerPosition: SpawnPosition;
+};
+
+// How each system classification shifts the archetype mix
+const CLASSIFICATION_ARCHETYPE_MULTIPLIERS: Record<string, Partial<Record<EnemyArchetypeName, number>>> = {
+    'Home System': { sniper: 0, carrier: 0, kamikaze: 0.5 },
+    'Peaceful': { sniper: 0.5, carrier: 0, kamikaze: 0.5 },
+    'Resource-Rich': { swarmer: 1.5 },
+    'Barren': { drone: 1.5, swarmer: 0.5 },
+    'Ancient': { sniper: 1.5, carrier: 2 },
+    'Unstable': { kamikaze: 2, swarmer: 1.5 },
+    'Hazardous': { sniper: 1.5, carrier: 1.5, kamikaze: 1.5 }
+};
+
+// Spacing between members of a spawned group
+const GROUP_SPACING = 60;
+
+// Distance from the player that scheduled spawns appear at
+const SPAWN_DISTANCE: [number, number] = [3500, 5000];
+
+/**
+ * Relative spawn weight of each archetype
+ * @param difficultyLevel Current difficulty level (1 and up)
+ * @param classification Current system's classification, if known
+ */
+export function getArchetypeWeights(difficultyLevel: number, classification: string | null = null): Record<EnemyArchetypeName, number> {
+    const multipliers = (classification && CLASSIFICATION_ARCHETYPE_MULTIPLIERS[classification]) || {};
+    const weights = {} as Record<EnemyArchetypeName, number>;
+
+    for (const name of Object.keys(ENEMY_ARCHETYPES) as EnemyArchetypeName[]) {
+        const spawn = ENEMY_ARCHETYPES[name].spawn;
+        if (difficultyLevel < spawn.unlockLevel) {
+            weights[name] = 0;
+            continue;
+        }
+
+        const weight = spawn.weight + spawn.weightPerLevel * (difficultyLevel - spawn.unlockLevel);
+        const multiplier = multipliers[name];
+        weights[name] = weight * (multiplier !== undefined ? multiplier : 1);
+    }
+
+    return weights;
+}
+
+/**
+ * Pick an archetype for the next spawn
+ */
+export function pickArchetype(random: SeededRandom, difficultyLevel: number, classification: string | null = null): EnemyArchetypeName {
+    const weights = getArchetypeWeights(difficultyLevel, classification);
+    const names = Object.keys(weights) as EnemyArchetypeName[];
+    const total = names.reduce((sum, name) => sum + weights[name], 0);
+    if (total <= 0) return 'drone';
+
+    let roll = random.next() * total;
+    for (const name of names) {
+        roll -= weights[name];
+        if (roll < 0) return name;
+    }
+    return 'drone';
+}
+
+/**
+ * Pick a scheduled spawn point out of sight around the player
+ */
+export function pickSpawnPosition(random: SeededRandom, playerPosition: SpawnPosition): SpawnPosition {
+    const theta = random.float(0, Math.PI * 2);
+    const phi = Math.acos(random.float(-1, 1));
+    const distance = random.float(SPAWN_DISTANCE[0], SPAWN_DISTANCE[1]);
+    return {
+        x: playerPosition.x + Math.sin(phi) * Math.cos(theta) * distance,
+        y: playerPosition.y + Math.cos(phi) * distance,
+        z: playerPosition.z + Math.sin(phi) * Math.sin(theta) * distance
+    };
+}
+
+/**
+ * Positions for the members of an archetype's group, leader first
+ * @param maxCount Most members to place, cutting the group short
+ */
+export function getGroupPositions(name: EnemyArchetypeName, position: SpawnPosition, random: SeededRandom, maxCount: number = Infinity): SpawnPosition[] {
+    const count = Math.min(ENEMY_ARCHETYPES[name].spawn.groupSize, maxCount);
+    const positions: SpawnPosition[] = [];
+
+    for (let i = 0; i < count; i++) {
+        const offset = i === 0 ? { x: 0, y: 0, z: 0 } : {
+            x: random.float(-1, 1) * GROUP_SPACING * i,
+            y: random.float(-1, 1) * GROUP_SPACING,
+            z: random.float(-1, 1) * GROUP_SPACING * i
+        };
+        positions.push({
+            x: position.x + offset.x,
+            y: position.y + offset.y,
+            z: position.z + offset.z
+        });
+    }
+
+    return positions;
+}
+
 export class AISpawnerManager {
     enemySystem: any = null;
+    nextGroupId: number = 1;
+    timeSinceSpawn: number = 0;
 
     constructor() {
     }
@@ -16,24 +141,92 @@ export class AISpawnerManager {
      */
     configureEnemySystem(enemySystem: any): void {
         this.enemySystem = enemySystem;
-        
+
         // Settings could be passed from a config module in the future
         if (enemySystem && typeof enemySystem.configure === 'function') {
             enemySystem.configure({
                 maxEnemies: 50,
                 spawnRate: 0.5, // enemies per second
-                poolEnabled: true
+                poolEnabled: true,
+                pickArchetype: (difficultyLevel: number, classification: string | null) =>
+                    pickArchetype(gameRandom.stream('spawns'), difficultyLevel, classification)
             });
             console.log("[COMBAT] Enemy system configured with maxEnemies: 50");
         }
     }
 
+    /**
+     * Advance the spawn schedule. Once the difficulty's spawn interval has
+     * passed and the enemy count is under its cap, the next archetype spawns
+     * out of sight around the player.
+     * @param deltaTime Time since last update in seconds
+     * @param context Current difficulty, system classification and player position
+     * @returns Entity IDs spawned this update
+     */
+    updateSpawnSchedule(deltaTime: number, context: SpawnScheduleContext): number[] {
+        const { params } = context;
+        this.timeSinceSpawn += deltaTime;
+
+        if (this.timeSinceSpawn < params.spawnInterval) return [];
+
+        // A group only fills the room left under the cap
+        const room = params.maxEnemies - getEnemies().length;
+        if (room <= 0) return [];
+
+        this.timeSinceSpawn = 0;
+
+        const position = pickSpawnPosition(gameRandom.stream('spawns'), context.playerPosition);
+        return this.spawnEnemy(position, context.difficultyLevel, context.classification, {
+            health: params.enemyHealth,
+            damage: params.enemyDamage,
+            speed: params.enemySpeed
+        }, room);
+    }
+
+    /**
+     * Spawn enemies of an archetype picked for the difficulty level and system classification
+     * @param position Spawn position
+     * @param difficultyLevel Current difficulty level
+     * @param classification Current system's classification, if known
+     * @param base Base enemy stats for the difficulty level
+     * @param maxCount Most enemies to spawn, cutting a group short
+     * @returns Entity IDs of the spawned enemies
+     */
+    spawnEnemy(position: SpawnPosition, difficultyLevel: number, classification: string | null, base: EnemyBaseStats, maxCount: number = Infinity): number[] {
+        const random = gameRandom.stream('spawns');
+        return this.spawnArchetype(pickArchetype(random, difficultyLevel, classification), position, base, random, maxCount);
+    }
+
+    /**
+     * Spawn an archetype's group around a position; swarmers arrive as a pack
+     * @param maxCount Most enemies to spawn, cutting a group short
+     */
+    spawnArchetype(
+        name: EnemyArchetypeName,
+        position: SpawnPosition,
+        base: EnemyBaseStats,
+        random: SeededRandom = gameRandom.stream('spawns'),
+        maxCount: number = Infinity
+    ): number[] {
+        const { groupSize } = ENEMY_ARCHETYPES[name].spawn;
+        const groupId = groupSize > 1 ? this.nextGroupId++ : 0;
+        const spawned: number[] = [];
+
+        for (const memberPosition of getGroupPositions(name, position, random, maxCount)) {
+            const eid = spawnEnemyArchetype(name, memberPosition, base, random, { groupId });
+            spawned.push(eid);
+            this.registerEnemy(String(eid));
+        }
+
+        return spawned;
+    }
+
     /**
      * Register an enemy entity for synchronization with EnemySystem
      */
     registerEnemy(enemyId: string): void {
         if (!this.enemySystem) return;
-        
+
         if (typeof this.enemySystem.registerEnemy === 'function') {
             this.enemySystem.registerEnemy(enemyId);
         }
@@ -44,7 +237,7 @@ export class AISpawnerManager {
      */
     unregisterEnemy(enemyId: string): void {
         if (!this.enemySystem) return;
-        
+
         if (typeof this.enemySystem.unregisterEnemy === 'function') {
             this.enemySystem.unregisterEnemy(enemyId);
         }
@@ -55,7 +248,7 @@ export class AISpawnerManager {
      */
     emergencyCleanup(): void {
         if (!this.enemySystem) return;
-        
+
         if (typeof this.enemySystem.cleanupAll === 'function') {
             this.enemySystem.cleanupAll();
         }
@@ -1,11 +1,22 @@
 /**
- * Combat Logic Module - Handles particle cannon firing and raycasting
- * 
+ * Combat Logic Module - Handles weapon firing and raycasting
+ *
  * This module contains the core combat logic for firing weapons,
  * performing raycasts, and applying damage to entities.
  */
 
 import * as THREE from 'three';
+import { EVENT } from '../../core/events.ts';
+import { mainMessageBus } from '../../globals/messageBus.ts';
+import type { WeaponDefinition } from '../weapons/weaponLoadout.ts';
+
+// Camera recoil category for each projectile type (see Physics 'weapon.fire' handler)
+const RECOIL_TYPES: Record<WeaponDefinition['projectile'], string> = {
+    laser: 'projectile',
+    bullet: 'projectile',
+    plasma: 'laser',
+    missile: 'heavy'
+};
 
 export class CombatLogic {
     effectsManager: any;
@@ -23,37 +34,21 @@ export class CombatLogic {
     }
 
     /**
-     * Fire the particle cannon with instant raycast damage
+     * Find the first enemy or asteroid along a ray
+     * @returns The nearest intersection, or null if nothing is in range
      */
-    fireParticleCannon(scene: THREE.Scene, spaceship: any, world: any, _playerEntity: any, damage: number, lastFireTime: number, cooldown: number) {
-        const now = performance.now();
-        
-        // Rate limiting
-        if (now - lastFireTime < cooldown) {
-            return { newLastFireTime: lastFireTime, success: false };
-        }
-        
-        // Skip if no scene or spaceship
-        if (!scene || !spaceship || !spaceship.mesh) {
-            return { newLastFireTime: lastFireTime, success: false };
-        }
-        
-        // Get firing position and direction
-        const startPos = new THREE.Vector3();
-        spaceship.mesh.getWorldPosition(startPos);
-        
-        const direction = new THREE.Vector3(0, 0, -1);
-        direction.applyQuaternion(spaceship.mesh.quaternion);
+    findHit(scene: THREE.Scene, spaceship: any, origin: THREE.Vector3, direction: THREE.Vector3, range: number): THREE.Intersection | null {
+        if (!scene) return null;
         
         // Set raycaster
-        this.raycaster.set(startPos, direction);
-        this.raycaster.far = 2000; // Max range for particle cannon
+        this.raycaster.set(origin, direction);
+        this.raycaster.far = range;
         
         // Find all meshes to hit (enemies)
         // Optimization: only check objects in a specific group or with a specific tag
         const hitObjects: THREE.Object3D[] = [];
         scene.traverse((obj) => {
-            if (obj instanceof THREE.Mesh && obj !== spaceship.mesh && obj.visible) {
+            if (obj instanceof THREE.Mesh && obj !== spaceship?.mesh && obj.visible) {
                 // Heuristic: only hit enemies or asteroids
                 if (obj.name && (obj.name.includes('enemy') || obj.name.includes('asteroid'))) {
                     hitObjects.push(obj);
@@ -64,59 +59,69 @@ export class CombatLogic {
         });
         
         const intersects = this.raycaster.intersectObjects(hitObjects);
-        
-        let endPos = startPos.clone().add(direction.clone().multiplyScalar(2000));
+        return intersects.length > 0 ? intersects[0] : null;
+    }
+
+    /**
+     * Damage whatever a ray hit and show the impact
+     * @param showImpact False when the caller draws its own impact effect
+     * @returns The entity ID that was damaged, or null for scenery
+     */
+    applyHit(world: any, hit: THREE.Intersection, damage: number, showImpact: boolean = true) {
         let hitEntityId = null;
         
-        if (intersects.length > 0) {
-            const hit = intersects[0];
-            endPos = hit.point;
-            
-            // Try to find entity ID from userData
-            if (hit.object.userData && hit.object.userData.entityId) {
-                hitEntityId = hit.object.userData.entityId;
-                
-                // Apply damage via event if world exists
-                if (world && world.messageBus) {
-                    world.messageBus.publish('entity.damage', {
-                        entityId: hitEntityId,
-                        damage: damage,
-                        source: 'player',
-                        hitPoint: hit.point,
-                        hitNormal: hit.face ? hit.face.normal : null
-                    });
-                }
-            }
-            
-            // Create impact effect
-            if (this.effectsManager) {
-                this.effectsManager.createExplosionEffect(hit.point, 500, true);
-            }
+        // Try to find entity ID from userData
+        if (hit.object.userData && hit.object.userData.entityId) {
+            hitEntityId = hit.object.userData.entityId;
+            this.damageEntity(world, hitEntityId, damage, hit.point, hit.face ? hit.face.normal : null);
+        }
+
+        // Asteroids break apart under fire (see AsteroidBelt.damageAsteroid)
+        if (hit.object.userData && hit.object.userData.asteroidEid) {
+            mainMessageBus.publish(EVENT.ASTEROID_HIT, { eid: hit.object.userData.asteroidEid, damage });
         }
         
-        // Create visual tracer beam
-        if (this.effectsManager) {
-            this.effectsManager.createInstantTracer(startPos, endPos, hitEntityId !== null);
-            
-            // Create muzzle flash
-            this.effectsManager.createMuzzleFlash(startPos, direction);
+        // Create impact effect
+        if (showImpact && this.effectsManager) {
+            this.effectsManager.createExplosionEffect(hit.point, 500, true);
         }
         
+        return hitEntityId;
+    }
+
+    /**
+     * Apply player weapon damage via event if world exists
+     */
+    damageEntity(world: any, entityId: string | number, damage: number, hitPoint: THREE.Vector3, hitNormal: THREE.Vector3 | null = null) {
+        if (world && world.messageBus) {
+            world.messageBus.publish('entity.damage', {
+                entityId,
+                damage,
+                source: 'player',
+                hitPoint,
+                hitNormal
+            });
+        }
+    }
+
+    /**
+     * Play the firing sound, camera recoil and gamepad rumble for a shot
+     */
+    playFireFeedback(weapon: WeaponDefinition, direction: THREE.Vector3) {
         // Play sound
         if ((window as any).game && (window as any).game.audio) {
             (window as any).game.audio.playWeaponSound();
         }
-
+        
         // Trigger camera recoil and gamepad rumble
         if ((window as any).mainMessageBus) {
             // Publish event for camera recoil (e.g., 'weapon.fire')
             (window as any).mainMessageBus.publish('weapon.fire', {
-                type: 'projectile', // Weapon type for recoil scaling (projectile, laser, heavy)
+                type: RECOIL_TYPES[weapon.projectile], // Weapon type for recoil scaling (projectile, laser, heavy)
+                weapon: weapon.id,
                 direction: direction.clone(), // Pass the firing direction
             });
             (window as any).mainMessageBus.publish('input.vibrate', { intensity: 0.3, duration: 50 });
         }
-        
-        return { newLastFireTime: now, success: true };
     }
 }
@@ -0,0 +1,182 @@
+/**
+ * Missile Launcher Module - Guided missiles for the missile weapon
+ *
+ * Missiles are pooled meshes from MissileProjectilePool. Each frame they fly
+ * forward, turn toward the locked-on enemy while they still have fuel, and
+ * sweep a short ray along their path to detect hits.
+ */
+
+import * as THREE from 'three';
+import { MissileProjectilePool } from '../pooling/projectiles/types/missile.ts';
+import { ECS_ENTITY_ID_PREFIX, getEnemies } from '../../ecs/systems/ecsRunner';
+import { Position } from '../../ecs/components';
+import type { WeaponDefinition } from '../weapons/weaponLoadout.ts';
+
+type MissileMesh = ReturnType<MissileProjectilePool['get']>;
+
+interface FlyingMissile {
+    mesh: MissileMesh;
+    direction: THREE.Vector3;
+    weapon: WeaponDefinition;
+    // Locked-on enemy entity, or -1 to fly straight
+    targetEid: number;
+}
+
+// Radians per second a missile can turn toward its target
+const MISSILE_TURN_RATE = 2.5;
+
+// Detonate this close to the target even without a mesh hit
+const PROXIMITY_FUSE = 20;
+
+// Missile geometry is a cylinder along +Y
+const MISSILE_AXIS = new THREE.Vector3(0, 1, 0);
+
+export class MissileLauncher {
+    scene: THREE.Scene;
+    effectsManager: any;
+    combatLogic: any;
+    pool: MissileProjectilePool | null;
+    missiles: FlyingMissile[];
+
+    constructor(scene: THREE.Scene, effectsManager: any, combatLogic: any) {
+        this.scene = scene;
+        this.effectsManager = effectsManager;
+        this.combatLogic = combatLogic;
+        this.pool = null;
+        this.missiles = [];
+    }
+
+    /**
+     * Create the pool on first launch, once the effects manager has shared its assets
+     */
+    getPool(): MissileProjectilePool | null {
+        if (this.pool) return this.pool;
+        
+        const game = (window as any).game;
+        if (!game || !game.projectileGeometry || !game.projectileMaterial) {
+            console.error("[COMBAT] Missile assets not ready");
+            return null;
+        }
+        
+        this.pool = new MissileProjectilePool(
+            {
+                projectileGeometry: game.projectileGeometry,
+                projectileGlowGeometry: game.projectileGlowGeometry,
+                projectileMaterial: game.projectileMaterial,
+                projectileGlowMaterial: game.projectileGlowMaterial
+            },
+            (object) => this.effectsManager._addToScene(object),
+            (object) => this.effectsManager._removeFromScene(object)
+        );
+        return this.pool;
+    }
+
+    /**
+     * Launch a missile from a hardpoint
+     * @param targetEid Enemy to home on, or -1 to fly straight
+     * @returns True if a missile was launched
+     */
+    launch(origin: THREE.Vector3, direction: THREE.Vector3, weapon: WeaponDefinition, targetEid: number): boolean {
+        const pool = this.getPool();
+        if (!pool) return false;
+        
+        const mesh = pool.get();
+        mesh.position.copy(origin);
+        mesh.quaternion.setFromUnitVectors(MISSILE_AXIS, direction);
+        mesh.userData.damage = weapon.damage;
+        mesh.userData.firedBy = 'player';
+        mesh.userData.target = targetEid;
+        
+        this.missiles.push({ mesh, direction: direction.clone(), weapon, targetEid });
+        
+        if (this.effectsManager) {
+            this.effectsManager.createMuzzleFlash(origin, direction);
+        }
+        return true;
+    }
+
+    /**
+     * Fly, steer and detonate active missiles
+     * @param deltaTime Time since last update in seconds
+     */
+    update(deltaTime: number, spaceship: any, world: any): void {
+        if (!this.pool || this.missiles.length === 0) return;
+        
+        const enemies = getEnemies();
+        const step = new THREE.Vector3();
+        const toTarget = new THREE.Vector3();
+        
+        for (let i = this.missiles.length - 1; i >= 0; i--) {
+            const missile = this.missiles[i];
+            const { mesh } = missile;
+            
+            // Burns fuel (tracked in milliseconds) and dims the exhaust when empty
+            this.pool.updateMissile(mesh, deltaTime * 1000);
+            
+            // Lose the lock if the target was destroyed
+            if (missile.targetEid !== -1 && !enemies.includes(missile.targetEid)) {
+                missile.targetEid = -1;
+            }
+            
+            if (missile.targetEid !== -1 && mesh.userData.guidanceActive) {
+                const eid = missile.targetEid;
+                toTarget.set(Position.x[eid], Position.y[eid], Position.z[eid]).sub(mesh.position);
+                
+                if (toTarget.length() <= PROXIMITY_FUSE) {
+                    this.combatLogic.damageEntity(world, ECS_ENTITY_ID_PREFIX + eid, missile.weapon.damage, mesh.position.clone());
+                    this.detonate(i);
+                    continue;
+                }
+                
+                // Turn toward the target, limited by the turn rate
+                toTarget.normalize();
+                const angle = missile.direction.angleTo(toTarget);
+                const maxTurn = MISSILE_TURN_RATE * deltaTime;
+                missile.direction.lerp(toTarget, angle > maxTurn ? maxTurn / angle : 1).normalize();
+                mesh.quaternion.setFromUnitVectors(MISSILE_AXIS, missile.direction);
+            }
+            
+            const distance = mesh.userData.speed * deltaTime;
+            const hit = this.combatLogic.findHit(this.scene, spaceship, mesh.position, missile.direction, distance);
+            if (hit) {
+                this.combatLogic.applyHit(world, hit, missile.weapon.damage);
+                this.detonate(i);
+                continue;
+            }
+            
+            mesh.position.add(step.copy(missile.direction).multiplyScalar(distance));
+            
+            // Self-destruct once the weapon's range is spent
+            const age = (performance.now() - (mesh.userData.creationTime || 0)) / 1000;
+            if (age * mesh.userData.speed > missile.weapon.range) {
+                this.release(i);
+            }
+        }
+    }
+
+    detonate(index: number): void {
+        const { mesh } = this.missiles[index];
+        if (this.effectsManager) {
+            this.effectsManager.createExplosionEffect(mesh.position.clone(), 800, true);
+        }
+        this.release(index);
+    }
+
+    release(index: number): void {
+        const [missile] = this.missiles.splice(index, 1);
+        this.pool?.release(missile.mesh);
+    }
+
+    /**
+     * Return every missile to the pool and dispose it
+     */
+    dispose(): void {
+        while (this.missiles.length > 0) {
+            this.release(this.missiles.length - 1);
+        }
+        if (this.pool) {
+            this.pool.dispose();
+            this.pool = null;
+        }
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Projectile Launcher Module - Pooled bolts for the cannon, autocannon and plasma
+ *
+ * Each weapon takes its projectiles from the ProjectilePoolManager pool of its
+ * projectile type, so lasers, bullets and plasma bolts keep their own look,
+ * trail, muzzle flash and impact effect. Bolts fly straight at their type's
+ * speed and sweep a short ray along their path to detect hits.
+ */
+
+import * as THREE from 'three';
+import { ProjectilePoolManager } from '../pooling/ProjectilePoolManager.ts';
+import type { WeaponDefinition } from '../weapons/weaponLoadout.ts';
+
+type ProjectileMesh = ReturnType<ProjectilePoolManager['getProjectile']>;
+
+interface FlyingProjectile {
+    mesh: ProjectileMesh;
+    direction: THREE.Vector3;
+    weapon: WeaponDefinition;
+    // Distance left before the bolt fizzles out
+    rangeLeft: number;
+}
+
+// Projectile geometry is a cylinder along +Y
+const PROJECTILE_AXIS = new THREE.Vector3(0, 1, 0);
+
+export class ProjectileLauncher {
+    scene: THREE.Scene;
+    combatLogic: any;
+    poolManager: ProjectilePoolManager | null;
+    projectiles: FlyingProjectile[];
+
+    constructor(scene: THREE.Scene, combatLogic: any) {
+        this.scene = scene;
+        this.combatLogic = combatLogic;
+        this.poolManager = null;
+        this.projectiles = [];
+    }
+
+    /**
+     * Create the pools on first shot, once the effects manager has shared its assets
+     */
+    getPoolManager(): ProjectilePoolManager | null {
+        if (this.poolManager) return this.poolManager;
+
+        const game = (window as any).game;
+        if (!game || !game.projectileGeometry || !game.projectileMaterial || !game.explosionParticleMaterial) {
+            console.error("[COMBAT] Projectile assets not ready");
+            return null;
+        }
+
+        this.poolManager = new ProjectilePoolManager(this.scene, {
+            projectileGeometry: game.projectileGeometry,
+            projectileGlowGeometry: game.projectileGlowGeometry,
+            muzzleFlashGeometry: game.muzzleFlashGeometry,
+            tracerGeometry: game.tracerGeometry,
+            trailParticleGeometries: game.trailParticleGeometries,
+            projectileMaterial: game.projectileMaterial,
+            projectileGlowMaterial: game.projectileGlowMaterial,
+            trailParticleMaterial: game.trailParticleMaterial,
+            muzzleFlashMaterial: game.muzzleFlashMaterial,
+            tracerLineMaterial: game.tracerLineMaterial,
+            explosionParticleMaterial: game.explosionParticleMaterial
+        });
+        return this.poolManager;
+    }
+
+    /**
+     * Fire a bolt of the weapon's projectile type from a hardpoint
+     * @returns True if a projectile was launched
+     */
+    launch(origin: THREE.Vector3, direction: THREE.Vector3, weapon: WeaponDefinition): boolean {
+        const poolManager = this.getPoolManager();
+        if (!poolManager) return false;
+
+        const mesh = poolManager.getProjectile(weapon.projectile);
+        mesh.position.copy(origin);
+        mesh.quaternion.setFromUnitVectors(PROJECTILE_AXIS, direction);
+        mesh.userData.damage = weapon.damage;
+        mesh.userData.firedBy = 'player';
+
+        poolManager.createTrailForProjectile(mesh);
+        poolManager.getMuzzleFlash(weapon.projectile, origin, direction);
+
+        this.projectiles.push({ mesh, direction: direction.clone(), weapon, rangeLeft: weapon.range });
+        return true;
+    }
+
+    /**
+     * Fly active projectiles and resolve their hits
+     * @param deltaTime Time since last update in seconds
+     */
+    update(deltaTime: number, spaceship: any, world: any): void {
+        if (!this.poolManager) return;
+
+        // Pool effects (trails, flashes, plasma pulsing) run on milliseconds
+        this.poolManager.update(deltaTime * 1000);
+
+        const step = new THREE.Vector3();
+
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            const { mesh } = projectile;
+
+            const distance = Math.min(mesh.userData.speed * deltaTime, projectile.rangeLeft);
+            const hit = this.combatLogic.findHit(this.scene, spaceship, mesh.position, projectile.direction, distance);
+            if (hit) {
+                this.combatLogic.applyHit(world, hit, projectile.weapon.damage, false);
+                this.poolManager.createImpactEffect(hit.point, projectile.weapon.projectile);
+                this.release(i);
+                continue;
+            }
+
+            mesh.position.add(step.copy(projectile.direction).multiplyScalar(distance));
+            projectile.rangeLeft -= distance;
+
+            // Spent the weapon's range without hitting anything
+            if (projectile.rangeLeft <= 0) {
+                this.release(i);
+            }
+        }
+    }
+
+    release(index: number): void {
+        const [projectile] = this.projectiles.splice(index, 1);
+        this.poolManager?.releaseProjectile(projectile.mesh);
+    }
+
+    /**
+     * Return every projectile to its pool and dispose the pools
+     */
+    dispose(): void {
+        while (this.projectiles.length > 0) {
+            this.release(this.projectiles.length - 1);
+        }
+        if (this.poolManager) {
+            this.poolManager.dispose();
+            this.poolManager = null;
+        }
+    }
+}
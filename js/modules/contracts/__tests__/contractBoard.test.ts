@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  ContractBoard,
+  MAX_ACTIVE_CONTRACTS,
+  OFFERS_PER_BOARD,
+  describeProgress,
+  formatTimeRemaining,
+  type Contract,
+  type ContractType,
+} from '../contractBoard'
+import { RandomService } from '../../../globals/random'
+
+const home = { id: 'Solar System', name: 'Solar System', starClass: 'G', classification: 'Home System' }
+
+function systemWith(board: ContractBoard, type: ContractType) {
+  for (let i = 0; i < 100; i++) {
+    const system = { id: `System-${i}`, name: `System ${i}`, starClass: 'K', classification: 'Mining' }
+    const offer = board.getOffers(system).find(contract => contract.type === type)
+    if (offer) return { system, offer }
+  }
+  throw new Error(`No ${type} contract generated`)
+}
+
+function acceptType(board: ContractBoard, type: ContractType): Contract {
+  const { system, offer } = systemWith(board, type)
+  return board.accept(system.id, offer.id)!
+}
+
+describe('Contract Board', () => {
+  let board: ContractBoard
+
+  beforeEach(() => {
+    board = new ContractBoard(new RandomService('CONTRACTS'))
+  })
+
+  it('should offer the same contracts for the same seed and system', () => {
+    const other = new ContractBoard(new RandomService('CONTRACTS'))
+    const offers = board.getOffers(home)
+
+    expect(offers).toHaveLength(OFFERS_PER_BOARD)
+    expect(new Set(offers.map(contract => contract.type)).size).toBe(OFFERS_PER_BOARD)
+    expect(other.getOffers(home)).toEqual(offers)
+    expect(new ContractBoard(new RandomService('OTHER')).getOffers(home)).not.toEqual(offers)
+  })
+
+  it('should post a new board once every offer is taken, up to the active limit', () => {
+    const first = board.getOffers(home).map(contract => contract.id)
+    first.forEach(id => expect(board.accept(home.id, id)!.status).toBe('active'))
+
+    const next = board.getOffers(home)
+    expect(next.map(contract => contract.id)).not.toEqual(first)
+    expect(board.accept(home.id, next[0].id)).toBeNull()
+    expect(board.getActive()).toHaveLength(MAX_ACTIVE_CONTRACTS)
+  })
+
+  it('should complete a bounty after enough kills and fail it at the deadline', () => {
+    const bounty = acceptType(board, 'bounty')
+    for (let i = 1; i < bounty.target; i++) {
+      expect(board.recordEnemyDestroyed()).toEqual([])
+    }
+    expect(board.recordEnemyDestroyed()).toEqual([{ contract: bounty, status: 'completed' }])
+
+    const late = acceptType(board, 'bounty')
+    const [outcome] = board.update(late.timeLimit, null, null)
+    expect(outcome.status).toBe('failed')
+    expect(late.failureReason).toBe('Deadline expired')
+    expect(board.getActive()).toEqual([])
+  })
+
+  it('should only take deliveries at the issuing stargate with enough cargo', () => {
+    const delivery = acceptType(board, 'delivery')
+    const commodity = delivery.commodity!
+
+    board.recordCargo({ [commodity]: 2 })
+    expect(delivery.progress).toBe(2)
+    expect(board.deliver(delivery.systemId, { [commodity]: 2 }).outcomes).toEqual([])
+    expect(board.deliver('Elsewhere', { [commodity]: delivery.target }).outcomes).toEqual([])
+
+    const result = board.deliver(delivery.systemId, { [commodity]: delivery.target + 5 })
+    expect(result.outcomes[0].status).toBe('completed')
+    expect(result.delivered).toEqual({ [commodity]: delivery.target })
+  })
+
+  it('should only count holdout time spent inside the zone', () => {
+    const holdout = acceptType(board, 'holdout')
+    const outside = { x: holdout.location!.x + holdout.radius! * 2, y: 0, z: 0 }
+
+    board.update(10, holdout.systemId, outside)
+    expect(holdout.progress).toBe(0)
+    board.update(10, 'Elsewhere', holdout.location!)
+    expect(holdout.progress).toBe(0)
+
+    board.update(holdout.target - 1, holdout.systemId, holdout.location!)
+    expect(describeProgress(holdout)).toBe(`${holdout.target - 1}/${holdout.target}s in zone`)
+    expect(board.update(1, holdout.systemId, holdout.location!)[0].status).toBe('completed')
+  })
+
+  it('should complete a survey on a scan of the requested anomaly', () => {
+    const survey = acceptType(board, 'survey')
+
+    expect(board.recordAnomalyScan('Elsewhere', survey.anomalyType!)).toEqual([])
+    expect(board.recordAnomalyScan(survey.systemId, 'not-an-anomaly')).toEqual([])
+    expect(board.recordAnomalyScan(survey.systemId, survey.anomalyType!)[0].status).toBe('completed')
+  })
+
+  it('should fail abandoned contracts with a penalty', () => {
+    const contract = acceptType(board, 'bounty')
+    const outcome = board.abandon(contract.id)!
+
+    expect(outcome.status).toBe('failed')
+    expect(contract.failureReason).toBe('Abandoned')
+    expect(contract.penalty).toBe(Math.round(contract.reward * 0.1))
+    expect(board.abandon(contract.id)).toBeNull()
+  })
+
+  it('should format remaining time', () => {
+    expect(formatTimeRemaining(125)).toBe('2:05')
+    expect(formatTimeRemaining(0.2)).toBe('0:01')
+    expect(formatTimeRemaining(-3)).toBe('0:00')
+  })
+})
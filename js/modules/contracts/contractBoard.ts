@@ -0,0 +1,403 @@
+// contractBoard.ts - Procedural contracts offered at each system's stargate
+//
+// Every system posts a small board of contracts generated from the universe
+// seed, so the same seed always offers the same work. Accepted contracts
+// advance from gameplay events (kills, mining, anomaly scans, time spent in a
+// marked zone) and either pay out or fail when their deadline runs out.
+
+import { gameRandom, type RandomService, type SeededRandom } from '../../globals/random.ts';
+import { BASE_PRICES, COMMODITIES, getScarcityFactor, type Commodity, type MarketSystemInfo } from '../market/marketModel.ts';
+
+export type ContractType = 'delivery' | 'bounty' | 'survey' | 'holdout';
+
+export type ContractStatus = 'offered' | 'active' | 'completed' | 'failed';
+
+export interface ContractSystemInfo extends MarketSystemInfo {
+    name: string;
+}
+
+export interface ContractLocation {
+    x: number;
+    y: number;
+    z: number;
+}
+
+export interface Contract {
+    id: string;
+    type: ContractType;
+    systemId: string;
+    systemName: string;
+    title: string;
+    description: string;
+    // Units to deliver, drones to destroy, seconds to hold, or 1 for a survey
+    target: number;
+    progress: number;
+    commodity?: Commodity;
+    anomalyType?: string;
+    location?: ContractLocation;
+    radius?: number;
+    reward: number;
+    // Credits charged if the contract fails or is abandoned
+    penalty: number;
+    // Seconds from acceptance
+    timeLimit: number;
+    timeRemaining: number;
+    status: ContractStatus;
+    failureReason?: string;
+}
+
+export interface ContractOutcome {
+    contract: Contract;
+    status: 'completed' | 'failed';
+}
+
+export interface DeliveryResult {
+    outcomes: ContractOutcome[];
+    // Units taken from the cargo hold
+    delivered: Partial<Record<Commodity, number>>;
+}
+
+interface SystemBoard {
+    generation: number;
+    offers: Contract[];
+}
+
+export const OFFERS_PER_BOARD = 3;
+export const MAX_ACTIVE_CONTRACTS = 3;
+
+// Share of the reward charged when a contract fails
+const FAILURE_PENALTY = 0.1;
+
+// Delivery contracts pay this much over the local market price
+const DELIVERY_PREMIUM = 1.5;
+
+const DELIVERY_AMOUNTS: Record<Commodity, [number, number]> = {
+    iron: [40, 80],
+    gold: [15, 30],
+    platinum: [4, 10]
+};
+
+const BOUNTY_REWARD_PER_DRONE = 300;
+const HOLDOUT_REWARD_PER_SECOND = 25;
+
+// Anomaly types that can appear in any system (see AnomalyRegistry)
+export const SURVEY_TARGETS: Record<string, string> = {
+    vortex: 'Vortex',
+    crystalCluster: 'Crystal Cluster',
+    nebulaNexus: 'Nebula Nexus',
+    quantumFlux: 'Quantum Flux',
+    darkMatter: 'Dark Matter'
+};
+
+const CONTRACT_TYPES: ContractType[] = ['delivery', 'bounty', 'survey', 'holdout'];
+
+/**
+ * Remaining time as m:ss
+ */
+export function formatTimeRemaining(seconds: number): string {
+    const total = Math.max(0, Math.ceil(seconds));
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Short progress label for the HUD and terminal
+ */
+export function describeProgress(contract: Contract): string {
+    switch (contract.type) {
+        case 'delivery':
+            return `${contract.progress}/${contract.target} ${(contract.commodity || '').toUpperCase()} in hold`;
+        case 'bounty':
+            return `${contract.progress}/${contract.target} drones destroyed`;
+        case 'survey':
+            return contract.progress >= contract.target ? 'Scan complete' : 'Scan pending';
+        case 'holdout':
+            return `${Math.floor(contract.progress)}/${contract.target}s in zone`;
+    }
+}
+
+export class ContractBoard {
+    random: RandomService;
+    boards: Record<string, SystemBoard>;
+    active: Contract[];
+
+    constructor(random: RandomService = gameRandom) {
+        this.random = random;
+        this.boards = {};
+        this.active = [];
+    }
+
+    /**
+     * Contracts on offer in a system. A fresh board is posted once every
+     * offer has been taken.
+     */
+    getOffers(system: ContractSystemInfo): Contract[] {
+        let board = this.boards[system.id];
+        if (!board) {
+            board = { generation: 0, offers: [] };
+            this.boards[system.id] = board;
+            board.offers = this.generateOffers(system, board.generation);
+        } else if (board.offers.length === 0) {
+            board.generation++;
+            board.offers = this.generateOffers(system, board.generation);
+        }
+        return board.offers;
+    }
+
+    getActive(): Contract[] {
+        return this.active;
+    }
+
+    /**
+     * Take a contract from a system's board
+     * @returns The accepted contract, or null if it isn't on offer or too many are active
+     */
+    accept(systemId: string, contractId: string): Contract | null {
+        const board = this.boards[systemId];
+        if (!board || this.active.length >= MAX_ACTIVE_CONTRACTS) return null;
+
+        const contract = board.offers.find(offer => offer.id === contractId);
+        if (!contract) return null;
+
+        board.offers = board.offers.filter(offer => offer !== contract);
+        contract.status = 'active';
+        contract.timeRemaining = contract.timeLimit;
+        this.active.push(contract);
+        return contract;
+    }
+
+    /**
+     * Give up on an active contract. Counts as a failure.
+     */
+    abandon(contractId: string): ContractOutcome | null {
+        const contract = this.active.find(active => active.id === contractId);
+        if (!contract) return null;
+        return this.fail(contract, 'Abandoned');
+    }
+
+    /**
+     * Fail every active contract, e.g. when the ship is destroyed
+     */
+    failAll(reason: string): ContractOutcome[] {
+        return [...this.active].map(contract => this.fail(contract, reason));
+    }
+
+    recordEnemyDestroyed(): ContractOutcome[] {
+        const outcomes: ContractOutcome[] = [];
+        for (const contract of this.getActiveOfType('bounty')) {
+            contract.progress = Math.min(contract.target, contract.progress + 1);
+            if (contract.progress >= contract.target) {
+                outcomes.push(this.complete(contract));
+            }
+        }
+        return outcomes;
+    }
+
+    /**
+     * Track how much of each delivery is already in the cargo hold
+     */
+    recordCargo(cargo: Partial<Record<Commodity, number>>): void {
+        for (const contract of this.getActiveOfType('delivery')) {
+            const held = cargo[contract.commodity as Commodity] || 0;
+            contract.progress = Math.min(contract.target, Math.floor(held));
+        }
+    }
+
+    /**
+     * Hand over cargo for deliveries due at a system's stargate
+     */
+    deliver(systemId: string, cargo: Partial<Record<Commodity, number>>): DeliveryResult {
+        const remaining = { ...cargo };
+        const result: DeliveryResult = { outcomes: [], delivered: {} };
+
+        for (const contract of this.getActiveOfType('delivery')) {
+            if (contract.systemId !== systemId) continue;
+
+            const commodity = contract.commodity as Commodity;
+            const held = remaining[commodity] || 0;
+            if (held < contract.target) continue;
+
+            remaining[commodity] = held - contract.target;
+            result.delivered[commodity] = (result.delivered[commodity] || 0) + contract.target;
+            contract.progress = contract.target;
+            result.outcomes.push(this.complete(contract));
+        }
+
+        this.recordCargo(remaining);
+        return result;
+    }
+
+    /**
+     * A scan of an anomaly in the given system
+     */
+    recordAnomalyScan(systemId: string, anomalyType: string): ContractOutcome[] {
+        return this.getActiveOfType('survey')
+            .filter(contract => contract.systemId === systemId && contract.anomalyType === anomalyType)
+            .map(contract => {
+                contract.progress = contract.target;
+                return this.complete(contract);
+            });
+    }
+
+    /**
+     * Advance deadlines and zone timers
+     * @param deltaTime Seconds since the last update
+     * @param systemId System the ship is in
+     * @param position Ship position, or null while docked
+     */
+    update(deltaTime: number, systemId: string | null, position: ContractLocation | null): ContractOutcome[] {
+        const outcomes: ContractOutcome[] = [];
+
+        for (const contract of [...this.active]) {
+            if (contract.type === 'holdout' && position && contract.systemId === systemId && this.isInZone(contract, position)) {
+                contract.progress = Math.min(contract.target, contract.progress + deltaTime);
+                if (contract.progress >= contract.target) {
+                    outcomes.push(this.complete(contract));
+                    continue;
+                }
+            }
+
+            contract.timeRemaining -= deltaTime;
+            if (contract.timeRemaining <= 0) {
+                outcomes.push(this.fail(contract, 'Deadline expired'));
+            }
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Drop all boards and active contracts (e.g. after loading a save)
+     */
+    reset(): void {
+        this.boards = {};
+        this.active = [];
+    }
+
+    isInZone(contract: Contract, position: ContractLocation): boolean {
+        if (!contract.location || !contract.radius) return false;
+        const dx = position.x - contract.location.x;
+        const dy = position.y - contract.location.y;
+        const dz = position.z - contract.location.z;
+        return dx * dx + dy * dy + dz * dz <= contract.radius * contract.radius;
+    }
+
+    private getActiveOfType(type: ContractType): Contract[] {
+        return this.active.filter(contract => contract.type === type);
+    }
+
+    private complete(contract: Contract): ContractOutcome {
+        contract.status = 'completed';
+        this.active = this.active.filter(active => active !== contract);
+        return { contract, status: 'completed' };
+    }
+
+    private fail(contract: Contract, reason: string): ContractOutcome {
+        contract.status = 'failed';
+        contract.failureReason = reason;
+        this.active = this.active.filter(active => active !== contract);
+        return { contract, status: 'failed' };
+    }
+
+    private generateOffers(system: ContractSystemInfo, generation: number): Contract[] {
+        const random = this.random.derive('contracts', `${system.id}:${generation}`);
+
+        // Shuffle the contract types so each board offers a mix
+        const types = [...CONTRACT_TYPES];
+        for (let i = types.length - 1; i > 0; i--) {
+            const j = random.int(0, i);
+            [types[i], types[j]] = [types[j], types[i]];
+        }
+
+        return types.slice(0, OFFERS_PER_BOARD).map((type, index) =>
+            this.generateContract(type, system, `${system.id}-${generation}-${index}`, random));
+    }
+
+    private generateContract(type: ContractType, system: ContractSystemInfo, id: string, random: SeededRandom): Contract {
+        const base = {
+            id,
+            type,
+            systemId: system.id,
+            systemName: system.name,
+            progress: 0,
+            status: 'offered' as ContractStatus
+        };
+
+        let contract: Contract;
+        switch (type) {
+            case 'delivery': {
+                const commodity = random.pick(COMMODITIES);
+                const [min, max] = DELIVERY_AMOUNTS[commodity];
+                const amount = random.int(min, max);
+                const unitPrice = BASE_PRICES[commodity] * getScarcityFactor(system, commodity);
+                contract = {
+                    ...base,
+                    title: `Deliver ${amount} ${commodity}`,
+                    description: `Bring ${amount} units of ${commodity} to the ${system.name} stargate.`,
+                    target: amount,
+                    commodity,
+                    reward: Math.round(amount * unitPrice * DELIVERY_PREMIUM),
+                    penalty: 0,
+                    timeLimit: random.int(15, 20) * 60,
+                    timeRemaining: 0
+                };
+                break;
+            }
+            case 'bounty': {
+                const drones = random.int(3, 8);
+                contract = {
+                    ...base,
+                    title: `Destroy ${drones} spectral drones`,
+                    description: `Clear ${drones} spectral drones from the ${system.name} shipping lanes before time runs out.`,
+                    target: drones,
+                    reward: drones * BOUNTY_REWARD_PER_DRONE,
+                    penalty: 0,
+                    timeLimit: drones * 60,
+                    timeRemaining: 0
+                };
+                break;
+            }
+            case 'survey': {
+                const anomalyType = random.pick(Object.keys(SURVEY_TARGETS));
+                const name = SURVEY_TARGETS[anomalyType];
+                contract = {
+                    ...base,
+                    title: `Scan a ${name} anomaly`,
+                    description: `Fly within scanner range of a ${name} anomaly in ${system.name}.`,
+                    target: 1,
+                    anomalyType,
+                    reward: random.int(12, 30) * 100,
+                    penalty: 0,
+                    timeLimit: 20 * 60,
+                    timeRemaining: 0
+                };
+                break;
+            }
+            case 'holdout': {
+                const seconds = random.int(3, 6) * 15;
+                const angle = random.float(0, Math.PI * 2);
+                const distance = random.float(8000, 20000);
+                contract = {
+                    ...base,
+                    title: `Hold a marked zone for ${seconds}s`,
+                    description: `Survive inside the marked zone in ${system.name} for ${seconds} seconds. Leaving the zone pauses the clock.`,
+                    target: seconds,
+                    location: {
+                        x: Math.round(Math.cos(angle) * distance),
+                        y: Math.round(random.float(-1000, 1000)),
+                        z: Math.round(Math.sin(angle) * distance)
+                    },
+                    radius: 2000,
+                    reward: seconds * HOLDOUT_REWARD_PER_SECOND,
+                    penalty: 0,
+                    timeLimit: seconds + 10 * 60,
+                    timeRemaining: 0
+                };
+                break;
+            }
+        }
+
+        contract.penalty = Math.round(contract.reward * FAILURE_PENALTY);
+        return contract;
+    }
+}
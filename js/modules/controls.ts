@@ -4,11 +4,17 @@ import { InputHandler } from './controls/inputHandler.ts';
 import { GamepadHandler } from './controls/gamepadHandler.ts';
 import { MiningSystem } from './controls/miningSystem.ts';
 import { TargetingSystem } from './controls/targetingSystem.ts';
+import { DeepScanner } from './controls/deepScanner.ts';
 import { DockingSystem } from './controls/dockingSystem.ts';
 import { TouchControls } from './controls/touchControls.ts';
 import { MobileDetector } from '../utils/mobileDetector.js';
 import * as THREE from 'three';
 import type { DockingSpaceship, DockingUI, ResourceInventory } from './controls/docking/types.ts';
+import { actionMap, type ControlAction } from './controls/actionMap.ts';
+import { ControlProfiles } from './controls/controlProfiles.ts';
+import type { ReplayAction } from './replay/replayFormat.ts';
+import { jettisonCargo } from './cargo/cargoHold.ts';
+import { mainMessageBus } from '../globals/messageBus.ts';
 
 // Type definitions for dependencies
 type SceneWithCamera = THREE.Scene & {
@@ -27,6 +33,9 @@ type SpaceshipType = DockingSpaceship & {
     strafePower: number;
     mesh: THREE.Object3D;
     scanRange?: number;
+    scannerLevel?: number;
+    fuel: number;
+    setCargoInventory?: (inventory: object) => void;
 };
 
 type PhysicsType = {
@@ -37,9 +46,11 @@ type PhysicsType = {
 type EnvironmentType = {
     stargate: any;
     asteroidBelt?: {
-        removeAsteroid: (asteroid: any) => void;
+        fractureAsteroid: (asteroid: any, cause: 'mined' | 'weapon') => unknown;
     };
     asteroids: any[];
+    getAsteroidByEid?: (eid: number) => any;
+    spaceAnomalies?: any;
     checkAnomalyCollision: (position: THREE.Vector3) => any;
     collectAnomalyOrb: (anomaly: any) => any;
 };
@@ -77,10 +88,10 @@ type GamepadControlsInput = {
         setTargetAsteroid: (target: unknown) => void;
     };
     dockingSystem?: {
-        canDock?: () => boolean;
-        initiateDocking?: () => void;
+        nearStargate?: boolean;
     };
     weaponSystem?: unknown;
+    performAction?: (action: ReplayAction) => void;
 };
 
 interface MinimalInputHandler {
@@ -102,12 +113,14 @@ export class Controls {
     touchControls?: TouchControls;
     miningSystem: MiningSystem;
     targetingSystem: TargetingSystem;
+    deepScanner: DeepScanner;
     dockingSystem: DockingSystem;
     resources: ResourcesType;
     lastAnomalyCheck: number;
     currentAnomaly: AnomalyType | null;
     showingAnomalyNotification: boolean;
     deploymentSystem?: any;
+    controlProfiles: ControlProfiles;
 
     constructor(spaceship: SpaceshipType, physics: PhysicsType, environment: EnvironmentType, ui: UIType) {
         console.log("Initializing controls systems...");
@@ -123,6 +136,9 @@ export class Controls {
         // Set scene reference for components that need it
         this.scene = physics.scene;
         
+        // Load the saved control profile into the shared action map
+        this.controlProfiles = new ControlProfiles();
+        
         // Initialize controls components
         if (!this.isMobile) {
             console.log("Initializing keyboard/mouse controls");
@@ -144,6 +160,7 @@ export class Controls {
         
         this.miningSystem = new MiningSystem(spaceship, this.scene);
         this.targetingSystem = new TargetingSystem(spaceship, this.scene, environment);
+        this.deepScanner = new DeepScanner(spaceship, this.scene, environment, () => this.targetingSystem.getScanRadius());
 
         // Initialize docking system with all needed references
         this.dockingSystem = new DockingSystem(spaceship, environment.stargate, ui);
@@ -151,6 +168,7 @@ export class Controls {
         // Share the resources reference between components - use live reference, not a copy
         this.resources = this.miningSystem.resourceExtraction.resources;
         this.dockingSystem.setResources(this.resources);
+        this.spaceship.setCargoInventory?.(this.resources);
         
         // Pass control systems to touch controls if on mobile
         if (this.isMobile && this.touchControls) {
@@ -212,16 +230,13 @@ export class Controls {
         // Add key event handlers for targeting and mining
         document.addEventListener('keydown', (e: KeyboardEvent) => {
             switch (e.key.toLowerCase()) {
-                case 'e':
-                    // Toggle targeting system (changed from 't' to 'e')
-                    this.targetingSystem.toggleLockOn();
-                    break;
-                case 'q':
-                    // Lock/unlock nearest enemy for combat (lock-on system)
-                    if ((window as any).mainMessageBus) {
-                        (window as any).mainMessageBus.publish('input.lockOnToggle', {});
+                case 'f6':
+                    // Start recording input, or stop and download the recording
+                    if ((window as any).game && (window as any).game.replayManager) {
+                        (window as any).game.replayManager.toggleRecording();
                     }
-                    break;
+                    e.preventDefault();
+                    return;
                 case 'f7':
                     // Decrease gamepad sensitivity
                     if (this.gamepadHandler) {
@@ -230,7 +245,7 @@ export class Controls {
                         this.showSensitivityNotification(this.gamepadHandler.lookSensitivity);
                     }
                     e.preventDefault();
-                    break;
+                    return;
                 case 'f8':
                     // Increase gamepad sensitivity
                     if (this.gamepadHandler) {
@@ -239,7 +254,7 @@ export class Controls {
                         this.showSensitivityNotification(this.gamepadHandler.lookSensitivity);
                     }
                     e.preventDefault();
-                    break;
+                    return;
                 case 'f9':
                     // Toggle gamepad debug display
                     if (this.gamepadHandler) {
@@ -247,66 +262,193 @@ export class Controls {
                         console.log('Gamepad debug display toggled');
                     }
                     e.preventDefault();
-                    break;
-                case 'tab': 
-                    // Cycle through targets if targeting is enabled
-                    if (this.targetingSystem.isLockOnEnabled()) {
-                        const target = this.targetingSystem.cycleLockOnTarget();
-                        if (target) {
-                            this.miningSystem.setTargetAsteroid(target);
-                        }
-                    }
-                    e.preventDefault(); // Prevent tab from changing focus
-                    break;
-                case 'r': // Changed from 'e' to 'r' (an unused key)
-                    // Toggle mining if targeting is enabled and we have a target
-                    if (this.targetingSystem.isLockOnEnabled()) {
-                        const target = this.targetingSystem.getCurrentTarget();
-                        if (target) {
-                            this.miningSystem.setTargetAsteroid(target);
-                            if (this.miningSystem.isMining) {
-                                this.miningSystem.stopMining();
-                            } else {
-                                this.miningSystem.startMining();
-                            }
-                        }
-                    }
-                    break;
-                case 't': 
-                    // Deploy a laser turret
-                    console.log("Deploying laser turret");
-                    if ((window as any).mainMessageBus) {
-                        (window as any).mainMessageBus.publish('input.deployLaser', {});
-                    }
-                    break;
-                case 'g': 
-                    // Pick up an item
-                    console.log("Attempting to pick up an item");
-                    if ((window as any).mainMessageBus) {
-                        (window as any).mainMessageBus.publish('input.pickupInteract', {});
-                    }
-                    break;
+                    return;
+            }
+            
+            // Everything else goes through the rebindable action map
+            const actions = actionMap.getActionsForKey(e.key);
+            actions.forEach(action => this.handleKeyAction(action, e.repeat));
+            
+            // Keep keys like Tab from moving focus, but let letters reach text fields
+            if (actions.length > 0 && e.key.length > 1) {
+                e.preventDefault();
             }
         });
         
-        // Add mouse click for mining
+        document.addEventListener('keyup', (e: KeyboardEvent) => {
+            // Fire can be bound to a key as well as a mouse button
+            if (actionMap.isKeyBound(e.key, 'fire')) {
+                this.triggerAction('fireStop');
+            }
+        });
+        
+        // Add mouse click for firing
         document.addEventListener('mousedown', (e: MouseEvent) => {
-            if (e.button === 0 && this.inputHandler.isLocked()) { // Left mouse button
+            if (actionMap.isKeyBound(`mouse${e.button}`, 'fire') && this.inputHandler.isLocked()) {
                 // Fire particle cannon
-                if ((window as any).game && (window as any).game.combat) {
-                    (window as any).game.combat.setFiring(true);
-                }
+                this.triggerAction('fireStart');
             }
         });
         
-        // Add mouseup to stop mining when button is released
+        // Add mouseup to stop firing when button is released
         document.addEventListener('mouseup', (e: MouseEvent) => {
-            if (e.button === 0) { // Left mouse button
+            if (actionMap.isKeyBound(`mouse${e.button}`, 'fire')) {
                 // Stop firing
+                this.triggerAction('fireStop');
+            }
+        });
+    }
+    
+    // Keyboard side of the action map. Movement is handled by InputHandler
+    // and docking by the docking UI.
+    handleKeyAction(action: ControlAction, isRepeat: boolean): void {
+        switch (action) {
+            case 'fire':
+                if (!isRepeat) this.triggerAction('fireStart');
+                break;
+            case 'toggleLockOn':
+            case 'lockOnEnemy':
+            case 'cycleTarget':
+            case 'toggleMining':
+            case 'pickup':
+            case 'turretOrders':
+            case 'jettison':
+            case 'switchWeapon':
+            case 'deepScan':
+                this.triggerAction(action);
+                break;
+            case 'deployTurret':
+                // Deploy a laser turret
+                console.log("Deploying laser turret");
+                this.triggerAction('deployLaser');
+                break;
+            case 'toggleMute':
+                if ((window as any).game && (window as any).game.audio) {
+                    (window as any).game.audio.toggleMute();
+                }
+                break;
+            case 'pause':
+                if ((window as any).game && (window as any).game.ui && (window as any).game.ui.togglePauseMenu) {
+                    (window as any).game.ui.togglePauseMenu();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Perform an action from live input, recording it if a replay is being recorded.
+     * Live input is ignored while a replay is playing.
+     */
+    triggerAction(action: ReplayAction): void {
+        const replayManager = (window as any).game && (window as any).game.replayManager;
+        if (replayManager) {
+            if (replayManager.isReplaying()) return;
+            replayManager.recordAction(action);
+        }
+        this.performAction(action);
+    }
+    
+    /**
+     * Perform a discrete player action. Shared by live input and replay playback.
+     */
+    performAction(action: ReplayAction): void {
+        switch (action) {
+            case 'toggleLockOn':
+                this.targetingSystem.toggleLockOn();
+                break;
+            case 'lockOnEnemy':
+                if ((window as any).mainMessageBus) {
+                    (window as any).mainMessageBus.publish('input.lockOnToggle', {});
+                }
+                break;
+            case 'cycleTarget':
+                if (this.targetingSystem.isLockOnEnabled()) {
+                    const target = this.targetingSystem.cycleLockOnTarget();
+                    if (target) {
+                        this.miningSystem.setTargetAsteroid(target);
+                    }
+                }
+                break;
+            case 'toggleMining':
+                if (this.targetingSystem.isLockOnEnabled()) {
+                    const target = this.targetingSystem.getCurrentTarget();
+                    if (target) {
+                        this.miningSystem.setTargetAsteroid(target);
+                        if (this.miningSystem.isMining) {
+                            this.miningSystem.stopMining();
+                        } else {
+                            this.miningSystem.startMining();
+                        }
+                    }
+                }
+                break;
+            case 'deployLaser':
+                if ((window as any).mainMessageBus) {
+                    (window as any).mainMessageBus.publish('input.deployLaser', {});
+                }
+                break;
+            case 'pickup':
+                if ((window as any).mainMessageBus) {
+                    (window as any).mainMessageBus.publish('input.pickupInteract', {});
+                }
+                break;
+            case 'turretOrders':
+                if ((window as any).mainMessageBus) {
+                    (window as any).mainMessageBus.publish('input.turretOrders', {});
+                }
+                break;
+            case 'jettison':
+                if (!this.spaceship.isDocked) {
+                    this.jettison();
+                }
+                break;
+            case 'switchWeapon':
+                this.switchWeapon();
+                break;
+            case 'deepScan':
+                this.deepScanner.pulse();
+                break;
+            case 'fireStart':
+            case 'fireStop':
                 if ((window as any).game && (window as any).game.combat) {
-                    (window as any).game.combat.setFiring(false);
+                    (window as any).game.combat.setFiring(action === 'fireStart');
                 }
-            }
+                break;
+            case 'dock':
+                // Docking is recorded when it happens, so there is no proximity check here
+                if (!this.spaceship.isDocked) {
+                    this.dockWithStargate();
+                }
+                break;
+            case 'undock':
+                if (this.spaceship.isDocked && this.dockingSystem) {
+                    this.dockingSystem.undockFromStargate();
+                }
+                break;
+        }
+    }
+    
+    // Dump the least valuable cargo to make room in the hold
+    jettison(): void {
+        const dumped = jettisonCargo(this.resources);
+        mainMessageBus.publish('ui.notification', {
+            message: dumped
+                ? `Jettisoned ${dumped.amount} ${dumped.item.toUpperCase()}`
+                : 'Cargo hold is empty',
+            type: dumped ? 'warning' : 'info',
+            duration: 2000
+        });
+    }
+    
+    // Fire from the other hardpoint's weapon
+    switchWeapon(): void {
+        const combat = (window as any).game && (window as any).game.combat;
+        const weapon = combat ? combat.switchWeapon() : null;
+        if (!weapon) return;
+        mainMessageBus.publish('ui.notification', {
+            message: `Weapon: ${weapon.name}`,
+            type: 'info',
+            duration: 1500
         });
     }
     
@@ -516,6 +658,8 @@ export class Controls {
             if (this.dockingSystem) {
                 this.dockingSystem.update();
             }
+            // Scan readings don't survive a stop at the station
+            this.deepScanner.clearMarks();
             return;
         }
         
@@ -529,6 +673,8 @@ export class Controls {
             this.targetingSystem.update();
         }
         
+        this.deepScanner.update(deltaTime);
+        
         if (this.miningSystem) {
             // Pass deltaTime to ensure frame-rate independent mining
             this.miningSystem.update(deltaTime);
@@ -536,8 +682,8 @@ export class Controls {
             // Check if mining has destroyed an asteroid
             const destroyedAsteroid = this.miningSystem.getLastDestroyedAsteroid();
             if (destroyedAsteroid && this.environment && this.environment.asteroidBelt) {
-                // Remove the asteroid from the environment
-                this.environment.asteroidBelt.removeAsteroid(destroyedAsteroid);
+                // Crack the asteroid into fragments, which replace it in the environment
+                this.environment.asteroidBelt.fractureAsteroid(destroyedAsteroid, 'mined');
             }
         }
         
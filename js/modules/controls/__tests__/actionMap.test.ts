@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest'
+import {
+  ActionMap,
+  createDefaultProfile,
+  createLeftHandedProfile,
+  formatBinding,
+  validateProfile,
+} from '../actionMap'
+import { ControlProfiles } from '../controlProfiles'
+
+function memoryStorage(initial: Record<string, any> | null = null) {
+  let stored = initial
+  return {
+    loadControlProfiles: () => stored,
+    saveControlProfiles: (profiles: Record<string, any>) => {
+      stored = JSON.parse(JSON.stringify(profiles))
+      return true
+    },
+    get stored() {
+      return stored
+    },
+  }
+}
+
+describe('Action Map', () => {
+  it('should resolve default keys and buttons to actions', () => {
+    const map = new ActionMap()
+
+    expect(map.getActionsForKey('W')).toEqual(['thrustForward'])
+    expect(map.getActionsForKey('Shift')).toEqual(['boost'])
+    expect(map.getActionsForKey('q')).toEqual(['lockOnEnemy', 'dock'])
+    expect(map.getActionsForButton(0)).toEqual(['toggleLockOn'])
+    expect(map.getActionsForButton(12)).toEqual(['deployTurret'])
+    expect(map.isKeyBound('mouse0', 'fire')).toBe(true)
+  })
+
+  it('should move a conflicting binding to the new action', () => {
+    const map = new ActionMap(createDefaultProfile())
+
+    expect(map.findConflicts('keyboard', 'toggleMining', 'e')).toEqual(['toggleLockOn'])
+    expect(map.bind('keyboard', 'toggleMining', 'E')).toEqual(['toggleLockOn'])
+    expect(map.getActionsForKey('e')).toEqual(['toggleMining'])
+    expect(map.getKeys('toggleLockOn')).toEqual([])
+    expect(map.getActionsForKey('r')).toEqual([])
+  })
+
+  it('should allow docking and enemy lock-on to share a key', () => {
+    const map = new ActionMap(createDefaultProfile())
+
+    expect(map.findConflicts('keyboard', 'dock', 'q')).toEqual([])
+    expect(map.bind('keyboard', 'lockOnEnemy', 'x')).toEqual([])
+    expect(map.bind('keyboard', 'dock', 'x')).toEqual([])
+    expect(map.getActionsForKey('x')).toEqual(['lockOnEnemy', 'dock'])
+  })
+
+  it('should rebind and clear gamepad buttons', () => {
+    const map = new ActionMap(createDefaultProfile())
+
+    expect(map.bind('gamepad', 'pause', 0)).toEqual(['toggleLockOn'])
+    expect(map.getActionsForButton(0)).toEqual(['pause'])
+    expect(map.getActionsForButton(9)).toEqual([])
+
+    map.clear('gamepad', 'deployTurret')
+    expect(map.getActionsForButton(3)).toEqual([])
+  })
+
+  it('should fill in missing actions when validating a stored profile', () => {
+    const profile = validateProfile({
+      name: ' AZERTY ',
+      keyboard: { thrustForward: ['z'], strafeLeft: ['q', 42] },
+      gamepad: { fire: [6, -1] },
+      swapSticks: 'yes',
+    })
+
+    expect(profile!.name).toBe('AZERTY')
+    expect(profile!.keyboard.thrustForward).toEqual(['z'])
+    expect(profile!.keyboard.strafeLeft).toEqual(['q'])
+    expect(profile!.keyboard.boost).toEqual(['shift'])
+    expect(profile!.gamepad.fire).toEqual([6])
+    expect(profile!.swapSticks).toBe(false)
+    expect(validateProfile({ name: '', keyboard: {}, gamepad: {} })).toBeNull()
+  })
+
+  it('should format bindings for display', () => {
+    expect(formatBinding('keyboard', ' ')).toBe('SPACE')
+    expect(formatBinding('keyboard', 'mouse0')).toBe('CLICK')
+    expect(formatBinding('keyboard', 'arrowup')).toBe('UP ARROW')
+    expect(formatBinding('gamepad', 7)).toBe('RT')
+    expect(formatBinding('gamepad', 20)).toBe('BUTTON 20')
+  })
+})
+
+describe('Control Profiles', () => {
+  it('should start with the default and left-handed profiles', () => {
+    const map = new ActionMap()
+    const profiles = new ControlProfiles(memoryStorage(), map)
+
+    expect(profiles.profiles.map(profile => profile.name)).toEqual(['Default', 'Left-Handed'])
+    expect(profiles.activeName).toBe('Default')
+
+    profiles.select('Left-Handed')
+    expect(map.getActionsForKey('i')).toEqual(['thrustForward'])
+    expect(map.profile.swapSticks).toBe(true)
+  })
+
+  it('should save and reload named profiles', () => {
+    const storage = memoryStorage()
+    const profiles = new ControlProfiles(storage, new ActionMap())
+    profiles.create('AZERTY')
+    profiles.actionMap.bind('keyboard', 'thrustForward', 'z')
+    profiles.save()
+
+    const map = new ActionMap()
+    const reloaded = new ControlProfiles(storage, map)
+    expect(reloaded.activeName).toBe('AZERTY')
+    expect(map.getActionsForKey('z')).toEqual(['thrustForward'])
+    expect(reloaded.getProfile('Default')!.keyboard.thrustForward).toEqual(['w'])
+  })
+
+  it('should reject duplicate names and keep at least one profile', () => {
+    const profiles = new ControlProfiles(memoryStorage(), new ActionMap())
+
+    expect(profiles.create('Default')).toBeNull()
+    expect(profiles.create('   ')).toBeNull()
+    expect(profiles.remove('Left-Handed')).toBe(true)
+    expect(profiles.remove('Default')).toBe(false)
+  })
+
+  it('should reset the active profile to its defaults', () => {
+    const map = new ActionMap()
+    const profiles = new ControlProfiles(memoryStorage(), map)
+    map.bind('keyboard', 'boost', 'b')
+
+    profiles.resetActive()
+    expect(map.getActionsForKey('shift')).toEqual(['boost'])
+    expect(profiles.getActive()).toEqual(createDefaultProfile())
+    expect(createLeftHandedProfile().keyboard.fire).toEqual(['mouse0'])
+  })
+})
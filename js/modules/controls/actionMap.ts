@@ -0,0 +1,358 @@
+// actionMap.ts - Keyboard and gamepad bindings resolved to named control actions
+//
+// Keyboard bindings are lowercased KeyboardEvent.key values, plus 'mouse0',
+// 'mouse1', ... for mouse buttons. Gamepad bindings are standard-mapping
+// button indices. Analog sticks are not rebindable, but can be swapped.
+
+export type ControlAction =
+    | 'thrustForward'
+    | 'thrustBackward'
+    | 'strafeLeft'
+    | 'strafeRight'
+    | 'boost'
+    | 'fire'
+    | 'switchWeapon'
+    | 'toggleLockOn'
+    | 'lockOnEnemy'
+    | 'cycleTarget'
+    | 'toggleMining'
+    | 'deepScan'
+    | 'dock'
+    | 'deployTurret'
+    | 'pickup'
+    | 'turretOrders'
+    | 'jettison'
+    | 'toggleMute'
+    | 'pause';
+
+export interface ControlActionInfo {
+    action: ControlAction;
+    label: string;
+}
+
+// Display order for the controls menu
+export const CONTROL_ACTIONS: ControlActionInfo[] = [
+    { action: 'thrustForward', label: 'Forward Thrust' },
+    { action: 'thrustBackward', label: 'Backward Thrust' },
+    { action: 'strafeLeft', label: 'Left Thrust' },
+    { action: 'strafeRight', label: 'Right Thrust' },
+    { action: 'boost', label: 'Boost' },
+    { action: 'fire', label: 'Fire Weapon' },
+    { action: 'switchWeapon', label: 'Switch Weapon' },
+    { action: 'toggleLockOn', label: 'Target Lock-On' },
+    { action: 'lockOnEnemy', label: 'Lock Nearest Enemy' },
+    { action: 'cycleTarget', label: 'Cycle Targets' },
+    { action: 'toggleMining', label: 'Toggle Mining' },
+    { action: 'deepScan', label: 'Deep Scan' },
+    { action: 'dock', label: 'Dock with Stargate' },
+    { action: 'deployTurret', label: 'Deploy Laser Turret' },
+    { action: 'pickup', label: 'Recall Turret' },
+    { action: 'turretOrders', label: 'Cycle Turret Orders' },
+    { action: 'jettison', label: 'Jettison Cargo' },
+    { action: 'toggleMute', label: 'Toggle Mute' },
+    { action: 'pause', label: 'Pause' }
+];
+
+const ACTION_NAMES = CONTROL_ACTIONS.map(info => info.action);
+
+// inputIntent bits read by Physics
+export const ACTION_INTENT_BITS: Partial<Record<ControlAction, number>> = {
+    thrustForward: 1,
+    thrustBackward: 2,
+    strafeLeft: 4,
+    strafeRight: 8,
+    boost: 16
+};
+
+// Actions that may share a binding because they never apply at the same
+// time: docking only works next to the stargate, where there are no enemies
+const COMPATIBLE_ACTIONS: [ControlAction, ControlAction][] = [
+    ['dock', 'lockOnEnemy']
+];
+
+export interface ControlProfile {
+    name: string;
+    keyboard: Record<ControlAction, string[]>;
+    gamepad: Record<ControlAction, number[]>;
+    // Move with the right stick and look with the left
+    swapSticks: boolean;
+}
+
+export type BindingDevice = 'keyboard' | 'gamepad';
+
+export const DEFAULT_PROFILE_NAME = 'Default';
+export const LEFT_HANDED_PROFILE_NAME = 'Left-Handed';
+
+const DEFAULT_KEYBOARD: Record<ControlAction, string[]> = {
+    thrustForward: ['w'],
+    thrustBackward: ['s'],
+    strafeLeft: ['a'],
+    strafeRight: ['d'],
+    boost: ['shift'],
+    fire: ['mouse0'],
+    switchWeapon: ['f'],
+    toggleLockOn: ['e'],
+    lockOnEnemy: ['q'],
+    cycleTarget: ['tab'],
+    toggleMining: ['r'],
+    deepScan: ['c'],
+    dock: ['q'],
+    deployTurret: ['t'],
+    pickup: ['g'],
+    turretOrders: ['v'],
+    jettison: ['j'],
+    toggleMute: ['m'],
+    pause: []
+};
+
+// Right hand on the keyboard, mouse in the left hand
+const LEFT_HANDED_KEYBOARD: Record<ControlAction, string[]> = {
+    thrustForward: ['i'],
+    thrustBackward: ['k'],
+    strafeLeft: ['j'],
+    strafeRight: ['l'],
+    boost: [' '],
+    fire: ['mouse0'],
+    switchWeapon: [';'],
+    toggleLockOn: ['o'],
+    lockOnEnemy: ['u'],
+    cycleTarget: ['enter'],
+    toggleMining: ['p'],
+    deepScan: ['/'],
+    dock: ['u'],
+    deployTurret: ['y'],
+    pickup: ['h'],
+    turretOrders: ['.'],
+    jettison: ['n'],
+    toggleMute: ['m'],
+    pause: []
+};
+
+const DEFAULT_GAMEPAD: Record<ControlAction, number[]> = {
+    thrustForward: [],
+    thrustBackward: [],
+    strafeLeft: [],
+    strafeRight: [],
+    boost: [10],            // L3
+    fire: [7],              // RT
+    switchWeapon: [15],     // D-pad right
+    toggleLockOn: [0],      // A
+    lockOnEnemy: [],
+    cycleTarget: [4, 5],    // LB, RB
+    toggleMining: [1],      // B
+    deepScan: [11],         // R3
+    dock: [2],              // X
+    deployTurret: [3, 12],  // Y, D-pad up
+    pickup: [],
+    turretOrders: [14],     // D-pad left
+    jettison: [13],         // D-pad down
+    toggleMute: [],
+    pause: [9]              // Start
+};
+
+// Standard mapping button names, used for display
+export const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'BACK', 'START',
+    'L3', 'R3', 'D-UP', 'D-DOWN', 'D-LEFT', 'D-RIGHT', 'HOME'
+];
+
+function cloneBindings<T>(bindings: Record<ControlAction, T[]>): Record<ControlAction, T[]> {
+    const copy = {} as Record<ControlAction, T[]>;
+    for (const action of ACTION_NAMES) {
+        copy[action] = [...(bindings[action] || [])];
+    }
+    return copy;
+}
+
+export function createDefaultProfile(name: string = DEFAULT_PROFILE_NAME): ControlProfile {
+    return {
+        name,
+        keyboard: cloneBindings(DEFAULT_KEYBOARD),
+        gamepad: cloneBindings(DEFAULT_GAMEPAD),
+        swapSticks: false
+    };
+}
+
+export function createLeftHandedProfile(name: string = LEFT_HANDED_PROFILE_NAME): ControlProfile {
+    return {
+        name,
+        keyboard: cloneBindings(LEFT_HANDED_KEYBOARD),
+        gamepad: cloneBindings(DEFAULT_GAMEPAD),
+        swapSticks: true
+    };
+}
+
+export function cloneProfile(profile: ControlProfile, name: string = profile.name): ControlProfile {
+    return {
+        name,
+        keyboard: cloneBindings(profile.keyboard),
+        gamepad: cloneBindings(profile.gamepad),
+        swapSticks: profile.swapSticks
+    };
+}
+
+/**
+ * Normalize a KeyboardEvent.key value for binding lookups
+ */
+export function normalizeKey(key: string): string {
+    return key.toLowerCase();
+}
+
+/**
+ * Binding label for the controls menu
+ */
+export function formatBinding(device: BindingDevice, binding: string | number): string {
+    if (device === 'gamepad') {
+        const index = binding as number;
+        return GAMEPAD_BUTTON_NAMES[index] || `BUTTON ${index}`;
+    }
+
+    const key = binding as string;
+    if (key === ' ') return 'SPACE';
+    if (key.startsWith('mouse')) {
+        const button = Number(key.slice(5));
+        return button === 0 ? 'CLICK' : button === 2 ? 'RIGHT CLICK' : `MOUSE ${button + 1}`;
+    }
+    if (key.startsWith('arrow')) return key.slice(5).toUpperCase() + ' ARROW';
+    return key.toUpperCase();
+}
+
+function areCompatible(a: ControlAction, b: ControlAction): boolean {
+    return COMPATIBLE_ACTIONS.some(([first, second]) =>
+        (first === a && second === b) || (first === b && second === a));
+}
+
+/**
+ * Validate a stored profile, filling in actions added since it was saved
+ */
+export function validateProfile(raw: unknown): ControlProfile | null {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) return null;
+
+    const source = raw as Record<string, any>;
+    if (typeof source.name !== 'string' || !source.name.trim()) return null;
+    if (typeof source.keyboard !== 'object' || source.keyboard === null ||
+        typeof source.gamepad !== 'object' || source.gamepad === null) {
+        return null;
+    }
+
+    const profile = createDefaultProfile(source.name.trim());
+    for (const action of ACTION_NAMES) {
+        const keys = source.keyboard[action];
+        if (Array.isArray(keys)) {
+            profile.keyboard[action] = keys.filter((key: unknown) => typeof key === 'string' && key.length > 0);
+        }
+        const buttons = source.gamepad[action];
+        if (Array.isArray(buttons)) {
+            profile.gamepad[action] = buttons.filter((button: unknown) => Number.isInteger(button) && (button as number) >= 0);
+        }
+    }
+    profile.swapSticks = source.swapSticks === true;
+    return profile;
+}
+
+/**
+ * Resolves raw input to actions for the active profile
+ */
+export class ActionMap {
+    profile: ControlProfile;
+    private keyActions: Map<string, ControlAction[]>;
+    private buttonActions: Map<number, ControlAction[]>;
+
+    constructor(profile: ControlProfile = createDefaultProfile()) {
+        this.profile = profile;
+        this.keyActions = new Map();
+        this.buttonActions = new Map();
+        this.rebuild();
+    }
+
+    setProfile(profile: ControlProfile): void {
+        this.profile = profile;
+        this.rebuild();
+    }
+
+    getActionsForKey(key: string): ControlAction[] {
+        return this.keyActions.get(normalizeKey(key)) || [];
+    }
+
+    getActionsForButton(button: number): ControlAction[] {
+        return this.buttonActions.get(button) || [];
+    }
+
+    isKeyBound(key: string, action: ControlAction): boolean {
+        return this.getActionsForKey(key).includes(action);
+    }
+
+    getKeys(action: ControlAction): string[] {
+        return this.profile.keyboard[action];
+    }
+
+    getButtons(action: ControlAction): number[] {
+        return this.profile.gamepad[action];
+    }
+
+    /**
+     * Actions that already use a binding and cannot share it with the given action
+     */
+    findConflicts(device: BindingDevice, action: ControlAction, binding: string | number): ControlAction[] {
+        const bound = device === 'keyboard'
+            ? this.getActionsForKey(binding as string)
+            : this.getActionsForButton(binding as number);
+        return bound.filter(other => other !== action && !areCompatible(action, other));
+    }
+
+    /**
+     * Bind an input to an action, replacing its existing bindings on that device.
+     * Conflicting actions lose the binding.
+     * @returns The actions the binding was taken from
+     */
+    bind(device: BindingDevice, action: ControlAction, binding: string | number): ControlAction[] {
+        const conflicts = this.findConflicts(device, action, binding);
+
+        if (device === 'keyboard') {
+            const key = normalizeKey(binding as string);
+            conflicts.forEach(other => {
+                this.profile.keyboard[other] = this.profile.keyboard[other].filter(existing => existing !== key);
+            });
+            this.profile.keyboard[action] = [key];
+        } else {
+            const button = binding as number;
+            conflicts.forEach(other => {
+                this.profile.gamepad[other] = this.profile.gamepad[other].filter(existing => existing !== button);
+            });
+            this.profile.gamepad[action] = [button];
+        }
+
+        this.rebuild();
+        return conflicts;
+    }
+
+    clear(device: BindingDevice, action: ControlAction): void {
+        if (device === 'keyboard') {
+            this.profile.keyboard[action] = [];
+        } else {
+            this.profile.gamepad[action] = [];
+        }
+        this.rebuild();
+    }
+
+    private rebuild(): void {
+        this.keyActions.clear();
+        this.buttonActions.clear();
+
+        for (const action of ACTION_NAMES) {
+            for (const key of this.profile.keyboard[action]) {
+                const actions = this.keyActions.get(key) || [];
+                actions.push(action);
+                this.keyActions.set(key, actions);
+            }
+            for (const button of this.profile.gamepad[action]) {
+                const actions = this.buttonActions.get(button) || [];
+                actions.push(action);
+                this.buttonActions.set(button, actions);
+            }
+        }
+    }
+}
+
+// Shared by every input path
+export const actionMap = new ActionMap();
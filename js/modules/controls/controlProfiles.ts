@@ -0,0 +1,126 @@
+// controlProfiles.ts - Named control profiles, stored through the settings persistence module
+
+import { SettingsPersistence } from '../ui/components/settings/persistence.ts';
+import {
+    actionMap as sharedActionMap,
+    cloneProfile,
+    createDefaultProfile,
+    createLeftHandedProfile,
+    validateProfile,
+    DEFAULT_PROFILE_NAME,
+    LEFT_HANDED_PROFILE_NAME,
+    type ActionMap,
+    type ControlProfile
+} from './actionMap.ts';
+
+type ProfileStorage = {
+    loadControlProfiles: () => Record<string, any> | null;
+    saveControlProfiles: (profiles: Record<string, any>) => boolean;
+};
+
+const MAX_PROFILE_NAME_LENGTH = 24;
+
+export class ControlProfiles {
+    storage: ProfileStorage;
+    actionMap: ActionMap;
+    profiles: ControlProfile[];
+    activeName: string;
+
+    constructor(storage: ProfileStorage = new SettingsPersistence(), actionMap: ActionMap = sharedActionMap) {
+        this.storage = storage;
+        this.actionMap = actionMap;
+        this.profiles = [];
+        this.activeName = DEFAULT_PROFILE_NAME;
+        this.load();
+    }
+
+    load(): void {
+        const saved = this.storage.loadControlProfiles();
+        const profiles = saved && Array.isArray(saved.profiles)
+            ? saved.profiles.map(validateProfile).filter((profile: ControlProfile | null): profile is ControlProfile => profile !== null)
+            : [];
+
+        this.profiles = profiles.length > 0 ? profiles : [createDefaultProfile(), createLeftHandedProfile()];
+        this.activeName = saved && typeof saved.active === 'string' && this.getProfile(saved.active)
+            ? saved.active
+            : this.profiles[0].name;
+
+        this.actionMap.setProfile(this.getActive());
+    }
+
+    save(): boolean {
+        return this.storage.saveControlProfiles({
+            active: this.activeName,
+            profiles: this.profiles
+        });
+    }
+
+    getProfile(name: string): ControlProfile | null {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    getActive(): ControlProfile {
+        return this.getProfile(this.activeName) || this.profiles[0];
+    }
+
+    /**
+     * Switch to a profile by name
+     * @returns True if the profile exists
+     */
+    select(name: string): boolean {
+        const profile = this.getProfile(name);
+        if (!profile) return false;
+
+        this.activeName = name;
+        this.actionMap.setProfile(profile);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Create a profile from a copy of the active one and switch to it
+     * @returns The new profile, or null if the name is empty or taken
+     */
+    create(name: string): ControlProfile | null {
+        const trimmed = name.trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+        if (!trimmed || this.getProfile(trimmed)) return null;
+
+        const profile = cloneProfile(this.getActive(), trimmed);
+        this.profiles.push(profile);
+        this.select(trimmed);
+        return profile;
+    }
+
+    /**
+     * Delete a profile. The last profile cannot be deleted.
+     */
+    remove(name: string): boolean {
+        if (this.profiles.length <= 1 || !this.getProfile(name)) return false;
+
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        if (this.activeName === name) {
+            this.activeName = this.profiles[0].name;
+            this.actionMap.setProfile(this.profiles[0]);
+        }
+        this.save();
+        return true;
+    }
+
+    /**
+     * Restore the active profile's default bindings, keeping its name
+     */
+    resetActive(): void {
+        const active = this.getActive();
+        const defaults = active.name === LEFT_HANDED_PROFILE_NAME
+            ? createLeftHandedProfile(active.name)
+            : createDefaultProfile(active.name);
+        Object.assign(active, defaults);
+        this.actionMap.setProfile(active);
+        this.save();
+    }
+
+    setSwapSticks(swapSticks: boolean): void {
+        this.getActive().swapSticks = swapSticks;
+        this.save();
+    }
+}
@@ -0,0 +1,271 @@
+// deepScanner.ts - Active scanner pulse that reads asteroid composition and hidden deposits
+
+import * as THREE from 'three';
+import { EVENT } from '../../core/events.ts';
+import { getSpatialIndex } from '../../ecs/systems/index';
+import { SPATIAL_LAYER } from '../../ecs/spatialGrid';
+import { mainMessageBus } from '../../globals/messageBus.ts';
+import {
+    ANOMALY_SCAN_LEVEL,
+    ANOMALY_SCAN_RANGE,
+    DEEP_SCAN_COOLDOWN,
+    DEEP_SCAN_ENERGY_COST,
+    DEEP_SCAN_FUEL_COST,
+    DEEP_SCAN_MARK_DURATION,
+    DEEP_SCAN_RANGE_FACTOR,
+    formatReading,
+    readAsteroid,
+    type ScanRarity,
+    type ScanReading,
+    type ScannedAsteroid
+} from '../scanning/deepScan.ts';
+import { setRadarScanMarks } from '../ui/radarDisplay.ts';
+import { setScanOverlayMarks } from '../ui/scanOverlay.ts';
+
+type ScanAsteroid = ScannedAsteroid & {
+    eid?: number;
+    minable: boolean;
+    mesh: THREE.Object3D;
+};
+
+type ScanAnomaly = {
+    type: string;
+    position: THREE.Vector3;
+};
+
+type ScanSpaceship = {
+    mesh: THREE.Object3D;
+    isDocked: boolean;
+    fuel: number;
+    scannerLevel?: number;
+    weapons?: { energy: number };
+};
+
+type ScanEnvironment = {
+    asteroids: ScanAsteroid[];
+    getAsteroidByEid?: (eid: number) => ScanAsteroid | null;
+    spaceAnomalies?: { anomalies: ScanAnomaly[] } | null;
+};
+
+interface AsteroidMark {
+    asteroid: ScanAsteroid;
+    reading: ScanReading;
+}
+
+const RARITY_COLORS: Record<ScanRarity, string> = {
+    common: '#a0a0a0',
+    uncommon: '#ffcc00',
+    rare: '#66ffff',
+    exceptional: '#ff66ff'
+};
+const ANOMALY_COLOR = '#b366ff';
+const PULSE_DURATION = 1.2; // Seconds for the ring to reach full radius
+
+export class DeepScanner {
+    spaceship: ScanSpaceship;
+    scene: THREE.Scene;
+    environment: ScanEnvironment;
+    getScanRadius: () => number;
+    cooldown: number;
+    markTimer: number;
+    asteroidMarks: AsteroidMark[];
+    anomalyMarks: ScanAnomaly[];
+    pulseRing: THREE.Mesh | null;
+    pulseAge: number;
+    pulseRadius: number;
+
+    /**
+     * @param getScanRadius Targeting scan radius, which already accounts for scanner upgrades and ion storms
+     */
+    constructor(spaceship: ScanSpaceship, scene: THREE.Scene, environment: ScanEnvironment, getScanRadius: () => number) {
+        this.spaceship = spaceship;
+        this.scene = scene;
+        this.environment = environment;
+        this.getScanRadius = getScanRadius;
+        this.cooldown = 0;
+        this.markTimer = 0;
+        this.asteroidMarks = [];
+        this.anomalyMarks = [];
+        this.pulseRing = null;
+        this.pulseAge = 0;
+        this.pulseRadius = 0;
+    }
+
+    /**
+     * Fire a scan pulse, paid for with weapon capacitor energy and fuel
+     * @returns Whether the pulse went out
+     */
+    pulse(): boolean {
+        if (this.spaceship.isDocked) return false;
+
+        if (this.cooldown > 0) {
+            this.notify('Deep scanner recharging');
+            return false;
+        }
+
+        const capacitor = this.spaceship.weapons;
+        if (!capacitor || capacitor.energy < DEEP_SCAN_ENERGY_COST) {
+            this.notify('Not enough energy for a deep scan');
+            return false;
+        }
+        if (this.spaceship.fuel < DEEP_SCAN_FUEL_COST) {
+            this.notify('Not enough fuel for a deep scan');
+            return false;
+        }
+
+        capacitor.energy -= DEEP_SCAN_ENERGY_COST;
+        this.spaceship.fuel -= DEEP_SCAN_FUEL_COST;
+        this.cooldown = DEEP_SCAN_COOLDOWN;
+
+        const scannerLevel = this.spaceship.scannerLevel || 1;
+        const radius = this.getScanRadius() * DEEP_SCAN_RANGE_FACTOR;
+        const shipPosition = this.spaceship.mesh.position;
+
+        // Readings nearest first, so the overlay labels the closest rocks
+        this.asteroidMarks = this.findAsteroids(shipPosition, radius)
+            .sort((a, b) => shipPosition.distanceToSquared(a.mesh.position) - shipPosition.distanceToSquared(b.mesh.position))
+            .map(asteroid => ({ asteroid, reading: readAsteroid(asteroid, scannerLevel) }));
+
+        const anomalies = scannerLevel >= ANOMALY_SCAN_LEVEL && this.environment.spaceAnomalies
+            ? this.environment.spaceAnomalies.anomalies
+            : [];
+        this.anomalyMarks = anomalies.filter(anomaly => shipPosition.distanceTo(anomaly.position) <= ANOMALY_SCAN_RANGE);
+
+        this.markTimer = DEEP_SCAN_MARK_DURATION;
+        this.showMarks();
+        this.startPulseRing(radius);
+
+        const deposits = this.asteroidMarks.filter(mark => mark.reading.deposit).length;
+        mainMessageBus.publish(EVENT.SCAN_PULSE, {
+            asteroids: this.asteroidMarks.length,
+            deposits,
+            anomalies: this.anomalyMarks.length
+        });
+
+        let summary = `Deep scan: ${this.asteroidMarks.length} asteroids`;
+        if (deposits > 0) summary += `, ${deposits} hidden ${deposits === 1 ? 'deposit' : 'deposits'}`;
+        if (this.anomalyMarks.length > 0) summary += `, ${this.anomalyMarks.length} anomalies located`;
+        mainMessageBus.publish('ui.notification', { message: summary, type: 'info', duration: 3000 });
+
+        const audio = (window as any).game && (window as any).game.audio;
+        if (audio) audio.playSound('phaserUp');
+
+        return true;
+    }
+
+    /**
+     * Minable asteroids in range. A deep scan sees through rock, so there is no line of sight check.
+     */
+    private findAsteroids(shipPosition: THREE.Vector3, radius: number): ScanAsteroid[] {
+        const isInRange = (asteroid: ScanAsteroid): boolean =>
+            asteroid.minable && asteroid.mesh.visible && shipPosition.distanceTo(asteroid.mesh.position) <= radius;
+
+        if (!this.environment.getAsteroidByEid) {
+            return this.environment.asteroids.filter(isInRange);
+        }
+
+        const found: ScanAsteroid[] = [];
+        const candidates = getSpatialIndex().queryRadius(shipPosition.x, shipPosition.y, shipPosition.z, radius, SPATIAL_LAYER.ASTEROID);
+        for (const eid of candidates) {
+            const asteroid = this.environment.getAsteroidByEid(eid);
+            if (asteroid && isInRange(asteroid)) found.push(asteroid);
+        }
+        return found;
+    }
+
+    update(deltaTime: number): void {
+        this.cooldown = Math.max(0, this.cooldown - deltaTime);
+        this.updatePulseRing(deltaTime);
+
+        if (this.markTimer <= 0) return;
+        this.markTimer -= deltaTime;
+        if (this.markTimer <= 0) {
+            this.clearMarks();
+            return;
+        }
+
+        // Drop marks for asteroids mined out, shattered or left behind in another system
+        const asteroidCount = this.asteroidMarks.length;
+        const anomalyCount = this.anomalyMarks.length;
+        this.asteroidMarks = this.asteroidMarks.filter(mark => mark.asteroid.mesh.parent);
+        const anomalies = this.environment.spaceAnomalies ? this.environment.spaceAnomalies.anomalies : [];
+        this.anomalyMarks = this.anomalyMarks.filter(anomaly => anomalies.includes(anomaly));
+
+        if (this.asteroidMarks.length !== asteroidCount || this.anomalyMarks.length !== anomalyCount) {
+            this.showMarks();
+        }
+    }
+
+    private showMarks(): void {
+        setRadarScanMarks([
+            ...this.asteroidMarks.map(mark => ({
+                position: mark.asteroid.mesh.position,
+                color: RARITY_COLORS[mark.reading.rarity]
+            })),
+            ...this.anomalyMarks.map(anomaly => ({ position: anomaly.position, color: ANOMALY_COLOR, pinned: true }))
+        ]);
+
+        // Anomalies first: there are few of them and they are the furthest away
+        setScanOverlayMarks([
+            ...this.anomalyMarks.map(anomaly => ({
+                position: anomaly.position,
+                label: `ANOMALY: ${anomaly.type.toUpperCase()}`,
+                color: ANOMALY_COLOR
+            })),
+            ...this.asteroidMarks.map(mark => ({
+                position: mark.asteroid.mesh.position,
+                label: formatReading(mark.reading),
+                color: RARITY_COLORS[mark.reading.rarity]
+            }))
+        ]);
+    }
+
+    clearMarks(): void {
+        if (this.markTimer <= 0 && this.asteroidMarks.length === 0 && this.anomalyMarks.length === 0) return;
+        this.markTimer = 0;
+        this.asteroidMarks = [];
+        this.anomalyMarks = [];
+        setRadarScanMarks([]);
+        setScanOverlayMarks([]);
+    }
+
+    private startPulseRing(radius: number): void {
+        if (!this.pulseRing) {
+            this.pulseRing = new THREE.Mesh(
+                new THREE.RingGeometry(0.97, 1, 64),
+                new THREE.MeshBasicMaterial({
+                    color: 0x66ffff,
+                    transparent: true,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                })
+            );
+            this.pulseRing.rotation.x = -Math.PI / 2;
+        }
+
+        this.pulseRing.position.copy(this.spaceship.mesh.position);
+        this.pulseRing.scale.setScalar(1);
+        this.pulseRing.visible = true;
+        this.scene.add(this.pulseRing);
+        this.pulseAge = 0;
+        this.pulseRadius = radius;
+    }
+
+    private updatePulseRing(deltaTime: number): void {
+        if (!this.pulseRing || !this.pulseRing.visible) return;
+
+        this.pulseAge += deltaTime;
+        const progress = Math.min(1, this.pulseAge / PULSE_DURATION);
+        this.pulseRing.scale.setScalar(Math.max(1, this.pulseRadius * progress));
+        (this.pulseRing.material as THREE.MeshBasicMaterial).opacity = 0.8 * (1 - progress);
+
+        if (progress >= 1) {
+            this.pulseRing.visible = false;
+            this.scene.remove(this.pulseRing);
+        }
+    }
+
+    private notify(message: string): void {
+        mainMessageBus.publish('ui.notification', { message, type: 'warning', duration: 2000 });
+    }
+}
@@ -47,8 +47,10 @@ export class DockingLogic {
             this.isDocked = true;
             
             // Publish the player.docked event for enemy system and other systems to respond
-            if (spaceship.world && spaceship.world.messageBus) {
-                spaceship.world.messageBus.publish('player.docked', {
+            const windowWithGame = window as GameWindow;
+            const messageBus = spaceship.world?.messageBus || windowWithGame.game?.messageBus || windowWithGame.mainMessageBus;
+            if (messageBus) {
+                messageBus.publish('player.docked', {
                     playerPosition: spaceship.mesh.position.clone(),
                     stargate: stargate
                 });
@@ -1,5 +1,8 @@
 // Shared docking-related types to avoid duplicate interface names.
 
+import type { WeaponLoadout } from '../../weapons/weaponLoadout.ts';
+import type { TurretFleet } from '../../turrets/turretFleet.ts';
+
 export type MessageBus = {
     publish: (event: string, data?: unknown) => void;
 };
@@ -32,6 +35,7 @@ export type DockingSpaceship = {
     miningUpgradeCost: number;
     hullUpgradeCost: number;
     scannerUpgradeCost: number;
+    cargoUpgradeCost: number;
     miningEfficiency: number;
     refuel: () => number;
     repairShield: () => number;
@@ -41,6 +45,9 @@ export type DockingSpaceship = {
     upgradeMiningLaser: () => void;
     upgradeHull: () => void;
     upgradeScanner: () => void;
+    upgradeCargoHold: () => void;
+    weapons?: WeaponLoadout;
+    turrets?: TurretFleet;
     dock: () => void;
     undock: () => unknown;
     mesh: {
@@ -1,9 +1,25 @@
 // uiIntegration.js - Handles UI integration for docking system
 
+import { EVENT } from '../../../core/events.ts';
+import { mainMessageBus } from '../../../globals/messageBus.ts';
+import { actionMap } from '../actionMap.ts';
 import type { DockingSpaceship, DockingUI, ResourceInventory } from './types.ts';
+import { BASE_PRICES, type Commodity, type MarketModel, type MarketSystemInfo } from '../../market/marketModel.ts';
+import { ALLOYS, ALLOY_PRICES, getCargoAmount, refineOre, type Alloy } from '../../cargo/cargoHold.ts';
+import { HARDPOINTS, WEAPONS, WEAPON_IDS, type WeaponId } from '../../weapons/weaponLoadout.ts';
+import { TURRET_PRIORITIES, TURRET_UPGRADES, type TurretUpgrade } from '../../turrets/turretFleet.ts';
 
 type GameWindow = Window & {
     game?: {
+        market?: MarketModel;
+        replayManager?: {
+            isReplaying: () => boolean;
+        };
+        environment?: {
+            starSystemGenerator?: {
+                getCurrentSystemData: () => MarketSystemInfo | null;
+            };
+        };
         ui?: {
             starMap?: {
                 hide?: () => void;
@@ -23,16 +39,18 @@ export class UIIntegration {
     }
 
     setupDockingControls(proximityDetector: { isNearStargate: () => boolean }, dockingLogic: { dockWithStargate: (spaceship: DockingSpaceship, stargate: unknown, ui: DockingUI) => void }, spaceship: DockingSpaceship, ui: DockingUI): void {
-        // Add docking key handler (Q key)
+        // Add docking key handler (Q key by default)
         document.addEventListener('keydown', (e: KeyboardEvent) => {
-            if (e.key.toLowerCase() === 'q') {
+            if (actionMap.isKeyBound(e.key, 'dock')) {
+                // A playing replay docks on its own schedule
+                if ((window as GameWindow).game?.replayManager?.isReplaying()) return;
                 if (proximityDetector.isNearStargate() && !spaceship.isDocked) {
-                    console.log("Q key pressed: Docking with stargate");
+                    console.log("Dock key pressed: Docking with stargate");
                     dockingLogic.dockWithStargate(spaceship, ui.stargate, ui);
                 } else if (spaceship.isDocked) {
-                    console.log("Q key pressed while docked: No action (use Undock button)");
+                    console.log("Dock key pressed while docked: No action (use Undock button)");
                 } else if (!proximityDetector.isNearStargate()) {
-                    console.log("Q key pressed but not near stargate");
+                    console.log("Dock key pressed but not near stargate");
                 }
             }
         });
@@ -83,6 +101,12 @@ export class UIIntegration {
         
         // Set up upgrade buttons
         this.setupUpgradeButtons(spaceship, ui);
+        
+        // Set up weapon purchase, mounting and restock buttons
+        this.setupWeaponButtons(spaceship, ui);
+        
+        // Set up turret upgrade and orders buttons
+        this.setupTurretButtons(spaceship, ui);
     }
 
     setupUndockButton(): void {
@@ -98,37 +122,74 @@ export class UIIntegration {
     }
 
     setupSellingButtons(spaceship: DockingSpaceship, ui: DockingUI): void {
-        const sellIronBtn = document.getElementById('sell-iron');
-        if (sellIronBtn) {
-            sellIronBtn.addEventListener('click', () => {
-                if (this.resources && this.resources.iron > 0) {
-                    spaceship.credits += this.resources.iron * 10;
-                    this.resources.iron = 0;
+        const commodities: Commodity[] = ['iron', 'gold', 'platinum'];
+        commodities.forEach(commodity => {
+            const sellBtn = document.getElementById(`sell-${commodity}`);
+            if (sellBtn) {
+                sellBtn.addEventListener('click', () => {
+                    if (this.resources && this.resources[commodity] > 0) {
+                        this.sellResource(commodity, spaceship);
+                        this.updateStargateUI(spaceship, ui);
+                    }
+                });
+            }
+        });
+
+        ALLOYS.forEach(alloy => {
+            const sellBtn = document.getElementById(`sell-${alloy}`);
+            if (sellBtn) {
+                sellBtn.addEventListener('click', () => {
+                    this.sellAlloy(alloy, spaceship);
                     this.updateStargateUI(spaceship, ui);
-                }
-            });
+                });
+            }
+
+            const refineBtn = document.getElementById(`refine-${alloy}`);
+            if (refineBtn) {
+                refineBtn.addEventListener('click', () => {
+                    if (this.resources && refineOre(this.resources, alloy) > 0) {
+                        this.updateStargateUI(spaceship, ui);
+                    }
+                });
+            }
+        });
+    }
+
+    // Sell the whole stock of an alloy at its fixed price
+    sellAlloy(alloy: Alloy, spaceship: DockingSpaceship): void {
+        if (!this.resources) return;
+
+        const earned = getCargoAmount(this.resources, alloy) * ALLOY_PRICES[alloy];
+        this.resources[alloy] = 0;
+
+        spaceship.credits += earned;
+        if (earned > 0) {
+            mainMessageBus.publish(EVENT.CREDITS_EARNED, { amount: earned, source: 'trade' });
         }
-        
-        const sellGoldBtn = document.getElementById('sell-gold');
-        if (sellGoldBtn) {
-            sellGoldBtn.addEventListener('click', () => {
-                if (this.resources && this.resources.gold > 0) {
-                    spaceship.credits += this.resources.gold * 50;
-                    this.resources.gold = 0;
-                    this.updateStargateUI(spaceship, ui);
-                }
-            });
+    }
+
+    // Sell the whole stock of a resource at the current system's market price
+    sellResource(commodity: Commodity, spaceship: DockingSpaceship): void {
+        if (!this.resources) return;
+
+        const game = (window as GameWindow).game;
+        const system = game?.environment?.starSystemGenerator?.getCurrentSystemData();
+
+        let earned: number;
+        if (game?.market && system) {
+            const sale = game.market.sell(system, commodity, this.resources[commodity]);
+            if (!sale) return;
+            earned = sale.credits;
+            this.resources[commodity] -= sale.amount;
+        } else {
+            // Market unavailable - fall back to the home system's fixed rates
+            earned = this.resources[commodity] * BASE_PRICES[commodity];
+            this.resources[commodity] = 0;
         }
-        
-        const sellPlatinumBtn = document.getElementById('sell-platinum');
-        if (sellPlatinumBtn) {
-            sellPlatinumBtn.addEventListener('click', () => {
-                if (this.resources && this.resources.platinum > 0) {
-                    spaceship.credits += this.resources.platinum * 200;
-                    this.resources.platinum = 0;
-                    this.updateStargateUI(spaceship, ui);
-                }
-            });
+
+        spaceship.credits += earned;
+        if (earned > 0) {
+            mainMessageBus.publish(EVENT.CREDITS_EARNED, { amount: earned, source: 'trade' });
         }
     }
 
@@ -162,6 +223,12 @@ export class UIIntegration {
             () => spaceship.scannerUpgradeCost,
             () => spaceship.upgradeScanner(),
             spaceship, ui);
+        
+        // Cargo hold upgrade button handler
+        this.setupUpgradeButton('upgrade-cargo', 
+            () => spaceship.cargoUpgradeCost,
+            () => spaceship.upgradeCargoHold(),
+            spaceship, ui);
     }
 
     // Helper method to set up an upgrade button with a given cost getter and upgrade function
@@ -192,6 +259,98 @@ export class UIIntegration {
         }
     }
 
+    setupWeaponButtons(spaceship: DockingSpaceship, ui: DockingUI): void {
+        WEAPON_IDS.forEach(id => {
+            const buyBtn = document.getElementById(`buy-weapon-${id}`);
+            if (buyBtn) {
+                buyBtn.addEventListener('click', () => {
+                    if (this.buyWeapon(id, spaceship)) {
+                        this.updateStargateUI(spaceship, ui);
+                    }
+                });
+            }
+
+            const restockBtn = document.getElementById(`restock-${id}`);
+            if (restockBtn) {
+                restockBtn.addEventListener('click', () => {
+                    if (this.restockWeapon(id, spaceship) > 0) {
+                        this.updateStargateUI(spaceship, ui);
+                    }
+                });
+            }
+
+            HARDPOINTS.forEach(hardpoint => {
+                const mountBtn = document.getElementById(`mount-${id}-${hardpoint}`);
+                if (mountBtn) {
+                    mountBtn.addEventListener('click', () => {
+                        if (spaceship.weapons?.mount(id, hardpoint)) {
+                            this.updateStargateUI(spaceship, ui);
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    setupTurretButtons(spaceship: DockingSpaceship, ui: DockingUI): void {
+        TURRET_UPGRADES.forEach(upgrade => {
+            const upgradeBtn = document.getElementById(`upgrade-turret-${upgrade}`);
+            if (upgradeBtn) {
+                upgradeBtn.addEventListener('click', () => {
+                    if (this.upgradeTurrets(upgrade, spaceship)) {
+                        this.updateStargateUI(spaceship, ui);
+                    }
+                });
+            }
+        });
+        
+        TURRET_PRIORITIES.forEach(priority => {
+            const priorityBtn = document.getElementById(`turret-priority-${priority}`);
+            if (priorityBtn) {
+                priorityBtn.addEventListener('click', () => {
+                    if (spaceship.turrets) {
+                        spaceship.turrets.setPriority(priority);
+                        this.updateStargateUI(spaceship, ui);
+                    }
+                });
+            }
+        });
+    }
+
+    // Buy the next level of a turret upgrade
+    upgradeTurrets(upgrade: TurretUpgrade, spaceship: DockingSpaceship): boolean {
+        const fleet = spaceship.turrets;
+        const cost = fleet ? fleet.getUpgradeCost(upgrade) : null;
+        if (!fleet || cost === null || spaceship.credits < cost) return false;
+
+        spaceship.credits -= cost;
+        fleet.upgrade(upgrade);
+        return true;
+    }
+
+    // Buy a weapon and mount it on the hardpoint that isn't selected
+    buyWeapon(id: WeaponId, spaceship: DockingSpaceship): boolean {
+        const loadout = spaceship.weapons;
+        const price = WEAPONS[id].price;
+        if (!loadout || loadout.owns(id) || spaceship.credits < price) return false;
+
+        spaceship.credits -= price;
+        loadout.addWeapon(id);
+        loadout.mount(id, loadout.activeHardpoint === 'left' ? 'right' : 'left');
+        return true;
+    }
+
+    // Fill a weapon's magazine, buying as many rounds as the credits allow
+    restockWeapon(id: WeaponId, spaceship: DockingSpaceship): number {
+        const loadout = spaceship.weapons;
+        if (!loadout) return 0;
+
+        const price = WEAPONS[id].ammoPrice;
+        const rounds = loadout.restock(id, price > 0 ? spaceship.credits / price : 0);
+        spaceship.credits -= rounds * price;
+        return rounds;
+    }
+
     // Method to update the mining system when mining efficiency is upgraded
     updateMiningSystem(spaceship: DockingSpaceship, ui: DockingUI): void {
         // Find the mining system through the Controls object to pass the new efficiency
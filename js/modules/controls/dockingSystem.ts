@@ -74,6 +74,9 @@ export class DockingSystem {
                 e.preventDefault();
                 e.stopPropagation();
                 
+                // A playing replay undocks on its own schedule
+                if ((window as any).game?.replayManager?.isReplaying()) return;
+                
                 // Log which event triggered the undock
                 console.log(`Undock button ${e.type} event triggered`);
 
@@ -1,6 +1,9 @@
 // gamepadHandler.js - Handles gamepad/controller input
 // Supports Xbox, PlayStation, and generic controllers
 
+import { actionMap, type ControlAction } from './actionMap.ts';
+import type { GamepadState, ReplayAction } from '../replay/replayFormat.ts';
+
 type SpaceshipInput = {
     isDocked: boolean;
     thrust: {
@@ -32,8 +35,7 @@ type MiningSystem = {
 };
 
 type DockingSystem = {
-    canDock?: () => boolean;
-    initiateDocking?: () => void;
+    nearStargate?: boolean;
 };
 
 type ControlsInput = {
@@ -41,17 +43,26 @@ type ControlsInput = {
     miningSystem?: MiningSystem;
     dockingSystem?: DockingSystem;
     weaponSystem?: unknown;
+    performAction?: (action: ReplayAction) => void;
 };
 
 type GameWindow = Window & {
     game?: {
         introSequenceActive?: boolean;
-        deployTurret?: () => void;
-        deployShieldDrone?: () => void;
-        togglePause?: () => void;
+        ui?: {
+            togglePauseMenu?: () => void;
+        };
+        audio?: {
+            toggleMute: () => boolean;
+        };
         combat?: {
             setFiring: (isFiring: boolean) => void;
         };
+        replayManager?: {
+            isReplaying: () => boolean;
+            getReplayGamepad: () => GamepadState | null;
+            recordGamepad: (gamepad: GamepadState | null) => void;
+        };
     };
     gameInstance?: {
         combat?: {
@@ -141,8 +152,8 @@ export class GamepadHandler {
             // D-Pad
             DPAD_UP: 12,   // Deploy turret
             DPAD_DOWN: 13, // Deploy shield
-            DPAD_LEFT: 14, // Previous weapon
-            DPAD_RIGHT: 15 // Next weapon
+            DPAD_LEFT: 14, // Cycle turret orders
+            DPAD_RIGHT: 15 // Switch weapon
         };
         
         // Axis mapping
@@ -259,19 +270,10 @@ export class GamepadHandler {
     }
     
     update(deltaTime: number): void {
-        if (!this.enabled || this.activeGamepadIndex === null) return;
-        
-        // Get fresh gamepad state (must call this each frame)
-        const gamepads = navigator.getGamepads();
-        const gamepad = gamepads[this.activeGamepadIndex];
+        const gamepad = this.readGamepad();
         
         if (!gamepad) return;
         
-        // Update debug display if enabled
-        if (this.debugMode) {
-            this.updateDebugDisplay(gamepad);
-        }
-        
         // Skip input during intro sequence or when docked
         const windowWithGame = window as GameWindow;
         if ((windowWithGame.game && windowWithGame.game.introSequenceActive) || this.spaceship.isDocked) {
@@ -308,10 +310,37 @@ export class GamepadHandler {
         }
     }
     
-    handleMovement(gamepad: Gamepad): void {
-        // Left stick - movement
-        let leftX = this.applyDeadZone(gamepad.axes[this.axisMap.LEFT_STICK_X]);
-        let leftY = this.applyDeadZone(gamepad.axes[this.axisMap.LEFT_STICK_Y]);
+    // Recorded state while a replay plays, otherwise the live gamepad (recorded if recording)
+    readGamepad(): GamepadState | null {
+        const replayManager = (window as GameWindow).game?.replayManager;
+        if (replayManager && replayManager.isReplaying()) {
+            return replayManager.getReplayGamepad();
+        }
+        
+        let gamepad: Gamepad | null = null;
+        if (this.enabled && this.activeGamepadIndex !== null) {
+            // Get fresh gamepad state (must call this each frame)
+            gamepad = navigator.getGamepads()[this.activeGamepadIndex];
+            
+            // Update debug display if enabled
+            if (gamepad && this.debugMode) {
+                this.updateDebugDisplay(gamepad);
+            }
+        }
+        
+        if (replayManager) {
+            replayManager.recordGamepad(gamepad);
+        }
+        return gamepad;
+    }
+    
+    handleMovement(gamepad: GamepadState): void {
+        // Left stick - movement (right stick when the sticks are swapped)
+        const [moveXAxis, moveYAxis] = actionMap.profile.swapSticks
+            ? [this.rightStickXAxis, this.rightStickYAxis]
+            : [this.axisMap.LEFT_STICK_X, this.axisMap.LEFT_STICK_Y];
+        let leftX = this.applyDeadZone(gamepad.axes[moveXAxis] || 0);
+        let leftY = this.applyDeadZone(gamepad.axes[moveYAxis] || 0);
 
         // Apply response curve for better precision at low deflections
         leftX = this.applyResponseCurve(leftX, 2.5);
@@ -345,18 +374,21 @@ export class GamepadHandler {
         }
 
         // Left stick click - boost
-        if (gamepad.buttons[this.buttonMap.L3].pressed) {
+        if (this.isActionHeld(gamepad, 'boost')) {
             this.spaceship.thrust.boost = true;
         } else {
             this.spaceship.thrust.boost = false;
         }
     }
     
-    handleCameraLook(gamepad: Gamepad, deltaTime: number): void {
+    handleCameraLook(gamepad: GamepadState, deltaTime: number): void {
         // YOUR CONTROLLER: Right stick is on axes 3 (horizontal) and 4 (vertical)
         void deltaTime;
-        let rightStickX = this.applyDeadZone(gamepad.axes[3] || 0); // Horizontal movement
-        let rightStickY = this.applyDeadZone(gamepad.axes[4] || 0); // Vertical movement
+        const [lookXAxis, lookYAxis] = actionMap.profile.swapSticks
+            ? [this.axisMap.LEFT_STICK_X, this.axisMap.LEFT_STICK_Y]
+            : [this.rightStickXAxis, this.rightStickYAxis];
+        let rightStickX = this.applyDeadZone(gamepad.axes[lookXAxis] || 0); // Horizontal movement
+        let rightStickY = this.applyDeadZone(gamepad.axes[lookYAxis] || 0); // Vertical movement
 
         // Apply response curve for finer control at low deflections
         rightStickX = this.applyResponseCurve(rightStickX, 2.5);
@@ -382,102 +414,91 @@ export class GamepadHandler {
         }
     }
     
-    handleButtons(gamepad: Gamepad): void {
+    handleButtons(gamepad: GamepadState): void {
         void gamepad;
-        // A button - Toggle targeting system
-        if (this.wasButtonPressed(this.buttonMap.A)) {
-            if (this.controls && this.controls.targetingSystem) {
-                this.controls.targetingSystem.toggleLockOn();
+        // Movement, boost and fire are read continuously elsewhere
+        const pressedActions = new Set<ControlAction>();
+        Object.keys(this.buttonStates).forEach(index => {
+            if (this.wasButtonPressed(Number(index))) {
+                actionMap.getActionsForButton(Number(index)).forEach(action => pressedActions.add(action));
             }
-        }
-        
-        // B button - Toggle mining (tap to start/stop)
-        if (this.wasButtonPressed(this.buttonMap.B)) {
-            if (this.controls && this.controls.miningSystem && this.controls.targetingSystem) {
-                if (this.controls.miningSystem.isMining) {
-                    // Currently mining - stop it
-                    this.controls.miningSystem.stopMining();
-                } else {
-                    // Not mining - try to start
-                    const target = this.controls.targetingSystem.getCurrentTarget?.();
-                    if (target) {
-                        this.controls.miningSystem.setTargetAsteroid(target);
-                        this.controls.miningSystem.startMining();
+        });
+        pressedActions.forEach(action => this.handleButtonAction(action));
+    }
+    
+    handleButtonAction(action: ControlAction): void {
+        const windowWithGame = window as GameWindow;
+        switch (action) {
+            case 'toggleLockOn':
+                // Toggle targeting system
+                if (this.controls && this.controls.targetingSystem) {
+                    this.controls.targetingSystem.toggleLockOn();
+                }
+                break;
+            case 'toggleMining':
+                // Toggle mining (tap to start/stop)
+                if (this.controls && this.controls.miningSystem && this.controls.targetingSystem) {
+                    if (this.controls.miningSystem.isMining) {
+                        // Currently mining - stop it
+                        this.controls.miningSystem.stopMining();
+                    } else {
+                        // Not mining - try to start
+                        const target = this.controls.targetingSystem.getCurrentTarget?.();
+                        if (target) {
+                            this.controls.miningSystem.setTargetAsteroid(target);
+                            this.controls.miningSystem.startMining();
+                        }
                     }
                 }
-            }
-        }
-        
-        // X button - Dock when near stargate
-        if (this.wasButtonPressed(this.buttonMap.X)) {
-            if (this.controls && this.controls.dockingSystem && this.controls.dockingSystem.canDock && this.controls.dockingSystem.canDock()) {
-                this.controls.dockingSystem.initiateDocking?.();
-            }
-        }
-        
-        // Y button - Deploy turret
-        if (this.wasButtonPressed(this.buttonMap.Y)) {
-            const windowWithGame = window as GameWindow;
-            if (windowWithGame.game && windowWithGame.game.deployTurret) {
-                windowWithGame.game.deployTurret();
-            }
-        }
-        
-        // Bumpers - Cycle targets
-        if (this.wasButtonPressed(this.buttonMap.LB)) {
-            // Previous target
-            if (this.controls && this.controls.targetingSystem) {
-                this.controls.targetingSystem.cycleLockOnTarget?.(-1);
-            }
-        }
-        
-        if (this.wasButtonPressed(this.buttonMap.RB)) {
-            // Next target
-            if (this.controls && this.controls.targetingSystem) {
-                const target = this.controls.targetingSystem.cycleLockOnTarget?.(1);
-                if (target && this.controls.miningSystem) {
-                    this.controls.miningSystem.setTargetAsteroid(target);
+                break;
+            case 'dock':
+                // Dock when near stargate
+                if (this.controls && this.controls.dockingSystem && this.controls.dockingSystem.nearStargate) {
+                    this.controls.performAction?.('dock');
                 }
-            }
-        }
-        
-        // Right stick click - Could be used for something else later
-        
-        // D-Pad for quick actions
-        if (this.wasButtonPressed(this.buttonMap.DPAD_UP)) {
-            // Deploy turret
-            const windowWithGame = window as GameWindow;
-            if (windowWithGame.game && windowWithGame.game.deployTurret) {
-                windowWithGame.game.deployTurret();
-            }
-        }
-        
-        if (this.wasButtonPressed(this.buttonMap.DPAD_DOWN)) {
-            // Deploy shield drone
-            const windowWithGame = window as GameWindow;
-            if (windowWithGame.game && windowWithGame.game.deployShieldDrone) {
-                windowWithGame.game.deployShieldDrone();
-            }
-        }
-        
-        // Start button - Pause/Menu
-        if (this.wasButtonPressed(this.buttonMap.START)) {
-            const windowWithGame = window as GameWindow;
-            if (windowWithGame.game && windowWithGame.game.togglePause) {
-                windowWithGame.game.togglePause();
-            }
+                break;
+            case 'deployTurret':
+                this.controls.performAction?.('deployLaser');
+                break;
+            case 'lockOnEnemy':
+            case 'cycleTarget':
+            case 'pickup':
+            case 'turretOrders':
+            case 'jettison':
+            case 'switchWeapon':
+            case 'deepScan':
+                this.controls.performAction?.(action);
+                break;
+            case 'toggleMute':
+                if (windowWithGame.game && windowWithGame.game.audio) {
+                    windowWithGame.game.audio.toggleMute();
+                }
+                break;
+            case 'pause':
+                // Pause/Menu
+                if (windowWithGame.game && windowWithGame.game.ui && windowWithGame.game.ui.togglePauseMenu) {
+                    windowWithGame.game.ui.togglePauseMenu();
+                }
+                break;
         }
     }
     
-    handleTriggers(gamepad: Gamepad): void {
+    isActionHeld(gamepad: GamepadState, action: ControlAction): boolean {
+        return actionMap.getButtons(action).some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed);
+    }
+    
+    handleTriggers(gamepad: GamepadState): void {
         // Check triggers - most controllers use buttons 6 and 7
         let rtValue = 0;
         let ltValue = 0;
 
-        // Standard button mapping for triggers
-        if (gamepad.buttons[7]) {
-            rtValue = gamepad.buttons[7].value;
-        }
+        // Fire may be bound to RT or to any other button
+        const fireButtons = actionMap.getButtons('fire');
+        fireButtons.forEach(index => {
+            if (gamepad.buttons[index]) {
+                rtValue = Math.max(rtValue, gamepad.buttons[index].value);
+            }
+        });
         if (gamepad.buttons[6]) {
             ltValue = gamepad.buttons[6].value;
         }
@@ -485,7 +506,7 @@ export class GamepadHandler {
         // Some controllers report triggers as axes 4 and 5
         const axis4 = gamepad.axes[4] || 0;
         const axis5 = gamepad.axes[5] || 0;
-        if (rtValue < 0.01 && Math.abs(axis5) > 0.01) {
+        if (fireButtons.includes(this.buttonMap.RT) && rtValue < 0.01 && Math.abs(axis5) > 0.01) {
             rtValue = (axis5 + 1) / 2; // Convert from -1,1 to 0,1
         }
         if (ltValue < 0.01 && Math.abs(axis4) > 0.01) {
@@ -1,5 +1,7 @@
 // inputHandler.js - Handles keyboard and mouse input
 
+import { actionMap, ACTION_INTENT_BITS } from './actionMap.ts';
+
 type SpaceshipInput = {
     isDocked: boolean;
     thrust: {
@@ -18,6 +20,10 @@ type PhysicsInput = {
 type GameWindow = Window & {
     game?: {
         introSequenceActive?: boolean;
+        replayManager?: {
+            isReplaying: () => boolean;
+            recordLook: (deltaX: number, deltaY: number) => void;
+        };
     };
     inputIntent?: number;
 };
@@ -44,13 +50,12 @@ export class InputHandler {
             const windowWithGame = window as GameWindow;
             // Ignore inputs when docked or intro sequence is active
             if (this.spaceship.isDocked || (windowWithGame.game && windowWithGame.game.introSequenceActive)) return;
+            // A playing replay owns the input intent
+            if (this.isReplaying()) return;
             
-            switch (e.key.toLowerCase()) {
-                case 'w': windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) | 1; break;
-                case 's': windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) | 2; break;
-                case 'a': windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) | 4; break;
-                case 'd': windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) | 8; break;
-                case 'shift': windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) | 16; break;
+            const bits = this.getIntentBits(e.key);
+            if (bits) {
+                windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) | bits;
             }
         });
         
@@ -67,13 +72,11 @@ export class InputHandler {
                 return;
             }
             
-            const clearBit = (bit: number) => { windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) & ~bit; };
-            switch (e.key.toLowerCase()) {
-                case 'w': clearBit(1); break;
-                case 's': clearBit(2); break;
-                case 'a': clearBit(4); break;
-                case 'd': clearBit(8); break;
-                case 'shift': clearBit(16); break;
+            if (this.isReplaying()) return;
+
+            const bits = this.getIntentBits(e.key);
+            if (bits) {
+                windowWithGame.inputIntent = (windowWithGame.inputIntent || 0) & ~bits;
             }
         });
     }
@@ -135,7 +138,7 @@ export class InputHandler {
         // Skip mouse movement handling during intro sequence
         if (windowWithGame.game && windowWithGame.game.introSequenceActive) return;
         
-        if (!this.isPointerLocked) return;
+        if (!this.isPointerLocked || this.isReplaying()) return;
         
         // Use movementX and movementY for rotation
         // These values represent the mouse movement since the last event
@@ -147,6 +150,25 @@ export class InputHandler {
             movementX * this.mouseSensitivity, 
             movementY * this.mouseSensitivity
         );
+        
+        const replayManager = windowWithGame.game && windowWithGame.game.replayManager;
+        if (replayManager) {
+            replayManager.recordLook(movementX * this.mouseSensitivity, movementY * this.mouseSensitivity);
+        }
+    }
+    
+    // inputIntent bits for the movement actions bound to a key
+    getIntentBits(key: string): number {
+        let bits = 0;
+        for (const action of actionMap.getActionsForKey(key)) {
+            bits |= ACTION_INTENT_BITS[action] || 0;
+        }
+        return bits;
+    }
+    
+    isReplaying(): boolean {
+        const game = (window as GameWindow).game;
+        return !!(game && game.replayManager && game.replayManager.isReplaying());
     }
     
     isLocked(): boolean {
@@ -1,5 +1,11 @@
 // resourceExtraction.js - Handles resource extraction and notification
 
+import { EVENT } from '../../../core/events.ts';
+import { mainMessageBus } from '../../../globals/messageBus.ts';
+import { getCargoSpace } from '../../cargo/cargoHold.ts';
+import type { Commodity } from '../../market/marketModel.ts';
+import { ORE_YIELD, type HiddenDeposit } from '../../scanning/deepScan.ts';
+
 interface OrbResources {
     common: number;
     uncommon: number;
@@ -19,6 +25,8 @@ interface ResourceInventory {
 
 interface AsteroidResourceInfo {
     resourceType?: string;
+    yieldMultiplier?: number;   // Fragments pay out a share of a full asteroid
+    hiddenDeposit?: HiddenDeposit | null;
 }
 
 export class ResourceExtraction {
@@ -41,30 +49,25 @@ export class ResourceExtraction {
 
     /**
      * Add all resources from the mined asteroid to the player's inventory at once
+     * @param capacity Cargo hold volume - ore that doesn't fit is lost
      */
-    addAsteroidResources(targetAsteroid: AsteroidResourceInfo | null, efficiency = 1.0): boolean {
+    addAsteroidResources(targetAsteroid: AsteroidResourceInfo | null, efficiency = 1.0, capacity = Infinity): boolean {
         if (!targetAsteroid) return false;
         
-        // Get the resource type from the asteroid
-        const resourceType = targetAsteroid.resourceType || 'iron'; // Default to iron if no type specified
+        // Get the resource type from the asteroid, defaulting to iron for unknown types
+        const asteroidType = (targetAsteroid.resourceType || 'iron').toLowerCase();
+        const resourceType: Commodity = asteroidType === 'gold' || asteroidType === 'platinum' ? asteroidType : 'iron';
         
         // Get mining efficiency for resource extraction bonus
         const bonusChance = (efficiency - 1.0) * 0.5; // Chance for bonus resources based on efficiency
         
         // Calculate base amount based on asteroid type
-        let amount = 0;
-        switch (resourceType.toLowerCase()) {
-            case 'iron':
-                amount = Math.floor(Math.random() * 5) + 10; // 10-14 iron
-                break;
-            case 'gold':
-                amount = Math.floor(Math.random() * 3) + 5; // 5-7 gold
-                break;
-            case 'platinum':
-                amount = Math.floor(Math.random() * 2) + 2; // 2-3 platinum
-                break;
-            default:
-                amount = 10; // Default to 10 iron
+        const [minAmount, maxAmount] = ORE_YIELD[resourceType];
+        let amount = Math.floor(Math.random() * (maxAmount - minAmount + 1)) + minAmount;
+        
+        // Fragments pay out their share, at least one unit
+        if (targetAsteroid.yieldMultiplier !== undefined) {
+            amount = Math.max(1, Math.round(amount * targetAsteroid.yieldMultiplier));
         }
         
         // Apply bonus resources based on mining efficiency
@@ -72,33 +75,52 @@ export class ResourceExtraction {
             amount = Math.ceil(amount * 1.2); // 20% bonus
         }
         
-        // Update resource counts
-        switch (resourceType.toLowerCase()) {
-            case 'iron':
-                this.resources.iron += amount;
-                break;
-            case 'gold':
-                this.resources.gold += amount;
-                break;
-            case 'platinum':
-                this.resources.platinum += amount;
-                break;
-            default:
-                this.resources.iron += amount;
+        const added = this.addOre(resourceType, amount, capacity);
+
+        // A hidden core pays out on top, whether or not a deep scan found it
+        const deposit = targetAsteroid.hiddenDeposit;
+        if (deposit) {
+            const addedCore = this.addOre(deposit.resourceType, deposit.amount, capacity, ' CORE');
+            return added || addedCore;
+        }
+        
+        return added;
+    }
+
+    /**
+     * Add mined ore to the hold, keeping only what fits
+     * @param label Appended to the resource name in the gain notification
+     */
+    addOre(resourceType: Commodity, amount: number, capacity: number, label = ''): boolean {
+        // Keep only what fits in the cargo hold
+        const mined = amount;
+        amount = Math.min(amount, getCargoSpace(this.resources, resourceType, capacity));
+        
+        if (amount <= 0) {
+            console.log(`ResourceExtraction: Cargo hold full, ${mined} ${resourceType} lost`);
+            this.showFloatingNotification('CARGO HOLD FULL', '#ff5050');
+            return false;
         }
         
-        console.log(`ResourceExtraction: Added ${amount} ${resourceType} from asteroid`);
+        // Update resource counts
+        this.resources[resourceType] += amount;
+        
+        console.log(`ResourceExtraction: Added ${amount} ${resourceType}${label.toLowerCase()} from asteroid`);
         
         // Show resource gain notification
-        this.showResourceGainNotification(amount, resourceType);
+        this.showResourceGainNotification(amount, resourceType, amount < mined, label);
+
+        mainMessageBus.publish(EVENT.MINING_EXTRACTED, { resourceType, amount });
         
         return true;
     }
 
     /**
      * Show a notification for resources gained
+     * @param holdFull Part of the haul didn't fit in the cargo hold
+     * @param label Appended to the resource name, e.g. " CORE"
      */
-    showResourceGainNotification(amount: number, resourceType: string): void {
+    showResourceGainNotification(amount: number, resourceType: string, holdFull = false, label = ''): void {
         // Get color based on resource type
         let color = '#a0a0a0'; // Default gray for iron
         if (resourceType === 'gold') {
@@ -107,9 +129,17 @@ export class ResourceExtraction {
             color = '#66ffff';
         }
         
+        const text = `+${amount} ${resourceType.toUpperCase()}${label}`;
+        this.showFloatingNotification(holdFull ? `${text} (HOLD FULL)` : text, color);
+    }
+
+    /**
+     * Show a message that floats up from the middle of the screen
+     */
+    showFloatingNotification(text: string, color: string): void {
         // Create notification element
         const notification = document.createElement('div');
-        notification.textContent = `+${amount} ${resourceType.toUpperCase()}`;
+        notification.textContent = text;
         notification.style.position = 'absolute';
         notification.style.top = '40%';
         notification.style.left = '50%';
@@ -6,9 +6,14 @@ import { TargetValidation } from './mining/targetValidation.ts';
 import { ResourceExtraction } from './mining/resourceExtraction.ts';
 import { UIUpdates } from './mining/uiUpdates.ts';
 import { VisualEffects } from './mining/visualEffects.ts';
+import { getHeatEfficiency, getLaserHeatCapacity, stepLaserHeat } from '../../ecs/systems/miningSystem';
+import { mainMessageBus } from '../../globals/messageBus.ts';
+import { EVENT } from '../../core/events.ts';
 
 type MiningSpaceship = {
     miningEfficiency?: number;
+    miningLevel?: number;
+    maxCargoCapacity?: number;
     mesh: THREE.Object3D;
     shield?: number;
     maxShield?: number;
@@ -19,9 +24,13 @@ type MiningSpaceship = {
 
 type MiningAsteroid = {
     resourceType?: string;
+    yieldMultiplier?: number;   // Fragments hold (and take) a fraction of a full asteroid
     mesh: THREE.Object3D;
 };
 
+// Even the smallest fragment takes this share of a full asteroid's mining time
+const MIN_MINING_WORK = 0.25;
+
 type GameWindow = Window & {
     game?: {
         audio?: {
@@ -42,6 +51,11 @@ export class MiningSystem {
     miningSpeed: number;
     miningDistance: number;
     miningCooldown: number;
+    laserHeat: number;
+    overheated: boolean;
+    // Progress kept through an overheat cooldown, resumed if mining the same target again
+    interruptedTarget: MiningAsteroid | null;
+    interruptedProgress: number;
     laserControl: LaserControl;
     targetValidation: TargetValidation;
     resourceExtraction: ResourceExtraction;
@@ -66,6 +80,10 @@ export class MiningSystem {
         this.miningSpeed = 0.133; // Default speed, will be set based on asteroid type
         this.miningDistance = 6000; // Maximum mining distance
         this.miningCooldown = 0;
+        this.laserHeat = 0;
+        this.overheated = false;
+        this.interruptedTarget = null;
+        this.interruptedProgress = 0;
         
         // Initialize component modules
         this.laserControl = new LaserControl(scene, spaceship);
@@ -82,6 +100,16 @@ export class MiningSystem {
             : 1.0; // Default value if spaceship property not available
     }
     
+    // Laser heat capacity grows with mining laser upgrades
+    getHeatCapacity(): number {
+        return getLaserHeatCapacity(this.spaceship?.miningLevel || 1);
+    }
+    
+    // Mining rate multiplier at the current laser heat
+    getHeatEfficiency(): number {
+        return getHeatEfficiency(this.laserHeat);
+    }
+    
     // Expose resources from the resource extraction module
     get resources(): ReturnType<ResourceExtraction['getResources']> {
         return this.resourceExtraction.getResources();
@@ -104,14 +132,14 @@ export class MiningSystem {
                 const baseSpeed = this.miningSpeedByType[resourceType] || this.miningSpeedByType.iron;
                 const efficiency = this.getMiningEfficiency();
                 
-                this.miningSpeed = baseSpeed * efficiency;
+                this.miningSpeed = baseSpeed * efficiency / this.getMiningWork(asteroid);
                 console.log(`Mining ${resourceType} asteroid with speed: ${this.miningSpeed} (efficiency: ${efficiency}x)`);
                 
                 // Update UI using UI module
                 this.uiUpdates.updateTargetInfo(asteroid, this.spaceship, this.miningDistance);
             } else {
                 // Default to iron speed if no resource type is specified
-                this.miningSpeed = this.miningSpeedByType.iron * this.getMiningEfficiency();
+                this.miningSpeed = this.miningSpeedByType.iron * this.getMiningEfficiency() / this.getMiningWork(asteroid);
             }
             
             return true;
@@ -121,6 +149,11 @@ export class MiningSystem {
         }
     }
     
+    // Share of a full asteroid's mining time this target takes
+    getMiningWork(asteroid: MiningAsteroid): number {
+        return Math.max(MIN_MINING_WORK, asteroid.yieldMultiplier ?? 1);
+    }
+    
     startMining(): void {
         try {
             console.log("MiningSystem: startMining called");
@@ -131,6 +164,12 @@ export class MiningSystem {
                 return;
             }
 
+            if (this.overheated) {
+                console.log("MiningSystem: Laser is cooling down");
+                this.resourceExtraction.showFloatingNotification('LASER COOLING DOWN', '#ff8800');
+                return;
+            }
+
             // Validate mining conditions using validation module
             const canMine = this.targetValidation.canStartMining(this.targetAsteroid);
             if (!canMine.valid) {
@@ -141,9 +180,11 @@ export class MiningSystem {
                 return;
             }
             
-            // Set mining state to active
+            // Set mining state to active, resuming a target interrupted by overheating
             this.isMining = true;
-            this.miningProgress = 0;
+            this.miningProgress = this.targetAsteroid === this.interruptedTarget ? this.interruptedProgress : 0;
+            this.interruptedTarget = null;
+            this.interruptedProgress = 0;
             console.log("MiningSystem: Mining state activated");
             
             // Setup laser beam using laser control module
@@ -169,6 +210,7 @@ export class MiningSystem {
                 windowWithGame.game.audio.playSound('laser');
             }
             
+            mainMessageBus.publish(EVENT.MINING_START, { sourceEntity: this.spaceship, targetEntity: this.targetAsteroid });
             console.log("MiningSystem: Mining successfully started");
         } catch (error) {
             console.error("MiningSystem: Error in startMining:", error);
@@ -206,6 +248,8 @@ export class MiningSystem {
         // Reset mining status display
         this.uiUpdates.resetMiningStatus();
         
+        mainMessageBus.publish(EVENT.MINING_STOP, { sourceEntity: this.spaceship });
+        
         // Stop laser sound
         const windowWithGame = window as GameWindow;
         if (windowWithGame.game && windowWithGame.game.audio) {
@@ -224,6 +268,8 @@ export class MiningSystem {
             this.updateMining(deltaTime);
         }
         
+        this.updateLaserHeat(deltaTime);
+        
         // Update mining particles if visible
         this.visualEffects.updateMiningParticles(this.getMiningEfficiency());
         
@@ -233,6 +279,26 @@ export class MiningSystem {
         }
     }
     
+    // Heat the laser while it cuts and cool it otherwise; overheating forces a cooldown
+    updateLaserHeat(deltaTime: number): void {
+        this.laserHeat = stepLaserHeat(this.laserHeat, this.isMining, this.getHeatCapacity(), deltaTime);
+        
+        if (this.isMining && this.laserHeat >= 1) {
+            this.overheated = true;
+            this.interruptedTarget = this.targetAsteroid;
+            this.interruptedProgress = this.miningProgress;
+            this.stopMining();
+            mainMessageBus.publish('ui.notification', {
+                message: 'Mining laser overheated - cooling down',
+                type: 'warning',
+                duration: 3000
+            });
+        } else if (this.overheated && this.laserHeat <= 0) {
+            this.overheated = false;
+            this.resourceExtraction.showFloatingNotification('LASER READY', '#30cfd0');
+        }
+    }
+    
     updateMining(deltaTime = 1/60): void {
         // Make sure we have a target asteroid
         if (!this.targetAsteroid || !this.isMining) {
@@ -247,8 +313,8 @@ export class MiningSystem {
             return;
         }
         
-        // Update mining progress using deltaTime for frame-rate independence
-        this.miningProgress += this.miningSpeed * deltaTime;
+        // Update mining progress using deltaTime for frame-rate independence; a hot laser cuts slower
+        this.miningProgress += this.miningSpeed * this.getHeatEfficiency() * deltaTime;
         
         // Update laser beam position
         this.laserControl.updateLaserBeam(this.targetAsteroid);
@@ -259,7 +325,11 @@ export class MiningSystem {
         // Complete mining when progress reaches 1.0
         if (this.miningProgress >= 1.0) {
             // Add resources from asteroid in one batch
-            this.resourceExtraction.addAsteroidResources(this.targetAsteroid, this.getMiningEfficiency());
+            this.resourceExtraction.addAsteroidResources(
+                this.targetAsteroid,
+                this.getMiningEfficiency(),
+                this.spaceship.maxCargoCapacity
+            );
             
             // Create asteroid break effect
             this.visualEffects.createAsteroidBreakEffect(this.targetAsteroid.mesh.position);
@@ -1,8 +1,12 @@
 // targetingSystem.js - Handles asteroid targeting and lock-on
 
 import * as THREE from 'three';
+import { getSpatialIndex } from '../../ecs/systems/index';
+import { SPATIAL_LAYER } from '../../ecs/spatialGrid';
+import { getScannerRangeFactor } from '../environment/environmentalHazards.ts';
 
 type Asteroid = {
+    eid?: number;
     minable: boolean;
     resourceType?: string;
     mesh: THREE.Object3D & {
@@ -14,6 +18,8 @@ type Asteroid = {
 
 type Environment = {
     asteroids: Asteroid[];
+    // Resolves spatial index hits; without it targeting scans every asteroid
+    getAsteroidByEid?: (eid: number) => Asteroid | null;
 };
 
 type NearbyAsteroid = {
@@ -107,9 +113,11 @@ export class TargetingSystem {
     // Helper method to get the current scan radius from the spaceship
     getScanRadius(): number {
         // Increase default scan radius by 5x (from 1000 to 5000)
-        return this.spaceship && this.spaceship.scanRange 
+        const radius = this.spaceship && this.spaceship.scanRange 
             ? this.spaceship.scanRange * 5 
             : 5000; // Default value increased by 5x
+        // Ion storms cut scanner range
+        return radius * getScannerRangeFactor();
     }
     
     toggleLockOn(): boolean {
@@ -163,11 +171,51 @@ export class TargetingSystem {
         this.nearbyAsteroids = [];
         const shipPosition = this.spaceship.mesh.position;
         
-        // Create raycaster for line-of-sight validation
+        // Find visible asteroids within scan radius
+        const nearby = this.environment.getAsteroidByEid
+            ? this.scanIndexedAsteroids(shipPosition)
+            : this.scanAllAsteroids(shipPosition);
+        
+        // Sort by distance
+        nearby.sort((a, b) => a.distance - b.distance);
+        
+        // Extract just the asteroid objects after sorting
+        this.nearbyAsteroids = nearby.map(item => item.asteroid);
+        
+        // Set current target if we found asteroids
+        if (this.nearbyAsteroids.length > 0) {
+            this.currentLockOnIndex = 0;
+            this.updateLockedOnTarget();
+            
+            // Update UI to show number of detected asteroids
+            const targetNameElement = document.getElementById('target-name');
+            if (targetNameElement) {
+                targetNameElement.textContent = 
+                    `Target 1/${this.nearbyAsteroids.length} (${Math.round(this.nearbyAsteroids[0].mesh.position.distanceTo(shipPosition))} units)`;
+            }
+            
+            return true;
+        } else {
+            // No targets found
+            const targetNameElement = document.getElementById('target-name');
+            if (targetNameElement) {
+                targetNameElement.textContent = 'No targets in range';
+            }
+            this.targetReticle.visible = false;
+            this.targetAsteroid = null;
+            
+            return false;
+        }
+    }
+    
+    /**
+     * Visible asteroids within scan radius, checking every asteroid and
+     * raycasting against all asteroid meshes for line of sight
+     */
+    private scanAllAsteroids(shipPosition: THREE.Vector3): NearbyAsteroid[] {
         const raycaster = new THREE.Raycaster();
         const nearby: NearbyAsteroid[] = [];
         
-        // Find all asteroids within scan radius
         const asteroids = this.environment.asteroids;
         asteroids.forEach(asteroid => {
             // Skip asteroids that aren't minable or visible
@@ -198,36 +246,45 @@ export class TargetingSystem {
             }
         });
         
-        // Sort by distance
-        nearby.sort((a, b) => a.distance - b.distance);
-        
-        // Extract just the asteroid objects after sorting
-        this.nearbyAsteroids = nearby.map(item => item.asteroid);
-        
-        // Set current target if we found asteroids
-        if (this.nearbyAsteroids.length > 0) {
-            this.currentLockOnIndex = 0;
-            this.updateLockedOnTarget();
-            
-            // Update UI to show number of detected asteroids
-            const targetNameElement = document.getElementById('target-name');
-            if (targetNameElement) {
-                targetNameElement.textContent = 
-                    `Target 1/${this.nearbyAsteroids.length} (${Math.round(this.nearbyAsteroids[0].mesh.position.distanceTo(shipPosition))} units)`;
-            }
-            
-            return true;
-        } else {
-            // No targets found
-            const targetNameElement = document.getElementById('target-name');
-            if (targetNameElement) {
-                targetNameElement.textContent = 'No targets in range';
+        return nearby;
+    }
+    
+    /**
+     * Visible asteroids within scan radius, from the spatial index.
+     * Line of sight is a ray against asteroid bounding spheres.
+     */
+    private scanIndexedAsteroids(shipPosition: THREE.Vector3): NearbyAsteroid[] {
+        const index = getSpatialIndex();
+        const isTargetable = (eid: number): boolean => {
+            const asteroid = this.environment.getAsteroidByEid?.(eid);
+            return !!asteroid && asteroid.mesh.visible;
+        };
+        const nearby: NearbyAsteroid[] = [];
+
+        const candidates = index.queryRadius(shipPosition.x, shipPosition.y, shipPosition.z, this.scanRadius, SPATIAL_LAYER.ASTEROID);
+        for (const eid of candidates) {
+            const asteroid = this.environment.getAsteroidByEid?.(eid);
+            if (!asteroid || !asteroid.minable || !asteroid.mesh.visible) continue;
+
+            const distance = shipPosition.distanceTo(asteroid.mesh.position);
+            if (distance > this.scanRadius) continue;
+
+            // Visible if nothing is hit before it; a zero-size entry is never hit
+            const hit = index.raycast(
+                shipPosition.x, shipPosition.y, shipPosition.z,
+                asteroid.mesh.position.x - shipPosition.x,
+                asteroid.mesh.position.y - shipPosition.y,
+                asteroid.mesh.position.z - shipPosition.z,
+                distance,
+                SPATIAL_LAYER.ASTEROID,
+                isTargetable
+            );
+            if (!hit || hit.id === eid) {
+                nearby.push({ asteroid, distance });
             }
-            this.targetReticle.visible = false;
-            this.targetAsteroid = null;
-            
-            return false;
         }
+
+        return nearby;
     }
     
     cycleLockOnTarget(_direction?: number): Asteroid | null {
@@ -320,22 +377,10 @@ export class TargetingSystem {
             }
             
             // Find the closest asteroid with proper validation
-            let closestAsteroid = null;
-            let closestDistance = Infinity;
-            
-            for (const asteroid of asteroids) {
-                // Validate asteroid has required properties and is visible and minable
-                if (!asteroid || !asteroid.mesh || !asteroid.mesh.position || !asteroid.mesh.visible || !asteroid.minable) {
-                    continue;
-                }
-                
-                const distance = this.spaceship.mesh.position.distanceTo(asteroid.mesh.position);
-                
-                if (distance < closestDistance) {
-                    closestDistance = distance;
-                    closestAsteroid = asteroid;
-                }
-            }
+            const environment = game.environment;
+            const closestAsteroid = environment.getAsteroidByEid
+                ? this.findNearestIndexedAsteroid(environment)
+                : this.findNearestAsteroid(asteroids);
             
             if (closestAsteroid) {
                 console.log("TargetingSystem: Found nearest target:", closestAsteroid);
@@ -354,6 +399,37 @@ export class TargetingSystem {
         }
     }
     
+    private findNearestAsteroid(asteroids: Asteroid[]): Asteroid | null {
+        let closestAsteroid = null;
+        let closestDistance = Infinity;
+        
+        for (const asteroid of asteroids) {
+            // Validate asteroid has required properties and is visible and minable
+            if (!asteroid || !asteroid.mesh || !asteroid.mesh.position || !asteroid.mesh.visible || !asteroid.minable) {
+                continue;
+            }
+            
+            const distance = this.spaceship.mesh.position.distanceTo(asteroid.mesh.position);
+            
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestAsteroid = asteroid;
+            }
+        }
+        
+        return closestAsteroid;
+    }
+    
+    // The spatial index searches outward from the ship instead of checking every asteroid
+    private findNearestIndexedAsteroid(environment: Environment): Asteroid | null {
+        const position = this.spaceship.mesh.position;
+        const eid = getSpatialIndex().nearest(position.x, position.y, position.z, Infinity, SPATIAL_LAYER.ASTEROID, id => {
+            const asteroid = environment.getAsteroidByEid?.(id);
+            return !!asteroid && asteroid.mesh.visible && asteroid.minable;
+        });
+        return eid === -1 ? null : environment.getAsteroidByEid?.(eid) ?? null;
+    }
+    
     update(): void {
         // Only update scan radius every 30 frames for performance
         if (!this.scanRadiusCounter) this.scanRadiusCounter = 0;
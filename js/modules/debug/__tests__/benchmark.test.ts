@@ -0,0 +1,94 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  BENCHMARK_SCENARIOS,
+  BenchmarkRecorder,
+  compareToBaseline,
+  getBenchmarkScenarioFromUrl,
+  percentile,
+  sampleCameraPath,
+  summarizeFrameTimes,
+  type BenchmarkReport
+} from '../benchmark'
+
+function makeReport(overrides: Partial<BenchmarkReport> = {}): BenchmarkReport {
+  return {
+    version: 1,
+    scenario: 'belt',
+    label: 'test',
+    seed: 'test',
+    durationSeconds: 30,
+    startedAt: '',
+    userAgent: '',
+    renderer: 'SwiftShader',
+    frameTime: summarizeFrameTimes(Array(100).fill(16)),
+    simMs: { meanMs: 4, maxMs: 6 },
+    renderMs: { meanMs: 8, maxMs: 10 },
+    systems: {},
+    gc: { source: 'heap', count: 0, heapStartMB: null, heapEndMB: null, heapPeakMB: null },
+    pools: { hits: 90, misses: 10, hitRate: 0.9 },
+    ...overrides
+  }
+}
+
+describe('Benchmark', () => {
+  it('should read the scenario from the URL', () => {
+    expect(getBenchmarkScenarioFromUrl('?benchmark=horde&seed=x')).toBe(BENCHMARK_SCENARIOS.horde)
+    expect(getBenchmarkScenarioFromUrl('?seed=x')).toBeNull()
+
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    expect(getBenchmarkScenarioFromUrl('?benchmark=toString')).toBeNull()
+    expect(error).toHaveBeenCalled()
+    error.mockRestore()
+  })
+
+  it('should interpolate the camera path and hold at the ends', () => {
+    const path = [
+      { time: 0, position: { x: 0, y: 0, z: 0 }, lookAt: { x: 0, y: 0, z: -10 } },
+      { time: 10, position: { x: 100, y: 0, z: 0 }, lookAt: { x: 100, y: 0, z: -10 } }
+    ]
+
+    expect(sampleCameraPath(path, 5).position.x).toBe(50)
+    expect(sampleCameraPath(path, -1).position.x).toBe(0)
+    expect(sampleCameraPath(path, 20).lookAt.x).toBe(100)
+  })
+
+  it('should summarize frame times with nearest-rank percentiles', () => {
+    const frames = Array.from({ length: 100 }, (_, i) => i + 1)
+
+    expect(percentile(frames, 50)).toBe(50)
+    expect(percentile([], 50)).toBe(0)
+
+    const stats = summarizeFrameTimes(frames)
+    expect(stats).toMatchObject({ frames: 100, p50Ms: 50, p95Ms: 95, p99Ms: 99, maxMs: 100, meanMs: 50.5 })
+  })
+
+  it('should average system timings over recorded frames', () => {
+    const recorder = new BenchmarkRecorder()
+    recorder.recordFrame(16, 4, 10, { physics: 1, ecs: 2 })
+    recorder.recordFrame(20, 6, 12, { physics: 3 })
+
+    const summary = recorder.summarize()
+    expect(summary.frameTime.frames).toBe(2)
+    expect(summary.simMs).toEqual({ meanMs: 5, maxMs: 6 })
+    expect(summary.systems.physics).toEqual({ meanMs: 2, maxMs: 3 })
+    expect(summary.systems.ecs).toEqual({ meanMs: 1, maxMs: 2 })
+  })
+
+  it('should flag regressions beyond the tolerance but not timer noise', () => {
+    const baseline = makeReport()
+
+    expect(compareToBaseline(makeReport(), baseline)).toEqual([])
+
+    // +25% on p95 is a regression, +0.4 ms on render is noise
+    const slower = makeReport({
+      frameTime: { ...baseline.frameTime, p95Ms: 20 },
+      renderMs: { meanMs: 8.4, maxMs: 10 },
+      pools: { hits: 50, misses: 50, hitRate: 0.5 }
+    })
+    const regressions = compareToBaseline(slower, baseline)
+    expect(regressions.map(r => r.metric)).toEqual(['frameTime.p95Ms', 'pools.hitRate'])
+    expect(regressions[0].change).toBe(0.25)
+
+    expect(compareToBaseline(slower, baseline, 0.5).map(r => r.metric)).toEqual([])
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { EventRecorder, matchesEventFilter, snapshotPayload } from '../eventRecorder'
+
+describe('Event Recorder', () => {
+  it('should keep the newest events in a ring buffer', () => {
+    const recorder = new EventRecorder(3)
+    for (let i = 1; i <= 5; i++) {
+      recorder.record(`test.event${i}`, { i }, 1, 'main', i)
+    }
+
+    expect(recorder.getEvents().map(event => event.seq)).toEqual([3, 4, 5])
+    expect(recorder.export().dropped).toBe(2)
+
+    recorder.paused = true
+    recorder.record('test.event6', {}, 0, 'local', 6)
+    expect(recorder.getEvents()).toHaveLength(3)
+  })
+
+  it('should filter by type and count events per second while paused', () => {
+    const recorder = new EventRecorder()
+    recorder.record('player.damaged', {}, 2, 'main', 100)
+    recorder.record('world.preUpdate', {}, 0, 'local', 200)
+    recorder.paused = true
+    recorder.record('world.preUpdate', {}, 0, 'local', 300)
+
+    expect(recorder.getEvents('player enemy').map(event => event.type)).toEqual(['player.damaged'])
+    expect(recorder.getEvents('-world').map(event => event.type)).toEqual(['player.damaged'])
+    expect(matchesEventFilter('world.preUpdate', '')).toBe(true)
+
+    // Counts for second 0 are reported during second 1, then expire
+    expect(recorder.getEventsPerSecond(1500)).toEqual([
+      { type: 'world.preUpdate', perSecond: 2 },
+      { type: 'player.damaged', perSecond: 1 },
+    ])
+    expect(recorder.getEventsPerSecond(2500)).toEqual([])
+  })
+
+  it('should snapshot payloads as plain JSON', () => {
+    class Vector { constructor(public x: number, public y: number) {} }
+    const entity: Record<string, unknown> = { id: 'ship', position: new Vector(1, 2) }
+    entity.self = entity
+
+    const snapshot = snapshotPayload({ entity, list: new Array(20).fill(0), fn: () => 1, nan: NaN })
+    expect(snapshot).toEqual({
+      entity: { id: 'ship', position: { x: 1, y: 2, '@type': 'Vector' }, self: '[circular]' },
+      list: [...new Array(10).fill(0), '...10 more'],
+      fn: '[function]',
+      nan: 'NaN',
+    })
+    expect(() => JSON.stringify(snapshot)).not.toThrow()
+  })
+})
@@ -0,0 +1,324 @@
+// benchmark.ts - Benchmark scenarios, frame statistics and baseline comparison for ?benchmark=<scenario>
+// Pure data and maths; benchmarkRunner.ts drives the game and feeds the recorder
+
+export type BenchmarkScenarioId = 'belt' | 'horde' | 'transition';
+
+interface Vec3 {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export interface CameraKeyframe {
+  // Seconds from the start of the measured run
+  time: number;
+  position: Vec3;
+  lookAt: Vec3;
+}
+
+export interface BenchmarkScenario {
+  id: BenchmarkScenarioId;
+  label: string;
+  // Universe seed; also seeds Math.random for the run
+  seed: string;
+  // Frames in the warm-up are run but not measured
+  warmupSeconds: number;
+  durationSeconds: number;
+  // Drones spawned around the path start when the run begins
+  drones: number;
+  // Seconds into the run to jump to the first connected system, if any
+  transitionAt: number | null;
+  path: CameraKeyframe[];
+}
+
+export interface FrameTimeStats {
+  frames: number;
+  meanMs: number;
+  p50Ms: number;
+  p90Ms: number;
+  p95Ms: number;
+  p99Ms: number;
+  maxMs: number;
+  meanFps: number;
+}
+
+export interface SystemTiming {
+  meanMs: number;
+  maxMs: number;
+}
+
+export interface BenchmarkReport {
+  version: number;
+  scenario: BenchmarkScenarioId;
+  label: string;
+  seed: string;
+  durationSeconds: number;
+  startedAt: string;
+  userAgent: string;
+  // WebGL renderer string; SwiftShader/llvmpipe on software rendering
+  renderer: string;
+  frameTime: FrameTimeStats;
+  simMs: SystemTiming;
+  renderMs: SystemTiming;
+  // Per-frame time spent in each Game.update section
+  systems: Record<string, SystemTiming>;
+  gc: {
+    // 'observer' when the browser reports GC entries, 'heap' when counted from heap drops
+    source: 'observer' | 'heap' | 'unavailable';
+    count: number;
+    heapStartMB: number | null;
+    heapEndMB: number | null;
+    heapPeakMB: number | null;
+  };
+  pools: {
+    hits: number;
+    misses: number;
+    hitRate: number | null;
+  };
+}
+
+export interface BenchmarkRegression {
+  metric: string;
+  baseline: number;
+  current: number;
+  // Fractional change, positive when worse
+  change: number;
+}
+
+export const BENCHMARK_REPORT_VERSION = 1;
+
+// Allowed slowdown before a metric counts as a regression
+export const DEFAULT_REGRESSION_TOLERANCE = 0.15;
+// Changes smaller than this many ms are timer noise, whatever the percentage
+const MIN_REGRESSION_MS = 0.5;
+
+// The belt sits between radius 20000 and 28000 (see asteroidBelt.ts)
+const BELT_RADIUS = 24000;
+
+function beltPoint(angle: number, height: number): Vec3 {
+  return { x: Math.cos(angle) * BELT_RADIUS, y: height, z: Math.sin(angle) * BELT_RADIUS };
+}
+
+export const BENCHMARK_SCENARIOS: Record<BenchmarkScenarioId, BenchmarkScenario> = {
+  belt: {
+    id: 'belt',
+    label: 'Dense asteroid belt flythrough',
+    seed: 'benchmark-belt',
+    warmupSeconds: 3,
+    durationSeconds: 30,
+    drones: 0,
+    transitionAt: null,
+    path: [
+      { time: 0, position: beltPoint(0, 0), lookAt: beltPoint(0.05, 0) },
+      { time: 10, position: beltPoint(0.15, 300), lookAt: beltPoint(0.2, 0) },
+      { time: 20, position: beltPoint(0.3, -300), lookAt: beltPoint(0.35, 0) },
+      { time: 30, position: beltPoint(0.45, 0), lookAt: beltPoint(0.5, 0) }
+    ]
+  },
+  horde: {
+    id: 'horde',
+    label: '30-drone horde fight',
+    seed: 'benchmark-horde',
+    warmupSeconds: 3,
+    durationSeconds: 30,
+    drones: 30,
+    transitionAt: null,
+    path: [
+      { time: 0, position: { x: 0, y: 0, z: 6000 }, lookAt: { x: 0, y: 0, z: 5000 } },
+      { time: 10, position: { x: 1500, y: 200, z: 5000 }, lookAt: { x: 0, y: 0, z: 5000 } },
+      { time: 20, position: { x: 0, y: -200, z: 4000 }, lookAt: { x: 0, y: 0, z: 5000 } },
+      { time: 30, position: { x: -1500, y: 0, z: 5000 }, lookAt: { x: 0, y: 0, z: 5000 } }
+    ]
+  },
+  transition: {
+    id: 'transition',
+    label: 'System transition',
+    seed: 'benchmark-transition',
+    warmupSeconds: 3,
+    durationSeconds: 30,
+    drones: 0,
+    transitionAt: 5,
+    path: [
+      { time: 0, position: { x: 0, y: 500, z: 8000 }, lookAt: { x: 0, y: 0, z: 0 } },
+      { time: 30, position: { x: 4000, y: 500, z: 6000 }, lookAt: { x: 0, y: 0, z: 0 } }
+    ]
+  }
+};
+
+/**
+ * Scenario named by the ?benchmark= URL parameter
+ * @returns The scenario, or null if the parameter is missing or unknown
+ */
+export function getBenchmarkScenarioFromUrl(search: string): BenchmarkScenario | null {
+  const id = new URLSearchParams(search).get('benchmark');
+  if (!id) return null;
+  if (!Object.prototype.hasOwnProperty.call(BENCHMARK_SCENARIOS, id)) {
+    console.error(`Unknown benchmark scenario "${id}" (expected ${Object.keys(BENCHMARK_SCENARIOS).join(', ')})`);
+    return null;
+  }
+  return BENCHMARK_SCENARIOS[id as BenchmarkScenarioId];
+}
+
+/**
+ * Camera position and look target at a time along the path, linearly
+ * interpolated and held at the ends
+ */
+export function sampleCameraPath(path: CameraKeyframe[], time: number): { position: Vec3; lookAt: Vec3 } {
+  if (path.length === 0) {
+    return { position: { x: 0, y: 0, z: 0 }, lookAt: { x: 0, y: 0, z: -1 } };
+  }
+
+  let next = path.findIndex(frame => frame.time > time);
+  if (next === -1) next = path.length - 1;
+  const from = path[Math.max(0, next - 1)];
+  const to = path[next];
+  const span = to.time - from.time;
+  const t = span > 0 ? Math.min(1, Math.max(0, (time - from.time) / span)) : 1;
+
+  const lerp = (a: Vec3, b: Vec3): Vec3 => ({
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    z: a.z + (b.z - a.z) * t
+  });
+  return { position: lerp(from.position, to.position), lookAt: lerp(from.lookAt, to.lookAt) };
+}
+
+/**
+ * Nearest-rank percentile of values sorted ascending
+ */
+export function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+export function summarizeFrameTimes(frameTimes: number[]): FrameTimeStats {
+  const sorted = [...frameTimes].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const meanMs = sorted.length > 0 ? total / sorted.length : 0;
+
+  return {
+    frames: sorted.length,
+    meanMs: round(meanMs),
+    p50Ms: round(percentile(sorted, 50)),
+    p90Ms: round(percentile(sorted, 90)),
+    p95Ms: round(percentile(sorted, 95)),
+    p99Ms: round(percentile(sorted, 99)),
+    maxMs: round(sorted.length > 0 ? sorted[sorted.length - 1] : 0),
+    meanFps: round(meanMs > 0 ? 1000 / meanMs : 0)
+  };
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Accumulates measured frames for a report
+ */
+export class BenchmarkRecorder {
+  private frameTimes: number[];
+  private sim: { total: number; max: number };
+  private render: { total: number; max: number };
+  private systems: Map<string, { total: number; max: number }>;
+
+  constructor() {
+    this.frameTimes = [];
+    this.sim = { total: 0, max: 0 };
+    this.render = { total: 0, max: 0 };
+    this.systems = new Map();
+  }
+
+  get frames(): number {
+    return this.frameTimes.length;
+  }
+
+  /**
+   * Record one frame
+   * @param systems Milliseconds spent in each system this frame
+   */
+  recordFrame(frameMs: number, simMs: number, renderMs: number, systems: Record<string, number> = {}): void {
+    this.frameTimes.push(frameMs);
+    this.accumulate(this.sim, simMs);
+    this.accumulate(this.render, renderMs);
+
+    for (const name of Object.keys(systems)) {
+      let timing = this.systems.get(name);
+      if (!timing) {
+        timing = { total: 0, max: 0 };
+        this.systems.set(name, timing);
+      }
+      this.accumulate(timing, systems[name]);
+    }
+  }
+
+  /**
+   * Frame, sim, render and per-system statistics for the report
+   */
+  summarize(): Pick<BenchmarkReport, 'frameTime' | 'simMs' | 'renderMs' | 'systems'> {
+    const systems: Record<string, SystemTiming> = {};
+    for (const [name, timing] of this.systems) {
+      systems[name] = this.toTiming(timing);
+    }
+
+    return {
+      frameTime: summarizeFrameTimes(this.frameTimes),
+      simMs: this.toTiming(this.sim),
+      renderMs: this.toTiming(this.render),
+      systems
+    };
+  }
+
+  private accumulate(timing: { total: number; max: number }, value: number): void {
+    if (!Number.isFinite(value)) return;
+    timing.total += value;
+    timing.max = Math.max(timing.max, value);
+  }
+
+  private toTiming(timing: { total: number; max: number }): SystemTiming {
+    const frames = this.frameTimes.length;
+    return {
+      meanMs: round(frames > 0 ? timing.total / frames : 0),
+      maxMs: round(timing.max)
+    };
+  }
+}
+
+/**
+ * Metrics that got worse than the baseline by more than the tolerance.
+ * Frame-time percentiles and sim/render means regress when they grow,
+ * the pool hit rate when it drops.
+ */
+export function compareToBaseline(
+  report: BenchmarkReport,
+  baseline: BenchmarkReport,
+  tolerance: number = DEFAULT_REGRESSION_TOLERANCE
+): BenchmarkRegression[] {
+  const regressions: BenchmarkRegression[] = [];
+
+  const timings: Array<[string, number, number]> = [
+    ['frameTime.p50Ms', baseline.frameTime.p50Ms, report.frameTime.p50Ms],
+    ['frameTime.p95Ms', baseline.frameTime.p95Ms, report.frameTime.p95Ms],
+    ['frameTime.p99Ms', baseline.frameTime.p99Ms, report.frameTime.p99Ms],
+    ['simMs.meanMs', baseline.simMs.meanMs, report.simMs.meanMs],
+    ['renderMs.meanMs', baseline.renderMs.meanMs, report.renderMs.meanMs]
+  ];
+  for (const [metric, before, after] of timings) {
+    if (after - before <= MIN_REGRESSION_MS) continue;
+    const change = before > 0 ? (after - before) / before : Infinity;
+    if (change > tolerance) {
+      regressions.push({ metric, baseline: before, current: after, change: round(change) });
+    }
+  }
+
+  const beforeRate = baseline.pools.hitRate;
+  const afterRate = report.pools.hitRate;
+  if (beforeRate !== null && afterRate !== null && beforeRate > 0) {
+    const change = (beforeRate - afterRate) / beforeRate;
+    if (change > tolerance) {
+      regressions.push({ metric: 'pools.hitRate', baseline: beforeRate, current: afterRate, change: round(change) });
+    }
+  }
+
+  return regressions;
+}
@@ -0,0 +1,317 @@
+// benchmarkRunner.ts - Runs a ?benchmark=<scenario> session and publishes the report on window.__benchmarkReport
+// The ship flies the scenario's path with the chase camera behind it; nothing is read from input
+
+import * as THREE from 'three';
+import { mainMessageBus } from '../../globals/messageBus.ts';
+import { gameRandom, hashString, SeededRandom } from '../../globals/random.ts';
+import { spawnEnemyArchetype } from '../../ecs/systems/index';
+import {
+  BENCHMARK_REPORT_VERSION,
+  BenchmarkRecorder,
+  sampleCameraPath,
+  type BenchmarkReport,
+  type BenchmarkScenario
+} from './benchmark.ts';
+
+// How long to wait for combat and the asteroid belt to finish loading
+const WORLD_LOAD_TIMEOUT_MS = 20000;
+const WORLD_POLL_MS = 100;
+
+// Drones start in a shell this far from the path's first look target
+const DRONE_MIN_DISTANCE = 600;
+const DRONE_MAX_DISTANCE = 1500;
+
+type BenchmarkGame = {
+  spaceship?: {
+    mesh?: THREE.Object3D;
+    velocity?: THREE.Vector3;
+    isDocked: boolean;
+    undock: () => unknown;
+    hull: number;
+    maxHull: number;
+    shield: number;
+    maxShield: number;
+  };
+  environment?: {
+    componentsLoaded?: boolean;
+    travelToSystem?: (systemId: string) => boolean;
+    starSystemGenerator?: { getCurrentSystemConnections?: () => string[] };
+  };
+  ui?: {
+    startScreen?: { hide: () => void };
+    stargateInterface?: { hide: () => void };
+    showUI?: () => void;
+  };
+  combat?: unknown;
+  difficultyManager?: { params?: { enemyHealth: number; enemyDamage: number; enemySpeed: number } };
+  gameLoop?: { setFrameRateCap: (cap: number) => void };
+  renderer?: { renderer?: { getContext?: () => WebGLRenderingContext | WebGL2RenderingContext } };
+  benchmark?: BenchmarkRunner | null;
+};
+
+type PerformanceWithMemory = Performance & {
+  memory?: { usedJSHeapSize: number };
+};
+
+type BenchmarkState = 'loading' | 'warmup' | 'running' | 'finished';
+
+export class BenchmarkRunner {
+  game: BenchmarkGame;
+  scenario: BenchmarkScenario;
+  state: BenchmarkState;
+  private recorder: BenchmarkRecorder;
+  private phaseStart: number;
+  private startedAt: string;
+  private transitioned: boolean;
+  private originalRandom: (() => number) | null;
+  private gcStart: number;
+  private poolsStart: { hits: number; misses: number };
+  private heap: { start: number | null; last: number | null; peak: number | null; drops: number };
+  private matrix: THREE.Matrix4;
+  private eye: THREE.Vector3;
+  private target: THREE.Vector3;
+  private up: THREE.Vector3;
+
+  constructor(game: BenchmarkGame, scenario: BenchmarkScenario) {
+    this.game = game;
+    this.scenario = scenario;
+    this.state = 'loading';
+    this.recorder = new BenchmarkRecorder();
+    this.phaseStart = 0;
+    this.startedAt = '';
+    this.transitioned = false;
+    this.originalRandom = null;
+    this.gcStart = 0;
+    this.poolsStart = { hits: 0, misses: 0 };
+    this.heap = { start: null, last: null, peak: null, drops: 0 };
+    this.matrix = new THREE.Matrix4();
+    this.eye = new THREE.Vector3();
+    this.target = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
+  }
+
+  /**
+   * Wait for the world to load, set up the scene and start the warm-up
+   * @returns True if the run started
+   */
+  async start(): Promise<boolean> {
+    console.log(`[Benchmark] Loading "${this.scenario.label}" (seed ${this.scenario.seed})`);
+
+    const deadline = performance.now() + WORLD_LOAD_TIMEOUT_MS;
+    while (!this.isWorldReady()) {
+      if (performance.now() > deadline) {
+        console.error('[Benchmark] Timed out waiting for the world to load');
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, WORLD_POLL_MS));
+    }
+
+    this.setupScene();
+    this.game.benchmark = this;
+    this.state = 'warmup';
+    this.phaseStart = performance.now();
+    return true;
+  }
+
+  /**
+   * Called by the game loop before the frame's ticks
+   */
+  beginFrame(): void {
+    if (this.state !== 'warmup' && this.state !== 'running') return;
+
+    if (this.state === 'warmup' && (performance.now() - this.phaseStart) / 1000 >= this.scenario.warmupSeconds) {
+      this.startMeasuring();
+    }
+
+    // The ship holds at the start of the path during the warm-up
+    const runTime = this.state === 'running' ? (performance.now() - this.phaseStart) / 1000 : 0;
+    this.steerShip(runTime);
+
+    const { transitionAt } = this.scenario;
+    if (this.state === 'running' && transitionAt !== null && !this.transitioned && runTime >= transitionAt) {
+      this.transitioned = true;
+      this.travelToNeighbour();
+    }
+  }
+
+  /**
+   * Called by the game loop after the frame is rendered
+   */
+  endFrame(frameMs: number, simMs: number, renderMs: number): void {
+    if (this.state !== 'running') return;
+
+    this.recorder.recordFrame(frameMs, simMs, renderMs, window.__perf?.systems);
+    this.sampleHeap();
+
+    if ((performance.now() - this.phaseStart) / 1000 >= this.scenario.durationSeconds) {
+      this.finish();
+    }
+  }
+
+  private isWorldReady(): boolean {
+    return !!this.game.combat && !!this.game.spaceship?.mesh && !!this.game.environment?.componentsLoaded;
+  }
+
+  private setupScene(): void {
+    const perf = window.__perf;
+    if (perf) perf.enabled = true;
+
+    // Uncapped so the report measures the frame, not the cap
+    this.game.gameLoop?.setFrameRateCap(0);
+
+    // Same AI rolls on every run, as replays do
+    this.originalRandom = Math.random;
+    const random = new SeededRandom(hashString(this.scenario.seed));
+    Math.random = () => random.next();
+
+    const { ui, spaceship } = this.game;
+    ui?.startScreen?.hide();
+    if (spaceship?.isDocked) {
+      spaceship.undock();
+    }
+    ui?.stargateInterface?.hide();
+    ui?.showUI?.();
+
+    this.spawnDrones();
+    this.steerShip(0);
+  }
+
+  private spawnDrones(): void {
+    if (this.scenario.drones <= 0) return;
+
+    const params = this.game.difficultyManager?.params;
+    const base = {
+      health: params ? params.enemyHealth : 20,
+      damage: params ? params.enemyDamage : 15,
+      speed: params ? params.enemySpeed : 700
+    };
+    const random = gameRandom.stream('benchmark');
+    const center = this.scenario.path[0]?.lookAt ?? { x: 0, y: 0, z: 0 };
+
+    for (let i = 0; i < this.scenario.drones; i++) {
+      const direction = new THREE.Vector3(random.float(-1, 1), random.float(-1, 1), random.float(-1, 1)).normalize();
+      const distance = random.float(DRONE_MIN_DISTANCE, DRONE_MAX_DISTANCE);
+      spawnEnemyArchetype('drone', {
+        x: center.x + direction.x * distance,
+        y: center.y + direction.y * distance,
+        z: center.z + direction.z * distance
+      }, base, random);
+    }
+  }
+
+  private steerShip(time: number): void {
+    const spaceship = this.game.spaceship;
+    if (!spaceship?.mesh) return;
+
+    const { position, lookAt } = sampleCameraPath(this.scenario.path, time);
+    this.eye.set(position.x, position.y, position.z);
+    this.target.set(lookAt.x, lookAt.y, lookAt.z);
+
+    // Matrix4.lookAt points -Z, the ship's forward, at the target
+    this.matrix.lookAt(this.eye, this.target, this.up);
+    spaceship.mesh.position.copy(this.eye);
+    spaceship.mesh.quaternion.setFromRotationMatrix(this.matrix);
+    spaceship.velocity?.set(0, 0, 0);
+
+    // Drones are there to load the systems, not to end the run
+    spaceship.hull = spaceship.maxHull;
+    spaceship.shield = spaceship.maxShield;
+  }
+
+  private travelToNeighbour(): void {
+    const environment = this.game.environment;
+    const connections = environment?.starSystemGenerator?.getCurrentSystemConnections?.() ?? [];
+    if (!environment?.travelToSystem || connections.length === 0) {
+      console.warn('[Benchmark] No connected system to travel to');
+      return;
+    }
+    environment.travelToSystem(connections[0]);
+  }
+
+  private startMeasuring(): void {
+    const perf = window.__perf;
+    this.gcStart = perf?.gc ?? 0;
+    this.poolsStart = { ...(perf?.pools ?? { hits: 0, misses: 0 }) };
+    this.heap = { start: null, last: null, peak: null, drops: 0 };
+    this.sampleHeap();
+
+    this.startedAt = new Date().toISOString();
+    this.state = 'running';
+    this.phaseStart = performance.now();
+  }
+
+  // Chromium only reports heap size; a drop between frames is a collection
+  private sampleHeap(): void {
+    const used = (performance as PerformanceWithMemory).memory?.usedJSHeapSize;
+    if (used === undefined) return;
+
+    if (this.heap.start === null) this.heap.start = used;
+    if (this.heap.last !== null && used < this.heap.last) this.heap.drops++;
+    this.heap.peak = Math.max(this.heap.peak ?? used, used);
+    this.heap.last = used;
+  }
+
+  private finish(): void {
+    this.state = 'finished';
+    this.game.benchmark = null;
+    if (this.originalRandom) {
+      Math.random = this.originalRandom;
+      this.originalRandom = null;
+    }
+
+    const report = this.buildReport();
+    window.__benchmarkReport = report;
+
+    const { frameTime } = report;
+    console.log(`[Benchmark] ${this.scenario.id}: ${frameTime.frames} frames, p50 ${frameTime.p50Ms} ms, p95 ${frameTime.p95Ms} ms, p99 ${frameTime.p99Ms} ms`);
+    mainMessageBus.publish('ui.notification', {
+      message: `Benchmark finished: p95 frame ${frameTime.p95Ms} ms (report on window.__benchmarkReport)`,
+      type: 'success',
+      duration: 8000
+    });
+  }
+
+  private buildReport(): BenchmarkReport {
+    const perf = window.__perf;
+    const observedGc = (perf?.gc ?? 0) - this.gcStart;
+    const hits = (perf?.pools.hits ?? 0) - this.poolsStart.hits;
+    const misses = (perf?.pools.misses ?? 0) - this.poolsStart.misses;
+    const toMB = (bytes: number | null): number | null =>
+      bytes === null ? null : Math.round(bytes / 1048576 * 10) / 10;
+
+    return {
+      version: BENCHMARK_REPORT_VERSION,
+      scenario: this.scenario.id,
+      label: this.scenario.label,
+      seed: this.scenario.seed,
+      durationSeconds: this.scenario.durationSeconds,
+      startedAt: this.startedAt,
+      userAgent: navigator.userAgent,
+      renderer: this.getRendererName(),
+      ...this.recorder.summarize(),
+      gc: {
+        source: observedGc > 0 ? 'observer' : this.heap.start !== null ? 'heap' : 'unavailable',
+        count: observedGc > 0 ? observedGc : this.heap.drops,
+        heapStartMB: toMB(this.heap.start),
+        heapEndMB: toMB(this.heap.last),
+        heapPeakMB: toMB(this.heap.peak)
+      },
+      pools: {
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 1000 : null
+      }
+    };
+  }
+
+  private getRendererName(): string {
+    try {
+      const gl = this.game.renderer?.renderer?.getContext?.();
+      if (!gl) return 'unknown';
+      const info = gl.getExtension('WEBGL_debug_renderer_info');
+      return String(gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER));
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+}
@@ -0,0 +1,208 @@
+// eventInspector.ts - Live message bus inspector panel (F4), shown beside the perf overlay
+// Records traffic from every MessageBus while open; the buffer survives closing the panel
+
+import { MessageBus } from '../../core/messageBus.ts';
+import { isKnownEvent } from '../../core/events.ts';
+import { EventRecorder, type RecordedEvent } from './eventRecorder.ts';
+
+// Rows drawn in the list; the recorder keeps more for export
+const MAX_ROWS = 150;
+const MAX_RATE_ROWS = 8;
+
+export class EventInspector {
+  recorder: EventRecorder;
+  private panel: HTMLElement | null = null;
+  private removeTap: (() => void) | null = null;
+  private updateHzMs: number = 250;
+  private interval: number | null = null;
+  private filter: string = '';
+  private selectedSeq: number | null = null;
+
+  constructor(recorder: EventRecorder = new EventRecorder()) {
+    this.recorder = recorder;
+
+    document.addEventListener('keydown', (e: KeyboardEvent) => {
+      if (e.key === 'F4') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+  }
+
+  toggle(): void {
+    if (this.panel) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open(): void {
+    if (this.panel) return;
+
+    this.removeTap = MessageBus.addTap((bus, type, data, listeners) => {
+      const isMain = bus === (globalThis as { mainMessageBus?: MessageBus }).mainMessageBus;
+      this.recorder.record(type, data, listeners, isMain ? 'main' : 'local', performance.now());
+    });
+
+    this.createPanel();
+    this.renderOnce();
+    this.interval = window.setInterval(() => this.renderOnce(), this.updateHzMs);
+  }
+
+  close(): void {
+    if (this.removeTap) {
+      this.removeTap();
+      this.removeTap = null;
+    }
+    if (this.interval !== null) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.panel = null;
+  }
+
+  /**
+   * Download the recorded events (matching the current filter) as JSON
+   */
+  exportJSON(): void {
+    const json = JSON.stringify(this.recorder.export(this.filter), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `events-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  private createPanel(): void {
+    const el = document.createElement('div');
+    el.id = 'event-inspector';
+    el.style.position = 'fixed';
+    el.style.top = '8px';
+    el.style.right = '340px';
+    el.style.width = '420px';
+    el.style.maxHeight = '80vh';
+    el.style.display = 'flex';
+    el.style.flexDirection = 'column';
+    el.style.background = 'rgba(0,0,0,0.75)';
+    el.style.color = '#9ef7ff';
+    el.style.fontFamily = 'monospace';
+    el.style.fontSize = '11px';
+    el.style.lineHeight = '1.4';
+    el.style.padding = '8px 10px';
+    el.style.border = '1px solid rgba(158,247,255,0.3)';
+    el.style.borderRadius = '6px';
+    el.style.zIndex = '99999';
+    el.innerHTML =
+      `<div style="display:flex; gap:6px; align-items:center; margin-bottom:6px">` +
+      `<b style="flex:1">Event Inspector (F4)</b>` +
+      `<button data-action="pause">Pause</button>` +
+      `<button data-action="clear">Clear</button>` +
+      `<button data-action="export">Export JSON</button>` +
+      `</div>` +
+      `<input data-role="filter" type="text" placeholder="filter: player enemy -world" style="margin-bottom:6px; font:inherit">` +
+      `<div data-role="rates" style="margin-bottom:6px; border-bottom:1px solid rgba(158,247,255,.2)"></div>` +
+      `<div data-role="list" style="overflow-y:auto; flex:1; min-height:80px"></div>` +
+      `<pre data-role="payload" style="margin:6px 0 0; max-height:30vh; overflow:auto; white-space:pre-wrap; color:#fff"></pre>`;
+
+    // Keep typing in the filter from reaching the game controls
+    el.addEventListener('keydown', (e: KeyboardEvent) => {
+      if (e.key !== 'F4') e.stopPropagation();
+    });
+
+    el.addEventListener('click', (e: MouseEvent) => {
+      const target = e.target as HTMLElement;
+      const action = target.closest('[data-action]')?.getAttribute('data-action');
+      if (action === 'pause') {
+        this.recorder.paused = !this.recorder.paused;
+        target.textContent = this.recorder.paused ? 'Resume' : 'Pause';
+      } else if (action === 'clear') {
+        this.recorder.clear();
+        this.selectedSeq = null;
+      } else if (action === 'export') {
+        this.exportJSON();
+      }
+
+      const row = target.closest('[data-seq]');
+      if (row) {
+        this.selectedSeq = Number(row.getAttribute('data-seq'));
+      }
+      this.renderOnce();
+    });
+
+    const filterInput = el.querySelector('[data-role="filter"]') as HTMLInputElement;
+    filterInput.value = this.filter;
+    filterInput.addEventListener('input', () => {
+      this.filter = filterInput.value;
+      this.renderOnce();
+    });
+
+    document.body.appendChild(el);
+    this.panel = el;
+  }
+
+  private renderOnce(): void {
+    if (!this.panel) return;
+
+    const rates = this.panel.querySelector('[data-role="rates"]') as HTMLElement;
+    const list = this.panel.querySelector('[data-role="list"]') as HTMLElement;
+    const payload = this.panel.querySelector('[data-role="payload"]') as HTMLElement;
+
+    // Events per second, busiest first
+    rates.replaceChildren(...this.recorder.getEventsPerSecond(performance.now())
+      .slice(0, MAX_RATE_ROWS)
+      .map(({ type, perSecond }) => this.createLine(`${String(perSecond).padStart(4)}/s  ${type}`)));
+    if (!rates.firstChild) {
+      rates.appendChild(this.createLine('No events in the last second'));
+    }
+
+    // Newest first; the list only moves while recording
+    const events = this.recorder.getEvents(this.filter);
+    list.replaceChildren(...events.slice(-MAX_ROWS).reverse().map(event => this.createRow(event)));
+
+    const selected = events.find(event => event.seq === this.selectedSeq);
+    payload.textContent = selected
+      ? `#${selected.seq} ${selected.type} (${selected.bus} bus, ${selected.listeners} listeners)\n${JSON.stringify(selected.payload, null, 2)}`
+      : `${events.length} events${this.recorder.paused ? ' (paused)' : ''} - click one to inspect its payload`;
+  }
+
+  private createRow(event: RecordedEvent): HTMLElement {
+    const seconds = (event.time / 1000).toFixed(3);
+    const flags = [
+      event.bus === 'local' ? 'local' : '',
+      event.listeners === 0 ? 'no listeners' : '',
+      isKnownEvent(event.type) ? '' : 'undeclared'
+    ].filter(flag => flag).join(', ');
+
+    const row = this.createLine(`${seconds}  ${event.type}${flags ? `  [${flags}]` : ''}`);
+    row.setAttribute('data-seq', String(event.seq));
+    row.style.cursor = 'pointer';
+    row.style.whiteSpace = 'nowrap';
+    if (event.seq === this.selectedSeq) {
+      row.style.background = 'rgba(158,247,255,0.2)';
+    }
+    // Unheard and undeclared events are the usual suspects
+    if (flags.includes('no listeners') || flags.includes('undeclared')) {
+      row.style.color = '#ffcc66';
+    }
+    return row;
+  }
+
+  private createLine(text: string): HTMLElement {
+    const line = document.createElement('div');
+    line.textContent = text;
+    return line;
+  }
+}
+
+export function initEventInspector(): EventInspector {
+  // Create once, attach to window for console access
+  if (!window.__eventInspector) {
+    window.__eventInspector = new EventInspector();
+  }
+  return window.__eventInspector as EventInspector;
+}
@@ -0,0 +1,183 @@
+// eventRecorder.ts - Ring buffer of message bus traffic for the event inspector (F4)
+
+export interface RecordedEvent {
+  seq: number;
+  // Milliseconds, from the clock passed to record()
+  time: number;
+  type: string;
+  // 'main' for mainMessageBus, 'local' for world/game buses
+  bus: 'main' | 'local';
+  // Listeners the event was delivered to; 0 means nobody heard it
+  listeners: number;
+  // JSON-safe snapshot of the payload at publish time
+  payload: unknown;
+}
+
+export interface EventRecording {
+  exportedAt: string;
+  capacity: number;
+  // Events that fell out of the ring buffer before export
+  dropped: number;
+  events: RecordedEvent[];
+}
+
+export const DEFAULT_EVENT_CAPACITY = 500;
+
+// Payload snapshot limits; enough to inspect without copying whole scenes
+const MAX_DEPTH = 3;
+const MAX_KEYS = 16;
+const MAX_ITEMS = 10;
+const MAX_STRING = 200;
+
+/**
+ * Copy a payload into plain JSON data, cutting off deep, large or circular parts
+ */
+export function snapshotPayload(value: unknown, depth: number = 0, seen: Set<object> = new Set()): unknown {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+  if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}...` : value;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'function') return '[function]';
+  if (typeof value !== 'object') return String(value);
+
+  if (seen.has(value)) return '[circular]';
+  const name = value.constructor && value.constructor !== Object ? value.constructor.name : '';
+  if (depth >= MAX_DEPTH) return name ? `[${name}]` : Array.isArray(value) ? '[array]' : '[object]';
+
+  seen.add(value);
+  let snapshot: unknown;
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    const items = Array.from(value as ArrayLike<unknown>);
+    const copy = items.slice(0, MAX_ITEMS).map(item => snapshotPayload(item, depth + 1, seen));
+    if (items.length > MAX_ITEMS) copy.push(`...${items.length - MAX_ITEMS} more`);
+    snapshot = copy;
+  } else {
+    const copy: Record<string, unknown> = {};
+    const keys = Object.keys(value);
+    for (const key of keys.slice(0, MAX_KEYS)) {
+      copy[key] = snapshotPayload((value as Record<string, unknown>)[key], depth + 1, seen);
+    }
+    if (keys.length > MAX_KEYS) copy['...'] = `${keys.length - MAX_KEYS} more keys`;
+    if (name) copy['@type'] = name;
+    snapshot = copy;
+  }
+  seen.delete(value);
+  return snapshot;
+}
+
+/**
+ * Match an event type against a filter: space-separated terms, each a substring
+ * of the type; terms starting with '-' exclude matching types
+ */
+export function matchesEventFilter(type: string, filter: string): boolean {
+  const terms = filter.trim().split(/\s+/).filter(term => term.length > 0);
+  const includes = terms.filter(term => !term.startsWith('-'));
+  const excludes = terms.filter(term => term.startsWith('-') && term.length > 1).map(term => term.slice(1));
+
+  if (excludes.some(term => type.includes(term))) return false;
+  return includes.length === 0 || includes.some(term => type.includes(term));
+}
+
+export class EventRecorder {
+  readonly capacity: number;
+  paused: boolean;
+  private buffer: RecordedEvent[];
+  private start: number;
+  private seq: number;
+  private dropped: number;
+  // Per-type counts for the second in progress and the one before it
+  private bucket: number;
+  private currentCounts: Map<string, number>;
+  private lastCounts: Map<string, number>;
+
+  constructor(capacity: number = DEFAULT_EVENT_CAPACITY) {
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this.paused = false;
+    this.buffer = [];
+    this.start = 0;
+    this.seq = 0;
+    this.dropped = 0;
+    this.bucket = -1;
+    this.currentCounts = new Map();
+    this.lastCounts = new Map();
+  }
+
+  /**
+   * Count an event and, unless paused, store it
+   */
+  record(type: string, payload: unknown, listeners: number, bus: 'main' | 'local', time: number): void {
+    this.countRate(type, time);
+    if (this.paused) return;
+
+    const event: RecordedEvent = {
+      seq: ++this.seq,
+      time,
+      type,
+      bus,
+      listeners,
+      payload: snapshotPayload(payload)
+    };
+
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(event);
+    } else {
+      // Overwrite the oldest entry
+      this.buffer[this.start] = event;
+      this.start = (this.start + 1) % this.capacity;
+      this.dropped++;
+    }
+  }
+
+  /**
+   * Stored events, oldest first
+   * @param filter Optional type filter (see matchesEventFilter)
+   */
+  getEvents(filter: string = ''): RecordedEvent[] {
+    const ordered = [...this.buffer.slice(this.start), ...this.buffer.slice(0, this.start)];
+    return filter.trim() ? ordered.filter(event => matchesEventFilter(event.type, filter)) : ordered;
+  }
+
+  /**
+   * Events per second by type over the last full second, busiest first
+   * @param now Current time on the same clock as record()
+   */
+  getEventsPerSecond(now: number): Array<{ type: string; perSecond: number }> {
+    const bucket = Math.floor(now / 1000);
+    const counts = bucket === this.bucket ? this.lastCounts
+      : bucket === this.bucket + 1 ? this.currentCounts
+      : new Map<string, number>();
+
+    return [...counts.entries()]
+      .map(([type, perSecond]) => ({ type, perSecond }))
+      .sort((a, b) => b.perSecond - a.perSecond || a.type.localeCompare(b.type));
+  }
+
+  clear(): void {
+    this.buffer = [];
+    this.start = 0;
+    this.dropped = 0;
+  }
+
+  /**
+   * Recording for JSON export
+   * @param filter Optional type filter; only matching events are exported
+   */
+  export(filter: string = ''): EventRecording {
+    return {
+      exportedAt: new Date().toISOString(),
+      capacity: this.capacity,
+      dropped: this.dropped,
+      events: this.getEvents(filter)
+    };
+  }
+
+  private countRate(type: string, time: number): void {
+    const bucket = Math.floor(time / 1000);
+    if (bucket !== this.bucket) {
+      this.lastCounts = bucket === this.bucket + 1 ? this.currentCounts : new Map();
+      this.currentCounts = new Map();
+      this.bucket = bucket;
+    }
+    this.currentCounts.set(type, (this.currentCounts.get(type) || 0) + 1);
+  }
+}
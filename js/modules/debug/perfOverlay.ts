@@ -108,7 +108,7 @@ export class PerfOverlay {
 
   private renderContent(): string {
     const p = this.ensurePerf();
-    const systems = p.systems ? Object.entries(p.systems).slice(0, 8) : [];
+    const systems = p.systems ? Object.entries(p.systems).slice(0, 12) : [];
     const sysHtml = systems.map(([k,v]) => `<div>${k}: ${Number(v).toFixed(2)} ms</div>`).join('');
     return (
       `<div style=\"opacity:.85\">` +
@@ -1,6 +1,8 @@
 // environment.ts - Main environment class that integrates all environment components
 
 import * as THREE from 'three';
+import { EVENT } from '../core/events.ts';
+import { mainMessageBus } from '../globals/messageBus.ts';
 import { SceneInitializer } from './environment/core/sceneInitializer.js';
 import { RegionManager } from './environment/core/regionManager.js';
 import { SystemTransitionManager } from './environment/core/systemTransitionManager.js';
@@ -13,6 +15,7 @@ interface EnvironmentComponents {
     stargate?: any;
     asteroidBelt?: any;
     spaceAnomalies?: any;
+    environmentalHazards?: any;
     systemTransition?: any;
     customSystemCreator?: any;
 }
@@ -32,6 +35,7 @@ export class Environment {
     stargate: any;
     asteroidBelt: any;
     spaceAnomalies: any;
+    environmentalHazards: any;
     systemTransition: any;
     customSystemCreator: any;
     
@@ -104,6 +108,7 @@ export class Environment {
             this.regionManager
         );
         this.currentSystemId = this.transitionManager.getCurrentSystemId();
+        mainMessageBus.publish(EVENT.SYSTEM_ENTERED, { systemId });
     }
     
     // Get the player's current location based on position
@@ -129,6 +134,14 @@ export class Environment {
         return null;
     }
     
+    // Find the asteroid for a bitECS entity ID (from spatial index queries)
+    getAsteroidByEid(eid: number): any {
+        if (this.asteroidBelt && typeof this.asteroidBelt.getAsteroidByEid === 'function') {
+            return this.asteroidBelt.getAsteroidByEid(eid);
+        }
+        return null;
+    }
+    
     // Find the closest space anomaly
     findClosestAnomaly(position: THREE.Vector3, maxDistance: number): any {
         if (this.componentsLoaded && this.spaceAnomalies && typeof this.spaceAnomalies.findClosestAnomaly === 'function') {
@@ -193,6 +206,11 @@ export class Environment {
             if (this.spaceAnomalies && typeof this.spaceAnomalies.update === 'function') {
                 this.spaceAnomalies.update(deltaTime, camera);
             }
+
+            // Update environmental hazards
+            if (this.environmentalHazards && typeof this.environmentalHazards.update === 'function') {
+                this.environmentalHazards.update(deltaTime);
+            }
             
             // Update vibe verse portals
             if (this.vibeVersePortals && typeof this.vibeVersePortals.update === 'function') {
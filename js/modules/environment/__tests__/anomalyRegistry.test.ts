@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest'
+import * as THREE from 'three'
+import {
+  AnomalyRegistry,
+  getAnomalySpawnWeights,
+  getRegisteredAnomalyTypes,
+  pickAnomalyType,
+  registerAnomalyType,
+  unregisterAnomalyType,
+  type AnomalyEffectContext
+} from '../anomalies/anomalyRegistry'
+import { VortexAnomaly } from '../anomalies/vortex'
+import { DarkMatterAnomaly } from '../anomalies/darkMatter'
+import { NebulaNexusAnomaly } from '../anomalies/nebulaNexus'
+import { QuantumFluxAnomaly } from '../anomalies/quantumFlux'
+import { SeededRandom } from '../../../globals/random'
+
+function makeContext(overrides: Partial<AnomalyEffectContext> = {}): AnomalyEffectContext {
+  return {
+    shipPosition: new THREE.Vector3(),
+    distance: 0,
+    deltaTime: 1,
+    entered: false,
+    random: new SeededRandom(1),
+    pull: vi.fn(),
+    drainShield: vi.fn(),
+    teleport: vi.fn(),
+    scrambleHud: vi.fn(),
+    cloak: vi.fn(),
+    notify: vi.fn(),
+    ...overrides
+  }
+}
+
+const scene = new THREE.Scene()
+
+describe('Anomaly registry', () => {
+  it('should register the built-in types with classification weights', () => {
+    expect(getRegisteredAnomalyTypes()).toEqual(['vortex', 'crystalCluster', 'nebulaNexus', 'quantumFlux', 'darkMatter'])
+
+    expect(getAnomalySpawnWeights('Home System').darkMatter).toBe(0)
+    expect(getAnomalySpawnWeights('Unstable').vortex).toBe(getAnomalySpawnWeights().vortex * 2)
+    expect(getAnomalySpawnWeights('Unknown Class')).toEqual(getAnomalySpawnWeights())
+
+    const random = new SeededRandom(3)
+    const homePicks = Array.from({ length: 50 }, () => pickAnomalyType(random, 'Home System'))
+    expect(homePicks).not.toContain('darkMatter')
+    expect(new Set(homePicks).size).toBe(4)
+  })
+
+  it('should spawn types registered after the registry was built', () => {
+    const registry = new AnomalyRegistry(scene)
+    const create = vi.fn((position: THREE.Vector3) => ({ type: 'beacon', position, mesh: new THREE.Group() }))
+    const affect = vi.fn()
+
+    expect(registerAnomalyType('beacon', { create: () => ({ create, affect }), classificationWeights: { Custom: 0 } })).toBe(true)
+    expect(registry.isTypeSupported('beacon')).toBe(true)
+
+    const builtIns = ['vortex', 'crystalCluster', 'nebulaNexus', 'quantumFlux', 'darkMatter']
+    expect(pickAnomalyType(new SeededRandom(1), null, builtIns)).toBe('beacon')
+    expect(pickAnomalyType(new SeededRandom(1), 'Custom', builtIns)).toBeNull()
+
+    const anomaly = registry.createAnomaly('beacon', new THREE.Vector3(1, 2, 3), vi.fn(), vi.fn(), vi.fn())
+    expect(anomaly.position.x).toBe(1)
+    registry.affectShip(anomaly, makeContext())
+    expect(affect).toHaveBeenCalledTimes(1)
+
+    expect(unregisterAnomalyType('beacon')).toBe(true)
+    expect(registry.isTypeSupported('beacon')).toBe(false)
+
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    expect(registerAnomalyType('broken', { create: () => ({ create }), spawnWeight: -1 })).toBe(false)
+    expect(getRegisteredAnomalyTypes()).not.toContain('broken')
+    error.mockRestore()
+  })
+
+  it('should pull the ship toward a vortex core, harder near the centre', () => {
+    const vortex = new VortexAnomaly(scene)
+    const anomaly = { position: new THREE.Vector3(0, 0, 0), fieldRadius: 6000 } as any
+    const pulls: THREE.Vector3[] = []
+
+    for (const distance of [1000, 5000]) {
+      vortex.affect(anomaly, makeContext({
+        shipPosition: new THREE.Vector3(distance, 0, 0),
+        distance,
+        pull: acceleration => pulls.push(acceleration.clone())
+      }))
+    }
+
+    expect(pulls[0].x).toBeLessThan(0)
+    expect(pulls[0].length()).toBeGreaterThan(pulls[1].length())
+    expect(pulls[0].length()).toBeLessThan(0.5) // Always weaker than thrust
+  })
+
+  it('should drain shields in dark matter and cloak inside a nebula nexus', () => {
+    const context = makeContext({ deltaTime: 0.5, entered: true })
+    new DarkMatterAnomaly(scene).affect({} as any, context)
+    expect(context.drainShield).toHaveBeenCalledWith(4)
+    expect(context.notify).toHaveBeenCalledTimes(1)
+
+    new NebulaNexusAnomaly(scene).affect({} as any, context)
+    expect(context.cloak).toHaveBeenCalled()
+  })
+
+  it('should fire a quantum flux event once per interval', () => {
+    const flux = new QuantumFluxAnomaly(scene)
+    const anomaly = { fluxTimer: 0 } as any
+    const context = makeContext({ deltaTime: 1, random: new SeededRandom(5) })
+
+    for (let i = 0; i < 3; i++) flux.affect(anomaly, context)
+    expect(context.teleport).not.toHaveBeenCalled()
+    expect(context.scrambleHud).not.toHaveBeenCalled()
+
+    for (let i = 0; i < 37; i++) flux.affect(anomaly, context)
+    const teleports = vi.mocked(context.teleport).mock.calls.length
+    const scrambles = vi.mocked(context.scrambleHud).mock.calls.length
+    expect(teleports + scrambles).toBe(10)
+    expect(teleports).toBeGreaterThan(0)
+    expect(scrambles).toBeGreaterThan(0)
+
+    const target = vi.mocked(context.teleport).mock.calls[0][0]
+    expect(target.length()).toBeGreaterThanOrEqual(1500)
+  })
+})
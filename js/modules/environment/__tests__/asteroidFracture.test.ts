@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { planFragments, MIN_FRAGMENT_SIZE, MAX_FRAGMENT_GENERATION } from '../asteroidFracture'
+import { SeededRandom } from '../../../globals/random'
+
+describe('Asteroid fracture', () => {
+  it('should split an asteroid into drifting fragments that share its yield', () => {
+    const fragments = planFragments({ size: 200, resourceType: 'platinum' }, 'weapon', new SeededRandom(4))
+
+    expect(fragments.length).toBeGreaterThanOrEqual(2)
+    expect(fragments.length).toBeLessThanOrEqual(4)
+    for (const fragment of fragments) {
+      expect(fragment.size).toBeLessThan(200)
+      expect(fragment.size).toBeGreaterThanOrEqual(MIN_FRAGMENT_SIZE)
+      expect(fragment.direction.length()).toBeCloseTo(1)
+      expect(fragment.speed).toBeGreaterThan(0)
+      expect(fragment.generation).toBe(1)
+      expect(fragment.resourceType).toBe('platinum')
+    }
+
+    const total = fragments.reduce((sum, fragment) => sum + fragment.yieldMultiplier, 0)
+    expect(total).toBeCloseTo(0.8)
+    // Yields vary between fragments
+    expect(new Set(fragments.map(fragment => fragment.yieldMultiplier.toFixed(3))).size).toBeGreaterThan(1)
+  })
+
+  it('should leave less in the rubble of a mined-out asteroid than a shattered one', () => {
+    const mined = planFragments({ size: 200, resourceType: 'iron' }, 'mined', new SeededRandom(9))
+    const total = mined.reduce((sum, fragment) => sum + fragment.yieldMultiplier, 0)
+    expect(total).toBeCloseTo(0.5)
+  })
+
+  it('should sometimes crack iron open onto a gold core', () => {
+    const random = new SeededRandom(12)
+    const types = Array.from({ length: 40 }, () => planFragments({ size: 200, resourceType: 'iron' }, 'weapon', random))
+      .flat()
+      .map(fragment => fragment.resourceType)
+
+    expect(types).toContain('gold')
+    expect(types.filter(type => type === 'iron').length).toBeGreaterThan(types.length / 2)
+  })
+
+  it('should stop splitting small or already fractured pieces', () => {
+    const random = new SeededRandom(1)
+    expect(planFragments({ size: MIN_FRAGMENT_SIZE, resourceType: 'iron' }, 'weapon', random)).toEqual([])
+    expect(planFragments({ size: 200, resourceType: 'iron', generation: MAX_FRAGMENT_GENERATION }, 'weapon', random)).toEqual([])
+  })
+})
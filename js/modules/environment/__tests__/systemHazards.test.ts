@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import * as THREE from 'three'
+import { describeHazards, getSystemHazards, isShelteredFromStar } from '../hazards/systemHazards'
+import { gameRandom } from '../../../globals/random'
+
+const systemIds = Array.from({ length: 40 }, (_, i) => `System-${i}`)
+
+describe('System hazards', () => {
+  beforeEach(() => {
+    gameRandom.setSeed('hazard-test')
+  })
+
+  it('should roll the same hazards for the same seed and system', () => {
+    const first = systemIds.map(id => getSystemHazards({ id, classification: 'Unstable' }))
+    gameRandom.setSeed('hazard-test')
+    expect(systemIds.map(id => getSystemHazards({ id, classification: 'Unstable' }))).toEqual(first)
+
+    gameRandom.setSeed('another-seed')
+    expect(systemIds.map(id => getSystemHazards({ id, classification: 'Unstable' }))).not.toEqual(first)
+  })
+
+  it('should keep safe classifications free of hazards', () => {
+    for (const id of systemIds) {
+      expect(getSystemHazards({ id, classification: 'Home System' })).toEqual([])
+      expect(getSystemHazards({ id, classification: 'Peaceful' })).toEqual([])
+    }
+  })
+
+  it('should give hazardous systems more, and more severe, hazards', () => {
+    const hazardous = systemIds.flatMap(id => getSystemHazards({ id, classification: 'Hazardous' }))
+    const barren = systemIds.flatMap(id => getSystemHazards({ id, classification: 'Barren' }))
+
+    expect(hazardous.length).toBeGreaterThan(barren.length)
+    expect(hazardous.every(hazard => hazard.severity >= 2 && hazard.severity <= 3)).toBe(true)
+    expect(barren.every(hazard => hazard.type === 'solarFlare' || hazard.type === 'meteorShower')).toBe(true)
+    expect(hazardous.filter(hazard => hazard.type === 'radiation').every(hazard => hazard.planetIndex !== undefined)).toBe(true)
+  })
+
+  it('should describe hazards for the star map', () => {
+    expect(describeHazards([{ type: 'ionStorm', severity: 2 }])).toEqual([
+      'Ion storms (strong): passing storms cut scanner and radar range'
+    ])
+    expect(describeHazards([])).toEqual([])
+  })
+
+  it('should shelter ships in a planet\'s shadow', () => {
+    const star = new THREE.Vector3(0, 0, 0)
+    const planet = [{ position: new THREE.Vector3(10000, 0, 0), radius: 800 }]
+
+    expect(isShelteredFromStar(new THREE.Vector3(12000, 0, 300), star, planet)).toBe(true)
+    expect(isShelteredFromStar(new THREE.Vector3(12000, 0, 3000), star, planet)).toBe(false)
+    // A planet behind the ship casts no shadow on it
+    expect(isShelteredFromStar(new THREE.Vector3(8000, 0, 0), star, planet)).toBe(false)
+  })
+})
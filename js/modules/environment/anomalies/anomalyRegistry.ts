@@ -1,10 +1,12 @@
 // anomalyRegistry.ts - Registry and factory for space anomalies
+// Anomaly types are registered through registerAnomalyType; the built-in five are registered at the bottom
 
 import { VortexAnomaly } from './vortex';
 import { CrystalClusterAnomaly } from './crystalCluster';
 import { NebulaNexusAnomaly } from './nebulaNexus';
 import { QuantumFluxAnomaly } from './quantumFlux';
 import { DarkMatterAnomaly } from './darkMatter';
+import type { SeededRandom } from '../../../globals/random.ts';
 import * as THREE from 'three';
 
 // Callback type definitions
@@ -16,8 +18,25 @@ type CreateEnergyOrbCallback = (rarity: string) => EnergyOrbData;
 type GetRandomOrbRarityCallback = () => string;
 type AddToSceneCallback = (object: THREE.Object3D) => void;
 
+/**
+ * What an anomaly can read from and do to the ship while it is inside the anomaly's field
+ */
+export interface AnomalyEffectContext {
+    shipPosition: THREE.Vector3;
+    distance: number;        // Ship to anomaly centre
+    deltaTime: number;
+    entered: boolean;        // True on the first frame inside the field
+    random: SeededRandom;
+    pull(acceleration: THREE.Vector3): void;   // Units/frame per frame, applied on the next physics step
+    drainShield(amount: number): void;
+    teleport(position: THREE.Vector3): void;
+    scrambleHud(duration: number): void;       // Seconds
+    cloak(): void;                             // Hidden from enemy detection this frame
+    notify(message: string, type?: string): void;
+}
+
 // Define a common interface for anomaly classes
-interface BaseAnomaly {
+export interface BaseAnomaly {
     create(
         position: THREE.Vector3,
         createEnergyOrbCallback: CreateEnergyOrbCallback,
@@ -26,21 +45,111 @@ interface BaseAnomaly {
     ): any;
     update?(anomaly: any, deltaTime: number): void;
     cleanup?(anomaly: any): void;
+    // Called each frame the ship is within the anomaly's fieldRadius
+    affect?(anomaly: any, context: AnomalyEffectContext): void;
+}
+
+export type AnomalyFactory = (scene: THREE.Scene, anomalyScale: number, orbScale: number) => BaseAnomaly;
+
+export interface AnomalyTypeDefinition {
+    create: AnomalyFactory;
+    spawnWeight?: number;                                   // Relative spawn weight, default 1
+    classificationWeights?: Partial<Record<string, number>>; // Multipliers by system classification
+}
+
+const anomalyDefinitions = new Map<string, AnomalyTypeDefinition>();
+
+/**
+ * Register an anomaly type, replacing any type of the same name
+ * @param type - Name stored on the anomaly data's type field
+ * @param definition - Factory and spawn weights
+ * @returns True if the type was registered
+ */
+export function registerAnomalyType(type: string, definition: AnomalyTypeDefinition): boolean {
+    if (!type || typeof definition?.create !== 'function') {
+        console.error(`Invalid anomaly type definition: ${type}`);
+        return false;
+    }
+    if (definition.spawnWeight !== undefined && !(definition.spawnWeight >= 0)) {
+        console.error(`Invalid spawn weight for anomaly type ${type}: ${definition.spawnWeight}`);
+        return false;
+    }
+
+    anomalyDefinitions.set(type, definition);
+    return true;
+}
+
+/**
+ * Remove a registered anomaly type; anomalies of that type already in space are unaffected
+ * @returns True if the type was registered
+ */
+export function unregisterAnomalyType(type: string): boolean {
+    return anomalyDefinitions.delete(type);
+}
+
+/**
+ * Get all registered anomaly type names
+ */
+export function getRegisteredAnomalyTypes(): string[] {
+    return [...anomalyDefinitions.keys()];
+}
+
+/**
+ * Relative spawn weight of each registered anomaly type
+ * @param classification Current system's classification, if known
+ */
+export function getAnomalySpawnWeights(classification: string | null = null): Record<string, number> {
+    const weights: Record<string, number> = {};
+
+    for (const [type, definition] of anomalyDefinitions) {
+        const multiplier = classification ? definition.classificationWeights?.[classification] : undefined;
+        weights[type] = (definition.spawnWeight ?? 1) * (multiplier !== undefined ? multiplier : 1);
+    }
+
+    return weights;
+}
+
+/**
+ * Pick an anomaly type for the next spawn
+ * @param exclude Types that may not be picked (e.g. already present)
+ * @returns The type, or null if every type is excluded or weighted zero
+ */
+export function pickAnomalyType(random: SeededRandom, classification: string | null = null, exclude: string[] = []): string | null {
+    const weights = getAnomalySpawnWeights(classification);
+    const types = Object.keys(weights).filter(type => weights[type] > 0 && !exclude.includes(type));
+    const total = types.reduce((sum, type) => sum + weights[type], 0);
+    if (total <= 0) return null;
+
+    let roll = random.next() * total;
+    for (const type of types) {
+        roll -= weights[type];
+        if (roll < 0) return type;
+    }
+    return types[types.length - 1];
 }
 
 export class AnomalyRegistry {
     private anomalyTypes: { [key: string]: BaseAnomaly };
+    private scene: THREE.Scene;
+    private anomalyScale: number;
+    private orbScale: number;
 
     constructor(_scene: THREE.Scene, _anomalyScale: number = 4, _orbScale: number = 4) {
-        
-        // Initialize anomaly implementations
-        this.anomalyTypes = {
-            'vortex': new VortexAnomaly(_scene, _anomalyScale, _orbScale),
-            'crystalCluster': new CrystalClusterAnomaly(_scene, _anomalyScale, _orbScale),
-            'nebulaNexus': new NebulaNexusAnomaly(_scene, _anomalyScale, _orbScale),
-            'quantumFlux': new QuantumFluxAnomaly(_scene, _anomalyScale, _orbScale),
-            'darkMatter': new DarkMatterAnomaly(_scene, _anomalyScale, _orbScale)
-        };
+        this.scene = _scene;
+        this.anomalyScale = _anomalyScale;
+        this.orbScale = _orbScale;
+
+        // Implementations are created on first use, so types registered later still work
+        this.anomalyTypes = {};
+    }
+
+    private getImplementation(type: string): BaseAnomaly | null {
+        if (!this.anomalyTypes[type]) {
+            const definition = anomalyDefinitions.get(type);
+            if (!definition) return null;
+            this.anomalyTypes[type] = definition.create(this.scene, this.anomalyScale, this.orbScale);
+        }
+        return this.anomalyTypes[type];
     }
 
     /**
@@ -59,7 +168,7 @@ export class AnomalyRegistry {
         getRandomOrbRarityCallback: GetRandomOrbRarityCallback,
         addToSceneCallback: AddToSceneCallback
     ): any {
-        const anomalyClass = this.anomalyTypes[type];
+        const anomalyClass = this.getImplementation(type);
         if (!anomalyClass) {
             throw new Error(`Unknown anomaly type: ${type}`);
         }
@@ -79,6 +188,18 @@ export class AnomalyRegistry {
         }
     }
 
+    /**
+     * Apply an anomaly's effect to the ship inside its field
+     * @param anomaly - The anomaly acting on the ship
+     * @param context - Ship state and the actions the effect may take
+     */
+    affectShip(anomaly: any, context: AnomalyEffectContext): void {
+        const anomalyClass = this.anomalyTypes[anomaly.type];
+        if (anomalyClass && typeof anomalyClass.affect === 'function') {
+            anomalyClass.affect(anomaly, context);
+        }
+    }
+
     /**
      * Clean up an anomaly of the specified type
      * @param anomaly - The anomaly to clean up
@@ -95,7 +216,7 @@ export class AnomalyRegistry {
      * @returns Array of anomaly type names
      */
     getAvailableTypes(): string[] {
-        return Object.keys(this.anomalyTypes);
+        return getRegisteredAnomalyTypes();
     }
 
     /**
@@ -104,6 +225,29 @@ export class AnomalyRegistry {
      * @returns True if the type is supported
      */
     isTypeSupported(type: string): boolean {
-        return type in this.anomalyTypes;
+        return anomalyDefinitions.has(type);
     }
-}
\ No newline at end of file
+}
+
+// Built-in anomaly types
+registerAnomalyType('vortex', {
+    create: (scene, anomalyScale, orbScale) => new VortexAnomaly(scene, anomalyScale, orbScale),
+    classificationWeights: { 'Home System': 0.5, 'Peaceful': 0.5, 'Unstable': 2, 'Hazardous': 1.5 }
+});
+registerAnomalyType('crystalCluster', {
+    create: (scene, anomalyScale, orbScale) => new CrystalClusterAnomaly(scene, anomalyScale, orbScale),
+    classificationWeights: { 'Resource-Rich': 2, 'Barren': 0.5 }
+});
+registerAnomalyType('nebulaNexus', {
+    create: (scene, anomalyScale, orbScale) => new NebulaNexusAnomaly(scene, anomalyScale, orbScale),
+    classificationWeights: { 'Peaceful': 1.5, 'Ancient': 2 }
+});
+registerAnomalyType('quantumFlux', {
+    create: (scene, anomalyScale, orbScale) => new QuantumFluxAnomaly(scene, anomalyScale, orbScale),
+    classificationWeights: { 'Home System': 0.25, 'Ancient': 1.5, 'Unstable': 2 }
+});
+registerAnomalyType('darkMatter', {
+    create: (scene, anomalyScale, orbScale) => new DarkMatterAnomaly(scene, anomalyScale, orbScale),
+    spawnWeight: 0.75,
+    classificationWeights: { 'Home System': 0, 'Peaceful': 0.5, 'Barren': 1.5, 'Hazardous': 2 }
+});
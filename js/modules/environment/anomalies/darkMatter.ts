@@ -1,6 +1,11 @@
 // darkMatter.ts - Dark matter anomaly with gravitational lensing effects
 
 import * as THREE from 'three';
+import type { AnomalyEffectContext } from './anomalyRegistry';
+
+// Shields drain while the ship is inside the field
+const DARK_MATTER_FIELD_RADIUS = 3500;
+const DARK_MATTER_SHIELD_DRAIN = 8; // Per second
 
 interface RingData {
     mesh: THREE.Mesh;
@@ -35,6 +40,7 @@ interface DarkMatterAnomalyData {
     particles: ParticleData;
     orb: EnergyOrbData;
     collisionRadius: number;
+    fieldRadius: number;
     orbCollected: boolean;
     rotationSpeed: THREE.Vector3;
 }
@@ -193,6 +199,7 @@ export class DarkMatterAnomaly {
             },
             orb: orb,
             collisionRadius: 200, // Overall collision size
+            fieldRadius: DARK_MATTER_FIELD_RADIUS,
             orbCollected: false,
             rotationSpeed: new THREE.Vector3(0.0002, 0.0003, 0.0001)
         };
@@ -271,6 +278,13 @@ export class DarkMatterAnomaly {
         (anomaly.particles.mesh.geometry.attributes.position as THREE.BufferAttribute).needsUpdate = true;
     }
 
+    affect(_anomaly: DarkMatterAnomalyData, context: AnomalyEffectContext): void {
+        if (context.entered) {
+            context.notify('Dark matter field: shields draining', 'warning');
+        }
+        context.drainShield(DARK_MATTER_SHIELD_DRAIN * context.deltaTime);
+    }
+
     cleanup(anomaly: DarkMatterAnomalyData): void {
         // Clean up core, rings, and particles
         if (anomaly.core && anomaly.core.mesh) {
@@ -1,6 +1,10 @@
 // nebulaNexus.ts - Nebula nexus anomaly with crystalline rings and energy arcs
 
 import * as THREE from 'three';
+import type { AnomalyEffectContext } from './anomalyRegistry';
+
+// Enemies can't detect a ship inside the nebula
+const NEBULA_NEXUS_FIELD_RADIUS = 4000;
 
 interface CrystalData {
     mesh: THREE.Mesh;
@@ -42,6 +46,7 @@ interface NebulaNexusAnomalyData {
     arcs: ArcData[];
     orb: EnergyOrbData;
     collisionRadius: number;
+    fieldRadius: number;
     orbCollected: boolean;
     rotationSpeed: THREE.Vector3;
 }
@@ -244,6 +249,7 @@ export class NebulaNexusAnomaly {
             arcs: arcs,
             orb: orb,
             collisionRadius: 250,
+            fieldRadius: NEBULA_NEXUS_FIELD_RADIUS,
             orbCollected: false,
             rotationSpeed: new THREE.Vector3(0.0003, 0.0004, 0.0002)
         };
@@ -295,6 +301,13 @@ export class NebulaNexusAnomaly {
         });
     }
 
+    affect(_anomaly: NebulaNexusAnomalyData, context: AnomalyEffectContext): void {
+        if (context.entered) {
+            context.notify('Nebula nexus: hidden from enemy sensors', 'info');
+        }
+        context.cloak();
+    }
+
     cleanup(anomaly: NebulaNexusAnomalyData): void {
         // Clean up rings, core, and arcs
         if (anomaly.rings) {
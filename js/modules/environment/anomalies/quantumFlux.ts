@@ -1,6 +1,15 @@
 // quantumFlux.ts - Quantum flux anomaly with rotating cube frames
 
 import * as THREE from 'three';
+import type { AnomalyEffectContext } from './anomalyRegistry';
+
+// Inside the field a flux event fires every interval: a short-range teleport or a scrambled HUD
+const QUANTUM_FLUX_FIELD_RADIUS = 3000;
+const QUANTUM_FLUX_INTERVAL = 4; // Seconds
+const QUANTUM_FLUX_TELEPORT_CHANCE = 0.35;
+const QUANTUM_FLUX_TELEPORT_MIN = 1500;
+const QUANTUM_FLUX_TELEPORT_MAX = 4000;
+const QUANTUM_FLUX_SCRAMBLE_DURATION = 3; // Seconds
 
 interface FrameData {
     mesh: THREE.LineSegments;
@@ -29,6 +38,8 @@ interface QuantumFluxAnomalyData {
     particles: ParticleData;
     orb: EnergyOrbData;
     collisionRadius: number;
+    fieldRadius: number;
+    fluxTimer: number;
     orbCollected: boolean;
     rotationSpeed: THREE.Vector3;
 }
@@ -169,6 +180,8 @@ export class QuantumFluxAnomaly {
             },
             orb: orb,
             collisionRadius: 230, // Overall collision size
+            fieldRadius: QUANTUM_FLUX_FIELD_RADIUS,
+            fluxTimer: 0,
             orbCollected: false,
             rotationSpeed: new THREE.Vector3(0.0001, 0.0002, 0.0001)
         };
@@ -232,6 +245,27 @@ export class QuantumFluxAnomaly {
         (anomaly.particles.mesh.geometry.attributes.position as THREE.BufferAttribute).needsUpdate = true;
     }
 
+    affect(anomaly: QuantumFluxAnomalyData, context: AnomalyEffectContext): void {
+        if (context.entered) {
+            context.notify('Quantum flux: spacetime unstable', 'warning');
+            anomaly.fluxTimer = 0;
+        }
+
+        anomaly.fluxTimer += context.deltaTime;
+        if (anomaly.fluxTimer < QUANTUM_FLUX_INTERVAL) return;
+        anomaly.fluxTimer -= QUANTUM_FLUX_INTERVAL;
+
+        const { random } = context;
+        if (random.next() < QUANTUM_FLUX_TELEPORT_CHANCE) {
+            const direction = new THREE.Vector3(random.float(-1, 1), random.float(-1, 1), random.float(-1, 1)).normalize();
+            const distance = random.float(QUANTUM_FLUX_TELEPORT_MIN, QUANTUM_FLUX_TELEPORT_MAX);
+            context.teleport(context.shipPosition.clone().addScaledVector(direction, distance));
+            context.notify('Quantum flux displaced your ship', 'warning');
+        } else {
+            context.scrambleHud(QUANTUM_FLUX_SCRAMBLE_DURATION);
+        }
+    }
+
     cleanup(anomaly: QuantumFluxAnomalyData): void {
         // Clean up frames and particles
         if (anomaly.frames) {
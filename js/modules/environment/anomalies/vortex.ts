@@ -1,6 +1,11 @@
 // vortex.ts - Vortex anomaly with spiraling rings
 
 import * as THREE from 'three';
+import type { AnomalyEffectContext } from './anomalyRegistry';
+
+// Ships inside the field are pulled toward the core, hardest at the centre
+const VORTEX_FIELD_RADIUS = 6000;
+const VORTEX_MAX_PULL = 0.4; // Below Physics.THRUST_FORCE so the ship can always thrust out
 
 interface RingData {
     mesh: THREE.Mesh;
@@ -22,6 +27,7 @@ interface VortexAnomalyData {
     rings: RingData[];
     orb: EnergyOrbData;
     collisionRadius: number;
+    fieldRadius: number;
     orbCollected: boolean;
     rotationSpeed: THREE.Vector3;
 }
@@ -102,6 +108,7 @@ export class VortexAnomaly {
             rings: rings,
             orb: orb,
             collisionRadius: 350, // Overall collision size
+            fieldRadius: VORTEX_FIELD_RADIUS,
             orbCollected: false,
             rotationSpeed: new THREE.Vector3(0.001, 0.002, 0.0015)
         };
@@ -116,6 +123,18 @@ export class VortexAnomaly {
         });
     }
 
+    affect(anomaly: VortexAnomalyData, context: AnomalyEffectContext): void {
+        if (context.entered) {
+            context.notify('Gravitational vortex: thrust away from the core to break free', 'warning');
+        }
+
+        const strength = VORTEX_MAX_PULL * (1 - context.distance / anomaly.fieldRadius);
+        if (strength <= 0 || context.distance < 1) return;
+
+        const toCore = anomaly.position.clone().sub(context.shipPosition).normalize();
+        context.pull(toCore.multiplyScalar(strength));
+    }
+
     cleanup(anomaly: VortexAnomalyData): void {
         // Clean up rings
         if (anomaly.rings) {
@@ -1,12 +1,21 @@
 // asteroidBelt.ts - Creates and manages the asteroid belt
 
 import * as THREE from 'three';
+import { EVENT } from '../../core/events.ts';
+import type { Message } from '../../core/messageBus.ts';
 import { createGameEntity, removeGameEntity } from '../../ecs/world';
-import { Position, Asteroid as AsteroidTag } from '../../ecs/components';
-import { addAsteroid } from '../../ecs/systems/index';
+import { Position, Velocity, Rigidbody, Asteroid as AsteroidTag } from '../../ecs/components';
+import { addAsteroid, removeTrackedEntity } from '../../ecs/systems/index';
+import { mainMessageBus } from '../../globals/messageBus.ts';
+import { gameRandom, type SeededRandom } from '../../globals/random.ts';
+import { planFragments, type FractureCause } from './asteroidFracture.ts';
+import { rollHiddenDeposit, type HiddenDeposit } from '../scanning/deepScan.ts';
 
 type ResourceType = 'iron' | 'gold' | 'platinum';
 
+const INTEGRITY_PER_SIZE = 1.5;  // Weapon damage to shatter an asteroid, per unit of size
+const FRAGMENT_DRAG = 0.15;      // Fragments coast to a stop over several seconds
+
 interface ResourceMultipliers {
     iron: number;
     gold: number;
@@ -34,6 +43,11 @@ interface AsteroidData {
     resourceAmount: number;
     maxResourceAmount: number;
     minable: boolean;
+    integrity: number;          // Weapon damage left before it shatters
+    yieldMultiplier: number;    // Share of a full asteroid's payout
+    generation: number;         // 0 for belt asteroids, +1 per fracture
+    drifting: boolean;          // Fragments move under ECS physics instead of orbiting
+    hiddenDeposit: HiddenDeposit | null;  // Richer core paid out on top, found by deep scans
 }
 
 interface AsteroidSystemParams {
@@ -44,32 +58,45 @@ interface AsteroidSystemParams {
 export class AsteroidBelt {
     scene: THREE.Scene;
     asteroids: AsteroidData[];
+    // Lookup for spatial index hits, which come back as entity IDs
+    asteroidsByEid: Map<number, AsteroidData>;
     innerRadius: number;
     outerRadius: number;
     width: number;
     resourceMultipliers: ResourceMultipliers;
+    unsubscribeHits: () => void;
 
     constructor(scene: THREE.Scene) {
         this.scene = scene;
         this.asteroids = [];
+        this.asteroidsByEid = new Map();
         this.innerRadius = 20000;
         this.outerRadius = 28000;
         this.width = 1800;
         this.resourceMultipliers = { iron: 1.0, gold: 1.0, platinum: 1.0 };
 
         this.createAsteroidBelt();
+
+        // Weapon hits chip away at asteroids until they shatter
+        this.unsubscribeHits = mainMessageBus.subscribe(EVENT.ASTEROID_HIT, (message: Message) => {
+            const asteroid = this.getAsteroidByEid(message.data.eid);
+            if (asteroid) this.damageAsteroid(asteroid, message.data.damage);
+        });
     }
 
     createAsteroidBelt(): void {
         const asteroidCount = 1000;
+        const random = gameRandom.stream('asteroids');
+        // Own stream, so deposits don't shift the belt's layout
+        const deposits = gameRandom.stream('deposits');
 
         for (let i = 0; i < asteroidCount; i++) {
             // Random asteroid size - Much larger for better visibility
-            const size = Math.random() * 120 + 120; // Dramatically increased size for visibility
+            const size = random.next() * 120 + 120; // Dramatically increased size for visibility
 
             // Use different geometries for variety
             let geometry: THREE.BufferGeometry;
-            const type = Math.floor(Math.random() * 3);
+            const type = Math.floor(random.next() * 3);
             if (type === 0) {
                 geometry = new THREE.IcosahedronGeometry(size, 0);
             } else if (type === 1) {
@@ -79,59 +106,34 @@ export class AsteroidBelt {
             }
 
             // Deform the geometry to make it look more like an asteroid
-            const positions = geometry.attributes.position;
-            for (let j = 0; j < positions.count; j++) {
-                const vertex = new THREE.Vector3();
-                vertex.fromBufferAttribute(positions, j);
-
-                // Add some random bumps
-                vertex.x += (Math.random() - 0.5) * 0.4 * size;
-                vertex.y += (Math.random() - 0.5) * 0.4 * size;
-                vertex.z += (Math.random() - 0.5) * 0.4 * size;
-
-                positions.setXYZ(j, vertex.x, vertex.y, vertex.z);
-            }
-
-            // Update geometry
-            geometry.computeVertexNormals();
+            deformGeometry(geometry, size, random);
 
             // Material with different color variations - brighter for better visibility
             const color = new THREE.Color();
-            const resourceRoll = Math.random();
+            const resourceRoll = random.next();
             let resourceType: ResourceType | null = null;
 
             // Determine resource type based on probability
             if (resourceRoll < 0.7) {
-                // 70% iron asteroids (common) - brightened
-                color.setHSL(0.02, 0.30, 0.35 + Math.random() * 0.2); // Much brighter
+                // 70% iron asteroids (common)
                 resourceType = 'iron';
             } else if (resourceRoll < 0.93) {
-                // 23% gold asteroids (uncommon) - brightened
-                color.setHSL(0.12, 0.7, 0.5 + Math.random() * 0.2); // Much brighter
+                // 23% gold asteroids (uncommon)
                 resourceType = 'gold';
             } else {
-                // 7% platinum asteroids (rare) - brightened
-                color.setHSL(0.1, 0.3, 0.7 + Math.random() * 0.15); // Much brighter
+                // 7% platinum asteroids (rare)
                 resourceType = 'platinum';
             }
-
-            // Enhanced material with higher emissive properties for better visibility
-            const material = new THREE.MeshStandardMaterial({
-                color: color,
-                roughness: 0.6 + Math.random() * 0.2, // Reduced roughness
-                metalness: 0.4 + Math.random() * 0.4, // Increased metalness
-                flatShading: true,
-                emissive: color.clone().multiplyScalar(0.3), // Add emissive glow
-                emissiveIntensity: 0.2 // Subtle glow for better visibility
-            });
+            setResourceColor(color, resourceType, random);
 
             // Create the mesh
-            const mesh = new THREE.Mesh(geometry, material);
+            const mesh = new THREE.Mesh(geometry, createAsteroidMaterial(color, random));
+            mesh.name = 'asteroid';
 
             // Position in asteroid belt with variation using torus pattern
-            const angle = Math.random() * Math.PI * 2;
-            const radius = this.innerRadius + Math.random() * (this.outerRadius - this.innerRadius);
-            const heightVariation = (Math.random() - 0.5) * this.width;
+            const angle = random.next() * Math.PI * 2;
+            const radius = this.innerRadius + random.next() * (this.outerRadius - this.innerRadius);
+            const heightVariation = (random.next() - 0.5) * this.width;
 
             mesh.position.set(
                 Math.cos(angle) * radius,
@@ -141,33 +143,26 @@ export class AsteroidBelt {
 
             // Apply random axial tilt (rotation on local axis)
             mesh.rotation.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
+                random.next() * Math.PI,
+                random.next() * Math.PI,
+                random.next() * Math.PI
             );
 
             // Setup orbital parameters
-            const orbitSpeed = 0.00005 + Math.random() * 0.00005; // Realistic asteroid orbital speed
+            const orbitSpeed = 0.00005 + random.next() * 0.00005; // Realistic asteroid orbital speed
             const orbitRadius = radius; // Use initial radius
 
             // Add random orbital tilt
-            const orbitTilt = Math.random() * Math.PI * 0.15; // Reduced to ~27 degrees max tilt
+            const orbitTilt = random.next() * Math.PI * 0.15; // Reduced to ~27 degrees max tilt
 
             // Add to scene
             this.scene.add(mesh);
 
             // Create bitECS entity for the radar and other systems
-            const eid = createGameEntity();
-            AsteroidTag.tag[eid] = 1;
-            
-            Position.x[eid] = mesh.position.x;
-            Position.y[eid] = mesh.position.y;
-            Position.z[eid] = mesh.position.z;
-            
-            addAsteroid(eid);
+            const eid = this.createAsteroidEntity(mesh, size);
 
             // Add to asteroids array with metadata
-            const baseResourceAmount = 50 + Math.random() * 50; // Base amount before multipliers
+            const baseResourceAmount = 50 + random.next() * 50; // Base amount before multipliers
             this.asteroids.push({
                 mesh: mesh,
                 eid: eid, // Store entity ID
@@ -178,19 +173,134 @@ export class AsteroidBelt {
                 orbitTilt: orbitTilt,
                 initialHeight: heightVariation, // Store initial height variation
                 rotationSpeed: {
-                    x: (Math.random() - 0.5) * 0.005,
-                    y: (Math.random() - 0.5) * 0.005,
-                    z: (Math.random() - 0.5) * 0.005
+                    x: (random.next() - 0.5) * 0.005,
+                    y: (random.next() - 0.5) * 0.005,
+                    z: (random.next() - 0.5) * 0.005
                 },
                 resourceType: resourceType,
                 baseResourceAmount: baseResourceAmount, // Base amount
                 resourceAmount: baseResourceAmount, // Current amount
                 maxResourceAmount: baseResourceAmount, // Max capacity
-                minable: true
+                minable: true,
+                integrity: size * INTEGRITY_PER_SIZE,
+                yieldMultiplier: 1,
+                generation: 0,
+                drifting: false,
+                hiddenDeposit: rollHiddenDeposit(resourceType, deposits)
             });
+            this.asteroidsByEid.set(eid, this.asteroids[this.asteroids.length - 1]);
         }
     }
 
+    // bitECS entity for an asteroid mesh, tracked for the radar, targeting and physics
+    createAsteroidEntity(mesh: THREE.Mesh, size: number): number {
+        const eid = createGameEntity();
+        AsteroidTag.tag[eid] = 1;
+
+        Position.x[eid] = mesh.position.x;
+        Position.y[eid] = mesh.position.y;
+        Position.z[eid] = mesh.position.z;
+        // Recycled IDs keep old component values
+        Velocity.x[eid] = 0;
+        Velocity.y[eid] = 0;
+        Velocity.z[eid] = 0;
+        Rigidbody.drag[eid] = 0;
+
+        // Weapon hits on the mesh resolve back to this entity
+        mesh.userData.asteroidEid = eid;
+
+        // Indexed with its size so targeting can use it for line of sight
+        addAsteroid(eid, size);
+        return eid;
+    }
+
+    /**
+     * Apply weapon damage; the asteroid shatters into fragments when its integrity runs out
+     */
+    damageAsteroid(asteroid: AsteroidData, damage: number): void {
+        asteroid.integrity -= damage;
+        if (asteroid.integrity <= 0) {
+            this.fractureAsteroid(asteroid, 'weapon');
+        }
+    }
+
+    /**
+     * Break an asteroid into drifting fragments and remove it
+     * @param cause - Mined-out asteroids leave less in their rubble than shattered ones
+     * @returns The fragments, empty if it was too small to split
+     */
+    fractureAsteroid(asteroid: AsteroidData, cause: FractureCause): AsteroidData[] {
+        const random = gameRandom.stream('fragments');
+        const plans = planFragments(asteroid, cause, random);
+        const origin = asteroid.mesh.position.clone();
+        const parentMaterial = asteroid.mesh.material as THREE.MeshStandardMaterial;
+        // Mining already paid out the core; a shattered asteroid's ends up in its largest piece
+        const coreIndex = cause === 'weapon'
+            ? plans.reduce((largest, plan, index) => plan.size > plans[largest].size ? index : largest, 0)
+            : -1;
+
+        const fragments = plans.map((plan, index) => {
+            const geometry = new THREE.IcosahedronGeometry(plan.size, 0);
+            deformGeometry(geometry, plan.size, random);
+
+            // Fragments keep the parent's look unless they broke open onto a richer vein
+            const color = parentMaterial.color.clone();
+            if (plan.resourceType && plan.resourceType !== asteroid.resourceType) {
+                setResourceColor(color, plan.resourceType, random);
+            }
+
+            const mesh = new THREE.Mesh(geometry, createAsteroidMaterial(color, random));
+            mesh.name = 'asteroid';
+            mesh.position.copy(origin).addScaledVector(plan.direction, asteroid.size * 0.5);
+            mesh.rotation.set(random.next() * Math.PI, random.next() * Math.PI, random.next() * Math.PI);
+            this.scene.add(mesh);
+
+            const eid = this.createAsteroidEntity(mesh, plan.size);
+            Velocity.x[eid] = plan.direction.x * plan.speed;
+            Velocity.y[eid] = plan.direction.y * plan.speed;
+            Velocity.z[eid] = plan.direction.z * plan.speed;
+            Rigidbody.drag[eid] = FRAGMENT_DRAG;
+
+            const resourceAmount = asteroid.maxResourceAmount * plan.yieldMultiplier;
+            const fragment: AsteroidData = {
+                mesh,
+                eid,
+                size: plan.size,
+                orbitSpeed: 0,
+                orbitRadius: 0,
+                orbitAngle: 0,
+                orbitTilt: 0,
+                initialHeight: 0,
+                rotationSpeed: {
+                    x: (random.next() - 0.5) * 0.02,
+                    y: (random.next() - 0.5) * 0.02,
+                    z: (random.next() - 0.5) * 0.02
+                },
+                resourceType: plan.resourceType,
+                baseResourceAmount: resourceAmount,
+                resourceAmount,
+                maxResourceAmount: resourceAmount,
+                minable: true,
+                integrity: plan.size * INTEGRITY_PER_SIZE,
+                yieldMultiplier: plan.yieldMultiplier,
+                generation: plan.generation,
+                drifting: true,
+                hiddenDeposit: index === coreIndex ? asteroid.hiddenDeposit : null
+            };
+            this.asteroids.push(fragment);
+            this.asteroidsByEid.set(eid, fragment);
+            return fragment;
+        });
+
+        this.removeAsteroid(asteroid);
+        return fragments;
+    }
+
+    // Asteroid for a bitECS entity ID (spatial index queries return IDs)
+    getAsteroidByEid(eid: number): AsteroidData | null {
+        return this.asteroidsByEid.get(eid) ?? null;
+    }
+
     getRegionInfo(): { center: THREE.Vector3; innerRadius: number; outerRadius: number } {
         return {
             center: new THREE.Vector3(0, 0, 0),
@@ -283,8 +393,13 @@ export class AsteroidBelt {
     }
 
     removeAsteroid(asteroid: AsteroidData): void {
-        // Remove from bitECS
+        // Remove from bitECS and the spatial index
+        Velocity.x[asteroid.eid] = 0;
+        Velocity.y[asteroid.eid] = 0;
+        Velocity.z[asteroid.eid] = 0;
+        removeTrackedEntity(asteroid.eid);
         removeGameEntity(asteroid.eid);
+        this.asteroidsByEid.delete(asteroid.eid);
 
         // Remove the asteroid from the scene
         this.scene.remove(asteroid.mesh);
@@ -333,6 +448,12 @@ export class AsteroidBelt {
             asteroid.mesh.rotation.y += asteroid.rotationSpeed.y;
             asteroid.mesh.rotation.z += asteroid.rotationSpeed.z;
 
+            // Fragments drift under ECS physics
+            if (asteroid.drifting) {
+                asteroid.mesh.position.set(Position.x[asteroid.eid], Position.y[asteroid.eid], Position.z[asteroid.eid]);
+                return;
+            }
+
             // Orbit around sun with tilt
             asteroid.orbitAngle += asteroid.orbitSpeed;
 
@@ -373,5 +494,53 @@ export class AsteroidBelt {
 
         // Clear the array completely
         this.asteroids = [];
+        this.asteroidsByEid.clear();
+    }
+
+    // Dispose and stop listening for weapon hits (scene teardown, not system transitions)
+    destroy(): void {
+        this.dispose();
+        this.unsubscribeHits();
+    }
+}
+
+// Surface colour by resource - brightened for visibility
+function setResourceColor(color: THREE.Color, resourceType: ResourceType, random: SeededRandom): void {
+    if (resourceType === 'iron') {
+        color.setHSL(0.02, 0.30, 0.35 + random.next() * 0.2);
+    } else if (resourceType === 'gold') {
+        color.setHSL(0.12, 0.7, 0.5 + random.next() * 0.2);
+    } else {
+        color.setHSL(0.1, 0.3, 0.7 + random.next() * 0.15);
+    }
+}
+
+// Enhanced material with higher emissive properties for better visibility
+function createAsteroidMaterial(color: THREE.Color, random: SeededRandom): THREE.MeshStandardMaterial {
+    return new THREE.MeshStandardMaterial({
+        color: color,
+        roughness: 0.6 + random.next() * 0.2, // Reduced roughness
+        metalness: 0.4 + random.next() * 0.4, // Increased metalness
+        flatShading: true,
+        emissive: color.clone().multiplyScalar(0.3), // Add emissive glow
+        emissiveIntensity: 0.2 // Subtle glow for better visibility
+    });
+}
+
+// Push vertices around so the shape looks like rock rather than a polyhedron
+function deformGeometry(geometry: THREE.BufferGeometry, size: number, random: SeededRandom): void {
+    const positions = geometry.attributes.position;
+    const vertex = new THREE.Vector3();
+    for (let j = 0; j < positions.count; j++) {
+        vertex.fromBufferAttribute(positions, j);
+
+        // Add some random bumps
+        vertex.x += (random.next() - 0.5) * 0.4 * size;
+        vertex.y += (random.next() - 0.5) * 0.4 * size;
+        vertex.z += (random.next() - 0.5) * 0.4 * size;
+
+        positions.setXYZ(j, vertex.x, vertex.y, vertex.z);
     }
+    geometry.computeVertexNormals();
 }
+
@@ -0,0 +1,80 @@
+// asteroidFracture.ts - How an asteroid breaks apart when mined out or shot
+//
+// Pure planning only: AsteroidBelt turns the plans into meshes and entities.
+
+import * as THREE from 'three';
+import type { SeededRandom } from '../../globals/random.ts';
+
+export type FractureResource = 'iron' | 'gold' | 'platinum';
+export type FractureCause = 'mined' | 'weapon';
+
+export interface FracturingAsteroid {
+    size: number;
+    resourceType: FractureResource | null;
+    yieldMultiplier?: number;   // Share of a full asteroid's payout, 1 for belt asteroids
+    generation?: number;        // 0 for belt asteroids, +1 per fracture
+}
+
+export interface FragmentPlan {
+    size: number;
+    resourceType: FractureResource | null;
+    yieldMultiplier: number;
+    generation: number;
+    direction: THREE.Vector3;   // Unit vector away from the parent's centre
+    speed: number;              // Units per second
+}
+
+export const MIN_FRAGMENT_SIZE = 35;
+export const MAX_FRAGMENT_GENERATION = 2;
+const FRAGMENT_COUNT: [number, number] = [2, 4];
+const FRAGMENT_SIZE: [number, number] = [0.35, 0.55];   // Of the parent's size
+const FRAGMENT_SPEED: [number, number] = [25, 70];
+
+// Mining pays out the parent, so its rubble holds less than a shattered asteroid's
+const YIELD_SHARE: Record<FractureCause, number> = { mined: 0.5, weapon: 0.8 };
+
+// Chance a fragment breaks open onto a richer vein
+const RICHER_CORE: Partial<Record<FractureResource, { chance: number; resourceType: FractureResource }>> = {
+    iron: { chance: 0.1, resourceType: 'gold' },
+    gold: { chance: 0.05, resourceType: 'platinum' }
+};
+
+/**
+ * Plan the fragments an asteroid breaks into
+ * @returns No fragments if the asteroid is too small or already a fragment of a fragment
+ */
+export function planFragments(asteroid: FracturingAsteroid, cause: FractureCause, random: SeededRandom): FragmentPlan[] {
+    const generation = (asteroid.generation || 0) + 1;
+    if (generation > MAX_FRAGMENT_GENERATION) return [];
+    if (asteroid.size * FRAGMENT_SIZE[1] < MIN_FRAGMENT_SIZE) return [];
+
+    const count = random.int(FRAGMENT_COUNT[0], FRAGMENT_COUNT[1]);
+    const weights = Array.from({ length: count }, () => random.float(0.5, 1.5));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const totalYield = (asteroid.yieldMultiplier ?? 1) * YIELD_SHARE[cause];
+
+    const fragments: FragmentPlan[] = [];
+    for (const weight of weights) {
+        const size = asteroid.size * random.float(FRAGMENT_SIZE[0], FRAGMENT_SIZE[1]);
+        const direction = new THREE.Vector3(random.float(-1, 1), random.float(-0.5, 0.5), random.float(-1, 1));
+        if (direction.lengthSq() === 0) direction.set(1, 0, 0);
+        direction.normalize();
+
+        let resourceType = asteroid.resourceType;
+        const richer = resourceType ? RICHER_CORE[resourceType] : undefined;
+        if (richer && random.chance(richer.chance)) {
+            resourceType = richer.resourceType;
+        }
+
+        fragments.push({
+            size: Math.max(MIN_FRAGMENT_SIZE, size),
+            resourceType,
+            yieldMultiplier: totalYield * weight / totalWeight,
+            generation,
+            direction,
+            speed: random.float(FRAGMENT_SPEED[0], FRAGMENT_SPEED[1])
+        });
+    }
+
+    return fragments;
+}
@@ -7,6 +7,7 @@ import { Stargate } from '../stargate.js';
 import { StarSystemGenerator } from '../starSystemGenerator.js';
 import type { AsteroidBelt } from '../asteroidBelt.js';
 import type { SpaceAnomalies } from '../spaceAnomalies.js';
+import type { EnvironmentalHazards } from '../environmentalHazards.js';
 import type { SystemTransition } from '../systemTransition.js';
 import type { VibeVersePortals } from '../vibeVersePortals.js';
 
@@ -21,6 +22,7 @@ interface EnvironmentComponents {
 interface RemainingComponents {
     asteroidBelt: AsteroidBelt;
     spaceAnomalies: SpaceAnomalies;
+    environmentalHazards: EnvironmentalHazards | null;
     systemTransition: SystemTransition;
     customSystemCreator: unknown;
 }
@@ -35,6 +37,7 @@ export class SceneInitializer {
     stargate?: Stargate;
     asteroidBelt?: AsteroidBelt;
     spaceAnomalies?: SpaceAnomalies;
+    environmentalHazards?: EnvironmentalHazards;
     systemTransition?: SystemTransition;
     customSystemCreator?: unknown;
     vibeVersePortals?: VibeVersePortals;
@@ -84,6 +87,12 @@ export class SceneInitializer {
         const { SpaceAnomalies } = await import('../spaceAnomalies.js');
         this.spaceAnomalies = new SpaceAnomalies(this.scene);
 
+        // Initialize environmental hazards for the current system
+        const { EnvironmentalHazards } = await import('../environmentalHazards.js');
+        if (this.starSystemGenerator && this.sun && this.planets) {
+            this.environmentalHazards = new EnvironmentalHazards(this.scene, this.starSystemGenerator, this.sun, this.planets);
+        }
+
         // Initialize system transition effects
         const { SystemTransition } = await import('../systemTransition.js');
         this.systemTransition = new SystemTransition(this.scene, this.scene.camera);
@@ -99,6 +108,7 @@ export class SceneInitializer {
         return {
             asteroidBelt: this.asteroidBelt,
             spaceAnomalies: this.spaceAnomalies,
+            environmentalHazards: this.environmentalHazards ?? null,
             systemTransition: this.systemTransition,
             customSystemCreator: this.customSystemCreator
         };
@@ -117,9 +127,10 @@ export class SceneInitializer {
         if (this.skybox) this.skybox.dispose();
         if (this.sun) this.sun.dispose();
         if (this.planets) this.planets.dispose();
-        if (this.asteroidBelt) this.asteroidBelt.dispose();
+        if (this.asteroidBelt) this.asteroidBelt.destroy();
         if (this.stargate) this.stargate.dispose();
         if (this.spaceAnomalies) this.spaceAnomalies.clearAllAnomalies();
+        if (this.environmentalHazards) this.environmentalHazards.clear();
         if (this.vibeVersePortals) this.vibeVersePortals.dispose();
     }
 }
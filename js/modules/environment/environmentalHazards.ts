@@ -0,0 +1,437 @@
+// environmentalHazards.ts - Runs the current system's environmental hazards
+//
+// Which hazards a system has comes from getSystemHazards. Damage is dealt in
+// one-second ticks, shields first, so the screen flash and damage numbers
+// don't fire every frame.
+
+import * as THREE from 'three';
+import { EVENT } from '../../core/events.ts';
+import { mainMessageBus } from '../../globals/messageBus.ts';
+import { gameRandom, type SeededRandom } from '../../globals/random.ts';
+import { setRadarHazards, setRadarInterference } from '../ui/radarDisplay.ts';
+import { getSystemHazards, isShelteredFromStar, HAZARD_INFO, type HazardType, type SystemHazard } from './hazards/systemHazards.ts';
+
+const DAMAGE_TICK = 1; // Seconds
+
+// Solar flares: warned about, then a burst that hits ships with a clear line to the star
+const FLARE_INTERVAL: [number, number] = [60, 120]; // Seconds at severity 1, shorter when severe
+const FLARE_WARNING = 6;
+const FLARE_DURATION = 6;           // Plus 2 s per severity
+const FLARE_DAMAGE = 6;             // Per second per severity
+
+// Radiation: a shell around one planet
+const RADIATION_RADIUS_SCALE = 2.5; // Times the planet's radius
+const RADIATION_RADIUS_PER_SEVERITY = 1000;
+const RADIATION_DAMAGE = 4;         // Per second per severity
+
+// Meteor showers: a swarm orbiting through the asteroid belt
+const METEOR_ORBIT_RADIUS = 24000;  // Middle of the asteroid belt
+const METEOR_DRIFT_SPEED = 0.01;    // Radians per second
+const METEOR_RADIUS = 2500;         // Plus 500 per severity
+const METEOR_HIT_CHANCE = 0.25;     // Per tick per severity
+const METEOR_DAMAGE: [number, number] = [5, 10]; // Per hit per severity
+const METEOR_PARTICLES = 300;
+
+// Ion storms: system-wide, cutting scanner range while they last
+const STORM_INTERVAL: [number, number] = [45, 90];
+const STORM_DURATION = 20;          // Plus 10 s per severity
+const STORM_RANGE_LOSS = 0.2;       // Scanner range lost per severity
+
+type HazardSpaceship = {
+    mesh?: THREE.Object3D;
+    hull: number;
+    shield: number;
+    isDocked: boolean;
+    isDestroyed?: boolean;
+    syncValuesToHealthComponent?: () => void;
+    handleDestruction: (hull: number, shield: number) => void;
+};
+
+interface GameGlobal {
+    introSequenceActive?: boolean;
+    spaceship?: HazardSpaceship;
+    physics?: { triggerShake(intensity: number, duration: number): void };
+}
+
+type HazardSystemInfo = {
+    id: string;
+    classification: string;
+};
+
+interface HazardStarSystemGenerator {
+    getCurrentSystemData(): HazardSystemInfo | null;
+}
+
+interface HazardSun {
+    getPosition(): THREE.Vector3;
+    triggerFlare(duration: number): void;
+}
+
+interface HazardPlanets {
+    getPlanets(): { mesh: THREE.Mesh }[];
+}
+
+// Scanner range multiplier while an ion storm is raging (1 = clear)
+let scannerRangeFactor = 1;
+
+/**
+ * Current scanner range multiplier; ion storms lower it
+ */
+export function getScannerRangeFactor(): number {
+    return scannerRangeFactor;
+}
+
+export class EnvironmentalHazards {
+    scene: THREE.Scene;
+    starSystemGenerator: HazardStarSystemGenerator;
+    sun: HazardSun;
+    planets: HazardPlanets;
+    systemId: string | null;
+    hazards: SystemHazard[];
+    random: SeededRandom;
+    tickTimer: number;
+    // Per-hazard timers: counts down to the next event, then through the event
+    flareTimer: number;
+    flareActive: boolean;
+    flareWarned: boolean;
+    stormTimer: number;
+    stormActive: boolean;
+    meteorAngle: number;
+    inZone: Partial<Record<HazardType, boolean>>;
+    radiationMesh: THREE.Mesh | null;
+    meteorMesh: THREE.Points | null;
+
+    constructor(scene: THREE.Scene, starSystemGenerator: HazardStarSystemGenerator, sun: HazardSun, planets: HazardPlanets) {
+        this.scene = scene;
+        this.starSystemGenerator = starSystemGenerator;
+        this.sun = sun;
+        this.planets = planets;
+        this.systemId = null;
+        this.hazards = [];
+        this.random = gameRandom.stream('hazards');
+        this.tickTimer = 0;
+        this.flareTimer = 0;
+        this.flareActive = false;
+        this.flareWarned = false;
+        this.stormTimer = 0;
+        this.stormActive = false;
+        this.meteorAngle = 0;
+        this.inZone = {};
+        this.radiationMesh = null;
+        this.meteorMesh = null;
+    }
+
+    getHazard(type: HazardType): SystemHazard | null {
+        return this.hazards.find(hazard => hazard.type === type) || null;
+    }
+
+    /**
+     * Swap in the hazards for a newly entered system
+     */
+    setSystem(system: HazardSystemInfo | null): void {
+        this.clear();
+        this.systemId = system ? system.id : null;
+        this.hazards = system ? getSystemHazards(system) : [];
+        // Re-fetched so a seed loaded from a save takes effect
+        this.random = gameRandom.stream('hazards');
+
+        const flare = this.getHazard('solarFlare');
+        if (flare) this.flareTimer = this.rollInterval(FLARE_INTERVAL, flare.severity);
+
+        const storm = this.getHazard('ionStorm');
+        if (storm) this.stormTimer = this.rollInterval(STORM_INTERVAL, storm.severity);
+
+        if (this.getHazard('radiation')) this.createRadiationMesh();
+        if (this.getHazard('meteorShower')) {
+            this.meteorAngle = this.random.float(0, Math.PI * 2);
+            this.createMeteorMesh();
+        }
+
+        if (this.hazards.length > 0) {
+            console.log(`[Hazards] ${this.systemId}: ${this.hazards.map(h => `${h.type} ${h.severity}`).join(', ')}`);
+        }
+    }
+
+    update(deltaTime: number): void {
+        const system = this.starSystemGenerator.getCurrentSystemData();
+        const systemId = system ? system.id : null;
+        if (systemId !== this.systemId) {
+            this.setSystem(system);
+        }
+        if (this.hazards.length === 0) return;
+
+        this.updateFlare(deltaTime);
+        this.updateStorm(deltaTime);
+        this.updateZones(deltaTime);
+        this.updateRadar();
+
+        const game = (window as any).game as GameGlobal | undefined;
+        const spaceship = game?.spaceship;
+        const exposed = !!spaceship?.mesh && !spaceship.isDocked && !spaceship.isDestroyed && !game?.introSequenceActive;
+        if (!exposed || !spaceship) return;
+
+        this.updateZoneEntry(spaceship.mesh!.position);
+
+        this.tickTimer += deltaTime;
+        if (this.tickTimer < DAMAGE_TICK) return;
+        this.tickTimer -= DAMAGE_TICK;
+
+        const damage = this.getTickDamage(spaceship.mesh!.position, game);
+        if (damage > 0) {
+            this.applyDamage(spaceship, damage);
+        }
+    }
+
+    private rollInterval([min, max]: [number, number], severity: number): number {
+        // Severe hazards come around up to twice as often
+        return this.random.float(min, max) / (0.5 + 0.5 * severity);
+    }
+
+    private updateFlare(deltaTime: number): void {
+        const flare = this.getHazard('solarFlare');
+        if (!flare) return;
+
+        this.flareTimer -= deltaTime;
+        if (this.flareActive) {
+            if (this.flareTimer <= 0) {
+                this.flareActive = false;
+                this.flareTimer = this.rollInterval(FLARE_INTERVAL, flare.severity);
+                mainMessageBus.publish(EVENT.HAZARD_ENDED, { hazard: 'solarFlare' });
+            }
+            return;
+        }
+
+        if (!this.flareWarned && this.flareTimer <= FLARE_WARNING) {
+            this.flareWarned = true;
+            this.notify('Solar flare imminent - shelter behind a planet', 'warning');
+        }
+        if (this.flareTimer <= 0) {
+            const duration = FLARE_DURATION + 2 * flare.severity;
+            this.flareActive = true;
+            this.flareWarned = false;
+            this.flareTimer = duration;
+            this.sun.triggerFlare(duration);
+            mainMessageBus.publish(EVENT.HAZARD_STARTED, { hazard: 'solarFlare', severity: flare.severity });
+        }
+    }
+
+    private updateStorm(deltaTime: number): void {
+        const storm = this.getHazard('ionStorm');
+        if (!storm) return;
+
+        this.stormTimer -= deltaTime;
+        if (this.stormTimer > 0) return;
+
+        this.stormActive = !this.stormActive;
+        if (this.stormActive) {
+            this.stormTimer = STORM_DURATION + 10 * storm.severity;
+            scannerRangeFactor = 1 - STORM_RANGE_LOSS * storm.severity;
+            this.notify('Ion storm: scanner range reduced', 'warning');
+            mainMessageBus.publish(EVENT.HAZARD_STARTED, { hazard: 'ionStorm', severity: storm.severity });
+        } else {
+            this.stormTimer = this.rollInterval(STORM_INTERVAL, storm.severity);
+            scannerRangeFactor = 1;
+            this.notify('Ion storm has passed', 'info');
+            mainMessageBus.publish(EVENT.HAZARD_ENDED, { hazard: 'ionStorm' });
+        }
+        setRadarInterference(scannerRangeFactor);
+    }
+
+    // Keep the radiation shell on its planet and drift the meteor swarm round the belt
+    private updateZones(deltaTime: number): void {
+        const radiation = this.getRadiationZone();
+        if (this.radiationMesh) {
+            this.radiationMesh.visible = !!radiation;
+            if (radiation) {
+                this.radiationMesh.position.copy(radiation.position);
+                this.radiationMesh.scale.setScalar(radiation.radius);
+            }
+        }
+
+        if (this.meteorMesh) {
+            this.meteorAngle += METEOR_DRIFT_SPEED * deltaTime;
+            this.meteorMesh.position.copy(this.getMeteorCenter());
+            this.meteorMesh.rotation.y += deltaTime * 0.2;
+        }
+    }
+
+    private getRadiationZone(): { position: THREE.Vector3; radius: number } | null {
+        const radiation = this.getHazard('radiation');
+        const planets = this.planets.getPlanets();
+        if (!radiation || planets.length === 0) return null;
+
+        const planet = planets[(radiation.planetIndex || 0) % planets.length];
+        const geometry = planet.mesh.geometry as THREE.SphereGeometry;
+        const planetRadius = geometry.parameters?.radius || 500;
+        return {
+            position: planet.mesh.position,
+            radius: planetRadius * RADIATION_RADIUS_SCALE + RADIATION_RADIUS_PER_SEVERITY * radiation.severity
+        };
+    }
+
+    private getMeteorCenter(): THREE.Vector3 {
+        return new THREE.Vector3(
+            Math.cos(this.meteorAngle) * METEOR_ORBIT_RADIUS,
+            0,
+            Math.sin(this.meteorAngle) * METEOR_ORBIT_RADIUS
+        );
+    }
+
+    private getMeteorRadius(): number {
+        const meteors = this.getHazard('meteorShower');
+        return meteors ? METEOR_RADIUS + 500 * meteors.severity : 0;
+    }
+
+    // Announce entering and leaving the zone hazards
+    private updateZoneEntry(shipPosition: THREE.Vector3): void {
+        const radiation = this.getRadiationZone();
+        this.setInZone('radiation', !!radiation && shipPosition.distanceTo(radiation.position) < radiation.radius,
+            'Entering a radiation zone - hull and shields under attack');
+
+        const meteors = this.getHazard('meteorShower');
+        this.setInZone('meteorShower', !!meteors && shipPosition.distanceTo(this.getMeteorCenter()) < this.getMeteorRadius(),
+            'Meteor shower - expect impacts');
+    }
+
+    private setInZone(type: HazardType, inside: boolean, message: string): void {
+        if (inside === !!this.inZone[type]) return;
+        this.inZone[type] = inside;
+
+        if (inside) {
+            this.notify(message, 'warning');
+            mainMessageBus.publish(EVENT.HAZARD_STARTED, { hazard: type, severity: this.getHazard(type)?.severity || 1 });
+        } else {
+            mainMessageBus.publish(EVENT.HAZARD_ENDED, { hazard: type });
+        }
+    }
+
+    private getTickDamage(shipPosition: THREE.Vector3, game: GameGlobal | undefined): number {
+        let damage = 0;
+
+        const flare = this.getHazard('solarFlare');
+        if (flare && this.flareActive) {
+            const occluders = this.planets.getPlanets().map(planet => ({
+                position: planet.mesh.position,
+                radius: (planet.mesh.geometry as THREE.SphereGeometry).parameters?.radius || 0
+            }));
+            if (!isShelteredFromStar(shipPosition, this.sun.getPosition(), occluders)) {
+                damage += FLARE_DAMAGE * flare.severity * DAMAGE_TICK;
+            }
+        }
+
+        const radiation = this.getHazard('radiation');
+        if (radiation && this.inZone.radiation) {
+            damage += RADIATION_DAMAGE * radiation.severity * DAMAGE_TICK;
+        }
+
+        const meteors = this.getHazard('meteorShower');
+        if (meteors && this.inZone.meteorShower && this.random.chance(METEOR_HIT_CHANCE * meteors.severity)) {
+            damage += this.random.float(METEOR_DAMAGE[0], METEOR_DAMAGE[1]) * meteors.severity;
+            game?.physics?.triggerShake(0.6, 0.3);
+        }
+
+        return damage;
+    }
+
+    // Shields soak hazard damage before the hull, as they do enemy fire
+    private applyDamage(spaceship: HazardSpaceship, amount: number): void {
+        const shieldDamage = Math.min(spaceship.shield, amount);
+        const damage = Math.min(spaceship.hull, amount - shieldDamage);
+        spaceship.shield -= shieldDamage;
+        spaceship.hull -= damage;
+        if (spaceship.syncValuesToHealthComponent) {
+            spaceship.syncValuesToHealthComponent();
+        }
+
+        mainMessageBus.publish('player.damaged', {
+            damage,
+            shieldDamage,
+            source: 'hazard',
+            position: spaceship.mesh ? spaceship.mesh.position.clone() : null
+        });
+
+        if (spaceship.hull <= 0) {
+            spaceship.handleDestruction(0, spaceship.shield);
+        }
+    }
+
+    private updateRadar(): void {
+        const zones = [];
+        const radiation = this.getRadiationZone();
+        if (radiation) {
+            zones.push({ x: radiation.position.x, z: radiation.position.z, radius: radiation.radius, color: '#66ff44' });
+        }
+        if (this.meteorMesh) {
+            const center = this.meteorMesh.position;
+            zones.push({ x: center.x, z: center.z, radius: this.getMeteorRadius(), color: '#ff9933' });
+        }
+        setRadarHazards(zones);
+    }
+
+    private notify(message: string, type: string): void {
+        mainMessageBus.publish('ui.notification', { message, type, duration: 5000 });
+    }
+
+    private createRadiationMesh(): void {
+        // Unit sphere scaled to the zone radius each frame
+        const geometry = new THREE.SphereGeometry(1, 32, 16);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x66ff44,
+            transparent: true,
+            opacity: 0.08,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        this.radiationMesh = new THREE.Mesh(geometry, material);
+        this.radiationMesh.name = 'hazard-radiation';
+        this.scene.add(this.radiationMesh);
+    }
+
+    private createMeteorMesh(): void {
+        const radius = this.getMeteorRadius();
+        const positions = new Float32Array(METEOR_PARTICLES * 3);
+        for (let i = 0; i < METEOR_PARTICLES; i++) {
+            const direction = new THREE.Vector3(this.random.float(-1, 1), this.random.float(-0.2, 0.2), this.random.float(-1, 1)).normalize();
+            direction.multiplyScalar(this.random.float(0, radius));
+            positions.set([direction.x, direction.y, direction.z], i * 3);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const material = new THREE.PointsMaterial({ color: 0xffaa66, size: 40, transparent: true, opacity: 0.8 });
+        this.meteorMesh = new THREE.Points(geometry, material);
+        this.meteorMesh.name = 'hazard-meteors';
+        this.meteorMesh.position.copy(this.getMeteorCenter());
+        this.scene.add(this.meteorMesh);
+    }
+
+    /**
+     * Remove the current system's hazards and their visuals
+     */
+    clear(): void {
+        for (const mesh of [this.radiationMesh, this.meteorMesh]) {
+            if (!mesh) continue;
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            (mesh.material as THREE.Material).dispose();
+        }
+        this.radiationMesh = null;
+        this.meteorMesh = null;
+
+        // Close out anything still running so listeners see it end
+        for (const type of Object.keys(HAZARD_INFO) as HazardType[]) {
+            const running = type === 'solarFlare' ? this.flareActive : type === 'ionStorm' ? this.stormActive : !!this.inZone[type];
+            if (running) mainMessageBus.publish(EVENT.HAZARD_ENDED, { hazard: type });
+        }
+
+        this.hazards = [];
+        this.flareActive = false;
+        this.flareWarned = false;
+        this.stormActive = false;
+        this.inZone = {};
+        this.tickTimer = 0;
+        scannerRangeFactor = 1;
+        setRadarInterference(1);
+        setRadarHazards([]);
+    }
+}
@@ -1,6 +1,7 @@
 // systemNames.ts - System name generation and descriptions
 
 import type { StarClass, SystemClassification } from './systemConfig.js';
+import { SystemUtils } from './systemUtils.js';
 
 export class SystemNames {
     static generateSystemName(starClass: StarClass | string): string {
@@ -13,9 +14,10 @@ export class SystemNames {
             'Prime', 'Major', 'Minor', 'A', 'B', 'I', 'II', 'III', 'IV', 'V'
         ];
 
-        const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-        const suffix = Math.random() > 0.7 ? ` ${suffixes[Math.floor(Math.random() * suffixes.length)]}` : '';
-        const number = Math.floor(Math.random() * 999) + 1;
+        const random = SystemUtils.random;
+        const prefix = random.pick(prefixes);
+        const suffix = random.next() > 0.7 ? ` ${random.pick(suffixes)}` : '';
+        const number = random.int(1, 999);
 
         return `${prefix} ${starClass}${number}${suffix}`;
     }
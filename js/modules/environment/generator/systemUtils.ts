@@ -2,12 +2,18 @@
 
 import * as THREE from 'three';
 import { STAR_CLASSES, SYSTEM_CLASSIFICATIONS, SKYBOX_TEXTURES, StarClass, SystemClassification } from './systemConfig.js';
+import { gameRandom, type SeededRandom } from '../../../globals/random.ts';
 
 export class SystemUtils {
+    // All system generation draws from the seeded 'systems' stream
+    static get random(): SeededRandom {
+        return gameRandom.stream('systems');
+    }
+
     static getRandomStarClass(): StarClass {
         const weights = [1, 2, 5, 10, 15, 20, 50]; // More M class stars, fewer O class
         const total = weights.reduce((sum, weight) => sum + weight, 0);
-        let random = Math.random() * total;
+        let random = SystemUtils.random.next() * total;
 
         for (let i = 0; i < weights.length; i++) {
             if (random < weights[i]) {
@@ -28,8 +34,8 @@ export class SystemUtils {
     }
 
     static generateMapPosition(): THREE.Vector3 {
-        const radius = 150 + Math.random() * 100;
-        const angle = Math.random() * Math.PI * 2;
+        const radius = 150 + SystemUtils.random.next() * 100;
+        const angle = SystemUtils.random.next() * Math.PI * 2;
 
         const x = Math.cos(angle) * radius;
         const y = Math.sin(angle) * radius;
@@ -38,14 +44,14 @@ export class SystemUtils {
     }
 
     static getRandomInt(min: number, max: number): number {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return SystemUtils.random.int(min, max);
     }
 
     static getRandomFloat(min: number, max: number): number {
-        return Math.random() * (max - min) + min;
+        return SystemUtils.random.float(min, max);
     }
 
     static getRandomColor(): number {
-        return Math.floor(Math.random() * 0xFFFFFF);
+        return Math.floor(SystemUtils.random.next() * 0xFFFFFF);
     }
 }
@@ -0,0 +1,112 @@
+// systemHazards.ts - Which environmental hazards a star system has, and the geometry they need
+//
+// Hazards are rolled once per system from the universe seed, so the star map
+// can warn about them before the jump and a reloaded save sees the same ones.
+
+import * as THREE from 'three';
+import { gameRandom } from '../../../globals/random.ts';
+
+export const HAZARD_TYPES = ['solarFlare', 'radiation', 'meteorShower', 'ionStorm'] as const;
+export type HazardType = typeof HAZARD_TYPES[number];
+
+export interface SystemHazard {
+    type: HazardType;
+    severity: number;       // 1 (mild) to 3 (severe)
+    planetIndex?: number;   // Radiation: which planet, wrapped to the system's planet count
+}
+
+// Chance of each hazard by system classification; unlisted classifications are safe
+const HAZARD_CHANCES: Record<string, Partial<Record<HazardType, number>>> = {
+    'Hazardous': { solarFlare: 0.7, radiation: 0.8, meteorShower: 0.6, ionStorm: 0.4 },
+    'Unstable': { solarFlare: 0.6, radiation: 0.3, meteorShower: 0.5, ionStorm: 0.7 },
+    'Ancient': { radiation: 0.3, ionStorm: 0.3 },
+    'Barren': { solarFlare: 0.3, meteorShower: 0.3 },
+    'Resource-Rich': { meteorShower: 0.3 }
+};
+
+// Severity range by classification
+const SEVERITY_RANGE: Record<string, [number, number]> = {
+    'Hazardous': [2, 3],
+    'Unstable': [1, 3]
+};
+
+export const HAZARD_INFO: Record<HazardType, { name: string; warning: string }> = {
+    solarFlare: {
+        name: 'Solar flares',
+        warning: 'the star flares without much warning; shelter behind a planet or keep shields up'
+    },
+    radiation: {
+        name: 'Radiation zone',
+        warning: 'one planet is wrapped in a radiation belt that burns through shields and hull'
+    },
+    meteorShower: {
+        name: 'Meteor showers',
+        warning: 'a meteor swarm drifts through the asteroid belt'
+    },
+    ionStorm: {
+        name: 'Ion storms',
+        warning: 'passing storms cut scanner and radar range'
+    }
+};
+
+const SEVERITY_LABELS = ['', 'mild', 'strong', 'severe'];
+
+/**
+ * Hazards present in a system. Fixed per universe seed.
+ */
+export function getSystemHazards(system: { id: string; classification: string }): SystemHazard[] {
+    const chances = HAZARD_CHANCES[system.classification];
+    if (!chances) return [];
+
+    const [minSeverity, maxSeverity] = SEVERITY_RANGE[system.classification] || [1, 2];
+    const random = gameRandom.derive('hazards', system.id);
+    const hazards: SystemHazard[] = [];
+
+    // Every type is rolled in a fixed order so one hazard's result doesn't shift another's
+    for (const type of HAZARD_TYPES) {
+        const present = random.chance(chances[type] || 0);
+        const severity = random.int(minSeverity, maxSeverity);
+        const planetIndex = random.int(0, 9);
+        if (!present) continue;
+
+        hazards.push(type === 'radiation' ? { type, severity, planetIndex } : { type, severity });
+    }
+
+    return hazards;
+}
+
+/**
+ * One line per hazard for the star map, e.g. "Ion storms (strong): passing storms cut scanner and radar range"
+ */
+export function describeHazards(hazards: SystemHazard[]): string[] {
+    return hazards.map(hazard => {
+        const info = HAZARD_INFO[hazard.type];
+        return `${info.name} (${SEVERITY_LABELS[hazard.severity] || 'unknown'}): ${info.warning}`;
+    });
+}
+
+/**
+ * Whether a body blocks the straight line from the star to the ship
+ * @param occluders Spheres (e.g. planets) that can cast a shadow
+ */
+export function isShelteredFromStar(
+    shipPosition: THREE.Vector3,
+    starPosition: THREE.Vector3,
+    occluders: { position: THREE.Vector3; radius: number }[]
+): boolean {
+    const toShip = new THREE.Vector3().subVectors(shipPosition, starPosition);
+    const length = toShip.length();
+    if (length === 0) return false;
+    toShip.divideScalar(length);
+
+    const toBody = new THREE.Vector3();
+    for (const body of occluders) {
+        toBody.subVectors(body.position, starPosition);
+        const along = toBody.dot(toShip);
+
+        // Only bodies between the star and the ship cast a shadow on it
+        if (along <= 0 || along >= length) continue;
+        if (toBody.lengthSq() - along * along < body.radius * body.radius) return true;
+    }
+    return false;
+}
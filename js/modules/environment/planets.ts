@@ -3,9 +3,10 @@
 import * as THREE from 'three';
 import { createGameEntity, removeGameEntity } from '../../ecs/world';
 import { Position, Planet as PlanetTag } from '../../ecs/components';
-import { addPlanet } from '../../ecs/systems/index';
+import { addPlanet, removeTrackedEntity } from '../../ecs/systems/index';
 import { PlanetGenerator } from './planets/planetGenerator';
 import { PlanetFactory, PlanetData, PlanetMeshData } from './planets/planetFactory';
+import { gameRandom } from '../../globals/random.ts';
 
 interface StarSystemGenerator {
     customPlanetData?: Record<string, PlanetData[]>;
@@ -73,8 +74,11 @@ export class Planets {
     createPlanetsFromData(planetData: PlanetData[]): void {
         this.clearPlanets();
 
+        // Orbital positions and textures are seeded per system so revisits look the same
+        const random = gameRandom.derive('planetLayout', this.currentSystemId);
+
         planetData.forEach(planet => {
-            const planetObj = PlanetFactory.createPlanetMesh(planet) as PlanetMeshData & { eid: number };
+            const planetObj = PlanetFactory.createPlanetMesh(planet, random) as PlanetMeshData & { eid: number };
 
             // Add the planet to the scene
             this.scene.add(planetObj.mesh);
@@ -87,7 +91,7 @@ export class Planets {
             Position.y[eid] = planetObj.mesh.position.y;
             Position.z[eid] = planetObj.mesh.position.z;
             
-            addPlanet(eid);
+            addPlanet(eid, planet.size);
             planetObj.eid = eid;
 
             // Store planet data for orbiting
@@ -107,6 +111,7 @@ export class Planets {
         // Remove planets from scene and clear arrays
         this.planets.forEach(planet => {
             if ((planet as any).eid !== undefined) {
+                removeTrackedEntity((planet as any).eid);
                 removeGameEntity((planet as any).eid);
             }
             this.scene.remove(planet.mesh);
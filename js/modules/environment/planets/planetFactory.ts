@@ -2,6 +2,7 @@
 
 import * as THREE from 'three';
 import { PlanetMaterials } from './planetMaterials.js';
+import type { SeededRandom } from '../../../globals/random.ts';
 
 // Type definitions for planet objects
 export interface PlanetData {
@@ -25,13 +26,13 @@ export interface PlanetMeshData {
 }
 
 export class PlanetFactory {
-    static createPlanetMesh(planet: PlanetData): PlanetMeshData {
+    static createPlanetMesh(planet: PlanetData, random: SeededRandom): PlanetMeshData {
         const planetGeometry = new THREE.SphereGeometry(planet.size, 32, 32);
-        const planetMaterial = PlanetMaterials.createMaterialForPlanet(planet);
+        const planetMaterial = PlanetMaterials.createMaterialForPlanet(planet, random);
         const planetMesh = new THREE.Mesh(planetGeometry, planetMaterial);
 
         // Position the planet at its orbital distance
-        const angle = Math.random() * Math.PI * 2;
+        const angle = random.next() * Math.PI * 2;
         const orbitalTilt = planet.orbitalTilt || 0;
         const axialTilt = planet.axialTilt || 0;
 
@@ -1,6 +1,7 @@
 // planetGenerator.ts - Procedural planet generation logic
 
 import { PlanetData } from './planetFactory.js';
+import { gameRandom } from '../../../globals/random.ts';
 
 // Type definition for star system generator
 interface StarSystemGenerator {
@@ -40,8 +41,11 @@ export class PlanetGenerator {
             'aria', 'anth', 'urus', 'alos', 'onos', 'era', 'ax', 'is', 'os'
         ];
 
+        // Each system gets its own seeded generator so visit order doesn't change its planets
+        const random = gameRandom.derive('planets', systemId);
+
         const starClass = systemId.includes('System-') ? systemId.split('-')[1][0] : 'M';
-        const planetCount = 2 + Math.floor(Math.random() * 7); // 2-8 planets
+        const planetCount = 2 + Math.floor(random.next() * 7); // 2-8 planets
         const planetData: PlanetData[] = [];
 
         // Determine system characteristics based on star class
@@ -91,29 +95,29 @@ export class PlanetGenerator {
 
         // Generate each planet
         for (let i = 0; i < planetCount; i++) {
-            const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-            const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+            const prefix = prefixes[Math.floor(random.next() * prefixes.length)];
+            const suffix = suffixes[Math.floor(random.next() * suffixes.length)];
             const name = `${prefix}${suffix}`;
 
-            const sizeClass = Math.random();
+            const sizeClass = random.next();
             let size: number;
             if (sizeClass < 0.5) {
-                size = (240 + Math.random() * 200) * sizeMultiplier;
+                size = (240 + random.next() * 200) * sizeMultiplier;
             } else if (sizeClass < 0.8) {
-                size = (440 + Math.random() * 280) * sizeMultiplier;
+                size = (440 + random.next() * 280) * sizeMultiplier;
             } else {
-                size = (720 + Math.random() * 360) * sizeMultiplier;
+                size = (720 + random.next() * 360) * sizeMultiplier;
             }
 
             const baseDistance = 4800 + (i * 8000);
             const distanceVariation = baseDistance * 0.2;
-            const distance = (baseDistance + (Math.random() * distanceVariation - distanceVariation / 2)) * distanceMultiplier;
+            const distance = (baseDistance + (random.next() * distanceVariation - distanceVariation / 2)) * distanceMultiplier;
 
             const speed = 0.002 / (distance / 1000);
-            const color = colorPalette[Math.floor(Math.random() * colorPalette.length)];
-            const rings = size > 600 ? Math.random() < 0.4 : false;
-            const axialTilt = Math.random() * Math.PI * 0.5;
-            const orbitalTilt = Math.random() * Math.PI * 0.2;
+            const color = colorPalette[Math.floor(random.next() * colorPalette.length)];
+            const rings = size > 600 ? random.next() < 0.4 : false;
+            const axialTilt = random.next() * Math.PI * 0.5;
+            const orbitalTilt = random.next() * Math.PI * 0.2;
 
             planetData.push({
                 name,
@@ -3,17 +3,21 @@
 import * as THREE from 'three';
 import { planetTextures, proceduralTextures } from './planetTextures.js';
 import type { PlanetData } from './planetFactory.js';
+import type { SeededRandom } from '../../../globals/random.ts';
+import { resolveContentImageUrl } from '../../utils/localContentProvider.ts';
 
 const textureLoader = new THREE.TextureLoader();
 
 export class PlanetMaterials {
-    static createMaterialForPlanet(planet: PlanetData): THREE.MeshStandardMaterial {
+    static createMaterialForPlanet(planet: PlanetData, random: SeededRandom): THREE.MeshStandardMaterial {
         // Check if this is a custom planet with its own texture
         if (planet.textureUrl) {
             console.log(`Creating planet ${planet.name} with custom texture: ${planet.textureUrl}`);
 
+            // Procedural images from the local content generator are drawn on demand
+            let adjustedTextureUrl = resolveContentImageUrl(planet.textureUrl);
+
             // Fix texture path for API server images
-            let adjustedTextureUrl = planet.textureUrl;
 
             if (planet.textureUrl.startsWith('/images/')) {
                 if ((window as any).location.port === '8000') {
@@ -120,7 +124,7 @@ export class PlanetMaterials {
 
             default:
                 // For other planets, use a procedural texture from the collection
-                const textureIndex = Math.floor(Math.random() * proceduralTextures.length);
+                const textureIndex = Math.floor(random.next() * proceduralTextures.length);
                 return new THREE.MeshStandardMaterial({
                     map: proceduralTextures[textureIndex],
                     roughness: 0.85,
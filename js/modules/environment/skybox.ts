@@ -1,6 +1,7 @@
 // skybox.ts - Creates and manages advanced procedural skybox with volumetric effects
 
 import * as THREE from 'three';
+import { resolveContentImageUrl } from '../utils/localContentProvider.ts';
 
 interface SkyboxParams {
     starDensity?: number;
@@ -89,8 +90,10 @@ export class Skybox {
             return this.milkyWayTexture;
         }
 
+        // Procedural images from the local content generator are drawn on demand
+        let adjustedTexturePath = resolveContentImageUrl(texturePath);
+
         // Fix texture path for API server images
-        let adjustedTexturePath = texturePath;
 
         // Check if this is an image from our API server
         if (texturePath.startsWith('/images/')) {
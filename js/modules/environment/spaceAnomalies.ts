@@ -1,7 +1,11 @@
 // spaceAnomalies.ts - Creates and manages space anomalies with collectible energy orbs
 
 import * as THREE from 'three';
-import { AnomalyRegistry } from './anomalies/anomalyRegistry';
+import { AnomalyRegistry, pickAnomalyType } from './anomalies/anomalyRegistry';
+import { gameRandom } from '../../globals/random.ts';
+import { mainMessageBus } from '../../globals/messageBus.ts';
+import { ShipState } from '../../ecs/components';
+import { getPlayerEntity } from '../../ecs/systems/index';
 
 type OrbRarity = 'common' | 'uncommon' | 'rare' | 'epic' | 'legendary';
 
@@ -24,6 +28,8 @@ interface AnomalyData {
     orbCollected: boolean;
     rotationSpeed?: { x: number; y: number; z: number };
     rings?: Array<{ mesh: THREE.Mesh; rotationSpeed: { x: number; y: number; z: number } }>;
+    fieldRadius?: number;     // Ship inside this distance is affected by the anomaly
+    shipInField?: boolean;
     [key: string]: unknown;
 }
 
@@ -32,9 +38,18 @@ interface GameRenderer {
     add?: (obj: THREE.Object3D) => void;
 }
 
+interface AnomalySpaceship {
+    mesh?: THREE.Object3D;
+    shield: number;
+    isDocked?: boolean;
+    isDestroyed?: boolean;
+    syncValuesToHealthComponent?: () => void;
+}
+
 interface GameGlobal {
     renderer?: GameRenderer;
-    spaceship?: { mesh?: THREE.Object3D };
+    spaceship?: AnomalySpaceship;
+    physics?: { applyExternalAcceleration(acceleration: THREE.Vector3): void };
 }
 
 export class SpaceAnomalies {
@@ -51,8 +66,9 @@ export class SpaceAnomalies {
     spawnChance: number;
     despawnChance: number;
     anomalyRegistry: AnomalyRegistry;
-    anomalyTypes: string[];
     maxAnomalies: number;
+    classification: string | null;
+    shieldDraining: boolean;
 
     constructor(scene: THREE.Scene) {
         this.scene = scene;
@@ -84,11 +100,16 @@ export class SpaceAnomalies {
 
         // Initialize anomaly registry
         this.anomalyRegistry = new AnomalyRegistry(scene, this.anomalyScale, this.orbScale);
-        this.anomalyTypes = this.anomalyRegistry.getAvailableTypes();
 
         // Maximum number of anomalies that can exist simultaneously
         this.maxAnomalies = 5;
 
+        // Current system's classification weights which types spawn
+        this.classification = null;
+
+        // True while a field is draining shields, so the drop is synced once it stops
+        this.shieldDraining = false;
+
         // Notify about active anomalies
         this.updateAnomalyCountDisplay();
     }
@@ -127,16 +148,18 @@ export class SpaceAnomalies {
         if (this.spawnTimer >= this.checkInterval) {
             // Reset timer
             this.spawnTimer -= this.checkInterval;
+            const random = gameRandom.stream('anomalies');
 
             // Check for potential new anomaly spawn
-            if (this.anomalies.length < this.maxAnomalies && Math.random() < this.spawnChance) {
-                // Determine which anomaly type to spawn
-                const availableTypes = this.anomalyTypes.filter(type =>
-                    !this.anomalies.some(anomaly => anomaly.type === type)
+            if (this.anomalies.length < this.maxAnomalies && random.next() < this.spawnChance) {
+                // Determine which anomaly type to spawn - one of each type at a time
+                const typeToSpawn = pickAnomalyType(
+                    random,
+                    this.classification,
+                    this.anomalies.map(anomaly => anomaly.type)
                 );
 
-                if (availableTypes.length > 0) {
-                    const typeToSpawn = availableTypes[Math.floor(Math.random() * availableTypes.length)];
+                if (typeToSpawn) {
                     this.spawnAnomaly(typeToSpawn);
 
                     // Update HUD with new count
@@ -147,7 +170,7 @@ export class SpaceAnomalies {
             // Check each existing anomaly for potential despawn
             const anomaliesToRemove: AnomalyData[] = [];
             this.anomalies.forEach(anomaly => {
-                if (Math.random() < this.despawnChance) {
+                if (random.next() < this.despawnChance) {
                     anomaliesToRemove.push(anomaly);
                 }
             });
@@ -240,6 +263,9 @@ export class SpaceAnomalies {
             playerPosition = (game.spaceship.mesh as THREE.Object3D).position;
         }
 
+        // Anomaly fields act on the ship whether or not their orb has been collected
+        this.applyAnomalyEffects(game, deltaTime);
+
         // Update existing anomalies
         for (let i = 0; i < this.anomalies.length; i++) {
             const anomaly = this.anomalies[i];
@@ -277,6 +303,71 @@ export class SpaceAnomalies {
         }
     }
 
+    // Apply the effect of every anomaly whose field the ship is in
+    applyAnomalyEffects(game: GameGlobal | undefined, deltaTime: number): void {
+        const spaceship = game?.spaceship;
+        let cloaked = false;
+        let drained = false;
+
+        if (spaceship?.mesh && !spaceship.isDocked && !spaceship.isDestroyed) {
+            const mesh = spaceship.mesh;
+            const random = gameRandom.stream('anomalyEffects');
+
+            for (const anomaly of this.anomalies) {
+                if (!anomaly.fieldRadius) continue;
+
+                const distance = mesh.position.distanceTo(anomaly.position);
+                const inField = distance < anomaly.fieldRadius;
+                const entered = inField && !anomaly.shipInField;
+                anomaly.shipInField = inField;
+                if (!inField) continue;
+
+                this.anomalyRegistry.affectShip(anomaly, {
+                    shipPosition: mesh.position,
+                    distance,
+                    deltaTime,
+                    entered,
+                    random,
+                    pull: acceleration => game?.physics?.applyExternalAcceleration(acceleration),
+                    drainShield: amount => {
+                        if (amount > 0 && spaceship.shield > 0) {
+                            spaceship.shield = Math.max(0, spaceship.shield - amount);
+                            drained = true;
+                        }
+                    },
+                    teleport: position => {
+                        mesh.position.copy(position);
+                    },
+                    scrambleHud: duration => {
+                        mainMessageBus.publish('anomaly.hudScrambled', { anomaly: anomaly.type, duration });
+                    },
+                    cloak: () => {
+                        cloaked = true;
+                    },
+                    notify: (message, type = 'info') => {
+                        mainMessageBus.publish('ui.notification', { message, type, duration: 4000 });
+                    }
+                });
+            }
+        }
+
+        // The health component only needs the drained shield once the drain stops
+        if (this.shieldDraining && !drained) {
+            spaceship?.syncValuesToHealthComponent?.();
+        }
+        this.shieldDraining = drained;
+
+        this.setPlayerCloaked(cloaked);
+    }
+
+    // Hide the player from enemy detection in the ECS
+    setPlayerCloaked(cloaked: boolean): void {
+        const playerEid = getPlayerEntity();
+        if (playerEid !== -1) {
+            ShipState.isCloaked[playerEid] = cloaked ? 1 : 0;
+        }
+    }
+
     createEnergyOrb(rarity: OrbRarity): OrbData {
         // Create an energy orb with glow effects based on rarity
 
@@ -360,9 +451,10 @@ export class SpaceAnomalies {
 
     getRandomAnomalyPosition(): THREE.Vector3 {
         // Get random position outside asteroid belt
-        const angle = Math.random() * Math.PI * 2;
-        const radius = this.minRadius + Math.random() * (this.maxRadius - this.minRadius);
-        const heightVariation = (Math.random() - 0.5) * this.width;
+        const random = gameRandom.stream('anomalies');
+        const angle = random.next() * Math.PI * 2;
+        const radius = this.minRadius + random.next() * (this.maxRadius - this.minRadius);
+        const heightVariation = (random.next() - 0.5) * this.width;
 
         return new THREE.Vector3(
             Math.cos(angle) * radius,
@@ -373,7 +465,8 @@ export class SpaceAnomalies {
 
     getRandomOrbRarity(): OrbRarity {
         // Determine orb rarity based on probabilities
-        const roll = Math.random();
+        const random = gameRandom.stream('anomalies');
+        const roll = random.next();
 
         if (roll < 0.005) {
             return 'legendary'; // 0.5% chance
@@ -488,10 +581,12 @@ export class SpaceAnomalies {
     }
 
 
-    updateForSystem(systemData: unknown): void {
-        void systemData;
+    updateForSystem(systemData: { classification?: string } | null): void {
         console.log("Updating space anomalies for new star system");
 
+        // New anomalies follow the new system's classification
+        this.classification = systemData?.classification ?? null;
+
         // Clear any existing anomalies
         this.clearAllAnomalies();
 
@@ -226,6 +226,47 @@ export class StarSystemGenerator {
         return this.systems[this.currentSystem];
     }
 
+    // Snapshot systems, connections and current location for save games
+    getSaveState(): { currentSystem: string; systems: Record<string, Record<string, unknown>>; customPlanetData?: Record<string, unknown[]> } | null {
+        if (!this.currentSystem) return null;
+
+        return {
+            currentSystem: this.currentSystem,
+            // JSON round-trip turns Vector3 positions into plain {x, y, z} objects
+            systems: JSON.parse(JSON.stringify(this.systems)),
+            customPlanetData: this.customPlanetData ? JSON.parse(JSON.stringify(this.customPlanetData)) : undefined
+        };
+    }
+
+    // Replace the generated universe with one restored from a save game
+    restoreSaveState(state: { currentSystem: string; systems: Record<string, any>; customPlanetData?: Record<string, any[]> }): boolean {
+        if (!state || !state.systems || !state.systems[state.currentSystem]) {
+            console.error("StarSystemGenerator: Invalid saved star system state");
+            return false;
+        }
+
+        const systems: Record<string, StarSystemData> = {};
+        const warpGates: Record<string, string[]> = {};
+
+        for (const [id, saved] of Object.entries(state.systems)) {
+            const position = saved.position || {};
+            systems[id] = {
+                ...saved,
+                connections: Array.isArray(saved.connections) ? [...saved.connections] : [],
+                position: new THREE.Vector3(position.x || 0, position.y || 0, position.z || 0)
+            } as StarSystemData;
+            warpGates[id] = [...systems[id].connections];
+        }
+
+        this.systems = systems;
+        this.warpGates = warpGates;
+        this.customPlanetData = state.customPlanetData as Record<string, PlanetData[]> | undefined;
+        this.setCurrentSystem(state.currentSystem);
+
+        console.log(`Restored ${Object.keys(systems).length} star systems from save`);
+        return true;
+    }
+
     // Helper methods
 
     getRandomSystemsExcept(exceptId: string, count: number): string[] {
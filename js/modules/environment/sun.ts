@@ -7,6 +7,10 @@ import { SunLighting } from './sun/sunLighting';
 
 type SunType = 'O' | 'B' | 'A' | 'F' | 'G' | 'K' | 'M';
 
+// How much a solar flare raises surface activity and swells the outer corona at its peak
+const FLARE_ACTIVITY_BOOST = 0.8;
+const FLARE_CORONA_SWELL = 0.25;
+
 interface SceneWithLighting extends THREE.Scene {
     camera?: THREE.Camera;
     lightingManager?: unknown;
@@ -20,6 +24,10 @@ export class Sun {
     sunMaterial?: THREE.ShaderMaterial;
     coronaMaterial?: THREE.ShaderMaterial;
     outerCoronaMaterial?: THREE.ShaderMaterial;
+    outerCorona?: THREE.Mesh;
+    activity: number;
+    flareTimer: number;
+    flareDuration: number;
     lighting!: SunLighting;
     flares!: SunFlares;
 
@@ -28,6 +36,9 @@ export class Sun {
         this.sun = null;
         this.time = 0;
         this.sunType = 'G'; // Default sun type (G-type like our Sun)
+        this.activity = 0.8; // Matches the shader's initial sunActivity
+        this.flareTimer = 0;
+        this.flareDuration = 0;
         this.createSun();
     }
 
@@ -53,6 +64,7 @@ export class Sun {
         this.outerCoronaMaterial = SunShaders.createOuterCoronaMaterial();
         const outerCoronaMesh = new THREE.Mesh(outerCoronaGeometry, this.outerCoronaMaterial);
         this.sun.add(outerCoronaMesh);
+        this.outerCorona = outerCoronaMesh;
 
         // Initialize subsystems
         // Get lighting manager from scene if available
@@ -78,6 +90,8 @@ export class Sun {
             default: color = 0xfff4ea; temperature = 5500; activity = 0.6;
         }
 
+        this.activity = activity;
+
         // Update material colors and parameters
         if (this.sunMaterial) {
             this.sunMaterial.uniforms.sunColor.value.setHex(color);
@@ -106,6 +120,19 @@ export class Sun {
         console.log(`Updated sun to type ${this.sunType}, color: ${color.toString(16)}, intensity multiplier: ${lightIntensityMultiplier}`);
     }
 
+    /**
+     * Flare the star: activity and corona rise and fall back over the duration
+     * @param duration Seconds
+     */
+    triggerFlare(duration: number): void {
+        this.flareDuration = Math.max(duration, 0.001);
+        this.flareTimer = this.flareDuration;
+    }
+
+    isFlaring(): boolean {
+        return this.flareTimer > 0;
+    }
+
     getRadius(): number {
         return 3000;
     }
@@ -132,6 +159,15 @@ export class Sun {
             this.outerCoronaMaterial.uniforms.time.value = this.time;
         }
 
+        if (this.flareTimer > 0) {
+            this.flareTimer = Math.max(0, this.flareTimer - deltaTime);
+            const envelope = Math.sin(Math.PI * (1 - this.flareTimer / this.flareDuration));
+            if (this.sunMaterial) {
+                this.sunMaterial.uniforms.sunActivity.value = this.activity + envelope * FLARE_ACTIVITY_BOOST;
+            }
+            this.outerCorona?.scale.setScalar(1 + envelope * FLARE_CORONA_SWELL);
+        }
+
         // Update camera-relative uniforms
         if (this.scene && this.scene.camera) {
             const viewVector = new THREE.Vector3().subVectors(
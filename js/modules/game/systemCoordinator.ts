@@ -92,8 +92,8 @@ export class GameSystemCoordinator {
             this.game.combat.update(deltaTime);
             // Handle continuous firing if weapon is active
             if (this.game.combat.isFiring && !this.game.spaceship.isDocked) {
-                // Fire weapon (sound is handled directly in the particle cannon firing method)
-                this.game.combat.fireParticleCannon();
+                // Fire weapon (sound is handled directly in the weapon firing method)
+                this.game.combat.fireWeapon();
             }
         }
     }
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  MarketModel,
+  BASE_PRICES,
+  MARKET_DEPTH,
+  RECOVERY_HALF_LIFE_MS,
+  getScarcityFactor,
+  renderSparkline,
+} from '../marketModel'
+
+const home = { id: 'Solar System', starClass: 'G', classification: 'Home System' }
+const barren = { id: 'System-1', starClass: 'M', classification: 'Barren' }
+const platinumRich = { id: 'System-2', starClass: 'B', classification: 'Unstable' }
+
+describe('Market Model', () => {
+  let market: MarketModel
+
+  beforeEach(() => {
+    market = new MarketModel()
+  })
+
+  it('should price the home system at the base rates', () => {
+    expect(market.getPrice(home, 'iron', 0)).toBe(BASE_PRICES.iron)
+    expect(market.getPrice(home, 'gold', 0)).toBe(BASE_PRICES.gold)
+    expect(market.getPrice(home, 'platinum', 0)).toBe(BASE_PRICES.platinum)
+  })
+
+  it('should pay more where a resource is scarce', () => {
+    expect(market.getPrice(barren, 'gold', 0)).toBeGreaterThan(BASE_PRICES.gold)
+    expect(market.getPrice(platinumRich, 'platinum', 0)).toBeLessThan(BASE_PRICES.platinum)
+  })
+
+  it('should fall back to resource multipliers for custom systems', () => {
+    const custom = { id: 'Custom-1', classification: 'Custom', resourceMultipliers: { iron: 1, gold: 4, platinum: 0.25 } }
+
+    expect(getScarcityFactor(custom, 'iron')).toBe(1)
+    expect(getScarcityFactor(custom, 'gold')).toBeLessThan(1)
+    expect(getScarcityFactor(custom, 'platinum')).toBeGreaterThan(1)
+  })
+
+  it('should drop the price as resources are sold', () => {
+    const sale = market.sell(home, 'iron', MARKET_DEPTH.iron, 0)
+
+    expect(sale).not.toBeNull()
+    expect(sale!.amount).toBe(MARKET_DEPTH.iron)
+    expect(sale!.priceAfter).toBe(BASE_PRICES.iron / 2)
+    expect(sale!.credits).toBeLessThan(MARKET_DEPTH.iron * BASE_PRICES.iron)
+    expect(market.getPrice(home, 'iron', 0)).toBe(BASE_PRICES.iron / 2)
+  })
+
+  it('should keep each system market separate', () => {
+    market.sell(home, 'gold', 500, 0)
+
+    expect(market.getPrice(barren, 'gold', 0)).toBeGreaterThan(BASE_PRICES.gold)
+  })
+
+  it('should recover toward the base price over time', () => {
+    market.sell(home, 'platinum', MARKET_DEPTH.platinum, 0)
+    const flooded = market.getPrice(home, 'platinum', 0)
+
+    const recovering = market.getPrice(home, 'platinum', RECOVERY_HALF_LIFE_MS)
+    expect(recovering).toBeGreaterThan(flooded)
+    expect(recovering).toBeLessThan(BASE_PRICES.platinum)
+
+    expect(market.getPrice(home, 'platinum', RECOVERY_HALF_LIFE_MS * 20)).toBe(BASE_PRICES.platinum)
+  })
+
+  it('should report trends and history', () => {
+    market.sell(home, 'gold', 50, 0)
+    let gold = market.getQuotes(home, 0).find(quote => quote.commodity === 'gold')!
+    expect(gold.trend).toBe('down')
+    expect(gold.history).toEqual([BASE_PRICES.gold, gold.price])
+
+    gold = market.getQuotes(home, RECOVERY_HALF_LIFE_MS).find(quote => quote.commodity === 'gold')!
+    expect(gold.trend).toBe('up')
+  })
+
+  it('should ignore sales of nothing', () => {
+    expect(market.sell(home, 'iron', 0, 0)).toBeNull()
+    expect(market.sell(home, 'iron', 0.5, 0)).toBeNull()
+  })
+
+  it('should render a sparkline', () => {
+    expect(renderSparkline([10, 5, 10])).toBe('█▁█')
+    expect(renderSparkline([])).toBe('')
+  })
+})
@@ -0,0 +1,257 @@
+// marketModel.ts - Per-system commodity prices driven by supply and demand
+//
+// Each system's base prices come from its star class and classification:
+// resources that are scarce there pay more. Selling floods the local market
+// and pushes the price down; the market recovers back to base over time.
+
+import { RESOURCE_DISTRIBUTION, CLASSIFICATION_MULTIPLIERS } from '../environment/generator/systemConfig.js';
+
+export type Commodity = 'iron' | 'gold' | 'platinum';
+
+export type PriceTrend = 'up' | 'down' | 'stable';
+
+export const COMMODITIES: Commodity[] = ['iron', 'gold', 'platinum'];
+
+// Prices at the home system before any selling (the old fixed rates)
+export const BASE_PRICES: Record<Commodity, number> = {
+    iron: 10,
+    gold: 50,
+    platinum: 200
+};
+
+// Units that must be sold in one system to halve its price
+export const MARKET_DEPTH: Record<Commodity, number> = {
+    iron: 300,
+    gold: 100,
+    platinum: 30
+};
+
+// Time for a flooded market to recover half of the way back to its base price
+export const RECOVERY_HALF_LIFE_MS = 3 * 60 * 1000;
+
+// Scarcity can at most multiply or divide prices by this range
+const MIN_PRICE_FACTOR = 0.5;
+const MAX_PRICE_FACTOR = 2.5;
+
+const HISTORY_LENGTH = 10;
+
+// Abundance of the home system (G class, Home System) - the reference for base prices
+const REFERENCE_ABUNDANCE: Record<Commodity, number> = {
+    iron: RESOURCE_DISTRIBUTION.G.iron * CLASSIFICATION_MULTIPLIERS['Home System'].iron,
+    gold: RESOURCE_DISTRIBUTION.G.gold * CLASSIFICATION_MULTIPLIERS['Home System'].gold,
+    platinum: RESOURCE_DISTRIBUTION.G.platinum * CLASSIFICATION_MULTIPLIERS['Home System'].platinum
+};
+
+export interface MarketSystemInfo {
+    id: string;
+    starClass?: string;
+    classification?: string;
+    resourceMultipliers?: Record<Commodity, number>;
+}
+
+export interface CommodityState {
+    basePrice: number;
+    // Accumulated selling pressure; 1.0 halves the price
+    saturation: number;
+    history: number[];
+}
+
+export interface SystemMarketState {
+    systemId: string;
+    lastUpdated: number;
+    commodities: Record<Commodity, CommodityState>;
+}
+
+export interface CommodityQuote {
+    commodity: Commodity;
+    price: number;
+    basePrice: number;
+    trend: PriceTrend;
+    history: number[];
+}
+
+export interface SaleResult {
+    commodity: Commodity;
+    amount: number;
+    credits: number;
+    priceBefore: number;
+    priceAfter: number;
+}
+
+/**
+ * How much a system's scarcity multiplies the home price of a commodity
+ */
+export function getScarcityFactor(system: MarketSystemInfo, commodity: Commodity): number {
+    const distribution = system.starClass ? RESOURCE_DISTRIBUTION[system.starClass as keyof typeof RESOURCE_DISTRIBUTION] : undefined;
+    const classMultiplier = system.classification ? CLASSIFICATION_MULTIPLIERS[system.classification] : undefined;
+
+    let abundance: number;
+    if (distribution && classMultiplier) {
+        abundance = distribution[commodity] * classMultiplier[commodity];
+    } else {
+        // Custom systems only carry multipliers relative to the home system
+        const multiplier = system.resourceMultipliers ? system.resourceMultipliers[commodity] : 1;
+        abundance = REFERENCE_ABUNDANCE[commodity] * (multiplier > 0 ? multiplier : 1);
+    }
+
+    const factor = Math.sqrt(REFERENCE_ABUNDANCE[commodity] / abundance);
+    return Math.min(MAX_PRICE_FACTOR, Math.max(MIN_PRICE_FACTOR, factor));
+}
+
+export class MarketModel {
+    markets: Record<string, SystemMarketState>;
+
+    constructor() {
+        this.markets = {};
+    }
+
+    /**
+     * Get (creating if needed) the market for a system, with recovery applied up to now
+     */
+    getSystemMarket(system: MarketSystemInfo, now: number = Date.now()): SystemMarketState {
+        let market = this.markets[system.id];
+        if (!market) {
+            const commodities = {} as Record<Commodity, CommodityState>;
+            for (const commodity of COMMODITIES) {
+                const basePrice = Math.round(BASE_PRICES[commodity] * getScarcityFactor(system, commodity));
+                commodities[commodity] = { basePrice, saturation: 0, history: [basePrice] };
+            }
+            market = { systemId: system.id, lastUpdated: now, commodities };
+            this.markets[system.id] = market;
+        }
+
+        this.recover(market, now);
+        return market;
+    }
+
+    /**
+     * Current unit price of a commodity in a system
+     */
+    getPrice(system: MarketSystemInfo, commodity: Commodity, now: number = Date.now()): number {
+        const state = this.getSystemMarket(system, now).commodities[commodity];
+        return MarketModel.priceFor(state);
+    }
+
+    /**
+     * Prices, trends and recent history for every commodity in a system
+     */
+    getQuotes(system: MarketSystemInfo, now: number = Date.now()): CommodityQuote[] {
+        const market = this.getSystemMarket(system, now);
+
+        return COMMODITIES.map(commodity => {
+            const state = market.commodities[commodity];
+            const price = MarketModel.priceFor(state);
+            return {
+                commodity,
+                price,
+                basePrice: state.basePrice,
+                trend: MarketModel.trendFor(state, price),
+                history: [...state.history]
+            };
+        });
+    }
+
+    /**
+     * Sell whole units of a commodity. Each unit sold lowers the price of the next.
+     * @returns Sale details, or null if there was nothing to sell
+     */
+    sell(system: MarketSystemInfo, commodity: Commodity, amount: number, now: number = Date.now()): SaleResult | null {
+        const units = Math.floor(amount);
+        if (units <= 0) return null;
+
+        const state = this.getSystemMarket(system, now).commodities[commodity];
+        const priceBefore = MarketModel.priceFor(state);
+
+        let credits = 0;
+        for (let i = 0; i < units; i++) {
+            credits += state.basePrice / (1 + state.saturation);
+            state.saturation += 1 / MARKET_DEPTH[commodity];
+        }
+
+        const priceAfter = MarketModel.priceFor(state);
+        MarketModel.recordPrice(state, priceAfter);
+
+        return {
+            commodity,
+            amount: units,
+            credits: Math.round(credits),
+            priceBefore,
+            priceAfter
+        };
+    }
+
+    /**
+     * Record current prices in a system's history (called when the player docks)
+     */
+    snapshot(system: MarketSystemInfo, now: number = Date.now()): void {
+        const market = this.getSystemMarket(system, now);
+        for (const commodity of COMMODITIES) {
+            const state = market.commodities[commodity];
+            MarketModel.recordPrice(state, MarketModel.priceFor(state));
+        }
+    }
+
+    // Let selling pressure decay exponentially since the last update
+    private recover(market: SystemMarketState, now: number): void {
+        const elapsed = now - market.lastUpdated;
+        if (elapsed <= 0) return;
+
+        const decay = Math.pow(0.5, elapsed / RECOVERY_HALF_LIFE_MS);
+        for (const commodity of COMMODITIES) {
+            const state = market.commodities[commodity];
+            state.saturation *= decay;
+            if (state.saturation < 0.001) state.saturation = 0;
+        }
+        market.lastUpdated = now;
+    }
+
+    static priceFor(state: CommodityState): number {
+        return Math.max(1, Math.round(state.basePrice / (1 + state.saturation)));
+    }
+
+    /**
+     * Direction of the most recent price movement
+     */
+    static trendFor(state: CommodityState, price: number): PriceTrend {
+        const history = state.history;
+        let previous = history[history.length - 1];
+        // Price was just recorded - compare against the entry before it
+        if (previous === price) {
+            previous = history[history.length - 2];
+        }
+        if (previous === undefined || previous === price) return 'stable';
+        return price > previous ? 'up' : 'down';
+    }
+
+    private static recordPrice(state: CommodityState, price: number): void {
+        if (state.history[state.history.length - 1] === price) return;
+        state.history.push(price);
+        if (state.history.length > HISTORY_LENGTH) {
+            state.history.shift();
+        }
+    }
+}
+
+export const TREND_SYMBOLS: Record<PriceTrend, string> = {
+    up: '▲',
+    down: '▼',
+    stable: '■'
+};
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Render a price history as a compact text sparkline
+ */
+export function renderSparkline(history: number[]): string {
+    if (history.length === 0) return '';
+
+    const min = Math.min(...history);
+    const max = Math.max(...history);
+    const range = max - min;
+
+    return history.map(price => {
+        const level = range === 0 ? SPARK_CHARS.length - 1 : Math.round(((price - min) / range) * (SPARK_CHARS.length - 1));
+        return SPARK_CHARS[level];
+    }).join('');
+}
@@ -3,6 +3,9 @@
 import * as THREE from 'three';
 import { DEBUG_MODE } from '../globals/debug.ts';
 import { mainMessageBus } from '../globals/messageBus.ts';
+import { getAccelerationFactor, getTopSpeedFactor } from './cargo/cargoHold.ts';
+import { getSpatialIndex } from '../ecs/systems/index';
+import { SPATIAL_LAYER } from '../ecs/spatialGrid';
 
 // Type definitions for physics-related objects
 interface RotationState {
@@ -31,6 +34,8 @@ interface Spaceship {
     isDocked: boolean;
     collisionResistance: number;
     maxVelocity?: number;
+    // Mass of the loaded cargo in tonnes
+    cargoMass?: number;
     trailEffects: TrailEffects | null;
     consumeFuel(): boolean;
 }
@@ -58,6 +63,11 @@ interface AudioSystem {
     playSound(sound: string): void;
 }
 
+// Resolves spatial index hits to asteroids
+interface AsteroidLookup {
+    getAsteroidByEid(eid: number): AsteroidData | null;
+}
+
 export class Physics {
     // Physics constants - significantly increased for super-fast movement
     static THRUST_FORCE = 0.5;      // 5x increase from previous 0.1
@@ -108,6 +118,9 @@ export class Physics {
     recoilTime: number = 0;         // Time accumulator for recoil oscillation
     recoilDirection: THREE.Vector3 = new THREE.Vector3(); // Direction of recoil (opposite to firing)
 
+    // Accelerations from outside the ship (e.g. anomalies), applied and cleared on the next step
+    externalAcceleration: THREE.Vector3 = new THREE.Vector3();
+
     // Camera zoom state
     currentZoom: number = 1.0;      // Current zoom multiplier (1.0 = normal, 1.3 = zoomed out)
     targetZoom: number = 1.0;       // Target zoom multiplier for smooth interpolation
@@ -116,6 +129,7 @@ export class Physics {
     private gameState?: GameStateAccessor;
     private inputAccessor?: InputAccessor;
     private audioSystem?: AudioSystem;
+    private asteroidLookup?: AsteroidLookup;
 
     constructor(
         scene: THREE.Scene,
@@ -123,6 +137,7 @@ export class Physics {
             gameState?: GameStateAccessor;
             inputAccessor?: InputAccessor;
             audioSystem?: AudioSystem;
+            asteroidLookup?: AsteroidLookup;
         }
     ) {
         this.scene = scene;
@@ -133,6 +148,7 @@ export class Physics {
         this.gameState = options?.gameState;
         this.inputAccessor = options?.inputAccessor;
         this.audioSystem = options?.audioSystem;
+        this.asteroidLookup = options?.asteroidLookup;
 
         // Virtual rotation state for pointer lock
         this.rotationState = {
@@ -216,6 +232,14 @@ export class Physics {
         this.recoilDirection.copy(direction).negate(); // Store opposite of firing direction
     }
     
+    /**
+     * Add an acceleration to the next physics step
+     * @param acceleration Units/frame per frame, like THRUST_FORCE
+     */
+    applyExternalAcceleration(acceleration: THREE.Vector3): void {
+        this.externalAcceleration.add(acceleration);
+    }
+
     // Set spaceship reference
     setSpaceship(spaceship: Spaceship): void {
         this.spaceship = spaceship;
@@ -227,13 +251,22 @@ export class Physics {
     }
     
     update(deltaTime: number): void {
-        if (!this.spaceship || this.spaceship.isDestroyed) return;
+        // Forces gathered while the ship can't move are dropped rather than saved up
+        const external = this.externalAcceleration;
+        if (!this.spaceship || this.spaceship.isDestroyed) {
+            external.set(0, 0, 0);
+            return;
+        }
 
         // Check if ship is docked - skip physics if docked
-        if (this.spaceship.isDocked) return;
+        if (this.spaceship.isDocked) {
+            external.set(0, 0, 0);
+            return;
+        }
 
         // Skip physics updates if intro sequence is active
         if (this.gameState?.isIntroSequenceActive()) {
+            external.set(0, 0, 0);
             return;
         }
         
@@ -338,8 +371,8 @@ export class Physics {
                 // Apply thrust in world space (only if actively thrusting)
                 thrustVector.applyQuaternion(this.spaceship.mesh.quaternion);
                 
-                // Apply thrust scaled by normalized delta time
-                thrustVector.multiplyScalar(this.normalizedDeltaTime);
+                // Apply thrust scaled by normalized delta time - a loaded hold accelerates slower
+                thrustVector.multiplyScalar(this.normalizedDeltaTime * getAccelerationFactor(this.getCargoMass()));
                 this.spaceship.velocity.add(thrustVector);
                 
                 // Get the current max velocity from the spaceship
@@ -359,6 +392,16 @@ export class Physics {
             this.spaceship.thrust.boost = false;
         }
 
+        // External pulls can't push the ship past its top speed either
+        if (external.lengthSq() > 0) {
+            this.spaceship.velocity.addScaledVector(external, this.normalizedDeltaTime);
+            const maxVelocity = this.getMaxVelocity();
+            if (this.spaceship.velocity.length() > maxVelocity) {
+                this.spaceship.velocity.normalize().multiplyScalar(maxVelocity);
+            }
+            external.set(0, 0, 0);
+        }
+
         // Add a small amount of "space friction" to make controls more manageable
         // This isn't realistic physics but makes the game more enjoyable to play
         if (!isThrusting && this.spaceship.velocity.length() > 0) {
@@ -396,11 +439,17 @@ export class Physics {
         this.checkCollisions();
     }
     
-    // Helper method to get the max velocity from the spaceship or use the default
+    // Helper method to get the max velocity from the spaceship or use the default,
+    // reduced by the mass of the cargo on board
     getMaxVelocity(): number {
-        return this.spaceship && this.spaceship.maxVelocity 
+        const maxVelocity = this.spaceship && this.spaceship.maxVelocity 
             ? this.spaceship.maxVelocity 
             : Physics.MAX_VELOCITY;
+        return maxVelocity * getTopSpeedFactor(this.getCargoMass());
+    }
+    
+    getCargoMass(): number {
+        return this.spaceship && this.spaceship.cargoMass ? this.spaceship.cargoMass : 0;
     }
     
     updateShipRotation(): void {
@@ -584,28 +633,6 @@ export class Physics {
         const shipRadius = 15; // Reduced from 70 to match actual ship size
         const shipPosition = shipMesh.position.clone();
         
-        // First check if we're colliding with our own projectiles and skip those
-        this.scene.traverse((object: THREE.Object3D) => {
-            if (object.type === 'Mesh' && 
-                'geometry' in object && 
-                object.geometry && 
-                typeof object.geometry === 'object' &&
-                'type' in object.geometry &&
-                typeof object.geometry.type === 'string' &&
-                object.geometry.type.includes('SphereGeometry') && 
-                'userData' in object &&
-                typeof object.userData === 'object' &&
-                object.userData !== null &&
-                'isPlayerProjectile' in object.userData &&
-                object.userData.isPlayerProjectile &&
-                'sourceId' in object.userData &&
-                object.userData.sourceId === 'player') {
-                
-                // Skip our own projectiles - don't even process them
-                return;
-            }
-        });
-        
         // 1. Check collisions with asteroids
         const asteroidMeshes: THREE.Mesh[] = [];
         
@@ -613,8 +640,18 @@ export class Physics {
         const asteroidBelt = this.scene.children.find((child: THREE.Object3D) => child.name === 'asteroidBelt');
         let asteroids: AsteroidData[] = [];
         
+        // The spatial index only returns asteroids whose bounds touch the ship
+        if (this.asteroidLookup) {
+            const lookup = this.asteroidLookup;
+            getSpatialIndex()
+                .queryRadius(shipPosition.x, shipPosition.y, shipPosition.z, shipRadius, SPATIAL_LAYER.ASTEROID)
+                .forEach(eid => {
+                    const asteroid = lookup.getAsteroidByEid(eid);
+                    if (asteroid) asteroidMeshes.push(asteroid.mesh);
+                });
+        }
         // If we can get direct access to asteroid belt object, use that for better performance
-        if (asteroidBelt && 
+        else if (asteroidBelt && 
             'userData' in asteroidBelt && 
             typeof asteroidBelt.userData === 'object' &&
             asteroidBelt.userData !== null &&
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  REPLAY_VERSION,
+  ReplayWriter,
+  ReplayReader,
+  checkDivergence,
+  createCheckpoint,
+  parseReplay,
+  validateReplay,
+  type ReplayData,
+  type TickInput,
+} from '../replayFormat'
+import { SAVE_VERSION } from '../../save/saveFormat'
+
+const initialState = {
+  version: SAVE_VERSION,
+  name: 'Start',
+  savedAt: 1000,
+  seed: 'ABC123',
+  ship: {
+    credits: 1500, hull: 100, maxHull: 100, shield: 50, maxShield: 50, fuel: 100, maxFuel: 100,
+    maxVelocity: 25, miningEfficiency: 1, collisionResistance: 1, scanRange: 1000, deployableLaserCount: 0,
+  },
+  upgrades: {
+    fuelTankLevel: 1, fuelUpgradeCost: 1000, engineLevel: 1, engineUpgradeCost: 1000, miningLevel: 1,
+    miningUpgradeCost: 1000, hullLevel: 1, hullUpgradeCost: 1000, scannerLevel: 1, scannerUpgradeCost: 1000,
+    cargoLevel: 1, cargoUpgradeCost: 700,
+  },
+  resources: { iron: 0, gold: 0, platinum: 0 },
+  orbs: {},
+  starSystem: null,
+}
+
+function tick(overrides: Partial<TickInput> = {}): TickInput {
+  return { intent: undefined, look: [0, 0], gamepad: null, actions: [], ...overrides }
+}
+
+function gamepad(leftX: number, aPressed: boolean) {
+  return {
+    axes: [leftX, 0, 0, 0],
+    buttons: [{ pressed: aPressed, value: aPressed ? 1 : 0 }, { pressed: false, value: 0 }],
+  }
+}
+
+function record(inputs: TickInput[]): ReplayData {
+  const writer = new ReplayWriter()
+  inputs.forEach(input => writer.writeTick(input))
+  return {
+    version: REPLAY_VERSION,
+    name: 'Test',
+    recordedAt: 2000,
+    seed: 'ABC123',
+    randomSeed: 42,
+    fixedDeltaTime: 1 / 60,
+    tickCount: writer.tickCount,
+    initialState: cloneInitialState(),
+    frames: writer.frames,
+    checkpoints: [createCheckpoint(0, { x: 1.234, y: 0, z: -5 }, 100, 50)],
+  }
+}
+
+function cloneInitialState() {
+  return JSON.parse(JSON.stringify(initialState))
+}
+
+function playBack(replay: ReplayData): TickInput[] {
+  const reader = new ReplayReader(replay)
+  const inputs: TickInput[] = []
+  while (!reader.finished) {
+    inputs.push(reader.readTick())
+    reader.advance()
+  }
+  return inputs
+}
+
+describe('Replay Format', () => {
+  it('should only store frames for ticks where input changed', () => {
+    const replay = record([
+      tick({ intent: 1 }),
+      tick({ intent: 1 }),
+      tick({ intent: 1, look: [0.01, -0.02] }),
+      tick({ intent: 0 }),
+      tick({ intent: 0 }),
+    ])
+
+    expect(replay.tickCount).toBe(5)
+    expect(replay.frames.map(frame => frame.tick)).toEqual([0, 2, 3])
+    expect(replay.frames[1]).toEqual({ tick: 2, look: [0.01, -0.02] })
+  })
+
+  it('should play back the same input for every tick', () => {
+    const inputs = [
+      tick({ intent: 1, actions: ['toggleLockOn'] }),
+      tick({ intent: 9, gamepad: gamepad(0.5, true) }),
+      tick({ intent: 9, gamepad: gamepad(0.5, true), look: [0.1, 0] }),
+      tick({ intent: 0, gamepad: gamepad(0, false), actions: ['fireStart', 'fireStop'] }),
+      tick({ intent: 0 }),
+    ]
+
+    expect(playBack(record(inputs))).toEqual(inputs)
+  })
+
+  it('should keep keyboard input uninitialised until a key is pressed', () => {
+    const inputs = [tick(), tick(), tick({ intent: 16 }), tick({ intent: 0 })]
+    const replay = record(inputs)
+
+    expect(replay.frames[0].tick).toBe(2)
+    expect(playBack(replay).map(input => input.intent)).toEqual([undefined, undefined, 16, 0])
+  })
+
+  it('should copy gamepad state into plain JSON', () => {
+    const replay = record([tick({ gamepad: gamepad(0.123456, true) })])
+
+    expect(replay.frames[0].gamepad).toEqual({ axes: [0.1235, 0, 0, 0], buttons: [1, 0], pressed: 1 })
+  })
+
+  it('should round-trip through JSON', () => {
+    const replay = record([tick({ intent: 1, gamepad: gamepad(1, false) }), tick({ actions: ['dock'] })])
+    const parsed = parseReplay(JSON.stringify(replay))
+
+    expect(parsed).not.toBeNull()
+    expect(parsed!.frames).toEqual(replay.frames)
+    expect(parsed!.checkpoints).toEqual([{ tick: 0, x: 1.23, y: 0, z: -5, hull: 100, shield: 50 }])
+    expect(parsed!.initialState.seed).toBe('ABC123')
+  })
+
+  it('should reject malformed replays', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const replay = record([tick({ intent: 1 }), tick({ intent: 0 })])
+
+    expect(validateReplay({ ...replay, version: REPLAY_VERSION + 1 })).toBeNull()
+    expect(validateReplay({ ...replay, initialState: { version: SAVE_VERSION } })).toBeNull()
+    expect(validateReplay({ ...replay, frames: [{ tick: 1 }, { tick: 0 }] })).toBeNull()
+    expect(validateReplay({ ...replay, frames: [{ tick: 5 }] })).toBeNull()
+    expect(validateReplay({ ...replay, frames: [{ tick: 0, actions: ['selfDestruct'] }] })).toBeNull()
+    expect(parseReplay('not json')).toBeNull()
+    vi.restoreAllMocks()
+  })
+
+  it('should flag checkpoints that drift past the tolerance', () => {
+    const expected = createCheckpoint(60, { x: 10, y: 0, z: 0 }, 100, 50)
+
+    expect(checkDivergence(expected, createCheckpoint(60, { x: 10.2, y: 0, z: 0 }, 100, 50))).toBeNull()
+    expect(checkDivergence(expected, createCheckpoint(60, { x: 12, y: 0, z: 0 }, 100, 50))).toBe(expected)
+    expect(checkDivergence(expected, createCheckpoint(60, { x: 10, y: 0, z: 0 }, 90, 50))).toBe(expected)
+    expect(checkDivergence(undefined, createCheckpoint(60, { x: 0, y: 0, z: 0 }, 0, 0))).toBeNull()
+  })
+})
@@ -0,0 +1,405 @@
+// replayFormat.ts - Input recording schema, validation and per-tick tape reading/writing
+//
+// A replay is the seed and starting save plus every input the fixed-step loop
+// consumed. Frames are sparse: a frame is only stored for ticks where
+// something changed, and fields that did not change are left out.
+
+import { migrateSave, validateSave, type SaveData } from '../save/saveFormat.ts';
+
+export const REPLAY_VERSION = 1;
+
+// Discrete player actions, performed through Controls.performAction
+export type ReplayAction =
+    | 'toggleLockOn'
+    | 'lockOnEnemy'
+    | 'cycleTarget'
+    | 'toggleMining'
+    | 'deployLaser'
+    | 'pickup'
+    | 'turretOrders'
+    | 'jettison'
+    | 'switchWeapon'
+    | 'deepScan'
+    | 'fireStart'
+    | 'fireStop'
+    | 'dock'
+    | 'undock';
+
+export const REPLAY_ACTIONS: ReplayAction[] = [
+    'toggleLockOn', 'lockOnEnemy', 'cycleTarget', 'toggleMining', 'deployLaser',
+    'pickup', 'turretOrders', 'jettison', 'switchWeapon', 'deepScan', 'fireStart', 'fireStop', 'dock', 'undock'
+];
+
+// The parts of a Gamepad that GamepadHandler reads
+export interface GamepadState {
+    axes: readonly number[];
+    buttons: readonly { pressed: boolean; value: number }[];
+}
+
+export interface GamepadSnapshot {
+    axes: number[];
+    buttons: number[];
+    // Bit i set when button i is pressed
+    pressed: number;
+}
+
+export interface ReplayFrame {
+    tick: number;
+    // inputIntent bitmask; null when keyboard input was never initialised
+    intent?: number | null;
+    // Mouse look delta applied through Physics.updateRotation
+    look?: [number, number];
+    // Gamepad state from this tick on; null when the gamepad went away
+    gamepad?: GamepadSnapshot | null;
+    actions?: ReplayAction[];
+}
+
+// Ship state sampled while recording, compared during replay to spot divergence
+export interface ReplayCheckpoint {
+    tick: number;
+    x: number;
+    y: number;
+    z: number;
+    hull: number;
+    shield: number;
+}
+
+export interface ReplayData {
+    version: number;
+    name: string;
+    recordedAt: number;
+    seed: string;
+    // Seed for Math.random while the replay runs
+    randomSeed: number;
+    fixedDeltaTime: number;
+    tickCount: number;
+    initialState: SaveData;
+    frames: ReplayFrame[];
+    checkpoints: ReplayCheckpoint[];
+}
+
+export interface TickInput {
+    intent: number | undefined;
+    look: [number, number];
+    gamepad: GamepadState | null;
+    actions: ReplayAction[];
+}
+
+// Take a checkpoint once per second of fixed-step time
+export const CHECKPOINT_INTERVAL = 60;
+
+// Distance or health difference that counts as a divergence
+const CHECKPOINT_TOLERANCE = 0.5;
+
+function isFiniteNumber(value: unknown): value is number {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value: number, places: number): number {
+    const scale = Math.pow(10, places);
+    return Math.round(value * scale) / scale;
+}
+
+/**
+ * Copy the parts of a live Gamepad the handler reads into plain JSON
+ */
+export function snapshotGamepad(gamepad: GamepadState): GamepadSnapshot {
+    let pressed = 0;
+    gamepad.buttons.forEach((button, index) => {
+        if (button.pressed) pressed |= 1 << index;
+    });
+
+    return {
+        axes: gamepad.axes.map(value => round(value, 4)),
+        buttons: gamepad.buttons.map(button => round(button.value, 4)),
+        pressed
+    };
+}
+
+/**
+ * Turn a snapshot back into the shape GamepadHandler reads
+ */
+export function gamepadFromSnapshot(snapshot: GamepadSnapshot): GamepadState {
+    return {
+        axes: snapshot.axes,
+        buttons: snapshot.buttons.map((value, index) => ({
+            pressed: (snapshot.pressed & (1 << index)) !== 0,
+            value
+        }))
+    };
+}
+
+function snapshotsEqual(a: GamepadSnapshot | null, b: GamepadSnapshot | null): boolean {
+    if (a === null || b === null) return a === b;
+    return a.pressed === b.pressed &&
+        a.axes.length === b.axes.length && a.axes.every((value, i) => value === b.axes[i]) &&
+        a.buttons.length === b.buttons.length && a.buttons.every((value, i) => value === b.buttons[i]);
+}
+
+/**
+ * Builds the sparse frame list while recording
+ */
+export class ReplayWriter {
+    frames: ReplayFrame[];
+    tickCount: number;
+    private lastIntent: number | null;
+    private lastGamepad: GamepadSnapshot | null;
+
+    constructor() {
+        this.frames = [];
+        this.tickCount = 0;
+        // Keyboard input starts uninitialised
+        this.lastIntent = null;
+        this.lastGamepad = null;
+    }
+
+    /**
+     * Record the input consumed by the next tick
+     */
+    writeTick(input: TickInput): void {
+        const frame: ReplayFrame = { tick: this.tickCount };
+        let changed = false;
+
+        const intent = input.intent === undefined ? null : input.intent;
+        if (intent !== this.lastIntent) {
+            frame.intent = intent;
+            this.lastIntent = intent;
+            changed = true;
+        }
+
+        if (input.look[0] !== 0 || input.look[1] !== 0) {
+            frame.look = [input.look[0], input.look[1]];
+            changed = true;
+        }
+
+        const gamepad = input.gamepad ? snapshotGamepad(input.gamepad) : null;
+        if (!snapshotsEqual(gamepad, this.lastGamepad)) {
+            frame.gamepad = gamepad;
+            this.lastGamepad = gamepad;
+            changed = true;
+        }
+
+        if (input.actions.length > 0) {
+            frame.actions = [...input.actions];
+            changed = true;
+        }
+
+        if (changed) {
+            this.frames.push(frame);
+        }
+        this.tickCount++;
+    }
+}
+
+/**
+ * Reads a recording back one tick at a time, holding state between sparse frames
+ */
+export class ReplayReader {
+    replay: ReplayData;
+    tick: number;
+    private nextFrame: number;
+    private intent: number | null;
+    private gamepad: GamepadState | null;
+
+    constructor(replay: ReplayData) {
+        this.replay = replay;
+        this.tick = 0;
+        this.nextFrame = 0;
+        this.intent = null;
+        this.gamepad = null;
+    }
+
+    get finished(): boolean {
+        return this.tick >= this.replay.tickCount;
+    }
+
+    /**
+     * Input for the current tick. Call advance() once the tick has run.
+     */
+    readTick(): TickInput {
+        const input: TickInput = {
+            intent: undefined,
+            look: [0, 0],
+            gamepad: null,
+            actions: []
+        };
+
+        const frame = this.replay.frames[this.nextFrame];
+        if (frame && frame.tick === this.tick) {
+            if (frame.intent !== undefined) this.intent = frame.intent;
+            if (frame.gamepad !== undefined) {
+                this.gamepad = frame.gamepad ? gamepadFromSnapshot(frame.gamepad) : null;
+            }
+            if (frame.look) input.look = [frame.look[0], frame.look[1]];
+            if (frame.actions) input.actions = [...frame.actions];
+            this.nextFrame++;
+        }
+
+        input.intent = this.intent === null ? undefined : this.intent;
+        input.gamepad = this.gamepad;
+        return input;
+    }
+
+    advance(): void {
+        this.tick++;
+    }
+}
+
+/**
+ * Compare a replayed checkpoint against the recording
+ * @returns The recorded checkpoint if the replay has drifted from it, otherwise null
+ */
+export function checkDivergence(expected: ReplayCheckpoint | undefined, actual: ReplayCheckpoint): ReplayCheckpoint | null {
+    if (!expected || expected.tick !== actual.tick) return null;
+
+    const dx = expected.x - actual.x;
+    const dy = expected.y - actual.y;
+    const dz = expected.z - actual.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    if (distance > CHECKPOINT_TOLERANCE ||
+        Math.abs(expected.hull - actual.hull) > CHECKPOINT_TOLERANCE ||
+        Math.abs(expected.shield - actual.shield) > CHECKPOINT_TOLERANCE) {
+        return expected;
+    }
+    return null;
+}
+
+export function createCheckpoint(tick: number, position: { x: number; y: number; z: number }, hull: number, shield: number): ReplayCheckpoint {
+    return {
+        tick,
+        x: round(position.x, 2),
+        y: round(position.y, 2),
+        z: round(position.z, 2),
+        hull: round(hull, 2),
+        shield: round(shield, 2)
+    };
+}
+
+function validateFrame(raw: any, tickCount: number, previousTick: number): ReplayFrame | null {
+    if (!raw || typeof raw !== 'object' || !Number.isInteger(raw.tick) ||
+        raw.tick <= previousTick || raw.tick >= tickCount) {
+        return null;
+    }
+
+    const frame: ReplayFrame = { tick: raw.tick };
+
+    if (raw.intent !== undefined) {
+        if (raw.intent !== null && !Number.isInteger(raw.intent)) return null;
+        frame.intent = raw.intent;
+    }
+
+    if (raw.look !== undefined) {
+        if (!Array.isArray(raw.look) || raw.look.length !== 2 || !raw.look.every(isFiniteNumber)) return null;
+        frame.look = [raw.look[0], raw.look[1]];
+    }
+
+    if (raw.gamepad !== undefined) {
+        if (raw.gamepad === null) {
+            frame.gamepad = null;
+        } else {
+            const { axes, buttons, pressed } = raw.gamepad;
+            if (!Array.isArray(axes) || !axes.every(isFiniteNumber) ||
+                !Array.isArray(buttons) || !buttons.every(isFiniteNumber) ||
+                !Number.isInteger(pressed)) {
+                return null;
+            }
+            frame.gamepad = { axes: [...axes], buttons: [...buttons], pressed };
+        }
+    }
+
+    if (raw.actions !== undefined) {
+        if (!Array.isArray(raw.actions) || !raw.actions.every((action: unknown) => REPLAY_ACTIONS.includes(action as ReplayAction))) {
+            return null;
+        }
+        frame.actions = [...raw.actions];
+    }
+
+    return frame;
+}
+
+/**
+ * Validate a replay payload and copy it into a clean ReplayData object
+ */
+export function validateReplay(raw: unknown): ReplayData | null {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        console.error("Replay data is not an object");
+        return null;
+    }
+
+    const replay = raw as Record<string, any>;
+    if (replay.version !== REPLAY_VERSION) {
+        console.error(`Unsupported replay version: ${replay.version}`);
+        return null;
+    }
+
+    if (typeof replay.seed !== 'string' || !replay.seed ||
+        !isFiniteNumber(replay.randomSeed) ||
+        !isFiniteNumber(replay.fixedDeltaTime) || replay.fixedDeltaTime <= 0 ||
+        !Number.isInteger(replay.tickCount) || replay.tickCount < 0) {
+        console.error("Replay header is invalid");
+        return null;
+    }
+
+    const migrated = migrateSave(replay.initialState);
+    const initialState = migrated ? validateSave(migrated) : null;
+    if (!initialState) {
+        console.error("Replay initial state is invalid");
+        return null;
+    }
+
+    if (!Array.isArray(replay.frames) || !Array.isArray(replay.checkpoints)) {
+        console.error("Replay is missing frames or checkpoints");
+        return null;
+    }
+
+    const frames: ReplayFrame[] = [];
+    let previousTick = -1;
+    for (const rawFrame of replay.frames) {
+        const frame = validateFrame(rawFrame, replay.tickCount, previousTick);
+        if (!frame) {
+            console.error("Replay frame is invalid:", rawFrame);
+            return null;
+        }
+        frames.push(frame);
+        previousTick = frame.tick;
+    }
+
+    const checkpoints: ReplayCheckpoint[] = [];
+    for (const checkpoint of replay.checkpoints) {
+        if (!checkpoint || !Number.isInteger(checkpoint.tick) ||
+            !['x', 'y', 'z', 'hull', 'shield'].every(key => isFiniteNumber(checkpoint[key]))) {
+            console.error("Replay checkpoint is invalid:", checkpoint);
+            return null;
+        }
+        const { tick, x, y, z, hull, shield } = checkpoint;
+        checkpoints.push({ tick, x, y, z, hull, shield });
+    }
+
+    return {
+        version: REPLAY_VERSION,
+        name: typeof replay.name === 'string' && replay.name.trim() ? replay.name.trim() : 'Replay',
+        recordedAt: isFiniteNumber(replay.recordedAt) ? replay.recordedAt : Date.now(),
+        seed: replay.seed,
+        randomSeed: replay.randomSeed >>> 0,
+        fixedDeltaTime: replay.fixedDeltaTime,
+        tickCount: replay.tickCount,
+        initialState,
+        frames,
+        checkpoints
+    };
+}
+
+/**
+ * Parse a replay file's JSON text
+ */
+export function parseReplay(json: string): ReplayData | null {
+    let raw: unknown;
+    try {
+        raw = JSON.parse(json);
+    } catch (error) {
+        console.error("Replay data is not valid JSON:", error);
+        return null;
+    }
+    return validateReplay(raw);
+}
@@ -0,0 +1,201 @@
+import { describe, it, expect } from 'vitest'
+import { SAVE_VERSION, parseSave, migrateSave } from '../saveFormat'
+
+const ship = {
+  credits: 1500,
+  hull: 80,
+  maxHull: 100,
+  shield: 40,
+  maxShield: 50,
+  fuel: 90,
+  maxFuel: 100,
+  maxVelocity: 25,
+  miningEfficiency: 1.2,
+  collisionResistance: 1,
+  scanRange: 1000,
+  deployableLaserCount: 2,
+}
+
+const upgrades = {
+  fuelTankLevel: 2,
+  fuelUpgradeCost: 2000,
+  engineLevel: 1,
+  engineUpgradeCost: 1000,
+  miningLevel: 3,
+  miningUpgradeCost: 4000,
+  hullLevel: 1,
+  hullUpgradeCost: 1200,
+  scannerLevel: 1,
+  scannerUpgradeCost: 600,
+  cargoLevel: 2,
+  cargoUpgradeCost: 1750,
+}
+
+const resources = { iron: 10, gold: 5, platinum: 1 }
+
+function savedSystem(id: string, connections: string[]) {
+  return {
+    id,
+    name: id,
+    starClass: 'G',
+    classification: 'Peaceful',
+    starColor: 0xffff00,
+    planetCount: 3,
+    asteroidDensity: 1,
+    specialFeatures: [],
+    description: 'A quiet system',
+    connections,
+    position: { x: 10, y: 0, z: -20 },
+    skyboxParams: { starDensity: 1, nebulaDensity: 0.5, color: 0xffffff, texturePath: './stars.jpg' },
+    resourceMultipliers: { iron: 1, gold: 1, platinum: 1 },
+  }
+}
+
+describe('Save Format', () => {
+  it('should round-trip a current-version save', () => {
+    const save = parseSave(JSON.stringify({
+      version: SAVE_VERSION,
+      name: 'Run 1',
+      savedAt: 1234,
+      seed: 'ABC123',
+      ship,
+      upgrades,
+      resources,
+      orbs: { common: 3, rare: 1 },
+      starSystem: null,
+    }))
+
+    expect(save).not.toBeNull()
+    expect(save!.seed).toBe('ABC123')
+    expect(save!.ship).toEqual(ship)
+    expect(save!.upgrades).toEqual(upgrades)
+    expect(save!.orbs).toEqual({ common: 3, uncommon: 0, rare: 1, epic: 0, legendary: 0 })
+  })
+
+  it('should migrate unversioned payloads', () => {
+    const save = parseSave(JSON.stringify({ ship, upgrades, resources }))
+
+    expect(save).not.toBeNull()
+    expect(save!.version).toBe(SAVE_VERSION)
+    expect(save!.name).toBe('Imported Save')
+    expect(save!.seed).toBeNull()
+    expect(save!.starSystem).toBeNull()
+  })
+
+  it('should add empty player stats when migrating version 2 saves', () => {
+    const save = parseSave(JSON.stringify({ version: 2, name: 'Old', seed: null, ship, upgrades, resources }))
+
+    expect(save!.version).toBe(SAVE_VERSION)
+    expect(save!.stats).toEqual({ bossesDefeated: 0 })
+    expect(parseSave(JSON.stringify({
+      version: SAVE_VERSION, ship, upgrades, resources, stats: { bossesDefeated: 2 },
+    }))!.stats).toEqual({ bossesDefeated: 2 })
+  })
+
+  it('should start version 3 saves with an empty level 1 cargo hold', () => {
+    const oldUpgrades: Record<string, number> = { ...upgrades }
+    delete oldUpgrades.cargoLevel
+    delete oldUpgrades.cargoUpgradeCost
+    const save = parseSave(JSON.stringify({ version: 3, name: 'Old', seed: null, ship, upgrades: oldUpgrades, resources }))
+
+    expect(save!.upgrades).toEqual({ ...oldUpgrades, cargoLevel: 1, cargoUpgradeCost: 700 })
+    expect(save!.alloys).toEqual({ steel: 0, electrum: 0, superalloy: 0 })
+    expect(parseSave(JSON.stringify({
+      version: SAVE_VERSION, ship, upgrades, resources, alloys: { steel: 4, electrum: -1 },
+    }))!.alloys).toEqual({ steel: 4, electrum: 0, superalloy: 0 })
+  })
+
+  it('should give version 4 saves the standard weapon loadout', () => {
+    const save = parseSave(JSON.stringify({ version: 4, name: 'Old', seed: null, ship, upgrades, resources }))
+
+    expect(save!.weapons.owned).toEqual(['cannon'])
+    expect(save!.weapons.mounts).toEqual({ left: 'cannon', right: 'cannon' })
+    expect(parseSave(JSON.stringify({
+      version: SAVE_VERSION, ship, upgrades, resources,
+      weapons: { owned: ['missiles'], mounts: { left: 'missiles', right: 'plasma' }, activeHardpoint: 'right', ammo: { missiles: 5 } },
+    }))!.weapons).toMatchObject({
+      owned: ['cannon', 'missiles'],
+      mounts: { left: 'missiles', right: 'cannon' },
+      activeHardpoint: 'right',
+      ammo: { missiles: 5 },
+    })
+  })
+
+  it('should give version 5 saves default turret upgrades and orders', () => {
+    const save = parseSave(JSON.stringify({ version: 5, name: 'Old', seed: null, ship, upgrades, resources }))
+
+    expect(save!.turrets).toEqual({ upgrades: { range: 1, damage: 1, health: 1 }, priority: 'nearest' })
+    expect(parseSave(JSON.stringify({
+      version: SAVE_VERSION, ship, upgrades, resources, turrets: { upgrades: { damage: 3 }, priority: 'protect' },
+    }))!.turrets).toEqual({ upgrades: { range: 1, damage: 3, health: 1 }, priority: 'protect' })
+  })
+
+  it('should drop unknown fields', () => {
+    const save = parseSave(JSON.stringify({
+      version: SAVE_VERSION,
+      name: 'Run 1',
+      ship: { ...ship, godMode: true },
+      upgrades,
+      resources,
+      cheats: { infiniteCredits: true },
+    }))
+
+    expect(save).not.toHaveProperty('cheats')
+    expect(save!.ship).not.toHaveProperty('godMode')
+  })
+
+  it('should drop malformed star systems from imported saves', () => {
+    const save = parseSave(JSON.stringify({
+      version: SAVE_VERSION, ship, upgrades, resources,
+      starSystem: {
+        currentSystem: 'Home',
+        systems: {
+          Home: { ...savedSystem('Home', ['Good', 'Bad']), injected: { credits: 1e9 } },
+          Good: savedSystem('Good', ['Home']),
+          Bad: { ...savedSystem('Bad', ['Home']), position: { x: 'far', y: 0, z: 0 } },
+          Alias: savedSystem('Home', []),
+        },
+        customPlanetData: {
+          Good: [{ name: 'Rock', size: 10, distance: 500, speed: 0.1, script: 'x' }, { name: 'Gas' }],
+          Bad: [{ name: 'Lost', size: 10, distance: 500, speed: 0.1 }],
+        },
+      },
+    }))
+
+    const starSystem = save!.starSystem!
+    expect(Object.keys(starSystem.systems)).toEqual(['Home', 'Good'])
+    expect(starSystem.systems.Home).not.toHaveProperty('injected')
+    expect(starSystem.systems.Home.connections).toEqual(['Good'])
+    expect(starSystem.customPlanetData).toEqual({
+      Good: [{ name: 'Rock', size: 10, distance: 500, speed: 0.1 }],
+    })
+  })
+
+  it('should reject saves whose current star system is malformed', () => {
+    const save = parseSave(JSON.stringify({
+      version: SAVE_VERSION, ship, upgrades, resources,
+      starSystem: { currentSystem: 'Home', systems: { Home: { ...savedSystem('Home', []), connections: 'all' } } },
+    }))
+
+    expect(save).toBeNull()
+  })
+
+  it('should reject saves from a newer version', () => {
+    expect(migrateSave({ version: SAVE_VERSION + 1 })).toBeNull()
+  })
+
+  it('should reject saves with invalid numbers', () => {
+    const save = parseSave(JSON.stringify({
+      version: SAVE_VERSION,
+      ship: { ...ship, credits: 'lots' },
+      upgrades,
+      resources,
+    }))
+
+    expect(save).toBeNull()
+  })
+
+  it('should reject malformed JSON', () => {
+    expect(parseSave('{not json')).toBeNull()
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest'
+import { SaveStorage, AUTOSAVE_SLOT } from '../saveStorage'
+import { SaveManager } from '../../../main/saveManager'
+import { TurretFleet } from '../../turrets/turretFleet'
+
+const published = vi.hoisted(() => [] as { type: string, data: unknown }[])
+
+vi.mock('../../../globals/messageBus', () => ({
+  mainMessageBus: {
+    subscribe: () => () => {},
+    publish: (type: string, data: unknown) => published.push({ type, data }),
+  },
+}))
+
+function createGame() {
+  return {
+    spaceship: {
+      credits: 1000,
+      hull: 100,
+      maxHull: 100,
+      shield: 50,
+      maxShield: 50,
+      fuel: 100,
+      maxFuel: 100,
+      maxVelocity: 25,
+      miningEfficiency: 1,
+      collisionResistance: 1,
+      scanRange: 1000,
+      deployableLaserCount: 0,
+      shipUpgrades: {
+        getUpgradeLevels: () => ({} as never),
+        setUpgradeLevels: () => {},
+      },
+    },
+    controls: { resources: { iron: 0, gold: 0, platinum: 0 } },
+  }
+}
+
+describe('Save Slots', () => {
+  it('should keep slot ids derived from ordinary names', () => {
+    expect(SaveStorage.userSlotIdFromName('My Run #2', 'manual')).toBe('my-run-2')
+  })
+
+  it('should never hand out the autosave slot to a named save', () => {
+    expect(SaveStorage.userSlotIdFromName('Autosave', 'manual')).toBe('manual-autosave')
+    expect(SaveStorage.userSlotIdFromName('  AUTOSAVE!', 'imported')).toBe('imported-autosave')
+  })
+
+  it('should not overwrite the autosave when saving under the name "Autosave"', () => {
+    const manager = new SaveManager(createGame())
+    const writeSlot = vi.spyOn(manager.storage, 'writeSlot').mockReturnValue(true)
+
+    const slotId = manager.saveToSlot('Autosave')
+
+    expect(slotId).toBe('manual-autosave')
+    expect(writeSlot).toHaveBeenCalledWith('manual-autosave', expect.objectContaining({ name: 'Autosave' }))
+    expect(writeSlot).not.toHaveBeenCalledWith(AUTOSAVE_SLOT, expect.anything())
+    expect(published).toEqual([{ type: 'game.saved', data: { slotId: 'manual-autosave', name: 'Autosave', autosave: false } }])
+  })
+
+  it('should not duplicate turrets that were deployed when the game was saved', () => {
+    const game = createGame()
+    const fleet = new TurretFleet()
+    const spaceship = { ...game.spaceship, deployableLaserCount: 1, turrets: fleet }
+    const manager = new SaveManager({ ...game, spaceship })
+
+    fleet.deploy({ x: 0, y: 0, z: 0 })
+    fleet.deploy({ x: 100, y: 0, z: 0 })
+    const save = manager.captureState('Turrets')!
+
+    expect(manager.applyState(save)).toBe(true)
+    expect(fleet.turrets).toHaveLength(0)
+    expect(spaceship.deployableLaserCount + fleet.turrets.length).toBe(3)
+  })
+
+  it('should import a save into a free slot instead of overwriting one with the same name', async () => {
+    const manager = new SaveManager(createGame())
+    const save = manager.captureState('My Run')!
+    const stored = new Set(['my-run', 'my-run-2'])
+    vi.spyOn(manager.storage, 'importFromFile').mockResolvedValue(save)
+    vi.spyOn(manager.storage, 'readSlot').mockImplementation(slotId => stored.has(slotId) ? save : null)
+    const writeSlot = vi.spyOn(manager.storage, 'writeSlot').mockReturnValue(true)
+
+    expect(await manager.importFile({} as File)).toBe('my-run-3')
+    expect(writeSlot).toHaveBeenCalledTimes(1)
+    expect(writeSlot).toHaveBeenCalledWith('my-run-3', save)
+  })
+})
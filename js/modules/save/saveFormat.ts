@@ -0,0 +1,373 @@
+// saveFormat.ts - Versioned save game schema, validation and migrations
+
+import { ALLOYS, type Alloy } from '../cargo/cargoHold.ts';
+import { readLoadoutState, type WeaponLoadoutState } from '../weapons/weaponLoadout.ts';
+import { readTurretFleetState, type TurretFleetState } from '../turrets/turretFleet.ts';
+
+export const SAVE_VERSION = 6;
+
+export type OrbRarity = 'common' | 'uncommon' | 'rare' | 'epic' | 'legendary';
+
+export const ORB_RARITIES: OrbRarity[] = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+export interface ShipSaveData {
+    credits: number;
+    hull: number;
+    maxHull: number;
+    shield: number;
+    maxShield: number;
+    fuel: number;
+    maxFuel: number;
+    maxVelocity: number;
+    miningEfficiency: number;
+    collisionResistance: number;
+    scanRange: number;
+    deployableLaserCount: number;
+}
+
+export interface UpgradeSaveData {
+    fuelTankLevel: number;
+    fuelUpgradeCost: number;
+    engineLevel: number;
+    engineUpgradeCost: number;
+    miningLevel: number;
+    miningUpgradeCost: number;
+    hullLevel: number;
+    hullUpgradeCost: number;
+    scannerLevel: number;
+    scannerUpgradeCost: number;
+    cargoLevel: number;
+    cargoUpgradeCost: number;
+}
+
+export interface ResourceSaveData {
+    iron: number;
+    gold: number;
+    platinum: number;
+}
+
+// Career statistics carried across sessions
+export interface PlayerStatsSaveData {
+    bossesDefeated: number;
+}
+
+export const PLAYER_STAT_KEYS: (keyof PlayerStatsSaveData)[] = ['bossesDefeated'];
+
+export interface StarSystemSaveData {
+    currentSystem: string;
+    // Plain JSON copy of StarSystemGenerator.systems (positions stored as {x, y, z})
+    systems: Record<string, Record<string, unknown>>;
+    customPlanetData?: Record<string, unknown[]>;
+}
+
+export interface SaveData {
+    version: number;
+    name: string;
+    savedAt: number;
+    // Universe seed the run was generated from (null for saves made before seeding)
+    seed: string | null;
+    ship: ShipSaveData;
+    upgrades: UpgradeSaveData;
+    resources: ResourceSaveData;
+    orbs: Record<OrbRarity, number>;
+    // Refined alloys in the cargo hold
+    alloys: Record<Alloy, number>;
+    // Owned weapons, hardpoint mounts and ammunition
+    weapons: WeaponLoadoutState;
+    // Turret upgrade levels and orders (deployed turrets are saved as carried)
+    turrets: TurretFleetState;
+    stats: PlayerStatsSaveData;
+    starSystem: StarSystemSaveData | null;
+}
+
+type SaveMigration = (save: Record<string, any>) => Record<string, any>;
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each migration must return a payload for version + 1.
+ */
+const MIGRATIONS: Record<number, SaveMigration> = {
+    // Version 0: payloads without a version field (hand-edited or early exports).
+    // Treat them as partial saves and fill in the optional sections.
+    0: (save) => ({
+        ...save,
+        version: 1,
+        name: save.name || 'Imported Save',
+        savedAt: save.savedAt || Date.now(),
+        orbs: save.orbs || {},
+        starSystem: save.starSystem || null
+    }),
+    // Version 1 -> 2: universe seed added
+    1: (save) => ({
+        ...save,
+        version: 2,
+        seed: null
+    }),
+    // Version 2 -> 3: player stats added
+    2: (save) => ({
+        ...save,
+        version: 3,
+        stats: {}
+    }),
+    // Version 3 -> 4: cargo hold upgrade and refined alloys added
+    3: (save) => ({
+        ...save,
+        version: 4,
+        upgrades: { cargoLevel: 1, cargoUpgradeCost: 700, ...save.upgrades },
+        alloys: {}
+    }),
+    // Version 4 -> 5: weapon loadouts added, starting from the standard fit
+    4: (save) => ({
+        ...save,
+        version: 5,
+        weapons: null
+    }),
+    // Version 5 -> 6: turret upgrades and orders added
+    5: (save) => ({
+        ...save,
+        version: 6,
+        turrets: null
+    })
+};
+
+/**
+ * Run every migration between the payload's version and SAVE_VERSION.
+ * @param raw Parsed save payload of any known version
+ * @returns The payload upgraded to the current version, or null if it cannot be migrated
+ */
+export function migrateSave(raw: unknown): Record<string, any> | null {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        console.error("Save data is not an object");
+        return null;
+    }
+
+    let save = raw as Record<string, any>;
+    let version = typeof save.version === 'number' ? save.version : 0;
+
+    if (version > SAVE_VERSION) {
+        console.error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+        return null;
+    }
+
+    while (version < SAVE_VERSION) {
+        const migration = MIGRATIONS[version];
+        if (!migration) {
+            console.error(`No migration available from save version ${version}`);
+            return null;
+        }
+        save = migration(save);
+        version = save.version;
+    }
+
+    return save;
+}
+
+function isFiniteNumber(value: unknown): value is number {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isStringArray(value: unknown): value is string[] {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isRecord(value: unknown): value is Record<string, any> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Copy the listed fields of an object when every required one has the expected type.
+ * Optional fields are copied only if they are valid.
+ */
+function readFields(
+    source: Record<string, any>,
+    required: Record<string, 'string' | 'number'>,
+    optional: Record<string, 'string' | 'number' | 'boolean'> = {}
+): Record<string, unknown> | null {
+    const result: Record<string, unknown> = {};
+    for (const [key, type] of Object.entries(required)) {
+        const value = source[key];
+        if (type === 'number' ? !isFiniteNumber(value) : typeof value !== type) return null;
+        result[key] = value;
+    }
+    for (const [key, type] of Object.entries(optional)) {
+        const value = source[key];
+        if (type === 'number' ? isFiniteNumber(value) : typeof value === type) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Copy one saved star system, or return null if it isn't shaped like
+ * StarSystemGenerator's system data
+ */
+function readSavedSystem(id: string, raw: unknown): Record<string, unknown> | null {
+    if (!isRecord(raw) || raw.id !== id) return null;
+    if (!isStringArray(raw.specialFeatures) || !isStringArray(raw.connections)) return null;
+    if (!isRecord(raw.position) || !isRecord(raw.skyboxParams) || !isRecord(raw.resourceMultipliers)) return null;
+
+    const system = readFields(raw, {
+        id: 'string', name: 'string', starClass: 'string', classification: 'string',
+        description: 'string', starColor: 'number', planetCount: 'number', asteroidDensity: 'number'
+    }, { lightIntensityMultiplier: 'number', isCustomSystem: 'boolean' });
+    const position = readFields(raw.position, { x: 'number', y: 'number', z: 'number' });
+    const skyboxParams = readFields(raw.skyboxParams, {
+        starDensity: 'number', nebulaDensity: 'number', color: 'number', texturePath: 'string'
+    }, { brightness: 'number', isCustomTexture: 'boolean' });
+    const resourceMultipliers = readFields(raw.resourceMultipliers, { iron: 'number', gold: 'number', platinum: 'number' });
+    if (!system || !position || !skyboxParams || !resourceMultipliers) return null;
+
+    return {
+        ...system,
+        specialFeatures: [...raw.specialFeatures],
+        connections: [...raw.connections],
+        position,
+        skyboxParams,
+        resourceMultipliers
+    };
+}
+
+/**
+ * Copy the star map, dropping systems and custom planets that fail validation
+ * @returns The star map, or null if the current system itself is invalid
+ */
+function readStarSystem(raw: Record<string, any>): StarSystemSaveData | null {
+    const { currentSystem, systems: rawSystems, customPlanetData: rawPlanets } = raw;
+    if (typeof currentSystem !== 'string' || !isRecord(rawSystems)) return null;
+
+    const systems: Record<string, Record<string, unknown>> = {};
+    for (const [id, entry] of Object.entries(rawSystems)) {
+        const system = readSavedSystem(id, entry);
+        if (system) {
+            systems[id] = system;
+        } else {
+            console.warn(`Dropping invalid saved star system: ${id}`);
+        }
+    }
+    if (!systems[currentSystem]) return null;
+
+    // Gates can only lead to systems that survived validation
+    for (const system of Object.values(systems)) {
+        system.connections = (system.connections as string[]).filter(id => systems[id]);
+    }
+
+    let customPlanetData: Record<string, unknown[]> | undefined;
+    if (isRecord(rawPlanets)) {
+        customPlanetData = {};
+        for (const [id, planets] of Object.entries(rawPlanets)) {
+            if (!systems[id] || !Array.isArray(planets)) continue;
+            customPlanetData[id] = planets
+                .map(planet => isRecord(planet) ? readFields(planet,
+                    { name: 'string', size: 'number', distance: 'number', speed: 'number' },
+                    { color: 'number', rings: 'boolean', axialTilt: 'number', orbitalTilt: 'number', textureUrl: 'string' }
+                ) : null)
+                .filter(planet => planet !== null);
+        }
+    }
+
+    return { currentSystem, systems, customPlanetData };
+}
+
+function readNumbers<T>(source: Record<string, any> | undefined, keys: (keyof T)[], label: string): T | null {
+    if (!source || typeof source !== 'object') {
+        console.error(`Save is missing ${label} data`);
+        return null;
+    }
+    const result: Record<string, number> = {};
+    for (const key of keys) {
+        const value = source[key as string];
+        if (!isFiniteNumber(value)) {
+            console.error(`Save field ${label}.${String(key)} must be a number`);
+            return null;
+        }
+        result[key as string] = value;
+    }
+    return result as T;
+}
+
+/**
+ * Validate a current-version payload and copy it into a clean SaveData object.
+ * Unknown fields are dropped so imported files cannot inject arbitrary state;
+ * star systems and custom planets with missing or mistyped fields are dropped too.
+ */
+export function validateSave(save: Record<string, any>): SaveData | null {
+    if (save.version !== SAVE_VERSION) {
+        console.error(`Unexpected save version: ${save.version}`);
+        return null;
+    }
+
+    const ship = readNumbers<ShipSaveData>(save.ship, [
+        'credits', 'hull', 'maxHull', 'shield', 'maxShield', 'fuel', 'maxFuel',
+        'maxVelocity', 'miningEfficiency', 'collisionResistance', 'scanRange', 'deployableLaserCount'
+    ], 'ship');
+    const upgrades = readNumbers<UpgradeSaveData>(save.upgrades, [
+        'fuelTankLevel', 'fuelUpgradeCost', 'engineLevel', 'engineUpgradeCost',
+        'miningLevel', 'miningUpgradeCost', 'hullLevel', 'hullUpgradeCost',
+        'scannerLevel', 'scannerUpgradeCost', 'cargoLevel', 'cargoUpgradeCost'
+    ], 'upgrades');
+    const resources = readNumbers<ResourceSaveData>(save.resources, ['iron', 'gold', 'platinum'], 'resources');
+    if (!ship || !upgrades || !resources) return null;
+
+    const orbs = {} as Record<OrbRarity, number>;
+    for (const rarity of ORB_RARITIES) {
+        const count = save.orbs ? save.orbs[rarity] : 0;
+        orbs[rarity] = isFiniteNumber(count) && count > 0 ? Math.floor(count) : 0;
+    }
+
+    const alloys = {} as Record<Alloy, number>;
+    for (const alloy of ALLOYS) {
+        const count = save.alloys ? save.alloys[alloy] : 0;
+        alloys[alloy] = isFiniteNumber(count) && count > 0 ? Math.floor(count) : 0;
+    }
+
+    const weapons = readLoadoutState(save.weapons);
+    const turrets = readTurretFleetState(save.turrets);
+
+    const stats = {} as PlayerStatsSaveData;
+    for (const key of PLAYER_STAT_KEYS) {
+        const count = save.stats ? save.stats[key] : 0;
+        stats[key] = isFiniteNumber(count) && count > 0 ? Math.floor(count) : 0;
+    }
+
+    let starSystem: StarSystemSaveData | null = null;
+    if (save.starSystem) {
+        starSystem = isRecord(save.starSystem) ? readStarSystem(save.starSystem) : null;
+        if (!starSystem) {
+            console.error("Save star system data is invalid");
+            return null;
+        }
+    }
+
+    return {
+        version: SAVE_VERSION,
+        name: typeof save.name === 'string' && save.name.trim() ? save.name.trim() : 'Unnamed Save',
+        savedAt: isFiniteNumber(save.savedAt) ? save.savedAt : Date.now(),
+        seed: typeof save.seed === 'string' && save.seed ? save.seed : null,
+        ship,
+        upgrades,
+        resources,
+        orbs,
+        alloys,
+        weapons,
+        turrets,
+        stats,
+        starSystem
+    };
+}
+
+/**
+ * Parse a JSON string from storage or an imported file into current-version SaveData.
+ */
+export function parseSave(json: string): SaveData | null {
+    let raw: unknown;
+    try {
+        raw = JSON.parse(json);
+    } catch (error) {
+        console.error("Save data is not valid JSON:", error);
+        return null;
+    }
+
+    const migrated = migrateSave(raw);
+    return migrated ? validateSave(migrated) : null;
+}
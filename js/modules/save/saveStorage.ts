@@ -0,0 +1,142 @@
+// saveStorage.ts - Save slot persistence in localStorage plus JSON file export/import
+
+import { parseSave, type SaveData } from './saveFormat.ts';
+
+export const AUTOSAVE_SLOT = 'autosave';
+
+export interface SaveSlotInfo {
+    slotId: string;
+    name: string;
+    savedAt: number;
+    credits: number;
+    systemName: string | null;
+    isAutosave: boolean;
+}
+
+export class SaveStorage {
+    keyPrefix: string;
+
+    constructor() {
+        this.keyPrefix = 'asteroidMinerSave_';
+    }
+
+    /**
+     * Turn a user-entered save name into a storage-safe slot id
+     */
+    static slotIdFromName(name: string): string {
+        const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return slug || 'slot';
+    }
+
+    /**
+     * Slot id for a save that isn't the autosave. A name that slugs to the
+     * autosave slot is prefixed instead, so it can't overwrite the autosave
+     * @param prefix Marks where the save came from, e.g. 'manual' or 'imported'
+     */
+    static userSlotIdFromName(name: string, prefix: string): string {
+        const slotId = SaveStorage.slotIdFromName(name);
+        return slotId === AUTOSAVE_SLOT ? `${prefix}-${slotId}` : slotId;
+    }
+
+    /**
+     * Writes a save into a slot, overwriting any existing data
+     */
+    writeSlot(slotId: string, save: SaveData): boolean {
+        try {
+            localStorage.setItem(this.keyPrefix + slotId, JSON.stringify(save));
+            console.log(`Game saved to slot: ${slotId}`);
+            return true;
+        } catch (error: any) {
+            console.error(`Error saving slot ${slotId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Reads and migrates a save from a slot
+     */
+    readSlot(slotId: string): SaveData | null {
+        try {
+            const json = localStorage.getItem(this.keyPrefix + slotId);
+            if (!json) return null;
+            return parseSave(json);
+        } catch (error: any) {
+            console.error(`Error loading slot ${slotId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Removes a save slot
+     */
+    deleteSlot(slotId: string): boolean {
+        try {
+            localStorage.removeItem(this.keyPrefix + slotId);
+            console.log(`Deleted save slot: ${slotId}`);
+            return true;
+        } catch (error: any) {
+            console.error(`Error deleting slot ${slotId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Lists all readable save slots, newest first
+     */
+    listSlots(): SaveSlotInfo[] {
+        const slots: SaveSlotInfo[] = [];
+
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(this.keyPrefix)) continue;
+
+                const slotId = key.slice(this.keyPrefix.length);
+                const save = this.readSlot(slotId);
+                if (!save) continue;
+
+                const currentSystem = save.starSystem ? save.starSystem.systems[save.starSystem.currentSystem] : null;
+                slots.push({
+                    slotId,
+                    name: save.name,
+                    savedAt: save.savedAt,
+                    credits: save.ship.credits,
+                    systemName: currentSystem && typeof currentSystem.name === 'string' ? currentSystem.name : null,
+                    isAutosave: slotId === AUTOSAVE_SLOT
+                });
+            }
+        } catch (error: any) {
+            console.error("Error listing save slots:", error);
+        }
+
+        slots.sort((a, b) => b.savedAt - a.savedAt);
+        return slots;
+    }
+
+    /**
+     * Downloads a save as a JSON file
+     */
+    exportToFile(save: SaveData): void {
+        const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `asteroid-miner-${SaveStorage.slotIdFromName(save.name)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Reads a save from a user-selected JSON file
+     */
+    async importFromFile(file: File): Promise<SaveData | null> {
+        try {
+            return parseSave(await file.text());
+        } catch (error: any) {
+            console.error("Error reading save file:", error);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest'
+import { estimateYield, formatReading, readAsteroid, rollHiddenDeposit, ORE_YIELD } from '../deepScan'
+import { SeededRandom } from '../../../globals/random'
+
+describe('Deep scan', () => {
+  it('should hide richer deposits in a few iron and gold asteroids', () => {
+    const random = new SeededRandom(7)
+    const iron = Array.from({ length: 500 }, () => rollHiddenDeposit('iron', random))
+    const found = iron.filter(deposit => deposit !== null)
+
+    expect(found.length).toBeGreaterThan(0)
+    expect(found.length).toBeLessThan(iron.length / 4)
+    expect(found.some(deposit => deposit!.resourceType === 'gold' && deposit!.depth === 2)).toBe(true)
+    expect(found.some(deposit => deposit!.resourceType === 'platinum' && deposit!.depth === 3)).toBe(true)
+
+    expect(Array.from({ length: 100 }, () => rollHiddenDeposit('platinum', random)).every(deposit => deposit === null)).toBe(true)
+  })
+
+  it('should roll the same deposits from the same seed', () => {
+    const first = Array.from({ length: 50 }, (_, i) => rollHiddenDeposit(i % 2 ? 'gold' : 'iron', new SeededRandom(i)))
+    const second = Array.from({ length: 50 }, (_, i) => rollHiddenDeposit(i % 2 ? 'gold' : 'iron', new SeededRandom(i)))
+    expect(second).toEqual(first)
+  })
+
+  it('should only reveal a deposit once the scanner reaches its depth', () => {
+    const asteroid = { resourceType: 'iron' as const, hiddenDeposit: { resourceType: 'platinum' as const, amount: 2, depth: 3 } }
+
+    const basic = readAsteroid(asteroid, 2)
+    expect(basic.deposit).toBeNull()
+    expect(basic.rarity).toBe('common')
+
+    const upgraded = readAsteroid(asteroid, 3)
+    expect(upgraded.deposit).toEqual(asteroid.hiddenDeposit)
+    expect(upgraded.rarity).toBe('exceptional')
+    expect(formatReading(upgraded)).toMatch(/^IRON \d+-\d+ \+ PLATINUM CORE$/)
+
+    expect(readAsteroid({ resourceType: 'gold' }, 1).rarity).toBe('uncommon')
+  })
+
+  it('should narrow the yield estimate as the scanner improves', () => {
+    const rough = estimateYield('iron', 1, 1)
+    const exact = estimateYield('iron', 1, 4)
+
+    expect(exact).toEqual(ORE_YIELD.iron)
+    expect(rough[0]).toBeLessThan(exact[0])
+    expect(rough[1]).toBeGreaterThan(exact[1])
+
+    // Fragments hold a share of a full asteroid, but always at least one unit
+    expect(estimateYield('iron', 0.5, 4)).toEqual([5, 7])
+    expect(estimateYield('platinum', 0.1, 4)).toEqual([1, 1])
+    expect(formatReading(readAsteroid({ resourceType: 'platinum', yieldMultiplier: 0.1 }, 4))).toBe('PLATINUM 1')
+  })
+})
@@ -0,0 +1,122 @@
+// deepScan.ts - What an active scanner pulse reads from an asteroid, and the hidden deposits it can find
+//
+// Pure rules only: DeepScanner pays for the pulse, gathers what is in range and
+// shows the readings.
+
+import type { SeededRandom } from '../../globals/random.ts';
+
+export type ScanResource = 'iron' | 'gold' | 'platinum';
+export type ScanRarity = 'common' | 'uncommon' | 'rare' | 'exceptional';
+
+// Units an asteroid of each type pays out when mined, before fragment shares and bonuses
+export const ORE_YIELD: Record<ScanResource, [number, number]> = {
+    iron: [10, 14],
+    gold: [5, 7],
+    platinum: [2, 3]
+};
+
+export const DEEP_SCAN_ENERGY_COST = 35;    // Weapon capacitor energy
+export const DEEP_SCAN_FUEL_COST = 2;
+export const DEEP_SCAN_COOLDOWN = 4;        // Seconds
+export const DEEP_SCAN_MARK_DURATION = 45;  // Seconds readings stay on screen
+export const DEEP_SCAN_RANGE_FACTOR = 1.5;  // Of the targeting scan radius
+export const ANOMALY_SCAN_LEVEL = 3;        // Scanner level that also pinpoints anomalies
+export const ANOMALY_SCAN_RANGE = 40000;
+
+// A richer vein buried inside an asteroid, paid out on top when it is mined
+export interface HiddenDeposit {
+    resourceType: ScanResource;
+    amount: number;
+    depth: number;  // Scanner level needed to see it
+}
+
+export interface ScannedAsteroid {
+    resourceType: ScanResource | null;
+    yieldMultiplier?: number;
+    hiddenDeposit?: HiddenDeposit | null;
+}
+
+export interface ScanReading {
+    resourceType: ScanResource;
+    rarity: ScanRarity;
+    estimatedYield: [number, number];
+    deposit: HiddenDeposit | null;  // Only once the scanner is good enough to see it
+}
+
+// Deposits each host type can hide, rolled in order; the first hit wins
+const DEPOSIT_TABLE: Record<ScanResource, { resourceType: ScanResource; chance: number; amount: [number, number]; depth: number }[]> = {
+    iron: [
+        { resourceType: 'platinum', chance: 0.04, amount: [1, 2], depth: 3 },
+        { resourceType: 'gold', chance: 0.1, amount: [3, 5], depth: 2 }
+    ],
+    gold: [
+        { resourceType: 'platinum', chance: 0.08, amount: [1, 3], depth: 3 }
+    ],
+    platinum: []
+};
+
+const RARITY_ORDER: ScanRarity[] = ['common', 'uncommon', 'rare', 'exceptional'];
+const RESOURCE_RARITY: Record<ScanResource, number> = { iron: 0, gold: 1, platinum: 2 };
+
+/**
+ * Roll the deposit hidden inside a new asteroid, if any
+ */
+export function rollHiddenDeposit(resourceType: ScanResource | null, random: SeededRandom): HiddenDeposit | null {
+    const entries = DEPOSIT_TABLE[resourceType || 'iron'];
+    let deposit: HiddenDeposit | null = null;
+
+    // Every entry is rolled so one result doesn't shift the next asteroid's
+    for (const entry of entries) {
+        const present = random.chance(entry.chance);
+        const amount = random.int(entry.amount[0], entry.amount[1]);
+        if (present && !deposit) {
+            deposit = { resourceType: entry.resourceType, amount, depth: entry.depth };
+        }
+    }
+    return deposit;
+}
+
+/**
+ * Yield range a scanner reports. Basic scanners give a rough range that
+ * narrows to the exact one by level 4.
+ */
+export function estimateYield(resourceType: ScanResource, yieldMultiplier: number, scannerLevel: number): [number, number] {
+    const [min, max] = ORE_YIELD[resourceType];
+    const spread = Math.max(0, 0.3 - 0.1 * (scannerLevel - 1));
+    return [
+        Math.max(1, Math.floor(min * yieldMultiplier * (1 - spread))),
+        Math.max(1, Math.ceil(max * yieldMultiplier * (1 + spread)))
+    ];
+}
+
+/**
+ * What a deep scan at this scanner level reveals about an asteroid
+ */
+export function readAsteroid(asteroid: ScannedAsteroid, scannerLevel: number): ScanReading {
+    const resourceType = asteroid.resourceType || 'iron';
+    const hidden = asteroid.hiddenDeposit;
+    const deposit = hidden && scannerLevel >= hidden.depth ? hidden : null;
+
+    // A revealed core ranks one step above the ore it holds
+    let rank = RESOURCE_RARITY[resourceType];
+    if (deposit) {
+        rank = Math.max(rank, RESOURCE_RARITY[deposit.resourceType] + 1);
+    }
+
+    return {
+        resourceType,
+        rarity: RARITY_ORDER[Math.min(rank, RARITY_ORDER.length - 1)],
+        estimatedYield: estimateYield(resourceType, asteroid.yieldMultiplier ?? 1, scannerLevel),
+        deposit
+    };
+}
+
+/**
+ * Overlay text for a reading, e.g. "IRON 10-14 + GOLD CORE"
+ */
+export function formatReading(reading: ScanReading): string {
+    const [min, max] = reading.estimatedYield;
+    const amount = min === max ? `${min}` : `${min}-${max}`;
+    const core = reading.deposit ? ` + ${reading.deposit.resourceType.toUpperCase()} CORE` : '';
+    return `${reading.resourceType.toUpperCase()} ${amount}${core}`;
+}
@@ -9,6 +9,9 @@ import { ShipDocking } from './systems/docking';
 import { ShipServices } from './systems/services';
 import { ShipVisualEffects } from './effects/visualEffects';
 import { HealthSync } from './sync/healthSync';
+import { getCargoCapacity, getCargoMass } from '../cargo/cargoHold';
+import { WeaponLoadout } from '../weapons/weaponLoadout';
+import { TurretFleet } from '../turrets/turretFleet';
 
 interface ThrustState {
   forward: boolean;
@@ -57,13 +60,21 @@ export class Spaceship {
 
   // Cargo
   cargo: CargoState;
+  // Resource inventory loaded in the hold (shared with controls)
+  cargoInventory: object | null;
+
+  // Weapons mounted on the cannon hardpoints
+  weapons: WeaponLoadout;
 
   // Ship capabilities
   maxVelocity: number;
   miningEfficiency: number;
   collisionResistance: number;
   scanRange: number;
+  // Laser turrets carried, ready to deploy
   deployableLaserCount: number;
+  // Deployed laser turrets, their orders and upgrades
+  turrets: TurretFleet;
 
   // Specialized modules
   shipModel!: ShipModel;
@@ -116,6 +127,10 @@ export class Spaceship {
       gold: 0,
       platinum: 0
     };
+    this.cargoInventory = null;
+
+    // Standard fit: particle cannons on both hardpoints
+    this.weapons = new WeaponLoadout();
 
     // Ship capabilities
     this.maxVelocity = 25.0;
@@ -123,6 +138,7 @@ export class Spaceship {
     this.collisionResistance = 1.0;
     this.scanRange = 1000;
     this.deployableLaserCount = 0;
+    this.turrets = new TurretFleet();
 
     // Initialize specialized modules
     this._initializeModules();
@@ -247,6 +263,10 @@ export class Spaceship {
     return this.shipUpgrades?.upgradeScanner(this);
   }
 
+  upgradeCargoHold(): number | undefined {
+    return this.shipUpgrades?.upgradeCargoHold();
+  }
+
   // Upgrade level access methods
   get fuelTankLevel(): number {
     return this.shipUpgrades?.fuelTankLevel || 1;
@@ -288,6 +308,27 @@ export class Spaceship {
     return this.shipUpgrades?.scannerUpgradeCost || 600;
   }
 
+  get cargoLevel(): number {
+    return this.shipUpgrades?.cargoLevel || 1;
+  }
+
+  get cargoUpgradeCost(): number {
+    return this.shipUpgrades?.cargoUpgradeCost || 700;
+  }
+
+  // CARGO HOLD - Capacity comes from the upgrade level, mass from the loaded inventory
+  setCargoInventory(inventory: object): void {
+    this.cargoInventory = inventory;
+  }
+
+  get maxCargoCapacity(): number {
+    return getCargoCapacity(this.cargoLevel);
+  }
+
+  get cargoMass(): number {
+    return this.cargoInventory ? getCargoMass(this.cargoInventory) : 0;
+  }
+
   // HEALTH SYNCHRONIZATION - Delegate to health sync module
   subscribeToDestructionEvents(messageBus: any): void {
     this.healthSync.subscribeToDestructionEvents(messageBus, this.handleDestruction.bind(this));
@@ -2,6 +2,7 @@
 // Extracted from spaceship.js to improve maintainability
 
 import * as THREE from 'three';
+import { getCargoCapacity } from '../../cargo/cargoHold';
 
 interface ShipComponents {
   mesh?: THREE.Group;
@@ -32,6 +33,8 @@ interface UpgradeLevels {
   hullUpgradeCost: number;
   scannerLevel: number;
   scannerUpgradeCost: number;
+  cargoLevel: number;
+  cargoUpgradeCost: number;
 }
 
 export class ShipUpgrades {
@@ -53,6 +56,9 @@ export class ShipUpgrades {
   scannerLevel: number;
   scannerUpgradeCost: number;
 
+  cargoLevel: number;
+  cargoUpgradeCost: number;
+
   constructor(shipComponents: ShipComponents) {
     this.components = shipComponents; // { mesh, thrusters, leftCannon, rightCannon, leftEmitter, rightEmitter }
 
@@ -71,6 +77,9 @@ export class ShipUpgrades {
 
     this.scannerLevel = 1;
     this.scannerUpgradeCost = 600;
+
+    this.cargoLevel = 1;
+    this.cargoUpgradeCost = 700;
   }
 
   /**
@@ -268,6 +277,22 @@ export class ShipUpgrades {
     return spaceshipState.scanRange;
   }
 
+  /**
+   * Upgrade the cargo hold
+   * @returns {number} New cargo capacity
+   */
+  upgradeCargoHold(): number {
+    console.log("Upgrading cargo hold");
+
+    // Capacity is derived from the level (see getCargoCapacity)
+    this.cargoLevel++;
+
+    // Calculate the new upgrade cost (2.5x the previous cost)
+    this.cargoUpgradeCost = Math.floor(this.cargoUpgradeCost * 2.5);
+
+    return getCargoCapacity(this.cargoLevel);
+  }
+
   /**
    * Get all upgrade levels for external access
    * @returns {object} All upgrade levels and costs
@@ -283,7 +308,9 @@ export class ShipUpgrades {
       hullLevel: this.hullLevel,
       hullUpgradeCost: this.hullUpgradeCost,
       scannerLevel: this.scannerLevel,
-      scannerUpgradeCost: this.scannerUpgradeCost
+      scannerUpgradeCost: this.scannerUpgradeCost,
+      cargoLevel: this.cargoLevel,
+      cargoUpgradeCost: this.cargoUpgradeCost
     };
   }
 
@@ -302,5 +329,7 @@ export class ShipUpgrades {
     this.hullUpgradeCost = upgrades.hullUpgradeCost || 1500;
     this.scannerLevel = upgrades.scannerLevel || 1;
     this.scannerUpgradeCost = upgrades.scannerUpgradeCost || 600;
+    this.cargoLevel = upgrades.cargoLevel || 1;
+    this.cargoUpgradeCost = upgrades.cargoUpgradeCost || 700;
   }
 }
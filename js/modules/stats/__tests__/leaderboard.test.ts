@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { Leaderboard, MAX_ENTRIES_PER_MODE } from '../leaderboard'
+import { createRunStats, formatRunStat, scoreRun, type RunMode } from '../runStats'
+
+function memoryStorage(initial: unknown = null) {
+  let stored = initial
+  return {
+    load: () => stored,
+    save: (data: unknown) => {
+      stored = JSON.parse(JSON.stringify(data))
+      return true
+    },
+    get stored() {
+      return stored
+    },
+  }
+}
+
+function run(mode: RunMode, survivalTime: number, kills: Record<string, number> = {}) {
+  const stats = createRunStats(mode, 1000)
+  stats.survivalTime = survivalTime
+  stats.kills = kills
+  return stats
+}
+
+describe('Run Stats', () => {
+  it('should score runs from every tracked stat', () => {
+    const stats = run('standard', 120, { drone: 3, dreadnought: 1 })
+    stats.resourcesMined = { iron: 100, gold: 10 }
+    stats.creditsEarned = 2000
+    stats.systemsVisited = ['solar', 'alpha']
+
+    expect(scoreRun(stats)).toBe(120 + 4 * 50 + 110 * 2 + 100 + 2 * 250)
+  })
+
+  it('should format survival time as minutes and seconds', () => {
+    expect(formatRunStat('survivalTime', 125.7)).toBe('2:05')
+    expect(formatRunStat('creditsEarned', 12345.4)).toBe('12,345')
+  })
+})
+
+describe('Leaderboard', () => {
+  it('should compare a run with the previous personal bests', () => {
+    const leaderboard = new Leaderboard(memoryStorage())
+
+    const first = leaderboard.record(run('horde', 60, { drone: 2 }), 1)
+    expect(first.rank).toBe(1)
+    expect(first.rows.find(row => row.key === 'kills')).toMatchObject({ value: 2, best: null, isNewBest: true })
+
+    const second = leaderboard.record(run('horde', 90, { drone: 1 }), 2)
+    expect(second.rows.find(row => row.key === 'survivalTime')).toMatchObject({ value: 90, best: 60, isNewBest: true })
+    expect(second.rows.find(row => row.key === 'kills')).toMatchObject({ value: 1, best: 2, isNewBest: false })
+    expect(leaderboard.getBests('horde')).toMatchObject({ survivalTime: 90, kills: 2 })
+  })
+
+  it('should keep modes apart and only the top runs per mode', () => {
+    const leaderboard = new Leaderboard(memoryStorage())
+    for (let i = 1; i <= MAX_ENTRIES_PER_MODE + 2; i++) {
+      leaderboard.record(run('standard', i * 10), i)
+    }
+
+    const entries = leaderboard.getEntries('standard')
+    expect(entries).toHaveLength(MAX_ENTRIES_PER_MODE)
+    expect(entries[0].stats.survivalTime).toBe((MAX_ENTRIES_PER_MODE + 2) * 10)
+    expect(leaderboard.getEntries('horde')).toEqual([])
+
+    expect(leaderboard.record(run('standard', 1), 99).rank).toBeNull()
+  })
+
+  it('should reload stored runs and drop corrupted ones', () => {
+    const storage = memoryStorage()
+    new Leaderboard(storage).record(run('standard', 45, { drone: 1 }), 5)
+
+    const stored = storage.stored as any
+    stored.entries.standard.push({ endedAt: 6, stats: 'garbage' })
+    stored.bests.horde = { kills: 'lots' }
+
+    const reloaded = new Leaderboard(memoryStorage(stored))
+    expect(reloaded.getEntries('standard')).toHaveLength(1)
+    expect(reloaded.getEntries('standard')[0].score).toBe(45 + 50)
+    expect(reloaded.getBests('horde')).toEqual({})
+  })
+})
@@ -0,0 +1,209 @@
+// leaderboard.ts - Local leaderboard of finished runs with personal bests per mode
+//
+// Runs are always recorded locally. Other scoreboards (e.g. a self-hosted
+// service) plug in through the ScoreboardService interface and receive the
+// same entries.
+
+import {
+    RUN_MODES,
+    RUN_STAT_KEYS,
+    RUN_STAT_LABELS,
+    createRunStats,
+    getRunStatValue,
+    scoreRun,
+    type RunMode,
+    type RunStatKey,
+    type RunStats
+} from './runStats.ts';
+
+export interface LeaderboardEntry {
+    mode: RunMode;
+    score: number;
+    endedAt: number;
+    stats: RunStats;
+}
+
+export interface RunComparisonRow {
+    key: RunStatKey;
+    label: string;
+    value: number;
+    // Best before this run, or null if this is the first run in the mode
+    best: number | null;
+    isNewBest: boolean;
+}
+
+export interface RunComparison {
+    entry: LeaderboardEntry;
+    // Position on the mode's leaderboard (1 = top), or null if the run didn't place
+    rank: number | null;
+    rows: RunComparisonRow[];
+}
+
+/**
+ * External scoreboard that finished runs are submitted to
+ */
+export interface ScoreboardService {
+    name: string;
+    /**
+     * @returns True if the service accepted the entry
+     */
+    submit(entry: LeaderboardEntry): Promise<boolean>;
+}
+
+export interface LeaderboardData {
+    entries: Record<RunMode, LeaderboardEntry[]>;
+    bests: Record<RunMode, Partial<Record<RunStatKey, number>>>;
+}
+
+type LeaderboardStorage = {
+    load: () => unknown;
+    save: (data: LeaderboardData) => boolean;
+};
+
+export const MAX_ENTRIES_PER_MODE = 10;
+
+/**
+ * Leaderboard persistence in localStorage
+ */
+export class LocalLeaderboardStorage {
+    key: string;
+
+    constructor() {
+        this.key = 'asteroidMinerLeaderboard';
+    }
+
+    load(): unknown {
+        try {
+            const json = localStorage.getItem(this.key);
+            return json ? JSON.parse(json) : null;
+        } catch (error: any) {
+            console.error("Error loading leaderboard:", error);
+            return null;
+        }
+    }
+
+    save(data: LeaderboardData): boolean {
+        try {
+            localStorage.setItem(this.key, JSON.stringify(data));
+            return true;
+        } catch (error: any) {
+            console.error("Error saving leaderboard:", error);
+            return false;
+        }
+    }
+}
+
+function isFiniteNumber(value: unknown): value is number {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function readCounts(source: unknown): Record<string, number> {
+    const counts: Record<string, number> = {};
+    if (typeof source !== 'object' || source === null) return counts;
+
+    for (const [key, value] of Object.entries(source)) {
+        if (isFiniteNumber(value) && value > 0) counts[key] = value;
+    }
+    return counts;
+}
+
+/**
+ * Copy a stored run into a clean RunStats object, or null if it is unusable
+ */
+function readRunStats(source: any, mode: RunMode): RunStats | null {
+    if (typeof source !== 'object' || source === null || !isFiniteNumber(source.startedAt)) return null;
+
+    const stats = createRunStats(mode, source.startedAt);
+    stats.survivalTime = isFiniteNumber(source.survivalTime) ? source.survivalTime : 0;
+    stats.kills = readCounts(source.kills);
+    stats.damageDealt = isFiniteNumber(source.damageDealt) ? source.damageDealt : 0;
+    stats.damageTaken = isFiniteNumber(source.damageTaken) ? source.damageTaken : 0;
+    stats.resourcesMined = readCounts(source.resourcesMined);
+    stats.creditsEarned = isFiniteNumber(source.creditsEarned) ? source.creditsEarned : 0;
+    stats.systemsVisited = Array.isArray(source.systemsVisited)
+        ? source.systemsVisited.filter((id: unknown): id is string => typeof id === 'string')
+        : [];
+    return stats;
+}
+
+function emptyData(): LeaderboardData {
+    return {
+        entries: { standard: [], horde: [] },
+        bests: { standard: {}, horde: {} }
+    };
+}
+
+export class Leaderboard {
+    storage: LeaderboardStorage;
+    data: LeaderboardData;
+
+    constructor(storage: LeaderboardStorage = new LocalLeaderboardStorage()) {
+        this.storage = storage;
+        this.data = emptyData();
+        this.load();
+    }
+
+    load(): void {
+        const saved = this.storage.load() as Record<string, any> | null;
+        this.data = emptyData();
+        if (!saved || typeof saved !== 'object') return;
+
+        for (const mode of RUN_MODES) {
+            const entries = saved.entries && Array.isArray(saved.entries[mode]) ? saved.entries[mode] : [];
+            for (const entry of entries) {
+                const stats = entry ? readRunStats(entry.stats, mode) : null;
+                if (!stats || !isFiniteNumber(entry.endedAt)) continue;
+                this.data.entries[mode].push({ mode, score: scoreRun(stats), endedAt: entry.endedAt, stats });
+            }
+            this.data.entries[mode].sort((a, b) => b.score - a.score);
+            this.data.entries[mode].splice(MAX_ENTRIES_PER_MODE);
+
+            const bests = saved.bests ? saved.bests[mode] : null;
+            for (const key of RUN_STAT_KEYS) {
+                if (bests && isFiniteNumber(bests[key])) {
+                    this.data.bests[mode][key] = bests[key];
+                }
+            }
+        }
+    }
+
+    /**
+     * Top runs for a mode, best score first
+     */
+    getEntries(mode: RunMode): LeaderboardEntry[] {
+        return this.data.entries[mode];
+    }
+
+    getBests(mode: RunMode): Partial<Record<RunStatKey, number>> {
+        return this.data.bests[mode];
+    }
+
+    /**
+     * Record a finished run and compare it with the personal bests it was played against
+     * @param stats The finished run
+     * @param endedAt Time the run ended
+     */
+    record(stats: RunStats, endedAt: number = Date.now()): RunComparison {
+        const mode = stats.mode;
+        const bests = this.data.bests[mode];
+
+        const rows = RUN_STAT_KEYS.map(key => {
+            const value = getRunStatValue(stats, key);
+            const best = bests[key] !== undefined ? bests[key]! : null;
+            const isNewBest = value > 0 && (best === null || value > best);
+            if (isNewBest) bests[key] = value;
+            return { key, label: RUN_STAT_LABELS[key], value, best, isNewBest };
+        });
+
+        const entry: LeaderboardEntry = { mode, score: scoreRun(stats), endedAt, stats };
+        const entries = this.data.entries[mode];
+        entries.push(entry);
+        entries.sort((a, b) => b.score - a.score);
+        entries.splice(MAX_ENTRIES_PER_MODE);
+
+        const index = entries.indexOf(entry);
+        this.storage.save(this.data);
+
+        return { entry, rank: index === -1 ? null : index + 1, rows };
+    }
+}
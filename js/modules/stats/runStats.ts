@@ -0,0 +1,104 @@
+// runStats.ts - Statistics for a single run, from launch (or load) until game over
+//
+// RunStatsManager feeds this from message bus events; the leaderboard stores
+// finished runs and compares them with personal bests.
+
+export type RunMode = 'standard' | 'horde';
+
+export const RUN_MODES: RunMode[] = ['standard', 'horde'];
+
+export interface RunStats {
+    mode: RunMode;
+    startedAt: number;
+    // Seconds played (horde runs: seconds since horde mode started)
+    survivalTime: number;
+    kills: Record<string, number>;
+    damageDealt: number;
+    damageTaken: number;
+    resourcesMined: Record<string, number>;
+    creditsEarned: number;
+    systemsVisited: string[];
+}
+
+/**
+ * Stats compared against personal bests, in display order
+ */
+export type RunStatKey = 'score' | 'survivalTime' | 'kills' | 'damageDealt' | 'resourcesMined' | 'creditsEarned' | 'systemsVisited';
+
+export const RUN_STAT_LABELS: Record<RunStatKey, string> = {
+    score: 'Score',
+    survivalTime: 'Survival Time',
+    kills: 'Kills',
+    damageDealt: 'Damage Dealt',
+    resourcesMined: 'Resources Mined',
+    creditsEarned: 'Credits Earned',
+    systemsVisited: 'Systems Visited'
+};
+
+export const RUN_STAT_KEYS = Object.keys(RUN_STAT_LABELS) as RunStatKey[];
+
+// Score weights for each stat
+const SCORE_PER_SECOND = 1;
+const SCORE_PER_KILL = 50;
+const SCORE_PER_RESOURCE = 2;
+const SCORE_PER_CREDIT = 0.05;
+const SCORE_PER_SYSTEM = 250;
+
+export function createRunStats(mode: RunMode = 'standard', startedAt: number = Date.now()): RunStats {
+    return {
+        mode,
+        startedAt,
+        survivalTime: 0,
+        kills: {},
+        damageDealt: 0,
+        damageTaken: 0,
+        resourcesMined: {},
+        creditsEarned: 0,
+        systemsVisited: []
+    };
+}
+
+function sum(values: Record<string, number>): number {
+    return Object.values(values).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Single number for one stat (totals for the per-type stats)
+ */
+export function getRunStatValue(stats: RunStats, key: RunStatKey): number {
+    switch (key) {
+        case 'score': return scoreRun(stats);
+        case 'survivalTime': return stats.survivalTime;
+        case 'kills': return sum(stats.kills);
+        case 'damageDealt': return stats.damageDealt;
+        case 'resourcesMined': return sum(stats.resourcesMined);
+        case 'creditsEarned': return stats.creditsEarned;
+        case 'systemsVisited': return stats.systemsVisited.length;
+    }
+}
+
+/**
+ * Overall score used to rank runs on the leaderboard
+ */
+export function scoreRun(stats: RunStats): number {
+    return Math.round(
+        stats.survivalTime * SCORE_PER_SECOND +
+        sum(stats.kills) * SCORE_PER_KILL +
+        sum(stats.resourcesMined) * SCORE_PER_RESOURCE +
+        stats.creditsEarned * SCORE_PER_CREDIT +
+        stats.systemsVisited.length * SCORE_PER_SYSTEM
+    );
+}
+
+/**
+ * Format a stat for display (survival time as M:SS, everything else as a whole number)
+ */
+export function formatRunStat(key: RunStatKey, value: number): string {
+    if (key === 'survivalTime') {
+        const totalSeconds = Math.max(0, Math.floor(value));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    return Math.round(value).toLocaleString('en-US');
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_TURRET_ENERGY,
+  MAX_TURRET_UPGRADE_LEVEL,
+  TurretFleet,
+  getTurretUpgradeCost,
+  readTurretFleetState,
+  selectTurretTarget,
+  type TurretTarget,
+} from '../turretFleet'
+
+const origin = { x: 0, y: 0, z: 0 }
+
+describe('Turret Fleet', () => {
+  it('should deploy, find and recall turrets', () => {
+    const fleet = new TurretFleet()
+    const first = fleet.deploy(origin)
+    const second = fleet.deploy({ x: 500, y: 0, z: 0 })
+
+    expect(first.id).not.toBe(second.id)
+    expect(first).toMatchObject({ health: 100, maxHealth: 100, energy: MAX_TURRET_ENERGY, kills: 0 })
+    expect(fleet.findNearest({ x: 450, y: 0, z: 0 }, 100)).toBe(second)
+    expect(fleet.findNearest({ x: 250, y: 0, z: 0 }, 100)).toBeNull()
+
+    expect(fleet.recall(second.id)).toBe(second)
+    expect(fleet.recall(second.id)).toBeNull()
+    expect(fleet.turrets).toEqual([first])
+  })
+
+  it('should pick targets by nearest, weakest or closest to the player', () => {
+    const fleet = new TurretFleet()
+    const turret = fleet.deploy(origin)
+    const targets: TurretTarget[] = [
+      { id: 1, x: 100, y: 0, z: 0, health: 50 },
+      { id: 2, x: 0, y: 300, z: 0, health: 10 },
+      { id: 3, x: -600, y: 0, z: 0, health: 80 },
+      { id: 4, x: 5000, y: 0, z: 0, health: 1 },
+    ]
+    const player = { x: -900, y: 0, z: 0 }
+
+    expect(selectTurretTarget(turret, targets, 1000, 'nearest', player)!.id).toBe(1)
+    expect(selectTurretTarget(turret, targets, 1000, 'weakest', player)!.id).toBe(2)
+    expect(selectTurretTarget(turret, targets, 1000, 'protect', player)!.id).toBe(3)
+    expect(selectTurretTarget(turret, targets, 50, 'nearest', player)).toBeNull()
+  })
+
+  it('should fire on cooldown, spend energy and take ramming damage', () => {
+    const fleet = new TurretFleet()
+    const turret = fleet.deploy(origin)
+    const targets: TurretTarget[] = [{ id: 7, x: 50, y: 0, z: 0, health: 20 }]
+
+    expect(fleet.update(0.1, targets, null).shots).toEqual([{ turretId: turret.id, targetId: 7, damage: 10 }])
+    expect(fleet.update(0.1, targets, null).shots).toEqual([])
+    expect(turret.energy).toBeLessThan(MAX_TURRET_ENERGY)
+    expect(turret.health).toBe(98)
+
+    fleet.recordKill(turret.id)
+    expect(fleet.getStatus(origin)).toEqual([
+      { id: turret.id, health: 0.98, energy: turret.energy / MAX_TURRET_ENERGY, kills: 1, distance: 0 },
+    ])
+
+    const { destroyed } = fleet.update(10, targets, null)
+    expect(destroyed).toEqual([turret])
+    expect(fleet.turrets).toEqual([])
+  })
+
+  it('should upgrade range, damage and health up to the maximum level', () => {
+    const fleet = new TurretFleet()
+    const turret = fleet.deploy(origin)
+    turret.health = 60
+
+    expect(fleet.getUpgradeCost('health')).toBe(getTurretUpgradeCost('health', 1))
+    expect(fleet.upgrade('health')).toBe(true)
+    expect(turret).toMatchObject({ health: 90, maxHealth: 130 })
+
+    expect(fleet.upgrade('range')).toBe(true)
+    expect(fleet.getStats()).toMatchObject({ range: 1200, damage: 10, maxHealth: 130 })
+
+    while (fleet.upgrade('damage'));
+    expect(fleet.upgrades.damage).toBe(MAX_TURRET_UPGRADE_LEVEL)
+    expect(fleet.getUpgradeCost('damage')).toBeNull()
+    expect(fleet.getStats().damage).toBe(20)
+  })
+
+  it('should cycle orders and read saved settings leniently', () => {
+    const fleet = new TurretFleet()
+    expect(fleet.cyclePriority()).toBe('weakest')
+    expect(fleet.cyclePriority()).toBe('protect')
+    expect(fleet.cyclePriority()).toBe('nearest')
+
+    expect(readTurretFleetState({ upgrades: { range: 3, damage: 99, health: 'x' }, priority: 'flee' })).toEqual({
+      upgrades: { range: 3, damage: MAX_TURRET_UPGRADE_LEVEL, health: 1 },
+      priority: 'nearest',
+    })
+    fleet.setPriority('protect')
+    expect(new TurretFleet(fleet.getState()).getState()).toEqual(fleet.getState())
+  })
+})
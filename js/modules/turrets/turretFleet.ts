@@ -0,0 +1,389 @@
+// turretFleet.ts - Deployed laser turrets, their orders and stargate upgrades
+//
+// Turrets are bought at the stargate and carried as a count on the ship until
+// deployed. Each deployed turret is tracked here with its own health, energy
+// and kill count. Turrets share the fleet's targeting priority and upgrade
+// levels; upgrades apply to deployed and future turrets alike.
+//
+// This module holds no scene objects - TurretManager turns the shots returned
+// here into tracers and enemy damage, and keeps a mesh for every turret.
+
+export type TurretPriority = 'nearest' | 'weakest' | 'protect';
+
+export type TurretUpgrade = 'range' | 'damage' | 'health';
+
+export interface TurretPosition {
+    x: number;
+    y: number;
+    z: number;
+}
+
+/**
+ * An enemy a turret may shoot at
+ */
+export interface TurretTarget extends TurretPosition {
+    id: number;
+    health: number;
+}
+
+export interface Turret {
+    id: number;
+    position: TurretPosition;
+    health: number;
+    maxHealth: number;
+    energy: number;
+    kills: number;
+    // Seconds until the turret can fire again
+    cooldown: number;
+}
+
+export interface TurretStats {
+    range: number;
+    damage: number;
+    maxHealth: number;
+    // Shots per second
+    fireRate: number;
+}
+
+export interface TurretShot {
+    turretId: number;
+    targetId: number;
+    damage: number;
+}
+
+export interface TurretFleetUpdate {
+    shots: TurretShot[];
+    // Turrets rammed to pieces this frame
+    destroyed: Turret[];
+}
+
+/**
+ * One row of the HUD turret list
+ */
+export interface TurretStatus {
+    id: number;
+    // Fractions (0-1)
+    health: number;
+    energy: number;
+    kills: number;
+    // Distance from the player
+    distance: number;
+}
+
+export interface TurretFleetState {
+    upgrades: Record<TurretUpgrade, number>;
+    priority: TurretPriority;
+}
+
+// Credits per turret at the stargate
+export const TURRET_PRICE = 1000;
+
+export const TURRET_PRIORITIES: TurretPriority[] = ['nearest', 'weakest', 'protect'];
+
+export const PRIORITY_LABELS: Record<TurretPriority, string> = {
+    nearest: 'Nearest',
+    weakest: 'Weakest',
+    protect: 'Protect Player'
+};
+
+export const TURRET_UPGRADES: TurretUpgrade[] = ['range', 'damage', 'health'];
+
+export const MAX_TURRET_UPGRADE_LEVEL = 5;
+
+// A deployed turret within this distance of the ship can be recalled
+export const RECALL_RANGE = 200;
+
+export const MAX_TURRET_ENERGY = 100;
+
+const BASE_STATS: TurretStats = { range: 1000, damage: 10, maxHealth: 100, fireRate: 2 };
+
+// Fractional gain per upgrade level
+const UPGRADE_BONUS: Record<TurretUpgrade, number> = { range: 0.2, damage: 0.25, health: 0.3 };
+
+// Cost of the first upgrade; each further level doubles it
+const UPGRADE_BASE_COST: Record<TurretUpgrade, number> = { range: 1500, damage: 2000, health: 1200 };
+
+// Sustained fire drains energy faster than it recharges, so turrets fire in bursts
+const SHOT_ENERGY = 4;
+const ENERGY_RECHARGE = 6; // per second
+
+// Enemies this close ram the turret
+const CONTACT_RANGE = 80;
+const CONTACT_DAMAGE = 10; // per second per enemy
+
+export function isTurretPriority(value: unknown): value is TurretPriority {
+    return typeof value === 'string' && (TURRET_PRIORITIES as string[]).includes(value);
+}
+
+export function isTurretUpgrade(value: unknown): value is TurretUpgrade {
+    return typeof value === 'string' && (TURRET_UPGRADES as string[]).includes(value);
+}
+
+/**
+ * Credits for the next level of an upgrade, or null at the maximum level
+ */
+export function getTurretUpgradeCost(upgrade: TurretUpgrade, level: number): number | null {
+    if (level >= MAX_TURRET_UPGRADE_LEVEL) return null;
+    return UPGRADE_BASE_COST[upgrade] * Math.pow(2, level - 1);
+}
+
+export function getTurretStats(upgrades: Record<TurretUpgrade, number>): TurretStats {
+    const bonus = (upgrade: TurretUpgrade) => 1 + UPGRADE_BONUS[upgrade] * (upgrades[upgrade] - 1);
+    return {
+        range: Math.round(BASE_STATS.range * bonus('range')),
+        damage: Math.round(BASE_STATS.damage * bonus('damage') * 10) / 10,
+        maxHealth: Math.round(BASE_STATS.maxHealth * bonus('health')),
+        fireRate: BASE_STATS.fireRate
+    };
+}
+
+function distanceBetween(a: TurretPosition, b: TurretPosition): number {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Pick a turret's target among the enemies in range
+ * @param player Ship position, used by the protect priority
+ * @returns The target, or null when nothing is in range
+ */
+export function selectTurretTarget(
+    turret: Turret,
+    targets: TurretTarget[],
+    range: number,
+    priority: TurretPriority,
+    player: TurretPosition | null
+): TurretTarget | null {
+    let best: TurretTarget | null = null;
+    let bestScore = Infinity;
+
+    for (const target of targets) {
+        const distance = distanceBetween(turret.position, target);
+        if (distance > range) continue;
+
+        let score = distance;
+        if (priority === 'weakest') {
+            score = target.health;
+        } else if (priority === 'protect' && player) {
+            score = distanceBetween(player, target);
+        }
+
+        if (score < bestScore) {
+            best = target;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+export function createDefaultFleetState(): TurretFleetState {
+    return {
+        upgrades: { range: 1, damage: 1, health: 1 },
+        priority: 'nearest'
+    };
+}
+
+/**
+ * Read stored fleet settings, falling back to defaults for anything invalid
+ */
+export function readTurretFleetState(raw: unknown): TurretFleetState {
+    const state = createDefaultFleetState();
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) return state;
+
+    const source = raw as Record<string, any>;
+    for (const upgrade of TURRET_UPGRADES) {
+        const level = source.upgrades ? source.upgrades[upgrade] : null;
+        if (typeof level === 'number' && Number.isFinite(level)) {
+            state.upgrades[upgrade] = Math.min(MAX_TURRET_UPGRADE_LEVEL, Math.max(1, Math.floor(level)));
+        }
+    }
+    if (isTurretPriority(source.priority)) {
+        state.priority = source.priority;
+    }
+    return state;
+}
+
+export class TurretFleet {
+    turrets: Turret[];
+    upgrades: Record<TurretUpgrade, number>;
+    priority: TurretPriority;
+    private nextId: number;
+
+    constructor(state: TurretFleetState = createDefaultFleetState()) {
+        this.turrets = [];
+        this.upgrades = createDefaultFleetState().upgrades;
+        this.priority = 'nearest';
+        this.nextId = 1;
+        this.setState(state);
+    }
+
+    getStats(): TurretStats {
+        return getTurretStats(this.upgrades);
+    }
+
+    getTurret(id: number): Turret | null {
+        return this.turrets.find(turret => turret.id === id) || null;
+    }
+
+    /**
+     * Start tracking a newly deployed turret. The ship's turret count is handled by the caller.
+     */
+    deploy(position: TurretPosition): Turret {
+        const { maxHealth } = this.getStats();
+        const turret: Turret = {
+            id: this.nextId++,
+            position: { ...position },
+            health: maxHealth,
+            maxHealth,
+            energy: MAX_TURRET_ENERGY,
+            kills: 0,
+            cooldown: 0
+        };
+        this.turrets.push(turret);
+        return turret;
+    }
+
+    /**
+     * Stop tracking a turret picked back up by the ship
+     * @returns The recalled turret, or null if it doesn't exist
+     */
+    recall(id: number): Turret | null {
+        const index = this.turrets.findIndex(turret => turret.id === id);
+        if (index === -1) return null;
+        return this.turrets.splice(index, 1)[0];
+    }
+
+    /**
+     * Remove every deployed turret
+     * @returns The turrets removed
+     */
+    clear(): Turret[] {
+        const removed = this.turrets;
+        this.turrets = [];
+        return removed;
+    }
+
+    /**
+     * The deployed turret closest to a position, within maxDistance
+     */
+    findNearest(position: TurretPosition, maxDistance: number = Infinity): Turret | null {
+        let nearest: Turret | null = null;
+        let nearestDistance = maxDistance;
+        for (const turret of this.turrets) {
+            const distance = distanceBetween(turret.position, position);
+            if (distance <= nearestDistance) {
+                nearest = turret;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    setPriority(priority: TurretPriority): void {
+        this.priority = priority;
+    }
+
+    /**
+     * Switch every turret to the next targeting priority
+     * @returns The new priority
+     */
+    cyclePriority(): TurretPriority {
+        const index = TURRET_PRIORITIES.indexOf(this.priority);
+        this.priority = TURRET_PRIORITIES[(index + 1) % TURRET_PRIORITIES.length];
+        return this.priority;
+    }
+
+    /**
+     * Credits for the next level of an upgrade, or null at the maximum level
+     */
+    getUpgradeCost(upgrade: TurretUpgrade): number | null {
+        return getTurretUpgradeCost(upgrade, this.upgrades[upgrade]);
+    }
+
+    /**
+     * Raise an upgrade by one level. Credits are handled by the caller.
+     * Health upgrades reinforce deployed turrets too.
+     * @returns False at the maximum level
+     */
+    upgrade(upgrade: TurretUpgrade): boolean {
+        if (this.upgrades[upgrade] >= MAX_TURRET_UPGRADE_LEVEL) return false;
+
+        this.upgrades[upgrade]++;
+        if (upgrade === 'health') {
+            const { maxHealth } = this.getStats();
+            for (const turret of this.turrets) {
+                turret.health += maxHealth - turret.maxHealth;
+                turret.maxHealth = maxHealth;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Recharge, take ramming damage and pick targets
+     * @param deltaTime Seconds since the last update
+     * @param targets Living enemies
+     * @param player Ship position, or null when there is no ship in space
+     */
+    update(deltaTime: number, targets: TurretTarget[], player: TurretPosition | null): TurretFleetUpdate {
+        const stats = this.getStats();
+        const shots: TurretShot[] = [];
+        const destroyed: Turret[] = [];
+
+        for (const turret of [...this.turrets]) {
+            const rammers = targets.filter(target => distanceBetween(turret.position, target) <= CONTACT_RANGE).length;
+            turret.health -= rammers * CONTACT_DAMAGE * deltaTime;
+            if (turret.health <= 0) {
+                turret.health = 0;
+                this.recall(turret.id);
+                destroyed.push(turret);
+                continue;
+            }
+
+            turret.energy = Math.min(MAX_TURRET_ENERGY, turret.energy + ENERGY_RECHARGE * deltaTime);
+            turret.cooldown = Math.max(0, turret.cooldown - deltaTime);
+            if (turret.cooldown > 0 || turret.energy < SHOT_ENERGY) continue;
+
+            const target = selectTurretTarget(turret, targets, stats.range, this.priority, player);
+            if (!target) continue;
+
+            turret.energy -= SHOT_ENERGY;
+            turret.cooldown = 1 / stats.fireRate;
+            shots.push({ turretId: turret.id, targetId: target.id, damage: stats.damage });
+        }
+
+        return { shots, destroyed };
+    }
+
+    recordKill(turretId: number): void {
+        const turret = this.getTurret(turretId);
+        if (turret) {
+            turret.kills++;
+        }
+    }
+
+    getStatus(player: TurretPosition | null): TurretStatus[] {
+        return this.turrets.map(turret => ({
+            id: turret.id,
+            health: turret.health / turret.maxHealth,
+            energy: turret.energy / MAX_TURRET_ENERGY,
+            kills: turret.kills,
+            distance: player ? distanceBetween(turret.position, player) : 0
+        }));
+    }
+
+    getState(): TurretFleetState {
+        return {
+            upgrades: { ...this.upgrades },
+            priority: this.priority
+        };
+    }
+
+    /**
+     * Apply stored settings. Deployed turrets are not part of the state.
+     */
+    setState(state: TurretFleetState): void {
+        const valid = readTurretFleetState(state);
+        this.upgrades = valid.upgrades;
+        this.priority = valid.priority;
+    }
+}
@@ -2,6 +2,9 @@
 
 import { HUD } from './ui/hud.ts';
 import { MobileHUD } from './ui/mobileHUD.ts';
+import type { Contract } from './contracts/contractBoard.ts';
+import type { BossStatus } from './boss/dreadnoughtBoss.ts';
+import type { TurretStatus } from './turrets/turretFleet.ts';
 // Removed direct imports for MiningDisplay, TargetingUI, StargateInterface, GameOverScreen, ControlsMenu, StarMap, BlackjackGame, Settings, StartScreen
 // import { MiningDisplay } from './ui/miningDisplay.ts';
 // import { TargetingUI } from './ui/targetingUI.ts';
@@ -21,6 +24,7 @@ import { initDamageNumbers, updateDamageNumbers } from './ui/damageNumbers.ts';
 import { initThreatIndicators, setThreatIndicatorsCamera, updateThreatIndicators } from './ui/threatIndicators.ts';
 import { initLockOnDisplay, setLockOnDisplayCamera, updateLockOnDisplay, setLockedEnemy, getLockedEnemy } from './ui/lockOnDisplay.ts';
 import { initRadar, updateRadar } from './ui/radarDisplay.ts';
+import { initScanOverlay, setScanOverlayCamera, updateScanOverlay } from './ui/scanOverlay.ts';
 import { getEnemies, getPlayerEntity } from '../ecs/systems/ecsRunner';
 import { Position } from '../ecs/components';
 
@@ -61,6 +65,9 @@ interface HUDComponent {
     updateLocation?: (location: string | null, systemName: string) => void;
     updateCoordinates?: (x: number, y: number, z: number) => void;
     updateFPS?: (fps: number, cap?: number) => void;
+    updateContracts?: (contracts: Contract[]) => void;
+    updateBossBar?: (status: BossStatus | null) => void;
+    updateTurrets?: (turrets: TurretStatus[]) => void;
     hide?: () => void;
     show?: () => void;
     setControls?: (controls: any) => void;
@@ -182,6 +189,9 @@ export class UI {
         // Initialize radar display
         initRadar();
 
+        // Initialize deep scan labels
+        initScanOverlay();
+
         // Initialize damage numbers if camera and renderer are available
         if (this.camera && this.renderer) {
             initDamageNumbers(this.camera, this.renderer);
@@ -292,6 +302,9 @@ export class UI {
 
         // Set camera for lock-on display
         setLockOnDisplayCamera(camera);
+
+        // Set camera for deep scan labels
+        setScanOverlayCamera(camera);
     }
 
     // Initialize settings with the game instance
@@ -435,6 +448,9 @@ export class UI {
         // Update radar display
         updateRadar(performance.now());
 
+        // Keep deep scan labels over their targets
+        updateScanOverlay();
+
         // Update touch controls if on mobile
 
         if (this.isMobile && this.controls && this.controls.touchControls) {
@@ -462,6 +478,24 @@ export class UI {
         }
     }
     
+    updateContracts(contracts: Contract[]): void {
+        if (this.hud && this.hud.updateContracts) {
+            this.hud.updateContracts(contracts);
+        }
+    }
+
+    updateBossBar(status: BossStatus | null): void {
+        if (this.hud && this.hud.updateBossBar) {
+            this.hud.updateBossBar(status);
+        }
+    }
+
+    updateTurrets(turrets: TurretStatus[]): void {
+        if (this.hud && this.hud.updateTurrets) {
+            this.hud.updateTurrets(turrets);
+        }
+    }
+    
     updateFPS(fps: number, cap?: number): void {
         if (this.hud && this.hud.updateFPS) {
             // Pass both actual FPS and cap to HUD
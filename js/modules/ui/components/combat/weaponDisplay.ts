@@ -18,6 +18,17 @@ export interface WeaponComponent {
     getCooldownProgress?: () => number;
 }
 
+export interface WeaponInfo {
+    name: string;
+    color: number;
+    energy: number;
+    maxEnergy: number;
+    // Loadout weapons also report ammunition (null for energy weapons) and cooldown
+    ammo?: number | null;
+    maxAmmo?: number;
+    cooldownProgress?: number;
+}
+
 /** Helper to swap between mutually-exclusive modifier classes */
 function setModifierClass(el: HTMLElement, prefix: string, modifier: string): void {
     // Remove any existing modifier with this prefix
@@ -86,6 +97,13 @@ export class WeaponDisplay {
         styles.applyValueDisplayStyles(energyValue);
         weaponContainer.appendChild(energyValue);
         
+        // Cooldown / ammunition readout
+        const weaponCooldown = document.createElement('div');
+        weaponCooldown.id = 'weapon-cooldown';
+        weaponCooldown.textContent = 'READY';
+        styles.applyCooldownStyles(weaponCooldown);
+        weaponContainer.appendChild(weaponCooldown);
+        
         parent.appendChild(weaponContainer);
     }
 
@@ -185,11 +203,14 @@ export class WeaponDisplay {
             }
         } else if (this.weaponSystem.getCurrentWeaponInfo) {
             // Alternative: use weapon info method
-            const weaponInfo = this.weaponSystem.getCurrentWeaponInfo();
-            weaponName = weaponInfo.name;
+            const weaponInfo: WeaponInfo = this.weaponSystem.getCurrentWeaponInfo();
+            weaponName = typeof weaponInfo.ammo === 'number'
+                ? `${weaponInfo.name} (${weaponInfo.ammo}/${weaponInfo.maxAmmo})`
+                : weaponInfo.name;
             weaponColor = `#${weaponInfo.color.toString(16).padStart(6, '0')}`;
             energy = weaponInfo.energy;
             maxEnergy = weaponInfo.maxEnergy;
+            this.updateWeaponCooldown(weaponInfo);
         }
         
         // Update weapon mode display (dynamic color per weapon type)
@@ -203,6 +224,27 @@ export class WeaponDisplay {
         weaponEnergyBar.style.backgroundColor = weaponColor;
     }
 
+    /**
+     * Show whether the active weapon is ready, reloading or out of ammunition
+     * @param weaponInfo Weapon info from the weapon system
+     */
+    updateWeaponCooldown(weaponInfo: WeaponInfo): void {
+        const cooldownText = document.getElementById('weapon-cooldown');
+        if (!cooldownText) return;
+        
+        const progress = weaponInfo.cooldownProgress ?? 1;
+        if (weaponInfo.ammo === 0) {
+            cooldownText.textContent = 'NO AMMO';
+            setModifierClass(cooldownText, 'combat-cooldown--', 'no-ammo');
+        } else if (progress < 1) {
+            cooldownText.textContent = `${Math.floor(progress * 100)}%`;
+            setModifierClass(cooldownText, 'combat-cooldown--', 'charging');
+        } else {
+            cooldownText.textContent = 'READY';
+            setModifierClass(cooldownText, 'combat-cooldown--', 'ready');
+        }
+    }
+
     /**
      * Update special weapons status
      */
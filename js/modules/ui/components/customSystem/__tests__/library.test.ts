@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { MAX_SAVED_SYSTEMS, SystemLibrary, type SavedSystem } from '../library'
+import { toSharedSystem } from '../shareCode'
+import { SystemDataManager } from '../systemData'
+
+function createMemoryStorage(initial: unknown = null) {
+  const storage = {
+    data: initial,
+    load: () => storage.data,
+    save: (entries: SavedSystem[]) => {
+      storage.data = JSON.parse(JSON.stringify(entries))
+      return true
+    },
+  }
+  return storage
+}
+
+function createSystem(id: string, name: string) {
+  const systemData = new SystemDataManager().createSystemData(name, 'G', '', [
+    { name: 'Home', size: 450, distance: 8000, speed: 0.0015, rings: false },
+  ])
+  return { ...systemData, id }
+}
+
+describe('System Library', () => {
+  it('should save, replace and remove designs newest first', () => {
+    const storage = createMemoryStorage()
+    const library = new SystemLibrary(storage)
+
+    library.save(createSystem('Custom-1', 'First Sector'), 100)
+    library.save(createSystem('Custom-2', 'Second Sector'), 200)
+    library.save(createSystem('Custom-1', 'First Sector Redux'), 300)
+
+    expect(library.list().map(entry => entry.system.name)).toEqual(['First Sector Redux', 'Second Sector'])
+    expect(new SystemLibrary(storage).list()).toEqual(library.list())
+
+    expect(library.remove('Custom-2')).toBe(true)
+    expect(library.remove('Custom-2')).toBe(false)
+    expect(library.get('Custom-1')!.system).toEqual(toSharedSystem(createSystem('Custom-1', 'First Sector Redux')))
+  })
+
+  it('should drop the oldest designs once full and skip invalid stored entries', () => {
+    const library = new SystemLibrary(createMemoryStorage())
+    for (let i = 0; i <= MAX_SAVED_SYSTEMS; i++) {
+      library.save(createSystem(`Custom-${i}`, `Sector ${i}`), i)
+    }
+    expect(library.list()).toHaveLength(MAX_SAVED_SYSTEMS)
+    expect(library.get('Custom-0')).toBeNull()
+
+    const valid = { id: 'Custom-7', savedAt: 7, system: toSharedSystem(createSystem('Custom-7', 'Kept Sector')) }
+    const stored = [
+      valid,
+      { ...valid, id: 'bad" id' },
+      { ...valid, id: 'Custom-8', system: { ...valid.system, starClass: 'Z' } },
+      null,
+    ]
+    expect(new SystemLibrary(createMemoryStorage(stored)).list()).toEqual([valid])
+    expect(new SystemLibrary(createMemoryStorage('corrupt')).list()).toEqual([])
+  })
+})
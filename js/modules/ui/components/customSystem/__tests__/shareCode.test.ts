@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { SystemDataManager } from '../systemData'
+import {
+  SHARE_CODE_PREFIX,
+  encodeShareCode,
+  exportSystemJSON,
+  getShareUrl,
+  importSharedSystem,
+  readShareCodeFromHash,
+  toSharedSystem,
+  toSystemData,
+} from '../shareCode'
+
+function createDenseBelt() {
+  const systemData = new SystemDataManager().createSystemData('Dense Belt', 'K', '/images/skybox.png', [
+    { name: 'Rubble', description: 'Broken moon', size: 400, distance: 5000, speed: 0.0012, rings: true, textureUrl: null },
+    { name: 'Anvil Prime', size: 700, distance: 20000, speed: 0.001, rings: false, textureUrl: '/images/anvil.png' },
+  ])
+  systemData.asteroidDensity = 4
+  systemData.resourceMultipliers = { iron: 1, gold: 2.5, platinum: 3 }
+  return systemData
+}
+
+describe('Shared Custom Systems', () => {
+  it('should round-trip a system through a share code and a share link', () => {
+    const systemData = createDenseBelt()
+    const code = encodeShareCode(systemData)
+    expect(code.startsWith(SHARE_CODE_PREFIX)).toBe(true)
+    expect(code).toMatch(/^[\w.-]+$/)
+    expect(code.length).toBeLessThan(exportSystemJSON(systemData).length)
+
+    expect(importSharedSystem(code)).toEqual({ system: toSharedSystem(systemData), errors: [] })
+
+    const url = getShareUrl(code, 'https://example.com/game/?seed=4#old')
+    expect(url).toBe(`https://example.com/game/?seed=4#system=${code}`)
+    expect(readShareCodeFromHash(`#system=${code}`)).toBe(code)
+    expect(readShareCodeFromHash('#portal=1')).toBeNull()
+    expect(importSharedSystem(url).system).toEqual(toSharedSystem(systemData))
+  })
+
+  it('should import exported JSON and rebuild system data with a new id', () => {
+    const systemData = createDenseBelt()
+    const json = exportSystemJSON(systemData)
+    expect(JSON.parse(json)).toMatchObject({ format: 'asteroid-miner-system', version: 1 })
+
+    const { system } = importSharedSystem(json)
+    const rebuilt = toSystemData(system!, 'Custom-42')
+    expect(rebuilt).toEqual({ ...systemData, id: 'Custom-42', planetData: systemData.planetData.map(planet => ({ ...planet })) })
+
+    expect(importSharedSystem('{"format":"asteroid-miner-system","version":2,"system":{}}').errors[0]).toMatch(/newer version/)
+    expect(importSharedSystem('{"format":"savegame"}').errors[0]).toMatch(/not an exported star system/)
+    expect(importSharedSystem('hello').errors[0]).toMatch(/Paste a share code/)
+    expect(importSharedSystem(`${SHARE_CODE_PREFIX}!!!`).errors[0]).toMatch(/damaged/)
+  })
+
+  it('should reject systems that break the creator limits or contain markup', () => {
+    const shared = toSharedSystem(createDenseBelt())
+    const importDocument = (system: unknown) =>
+      importSharedSystem(JSON.stringify({ format: 'asteroid-miner-system', version: 1, system }))
+
+    expect(importDocument({ ...shared, starClass: 'X' }).errors).toContain('Invalid star class selected.')
+    expect(importDocument({ ...shared, planetData: [] }).errors).toContain('System must have at least one planet.')
+    expect(importDocument({ ...shared, asteroidDensity: 50 }).errors[0]).toMatch(/Asteroid density/)
+
+    const tooBig = { ...shared, planetData: [{ ...shared.planetData[0], size: 5000 }] }
+    expect(importDocument(tooBig).errors).toEqual(['Planet 1 size must be between 300 and 1000.'])
+
+    const markup = { ...shared, planetData: [{ ...shared.planetData[0], name: '<img onerror=alert(1)>' }] }
+    expect(importDocument(markup).system).toBeNull()
+    expect(importDocument({ ...shared, skyboxUrl: 'javascript:alert(1)' }).system).toBeNull()
+    expect(importDocument({ ...shared, skyboxUrl: 'http://localhost:8000/images/sky.png' }).system).not.toBeNull()
+  })
+})
@@ -32,6 +32,7 @@ export class EventHandlerManager {
     setupAllEventHandlers(container: HTMLElement, elements: ElementRefs): void {
         this.setupCloseHandlers(elements.closeBtn);
         this.setupFormHandlers(elements);
+        this.setupLibraryHandlers(container);
         this.setupKeyboardHandlers();
         this.setupContainerHandlers(container);
 
@@ -109,6 +110,70 @@ export class EventHandlerManager {
         }
     }
 
+    setupLibraryHandlers(container: HTMLElement): void {
+        const creator = this.customSystemCreator;
+        const importInput = container.querySelector<HTMLTextAreaElement>('#import-system-input');
+        const fileInput = container.querySelector<HTMLInputElement>('#import-system-file');
+
+        const buttonActions: Record<string, () => void> = {
+            'import-system-btn': () => {
+                if (importInput && creator.importSystem(importInput.value)) {
+                    importInput.value = '';
+                }
+            },
+            'import-system-file-btn': () => fileInput?.click(),
+            'save-system-btn': () => creator.saveToLibrary(),
+            'share-system-btn': () => creator.shareSystem(),
+            'export-system-btn': () => creator.exportSystem()
+        };
+
+        Object.entries(buttonActions).forEach(([id, action]) => {
+            const button = container.querySelector(`#${id}`);
+            if (!button) return;
+            this.addMobileFriendlyListener(button, 'click', (e: Event) => {
+                e.preventDefault();
+                action();
+                creator.playUISound();
+            });
+        });
+
+        if (fileInput) {
+            this.addDynamicEventHandlers(fileInput, {
+                change: () => {
+                    const file = fileInput.files?.[0];
+                    if (file) {
+                        creator.importSystemFile(file);
+                    }
+                    fileInput.value = '';
+                }
+            });
+        }
+
+        // Library rows are re-rendered, so their buttons are handled on the list
+        const libraryList = container.querySelector('#system-library-list');
+        if (libraryList) {
+            this.addMobileFriendlyListener(libraryList, 'click', (e: Event) => {
+                const button = (e.target as HTMLElement).closest<HTMLElement>('[data-library-action]');
+                const systemId = button?.dataset.systemId;
+                if (!button || !systemId) return;
+
+                e.preventDefault();
+                switch (button.dataset.libraryAction) {
+                    case 'travel':
+                        creator.travelToSavedSystem(systemId);
+                        break;
+                    case 'share':
+                        creator.shareSavedSystem(systemId);
+                        break;
+                    case 'delete':
+                        creator.deleteSavedSystem(systemId);
+                        break;
+                }
+                creator.playUISound();
+            });
+        }
+    }
+
     setupKeyboardHandlers(): void {
         const escapeHandler = (e: KeyboardEvent): void => {
             if (e.key === 'Escape' && this.customSystemCreator.isVisible) {
@@ -1,5 +1,6 @@
 // formView.ts - Form creation, input fields, UI layout
 
+import type { SavedSystem } from './library.ts';
 import type { StyleManager } from './styles.ts';
 import type { ValidationManager } from './validation.ts';
 
@@ -35,17 +36,67 @@ export class FormViewManager {
                 </div>
                 <div class="modal-body" style="${styles.modalBody || ''}">
                     <div id="system-creator-form">
+                        ${this.createLibrarySection()}
                         ${this.createSystemForm()}
                         ${this.createPlanetSection()}
                         ${this.createFormActions()}
                     </div>
                     ${this.createProgressSection()}
                     ${this.createPreviewSection()}
+                    ${this.createShareOutput()}
                 </div>
             </div>
         `;
     }
 
+    createLibrarySection(): string {
+        const styles = this.styleManager?.getMobileStyles() || {};
+
+        return `
+            <div class="form-group system-library">
+                <h3>Saved Systems</h3>
+                <div id="system-library-list">${this.createLibraryEntries([])}</div>
+
+                <label for="import-system-input">Import a System:</label>
+                <textarea id="import-system-input" rows="2" placeholder="Paste a share code, share link or exported system JSON" style="${styles.textarea || ''}"></textarea>
+                <div class="library-actions">
+                    <button id="import-system-btn" class="secondary-btn" style="${styles.secondaryBtn || ''}">Import</button>
+                    <button id="import-system-file-btn" class="secondary-btn" style="${styles.secondaryBtn || ''}">Import File...</button>
+                    <input type="file" id="import-system-file" accept=".json,application/json" style="display: none;">
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Library rows. Saved systems passed validateSharedSystem, so their text is markup-safe.
+     */
+    createLibraryEntries(entries: SavedSystem[]): string {
+        if (entries.length === 0) {
+            return '<p class="help-text">Systems you travel to or import are saved here.</p>';
+        }
+
+        return entries.map(entry => `
+            <div class="library-entry">
+                <span class="library-entry-name">${entry.system.name}</span>
+                <span class="library-entry-details">Class ${entry.system.starClass}, ${entry.system.planetData.length} planet(s)</span>
+                <button class="secondary-btn" data-library-action="travel" data-system-id="${entry.id}">Travel</button>
+                <button class="secondary-btn" data-library-action="share" data-system-id="${entry.id}">Share</button>
+                <button class="danger-btn" data-library-action="delete" data-system-id="${entry.id}">Delete</button>
+            </div>
+        `).join('');
+    }
+
+    createShareOutput(): string {
+        return `
+            <div id="system-share-output" style="display: none;">
+                <label for="system-share-code">Share Link:</label>
+                <input type="text" id="system-share-code" readonly>
+                <p id="system-share-status" class="help-text"></p>
+            </div>
+        `;
+    }
+
     createSystemForm(): string {
         const styles = this.styleManager?.getMobileStyles() || {};
 
@@ -181,10 +232,16 @@ export class FormViewManager {
                         <!-- Planet previews will be added here dynamically -->
                     </div>
                 </div>
+                <p id="generation-provider" class="help-text"></p>
                 <div class="form-actions" style="${styles.formActions || ''}">
                     <button id="travel-to-system-btn" class="primary-btn" style="${styles.primaryBtn || ''}">Travel to System</button>
                     <button id="regenerate-system-btn" class="secondary-btn" style="${styles.secondaryBtn || ''}">Regenerate</button>
                 </div>
+                <div class="form-actions" style="${styles.formActions || ''}">
+                    <button id="save-system-btn" class="secondary-btn" style="${styles.secondaryBtn || ''}">Save to Library</button>
+                    <button id="share-system-btn" class="secondary-btn" style="${styles.secondaryBtn || ''}">Copy Share Link</button>
+                    <button id="export-system-btn" class="secondary-btn" style="${styles.secondaryBtn || ''}">Export JSON</button>
+                </div>
             </div>
         `;
     }
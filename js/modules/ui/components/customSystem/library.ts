@@ -0,0 +1,120 @@
+// library.ts - Local library of saved custom system designs
+
+import { toSharedSystem, type SharedSystem } from './shareCode.ts';
+import type { SystemData } from './systemData.ts';
+import { ValidationManager } from './validation.ts';
+
+export type SavedSystem = {
+    // Local system id, reused when travelling to the design again
+    id: string;
+    savedAt: number;
+    system: SharedSystem;
+};
+
+type SystemLibraryStorage = {
+    load: () => unknown;
+    save: (entries: SavedSystem[]) => boolean;
+};
+
+export const MAX_SAVED_SYSTEMS = 20;
+
+// System ids end up in library button attributes
+const SYSTEM_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * System library persistence in localStorage
+ */
+export class LocalSystemLibraryStorage {
+    key: string;
+
+    constructor() {
+        this.key = 'asteroidMinerCustomSystems';
+    }
+
+    load(): unknown {
+        try {
+            const json = localStorage.getItem(this.key);
+            return json ? JSON.parse(json) : null;
+        } catch (error: any) {
+            console.error("Error loading custom system library:", error);
+            return null;
+        }
+    }
+
+    save(entries: SavedSystem[]): boolean {
+        try {
+            localStorage.setItem(this.key, JSON.stringify(entries));
+            return true;
+        } catch (error: any) {
+            console.error("Error saving custom system library:", error);
+            return false;
+        }
+    }
+}
+
+export class SystemLibrary {
+    storage: SystemLibraryStorage;
+    validationManager: ValidationManager;
+    entries: SavedSystem[];
+
+    constructor(
+        storage: SystemLibraryStorage = new LocalSystemLibraryStorage(),
+        validationManager: ValidationManager = new ValidationManager()
+    ) {
+        this.storage = storage;
+        this.validationManager = validationManager;
+        this.entries = [];
+        this.load();
+    }
+
+    /**
+     * Read stored designs, dropping any that no longer validate
+     */
+    load(): void {
+        const saved = this.storage.load();
+        this.entries = [];
+        if (!Array.isArray(saved)) return;
+
+        for (const entry of saved) {
+            if (!entry || typeof entry.id !== 'string' || !SYSTEM_ID_PATTERN.test(entry.id) || typeof entry.savedAt !== 'number') continue;
+            const { system } = this.validationManager.validateSharedSystem(entry.system);
+            if (system) {
+                this.entries.push({ id: entry.id, savedAt: entry.savedAt, system });
+            }
+        }
+        this.entries.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Saved designs, newest first
+     */
+    list(): SavedSystem[] {
+        return this.entries;
+    }
+
+    get(id: string): SavedSystem | null {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Save a design, replacing any earlier copy with the same system id.
+     * The oldest designs are dropped once the library is full.
+     */
+    save(systemData: SystemData, savedAt: number = Date.now()): SavedSystem {
+        const entry: SavedSystem = { id: systemData.id, savedAt, system: toSharedSystem(systemData) };
+        this.entries = [entry, ...this.entries.filter(saved => saved.id !== entry.id)];
+        this.entries.sort((a, b) => b.savedAt - a.savedAt);
+        this.entries.splice(MAX_SAVED_SYSTEMS);
+        this.storage.save(this.entries);
+        return entry;
+    }
+
+    remove(id: string): boolean {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        if (this.entries.length === count) return false;
+
+        this.storage.save(this.entries);
+        return true;
+    }
+}
@@ -5,6 +5,8 @@ import type { ApiClient } from '../../../utils/apiClient.ts';
 type GeneratedPlanetPreview = {
     name: string;
     url: string | null;
+    // Flavour text from the local generator
+    description?: string;
 };
 
 export class PreviewManager {
@@ -52,6 +54,13 @@ export class PreviewManager {
                 <img src="${planetImageSrc}" alt="${planet.name || 'Planet'}" loading="lazy">
             `;
 
+            if (planet.description) {
+                const description = document.createElement('p');
+                description.className = 'help-text';
+                description.textContent = planet.description;
+                planetDiv.appendChild(description);
+            }
+
             planetsPreview.appendChild(planetDiv);
         });
     }
@@ -122,6 +131,16 @@ export class PreviewManager {
         }
     }
 
+    /**
+     * Note under the preview, e.g. which content providers made the images
+     */
+    showProviderNote(message: string): void {
+        const note = document.getElementById('generation-provider');
+        if (note) {
+            note.textContent = message;
+        }
+    }
+
     updateGenerationStatus(message: string): void {
         const generationStatus = document.getElementById('generation-status');
         if (generationStatus) {
@@ -175,6 +194,8 @@ export class PreviewManager {
         if (planetsPreview) {
             planetsPreview.innerHTML = '';
         }
+
+        this.showProviderNote('');
     }
 
     isPreviewVisible(): boolean {
@@ -0,0 +1,257 @@
+// shareCode.ts - Shared system format, JSON export and share codes
+//
+// Custom systems are exported as a versioned JSON document (documented in
+// README.md). Share codes carry the same fields packed into a positional array
+// and base64url-encoded behind a short prefix, so a design fits in a chat
+// message or a "#system=" URL fragment. Everything read back is checked by
+// ValidationManager.validateSharedSystem before it can be used.
+
+import { SystemDataManager, type SystemData } from './systemData.ts';
+import { ValidationManager } from './validation.ts';
+
+export type SharedPlanet = {
+    name: string;
+    size: number;
+    distance: number;
+    speed: number;
+    rings: boolean;
+    textureUrl: string | null;
+};
+
+/**
+ * A system design without the local system id
+ */
+export type SharedSystem = {
+    name: string;
+    starClass: string;
+    description: string;
+    // Empty for a random built-in skybox
+    skyboxUrl: string;
+    lightIntensityMultiplier: number;
+    asteroidDensity?: number;
+    resourceMultipliers?: { iron: number; gold: number; platinum: number };
+    planetData: SharedPlanet[];
+};
+
+export type SharedSystemDocument = {
+    format: string;
+    version: number;
+    system: SharedSystem;
+};
+
+export type SharedSystemImport = {
+    system: SharedSystem | null;
+    errors: string[];
+};
+
+export const SHARED_SYSTEM_FORMAT = 'asteroid-miner-system';
+export const SHARED_SYSTEM_VERSION = 1;
+
+// Version 1 share codes
+export const SHARE_CODE_PREFIX = 'AMS1.';
+export const SHARE_HASH_KEY = 'system';
+
+const systemDataManager = new SystemDataManager();
+
+/**
+ * Strip a system down to the fields that are shared
+ */
+export function toSharedSystem(systemData: SystemData): SharedSystem {
+    const system: SharedSystem = {
+        name: systemData.name,
+        starClass: systemData.starClass,
+        description: systemData.description,
+        skyboxUrl: systemData.skyboxUrl || '',
+        lightIntensityMultiplier: systemData.lightIntensityMultiplier,
+        planetData: systemData.planetData.map(planet => ({
+            name: planet.name,
+            size: planet.size,
+            distance: planet.distance,
+            speed: planet.speed,
+            rings: planet.rings,
+            textureUrl: planet.textureUrl || null
+        }))
+    };
+    if (systemData.asteroidDensity !== undefined) {
+        system.asteroidDensity = systemData.asteroidDensity;
+    }
+    if (systemData.resourceMultipliers) {
+        system.resourceMultipliers = { ...systemData.resourceMultipliers };
+    }
+    return system;
+}
+
+/**
+ * Turn a shared design back into system data for StarSystemGenerator
+ * @param id Local system id (default: a new custom id)
+ */
+export function toSystemData(system: SharedSystem, id: string = `Custom-${Date.now()}`): SystemData {
+    const systemData: SystemData = {
+        id,
+        name: system.name,
+        starClass: system.starClass,
+        classification: 'Custom',
+        description: system.description,
+        skyboxUrl: system.skyboxUrl,
+        lightIntensityMultiplier: system.lightIntensityMultiplier,
+        planetData: system.planetData.map(planet => ({
+            ...planet,
+            color: systemDataManager.getStarColorForClass(system.starClass)
+        }))
+    };
+    if (system.asteroidDensity !== undefined) {
+        systemData.asteroidDensity = system.asteroidDensity;
+    }
+    if (system.resourceMultipliers) {
+        systemData.resourceMultipliers = { ...system.resourceMultipliers };
+    }
+    return systemData;
+}
+
+export function createSharedSystemDocument(systemData: SystemData): SharedSystemDocument {
+    return {
+        format: SHARED_SYSTEM_FORMAT,
+        version: SHARED_SYSTEM_VERSION,
+        system: toSharedSystem(systemData)
+    };
+}
+
+/**
+ * Pretty-printed JSON document for file export
+ */
+export function exportSystemJSON(systemData: SystemData): string {
+    return JSON.stringify(createSharedSystemDocument(systemData), null, 2);
+}
+
+function toBase64Url(text: string): string {
+    let binary = '';
+    for (const byte of new TextEncoder().encode(text)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code: string): string {
+    const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Encode a system as a share code
+ */
+export function encodeShareCode(systemData: SystemData): string {
+    const system = toSharedSystem(systemData);
+    const multipliers = system.resourceMultipliers;
+    const packed = [
+        system.name,
+        system.starClass,
+        system.description,
+        system.skyboxUrl,
+        system.lightIntensityMultiplier,
+        system.asteroidDensity ?? null,
+        multipliers ? [multipliers.iron, multipliers.gold, multipliers.platinum] : null,
+        system.planetData.map(planet => [
+            planet.name,
+            planet.size,
+            planet.distance,
+            planet.speed,
+            planet.rings ? 1 : 0,
+            planet.textureUrl
+        ])
+    ];
+    return SHARE_CODE_PREFIX + toBase64Url(JSON.stringify(packed));
+}
+
+/**
+ * Unpack a share code into unvalidated system fields
+ * @returns The fields, or null if the code cannot be read
+ */
+function decodeShareCode(code: string): Record<string, unknown> | null {
+    let packed: unknown;
+    try {
+        packed = JSON.parse(fromBase64Url(code.slice(SHARE_CODE_PREFIX.length)));
+    } catch (error) {
+        return null;
+    }
+    if (!Array.isArray(packed) || packed.length < 8 || !Array.isArray(packed[7])) return null;
+
+    const [name, starClass, description, skyboxUrl, lightIntensityMultiplier, asteroidDensity, multipliers, planets] = packed;
+    const fields: Record<string, unknown> = {
+        name,
+        starClass,
+        description,
+        skyboxUrl,
+        lightIntensityMultiplier,
+        planetData: planets.map((planet: unknown) => {
+            if (!Array.isArray(planet)) return planet;
+            const [planetName, size, distance, speed, rings, textureUrl] = planet;
+            return { name: planetName, size, distance, speed, rings: rings === 1, textureUrl };
+        })
+    };
+    if (asteroidDensity !== null) {
+        fields.asteroidDensity = asteroidDensity;
+    }
+    if (multipliers !== null) {
+        fields.resourceMultipliers = Array.isArray(multipliers)
+            ? { iron: multipliers[0], gold: multipliers[1], platinum: multipliers[2] }
+            : multipliers;
+    }
+    return fields;
+}
+
+/**
+ * Link that opens the game and imports a share code
+ * @param pageUrl Address of the game page; any existing fragment is replaced
+ */
+export function getShareUrl(code: string, pageUrl: string): string {
+    return `${pageUrl.split('#')[0]}#${SHARE_HASH_KEY}=${code}`;
+}
+
+/**
+ * Share code in a URL fragment such as "#system=AMS1...", or null if there is none
+ */
+export function readShareCodeFromHash(hash: string): string | null {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const code = params.get(SHARE_HASH_KEY);
+    return code && code.startsWith(SHARE_CODE_PREFIX) ? code : null;
+}
+
+/**
+ * Read a system from a share code, share link or exported JSON document
+ */
+export function importSharedSystem(
+    text: string,
+    validationManager: ValidationManager = new ValidationManager()
+): SharedSystemImport {
+    const input = text.trim();
+    let fields: unknown = null;
+
+    if (input.startsWith('{')) {
+        let parsed: any;
+        try {
+            parsed = JSON.parse(input);
+        } catch (error) {
+            return { system: null, errors: ['The system file is not valid JSON.'] };
+        }
+        if (!parsed || parsed.format !== SHARED_SYSTEM_FORMAT) {
+            return { system: null, errors: ['This JSON is not an exported star system.'] };
+        }
+        if (typeof parsed.version !== 'number' || parsed.version > SHARED_SYSTEM_VERSION) {
+            return { system: null, errors: ['This system was exported by a newer version of the game.'] };
+        }
+        fields = parsed.system;
+    } else {
+        const code = input.includes('#') ? readShareCodeFromHash(input.slice(input.indexOf('#'))) : input;
+        if (!code || !code.startsWith(SHARE_CODE_PREFIX)) {
+            return { system: null, errors: ['Paste a share code, share link or exported system JSON.'] };
+        }
+        fields = decodeShareCode(code);
+        if (!fields) {
+            return { system: null, errors: ['The share code is damaged or incomplete.'] };
+        }
+    }
+
+    const result = validationManager.validateSharedSystem(fields);
+    return { system: result.system, errors: result.errors };
+}
@@ -74,6 +74,38 @@ export class StyleManager {
                     border: 1px solid #3a5472;
                 }
 
+                .library-entry {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px;
+                    background: rgba(0, 0, 0, 0.2);
+                    padding: 8px 10px;
+                    border-radius: 5px;
+                    margin-bottom: 8px;
+                }
+
+                .library-entry-name {
+                    font-weight: bold;
+                }
+
+                .library-entry-details {
+                    flex: 1;
+                    font-size: 12px;
+                    color: #aaa;
+                }
+
+                .library-actions {
+                    display: flex;
+                    gap: 8px;
+                    margin-top: 8px;
+                }
+
+                #system-share-code {
+                    width: 100%;
+                    font-family: monospace;
+                }
+
                 /* Active slider styles */
                 .slider-active {
                     background: #3a5472 !important;
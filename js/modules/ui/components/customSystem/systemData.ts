@@ -14,7 +14,7 @@ type PlanetDefaults = {
     rings: boolean;
 };
 
-type PlanetData = {
+export type PlanetData = {
     name: string;
     textureUrl?: string | null;
     description?: string;
@@ -25,7 +25,13 @@ type PlanetData = {
     rings: boolean;
 };
 
-type SystemData = {
+export type ResourceMultipliers = {
+    iron: number;
+    gold: number;
+    platinum: number;
+};
+
+export type SystemData = {
     id: string;
     name: string;
     starClass: string;
@@ -34,6 +40,8 @@ type SystemData = {
     skyboxUrl: string;
     lightIntensityMultiplier: number;
     planetData: PlanetData[];
+    asteroidDensity?: number;
+    resourceMultipliers?: ResourceMultipliers;
 };
 
 type SystemPreset = {
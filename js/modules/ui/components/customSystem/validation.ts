@@ -1,5 +1,9 @@
 // validation.ts - Form validation, constraints, error handling
 
+import { isProceduralImagePath } from '../../../utils/localContentProvider.ts';
+import { SystemDataManager, type ResourceMultipliers } from './systemData.ts';
+import type { SharedPlanet, SharedSystem } from './shareCode.ts';
+
 type ValidationResult = {
     isValid: boolean;
     message?: string;
@@ -17,6 +21,22 @@ type PlanetDataCollectionResult = {
     errors: string[];
 };
 
+type SharedSystemValidationResult = {
+    isValid: boolean;
+    errors: string[];
+    system: SharedSystem | null;
+};
+
+// Shared designs come from other players and end up in preview markup
+const MARKUP_CHARACTERS = /[<>"'`]/;
+const IMAGE_PATH = /^(https?:\/\/[^\s"'`<>\/]+)?[^\s"'`<>:]*$/;
+const MAX_IMAGE_PATH_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 250;
+
+function isFiniteNumber(value: unknown): value is number {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
 export class ValidationManager {
     isMobile: boolean;
 
@@ -195,6 +215,130 @@ export class ValidationManager {
         }
     }
 
+    /**
+     * Check a system read from a share code or exported JSON file and copy it
+     * into a clean SharedSystem. Range rules are the ones SystemDataManager
+     * applies to systems built with the form.
+     */
+    validateSharedSystem(raw: unknown): SharedSystemValidationResult {
+        if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+            return { isValid: false, errors: ['System data must be an object.'], system: null };
+        }
+
+        const source = raw as Record<string, any>;
+        const errors: string[] = [];
+
+        const checkText = (value: unknown, label: string): string => {
+            if (typeof value !== 'string') {
+                errors.push(`${label} must be text.`);
+                return '';
+            }
+            if (MARKUP_CHARACTERS.test(value)) {
+                errors.push(`${label} cannot contain < > " ' or \` characters.`);
+            }
+            return value.trim();
+        };
+
+        const checkImagePath = (value: unknown, label: string): string | null => {
+            if (value === undefined || value === null || value === '') return null;
+            if (typeof value !== 'string' || value.length > MAX_IMAGE_PATH_LENGTH ||
+                !(IMAGE_PATH.test(value) || isProceduralImagePath(value))) {
+                errors.push(`${label} must be a relative path, http(s) URL or procedural image.`);
+                return null;
+            }
+            return value;
+        };
+
+        const checkFinite = (value: unknown, label: string): number => {
+            if (!isFiniteNumber(value)) {
+                errors.push(`${label} must be a number.`);
+                return 0;
+            }
+            return value;
+        };
+
+        const checkNumber = (value: unknown, label: string, min: number, max: number): number => {
+            if (!isFiniteNumber(value) || value < min || value > max) {
+                errors.push(`${label} must be a number between ${min} and ${max}.`);
+                return min;
+            }
+            return value;
+        };
+
+        const name = checkText(source.name, 'System name');
+        const starClass = checkText(source.starClass, 'Star class');
+
+        let description = '';
+        if (source.description !== undefined) {
+            description = checkText(source.description, 'System description');
+            if (description.length > MAX_DESCRIPTION_LENGTH) {
+                errors.push(`System description must be at most ${MAX_DESCRIPTION_LENGTH} characters long.`);
+            }
+        }
+
+        const skyboxUrl = checkImagePath(source.skyboxUrl, 'Skybox image') || '';
+        const lightIntensityMultiplier = source.lightIntensityMultiplier === undefined
+            ? 0.8
+            : checkNumber(source.lightIntensityMultiplier, 'Light intensity', 0.1, 3);
+
+        const planetData: SharedPlanet[] = [];
+        if (!Array.isArray(source.planetData)) {
+            errors.push('System must have a list of planets.');
+        } else {
+            source.planetData.forEach((planet: unknown, index: number) => {
+                const label = `Planet ${index + 1}`;
+                if (typeof planet !== 'object' || planet === null || Array.isArray(planet)) {
+                    errors.push(`${label} must be an object.`);
+                    return;
+                }
+                const fields = planet as Record<string, any>;
+                planetData.push({
+                    name: checkText(fields.name, `${label} name`),
+                    size: checkFinite(fields.size, `${label} size`),
+                    distance: checkFinite(fields.distance, `${label} distance`),
+                    speed: checkNumber(fields.speed, `${label} orbit speed`, 0.0001, 0.01),
+                    rings: fields.rings === true,
+                    textureUrl: checkImagePath(fields.textureUrl, `${label} texture`)
+                });
+            });
+        }
+
+        const system: SharedSystem = {
+            name,
+            starClass,
+            description: description || `Custom star system with ${planetData.length} planets`,
+            skyboxUrl,
+            lightIntensityMultiplier,
+            planetData
+        };
+
+        if (source.asteroidDensity !== undefined) {
+            system.asteroidDensity = checkNumber(source.asteroidDensity, 'Asteroid density', 0.1, 5);
+        }
+
+        if (source.resourceMultipliers !== undefined) {
+            const multipliers = source.resourceMultipliers || {};
+            const resourceMultipliers = {} as ResourceMultipliers;
+            for (const resource of ['iron', 'gold', 'platinum'] as const) {
+                resourceMultipliers[resource] = checkNumber(multipliers[resource], `${resource} multiplier`, 0, 10);
+            }
+            system.resourceMultipliers = resourceMultipliers;
+        }
+
+        // Name, star class, planet count, size and distance limits
+        const rangeCheck = new SystemDataManager().validateSystemData({
+            ...system,
+            id: '',
+            classification: 'Custom',
+            planetData: planetData.map(planet => ({ ...planet, color: 0 }))
+        });
+        errors.push(...rangeCheck.errors.map(error => `${error}.`));
+
+        return errors.length > 0
+            ? { isValid: false, errors, system: null }
+            : { isValid: true, errors, system };
+    }
+
     validatePlanetCount(planetInputs: HTMLCollectionOf<Element>): ValidationResult {
         if (planetInputs.length === 0) {
             return { isValid: false, message: 'Please add at least one planet to your system.' };
@@ -194,6 +194,7 @@ export class HUDDisplays {
         HUDDisplays.createResourceRow(resourcePanel, 'IRON', 'iron-amount', 'rgba(180, 180, 180, 0.8)');
         HUDDisplays.createResourceRow(resourcePanel, 'GOLD', 'gold-amount', 'rgba(255, 215, 0, 0.8)');
         HUDDisplays.createResourceRow(resourcePanel, 'PLATINUM', 'platinum-amount', 'rgba(229, 228, 226, 0.8)');
+        HUDDisplays.createResourceRow(resourcePanel, 'ALLOYS', 'alloy-amount', 'rgba(205, 127, 50, 0.8)');
         
         // Add capacity meter
         HUDDisplays.createCapacityMeter(resourcePanel);
@@ -204,6 +205,181 @@ export class HUDDisplays {
         return resourcePanel;
     }
 
+    /**
+     * Creates the contract tracker, hidden until a contract is accepted
+     */
+    static createContractPanel(parent: HTMLElement): HTMLDivElement {
+        const contractPanel = document.createElement('div');
+        contractPanel.id = 'contract-panel';
+        contractPanel.className = 'hud-panel';
+        
+        HUDStyles.applyStyles(contractPanel, {
+            position: 'absolute',
+            top: '265px',
+            right: '20px',
+            width: '220px',
+            padding: '10px 15px',
+            backgroundColor: 'rgba(6, 22, 31, 0.7)',
+            backdropFilter: 'blur(5px)',
+            borderRadius: '8px',
+            border: '1px solid rgba(120, 220, 232, 0.3)',
+            boxShadow: '0 0 15px rgba(120, 220, 232, 0.2)',
+            fontSize: '12px',
+            display: 'none'
+        });
+        
+        parent.appendChild(contractPanel);
+        
+        const contractHeader = document.createElement('div');
+        contractHeader.className = 'panel-header';
+        contractHeader.innerHTML = '<span>CONTRACTS</span>';
+        HUDStyles.applyStyles(contractHeader, {
+            fontWeight: '600',
+            fontSize: '12px',
+            textTransform: 'uppercase',
+            letterSpacing: '1px',
+            marginBottom: '8px',
+            paddingBottom: '5px',
+            borderBottom: '1px solid rgba(120, 220, 232, 0.3)'
+        });
+        contractPanel.appendChild(contractHeader);
+        
+        // Rows are filled in by HUDStatusIndicators.updateContracts
+        const contractList = document.createElement('div');
+        contractList.id = 'contract-list';
+        contractPanel.appendChild(contractList);
+        
+        HUDStyles.addCornerElements(contractPanel);
+        
+        return contractPanel;
+    }
+
+    /**
+     * Creates the deployed turret list, hidden while no turrets are deployed
+     */
+    static createTurretPanel(parent: HTMLElement): HTMLDivElement {
+        const turretPanel = document.createElement('div');
+        turretPanel.id = 'turret-panel';
+        turretPanel.className = 'hud-panel';
+        
+        // Sits above the radar
+        HUDStyles.applyStyles(turretPanel, {
+            position: 'absolute',
+            bottom: '190px',
+            left: '20px',
+            width: '200px',
+            padding: '10px 15px',
+            backgroundColor: 'rgba(6, 22, 31, 0.7)',
+            backdropFilter: 'blur(5px)',
+            borderRadius: '8px',
+            border: '1px solid rgba(255, 0, 170, 0.3)',
+            boxShadow: '0 0 15px rgba(255, 0, 170, 0.2)',
+            fontSize: '12px',
+            display: 'none'
+        });
+        
+        parent.appendChild(turretPanel);
+        
+        const turretHeader = document.createElement('div');
+        turretHeader.className = 'panel-header';
+        turretHeader.innerHTML = '<span>TURRETS</span>';
+        HUDStyles.applyStyles(turretHeader, {
+            fontWeight: '600',
+            fontSize: '12px',
+            textTransform: 'uppercase',
+            letterSpacing: '1px',
+            marginBottom: '8px',
+            paddingBottom: '5px',
+            borderBottom: '1px solid rgba(255, 0, 170, 0.3)'
+        });
+        turretPanel.appendChild(turretHeader);
+        
+        // Rows are filled in by HUDStatusIndicators.updateTurrets
+        const turretList = document.createElement('div');
+        turretList.id = 'turret-list';
+        turretPanel.appendChild(turretList);
+        
+        HUDStyles.addCornerElements(turretPanel);
+        
+        return turretPanel;
+    }
+
+    /**
+     * Creates the boss health bar, hidden until a boss engages
+     */
+    static createBossBar(parent: HTMLElement): HTMLDivElement {
+        const bossBar = document.createElement('div');
+        bossBar.id = 'boss-bar';
+        bossBar.className = 'hud-panel';
+
+        HUDStyles.applyStyles(bossBar, {
+            position: 'absolute',
+            top: '20px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            width: '420px',
+            padding: '8px 15px',
+            backgroundColor: 'rgba(31, 6, 10, 0.75)',
+            backdropFilter: 'blur(5px)',
+            borderRadius: '8px',
+            border: '1px solid rgba(255, 80, 80, 0.4)',
+            boxShadow: '0 0 15px rgba(255, 80, 80, 0.25)',
+            fontSize: '12px',
+            display: 'none'
+        });
+
+        parent.appendChild(bossBar);
+
+        const bossHeader = document.createElement('div');
+        bossHeader.className = 'panel-header';
+        HUDStyles.applyStyles(bossHeader, {
+            fontWeight: '600',
+            textTransform: 'uppercase',
+            letterSpacing: '1px',
+            marginBottom: '6px',
+            display: 'flex',
+            justifyContent: 'space-between',
+            color: 'rgba(255, 120, 120, 0.95)'
+        });
+        bossHeader.innerHTML = '<span id="boss-name"></span><span id="boss-phase"></span>';
+        bossBar.appendChild(bossHeader);
+
+        const bossTrack = document.createElement('div');
+        HUDStyles.applyStyles(bossTrack, {
+            height: '10px',
+            backgroundColor: 'rgba(255, 255, 255, 0.1)',
+            borderRadius: '5px',
+            overflow: 'hidden'
+        });
+        bossBar.appendChild(bossTrack);
+
+        const bossFill = document.createElement('div');
+        bossFill.id = 'boss-health-fill';
+        HUDStyles.applyStyles(bossFill, {
+            height: '100%',
+            width: '100%',
+            backgroundColor: 'rgba(255, 60, 60, 0.9)',
+            transition: 'width 0.2s'
+        });
+        bossTrack.appendChild(bossFill);
+
+        // Subsystem rows are filled in by HUDStatusIndicators.updateBossBar
+        const subsystemList = document.createElement('div');
+        subsystemList.id = 'boss-subsystems';
+        HUDStyles.applyStyles(subsystemList, {
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: '4px 12px',
+            marginTop: '6px',
+            fontSize: '11px'
+        });
+        bossBar.appendChild(subsystemList);
+
+        HUDStyles.addCornerElements(bossBar);
+
+        return bossBar;
+    }
+
     /**
      * Creates the fuel gauge component
      */
@@ -381,7 +557,7 @@ export class HUDDisplays {
         
         const capacityValue = document.createElement('div');
         capacityValue.id = 'cargo-capacity';
-        capacityValue.textContent = '0 / 1000';
+        capacityValue.textContent = '0 / 200';
         HUDStyles.applyStyles(capacityValue, {
             fontSize: '12px',
             fontWeight: '600'
@@ -409,6 +585,27 @@ export class HUDDisplays {
             transition: 'width 0.3s ease'
         });
         capacityBarContainer.appendChild(capacityBar);
+        
+        // Loaded mass and the resulting loss of top speed
+        const massRow = document.createElement('div');
+        HUDStyles.applyStyles(massRow, {
+            marginTop: '5px',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            fontSize: '12px'
+        });
+        panel.appendChild(massRow);
+        
+        const massLabel = document.createElement('div');
+        massLabel.textContent = 'MASS';
+        massRow.appendChild(massLabel);
+        
+        const massValue = document.createElement('div');
+        massValue.id = 'cargo-mass';
+        massValue.textContent = '0 t';
+        massValue.style.fontWeight = '600';
+        massRow.appendChild(massValue);
     }
 
     /**
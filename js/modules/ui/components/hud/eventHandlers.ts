@@ -5,10 +5,14 @@ import { HUDStyles } from './styles.ts';
 export class HUDEventHandlers {
     animationFrames: number[];
     glitchInterval: ReturnType<typeof setInterval> | null;
+    scrambleInterval: ReturnType<typeof setInterval> | null;
+    scrambleTimeout: ReturnType<typeof setTimeout> | null;
     scanline: HTMLDivElement | null;
     constructor() {
         this.animationFrames = [];
         this.glitchInterval = null;
+        this.scrambleInterval = null;
+        this.scrambleTimeout = null;
         this.scanline = null;
     }
 
@@ -81,6 +85,36 @@ export class HUDEventHandlers {
         }, 1000);
     }
 
+    /**
+     * Scramble the whole HUD with colour shift and constant glitching
+     * @param duration Seconds until the HUD recovers
+     */
+    scrambleHud(duration: number): void {
+        const hudContainer: HTMLDivElement | null = document.getElementById('hud-container') as HTMLDivElement;
+        if (!hudContainer) return;
+
+        // A new scramble restarts the clock
+        this.clearScramble();
+        hudContainer.style.filter = 'hue-rotate(140deg) blur(1px)';
+        this.addGlitch(hudContainer);
+        this.scrambleInterval = setInterval(() => this.addGlitch(hudContainer), 1000);
+        this.scrambleTimeout = setTimeout(() => {
+            this.clearScramble();
+            hudContainer.style.filter = '';
+        }, duration * 1000);
+    }
+
+    clearScramble(): void {
+        if (this.scrambleInterval) {
+            clearInterval(this.scrambleInterval);
+            this.scrambleInterval = null;
+        }
+        if (this.scrambleTimeout) {
+            clearTimeout(this.scrambleTimeout);
+            this.scrambleTimeout = null;
+        }
+    }
+
     /**
      * Animate the scanline moving down the screen
      */
@@ -185,6 +219,7 @@ export class HUDEventHandlers {
             clearInterval(this.glitchInterval);
             this.glitchInterval = null;
         }
+        this.clearScramble();
         
         // Remove DOM event listeners
         const controls: any = document.getElementById('show-controls');
@@ -1,6 +1,9 @@
 // statusIndicators.js - Various status indicators (shields, weapons, targeting system, etc.)
 
 import { HUDStyles } from './styles.ts';
+import { describeProgress, formatTimeRemaining, type Contract } from '../../../contracts/contractBoard.ts';
+import type { BossStatus } from '../../../boss/dreadnoughtBoss.ts';
+import type { TurretStatus } from '../../../turrets/turretFleet.ts';
 
 export class HUDStatusIndicators {
     static createTargetingSystem(parent: HTMLElement): HTMLDivElement {
@@ -380,4 +383,90 @@ export class HUDStatusIndicators {
             currentSystem.textContent = systemName.toUpperCase();
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Update the contract tracker with progress and time left on each active contract
+     */
+    static updateContracts(contracts: Contract[]): void {
+        const contractPanel: HTMLElement | null = document.getElementById('contract-panel');
+        const contractList: HTMLElement | null = document.getElementById('contract-list');
+        if (!contractPanel || !contractList) return;
+
+        contractPanel.style.display = contracts.length > 0 ? 'block' : 'none';
+        contractList.innerHTML = '';
+
+        contracts.forEach(contract => {
+            const row: HTMLDivElement = document.createElement('div');
+            HUDStyles.applyStyles(row, { marginBottom: '6px' });
+
+            const title: HTMLDivElement = document.createElement('div');
+            title.textContent = contract.title.toUpperCase();
+            HUDStyles.applyStyles(title, { fontWeight: '600', color: 'rgba(120, 220, 232, 0.9)' });
+
+            const status: HTMLDivElement = document.createElement('div');
+            status.textContent = `${describeProgress(contract)} · ${formatTimeRemaining(contract.timeRemaining)}`;
+            HUDStyles.applyStyles(status, {
+                opacity: '0.8',
+                color: contract.timeRemaining < 60 ? 'rgba(255, 80, 80, 0.9)' : 'inherit'
+            });
+
+            row.appendChild(title);
+            row.appendChild(status);
+            contractList.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the deployed turret list with health, energy, kills and distance
+     */
+    static updateTurrets(turrets: TurretStatus[]): void {
+        const turretPanel: HTMLElement | null = document.getElementById('turret-panel');
+        const turretList: HTMLElement | null = document.getElementById('turret-list');
+        if (!turretPanel || !turretList) return;
+
+        turretPanel.style.display = turrets.length > 0 ? 'block' : 'none';
+        turretList.innerHTML = '';
+
+        turrets.forEach(turret => {
+            const row: HTMLDivElement = document.createElement('div');
+            row.textContent = `T${turret.id} · HP ${Math.ceil(turret.health * 100)}% · EN ${Math.floor(turret.energy * 100)}% · ${turret.kills} K · ${Math.round(turret.distance)}m`;
+            HUDStyles.applyStyles(row, {
+                marginBottom: '4px',
+                color: turret.health < 0.3 ? 'rgba(255, 80, 80, 0.9)' : 'inherit'
+            });
+            turretList.appendChild(row);
+        });
+    }
+
+    /**
+     * Update the boss health bar; pass null to hide it
+     */
+    static updateBossBar(status: BossStatus | null): void {
+        const bossBar: HTMLElement | null = document.getElementById('boss-bar');
+        const bossName: HTMLElement | null = document.getElementById('boss-name');
+        const bossPhase: HTMLElement | null = document.getElementById('boss-phase');
+        const bossFill: HTMLElement | null = document.getElementById('boss-health-fill');
+        const subsystemList: HTMLElement | null = document.getElementById('boss-subsystems');
+        if (!bossBar || !bossName || !bossPhase || !bossFill || !subsystemList) return;
+
+        bossBar.style.display = status ? 'block' : 'none';
+        if (!status) return;
+
+        bossName.textContent = status.name.toUpperCase();
+        bossPhase.textContent = status.hullShielded ? `${status.phase} · HULL SHIELDED` : status.phase;
+        bossFill.style.width = `${Math.max(0, Math.min(100, status.health * 100)).toFixed(1)}%`;
+
+        subsystemList.innerHTML = '';
+        status.subsystems.forEach(subsystem => {
+            const item: HTMLSpanElement = document.createElement('span');
+            item.textContent = subsystem.destroyed
+                ? `${subsystem.label.toUpperCase()} ✕`
+                : `${subsystem.label.toUpperCase()} ${Math.ceil(subsystem.health * 100)}%`;
+            HUDStyles.applyStyles(item, {
+                opacity: subsystem.destroyed ? '0.4' : '0.85',
+                textDecoration: subsystem.destroyed ? 'line-through' : 'none'
+            });
+            subsystemList.appendChild(item);
+        });
+    }
+}
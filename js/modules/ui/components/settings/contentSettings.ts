@@ -0,0 +1,120 @@
+// contentSettings.ts - Custom system generation provider settings
+
+import { SettingsStyles } from './styles.ts';
+import {
+    CONTENT_PROVIDER_IDS,
+    CONTENT_PROVIDER_LABELS,
+    readContentConfig
+} from '../../../utils/contentProvider.ts';
+
+type ContentSettingsData = {
+    contentProviders: string[];
+    contentTimeout: number;
+    selfHostedUrl: string;
+};
+
+// Number of fallback slots shown in the settings panel
+const PROVIDER_SLOTS = CONTENT_PROVIDER_IDS.length;
+
+export class ContentSettings {
+    styles: SettingsStyles;
+
+    constructor(styles: SettingsStyles) {
+        this.styles = styles;
+    }
+
+    /**
+     * Creates the content generation settings section HTML
+     */
+    createContentSettingsHTML(): string {
+        const providerOptions = [
+            ...CONTENT_PROVIDER_IDS.map(id => ({ value: id, text: CONTENT_PROVIDER_LABELS[id] })),
+            { value: 'none', text: 'None' }
+        ];
+
+        const providerRows = Array.from({ length: PROVIDER_SLOTS }, (_, i) => this.styles.createSelectRow(
+            i === 0 ? 'Primary Generator' : `Fallback ${i}`,
+            i === 0 ? 'Used first when creating custom systems' : 'Tried if the generators above fail or time out',
+            `content-provider-${i + 1}`,
+            providerOptions
+        )).join('');
+
+        return `
+            <div style="margin-bottom: 20px;">
+                <h3 class="${this.styles.getSectionHeaderStyle()}">CONTENT GENERATION</h3>
+
+                ${providerRows}
+
+                ${this.styles.createSelectRow(
+                    'Generator Timeout',
+                    'How long to wait before trying the next generator',
+                    'content-timeout',
+                    [
+                        { value: '15', text: '15 seconds' },
+                        { value: '30', text: '30 seconds' },
+                        { value: '60', text: '1 minute' },
+                        { value: '120', text: '2 minutes' },
+                        { value: '300', text: '5 minutes' }
+                    ]
+                )}
+
+                ${this.styles.createSettingRow(
+                    'Self-Hosted Server URL',
+                    'Base URL of your own skybox generation server',
+                    `<input type="text" id="self-hosted-url" placeholder="http://localhost:8001" class="${this.styles.getSelectStyle()}">`
+                )}
+            </div>
+        `;
+    }
+
+    /**
+     * Updates content generation UI elements with current settings
+     */
+    updateContentUI(settings: ContentSettingsData): void {
+        for (let i = 0; i < PROVIDER_SLOTS; i++) {
+            const select = document.getElementById(`content-provider-${i + 1}`) as HTMLSelectElement | null;
+            if (select) {
+                select.value = settings.contentProviders[i] || 'none';
+            }
+        }
+
+        const timeoutElement = document.getElementById('content-timeout') as HTMLSelectElement | null;
+        if (timeoutElement) {
+            timeoutElement.value = String(settings.contentTimeout);
+        }
+
+        const urlElement = document.getElementById('self-hosted-url') as HTMLInputElement | null;
+        if (urlElement) {
+            urlElement.value = settings.selfHostedUrl;
+        }
+    }
+
+    /**
+     * Reads content generation settings from UI elements
+     */
+    readContentSettings(): ContentSettingsData {
+        const contentProviders: string[] = [];
+        for (let i = 0; i < PROVIDER_SLOTS; i++) {
+            const select = document.getElementById(`content-provider-${i + 1}`) as HTMLSelectElement | null;
+            if (select && select.value !== 'none') {
+                contentProviders.push(select.value);
+            }
+        }
+
+        const timeoutElement = document.getElementById('content-timeout') as HTMLSelectElement | null;
+        const urlElement = document.getElementById('self-hosted-url') as HTMLInputElement | null;
+
+        // Normalise through the same reader ApiClient uses, so what is saved is what runs
+        const config = readContentConfig({
+            contentProviders,
+            contentTimeout: timeoutElement ? parseInt(timeoutElement.value) : undefined,
+            selfHostedUrl: urlElement ? urlElement.value : ''
+        });
+
+        return {
+            contentProviders: config.order,
+            contentTimeout: config.timeoutSeconds,
+            selfHostedUrl: config.selfHostedUrl
+        };
+    }
+}
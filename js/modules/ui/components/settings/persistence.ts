@@ -1,5 +1,7 @@
 // persistence.js - Settings save/load and localStorage handling
 
+import { createDefaultContentConfig } from '../../../utils/contentProvider.ts';
+
 export class SettingsPersistence {
     storageKey: string;
 
@@ -23,7 +25,11 @@ export class SettingsPersistence {
         autoQuality: boolean;
         godRaysEnabled: boolean;
         godRaysType: string;
+        contentProviders: string[];
+        contentTimeout: number;
+        selfHostedUrl: string;
     } {
+        const content = createDefaultContentConfig();
         return {
             graphicalQuality: 'medium',    // low, medium, high
             postProcessing: true,          // true, false
@@ -36,7 +42,10 @@ export class SettingsPersistence {
             spatialAudio: true,            // Enable spatial audio
             autoQuality: true,             // Automatically adjust quality based on performance
             godRaysEnabled: false,         // Enable/disable volumetric lighting effects
-            godRaysType: 'standard'        // 'standard' (new god rays) or 'claude' (Claude Rays)
+            godRaysType: 'standard',       // 'standard' (new god rays) or 'claude' (Claude Rays)
+            contentProviders: content.order,             // Custom system generators to try, in order
+            contentTimeout: content.timeoutSeconds,      // Seconds before falling back to the next generator
+            selfHostedUrl: content.selfHostedUrl         // Base URL of a self-hosted generation server
         };
     }
 
@@ -56,6 +65,9 @@ export class SettingsPersistence {
         autoQuality: boolean;
         godRaysEnabled: boolean;
         godRaysType: string;
+        contentProviders: string[];
+        contentTimeout: number;
+        selfHostedUrl: string;
     } {
         try {
             const savedSettings: string | null = localStorage.getItem(this.storageKey);
@@ -89,6 +101,35 @@ export class SettingsPersistence {
         }
     }
 
+    /**
+     * Loads saved control profiles (raw; validated by the controls module)
+     */
+    loadControlProfiles(): Record<string, any> | null {
+        try {
+            const saved: string | null = localStorage.getItem(`${this.storageKey}_controls`);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (error: any) {
+            console.error("Error loading control profiles:", error);
+        }
+        return null;
+    }
+
+    /**
+     * Saves control profiles to localStorage
+     */
+    saveControlProfiles(profiles: Record<string, any>): boolean {
+        try {
+            localStorage.setItem(`${this.storageKey}_controls`, JSON.stringify(profiles));
+            console.log("Control profiles saved to localStorage");
+            return true;
+        } catch (error: any) {
+            console.error("Error saving control profiles:", error);
+            return false;
+        }
+    }
+
     /**
      * Validates settings object to ensure all required properties exist
      */
@@ -1,5 +1,6 @@
 import { GraphicsSettings } from './graphicsSettings.ts';
 import { AudioSettings } from './audioSettings.ts';
+import { ContentSettings } from './contentSettings.ts';
 import { SettingsHelpers } from './helpers.ts';
 import { SettingsPersistence } from './persistence.ts'; // Assuming this will be needed
 import { SettingsStyles } from './styles.ts';
@@ -8,6 +9,7 @@ export class SettingsView {
     styles: SettingsStyles;
     graphicsSettings: GraphicsSettings;
     audioSettings: AudioSettings;
+    contentSettings: ContentSettings;
     helpers: SettingsHelpers;
     persistence: SettingsPersistence;
     private _isVisible: boolean = false; // Internal state for visibility
@@ -16,12 +18,14 @@ export class SettingsView {
         styles: SettingsStyles,
         graphicsSettings: GraphicsSettings,
         audioSettings: AudioSettings,
+        contentSettings: ContentSettings,
         helpers: SettingsHelpers,
         persistence: SettingsPersistence
     ) {
         this.styles = styles;
         this.graphicsSettings = graphicsSettings;
         this.audioSettings = audioSettings;
+        this.contentSettings = contentSettings;
         this.helpers = helpers;
         this.persistence = persistence;
     }
@@ -97,6 +101,8 @@ export class SettingsView {
             
             ${this.audioSettings.createAudioSettingsHTML()}
             
+            ${this.contentSettings.createContentSettingsHTML()}
+            
             ${this.createPresetsHTML()}
             
             ${this.createActionButtonsHTML()}
@@ -0,0 +1,118 @@
+// contractsView.ts - Contract board listing in the stargate UI
+
+import { describeProgress, formatTimeRemaining, type Contract } from '../../../contracts/contractBoard.ts';
+
+interface ContractSource {
+    getOffers(): Contract[];
+    getActive(): Contract[];
+    accept(contractId: string): Contract | null;
+    abandon(contractId: string): boolean;
+}
+
+export class ContractsView {
+    private updateCallback: (() => void) | null;
+
+    constructor() {
+        this.updateCallback = null;
+    }
+
+    /**
+     * Called after a contract is accepted or abandoned, to refresh credits and the board
+     */
+    setUpdateCallback(callback: () => void): void {
+        this.updateCallback = callback;
+    }
+
+    private getContractManager(): ContractSource | null {
+        const game = window.game as any;
+        return game && game.contractManager ? game.contractManager : null;
+    }
+
+    /**
+     * Rebuild the offered and active contract lists
+     */
+    render(): void {
+        const manager = this.getContractManager();
+        const offersList = document.getElementById('contract-offers');
+        const activeList = document.getElementById('contract-active');
+        if (!manager || !offersList || !activeList) return;
+
+        offersList.innerHTML = '';
+        activeList.innerHTML = '';
+
+        const offers = manager.getOffers();
+        offers.forEach(contract => {
+            offersList.appendChild(this.createCard(contract, 'ACCEPT', 'btn-contract-accept', () => {
+                manager.accept(contract.id);
+                this.refresh();
+            }));
+        });
+
+        const active = manager.getActive();
+        active.forEach(contract => {
+            activeList.appendChild(this.createCard(contract, 'ABANDON', 'btn-contract-abandon', () => {
+                manager.abandon(contract.id);
+                this.refresh();
+            }));
+        });
+
+        if (active.length === 0) {
+            activeList.appendChild(this.createEmptyMessage('No active contracts'));
+        }
+    }
+
+    private refresh(): void {
+        if (this.updateCallback) {
+            this.updateCallback();
+        } else {
+            this.render();
+        }
+    }
+
+    private createCard(contract: Contract, buttonLabel: string, buttonClass: string, onClick: () => void): HTMLDivElement {
+        const card = document.createElement('div');
+        card.className = 'contract-card';
+
+        const title = document.createElement('div');
+        title.className = 'contract-card-title';
+        title.textContent = contract.title.toUpperCase();
+        card.appendChild(title);
+
+        const details = document.createElement('div');
+        details.className = 'contract-card-details';
+        details.textContent = contract.status === 'active'
+            ? `${describeProgress(contract)} - ${formatTimeRemaining(contract.timeRemaining)} left`
+            : `${contract.description} Time limit ${formatTimeRemaining(contract.timeLimit)}.`;
+        card.appendChild(details);
+
+        const terms = document.createElement('div');
+        terms.className = 'contract-card-terms';
+
+        const reward = document.createElement('span');
+        reward.className = 'contract-reward';
+        reward.textContent = `+${contract.reward} CR`;
+        terms.appendChild(reward);
+
+        const penalty = document.createElement('span');
+        penalty.className = 'contract-penalty';
+        penalty.textContent = `Failure -${contract.penalty} CR`;
+        terms.appendChild(penalty);
+
+        card.appendChild(terms);
+
+        const button = document.createElement('button');
+        button.className = `action-btn ${buttonClass}`;
+        button.textContent = buttonLabel;
+        button.addEventListener('click', onClick);
+        card.appendChild(button);
+
+        return card;
+    }
+
+    private createEmptyMessage(message: string): HTMLDivElement {
+        const empty = document.createElement('div');
+        empty.className = 'contract-card-details';
+        empty.textContent = message;
+        return empty;
+    }
+}
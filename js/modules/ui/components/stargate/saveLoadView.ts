@@ -0,0 +1,252 @@
+// saveLoadView.ts - Save slot management modal (save, load, delete, export/import, replays)
+
+interface SaveSlotInfo {
+    slotId: string;
+    name: string;
+    savedAt: number;
+    credits: number;
+    systemName: string | null;
+    isAutosave: boolean;
+}
+
+interface SaveManager {
+    saveToSlot(name: string): string | null;
+    loadSlot(slotId: string): boolean;
+    deleteSlot(slotId: string): boolean;
+    listSlots(): SaveSlotInfo[];
+    exportSlot(slotId: string): boolean;
+    importFile(file: File): Promise<string | null>;
+}
+
+interface ReplayManager {
+    isRecording(): boolean;
+    startRecording(name?: string): boolean;
+    toggleRecording(): void;
+    importFile(file: File): Promise<boolean>;
+}
+
+export class SaveLoadView {
+    private showStargateUICallback: (() => void) | null;
+    private hideStargateUICallback: (() => void) | null;
+    private modal: HTMLDivElement | null;
+
+    constructor() {
+        this.showStargateUICallback = null;
+        this.hideStargateUICallback = null;
+        this.modal = null;
+    }
+
+    setCallbacks(showStargateUI: () => void, hideStargateUI: () => void): void {
+        this.showStargateUICallback = showStargateUI;
+        this.hideStargateUICallback = hideStargateUI;
+    }
+
+    setupSaveLoadButton(): void {
+        const saveLoadButton = document.getElementById('open-save-load');
+        if (saveLoadButton) {
+            saveLoadButton.addEventListener('click', () => this.show());
+        }
+    }
+
+    private getSaveManager(): SaveManager | null {
+        return (window.game && (window.game as any).saveManager) || null;
+    }
+
+    private getReplayManager(): ReplayManager | null {
+        return (window.game && (window.game as any).replayManager) || null;
+    }
+
+    show(): void {
+        if (!this.getSaveManager()) {
+            console.error("Save manager not available");
+            return;
+        }
+
+        if (this.hideStargateUICallback) {
+            this.hideStargateUICallback();
+        }
+
+        if (!this.modal) {
+            this.modal = this.createModal();
+            document.body.appendChild(this.modal);
+        }
+
+        this.modal.style.display = 'flex';
+        this.setStatus('');
+        this.renderSlots();
+        this.updateReplayButton();
+    }
+
+    hide(): void {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+
+        if (this.showStargateUICallback) {
+            this.showStargateUICallback();
+        }
+    }
+
+    private createModal(): HTMLDivElement {
+        const modal = document.createElement('div');
+        modal.id = 'save-load-modal';
+        modal.innerHTML = `
+            <div id="save-load-content">
+                <div class="save-load-title">SHIP LOG ARCHIVE</div>
+                <div class="save-load-new">
+                    <input id="save-name-input" type="text" maxlength="32" placeholder="Save name">
+                    <button id="save-new-btn" class="save-load-btn save-load-btn-primary">SAVE</button>
+                </div>
+                <div id="save-slot-list"></div>
+                <div id="save-load-status"></div>
+                <div class="save-load-footer">
+                    <button id="save-import-btn" class="save-load-btn">IMPORT FILE</button>
+                    <input id="save-import-input" type="file" accept=".json,application/json" style="display: none;">
+                    <button id="replay-record-btn" class="save-load-btn">RECORD REPLAY</button>
+                    <button id="replay-play-btn" class="save-load-btn">PLAY REPLAY</button>
+                    <input id="replay-import-input" type="file" accept=".json,application/json" style="display: none;">
+                    <button id="save-load-close" class="save-load-btn">CLOSE</button>
+                </div>
+            </div>
+        `;
+
+        const nameInput = modal.querySelector('#save-name-input') as HTMLInputElement;
+        const importInput = modal.querySelector('#save-import-input') as HTMLInputElement;
+        const replayInput = modal.querySelector('#replay-import-input') as HTMLInputElement;
+
+        modal.querySelector('#save-new-btn')!.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.setStatus('Enter a name for the save.', true);
+                return;
+            }
+            const slotId = this.getSaveManager()?.saveToSlot(name);
+            if (slotId) {
+                nameInput.value = '';
+                this.setStatus(`Saved "${name}".`);
+                this.renderSlots();
+            } else {
+                this.setStatus('Save failed. Storage may be full.', true);
+            }
+        });
+
+        modal.querySelector('#save-import-btn')!.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files && importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+
+            const slotId = await this.getSaveManager()?.importFile(file);
+            if (slotId) {
+                this.setStatus(`Imported ${file.name}.`);
+                this.renderSlots();
+            } else {
+                this.setStatus('That file is not a valid save.', true);
+            }
+        });
+
+        modal.querySelector('#replay-record-btn')!.addEventListener('click', () => {
+            const replayManager = this.getReplayManager();
+            if (!replayManager) return;
+
+            if (replayManager.isRecording()) {
+                replayManager.toggleRecording();
+                this.setStatus('Recording saved to file.');
+            } else if (replayManager.startRecording(nameInput.value.trim() || undefined)) {
+                this.setStatus('Recording. Undock to play; press F6 to stop and export.');
+            } else {
+                this.setStatus('Could not start recording.', true);
+            }
+            this.updateReplayButton();
+        });
+
+        modal.querySelector('#replay-play-btn')!.addEventListener('click', () => replayInput.click());
+        replayInput.addEventListener('change', async () => {
+            const file = replayInput.files && replayInput.files[0];
+            replayInput.value = '';
+            if (!file) return;
+
+            if (await this.getReplayManager()?.importFile(file)) {
+                this.hide();
+            } else {
+                this.setStatus('That file is not a valid replay.', true);
+            }
+        });
+
+        modal.querySelector('#save-load-close')!.addEventListener('click', () => this.hide());
+
+        return modal;
+    }
+
+    private renderSlots(): void {
+        const list = this.modal?.querySelector('#save-slot-list') as HTMLDivElement | null;
+        const saveManager = this.getSaveManager();
+        if (!list || !saveManager) return;
+
+        const slots = saveManager.listSlots();
+        list.innerHTML = '';
+
+        if (slots.length === 0) {
+            list.innerHTML = '<div class="save-slot-empty">No saved games yet.</div>';
+            return;
+        }
+
+        slots.forEach(slot => {
+            const row = document.createElement('div');
+            row.className = 'save-slot-row' + (slot.isAutosave ? ' save-slot-autosave' : '');
+
+            const info = document.createElement('div');
+            info.className = 'save-slot-info';
+            const title = document.createElement('div');
+            title.className = 'save-slot-name';
+            title.textContent = slot.isAutosave ? `${slot.name} (auto)` : slot.name;
+            const details = document.createElement('div');
+            details.className = 'save-slot-details';
+            details.textContent = `${new Date(slot.savedAt).toLocaleString()} · ${slot.credits} CR` +
+                (slot.systemName ? ` · ${slot.systemName}` : '');
+            info.appendChild(title);
+            info.appendChild(details);
+            row.appendChild(info);
+
+            row.appendChild(this.createSlotButton('LOAD', 'save-load-btn-primary', () => {
+                if (saveManager.loadSlot(slot.slotId)) {
+                    this.setStatus(`Loaded "${slot.name}".`);
+                } else {
+                    this.setStatus('Load failed. The save may be corrupted.', true);
+                }
+            }));
+            row.appendChild(this.createSlotButton('EXPORT', '', () => {
+                saveManager.exportSlot(slot.slotId);
+            }));
+            row.appendChild(this.createSlotButton('DELETE', 'save-load-btn-danger', () => {
+                saveManager.deleteSlot(slot.slotId);
+                this.renderSlots();
+            }));
+
+            list.appendChild(row);
+        });
+    }
+
+    private updateReplayButton(): void {
+        const button = this.modal?.querySelector('#replay-record-btn') as HTMLButtonElement | null;
+        if (button) {
+            button.textContent = this.getReplayManager()?.isRecording() ? 'STOP & EXPORT' : 'RECORD REPLAY';
+        }
+    }
+
+    private createSlotButton(label: string, extraClass: string, onClick: () => void): HTMLButtonElement {
+        const button = document.createElement('button');
+        button.className = `save-load-btn ${extraClass}`.trim();
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    private setStatus(message: string, isError = false): void {
+        const status = this.modal?.querySelector('#save-load-status') as HTMLDivElement | null;
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('save-load-status-error', isError);
+        }
+    }
+}
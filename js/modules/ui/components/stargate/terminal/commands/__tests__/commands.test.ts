@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { CommandRegistry } from '../registry'
+import { CommandParser } from '../parser'
+import { CommandHandlers } from '../handlers'
+import { TerminalStore } from '../terminalStore'
+
+function memoryStorage(initial: unknown = null) {
+  let stored = initial
+  return {
+    load: () => stored,
+    save: (data: unknown) => {
+      stored = JSON.parse(JSON.stringify(data))
+      return true
+    },
+    get stored() {
+      return stored
+    },
+  }
+}
+
+function setup(storage = memoryStorage()) {
+  const registry = new CommandRegistry()
+  const store = new TerminalStore(storage)
+  const parser = new CommandParser(registry, store)
+  const handlers = new CommandHandlers({ hide: () => {} }, registry, store, parser)
+  return { registry, store, parser, handlers }
+}
+
+describe('Terminal Commands', () => {
+  let now: number
+
+  beforeEach(() => {
+    // Step past the rate limit between entered lines
+    now = 0
+    vi.spyOn(Date, 'now').mockImplementation(() => (now += 1000))
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should validate arguments against the command schema', async () => {
+    const { registry, handlers } = setup()
+    registry.register({
+      name: 'jump',
+      aliases: ['j'],
+      summary: 'Jump to a system',
+      args: [
+        { name: 'system', required: true, choices: ['solar', 'alpha'] },
+        { name: 'count', type: 'number' },
+      ],
+      run: (args) => ({ success: true, message: `jumped ${args.join(' ')}` }),
+    })
+
+    expect(await handlers.executeLine('j alpha 2')).toEqual([{ success: true, message: 'jumped alpha 2' }])
+
+    const [missing, invalid, notNumber] = [
+      ...(await handlers.executeLine('jump')),
+      ...(await handlers.executeLine('jump vega')),
+      ...(await handlers.executeLine('jump solar many')),
+    ]
+    expect(missing.message).toBe('Missing system. Usage: jump <system> [count]')
+    expect(invalid.message).toContain('Expected one of: solar, alpha')
+    expect(notNumber.message).toContain('count must be a number')
+  })
+
+  it('should run chained commands and saved macros in order', async () => {
+    const { registry, store, handlers } = setup()
+    const ran: string[] = []
+    for (const name of ['refuel', 'repair']) {
+      registry.register({ name, summary: name, run: () => (ran.push(name), { success: true }) })
+    }
+
+    await handlers.executeLine('refuel; repair')
+    expect(ran).toEqual(['refuel', 'repair'])
+
+    const [saved] = await handlers.executeLine('macro set dock "refuel; repair; refuel"')
+    expect(saved.success).toBe(true)
+    expect(store.getMacro('dock')).toBe('refuel; repair; refuel')
+
+    ran.length = 0
+    expect(await handlers.executeLine('dock')).toHaveLength(3)
+    expect(ran).toEqual(['refuel', 'repair', 'refuel'])
+
+    const [shadow] = await handlers.executeLine('macro set help "refuel"')
+    expect(shadow.success).toBe(false)
+  })
+
+  it('should print machine-readable output with --json', async () => {
+    const { registry, handlers } = setup()
+    registry.register({
+      name: 'cargo',
+      summary: 'Cargo hold',
+      run: () => ({ success: true, message: 'All good', data: { fuel: 80 } }),
+    })
+
+    expect((await handlers.executeLine('cargo'))[0].message).toBe('All good')
+    expect(JSON.parse((await handlers.executeLine('cargo --json'))[0].message!)).toEqual({ fuel: 80 })
+    expect((await handlers.executeLine('clear --json'))[0].success).toBe(false)
+  })
+
+  it('should complete commands, arguments and chained commands', () => {
+    const { parser, store } = setup()
+    store.setMacro('dock', 'sell all; refuel')
+
+    expect(parser.completeInput('re')).toEqual(['refine', 'refuel', 'repair'])
+    expect(parser.completeInput('do')).toEqual(['dock'])
+    expect(parser.completeInput('weapons mount missiles l')).toEqual(['weapons mount missiles left'])
+    expect(parser.completeInput('sell all; repair s')).toEqual(['sell all; repair shield'])
+    expect(parser.completeInput('sell ')).toEqual([
+      'sell iron', 'sell gold', 'sell platinum', 'sell steel', 'sell electrum', 'sell superalloy', 'sell all',
+    ])
+  })
+
+  it('should keep history across sessions and search it in reverse', () => {
+    const storage = memoryStorage()
+    const first = setup(storage)
+    first.parser.parseLine('sell all')
+    first.parser.parseLine('refuel')
+    first.parser.parseLine('sell iron; repair')
+
+    const { parser } = setup(memoryStorage(storage.stored))
+    expect(parser.getCommandHistory()).toEqual(['sell all', 'refuel', 'sell iron; repair'])
+    expect(parser.getPreviousCommand()).toBe('sell iron; repair')
+
+    const newest = parser.searchHistory('sell')
+    expect(newest).toEqual({ command: 'sell iron; repair', index: 2 })
+    expect(parser.searchHistory('sell', newest!.index)).toEqual({ command: 'sell all', index: 0 })
+    expect(parser.searchHistory('warp')).toBeNull()
+  })
+})
@@ -1,130 +1,337 @@
 // handlers.ts - Command execution and action handling
 
-interface ParsedCommand {
-    command: string;
-    args: string[];
-    original: string;
-    raw: string;
-}
-
-interface CommandResult {
-    success: boolean;
-    message?: string;
-    clearScreen?: boolean;
-    action?: string;
-    target?: string;
-}
+import { COMMODITIES, TREND_SYMBOLS, renderSparkline, type Commodity, type MarketModel, type MarketSystemInfo } from '../../../../../market/marketModel.ts';
+import { MAX_ACTIVE_CONTRACTS, describeProgress, formatTimeRemaining, type Contract } from '../../../../../contracts/contractBoard.ts';
+import {
+    ALLOYS,
+    ALLOY_PRICES,
+    CARGO_ITEMS,
+    REFINING_RECIPES,
+    getCargoAmount,
+    getCargoMass,
+    getCargoVolume,
+    getTopSpeedFactor,
+    isAlloy,
+    refineOre,
+    type Alloy
+} from '../../../../../cargo/cargoHold.ts';
+import { HARDPOINTS, WEAPONS, WEAPON_IDS, type Hardpoint, type WeaponId, type WeaponLoadoutState } from '../../../../../weapons/weaponLoadout.ts';
+import {
+    MAX_TURRET_UPGRADE_LEVEL,
+    PRIORITY_LABELS,
+    TURRET_PRIORITIES,
+    TURRET_UPGRADES,
+    isTurretPriority,
+    isTurretUpgrade,
+    type TurretFleet
+} from '../../../../../turrets/turretFleet.ts';
+import { commandRegistry, type CommandRegistry, type CommandResult, type ParsedCommand } from './registry.ts';
+import { CommandParser } from './parser.ts';
+import { TerminalStore } from './terminalStore.ts';
 
 interface TerminalView {
     hide(): void;
 }
 
+// Stargate service prices (match the service buttons in the docking UI)
+const REFUEL_COST = 100;
+const SHIELD_REPAIR_COST = 150;
+const HULL_REPAIR_COST = 200;
+
+const ORB_VALUES: Record<string, number> = {
+    common: 100,
+    uncommon: 500,
+    rare: 1500,
+    epic: 5000,
+    legendary: 15000
+};
+
+// Macros may run other macros up to this depth
+const MAX_MACRO_DEPTH = 5;
+
+const NOT_DOCKED: CommandResult = { success: false, message: 'Dock with the stargate to use station services.' };
+
 export class CommandHandlers {
     private stargate: TerminalView;
+    private registry: CommandRegistry;
+    private store: TerminalStore;
+    private parser: CommandParser;
     private lastCommandTime: number;
     private commandCooldown: number;
-
-    constructor(stargateInterface: TerminalView) {
+    
+    constructor(
+        stargateInterface: TerminalView,
+        registry: CommandRegistry = commandRegistry,
+        store: TerminalStore = new TerminalStore(),
+        parser: CommandParser = new CommandParser(registry, store)
+    ) {
         this.stargate = stargateInterface;
+        this.registry = registry;
+        this.store = store;
+        this.parser = parser;
         this.lastCommandTime = 0;
-        this.commandCooldown = 100; // ms between commands
+        this.commandCooldown = 100; // ms between entered lines
+        this.registerBuiltins();
     }
     
-    async executeCommand(parsedCommand: ParsedCommand): Promise<CommandResult> {
+    registerBuiltins(): void {
+        const registry = this.registry;
+        
+        registry.register({
+            name: 'help',
+            aliases: ['h', '?'],
+            summary: 'Show all commands or help for one command',
+            args: [{ name: 'command' }],
+            run: (args) => this.handleHelp(args)
+        });
+        registry.register({
+            name: 'list',
+            aliases: ['ls', 'dir'],
+            summary: 'Show available services and features',
+            run: () => this.handleList()
+        });
+        registry.register({
+            name: 'clear',
+            aliases: ['cls', 'clr'],
+            summary: 'Clear terminal display',
+            run: () => this.handleClear()
+        });
+        registry.register({
+            name: 'undock',
+            aliases: ['quit', 'q', 'exit'],
+            summary: 'Leave stargate terminal',
+            run: () => this.handleUndock()
+        });
+        registry.register({
+            name: 'info',
+            aliases: ['status', 'stat'],
+            summary: 'Display ship or system information',
+            args: [{ name: 'target', choices: ['ship', 'system'] }],
+            help: 'Add --json for machine-readable output.',
+            run: (args) => this.handleInfo(args)
+        });
+        registry.register({
+            name: 'market',
+            summary: 'Show market prices',
+            args: [{ name: 'category', choices: ['all', 'resources', 'orbs'] }],
+            help: `• market - Show resource prices in this system
+• market orbs - Show energy orb values
+• sell <resource|all> - Sell cargo at market price
+Add --json for machine-readable output.`,
+            run: (args) => this.handleMarket(args)
+        });
+        registry.register({
+            name: 'sell',
+            summary: 'Sell cargo at the current market price',
+            args: [{ name: 'resource', required: true, choices: [...COMMODITIES, ...ALLOYS, 'all'] }],
+            help: 'Ore sells at the local market price, alloys at a fixed price.',
+            run: (args) => this.handleSell(args)
+        });
+        registry.register({
+            name: 'cargo',
+            aliases: ['hold'],
+            summary: 'Show cargo hold load and mass',
+            help: 'Add --json for machine-readable output.',
+            run: () => this.handleCargo()
+        });
+        registry.register({
+            name: 'refine',
+            summary: 'Refine ore into alloys',
+            args: [
+                { name: 'alloy', required: true, choices: [...ALLOYS, 'all'] },
+                { name: 'amount', type: 'number' }
+            ],
+            help: `${ALLOYS.map(alloy => `• refine ${alloy} - ${this.describeRecipe(alloy)} (sells for ${ALLOY_PRICES[alloy]} CR)`).join('\n')}
+• refine all - Refine as much ore as possible, most valuable alloy first`,
+            run: (args) => this.handleRefine(args)
+        });
+        registry.register({
+            name: 'purchase',
+            aliases: ['buy'],
+            summary: 'Buy station services',
+            args: [{ name: 'item', required: true, choices: ['fuel', 'shield', 'hull'] }],
+            help: `• purchase fuel - Refuel ship (${REFUEL_COST} CR)
+• purchase shield - Repair shields (${SHIELD_REPAIR_COST} CR)
+• purchase hull - Repair hull (${HULL_REPAIR_COST} CR)`,
+            run: (args) => this.handlePurchase(args)
+        });
+        registry.register({
+            name: 'enhance',
+            aliases: ['upgrade'],
+            summary: 'Upgrade ship systems',
+            args: [{ name: 'system', required: true, choices: ['fuel', 'engine', 'mining', 'hull', 'scanner', 'cargo'] }],
+            help: `• enhance fuel - Upgrade fuel tank capacity
+• enhance engine - Improve ship speed
+• enhance mining - Increase mining efficiency
+• enhance hull - Strengthen ship structure
+• enhance scanner - Extend detection range
+• enhance cargo - Enlarge the cargo hold`,
+            run: (args) => this.handleEnhance(args)
+        });
+        registry.register({
+            name: 'weapons',
+            aliases: ['loadout'],
+            summary: 'View, buy and mount weapons',
+            args: [
+                { name: 'action', choices: ['list', 'buy', 'mount', 'restock'] },
+                { name: 'weapon', choices: WEAPON_IDS },
+                { name: 'hardpoint', choices: HARDPOINTS }
+            ],
+            help: `• weapons - Show the loadout and weapons for sale
+• weapons buy <weapon> - Buy a weapon and mount it on the unselected hardpoint
+• weapons mount <weapon> <left|right> - Mount an owned weapon
+• weapons restock <weapon> - Refill ammunition
+Add --json for machine-readable output.`,
+            run: (args) => this.handleWeapons(args)
+        });
+        registry.register({
+            name: 'turrets',
+            aliases: ['fleet'],
+            summary: 'Manage laser turrets',
+            args: [
+                { name: 'action', choices: ['list', 'orders', 'upgrade'] },
+                { name: 'option', choices: [...TURRET_PRIORITIES, ...TURRET_UPGRADES] }
+            ],
+            help: `• turrets - Show carried and deployed turrets
+• turrets orders <${TURRET_PRIORITIES.join('|')}> - Set the targeting priority
+• turrets upgrade <${TURRET_UPGRADES.join('|')}> - Upgrade every turret
+Add --json for machine-readable output.`,
+            run: (args) => this.handleTurrets(args)
+        });
+        registry.register({
+            name: 'refuel',
+            summary: `Refill fuel tanks (${REFUEL_COST} CR)`,
+            run: () => this.handleRefuel()
+        });
+        registry.register({
+            name: 'repair',
+            summary: 'Repair shields and hull',
+            args: [{ name: 'system', choices: ['all', 'shield', 'hull'] }],
+            run: (args) => this.handleRepair(args)
+        });
+        registry.register({
+            name: 'scan',
+            summary: 'Perform system scan',
+            run: () => this.handleScan()
+        });
+        registry.register({
+            name: 'contracts',
+            aliases: ['contract', 'jobs'],
+            summary: 'View and manage contracts',
+            args: [
+                { name: 'action', choices: ['list', 'accept', 'abandon'] },
+                { name: 'number', type: 'number' }
+            ],
+            help: 'Add --json for machine-readable output.',
+            run: (args) => this.handleContracts(args)
+        });
+        registry.register({
+            name: 'macro',
+            summary: 'Save a command chain under a name',
+            args: [
+                { name: 'action', choices: ['list', 'set', 'delete'] },
+                { name: 'name' },
+                { name: 'commands', rest: true }
+            ],
+            help: `• macro set dock "sell all; refuel; repair all" - Define a macro (quote the chain)
+• dock - Run the macro
+• macro delete dock - Remove it
+• macro - List macros`,
+            run: (args) => this.handleMacro(args)
+        });
+        registry.register({
+            name: 'starmap',
+            summary: 'Open navigation interface',
+            run: () => this.handleStarmap()
+        });
+        registry.register({
+            name: 'blackjack',
+            summary: 'Access gaming interface',
+            run: () => this.handleBlackjack()
+        });
+        registry.register({
+            name: 'settings',
+            summary: 'Configure terminal preferences',
+            run: () => this.handleSettings()
+        });
+        registry.register({
+            name: 'horde',
+            summary: 'Start horde mode',
+            run: () => this.handleHorde()
+        });
+    }
+    
+    /**
+     * Run an entered line: chained commands run in order, even if one fails
+     * @returns One result per command that ran
+     */
+    async executeLine(input: string): Promise<CommandResult[]> {
         const now = Date.now();
         if (now - this.lastCommandTime < this.commandCooldown) {
-            return { success: false, message: 'Command rate limit exceeded' };
+            return [{ success: false, message: 'Command rate limit exceeded' }];
         }
         this.lastCommandTime = now;
         
-        const { command, args } = parsedCommand;
+        return this.runChain(this.parser.parseLine(input), 0);
+    }
+    
+    async executeCommand(parsedCommand: ParsedCommand): Promise<CommandResult> {
+        const { command, args, flags } = parsedCommand;
+        
+        const definition = this.registry.get(command);
+        if (!definition) {
+            return {
+                success: false,
+                message: `Unknown command: ${command}. Type 'help' for available commands.`
+            };
+        }
+        
+        const error = this.registry.validate(definition, args);
+        if (error) {
+            return { success: false, message: error };
+        }
         
         try {
-            switch (command) {
-                case 'help':
-                    return this.handleHelp(args);
-                case 'list':
-                    return this.handleList();
-                case 'clear':
-                    return this.handleClear();
-                case 'quit':
-                case 'undock':
-                    return this.handleUndock();
-                case 'info':
-                    return this.handleInfo(args);
-                case 'purchase':
-                    return this.handlePurchase(args);
-                case 'market':
-                    return this.handleMarket(args);
-                case 'enhance':
-                    return this.handleEnhance(args);
-                case 'refuel':
-                    return this.handleRefuel();
-                case 'repair':
-                    return this.handleRepair(args);
-                case 'scan':
-                    return this.handleScan();
-                case 'starmap':
-                    return this.handleStarmap();
-                case 'blackjack':
-                    return this.handleBlackjack();
-                case 'settings':
-                    return this.handleSettings();
-                case 'horde':
-                    return this.handleHorde();
-                default:
-                    return { 
-                        success: false, 
-                        message: `Unknown command: ${command}. Type 'help' for available commands.` 
-                    };
+            const result = await definition.run(args, parsedCommand);
+            if (!flags.includes('json')) {
+                return result;
+            }
+            if (result.data === undefined) {
+                return { success: false, message: `${definition.name} has no machine-readable output.` };
             }
+            return { ...result, message: JSON.stringify(result.data, null, 2) };
         } catch (error) {
             console.error('Command execution error:', error);
-            return { 
-                success: false, 
-                message: 'Command execution failed. Please try again.' 
+            return {
+                success: false,
+                message: 'Command execution failed. Please try again.'
             };
         }
     }
     
-    handleHelp(args: string[]): CommandResult {
-        const helpTopics: Record<string, string> = {
-            general: `Available Commands:
-• help [topic] - Show this help or specific topic help
-• list - Show available services and features  
-• info [system] - Display ship or system information
-• market [item] - Access trading interface
-• purchase <item> - Buy upgrades or services
-• enhance <system> - Upgrade ship systems
-• refuel - Refill fuel tanks
-• repair [system] - Repair ship systems
-• scan - Perform system scan
-• starmap - Open navigation interface
-• blackjack - Access gaming interface
-• settings - Configure terminal preferences
-• undock - Leave stargate terminal
-• clear - Clear terminal display`,
-            
-            market: `Market Commands:
-• market - Show all available items
-• market resources - Show resource prices
-• market orbs - Show energy orb values
-• purchase fuel - Refuel ship (100 CR)
-• purchase shield - Repair shields (150 CR)
-• purchase hull - Repair hull (200 CR)`,
-            
-            upgrade: `Upgrade Commands:
-• enhance fuel - Upgrade fuel tank capacity
-• enhance engine - Improve ship speed
-• enhance mining - Increase mining efficiency
-• enhance hull - Strengthen ship structure
-• enhance scanner - Extend detection range`
-        };
+    private async runChain(commands: ParsedCommand[], depth: number): Promise<CommandResult[]> {
+        const results: CommandResult[] = [];
         
-        const topic = args[0] || 'general';
-        const helpText = helpTopics[topic] || helpTopics.general;
+        for (const parsed of commands) {
+            const macro = this.registry.has(parsed.command) ? null : this.store.getMacro(parsed.command);
+            if (macro === null) {
+                results.push(await this.executeCommand(parsed));
+                continue;
+            }
+            
+            if (depth >= MAX_MACRO_DEPTH) {
+                results.push({ success: false, message: `Macro ${parsed.command} nests too deeply.` });
+                continue;
+            }
+            const expanded = this.parser.splitChain(macro).map(part => this.parser.parseCommand(part));
+            results.push(...await this.runChain(expanded, depth + 1));
+        }
         
-        return { success: true, message: helpText };
+        return results;
+    }
+    
+    handleHelp(args: string[]): CommandResult {
+        return { success: true, message: this.registry.formatHelp(args[0]) };
     }
     
     handleList(): CommandResult {
@@ -137,9 +344,10 @@ export class CommandHandlers {
 • Navigation & Mapping
 • Entertainment (Stellar Blackjack)
 • System Configuration
+• Contract Board
 • Challenge Modes
 
-Type 'help [service]' for detailed information.`
+Type 'help [command]' for detailed information.`
         };
     }
     
@@ -151,62 +359,358 @@ Type 'help [service]' for detailed information.`
         if (this.stargate && typeof (this.stargate as any).hide === 'function') {
             this.stargate.hide();
         }
-        return { 
-            success: true, 
+        return {
+            success: true,
             message: 'Undocking from stargate terminal...',
             action: 'undock'
         };
     }
     
     handleInfo(args: string[]): CommandResult {
-        const system = args[0] || 'ship';
+        const target = (args[0] || 'ship').toLowerCase();
+        const game = window.game as any;
+        
+        if (target === 'system') {
+            const system = game && game.environment && game.environment.starSystemGenerator
+                ? game.environment.starSystemGenerator.getCurrentSystemData()
+                : null;
+            if (!system) {
+                return { success: false, message: 'System data unavailable.' };
+            }
+            
+            const data = {
+                id: system.id,
+                name: system.name,
+                starClass: system.starClass,
+                classification: system.classification,
+                connections: [...system.connections],
+                resourceMultipliers: { ...system.resourceMultipliers }
+            };
+            return {
+                success: true,
+                message: `SYSTEM STATUS - ${system.name.toUpperCase()}
+• Star class: ${system.starClass}
+• Classification: ${system.classification}
+• Connections: ${data.connections.join(', ') || 'none'}`,
+                data
+            };
+        }
+        
+        const spaceship = game && game.spaceship;
+        if (!spaceship) {
+            return { success: false, message: 'Ship data unavailable.' };
+        }
         
-        // This would integrate with actual game state
+        const resources = (game.controls && game.controls.resources) || {};
+        const data = {
+            credits: Math.round(spaceship.credits),
+            fuel: Math.round(spaceship.fuel),
+            maxFuel: spaceship.maxFuel,
+            shield: Math.round(spaceship.shield),
+            maxShield: spaceship.maxShield,
+            hull: Math.round(spaceship.hull),
+            maxHull: spaceship.maxHull,
+            docked: !!spaceship.isDocked,
+            cargo: Object.fromEntries(COMMODITIES.map(commodity => [commodity, resources[commodity] || 0]))
+        };
         return {
             success: true,
-            message: `${system.toUpperCase()} STATUS:
-System information would be displayed here.
-Use the GUI panels for detailed status.`
+            message: `SHIP STATUS:
+• Credits: ${data.credits} CR
+• Fuel: ${data.fuel}/${data.maxFuel}
+• Shield: ${data.shield}/${data.maxShield}
+• Hull: ${data.hull}/${data.maxHull}
+• Cargo: ${COMMODITIES.map(commodity => `${commodity.toUpperCase()} ${data.cargo[commodity]}`).join(' | ')}`,
+            data
         };
     }
     
     handlePurchase(args: string[]): CommandResult {
-        const item = args[0];
-        if (!item) {
-            return { 
-                success: false, 
-                message: 'Please specify an item to purchase. Use "market" to see available items.' 
+        const item = args[0].toLowerCase();
+        if (item === 'fuel') {
+            return this.handleRefuel();
+        }
+        return this.handleRepair([item]);
+    }
+    
+    handleMarket(args: string[]): CommandResult {
+        const category = (args[0] || 'all').toLowerCase();
+        
+        if (category === 'orbs') {
+            return {
+                success: true,
+                message: `ENERGY ORB VALUES (fixed):
+${Object.entries(ORB_VALUES).map(([rarity, value]) => `• ${rarity.charAt(0).toUpperCase()}${rarity.slice(1)} - ${value} CR`).join('\n')}`,
+                data: { orbs: { ...ORB_VALUES } }
             };
         }
         
+        const game = window.game as any;
+        const market: MarketModel | undefined = game && game.market;
+        const system: (MarketSystemInfo & { name: string }) | null = game && game.environment && game.environment.starSystemGenerator
+            ? game.environment.starSystemGenerator.getCurrentSystemData()
+            : null;
+        
+        if (!market || !system) {
+            return { success: false, message: 'Market data unavailable.' };
+        }
+        
+        const quotes = market.getQuotes(system);
+        const rows = quotes.map(quote =>
+            `• ${quote.commodity.toUpperCase().padEnd(9)} ${String(quote.price).padStart(4)} CR ${TREND_SYMBOLS[quote.trend]}  ${renderSparkline(quote.history)}`
+        );
+        
         return {
             success: true,
-            message: `Attempting to purchase ${item}...`,
-            action: 'purchase',
-            target: item
+            message: `MARKET - ${system.name.toUpperCase()}
+${rows.join('\n')}
+Prices fall as you sell and recover over time.
+Use 'sell <resource|all>' or the market panel for transactions.`,
+            data: {
+                system: { id: system.id, name: system.name },
+                quotes: quotes.map(({ commodity, price, basePrice, trend }) => ({ commodity, price, basePrice, trend }))
+            }
         };
     }
     
-    handleMarket(args: string[]): CommandResult {
-        const category = args[0] || 'all';
+    handleSell(args: string[]): CommandResult {
+        const docked = this.getDocking();
+        if (!docked) return NOT_DOCKED;
         
+        const { spaceship, docking } = docked;
+        const target = args[0].toLowerCase();
+        const items = target === 'all' ? CARGO_ITEMS : [target as Commodity | Alloy];
+        const resources = docking.resources || {};
+        const creditsBefore = spaceship.credits;
+        
+        for (const item of items) {
+            if (getCargoAmount(resources, item) <= 0) continue;
+            if (isAlloy(item)) {
+                docking.uiIntegration.sellAlloy(item, spaceship);
+            } else {
+                docking.uiIntegration.sellResource(item, spaceship);
+            }
+        }
+        
+        const earned = Math.round(spaceship.credits - creditsBefore);
+        if (earned <= 0) {
+            return { success: false, message: 'No cargo to sell.' };
+        }
+        
+        docking.updateStargateUI();
+        return { success: true, message: `Sold ${target === 'all' ? 'all cargo' : target} for ${earned} CR` };
+    }
+    
+    handleCargo(): CommandResult {
+        const game = window.game as any;
+        const spaceship = game && game.spaceship;
+        const resources = game && game.controls && game.controls.resources;
+        if (!spaceship || !resources) {
+            return { success: false, message: 'Cargo data unavailable.' };
+        }
+        
+        const mass = getCargoMass(resources);
+        const data = {
+            volume: Math.ceil(getCargoVolume(resources)),
+            capacity: spaceship.maxCargoCapacity,
+            mass: Math.round(mass),
+            topSpeed: Math.round(getTopSpeedFactor(mass) * 100),
+            items: Object.fromEntries(CARGO_ITEMS.map(item => [item, getCargoAmount(resources, item)]))
+        };
         return {
             success: true,
-            message: `MARKET INTERFACE - ${category.toUpperCase()}
-Use the market panel for transactions.
-Type 'help market' for command-line trading.`
+            message: `CARGO HOLD:
+• Load: ${data.volume}/${data.capacity}
+• Mass: ${data.mass} t (${data.topSpeed}% top speed)
+• Ore: ${COMMODITIES.map(ore => `${ore.toUpperCase()} ${data.items[ore]}`).join(' | ')}
+• Alloys: ${ALLOYS.map(alloy => `${alloy.toUpperCase()} ${data.items[alloy]}`).join(' | ')}`,
+            data
         };
     }
     
-    handleEnhance(args: string[]): CommandResult {
-        const system = args[0];
-        if (!system) {
-            return { 
-                success: false, 
-                message: 'Please specify a system to enhance. Use "info" to see available systems.' 
+    handleRefine(args: string[]): CommandResult {
+        const docked = this.getDocking();
+        if (!docked) return NOT_DOCKED;
+        
+        const { docking } = docked;
+        const resources = docking.resources;
+        if (!resources) {
+            return { success: false, message: 'Cargo data unavailable.' };
+        }
+        
+        const target = args[0].toLowerCase();
+        const limit = args[1] !== undefined ? Number(args[1]) : Infinity;
+        // Platinum and gold go furthest in the pricier alloys, so fill those first
+        const alloys = target === 'all' ? [...ALLOYS].reverse() : [target as Alloy];
+        
+        const lines: string[] = [];
+        for (const alloy of alloys) {
+            const produced = refineOre(resources, alloy, limit);
+            if (produced > 0) {
+                lines.push(`Refined ${produced} ${alloy.toUpperCase()} (${ALLOY_PRICES[alloy] * produced} CR value)`);
+            }
+        }
+        
+        if (lines.length === 0) {
+            return {
+                success: false,
+                message: target === 'all'
+                    ? 'Not enough ore to refine any alloy.'
+                    : `Not enough ore. ${target.toUpperCase()} needs ${this.describeRecipe(target as Alloy)}.`
             };
         }
         
+        docking.updateStargateUI();
+        return { success: true, message: lines.join('\n') };
+    }
+    
+    private describeRecipe(alloy: Alloy): string {
+        return Object.entries(REFINING_RECIPES[alloy].inputs)
+            .map(([ore, amount]) => `${amount} ${ore}`)
+            .join(' + ');
+    }
+    
+    handleWeapons(args: string[]): CommandResult {
+        const action = (args[0] || 'list').toLowerCase();
+        
+        if (action === 'list') {
+            const game = window.game as any;
+            const loadout = game && game.spaceship && game.spaceship.weapons;
+            if (!loadout) {
+                return { success: false, message: 'Weapon data unavailable.' };
+            }
+            
+            const data: WeaponLoadoutState = loadout.getState();
+            const rows = WEAPON_IDS.map(id => {
+                const weapon = WEAPONS[id];
+                const ammo = weapon.maxAmmo > 0 ? `, ammo ${loadout.owns(id) ? data.ammo[id] : 0}/${weapon.maxAmmo}` : '';
+                const status = loadout.owns(id) ? 'OWNED' : `${weapon.price} CR`;
+                return `• ${id.toUpperCase()} - ${weapon.name}: ${weapon.damage} dmg, ${weapon.fireRate}/s${ammo} [${status}]`;
+            });
+            const mounts = HARDPOINTS.map(hardpoint =>
+                `${hardpoint.toUpperCase()} ${WEAPONS[data.mounts[hardpoint]].name}${hardpoint === data.activeHardpoint ? ' (selected)' : ''}`
+            );
+            return {
+                success: true,
+                message: `WEAPON LOADOUT:
+• Hardpoints: ${mounts.join(' | ')}
+${rows.join('\n')}`,
+                data
+            };
+        }
+        
+        const id = args[1] ? args[1].toLowerCase() as WeaponId : undefined;
+        if (!id || (action === 'mount' && !args[2])) {
+            return { success: false, message: `Usage: weapons ${action} <weapon>${action === 'mount' ? ' <left|right>' : ''}` };
+        }
+        
+        const docked = this.getDocking();
+        if (!docked) return NOT_DOCKED;
+        
+        const { spaceship, docking } = docked;
+        const loadout = spaceship.weapons;
+        const weapon = WEAPONS[id];
+        if (!loadout) {
+            return { success: false, message: 'Weapon data unavailable.' };
+        }
+        
+        if (action === 'buy') {
+            if (loadout.owns(id)) {
+                return { success: false, message: `${weapon.name} already owned.` };
+            }
+            if (!docking.uiIntegration.buyWeapon(id, spaceship)) {
+                return { success: false, message: `Insufficient credits. ${weapon.name} costs ${weapon.price} CR.` };
+            }
+            docking.updateStargateUI();
+            return { success: true, message: `Purchased ${weapon.name} for ${weapon.price} CR` };
+        }
+        
+        if (action === 'mount') {
+            const hardpoint = args[2].toLowerCase() as Hardpoint;
+            if (!loadout.mount(id, hardpoint)) {
+                return { success: false, message: `${weapon.name} not owned. Buy it first.` };
+            }
+            docking.updateStargateUI();
+            return { success: true, message: `${weapon.name} mounted on the ${hardpoint} hardpoint` };
+        }
+        
+        if (weapon.maxAmmo === 0 || !loadout.owns(id)) {
+            return { success: false, message: `${weapon.name} ${loadout.owns(id) ? 'uses no ammunition' : 'not owned'}.` };
+        }
+        const rounds = docking.uiIntegration.restockWeapon(id, spaceship);
+        if (rounds <= 0) {
+            return {
+                success: false,
+                message: loadout.getMissingAmmo(id) === 0 ? `${weapon.name} fully stocked.` : 'Insufficient credits.'
+            };
+        }
+        docking.updateStargateUI();
+        return { success: true, message: `Loaded ${rounds} rounds for ${weapon.name} (${rounds * weapon.ammoPrice} CR)` };
+    }
+    
+    handleTurrets(args: string[]): CommandResult {
+        const game = window.game as any;
+        const spaceship = game && game.spaceship;
+        const fleet: TurretFleet | undefined = spaceship && spaceship.turrets;
+        if (!fleet) {
+            return { success: false, message: 'Turret data unavailable.' };
+        }
+        
+        const action = (args[0] || 'list').toLowerCase();
+        const option = (args[1] || '').toLowerCase();
+        
+        if (action === 'orders') {
+            if (!isTurretPriority(option)) {
+                return { success: false, message: `Usage: turrets orders <${TURRET_PRIORITIES.join('|')}>` };
+            }
+            fleet.setPriority(option);
+            return { success: true, message: `Turret orders: ${PRIORITY_LABELS[option]}` };
+        }
+        
+        if (action === 'upgrade') {
+            if (!isTurretUpgrade(option)) {
+                return { success: false, message: `Usage: turrets upgrade <${TURRET_UPGRADES.join('|')}>` };
+            }
+            
+            const docked = this.getDocking();
+            if (!docked) return NOT_DOCKED;
+            
+            const cost = fleet.getUpgradeCost(option);
+            if (cost === null) {
+                return { success: false, message: `Turret ${option} is already at level ${MAX_TURRET_UPGRADE_LEVEL}.` };
+            }
+            if (!docked.docking.uiIntegration.upgradeTurrets(option, docked.spaceship)) {
+                return { success: false, message: `Insufficient credits. Turret ${option} upgrade costs ${cost} CR.` };
+            }
+            docked.docking.updateStargateUI();
+            return { success: true, message: `Turret ${option} upgraded to level ${fleet.upgrades[option]} (${cost} CR)` };
+        }
+        
+        const stats = fleet.getStats();
+        const turrets = fleet.getStatus(null);
+        const data = {
+            carried: spaceship.deployableLaserCount || 0,
+            deployed: turrets,
+            priority: fleet.priority,
+            upgrades: { ...fleet.upgrades },
+            stats
+        };
+        const rows = turrets.map(turret =>
+            `• T${turret.id} - ${Math.ceil(turret.health * 100)}% hull, ${Math.floor(turret.energy * 100)}% energy, ${turret.kills} kills`
+        );
+        return {
+            success: true,
+            message: `LASER TURRETS:
+• Carried: ${data.carried} | Deployed: ${turrets.length}
+• Orders: ${PRIORITY_LABELS[fleet.priority]}
+• Range ${stats.range}m (Lv ${fleet.upgrades.range}) | Damage ${stats.damage} (Lv ${fleet.upgrades.damage}) | Hull ${stats.maxHealth} (Lv ${fleet.upgrades.health})
+${rows.join('\n')}`.trimEnd(),
+            data
+        };
+    }
+    
+    handleEnhance(args: string[]): CommandResult {
+        const system = args[0];
         return {
             success: true,
             message: `Initiating ${system} enhancement...`,
@@ -216,22 +720,49 @@ Type 'help market' for command-line trading.`
     }
     
     handleRefuel(): CommandResult {
-        return {
-            success: true,
-            message: 'Initiating refueling sequence...',
-            action: 'refuel'
-        };
+        const docked = this.getDocking();
+        if (!docked) return NOT_DOCKED;
+        
+        const { spaceship, docking } = docked;
+        if (spaceship.fuel >= spaceship.maxFuel) {
+            return { success: true, message: 'Fuel tanks already full.' };
+        }
+        if (spaceship.credits < REFUEL_COST) {
+            return { success: false, message: `Insufficient credits. Refueling costs ${REFUEL_COST} CR.` };
+        }
+        
+        spaceship.credits -= spaceship.refuel();
+        docking.updateStargateUI();
+        return { success: true, message: `Fuel tanks refilled (-${REFUEL_COST} CR)` };
     }
     
     handleRepair(args: string[]): CommandResult {
-        const system = args[0] || 'all';
+        const docked = this.getDocking();
+        if (!docked) return NOT_DOCKED;
         
-        return {
-            success: true,
-            message: `Initiating ${system} repair sequence...`,
-            action: 'repair',
-            target: system
-        };
+        const { spaceship, docking } = docked;
+        const target = (args[0] || 'all').toLowerCase();
+        const repairs = [
+            { system: 'shield', label: 'Shields', cost: SHIELD_REPAIR_COST, full: spaceship.shield >= spaceship.maxShield, repair: () => spaceship.repairShield() },
+            { system: 'hull', label: 'Hull', cost: HULL_REPAIR_COST, full: spaceship.hull >= spaceship.maxHull, repair: () => spaceship.repairHull() }
+        ].filter(repair => target === 'all' || repair.system === target);
+        
+        const lines: string[] = [];
+        let success = true;
+        for (const repair of repairs) {
+            if (repair.full) {
+                lines.push(`${repair.label} already at full strength.`);
+            } else if (spaceship.credits < repair.cost) {
+                lines.push(`Insufficient credits. ${repair.label} repair costs ${repair.cost} CR.`);
+                success = false;
+            } else {
+                spaceship.credits -= repair.repair();
+                lines.push(`${repair.label} repaired (-${repair.cost} CR)`);
+            }
+        }
+        
+        docking.updateStargateUI();
+        return { success, message: lines.join('\n') };
     }
     
     handleScan(): CommandResult {
@@ -265,6 +796,98 @@ Type 'help market' for command-line trading.`
         };
     }
     
+    handleContracts(args: string[]): CommandResult {
+        const game = window.game as any;
+        const manager = game && game.contractManager;
+        if (!manager) {
+            return { success: false, message: 'Contract board unavailable.' };
+        }
+        
+        const offers: Contract[] = manager.getOffers();
+        const active: Contract[] = manager.getActive();
+        const subcommand = (args[0] || '').toLowerCase();
+        
+        if (subcommand === 'accept' || subcommand === 'abandon') {
+            const list = subcommand === 'accept' ? offers : active;
+            const index = parseInt(args[1], 10) - 1;
+            const contract = list[index];
+            if (!contract) {
+                return {
+                    success: false,
+                    message: `Usage: contracts ${subcommand} <number>. Type 'contracts' to see numbered contracts.`
+                };
+            }
+            
+            if (subcommand === 'accept') {
+                if (!manager.accept(contract.id)) {
+                    return { success: false, message: `Cannot accept contract. At most ${MAX_ACTIVE_CONTRACTS} may be active.` };
+                }
+                return { success: true, message: `Contract accepted: ${contract.title}` };
+            }
+            
+            manager.abandon(contract.id);
+            return { success: true, message: `Contract abandoned: ${contract.title} (-${contract.penalty} CR)` };
+        }
+        
+        const offerRows = offers.map((contract, index) =>
+            `${index + 1}. ${contract.title.toUpperCase()} - ${contract.reward} CR, ${formatTimeRemaining(contract.timeLimit)} limit\n   ${contract.description}`
+        );
+        const activeRows = active.map((contract, index) =>
+            `${index + 1}. ${contract.title.toUpperCase()} - ${describeProgress(contract)}, ${formatTimeRemaining(contract.timeRemaining)} left`
+        );
+        
+        return {
+            success: true,
+            message: `CONTRACT BOARD
+${offerRows.length > 0 ? offerRows.join('\n') : 'No contracts on offer.'}
+
+ACTIVE CONTRACTS
+${activeRows.length > 0 ? activeRows.join('\n') : 'None.'}
+
+Use 'contracts accept <n>' or 'contracts abandon <n>'.
+Failed or abandoned contracts charge their failure penalty.`,
+            data: { offers, active }
+        };
+    }
+    
+    handleMacro(args: string[]): CommandResult {
+        const action = (args[0] || 'list').toLowerCase();
+        const name = args[1];
+        
+        if (action === 'list') {
+            const names = this.store.getMacroNames();
+            if (names.length === 0) {
+                return { success: true, message: `No macros defined. See 'help macro'.` };
+            }
+            return {
+                success: true,
+                message: `MACROS:\n${names.map(macro => `• ${macro} - ${this.store.getMacro(macro)}`).join('\n')}`
+            };
+        }
+        
+        if (!name) {
+            return { success: false, message: `Usage: macro ${action} <name>${action === 'set' ? ' "<commands>"' : ''}` };
+        }
+        
+        if (action === 'delete') {
+            return this.store.deleteMacro(name)
+                ? { success: true, message: `Macro deleted: ${name}` }
+                : { success: false, message: `No macro named ${name}.` };
+        }
+        
+        const body = args.slice(2).join(' ');
+        if (this.registry.has(name)) {
+            return { success: false, message: `${name} is already a command.` };
+        }
+        if (!this.store.setMacro(name, body)) {
+            return {
+                success: false,
+                message: `Usage: macro set <name> "<commands>". Names start with a letter and use letters, digits, - or _.`
+            };
+        }
+        return { success: true, message: `Macro saved: ${name.toLowerCase()} = ${body}` };
+    }
+    
     handleHorde(): CommandResult {
         return {
             success: true,
@@ -272,4 +895,15 @@ Type 'help market' for command-line trading.`
             action: 'horde'
         };
     }
+    
+    /**
+     * The ship and docking system, or null when not docked
+     */
+    private getDocking(): { spaceship: any; docking: any } | null {
+        const game = window.game as any;
+        const spaceship = game && game.spaceship;
+        const docking = game && game.controls && game.controls.dockingSystem;
+        if (!spaceship || !docking || !spaceship.isDocked) return null;
+        return { spaceship, docking };
+    }
 }
@@ -1,70 +1,78 @@
 // parser.ts - Command parsing logic for terminal interface
 
-interface ParsedCommand {
-    command: string;
-    args: string[];
-    original: string;
-    raw: string;
-}
+import { commandRegistry, type CommandRegistry, type ParsedCommand } from './registry.ts';
+import { TerminalStore } from './terminalStore.ts';
+
+// Separates chained commands ("sell all; refuel; repair all")
+const CHAIN_SEPARATOR = ';';
 
 export class CommandParser {
-    private commandHistory: string[];
+    private registry: CommandRegistry;
+    private store: TerminalStore;
     private historyIndex: number;
-    private aliases: Map<string, string>;
-
-    constructor() {
-        this.commandHistory = [];
-        this.historyIndex = -1;
-        this.aliases = new Map();
-        this.setupAliases();
+    
+    constructor(registry: CommandRegistry = commandRegistry, store: TerminalStore = new TerminalStore()) {
+        this.registry = registry;
+        this.store = store;
+        this.historyIndex = this.store.history.length;
     }
     
-    setupAliases(): void {
-        // Common command aliases
-        this.aliases.set('ls', 'list');
-        this.aliases.set('dir', 'list');
-        this.aliases.set('h', 'help');
-        this.aliases.set('?', 'help');
-        this.aliases.set('q', 'quit');
-        this.aliases.set('exit', 'quit');
-        this.aliases.set('cls', 'clear');
-        this.aliases.set('clr', 'clear');
-        this.aliases.set('buy', 'purchase');
-        this.aliases.set('sell', 'market');
-        this.aliases.set('upgrade', 'enhance');
-        this.aliases.set('status', 'info');
-        this.aliases.set('stat', 'info');
+    /**
+     * Parse an entered line into its chained commands and add it to the history
+     */
+    parseLine(input: string): ParsedCommand[] {
+        if (!input || typeof input !== 'string' || !input.trim()) return [];
+        
+        this.store.addHistory(input);
+        this.historyIndex = this.store.history.length;
+        
+        return this.splitChain(input)
+            .map(part => this.parseCommand(part))
+            .filter(parsed => parsed.command !== '');
+    }
+    
+    /**
+     * Split a line on chain separators outside quotes
+     */
+    splitChain(input: string): string[] {
+        const parts: string[] = [];
+        let start = 0;
+        for (const index of this.findSeparators(input)) {
+            parts.push(input.slice(start, index));
+            start = index + 1;
+        }
+        parts.push(input.slice(start));
+        return parts.map(part => part.trim()).filter(part => part.length > 0);
     }
     
     parseCommand(input: string): ParsedCommand {
         if (!input || typeof input !== 'string') {
-            return { command: '', args: [], original: '', raw: '' };
+            return { command: '', args: [], flags: [], original: '', raw: '' };
         }
         
         const trimmed = input.trim();
         if (!trimmed) {
-            return { command: '', args: [], original: input, raw: '' };
+            return { command: '', args: [], flags: [], original: input, raw: '' };
         }
         
-        // Add to history if it's a new command
-        if (this.commandHistory[this.commandHistory.length - 1] !== trimmed) {
-            this.commandHistory.push(trimmed);
-            // Limit history to 50 commands
-            if (this.commandHistory.length > 50) {
-                this.commandHistory.shift();
-            }
-        }
-        this.historyIndex = this.commandHistory.length;
-        
-        // Parse command and arguments
+        // Parse command, arguments and --flags
         const parts = this.tokenize(trimmed);
         const rawCommand = parts[0]?.toLowerCase() || '';
         const command = this.resolveAlias(rawCommand);
-        const args = parts.slice(1);
+        const args: string[] = [];
+        const flags: string[] = [];
+        for (const part of parts.slice(1)) {
+            if (part.startsWith('--') && part.length > 2) {
+                flags.push(part.slice(2).toLowerCase());
+            } else {
+                args.push(part);
+            }
+        }
         
         return {
             command,
             args,
+            flags,
             original: trimmed,
             raw: rawCommand
         };
@@ -103,53 +111,92 @@ export class CommandParser {
     }
     
     resolveAlias(command: string): string {
-        return this.aliases.get(command) || command;
+        return this.registry.resolve(command);
     }
     
     getCommandHistory(): string[] {
-        return [...this.commandHistory];
+        return [...this.store.history];
     }
     
     getPreviousCommand(): string | null {
         if (this.historyIndex > 0) {
             this.historyIndex--;
-            return this.commandHistory[this.historyIndex];
+            return this.store.history[this.historyIndex];
         }
         return null;
     }
     
     getNextCommand(): string | null {
-        if (this.historyIndex < this.commandHistory.length - 1) {
+        const history = this.store.history;
+        if (this.historyIndex < history.length - 1) {
             this.historyIndex++;
-            return this.commandHistory[this.historyIndex];
-        } else if (this.historyIndex === this.commandHistory.length - 1) {
+            return history[this.historyIndex];
+        } else if (this.historyIndex === history.length - 1) {
             this.historyIndex++;
             return '';
         }
         return null;
     }
     
+    /**
+     * Reverse search: the most recent history line containing the query
+     * @param query Text to look for
+     * @param before Only search lines older than this history index (for repeated searches)
+     * @returns The matching line and its index, or null if nothing matches
+     */
+    searchHistory(query: string, before: number = this.store.history.length): { command: string; index: number } | null {
+        const needle = query.toLowerCase();
+        const history = this.store.history;
+        for (let index = Math.min(before, history.length) - 1; index >= 0; index--) {
+            if (history[index].toLowerCase().includes(needle)) {
+                return { command: history[index], index };
+            }
+        }
+        return null;
+    }
+    
     validateCommand(command: string): boolean {
-        const validCommands = [
-            'help', 'list', 'clear', 'quit', 'info', 'status',
-            'purchase', 'market', 'enhance', 'upgrade', 'refuel',
-            'repair', 'undock', 'dock', 'scan', 'navigate',
-            'starmap', 'blackjack', 'settings', 'horde'
-        ];
-        
-        return validCommands.includes(command);
+        return this.registry.has(command) || this.store.getMacro(command) !== null;
     }
     
     getCommandSuggestions(partial: string): string[] {
-        const validCommands = [
-            'help', 'list', 'clear', 'quit', 'info',
-            'purchase', 'market', 'enhance', 'refuel',
-            'repair', 'undock', 'dock', 'scan', 'navigate',
-            'starmap', 'blackjack', 'settings', 'horde'
-        ];
+        return this.registry.complete([partial], this.store.getMacroNames());
+    }
+    
+    /**
+     * Tab completion for the whole input line
+     * @returns Completed lines, one per candidate for the word being typed
+     */
+    completeInput(input: string): string[] {
+        const separators = this.findSeparators(input);
+        const segmentStart = separators.length > 0 ? separators[separators.length - 1] + 1 : 0;
+        const segment = input.slice(segmentStart);
+        
+        const words = this.tokenize(segment);
+        if (words.length === 0 || /\s$/.test(segment)) {
+            words.push('');
+        }
+        const partial = words[words.length - 1];
+        const head = input.slice(0, input.length - partial.length);
         
-        return validCommands.filter(cmd => 
-            cmd.startsWith(partial.toLowerCase())
-        );
+        return this.registry
+            .complete(words, this.store.getMacroNames())
+            .map(candidate => head + candidate);
+    }
+    
+    private findSeparators(input: string): number[] {
+        const separators: number[] = [];
+        let quoteChar = '';
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoteChar) {
+                if (char === quoteChar) quoteChar = '';
+            } else if (char === '"' || char === "'") {
+                quoteChar = char;
+            } else if (char === CHAIN_SEPARATOR) {
+                separators.push(i);
+            }
+        }
+        return separators;
     }
 }
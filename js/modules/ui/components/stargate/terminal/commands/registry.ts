@@ -0,0 +1,206 @@
+// registry.ts - Registry of terminal commands with argument schemas and help text
+//
+// The built-in commands are registered by CommandHandlers. Other modules can
+// add their own through the shared `commandRegistry`.
+
+export interface ParsedCommand {
+    command: string;
+    args: string[];
+    // Options given as --name (e.g. --json)
+    flags: string[];
+    original: string;
+    raw: string;
+}
+
+export interface CommandResult {
+    success: boolean;
+    message?: string;
+    clearScreen?: boolean;
+    action?: string;
+    target?: string;
+    // Machine-readable result, printed instead of the message with --json
+    data?: unknown;
+}
+
+export interface CommandArgument {
+    name: string;
+    required?: boolean;
+    type?: 'string' | 'number';
+    // Accepted values, also offered by tab completion
+    choices?: string[] | (() => string[]);
+    // Takes this and every remaining argument
+    rest?: boolean;
+}
+
+export interface CommandDefinition {
+    name: string;
+    summary: string;
+    aliases?: string[];
+    args?: CommandArgument[];
+    // Extra text shown by 'help <command>'
+    help?: string;
+    run: (args: string[], command: ParsedCommand) => CommandResult | Promise<CommandResult>;
+}
+
+export class CommandRegistry {
+    private commands: Map<string, CommandDefinition>;
+    private aliases: Map<string, string>;
+
+    constructor() {
+        this.commands = new Map();
+        this.aliases = new Map();
+    }
+
+    /**
+     * Add a command, replacing any command already registered under the name
+     */
+    register(definition: CommandDefinition): void {
+        const name = definition.name.toLowerCase();
+        this.unregister(name);
+
+        this.commands.set(name, definition);
+        for (const alias of definition.aliases || []) {
+            this.aliases.set(alias.toLowerCase(), name);
+        }
+    }
+
+    unregister(name: string): boolean {
+        const definition = this.commands.get(name);
+        if (!definition) return false;
+
+        this.commands.delete(name);
+        for (const alias of definition.aliases || []) {
+            if (this.aliases.get(alias.toLowerCase()) === name) {
+                this.aliases.delete(alias.toLowerCase());
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Command name for a name or alias (unknown names are returned unchanged).
+     * A registered command takes precedence over another command's alias.
+     */
+    resolve(name: string): string {
+        const lower = name.toLowerCase();
+        if (this.commands.has(lower)) return lower;
+        return this.aliases.get(lower) || lower;
+    }
+
+    get(name: string): CommandDefinition | null {
+        return this.commands.get(this.resolve(name)) || null;
+    }
+
+    has(name: string): boolean {
+        return this.get(name) !== null;
+    }
+
+    getNames(): string[] {
+        return [...this.commands.keys()].sort();
+    }
+
+    getUsage(definition: CommandDefinition): string {
+        const args = (definition.args || []).map(arg => {
+            const label = arg.rest ? `${arg.name}...` : arg.name;
+            return arg.required ? `<${label}>` : `[${label}]`;
+        });
+        return [definition.name, ...args].join(' ');
+    }
+
+    /**
+     * Check arguments against the command's schema
+     * @returns An error message, or null if the arguments are valid
+     */
+    validate(definition: CommandDefinition, args: string[]): string | null {
+        const specs = definition.args || [];
+        const usage = `Usage: ${this.getUsage(definition)}`;
+        const takesRest = specs.length > 0 && specs[specs.length - 1].rest;
+
+        if (!takesRest && args.length > specs.length) {
+            return `Too many arguments. ${usage}`;
+        }
+
+        for (let i = 0; i < specs.length; i++) {
+            const spec = specs[i];
+            const values = spec.rest ? args.slice(i) : (args[i] !== undefined ? [args[i]] : []);
+
+            if (values.length === 0) {
+                if (spec.required) return `Missing ${spec.name}. ${usage}`;
+                continue;
+            }
+
+            for (const value of values) {
+                if (spec.type === 'number' && !Number.isFinite(Number(value))) {
+                    return `${spec.name} must be a number. ${usage}`;
+                }
+                const choices = this.getChoices(spec);
+                if (choices.length > 0 && !choices.includes(value.toLowerCase())) {
+                    return `Invalid ${spec.name}: ${value}. Expected one of: ${choices.join(', ')}`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Candidates for the word being typed
+     * @param words Words typed so far in the current command; the last one is being completed
+     * @param extraNames Other runnable names (e.g. macros) to offer for the first word
+     */
+    complete(words: string[], extraNames: string[] = []): string[] {
+        const partial = (words[words.length - 1] || '').toLowerCase();
+
+        if (words.length <= 1) {
+            return [...new Set([...this.getNames(), ...extraNames])]
+                .filter(name => name.startsWith(partial))
+                .sort();
+        }
+
+        const definition = this.get(words[0]);
+        const specs = definition ? definition.args || [] : [];
+        const index = words.length - 2;
+        const last = specs[specs.length - 1];
+        const spec = specs[index] || (last && last.rest ? last : null);
+        if (!spec) return [];
+
+        return this.getChoices(spec).filter(choice => choice.startsWith(partial));
+    }
+
+    /**
+     * Help text listing every command, or details for one command
+     */
+    formatHelp(name?: string): string {
+        if (name) {
+            const definition = this.get(name);
+            if (definition) {
+                const lines = [`${this.getUsage(definition)} - ${definition.summary}`];
+                if (definition.aliases && definition.aliases.length > 0) {
+                    lines.push(`Aliases: ${definition.aliases.join(', ')}`);
+                }
+                if (definition.help) {
+                    lines.push(definition.help);
+                }
+                return lines.join('\n');
+            }
+        }
+
+        const lines = this.getNames().map(commandName => {
+            const definition = this.commands.get(commandName)!;
+            return `• ${this.getUsage(definition)} - ${definition.summary}`;
+        });
+        return `Available Commands:
+${lines.join('\n')}
+Chain commands with ';' (e.g. sell all; refuel; repair all).
+Add --json to info, market, cargo or contracts for machine-readable output.`;
+    }
+
+    private getChoices(spec: CommandArgument): string[] {
+        if (!spec.choices) return [];
+        const choices = typeof spec.choices === 'function' ? spec.choices() : spec.choices;
+        return choices.map(choice => choice.toLowerCase());
+    }
+}
+
+// Shared registry used by the stargate terminal
+export const commandRegistry = new CommandRegistry();
@@ -0,0 +1,130 @@
+// terminalStore.ts - Persistent terminal command history and macros
+
+export interface TerminalData {
+    history: string[];
+    macros: Record<string, string>;
+}
+
+type TerminalStorage = {
+    load: () => unknown;
+    save: (data: TerminalData) => boolean;
+};
+
+export const MAX_HISTORY = 200;
+
+const MACRO_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Terminal data persistence in localStorage
+ */
+export class LocalTerminalStorage {
+    key: string;
+
+    constructor() {
+        this.key = 'asteroidMinerTerminal';
+    }
+
+    load(): unknown {
+        try {
+            const json = localStorage.getItem(this.key);
+            return json ? JSON.parse(json) : null;
+        } catch (error: any) {
+            console.error("Error loading terminal data:", error);
+            return null;
+        }
+    }
+
+    save(data: TerminalData): boolean {
+        try {
+            localStorage.setItem(this.key, JSON.stringify(data));
+            return true;
+        } catch (error: any) {
+            console.error("Error saving terminal data:", error);
+            return false;
+        }
+    }
+}
+
+export function isValidMacroName(name: string): boolean {
+    return MACRO_NAME_PATTERN.test(name);
+}
+
+export class TerminalStore {
+    storage: TerminalStorage;
+    history: string[];
+    macros: Map<string, string>;
+
+    constructor(storage: TerminalStorage = new LocalTerminalStorage()) {
+        this.storage = storage;
+        this.history = [];
+        this.macros = new Map();
+        this.load();
+    }
+
+    load(): void {
+        const saved = this.storage.load() as Partial<TerminalData> | null;
+        this.history = [];
+        this.macros = new Map();
+        if (!saved || typeof saved !== 'object') return;
+
+        if (Array.isArray(saved.history)) {
+            this.history = saved.history
+                .filter((line): line is string => typeof line === 'string' && line.trim().length > 0)
+                .slice(-MAX_HISTORY);
+        }
+        if (saved.macros && typeof saved.macros === 'object') {
+            for (const [name, body] of Object.entries(saved.macros)) {
+                if (isValidMacroName(name) && typeof body === 'string') {
+                    this.macros.set(name, body);
+                }
+            }
+        }
+    }
+
+    save(): boolean {
+        return this.storage.save({
+            history: this.history,
+            macros: Object.fromEntries(this.macros)
+        });
+    }
+
+    /**
+     * Remember an entered line (repeats of the previous line are skipped)
+     */
+    addHistory(line: string): void {
+        const trimmed = line.trim();
+        if (!trimmed || this.history[this.history.length - 1] === trimmed) return;
+
+        this.history.push(trimmed);
+        if (this.history.length > MAX_HISTORY) {
+            this.history.shift();
+        }
+        this.save();
+    }
+
+    getMacro(name: string): string | null {
+        return this.macros.get(name.toLowerCase()) || null;
+    }
+
+    getMacroNames(): string[] {
+        return [...this.macros.keys()].sort();
+    }
+
+    /**
+     * @returns False if the name isn't a valid macro name
+     */
+    setMacro(name: string, body: string): boolean {
+        const key = name.toLowerCase();
+        if (!isValidMacroName(key) || !body.trim()) return false;
+
+        this.macros.set(key, body.trim());
+        this.save();
+        return true;
+    }
+
+    deleteMacro(name: string): boolean {
+        if (!this.macros.delete(name.toLowerCase())) return false;
+        this.save();
+        return true;
+    }
+}
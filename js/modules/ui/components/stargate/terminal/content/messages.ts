@@ -1,5 +1,8 @@
 // messages.ts - Terminal text content and UI templates
 
+import { HARDPOINTS, WEAPONS, WEAPON_IDS, type WeaponDefinition } from '../../../../../weapons/weaponLoadout.ts';
+import { PRIORITY_LABELS, TURRET_PRICE, TURRET_PRIORITIES, TURRET_UPGRADES, getTurretStats } from '../../../../../turrets/turretFleet.ts';
+
 export class TerminalMessages {
     private welcomeMessages: string[];
 
@@ -48,6 +51,12 @@ export class TerminalMessages {
                     ${this.getFeaturesContent()}
                 </div>
                 
+                <!-- Contracts Section -->
+                <div id="contracts-section" class="stargate-section">
+                    <h3>CONTRACT BOARD</h3>
+                    ${this.getContractsContent()}
+                </div>
+                
                 <!-- Challenge Section -->
                 <div id="challenge-section" class="stargate-section">
                     <h3>EXTREME CHALLENGE</h3>
@@ -133,18 +142,19 @@ export class TerminalMessages {
         return `
             <!-- Resources Market -->
             <h4 style="color: #33aaff; margin-top: 0; margin-bottom: 10px;">MATERIALS</h4>
+            <div id="market-prices" class="market-prices"></div>
             <div class="sell-buttons">
                 <button id="sell-iron" class="sell-btn iron-border">
                     <div style="font-weight: bold;">SELL IRON</div>
-                    <div style="font-size: 12px; margin-top: 3px;">(10 CR each)</div>
+                    <div id="sell-iron-price" style="font-size: 12px; margin-top: 3px;">(10 CR each)</div>
                 </button>
                 <button id="sell-gold" class="sell-btn gold-border">
                     <div style="font-weight: bold;">SELL GOLD</div>
-                    <div style="font-size: 12px; margin-top: 3px;">(50 CR each)</div>
+                    <div id="sell-gold-price" style="font-size: 12px; margin-top: 3px;">(50 CR each)</div>
                 </button>
                 <button id="sell-platinum" class="sell-btn platinum-border">
                     <div style="font-weight: bold;">SELL PLATINUM</div>
-                    <div style="font-size: 12px; margin-top: 3px;">(200 CR each)</div>
+                    <div id="sell-platinum-price" style="font-size: 12px; margin-top: 3px;">(200 CR each)</div>
                 </button>
             </div>
             
@@ -164,20 +174,38 @@ export class TerminalMessages {
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
                     <div>
                         <strong style="color: #FF3333;">Laser Turrets:</strong> <span id="current-laser-count">0</span>
+                        <span style="font-size: 12px; opacity: 0.8;">(<span id="deployed-laser-count">0</span> deployed)</span>
                     </div>
                 </div>
                 <div style="display: flex; justify-content: space-between; align-items: center;">
                     <div style="flex: 2; padding-right: 10px;">
-                        <p style="margin: 0; font-size: 12px;">Deployable laser turrets automatically target and fire at enemies within 1000m range.</p>
+                        <p style="margin: 0; font-size: 12px;">Deployable laser turrets automatically target and fire at enemies within ${getTurretStats({ range: 1, damage: 1, health: 1 }).range}m range. Recall a nearby turret to carry it again.</p>
                     </div>
                     <button id="purchase-laser" style="flex: 1; padding: 10px; background-color: #FF3333; color: #fff; border: none; border-radius: 5px; cursor: pointer; font-family: 'Courier New', monospace; font-weight: bold;">
-                        PURCHASE (1000 CR)
+                        PURCHASE (${TURRET_PRICE} CR)
                     </button>
                 </div>
+                ${this.getTurretFleetHTML()}
             </div>
         `;
     }
     
+    getTurretFleetHTML(): string {
+        const buttonStyle = "flex: 1; padding: 6px; border: none; border-radius: 5px; cursor: pointer; font-family: 'Courier New', monospace; font-weight: bold;";
+        
+        return `
+                <div style="margin-top: 10px; font-size: 12px;">TURRET ORDERS</div>
+                <div style="display: flex; gap: 6px; margin-top: 5px;">
+                    ${TURRET_PRIORITIES.map(priority => `<button id="turret-priority-${priority}" style="${buttonStyle} background-color: #333; color: #aaa;">${PRIORITY_LABELS[priority].toUpperCase()}</button>`).join('')}
+                </div>
+                ${TURRET_UPGRADES.map(upgrade => `
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 8px; font-size: 12px;">
+                    <div style="flex: 2;"><strong>${upgrade.toUpperCase()}</strong> <span id="turret-${upgrade}-level">Lv 1</span></div>
+                    <button id="upgrade-turret-${upgrade}" style="${buttonStyle} background-color: #FF3333; color: #fff;">UPGRADE</button>
+                </div>`).join('')}
+        `;
+    }
+    
     getOrbButtons(): string {
         const orbs = [
             { type: 'common', price: 100 },
@@ -200,12 +228,41 @@ export class TerminalMessages {
         const upgrades = [
             { type: 'fuel', name: 'Fuel Tank', color: '#00cc33', description: 'Increases maximum fuel capacity, allowing for longer journeys.' },
             { type: 'engine', name: 'Engine', color: '#ff9900', description: 'Enhances thruster power, increasing maximum velocity and maneuverability.' },
-            { type: 'mining', name: 'Mining Laser', color: '#ff3030', description: 'Increases mining speed and extraction efficiency, allowing faster resource collection.' },
+            { type: 'mining', name: 'Mining Laser', color: '#ff3030', description: 'Increases mining speed and extraction efficiency, and raises heat capacity so the laser runs longer before overheating.' },
             { type: 'hull', name: 'Hull', color: '#30cfd0', description: 'Reinforces ship structure, improving collision resistance and reducing damage.' },
-            { type: 'scanner', name: 'Scanner', color: '#9933cc', description: 'Extends scanner range for detecting asteroids and other objects at greater distances.' }
+            { type: 'scanner', name: 'Scanner', color: '#9933cc', description: 'Extends scanner range for detecting asteroids and other objects at greater distances. Deep scans reveal gold cores from level 2, and platinum cores and anomalies from level 3.' },
+            { type: 'cargo', name: 'Cargo Hold', color: '#cd7f32', description: 'Enlarges the cargo hold so more ore and alloys fit before you have to head home.' }
         ];
         
-        return upgrades.map(upgrade => this.getUpgradeItemHTML(upgrade)).join('');
+        return upgrades.map(upgrade => this.getUpgradeItemHTML(upgrade)).join('') + `
+            <h4 style="color: #33aaff; margin-top: 20px; margin-bottom: 10px;">WEAPON HARDPOINTS</h4>
+            ${WEAPON_IDS.map(id => this.getWeaponItemHTML(WEAPONS[id])).join('')}
+        `;
+    }
+    
+    getWeaponItemHTML(weapon: WeaponDefinition): string {
+        const color = `#${weapon.color.toString(16).padStart(6, '0')}`;
+        const buttonStyle = `flex: 1; padding: 8px; background-color: ${color}; color: #000; border: none; border-radius: 5px; cursor: pointer; font-family: 'Courier New', monospace; font-weight: bold;`;
+        const cost = weapon.maxAmmo > 0 ? `${weapon.maxAmmo} rounds` : `${weapon.energyCost} energy per shot`;
+        
+        return `
+            <div class="upgrade-item">
+                <div class="upgrade-header">
+                    <div>
+                        <strong style="color: ${color};">${weapon.name}</strong>
+                    </div>
+                    <div style="text-align: right;">
+                        <span id="weapon-${weapon.id}-status">--</span>
+                    </div>
+                </div>
+                <p style="margin: 0 0 8px; font-size: 12px;">${weapon.damage} damage, ${weapon.fireRate} shots/s, ${weapon.range}m range, ${cost}${weapon.homing ? ', homes on the locked target' : ''}.</p>
+                <div style="display: flex; gap: 6px;">
+                    ${weapon.price > 0 ? `<button id="buy-weapon-${weapon.id}" style="${buttonStyle}">BUY (${weapon.price} CR)</button>` : ''}
+                    ${weapon.maxAmmo > 0 ? `<button id="restock-${weapon.id}" style="${buttonStyle}">RESTOCK (${weapon.ammoPrice} CR/round)</button>` : ''}
+                    ${HARDPOINTS.map(hardpoint => `<button id="mount-${weapon.id}-${hardpoint}" style="${buttonStyle}">MOUNT ${hardpoint.toUpperCase()}</button>`).join('')}
+                </div>
+            </div>
+        `;
     }
     
     getUpgradeItemHTML(upgrade: { type: string; name: string; color: string; description: string }): string {
@@ -257,10 +314,23 @@ export class TerminalMessages {
                     SETTINGS
                     <small>Adjust graphics and audio options</small>
                 </button>
+                <button id="open-save-load" class="feature-btn" style="background-color: #00cc33;">
+                    SAVE / LOAD
+                    <small>Manage saved games and transfers</small>
+                </button>
             </div>
         `;
     }
     
+    getContractsContent(): string {
+        return `
+            <div class="contract-board-heading">AVAILABLE</div>
+            <div id="contract-offers"></div>
+            <div class="contract-board-heading">ACTIVE</div>
+            <div id="contract-active"></div>
+        `;
+    }
+    
     getChallengeContent(): string {
         return `
             <button id="unleash-horde" class="action-btn btn-horde">
@@ -408,6 +408,43 @@ export class TerminalEffects {
                 border-color: rgba(255, 48, 48, 0.3);
             }
             
+            /* Contract Board */
+            .contract-board-heading {
+                color: #aaa;
+                font-size: 0.85em;
+                margin: 10px 0 5px;
+            }
+            
+            .contract-card {
+                padding: 8px 10px;
+                margin-bottom: 8px;
+                background-color: rgba(15, 40, 55, 0.8);
+                border: 1px solid rgba(51, 170, 255, 0.3);
+                border-radius: 5px;
+            }
+            
+            .contract-card-title {
+                color: var(--accent-cyan);
+                font-weight: bold;
+            }
+            
+            .contract-card-details {
+                font-size: 0.85em;
+                opacity: 0.85;
+                margin: 4px 0;
+            }
+            
+            .contract-card-terms {
+                display: flex;
+                justify-content: space-between;
+                font-size: 0.85em;
+            }
+            
+            .contract-reward { color: #ffcc33; }
+            .contract-penalty { color: #ff9999; }
+            .btn-contract-accept { background-color: var(--accent-green); }
+            .btn-contract-abandon { background-color: var(--accent-red); }
+            
             /* Common Button Styles */
             .action-btn {
                 width: 100%;
@@ -447,7 +484,8 @@ export class TerminalEffects {
                 #ship-status-section,
                 #market-section,
                 #upgrades-section,
-                #features-section {
+                #features-section,
+                #contracts-section {
                     grid-column: 1;
                 }
                 
@@ -225,6 +225,13 @@ export class TerminalKeyboard {
                     modifiers: { ...this.modifiers }
                 });
                 break;
+            case 'KeyR':
+                event.preventDefault();
+                this.triggerHandler('ctrlR', {
+                    input: this.inputBuffer,
+                    modifiers: { ...this.modifiers }
+                });
+                break;
         }
     }
     
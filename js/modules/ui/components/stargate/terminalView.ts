@@ -5,6 +5,8 @@ import { TerminalScreen } from './terminal/display/screen.js';
 import { TerminalEffects } from './terminal/display/effects.js';
 import { CommandParser } from './terminal/commands/parser.js';
 import { CommandHandlers } from './terminal/commands/handlers.js';
+import { commandRegistry } from './terminal/commands/registry.ts';
+import { TerminalStore } from './terminal/commands/terminalStore.ts';
 import { TerminalMessages } from './terminal/content/messages.js';
 import { TerminalKeyboard } from './terminal/input/keyboard.js';
 
@@ -15,15 +17,19 @@ export class TerminalView {
     private handlers: CommandHandlers;
     private messages: TerminalMessages;
     private keyboard: TerminalKeyboard;
+    // Active Ctrl+R search: the query and the history index of the last match
+    private search: { query: string; index: number } | null;
     
     constructor() {
         // Initialize all modules
+        const store = new TerminalStore();
         this.screen = new TerminalScreen();
         this.effects = new TerminalEffects();
-        this.parser = new CommandParser();
-        this.handlers = new CommandHandlers(this);
+        this.parser = new CommandParser(commandRegistry, store);
+        this.handlers = new CommandHandlers(this, commandRegistry, store, this.parser);
         this.messages = new TerminalMessages();
         this.keyboard = new TerminalKeyboard();
+        this.search = null;
 
         this.setupKeyboardHandlers();
     }
@@ -35,35 +41,98 @@ export class TerminalView {
     setupKeyboardHandlers(): void {
         // Register keyboard event handlers for terminal commands
         this.keyboard.registerHandler('enter', (data) => {
+            this.search = null;
             if (data.input?.trim()) {
                 this.handleCommand(data.input);
             }
         });
         
         this.keyboard.registerHandler('escape', () => {
+            this.search = null;
             this.hide();
         });
         
         this.keyboard.registerHandler('ctrlL', () => {
             this.clearTerminal();
         });
+
+        this.keyboard.registerHandler('tab', (data) => {
+            this.completeInput(data.input || '');
+        });
+
+        this.keyboard.registerHandler('arrowUp', () => {
+            const command = this.parser.getPreviousCommand();
+            if (command !== null) this.keyboard.setInput(command);
+        });
+
+        this.keyboard.registerHandler('arrowDown', () => {
+            const command = this.parser.getNextCommand();
+            if (command !== null) this.keyboard.setInput(command);
+        });
+
+        this.keyboard.registerHandler('ctrlR', (data) => {
+            this.reverseSearch(data.input || '');
+        });
+
+        // Typing ends a reverse search
+        this.keyboard.registerHandler('character', () => {
+            this.search = null;
+        });
+        this.keyboard.registerHandler('backspace', () => {
+            this.search = null;
+        });
     }
     
     async handleCommand(input: string): Promise<void> {
-        const parsed = this.parser.parseCommand(input);
-        const result = await this.handlers.executeCommand(parsed);
+        const results = await this.handlers.executeLine(input);
         
-        if (result.clearScreen) {
-            this.clearTerminal();
-        } else if (result.message) {
-            this.displayMessage(result.message);
+        for (const result of results) {
+            if (result.clearScreen) {
+                this.clearTerminal();
+            } else if (result.message) {
+                this.displayMessage(result.message);
+            }
+            
+            // Handle specific actions
+            if (result.action) {
+                this.handleAction(result.action, result.target);
+            }
         }
-        
-        // Handle specific actions
-        if (result.action) {
-            this.handleAction(result.action, result.target);
+    }
+
+    // Complete the word being typed from the command registry
+    completeInput(input: string): void {
+        const candidates = this.parser.completeInput(input);
+        if (candidates.length === 1) {
+            this.keyboard.setInput(`${candidates[0]} `);
+        } else if (candidates.length > 1) {
+            // Extend the input to the longest common prefix and show the options
+            let prefix = candidates[0];
+            for (const candidate of candidates) {
+                while (!candidate.startsWith(prefix)) {
+                    prefix = prefix.slice(0, -1);
+                }
+            }
+            this.keyboard.setInput(prefix);
+            this.displayMessage(candidates.map(candidate => candidate.slice(candidate.lastIndexOf(' ') + 1)).join('  '));
         }
     }
+
+    // Ctrl+R: find the newest history line containing the input; repeat to search further back
+    reverseSearch(input: string): void {
+        const query = this.search ? this.search.query : input;
+        if (!query) return;
+
+        const match = this.parser.searchHistory(query, this.search ? this.search.index : undefined);
+        if (!match) {
+            this.displayMessage(`(failed reverse-i-search)'${query}'`);
+            return;
+        }
+
+        this.search = { query, index: match.index };
+        this.keyboard.setInput(match.command);
+        this.displayMessage(`(reverse-i-search)'${query}': ${match.command}`);
+    }
     
     handleAction(action: string, target?: string): void {
         // This would trigger the appropriate stargate interface actions
@@ -71,18 +140,9 @@ export class TerminalView {
             case 'undock':
                 this.hide();
                 break;
-            case 'refuel':
-                this.triggerRefuel();
-                break;
-            case 'repair':
-                this.triggerRepair(target);
-                break;
             case 'enhance':
                 this.triggerUpgrade(target);
                 break;
-            case 'purchase':
-                this.triggerPurchase(target);
-                break;
             // Add more actions as needed
         }
     }
@@ -137,23 +197,8 @@ export class TerminalView {
     }
     
     // Event trigger methods for stargate interface integration
-    triggerRefuel(): void {
-        // To be implemented by the parent stargate interface
-        console.log('Refuel triggered');
-    }
-    
-    triggerRepair(system?: string): void {
-        // To be implemented by the parent stargate interface
-        console.log('Repair triggered for:', system);
-    }
-    
     triggerUpgrade(system?: string): void {
         // To be implemented by the parent stargate interface
         console.log('Upgrade triggered for:', system);
     }
-    
-    triggerPurchase(item?: string): void {
-        // To be implemented by the parent stargate interface
-        console.log('Purchase triggered for:', item);
-    }
 }
@@ -1,6 +1,26 @@
 // tradingView.ts - Trading interface components and logic
 
+import { EVENT } from '../../../../core/events.ts';
 import { mainMessageBus } from '../../../../globals/messageBus.ts';
+import { TREND_SYMBOLS, renderSparkline, type MarketModel, type MarketSystemInfo } from '../../../market/marketModel.ts';
+import {
+    ALLOYS,
+    ALLOY_PRICES,
+    BASE_CARGO_CAPACITY,
+    REFINING_RECIPES,
+    getCargoAmount,
+    getCargoMass,
+    getCargoVolume,
+    getRefinableAmount,
+    getTopSpeedFactor
+} from '../../../cargo/cargoHold.ts';
+import {
+    PRIORITY_LABELS,
+    TURRET_PRICE,
+    TURRET_PRIORITIES,
+    TURRET_UPGRADES,
+    type TurretFleet
+} from '../../../turrets/turretFleet.ts';
 
 interface Resources {
     iron: number;
@@ -15,9 +35,15 @@ interface Resources {
     };
 }
 
+interface MarketSystem extends MarketSystemInfo {
+    name: string;
+}
+
 interface Spaceship {
     credits: number;
     deployableLaserCount?: number;
+    turrets?: TurretFleet;
+    maxCargoCapacity?: number;
 }
 
 export class TradingView {
@@ -87,6 +113,7 @@ export class TradingView {
         const orbCount = this.resources.orbs[rarity as keyof typeof this.resources.orbs]!;
         this.resources.orbs[rarity as keyof typeof this.resources.orbs] = orbCount - 1;
         this.spaceship.credits += value;
+        mainMessageBus.publish(EVENT.CREDITS_EARNED, { amount: value, source: 'trade' });
         
         // Show message
         const capitalizedRarity = rarity.charAt(0).toUpperCase() + rarity.slice(1);
@@ -113,7 +140,7 @@ export class TradingView {
         }
         
         // Check if player has enough credits
-        if (this.spaceship.credits < 1000) {
+        if (this.spaceship.credits < TURRET_PRICE) {
             console.log("Not enough credits to purchase laser turret");
             // Show notification to the player
             if (mainMessageBus) {
@@ -127,7 +154,7 @@ export class TradingView {
         }
         
         // Purchase the laser turret
-        this.spaceship.credits -= 1000;
+        this.spaceship.credits -= TURRET_PRICE;
         
         // Initialize deployableLaserCount if it doesn't exist
         if (typeof this.spaceship.deployableLaserCount === 'undefined') {
@@ -256,7 +283,7 @@ export class TradingView {
         // Update the purchase laser button status
         const purchaseLaserBtn = document.getElementById('purchase-laser') as HTMLButtonElement;
         if (purchaseLaserBtn) {
-            if (this.spaceship.credits < 1000) {
+            if (this.spaceship.credits < TURRET_PRICE) {
                 purchaseLaserBtn.disabled = true;
                 purchaseLaserBtn.className = 'laser-purchase-btn-disabled';
             } else {
@@ -264,8 +291,165 @@ export class TradingView {
                 purchaseLaserBtn.className = 'laser-purchase-btn-enabled';
             }
         }
+        
+        const fleet = this.spaceship.turrets;
+        if (!fleet) return;
+        
+        const deployedElement = document.getElementById('deployed-laser-count');
+        if (deployedElement) {
+            deployedElement.textContent = String(fleet.turrets.length);
+        }
+        
+        // Highlight the active orders
+        TURRET_PRIORITIES.forEach(priority => {
+            const button = document.getElementById(`turret-priority-${priority}`);
+            if (button) {
+                const active = fleet.priority === priority;
+                button.style.backgroundColor = active ? '#FF3333' : '#333';
+                button.style.color = active ? '#fff' : '#aaa';
+                button.title = PRIORITY_LABELS[priority];
+            }
+        });
+        
+        // Upgrade levels and prices
+        const stats = fleet.getStats();
+        const statText = { range: `${stats.range}m`, damage: `${stats.damage} dmg`, health: `${stats.maxHealth} HP` };
+        TURRET_UPGRADES.forEach(upgrade => {
+            const cost = fleet.getUpgradeCost(upgrade);
+            const level = document.getElementById(`turret-${upgrade}-level`);
+            if (level) {
+                level.textContent = `Lv ${fleet.upgrades[upgrade]} · ${statText[upgrade]}`;
+            }
+            
+            const button = document.getElementById(`upgrade-turret-${upgrade}`) as HTMLButtonElement | null;
+            if (button) {
+                button.textContent = cost === null ? 'MAX' : `UPGRADE (${cost} CR)`;
+                button.disabled = cost === null || this.spaceship!.credits < cost;
+                button.style.opacity = button.disabled ? '0.5' : '1';
+                button.style.cursor = button.disabled ? 'not-allowed' : 'pointer';
+            }
+        });
     }
     
+    // Market and current system from the running game, if available
+    private getMarketContext(): { market: MarketModel; system: MarketSystem } | null {
+        const game = window.game as any;
+        const market: MarketModel | undefined = game && game.market;
+        const system: MarketSystem | null = game && game.environment && game.environment.starSystemGenerator
+            ? game.environment.starSystemGenerator.getCurrentSystemData()
+            : null;
+        return market && system ? { market, system } : null;
+    }
+
+    // Record prices on arrival so the history shows how the market moved while away
+    snapshotMarket(): void {
+        const context = this.getMarketContext();
+        if (context) {
+            context.market.snapshot(context.system);
+        }
+    }
+
+    updateMarketDisplay(): void {
+        const context = this.getMarketContext();
+        if (!context) return;
+
+        const quotes = context.market.getQuotes(context.system);
+
+        quotes.forEach(quote => {
+            const priceLabel = document.getElementById(`sell-${quote.commodity}-price`);
+            if (priceLabel) {
+                priceLabel.textContent = `(${quote.price} CR each)`;
+            }
+        });
+
+        const board = document.getElementById('market-prices');
+        if (!board) return;
+
+        board.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'market-prices-system';
+        header.textContent = `Local prices - ${context.system.name}`;
+        board.appendChild(header);
+
+        quotes.forEach(quote => {
+            const row = document.createElement('div');
+            row.className = 'market-price-row';
+
+            const name = document.createElement('span');
+            name.className = `market-price-name market-price-${quote.commodity}`;
+            name.textContent = quote.commodity;
+
+            const price = document.createElement('span');
+            price.className = 'market-price-value';
+            price.textContent = `${quote.price} CR`;
+
+            const trend = document.createElement('span');
+            trend.className = `market-trend-${quote.trend}`;
+            trend.textContent = TREND_SYMBOLS[quote.trend];
+
+            const history = document.createElement('span');
+            history.className = 'market-price-history';
+            history.textContent = renderSparkline(quote.history);
+            history.title = quote.history.join(' > ');
+
+            row.append(name, price, trend, history);
+            board.appendChild(row);
+        });
+    }
+
+    // Hold load plus the refinery: alloy stock, recipes and how many the ore on board makes
+    updateCargoDisplay(): void {
+        if (!this.resources) return;
+        const resources = this.resources;
+
+        const capacity = (this.spaceship && this.spaceship.maxCargoCapacity) || BASE_CARGO_CAPACITY;
+        const load = Math.ceil(getCargoVolume(resources));
+        const mass = getCargoMass(resources);
+
+        const loadLabel = document.getElementById('cargo-load');
+        if (loadLabel) {
+            const speedLoss = Math.round((1 - getTopSpeedFactor(mass)) * 100);
+            loadLabel.textContent = `Hold ${load} / ${capacity} - ${Math.round(mass)} t (-${speedLoss}% top speed)`;
+        }
+
+        const board = document.getElementById('refinery');
+        if (!board) return;
+
+        board.innerHTML = '';
+
+        ALLOYS.forEach(alloy => {
+            const row = document.createElement('div');
+            row.className = 'refinery-row';
+
+            const name = document.createElement('span');
+            name.className = `refinery-alloy refinery-alloy-${alloy}`;
+            name.textContent = `${alloy} (${getCargoAmount(resources, alloy)})`;
+
+            const recipe = document.createElement('span');
+            recipe.className = 'refinery-recipe';
+            recipe.textContent = Object.entries(REFINING_RECIPES[alloy].inputs)
+                .map(([ore, amount]) => `${amount} ${ore}`)
+                .join(' + ');
+
+            const price = document.createElement('span');
+            price.className = 'refinery-price';
+            price.textContent = `${ALLOY_PRICES[alloy]} CR`;
+
+            const available = document.createElement('span');
+            available.className = 'refinery-available';
+            available.textContent = `can make ${getRefinableAmount(resources, alloy)}`;
+
+            row.append(name, recipe, price, available);
+            board.appendChild(row);
+
+            const refineBtn = document.getElementById(`refine-${alloy}`) as HTMLButtonElement | null;
+            if (refineBtn) refineBtn.disabled = getRefinableAmount(resources, alloy) === 0;
+            const sellBtn = document.getElementById(`sell-${alloy}`) as HTMLButtonElement | null;
+            if (sellBtn) sellBtn.disabled = getCargoAmount(resources, alloy) === 0;
+        });
+    }
+
     updateResourceSellButtons(): void {
         if (!this.resources) return;
         
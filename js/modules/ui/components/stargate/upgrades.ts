@@ -1,5 +1,8 @@
 // upgrades.ts - Ship upgrades UI and logic
 
+import { getCargoCapacity } from '../../../cargo/cargoHold.ts';
+import { HARDPOINTS, WEAPONS, WEAPON_IDS, type WeaponLoadout } from '../../../weapons/weaponLoadout.ts';
+
 interface Spaceship {
     fuelTankLevel: number;
     maxFuel: number;
@@ -16,7 +19,10 @@ interface Spaceship {
     scannerLevel: number;
     scanRange: number;
     scannerUpgradeCost: number;
+    cargoLevel: number;
+    cargoUpgradeCost: number;
     credits: number;
+    weapons?: WeaponLoadout;
 }
 
 export class UpgradesView {
@@ -120,12 +126,57 @@ export class UpgradesView {
             scannerUpgradeProgress.style.width = `${Math.min(this.spaceship.scannerLevel * 20, 100)}%`;
         }
         
+        // Update Cargo Hold upgrade information
+        const currentCargoLevel = document.getElementById('current-cargo-level');
+        const currentCargoCapacity = document.getElementById('current-cargo-capacity');
+        const nextCargoCapacity = document.getElementById('next-cargo-capacity');
+        const cargoUpgradeCost = document.getElementById('cargo-upgrade-cost');
+        const cargoUpgradeProgress = document.getElementById('cargo-upgrade-progress');
+        
+        if (currentCargoLevel) currentCargoLevel.textContent = String(this.spaceship.cargoLevel);
+        if (currentCargoCapacity) {
+            currentCargoCapacity.textContent = String(getCargoCapacity(this.spaceship.cargoLevel));
+        }
+        if (nextCargoCapacity) {
+            nextCargoCapacity.textContent = String(getCargoCapacity(this.spaceship.cargoLevel + 1));
+        }
+        if (cargoUpgradeCost) cargoUpgradeCost.textContent = String(this.spaceship.cargoUpgradeCost);
+        if (cargoUpgradeProgress) {
+            cargoUpgradeProgress.style.width = `${Math.min(this.spaceship.cargoLevel * 20, 100)}%`;
+        }
+        
         // Update upgrade button statuses
         this.updateUpgradeButtonStatus('upgrade-fuel-tank', this.spaceship.credits, this.spaceship.fuelUpgradeCost, '#00cc33');
         this.updateUpgradeButtonStatus('upgrade-engine', this.spaceship.credits, this.spaceship.engineUpgradeCost, '#ff9900');
         this.updateUpgradeButtonStatus('upgrade-mining', this.spaceship.credits, this.spaceship.miningUpgradeCost, '#ff3030');
         this.updateUpgradeButtonStatus('upgrade-hull', this.spaceship.credits, this.spaceship.hullUpgradeCost, '#30cfd0');
         this.updateUpgradeButtonStatus('upgrade-scanner', this.spaceship.credits, this.spaceship.scannerUpgradeCost, '#9933cc');
+        this.updateUpgradeButtonStatus('upgrade-cargo', this.spaceship.credits, this.spaceship.cargoUpgradeCost, '#cd7f32');
+        
+        // Weapons can be bought once, restocked when ammunition is missing and mounted once owned
+        const loadout = this.spaceship.weapons;
+        if (loadout) {
+            WEAPON_IDS.forEach(id => {
+                const weapon = WEAPONS[id];
+                const color = `#${weapon.color.toString(16).padStart(6, '0')}`;
+                const owned = loadout.owns(id);
+                const mountedOn = HARDPOINTS.filter(hardpoint => loadout.mounts[hardpoint] === id);
+                
+                const status = document.getElementById(`weapon-${id}-status`);
+                if (status) {
+                    const ammo = owned && weapon.maxAmmo > 0 ? ` · ${loadout.ammo[id]}/${weapon.maxAmmo} rounds` : '';
+                    const mounts = mountedOn.length > 0 ? ` · ${mountedOn.join(' + ').toUpperCase()}` : '';
+                    status.textContent = owned ? `OWNED${ammo}${mounts}` : `${weapon.price} CR`;
+                }
+                
+                this.updateUpgradeButtonStatus(`buy-weapon-${id}`, this.spaceship!.credits, owned ? Infinity : weapon.price, color);
+                this.updateUpgradeButtonStatus(`restock-${id}`, this.spaceship!.credits, loadout.getRestockCost(id) > 0 ? weapon.ammoPrice : Infinity, color);
+                HARDPOINTS.forEach(hardpoint => {
+                    const mountable = owned && !mountedOn.includes(hardpoint);
+                    this.updateUpgradeButtonStatus(`mount-${id}-${hardpoint}`, this.spaceship!.credits, mountable ? 0 : Infinity, color);
+                });
+            });
+        }
     }
     
     // Helper method to update upgrade button status
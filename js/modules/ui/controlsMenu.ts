@@ -1,10 +1,36 @@
-// controlsMenu.js - Handles the controls menu UI
+// controlsMenu.js - Handles the controls menu UI and key/gamepad rebinding
+
+import {
+    actionMap,
+    CONTROL_ACTIONS,
+    ACTION_INTENT_BITS,
+    formatBinding,
+    type BindingDevice,
+    type ControlAction
+} from '../controls/actionMap.ts';
+import type { ControlProfiles } from '../controls/controlProfiles.ts';
+
+interface BindingCapture {
+    device: BindingDevice;
+    action: ControlAction;
+    button: HTMLButtonElement;
+    // Gamepad buttons already held when the capture started
+    heldButtons: Set<number>;
+}
+
+const ACTION_LABELS = new Map(CONTROL_ACTIONS.map(info => [info.action, info.label]));
 
 export class ControlsMenu {
+    private capture: BindingCapture | null;
+    private suppressNextClick: boolean;
+
     constructor() {
+        this.capture = null;
+        this.suppressNextClick = false;
         this.setupControlsMenu();
+        this.setupCaptureListeners();
     }
-    
+
     setupControlsMenu(): void {
         // Create controls menu
         const controlsMenu = document.createElement('div');
@@ -12,46 +38,41 @@ export class ControlsMenu {
         controlsMenu.className = 'controls-menu';
         controlsMenu.style.display = 'none';
         document.body.appendChild(controlsMenu);
-        
+
         // Controls menu header
         const controlsTitle = document.createElement('div');
         controlsTitle.className = 'help-title';
         controlsTitle.innerHTML = 'CONTROLS <span id="close-controls" style="float: right; cursor: pointer; font-weight: bold;">X</span>';
         controlsMenu.appendChild(controlsTitle);
-        
-        // Control rows
-        const createControlRow = (keyText: string, actionText: string): HTMLDivElement => {
-            const row = document.createElement('div');
-            row.className = 'controls-menu-row';
-            
-            const keySpan = document.createElement('span');
-            if (keyText !== 'Mouse') {
-                keySpan.className = 'controls-menu-key';
-            }
-            keySpan.textContent = keyText;
-            row.appendChild(keySpan);
-            
-            const actionSpan = document.createElement('span');
-            actionSpan.textContent = actionText;
-            row.appendChild(actionSpan);
-            
-            return row;
-        };
-        
-        // Add all control rows
-        controlsMenu.appendChild(createControlRow('W', 'Forward Thrust'));
-        controlsMenu.appendChild(createControlRow('S', 'Backward Thrust'));
-        controlsMenu.appendChild(createControlRow('A', 'Left Thrust'));
-        controlsMenu.appendChild(createControlRow('D', 'Right Thrust'));
-        controlsMenu.appendChild(createControlRow('SHIFT', 'Boost'));
-        controlsMenu.appendChild(createControlRow('Mouse', 'Ship Rotation'));
-        controlsMenu.appendChild(createControlRow('Click', 'Fire Particle Cannon'));
-        controlsMenu.appendChild(createControlRow('E', 'Target Lock-On'));
-        controlsMenu.appendChild(createControlRow('TAB', 'Cycle Targets'));
-        controlsMenu.appendChild(createControlRow('R', 'Toggle Mining'));
-        controlsMenu.appendChild(createControlRow('T', 'Deploy Laser Turret'));
-        controlsMenu.appendChild(createControlRow('Q', 'Dock with Stargate'));
-        
+
+        // Profile selection
+        const profileBar = document.createElement('div');
+        profileBar.className = 'controls-menu-profile';
+        profileBar.innerHTML = `
+            <select id="controls-profile-select"></select>
+            <input id="controls-profile-name" type="text" maxlength="24" placeholder="New profile">
+            <button id="controls-profile-new" class="controls-menu-btn">NEW</button>
+            <button id="controls-profile-delete" class="controls-menu-btn">DELETE</button>
+            <button id="controls-profile-reset" class="controls-menu-btn">RESET</button>
+        `;
+        controlsMenu.appendChild(profileBar);
+
+        const swapRow = document.createElement('label');
+        swapRow.className = 'controls-menu-swap';
+        swapRow.innerHTML = '<input id="controls-swap-sticks" type="checkbox"> Swap gamepad sticks (move with right stick)';
+        controlsMenu.appendChild(swapRow);
+
+        const bindingList = document.createElement('div');
+        bindingList.id = 'controls-binding-list';
+        controlsMenu.appendChild(bindingList);
+
+        const status = document.createElement('div');
+        status.id = 'controls-menu-status';
+        status.className = 'controls-menu-status';
+        controlsMenu.appendChild(status);
+
+        this.setupProfileHandlers(controlsMenu);
+
         // Set up event listeners for the controls menu
         const closeControls = document.getElementById('close-controls');
         if (closeControls) {
@@ -64,31 +85,288 @@ export class ControlsMenu {
         document.addEventListener('click', (e: MouseEvent) => {
             const controlsMenu = document.getElementById('controls-menu') as HTMLDivElement | null;
             const showControlsButton = document.getElementById('show-controls') as HTMLButtonElement | null;
-            
+
             if (!controlsMenu) return;
-            
-            if (controlsMenu.style.display === 'block' && 
-                !controlsMenu.contains(e.target as Node) && 
+
+            if (controlsMenu.style.display === 'block' &&
+                !controlsMenu.contains(e.target as Node) &&
                 e.target !== showControlsButton) {
                 this.hide();
             }
         });
     }
-    
+
+    private getProfiles(): ControlProfiles | null {
+        const game = window.game as any;
+        return (game && game.controls && game.controls.controlProfiles) || null;
+    }
+
+    private setupProfileHandlers(controlsMenu: HTMLDivElement): void {
+        const select = controlsMenu.querySelector('#controls-profile-select') as HTMLSelectElement;
+        const nameInput = controlsMenu.querySelector('#controls-profile-name') as HTMLInputElement;
+        const swapSticks = controlsMenu.querySelector('#controls-swap-sticks') as HTMLInputElement;
+
+        select.addEventListener('change', () => {
+            this.getProfiles()?.select(select.value);
+            this.setStatus(`Using profile "${select.value}".`);
+            this.render();
+        });
+
+        controlsMenu.querySelector('#controls-profile-new')!.addEventListener('click', () => {
+            const profiles = this.getProfiles();
+            if (!profiles) return;
+
+            const profile = profiles.create(nameInput.value);
+            if (profile) {
+                nameInput.value = '';
+                this.setStatus(`Created profile "${profile.name}" from the current bindings.`);
+                this.render();
+            } else {
+                this.setStatus('Enter a name that is not already in use.', true);
+            }
+        });
+
+        controlsMenu.querySelector('#controls-profile-delete')!.addEventListener('click', () => {
+            const profiles = this.getProfiles();
+            if (!profiles) return;
+
+            const name = profiles.activeName;
+            if (profiles.remove(name)) {
+                this.setStatus(`Deleted profile "${name}".`);
+                this.render();
+            } else {
+                this.setStatus('The last profile cannot be deleted.', true);
+            }
+        });
+
+        controlsMenu.querySelector('#controls-profile-reset')!.addEventListener('click', () => {
+            const profiles = this.getProfiles();
+            if (!profiles) return;
+
+            profiles.resetActive();
+            this.setStatus(`Restored default bindings for "${profiles.activeName}".`);
+            this.render();
+        });
+
+        swapSticks.addEventListener('change', () => {
+            this.getProfiles()?.setSwapSticks(swapSticks.checked);
+            this.render();
+        });
+    }
+
+    private render(): void {
+        const controlsMenu = document.getElementById('controls-menu');
+        const profiles = this.getProfiles();
+        if (!controlsMenu) return;
+
+        const select = controlsMenu.querySelector('#controls-profile-select') as HTMLSelectElement;
+        const swapSticks = controlsMenu.querySelector('#controls-swap-sticks') as HTMLInputElement;
+        const list = controlsMenu.querySelector('#controls-binding-list') as HTMLDivElement;
+
+        select.innerHTML = '';
+        if (profiles) {
+            profiles.profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = profile.name;
+                option.selected = profile.name === profiles.activeName;
+                select.appendChild(option);
+            });
+        }
+        swapSticks.checked = actionMap.profile.swapSticks;
+
+        list.innerHTML = '';
+        list.appendChild(this.createRow('ACTION', 'KEYBOARD', 'GAMEPAD', 'controls-menu-header'));
+
+        CONTROL_ACTIONS.forEach(({ action, label }) => {
+            const row = this.createRow(label, '', '', '');
+            row.replaceChild(this.createBindingButton('keyboard', action), row.children[1]);
+
+            if (ACTION_INTENT_BITS[action] !== undefined) {
+                // Thrust comes from the analog stick on a gamepad
+                row.children[2].textContent = actionMap.profile.swapSticks ? 'R-STICK' : 'L-STICK';
+            } else {
+                row.replaceChild(this.createBindingButton('gamepad', action), row.children[2]);
+            }
+            list.appendChild(row);
+        });
+
+        list.appendChild(this.createRow('Ship Rotation', 'MOUSE', actionMap.profile.swapSticks ? 'L-STICK' : 'R-STICK', ''));
+    }
+
+    private createRow(actionText: string, keyText: string, gamepadText: string, extraClass: string): HTMLDivElement {
+        const row = document.createElement('div');
+        row.className = `controls-menu-row ${extraClass}`.trim();
+
+        [actionText, keyText, gamepadText].forEach(text => {
+            const cell = document.createElement('span');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    private createBindingButton(device: BindingDevice, action: ControlAction): HTMLButtonElement {
+        const button = document.createElement('button');
+        button.className = 'controls-menu-key';
+
+        const bindings = device === 'keyboard' ? actionMap.getKeys(action) : actionMap.getButtons(action);
+        button.textContent = bindings.length > 0
+            ? bindings.map(binding => formatBinding(device, binding)).join(' / ')
+            : '—';
+
+        button.addEventListener('click', (e: MouseEvent) => {
+            e.stopPropagation();
+            this.startCapture(device, action, button);
+        });
+
+        return button;
+    }
+
+    private startCapture(device: BindingDevice, action: ControlAction, button: HTMLButtonElement): void {
+        if (!this.getProfiles()) {
+            this.setStatus('Controls are not ready yet.', true);
+            return;
+        }
+
+        this.cancelCapture();
+
+        const heldButtons = new Set<number>();
+        if (device === 'gamepad') {
+            this.getPressedButtons().forEach(index => heldButtons.add(index));
+        }
+
+        this.capture = { device, action, button, heldButtons };
+        button.classList.add('controls-menu-key-capturing');
+        button.textContent = device === 'keyboard' ? 'PRESS KEY' : 'PRESS BUTTON';
+        this.setStatus('Esc cancels, Backspace clears the binding.');
+
+        if (device === 'gamepad') {
+            requestAnimationFrame(() => this.pollGamepadCapture());
+        }
+    }
+
+    private cancelCapture(): void {
+        if (this.capture) {
+            this.capture = null;
+            this.render();
+        }
+    }
+
+    private finishCapture(binding: string | number | null): void {
+        const capture = this.capture;
+        const profiles = this.getProfiles();
+        this.capture = null;
+        if (!capture || !profiles) return;
+
+        const label = ACTION_LABELS.get(capture.action);
+        if (binding === null) {
+            actionMap.clear(capture.device, capture.action);
+            this.setStatus(`Cleared ${capture.device} binding for ${label}.`);
+        } else {
+            const conflicts = actionMap.bind(capture.device, capture.action, binding);
+            if (conflicts.length > 0) {
+                const names = conflicts.map(action => ACTION_LABELS.get(action)).join(', ');
+                this.setStatus(`${formatBinding(capture.device, binding)} was bound to ${names}; it now triggers ${label}.`, true);
+            } else {
+                this.setStatus(`${label} bound to ${formatBinding(capture.device, binding)}.`);
+            }
+        }
+
+        profiles.save();
+        this.render();
+    }
+
+    private setupCaptureListeners(): void {
+        // Capture phase on window, so a key being bound never reaches the game
+        window.addEventListener('keydown', (e: KeyboardEvent) => {
+            if (!this.capture) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+
+            if (e.key === 'Escape') {
+                this.cancelCapture();
+                this.setStatus('');
+            } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                this.finishCapture(null);
+            } else if (this.capture.device === 'keyboard') {
+                this.finishCapture(e.key);
+            }
+        }, true);
+
+        window.addEventListener('mousedown', (e: MouseEvent) => {
+            if (!this.capture || this.capture.device !== 'keyboard') return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.suppressNextClick = true;
+            this.finishCapture(`mouse${e.button}`);
+        }, true);
+
+        window.addEventListener('click', (e: MouseEvent) => {
+            if (!this.suppressNextClick) return;
+            this.suppressNextClick = false;
+            e.stopImmediatePropagation();
+        }, true);
+    }
+
+    private pollGamepadCapture(): void {
+        const capture = this.capture;
+        if (!capture || capture.device !== 'gamepad') return;
+
+        const pressed = this.getPressedButtons();
+        // Wait for buttons held at the start to be released before accepting them
+        capture.heldButtons.forEach(index => {
+            if (!pressed.includes(index)) capture.heldButtons.delete(index);
+        });
+
+        const newButton = pressed.find(index => !capture.heldButtons.has(index));
+        if (newButton !== undefined) {
+            this.finishCapture(newButton);
+            return;
+        }
+
+        requestAnimationFrame(() => this.pollGamepadCapture());
+    }
+
+    private getPressedButtons(): number[] {
+        if (!('getGamepads' in navigator)) return [];
+
+        const pressed: number[] = [];
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad) continue;
+            gamepad.buttons.forEach((button, index) => {
+                if (button.pressed && !pressed.includes(index)) pressed.push(index);
+            });
+        }
+        return pressed;
+    }
+
+    private setStatus(message: string, isWarning = false): void {
+        const status = document.getElementById('controls-menu-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('controls-menu-status-warning', isWarning);
+        }
+    }
+
     show(): void {
         const controlsMenu = document.getElementById('controls-menu') as HTMLDivElement | null;
         if (controlsMenu) {
             controlsMenu.style.display = 'block';
+            this.setStatus('Click a binding to change it.');
+            this.render();
         }
     }
-    
+
     hide(): void {
+        this.capture = null;
         const controlsMenu = document.getElementById('controls-menu') as HTMLDivElement | null;
         if (controlsMenu) {
             controlsMenu.style.display = 'none';
         }
     }
-    
+
     setupButtonHandler(): void {
         // Add click handler for the show controls button
         const showControlsButton = document.getElementById('show-controls') as HTMLButtonElement | null;
@@ -99,4 +377,4 @@ export class ControlsMenu {
             });
         }
     }
-} 
+}
@@ -1,6 +1,7 @@
 // customSystemCreator.js - Refactored UI for creating custom star systems with AI-generated assets
 
 import { ApiClient } from '../utils/apiClient.ts';
+import { CONTENT_PROVIDER_LABELS, type ContentResponse } from '../utils/contentProvider.ts';
 import { StyleManager } from './components/customSystem/styles.ts';
 import { ValidationManager } from './components/customSystem/validation.ts';
 import { SystemDataManager } from './components/customSystem/systemData.ts';
@@ -8,21 +9,22 @@ import { FormViewManager } from './components/customSystem/formView.ts';
 import { PreviewManager } from './components/customSystem/preview.ts';
 import { EventHandlerManager } from './components/customSystem/eventHandlers.ts';
 import { HelperManager } from './components/customSystem/helpers.ts';
-
-type ApiImageResponse = {
-    success: boolean;
-    image_paths?: string[];
-    message?: string;
-};
+import { SystemLibrary } from './components/customSystem/library.ts';
+import {
+    encodeShareCode,
+    exportSystemJSON,
+    getShareUrl,
+    importSharedSystem,
+    readShareCodeFromHash,
+    toSystemData
+} from './components/customSystem/shareCode.ts';
+import type { SystemData } from './components/customSystem/systemData.ts';
+import { mainMessageBus } from '../../globals/messageBus.ts';
 
 type GeneratedPlanetPreview = {
     name: string;
     url: string | null;
-};
-
-type CustomSystemData = {
-    id: string;
-    [key: string]: unknown;
+    description?: string;
 };
 
 type StarSystemGenerator = any;
@@ -39,7 +41,8 @@ export class CustomSystemCreator {
     isGenerating: boolean;
     generatedSkyboxUrl: string | null;
     generatedPlanetUrls: GeneratedPlanetPreview[];
-    systemData: CustomSystemData | null;
+    systemData: SystemData | null;
+    library: SystemLibrary;
     helpers: HelperManager;
     isMobile: boolean;
     styleManager: StyleManager;
@@ -73,6 +76,7 @@ export class CustomSystemCreator {
         this.generatedSkyboxUrl = null;
         this.generatedPlanetUrls = [];
         this.systemData = null;
+        this.library = new SystemLibrary();
         
         // Initialize helper utilities
         this.helpers = new HelperManager();
@@ -106,6 +110,8 @@ export class CustomSystemCreator {
         this.createUI();
         this.setupEventHandlers();
         this.setupSliderListeners(1);
+        this.refreshLibrary();
+        this.importFromLocation();
     }
     
     createUI(): void {
@@ -249,7 +255,7 @@ export class CustomSystemCreator {
                 throw new Error('Missing system input elements');
             }
             
-            const skyboxResponse: ApiImageResponse = await this.apiClient.generateSkybox(
+            const skyboxResponse: ContentResponse = await this.apiClient.generateSkybox(
                 this.systemNameInput.value.trim(), 
                 this.skyboxDescription.value.trim()
             );
@@ -259,6 +265,7 @@ export class CustomSystemCreator {
             }
             
             this.generatedSkyboxUrl = skyboxResponse.image_paths[0];
+            const providers = new Set([skyboxResponse.provider]);
             
             // Generate planets
             this.generatedPlanetUrls = [];
@@ -268,13 +275,18 @@ export class CustomSystemCreator {
                     `Generating planet ${i+1} of ${planets.length}: ${planet.name}...`
                 );
                 
-                const planetResponse: ApiImageResponse = await this.apiClient.generatePlanet(planet.name, planet.description);
-                
-                if (planetResponse.success && planetResponse.image_paths?.length) {
+                // A planet without a texture falls back to a built-in one
+                try {
+                    const planetResponse: ContentResponse = await this.apiClient.generatePlanet(planet.name, planet.description);
+                    providers.add(planetResponse.provider);
                     this.generatedPlanetUrls.push({
                         name: planet.name,
-                        url: planetResponse.image_paths[0]
+                        url: planetResponse.image_paths?.[0] || null,
+                        description: planetResponse.description
                     });
+                } catch (error) {
+                    console.warn(`Planet ${planet.name} texture failed:`, error);
+                    this.generatedPlanetUrls.push({ name: planet.name, url: null });
                 }
             }
             
@@ -297,6 +309,9 @@ export class CustomSystemCreator {
                 this.generatedPlanetUrls, 
                 this.apiClient
             );
+            this.previewManager.showProviderNote(
+                `Generated with: ${[...providers].map(id => CONTENT_PROVIDER_LABELS[id]).join(', ')}`
+            );
             
         } catch (error) {
             const errorMessage = error instanceof Error ? error.message : String(error);
@@ -331,6 +346,8 @@ export class CustomSystemCreator {
                 throw new Error('Failed to add custom system');
             }
             
+            this.library.save(this.systemData);
+            this.refreshLibrary();
             this.hide();
             
             if (this.environment?.travelToSystem) {
@@ -349,6 +366,158 @@ export class CustomSystemCreator {
         }
     }
     
+    /**
+     * Load a system from a share code, share link or exported JSON, save it to
+     * the library and show it in the preview ready to travel
+     * @returns False if the input was rejected
+     */
+    importSystem(text: string): boolean {
+        const { system, errors } = importSharedSystem(text, this.validationManager);
+        if (!system) {
+            this.validationManager.showMobileAlert(
+                `Could not import system: ${errors[0]}`,
+                this.playUISound.bind(this) as unknown as null
+            );
+            return false;
+        }
+        
+        this.systemData = toSystemData(system);
+        this.library.save(this.systemData);
+        this.refreshLibrary();
+        
+        this.generatedSkyboxUrl = this.systemData.skyboxUrl || null;
+        this.generatedPlanetUrls = this.systemData.planetData.map(planet => ({
+            name: planet.name,
+            url: planet.textureUrl || null
+        }));
+        this.systemForm?.style.setProperty('display', 'none');
+        this.previewManager.showProviderNote('');
+        this.previewManager.showSystemPreview(this.generatedSkyboxUrl, this.generatedPlanetUrls, this.apiClient);
+        return true;
+    }
+    
+    async importSystemFile(file: File): Promise<boolean> {
+        try {
+            return this.importSystem(await file.text());
+        } catch (error) {
+            console.error('Error reading system file:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Import a system from a "#system=" share link the game was opened with
+     */
+    importFromLocation(): void {
+        const code = readShareCodeFromHash(window.location.hash);
+        if (!code) return;
+        
+        const { system, errors } = importSharedSystem(code, this.validationManager);
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        
+        if (!system) {
+            console.error('Shared system link rejected:', errors);
+            mainMessageBus.publish('ui.notification', {
+                message: `Shared system link rejected: ${errors[0]}`,
+                type: 'error',
+                duration: 5000
+            });
+            return;
+        }
+        
+        this.library.save(toSystemData(system));
+        this.refreshLibrary();
+        mainMessageBus.publish('ui.notification', {
+            message: `${system.name} added to your saved systems - open Create System at the stargate to travel there`,
+            type: 'success',
+            duration: 6000
+        });
+    }
+    
+    saveToLibrary(): void {
+        if (!this.systemData) return;
+        this.library.save(this.systemData);
+        this.refreshLibrary();
+        this.showShareStatus(`${this.systemData.name} saved to your library.`);
+    }
+    
+    /**
+     * Show a share link for a system and copy it to the clipboard
+     */
+    shareSystem(systemData: SystemData | null = this.systemData): void {
+        if (!systemData) return;
+        
+        const url = getShareUrl(encodeShareCode(systemData), window.location.href);
+        const output = document.getElementById('system-share-output');
+        const codeInput = document.getElementById('system-share-code') as HTMLInputElement | null;
+        if (output) output.style.display = 'block';
+        if (codeInput) {
+            codeInput.value = url;
+            codeInput.select();
+        }
+        
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(
+                () => this.showShareStatus('Share link copied to the clipboard.'),
+                () => this.showShareStatus('Copy the share link above to share this system.')
+            );
+        } else {
+            this.showShareStatus('Copy the share link above to share this system.');
+        }
+    }
+    
+    /**
+     * Download the current system as a JSON file
+     */
+    exportSystem(): void {
+        if (!this.systemData) return;
+        
+        const blob = new Blob([exportSystemJSON(this.systemData)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.systemData.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'system'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    travelToSavedSystem(id: string): void {
+        const entry = this.library.get(id);
+        if (!entry) return;
+        
+        this.systemData = toSystemData(entry.system, entry.id);
+        this.travelToSystem();
+    }
+    
+    shareSavedSystem(id: string): void {
+        const entry = this.library.get(id);
+        if (entry) {
+            this.shareSystem(toSystemData(entry.system, entry.id));
+        }
+    }
+    
+    deleteSavedSystem(id: string): void {
+        if (this.library.remove(id)) {
+            this.refreshLibrary();
+        }
+    }
+    
+    refreshLibrary(): void {
+        const list = document.getElementById('system-library-list');
+        if (list) {
+            list.innerHTML = this.formViewManager.createLibraryEntries(this.library.list());
+        }
+    }
+    
+    showShareStatus(message: string): void {
+        const output = document.getElementById('system-share-output');
+        const status = document.getElementById('system-share-status');
+        if (output) output.style.display = 'block';
+        if (status) status.textContent = message;
+    }
+    
     playUISound(): void {
         this.helpers.playUISound();
     }
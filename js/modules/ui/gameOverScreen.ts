@@ -1,6 +1,8 @@
 // gameOverScreen.js - Handles the game over UI
 
 import { getAbsolutePath } from '../../utils/pathUtils.ts';
+import { formatRunStat } from '../stats/runStats.ts';
+import type { RunComparison } from '../stats/leaderboard.ts';
 
 type GameOverAudio = {
     playSound?: (sound: string) => void;
@@ -18,6 +20,7 @@ type GameOverResources = {
     platinum?: number;
     resources?: GameOverResources;
     hordeMode?: HordeModeData;
+    runSummary?: RunComparison | null;
 };
 
 type GameOverMessage = {
@@ -242,6 +245,11 @@ export class GameOverScreen {
                     </div>
                 `;
             }
+
+            // Compare the run with the personal bests for its mode
+            if (typedResources && typedResources.runSummary) {
+                resourcesSummary.insertAdjacentHTML('beforeend', this.renderRunSummary(typedResources.runSummary));
+            }
         }
         
         // Simpler approach to play explosion sound as a backup
@@ -268,4 +276,35 @@ export class GameOverScreen {
             document.exitPointerLock();
         }
     }
+
+    // Table of this run's stats against the previous personal bests
+    renderRunSummary(summary: RunComparison): string {
+        const rows = summary.rows.map(row => {
+            const best = row.best === null ? '-' : formatRunStat(row.key, row.best);
+            const rowClass = row.isNewBest ? ' class="game-over-run-stats-new-best"' : '';
+            return `
+                <tr${rowClass}>
+                    <td>${row.label}</td>
+                    <td>${formatRunStat(row.key, row.value)}</td>
+                    <td>${best}</td>
+                    <td>${row.isNewBest ? 'NEW BEST' : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const modeLabel = summary.entry.mode === 'horde' ? 'Horde' : 'Standard';
+        const rank = summary.rank !== null ? `Leaderboard rank #${summary.rank}` : 'Not on the leaderboard';
+
+        return `
+            <div class="game-over-run-stats">
+                <p class="game-over-run-stats-title">${modeLabel} run - ${rank}</p>
+                <table class="game-over-run-stats-table">
+                    <thead>
+                        <tr><th>Stat</th><th>This Run</th><th>Best</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
 } 
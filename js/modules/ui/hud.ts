@@ -6,6 +6,12 @@ import { HUDNotifications } from './components/hud/notifications.js';
 import { HUDStatusIndicators } from './components/hud/statusIndicators.js';
 import { HUDEventHandlers } from './components/hud/eventHandlers.js';
 import { HUDHelpers } from './components/hud/helpers.js';
+import { WeaponDisplay } from './components/combat/weaponDisplay.js';
+import { combatStyles } from './components/combat/styles.js';
+import type { Contract } from '../contracts/contractBoard.ts';
+import type { BossStatus } from '../boss/dreadnoughtBoss.ts';
+import type { TurretStatus } from '../turrets/turretFleet.ts';
+import { mainMessageBus } from '../../globals/messageBus.ts';
 
 type HUDSpaceship = {
     [key: string]: unknown;
@@ -16,12 +22,21 @@ type HUDNotificationType = 'info' | 'warning' | 'error' | 'success';
 export class HUD {
     spaceship: HUDSpaceship | null;
     eventHandlers: HUDEventHandlers | null;
+    weaponDisplay: WeaponDisplay;
+    unsubscribeScramble: (() => void) | null;
 
     constructor(spaceship: HUDSpaceship) {
         this.spaceship = spaceship;
         this.eventHandlers = new HUDEventHandlers();
+        this.weaponDisplay = new WeaponDisplay();
+        this.weaponDisplay.setReferences(spaceship.weapons, spaceship);
         this.setupHUD();
         this.eventHandlers?.animateHudIn();
+
+        // Quantum flux interference
+        this.unsubscribeScramble = mainMessageBus.subscribe('anomaly.hudScrambled', (message) => {
+            this.eventHandlers?.scrambleHud(message.data.duration);
+        });
     }
     
     setupHUD(): void {
@@ -39,10 +54,14 @@ export class HUD {
         
         // Create all HUD panels
         HUDDisplays.createFlightPanel(hudContainer);
-        HUDDisplays.createStatusPanel(hudContainer);
+        const statusPanel = HUDDisplays.createStatusPanel(hudContainer);
+        this.weaponDisplay.createWeaponDisplay(statusPanel, combatStyles);
         HUDStatusIndicators.createTargetingSystem(hudContainer);
         HUDDisplays.createLocationPanel(hudContainer);
         HUDDisplays.createResourcePanel(hudContainer);
+        HUDDisplays.createContractPanel(hudContainer);
+        HUDDisplays.createBossBar(hudContainer);
+        HUDDisplays.createTurretPanel(hudContainer);
         HUDNotifications.createNotificationsArea(hudContainer);
     }
     
@@ -63,6 +82,9 @@ export class HUD {
         HUDStatusIndicators.updateFuelDisplay(this.spaceship);
         HUDStatusIndicators.updateCreditsDisplay(this.spaceship);
         
+        // Update active weapon, capacitor and cooldown
+        this.weaponDisplay.updateWeaponDisplay();
+        
         // Update horde mode display
         HUDNotifications.updateHordeModeDisplay();
     }
@@ -80,6 +102,18 @@ export class HUD {
     updateFPS(fps: number, cap?: number): void {
         HUDStatusIndicators.updateFPS(fps, cap ?? 0);
     }
+
+    updateContracts(contracts: Contract[]): void {
+        HUDStatusIndicators.updateContracts(contracts);
+    }
+
+    updateBossBar(status: BossStatus | null): void {
+        HUDStatusIndicators.updateBossBar(status);
+    }
+
+    updateTurrets(turrets: TurretStatus[]): void {
+        HUDStatusIndicators.updateTurrets(turrets);
+    }
     
     hide(): void {
         this.eventHandlers?.hide();
@@ -90,6 +124,8 @@ export class HUD {
     }
     
     destroy(): void {
+        this.unsubscribeScramble?.();
+        this.unsubscribeScramble = null;
         this.eventHandlers?.destroy();
         
         // Remove DOM elements
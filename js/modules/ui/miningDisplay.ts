@@ -1,5 +1,7 @@
 // miningDisplay.js - Handles the mining UI and resource display
 
+import { ALLOYS, BASE_CARGO_CAPACITY, getCargoAmount, getCargoMass, getCargoVolume, getTopSpeedFactor } from '../cargo/cargoHold.ts';
+
 export class MiningDisplay {
     controls: MiningControls | null;
 
@@ -24,23 +26,33 @@ export class MiningDisplay {
             const ironAmount = document.getElementById('iron-amount') as HTMLSpanElement | null;
             const goldAmount = document.getElementById('gold-amount') as HTMLSpanElement | null;
             const platinumAmount = document.getElementById('platinum-amount') as HTMLSpanElement | null;
+            const alloyAmount = document.getElementById('alloy-amount') as HTMLSpanElement | null;
             const cargoCapacity = document.getElementById('cargo-capacity') as HTMLSpanElement | null;
             const capacityBar = document.getElementById('capacity-bar') as HTMLDivElement | null;
+            const cargoMass = document.getElementById('cargo-mass') as HTMLDivElement | null;
+            const resources = this.controls.resources;
+            
+            if (ironAmount) ironAmount.textContent = String(resources.iron || 0);
+            if (goldAmount) goldAmount.textContent = String(resources.gold || 0);
+            if (platinumAmount) platinumAmount.textContent = String(resources.platinum || 0);
+            if (alloyAmount) {
+                alloyAmount.textContent = String(ALLOYS.reduce((total, alloy) => total + getCargoAmount(resources, alloy), 0));
+            }
             
-            if (ironAmount) ironAmount.textContent = String(this.controls.resources.iron || 0);
-            if (goldAmount) goldAmount.textContent = String(this.controls.resources.gold || 0);
-            if (platinumAmount) platinumAmount.textContent = String(this.controls.resources.platinum || 0);
+            // Show the loaded mass and how much top speed it costs
+            if (cargoMass) {
+                const mass = getCargoMass(resources);
+                const speedLoss = Math.round((1 - getTopSpeedFactor(mass)) * 100);
+                cargoMass.textContent = speedLoss > 0 ? `${Math.round(mass)} t (-${speedLoss}% speed)` : `${Math.round(mass)} t`;
+            }
             
-            // Update cargo capacity
+            // Update cargo capacity (hold volume)
             if (cargoCapacity && capacityBar && this.controls.spaceship) {
-                const totalResources = 
-                    (this.controls.resources.iron || 0) + 
-                    (this.controls.resources.gold || 0) + 
-                    (this.controls.resources.platinum || 0);
-                const maxCapacity = this.controls.spaceship.maxCargoCapacity || 1000;
-                const capacityPercentage = (totalResources / maxCapacity) * 100;
+                const load = Math.ceil(getCargoVolume(resources));
+                const maxCapacity = this.controls.spaceship.maxCargoCapacity || BASE_CARGO_CAPACITY;
+                const capacityPercentage = Math.min((load / maxCapacity) * 100, 100);
                 
-                cargoCapacity.textContent = `${totalResources} / ${maxCapacity}`;
+                cargoCapacity.textContent = `${load} / ${maxCapacity}`;
                 capacityBar.style.width = `${capacityPercentage}%`;
                 
                 // Change color when near capacity
@@ -56,6 +68,49 @@ export class MiningDisplay {
             // Update mining time estimate if targeting an asteroid
             this.updateMiningTimeEstimate();
         }
+        
+        this.updateLaserHeat();
+    }
+    
+    /**
+     * Show the mining laser's heat gauge while it is warm, and the cooldown when it overheats
+     */
+    updateLaserHeat(): void {
+        const miningSystem = this.controls?.miningSystem;
+        if (!miningSystem || miningSystem.laserHeat === undefined) return;
+        
+        let container = document.getElementById('laser-heat-container') as HTMLDivElement | null;
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'laser-heat-container';
+            container.className = 'laser-heat-container';
+            container.innerHTML = `
+                <div id="laser-heat-label" class="laser-heat-label">LASER HEAT</div>
+                <div class="laser-heat-track"><div id="laser-heat-bar" class="laser-heat-bar"></div></div>
+            `;
+            document.body.appendChild(container);
+        }
+        
+        const heat = miningSystem.laserHeat;
+        if (heat <= 0 && !miningSystem.overheated) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+        
+        const bar = document.getElementById('laser-heat-bar') as HTMLDivElement | null;
+        const label = document.getElementById('laser-heat-label') as HTMLDivElement | null;
+        const color = miningSystem.overheated ? '#ff3030' : heat > 0.5 ? '#ff8800' : '#30cfd0';
+        if (bar) {
+            bar.style.width = `${Math.round(heat * 100)}%`;
+            bar.style.backgroundColor = color;
+        }
+        if (label) {
+            const efficiency = Math.round(miningSystem.getHeatEfficiency() * 100);
+            label.textContent = miningSystem.overheated ? 'LASER OVERHEATED - COOLING'
+                : efficiency < 100 ? `LASER HEAT (${efficiency}% efficiency)` : 'LASER HEAT';
+            label.style.color = color;
+        }
     }
     
     /**
@@ -68,9 +123,9 @@ export class MiningDisplay {
         const miningSystem = this.controls.miningSystem;
         if (miningSystem.targetAsteroid && miningSystem.targetAsteroid.resourceType) {
             const resourceType = miningSystem.targetAsteroid.resourceType.toLowerCase();
-            const efficiency = miningSystem.getMiningEfficiency();
-            const baseSpeed = miningSystem.miningSpeedByType[resourceType] || 0;
-            const secondsRequired = baseSpeed > 0 ? Math.round(1 / (baseSpeed * efficiency)) : 0;
+            // Upgrades, fragment size and laser heat all change the time
+            const speed = miningSystem.miningSpeed * miningSystem.getHeatEfficiency();
+            const secondsRequired = speed > 0 ? Math.round(1 / speed) : 0;
             
             miningTimeElement.textContent = `Mining time: ${secondsRequired} seconds`;
             miningTimeElement.style.display = 'block';
@@ -115,9 +170,11 @@ type MiningSpaceship = {
 type MiningSystem = {
     targetAsteroid?: {
         resourceType?: string;
-    };
-    getMiningEfficiency: () => number;
-    miningSpeedByType: Record<string, number>;
+    } | null;
+    miningSpeed: number;
+    laserHeat?: number;
+    overheated?: boolean;
+    getHeatEfficiency: () => number;
 };
 
 type MiningControls = {
@@ -2,6 +2,8 @@
 // Static styles are defined in src/styles/mobile-hud.css
 // This module applies CSS classes instead of inline styles.
 
+import { BASE_CARGO_CAPACITY, getCargoVolume } from '../cargo/cargoHold.ts';
+
 export class MobileHUD {
     spaceship: MobileHUDSpaceship | null;
     controls: MobileHUDControls | null;
@@ -221,7 +223,7 @@ export class MobileHUD {
         
         // Try to get resources from different possible sources
         let resources = null;
-        let maxCargo = 1000; // Default max
+        let maxCargo = BASE_CARGO_CAPACITY; // Default max
         
         // First try to get from controls
         if (this.controls && this.controls.resources) {
@@ -246,20 +248,8 @@ export class MobileHUD {
         // If no resources found, exit
         if (!resources) return;
         
-        // Calculate total cargo - ensure we're dealing with numbers
-        let totalCargo = 0;
-        
-        // Properly iterate through the resources object and sum numeric values
-        for (const key in resources) {
-            if (Object.prototype.hasOwnProperty.call(resources, key)) {
-                // Get the resource amount, ensure it's a number
-                const amount = parseFloat(String(resources[key])) || 0;
-                totalCargo += amount;
-            }
-        }
-        
-        // Format to integer for display
-        totalCargo = Math.round(totalCargo);
+        // Hold volume taken by the cargo, rounded up for display
+        const totalCargo = Math.ceil(getCargoVolume(resources));
         
         cargoValue.textContent = `${totalCargo} / ${maxCargo}`;
         
@@ -23,6 +23,7 @@ const COLOR_PLAYER = '#ffffff';
 const COLOR_ENEMY = '#ff3030';
 const COLOR_ASTEROID = '#888888';
 const COLOR_STATION = '#30a0ff';
+const COLOR_TURRET = '#ff00aa';
 
 // State
 let container: HTMLDivElement | null = null;
@@ -31,6 +32,21 @@ let ctx: CanvasRenderingContext2D | null = null;
 let lastUpdateTime = 0;
 let initialized = false;
 
+// Deployed turrets aren't bitECS entities, so their positions are pushed in
+let turretPositions: { x: number; z: number }[] = [];
+
+// Environmental hazard zones, and the range lost to ion storm interference
+let hazardZones: { x: number; z: number; radius: number; color: string }[] = [];
+let radarRange = RADAR_RANGE;
+
+// Deep scan readings; pinned marks (anomalies) stay on the rim when out of range
+interface RadarScanMark {
+    position: { x: number; z: number };
+    color: string;
+    pinned?: boolean;
+}
+let scanMarks: RadarScanMark[] = [];
+
 // Reusable objects to avoid GC
 const tempQuaternion = new THREE.Quaternion();
 const tempEuler = new THREE.Euler();
@@ -118,6 +134,11 @@ export function updateRadar(currentTime: number): void {
     const cosH = Math.cos(-heading);
     const sinH = Math.sin(-heading);
 
+    // Hazard zones sit under everything else
+    for (const zone of hazardZones) {
+        drawZone(zone, px, pz, cosH, sinH);
+    }
+
     // Draw blips
     // 1. Stations/Planets (Draw these first so they are under other blips)
     const planets = getPlanets();
@@ -131,12 +152,22 @@ export function updateRadar(currentTime: number): void {
         drawBlip(eid, px, pz, cosH, sinH, COLOR_ASTEROID, 2);
     }
 
+    // Deep scan readings ring the asteroids they belong to
+    for (const mark of scanMarks) {
+        drawScanMark(mark, px, pz, cosH, sinH);
+    }
+
     // 3. Enemies
     const enemies = getEnemies();
     for (const eid of enemies) {
         drawBlip(eid, px, pz, cosH, sinH, COLOR_ENEMY, 3);
     }
 
+    // 4. Deployed turrets
+    for (const turret of turretPositions) {
+        drawPoint(turret.x, turret.z, px, pz, cosH, sinH, COLOR_TURRET, 3);
+    }
+
     // Draw player at center (as a small triangle pointing up)
     drawPlayerIcon();
 }
@@ -183,16 +214,32 @@ function drawBlip(
     sinH: number,
     color: string,
     size: number
+): void {
+    drawPoint(Position.x[eid], Position.z[eid], px, pz, cosH, sinH, color, size);
+}
+
+/**
+ * Draw a blip at a world position
+ */
+function drawPoint(
+    x: number,
+    z: number,
+    px: number,
+    pz: number,
+    cosH: number,
+    sinH: number,
+    color: string,
+    size: number
 ): void {
     if (!ctx) return;
 
     // Relative world position
-    const dx = Position.x[eid] - px;
-    const dz = Position.z[eid] - pz;
+    const dx = x - px;
+    const dz = z - pz;
 
     // Distance check
     const distSq = dx * dx + dz * dz;
-    if (distSq > RADAR_RANGE * RADAR_RANGE) return;
+    if (distSq > radarRange * radarRange) return;
 
     // Rotate relative to player heading
     // Standard rotation: 
@@ -203,12 +250,12 @@ function drawBlip(
 
     // Scale to radar coordinates
     // rz is forward/backward. In radar, -rz is UP.
-    const canvasX = RADAR_RADIUS + (rx / RADAR_RANGE) * RADAR_RADIUS;
-    const canvasY = RADAR_RADIUS + (rz / RADAR_RANGE) * RADAR_RADIUS;
+    const canvasX = RADAR_RADIUS + (rx / radarRange) * RADAR_RADIUS;
+    const canvasY = RADAR_RADIUS + (rz / radarRange) * RADAR_RADIUS;
 
     // Fade blips near the edge
     const dist = Math.sqrt(distSq);
-    const alpha = Math.max(0, Math.min(1, 1.5 - (dist / RADAR_RANGE) * 1.5));
+    const alpha = Math.max(0, Math.min(1, 1.5 - (dist / radarRange) * 1.5));
 
     ctx.fillStyle = color;
     ctx.globalAlpha = alpha;
@@ -218,6 +265,83 @@ function drawBlip(
     ctx.globalAlpha = 1.0;
 }
 
+/**
+ * Draw a hazard zone as a translucent disc, clipped to the radar
+ */
+function drawZone(
+    zone: { x: number; z: number; radius: number; color: string },
+    px: number,
+    pz: number,
+    cosH: number,
+    sinH: number
+): void {
+    if (!ctx) return;
+
+    const dx = zone.x - px;
+    const dz = zone.z - pz;
+    if (Math.sqrt(dx * dx + dz * dz) - zone.radius > radarRange) return;
+
+    const rx = dx * cosH - dz * sinH;
+    const rz = dx * sinH + dz * cosH;
+    const scale = RADAR_RADIUS / radarRange;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(RADAR_RADIUS, RADAR_RADIUS, RADAR_RADIUS, 0, Math.PI * 2);
+    ctx.clip();
+
+    ctx.fillStyle = zone.color;
+    ctx.strokeStyle = zone.color;
+    ctx.beginPath();
+    ctx.arc(RADAR_RADIUS + rx * scale, RADAR_RADIUS + rz * scale, zone.radius * scale, 0, Math.PI * 2);
+    ctx.globalAlpha = 0.2;
+    ctx.fill();
+    ctx.globalAlpha = 0.6;
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draw a deep scan mark: a ring, or a diamond on the rim for pinned marks out of range
+ */
+function drawScanMark(mark: RadarScanMark, px: number, pz: number, cosH: number, sinH: number): void {
+    if (!ctx) return;
+
+    let dx = mark.position.x - px;
+    let dz = mark.position.z - pz;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const outOfRange = dist > radarRange;
+    if (outOfRange && !mark.pinned) return;
+
+    if (outOfRange) {
+        const edge = (radarRange * 0.9) / dist;
+        dx *= edge;
+        dz *= edge;
+    }
+
+    const rx = dx * cosH - dz * sinH;
+    const rz = dx * sinH + dz * cosH;
+    const canvasX = RADAR_RADIUS + (rx / radarRange) * RADAR_RADIUS;
+    const canvasY = RADAR_RADIUS + (rz / radarRange) * RADAR_RADIUS;
+
+    ctx.strokeStyle = mark.color;
+    ctx.fillStyle = mark.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    if (mark.pinned) {
+        ctx.moveTo(canvasX, canvasY - 4);
+        ctx.lineTo(canvasX + 4, canvasY);
+        ctx.lineTo(canvasX, canvasY + 4);
+        ctx.lineTo(canvasX - 4, canvasY);
+        ctx.closePath();
+        ctx.fill();
+    } else {
+        ctx.arc(canvasX, canvasY, 4, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    ctx.lineWidth = 1;
+}
+
 /**
  * Draw player icon at center
  */
@@ -240,6 +364,35 @@ function drawPlayerIcon(): void {
     ctx.shadowBlur = 0;
 }
 
+/**
+ * Set the deployed turrets shown on the radar
+ */
+export function setRadarTurrets(positions: { x: number; z: number }[]): void {
+    turretPositions = positions;
+}
+
+/**
+ * Set the environmental hazard zones shown on the radar
+ */
+export function setRadarHazards(zones: { x: number; z: number; radius: number; color: string }[]): void {
+    hazardZones = zones;
+}
+
+/**
+ * Set the deep scan readings shown on the radar. Positions are read live, so
+ * marks follow orbiting asteroids.
+ */
+export function setRadarScanMarks(marks: RadarScanMark[]): void {
+    scanMarks = marks;
+}
+
+/**
+ * Scale radar range, e.g. during an ion storm (1 = full range)
+ */
+export function setRadarInterference(factor: number): void {
+    radarRange = RADAR_RANGE * Math.max(0.1, Math.min(1, factor));
+}
+
 /**
  * Toggle radar visibility
  */
@@ -0,0 +1,116 @@
+/**
+ * scanOverlay.ts - Deep scan labels over scanned asteroids and anomalies
+ *
+ * DeepScanner sets the marks after each pulse; labels follow their targets
+ * on screen and hide when they are behind the camera or off-screen.
+ */
+
+import * as THREE from 'three';
+
+export interface ScanOverlayMark {
+    position: THREE.Vector3;   // Read live, so labels follow orbiting asteroids
+    label: string;
+    color: string;
+}
+
+// Configuration
+const MAX_LABELS = 24;
+const EDGE_PADDING = 20; // pixels from screen edge
+
+// State
+let labels: HTMLDivElement[] = [];
+let marks: ScanOverlayMark[] = [];
+let container: HTMLDivElement | null = null;
+let camera: THREE.Camera | null = null;
+let initialized = false;
+
+// Reusable vector to avoid GC
+const projected = new THREE.Vector3();
+
+/**
+ * Initialize the scan overlay
+ * Creates the HTML overlay container and label pool
+ */
+export function initScanOverlay(): void {
+    if (initialized) return;
+
+    container = document.createElement('div');
+    container.id = 'scan-overlay-container';
+    container.className = 'scan-overlay-container';
+    document.body.appendChild(container);
+
+    for (let i = 0; i < MAX_LABELS; i++) {
+        const label = document.createElement('div');
+        label.className = 'scan-label';
+        container.appendChild(label);
+        labels.push(label);
+    }
+
+    initialized = true;
+}
+
+/**
+ * Set the camera reference (required for projection)
+ */
+export function setScanOverlayCamera(cam: THREE.Camera): void {
+    camera = cam;
+}
+
+/**
+ * Replace the labelled marks. Only the first MAX_LABELS are shown, so pass the most relevant first.
+ */
+export function setScanOverlayMarks(newMarks: ScanOverlayMark[]): void {
+    marks = newMarks.slice(0, MAX_LABELS);
+
+    labels.forEach((label, index) => {
+        const mark = marks[index];
+        label.textContent = mark ? mark.label : '';
+        label.style.color = mark ? mark.color : '';
+        label.style.borderColor = mark ? mark.color : '';
+        label.style.opacity = '0';
+    });
+}
+
+/**
+ * Move labels over their targets (call every frame)
+ */
+export function updateScanOverlay(): void {
+    if (!initialized || !camera || marks.length === 0) return;
+
+    const screenWidth = window.innerWidth;
+    const screenHeight = window.innerHeight;
+
+    marks.forEach((mark, index) => {
+        const label = labels[index];
+        projected.copy(mark.position).project(camera!);
+
+        const x = ((projected.x + 1) / 2) * screenWidth;
+        const y = ((1 - projected.y) / 2) * screenHeight;
+        const onScreen = projected.z < 1
+            && x > EDGE_PADDING && x < screenWidth - EDGE_PADDING
+            && y > EDGE_PADDING && y < screenHeight - EDGE_PADDING;
+
+        if (!onScreen) {
+            label.style.opacity = '0';
+            return;
+        }
+
+        label.style.transform = `translate(${x}px, ${y}px) translate(-50%, -150%)`;
+        label.style.opacity = '0.9';
+    });
+}
+
+/**
+ * Clean up the scan overlay (call on shutdown)
+ */
+export function cleanupScanOverlay(): void {
+    if (container && container.parentNode) {
+        container.parentNode.removeChild(container);
+    }
+
+    labels = [];
+    marks = [];
+    container = null;
+    camera = null;
+    initialized = false;
+}
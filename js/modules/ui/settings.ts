@@ -3,6 +3,7 @@
 import { MobileDetector } from '../../utils/mobileDetector.ts';
 import { SettingsStyles } from './components/settings/styles.js';
 import { AudioSettings } from './components/settings/audioSettings.js';
+import { ContentSettings } from './components/settings/contentSettings.js';
 import { GraphicsSettings } from './components/settings/graphicsSettings.js';
 import { SettingsView } from './components/settings/settingsView.js';
 import { SettingsPersistence } from './components/settings/persistence.js';
@@ -38,6 +39,7 @@ export class Settings {
     persistence: SettingsPersistence;
     graphicsSettings: GraphicsSettings;
     audioSettings: AudioSettings;
+    contentSettings: ContentSettings;
     settingsView: SettingsView;
     eventHandlers: SettingsEventHandlers;
     settings: SettingsData;
@@ -56,10 +58,12 @@ export class Settings {
         this.persistence = new SettingsPersistence();
         this.graphicsSettings = new GraphicsSettings(this.game, this.styles);
         this.audioSettings = new AudioSettings(this.game, this.styles);
+        this.contentSettings = new ContentSettings(this.styles);
         this.settingsView = new SettingsView(
             this.styles,
             this.graphicsSettings,
             this.audioSettings,
+            this.contentSettings,
             this.helpers,
             this.persistence as any
         );
@@ -116,6 +120,9 @@ export class Settings {
         const audioSettings = this.audioSettings.readAudioSettings() as Record<string, unknown>;
         Object.assign(this.settings, audioSettings);
         
+        // Read content generation settings (ApiClient reads them back when generating)
+        Object.assign(this.settings, this.contentSettings.readContentSettings());
+        
         // Read performance settings
         const frameRateCapElement = document.getElementById('frame-rate-cap') as HTMLInputElement | HTMLSelectElement | null;
         const showFPSElement = document.getElementById('show-fps') as HTMLInputElement | null;
@@ -133,6 +140,9 @@ export class Settings {
         // Update audio UI
         this.audioSettings.updateAudioUI(this.settings as any);
         
+        // Update content generation UI
+        this.contentSettings.updateContentUI(this.settings as any);
+        
         // Update performance UI
         const frameRateCapElement = document.getElementById('frame-rate-cap') as HTMLInputElement | HTMLSelectElement | null;
         const showFPSElement = document.getElementById('show-fps') as HTMLInputElement | null;
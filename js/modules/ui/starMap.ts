@@ -5,6 +5,7 @@ import { CanvasRenderer } from './starmap/canvasRenderer.js';
 import { NavigationLogic } from './starmap/navigationLogic.js';
 import { DataManager } from './starmap/dataManager.js';
 import { UICreator } from './starmap/uiCreator.js';
+import type { RouteMode } from './starmap/routePlanner.ts';
 
 // Star system generator shape varies across game systems; use loose typing.
 type StarSystemGenerator = any;
@@ -95,6 +96,21 @@ export class StarMap {
             }
         }
         
+        // Route mode buttons
+        const routeModes: RouteMode[] = ['shortest', 'cheapest'];
+        for (const mode of routeModes) {
+            const modeButton = document.getElementById(`route-mode-${mode}`) as HTMLButtonElement | null;
+            if (!modeButton) continue;
+            
+            modeButton.addEventListener('click', () => this.setRouteMode(mode));
+            if (this.isMobile) {
+                modeButton.addEventListener('touchend', (e: TouchEvent) => {
+                    e.preventDefault();
+                    this.setRouteMode(mode);
+                });
+            }
+        }
+        
         // Travel button
         const travelButton = document.getElementById('travel-button') as HTMLButtonElement | null;
         if (travelButton) {
@@ -138,10 +154,21 @@ export class StarMap {
             systemId, 
             this.isMobile,
             (system, isMobile) => this.dataManager.updateSelectedSystemInfo(system, isMobile),
-            (systemId, isCurrentSystem, isConnected) => this.dataManager.updateTravelButton(systemId, isCurrentSystem, isConnected)
+            (systemId, isCurrentSystem, route, fuel) => this.dataManager.updateTravelButton(systemId, isCurrentSystem, route, fuel)
         );
     }
     
+    // Re-plot the selected route as fewest jumps or least fuel
+    setRouteMode(mode: RouteMode): void {
+        this.navigationLogic.setRouteMode(mode);
+        for (const button of document.querySelectorAll('.starmap-route-mode-button')) {
+            button.classList.toggle('starmap-route-mode-button-active', button.id === `route-mode-${mode}`);
+        }
+        
+        this.selectSystem(this.navigationLogic.getSelectedSystem());
+        this.updateCanvas();
+    }
+    
     // Draw the star map on the canvas
     updateCanvas(): void {
         this.canvasRenderer.updateCanvas(this.starSystemGenerator);
@@ -150,6 +177,13 @@ export class StarMap {
         if (!canvas) return;
         const context = canvas.getContext('2d');
         if (!context) return;
+        
+        // Draw the planned route under the stars
+        const route = this.navigationLogic.getPlannedRoute();
+        if (route) {
+            this.canvasRenderer.drawRoute(context, 250, 250, this.dataManager.getAllSystems() as any, route);
+        }
+        
         this.canvasRenderer.drawSystems(
             context,
             250, 250, // center coordinates
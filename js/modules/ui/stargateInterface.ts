@@ -6,6 +6,8 @@ import { SystemsView } from './components/stargate/systemsView.js';
 import { TradingView } from './components/stargate/tradingView.js';
 import { UpgradesView } from './components/stargate/upgrades.js';
 import { MissionsView } from './components/stargate/missions.js';
+import { ContractsView } from './components/stargate/contractsView.ts';
+import { SaveLoadView } from './components/stargate/saveLoadView.ts';
 import { EventHandlers } from './components/stargate/eventHandlers.js';
 import { StargateHelpers } from './components/stargate/helpers.js';
 
@@ -29,6 +31,8 @@ export class StargateInterface {
     tradingView: TradingView;
     upgradesView: UpgradesView;
     missionsView: MissionsView;
+    contractsView: ContractsView;
+    saveLoadView: SaveLoadView;
     eventHandlers: EventHandlers;
 
     constructor() {
@@ -43,6 +47,8 @@ export class StargateInterface {
         this.tradingView = new TradingView();
         this.upgradesView = new UpgradesView();
         this.missionsView = new MissionsView();
+        this.contractsView = new ContractsView();
+        this.saveLoadView = new SaveLoadView();
         this.eventHandlers = new EventHandlers();
         
         // Configure mobile settings
@@ -50,6 +56,7 @@ export class StargateInterface {
         this.eventHandlers.setMobile(this.isMobile);
         this.eventHandlers.setTradingView(this.tradingView);
         this.missionsView.setHideCallback(() => this.hideStargateUI());
+        this.saveLoadView.setCallbacks(() => this.showStargateUI(), () => this.hideStargateUI());
         
         this.setupStargateUI();
         this.setupEventHandlers();
@@ -112,6 +119,7 @@ export class StargateInterface {
         
         this.hideDockingPrompt();
         this.systemsView.setupAllSystemButtons();
+        this.tradingView.snapshotMarket();
         
         if (this.isMobile) {
             this.eventHandlers.setupTouchEvents();
@@ -149,9 +157,12 @@ export class StargateInterface {
         
         this.upgradesView.updateUpgradeDisplays();
         this.tradingView.updateResourceSellButtons();
+        this.tradingView.updateMarketDisplay();
+        this.tradingView.updateCargoDisplay();
         this.tradingView.updateOrbCounts();
         this.tradingView.updateOrbSellButtons();
         this.tradingView.updateLaserTurretDisplay();
+        this.contractsView.render();
     }
     setupEventHandlers(): void {
         const updateUICallback = () => {
@@ -167,7 +178,13 @@ export class StargateInterface {
         // Setup laser purchase handler
         this.eventHandlers.setupLaserPurchaseHandler(updateUICallback);
         
+        // Refresh credits and the board after taking or dropping a contract
+        this.contractsView.setUpdateCallback(updateUICallback);
+        
         // Setup horde mode button
         this.missionsView.setupHordeButton();
+        
+        // Setup save/load button
+        this.saveLoadView.setupSaveLoadButton();
     }
 }
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MIN_FUEL_MULTIPLIER,
+  getJumpFuelCost,
+  getJumpFuelMultiplier,
+  getRouteFuelShortfall,
+  planRoute,
+  type RouteSystem,
+} from '../routePlanner'
+
+const BASE_LEVELS = { engineLevel: 1, fuelTankLevel: 1 }
+
+// A -> B -> D is two long jumps; A -> C -> E -> D is three short ones
+const systems: Record<string, RouteSystem> = {
+  A: { position: { x: 0, y: 0 }, connections: ['B', 'C'] },
+  B: { position: { x: 400, y: 0 }, connections: ['A', 'D'] },
+  C: { position: { x: 50, y: 50 }, connections: ['A', 'E'] },
+  E: { position: { x: 100, y: 0 }, connections: ['C', 'D'] },
+  D: { position: { x: 150, y: 0 }, connections: ['B', 'E'] },
+  Lonely: { position: { x: -200, y: 0 }, connections: [] },
+}
+
+describe('Route Planner', () => {
+  it('should make jumps cheaper with engine and fuel tank upgrades', () => {
+    const cost = getJumpFuelCost(systems.A, systems.B, BASE_LEVELS)
+    expect(getJumpFuelCost(systems.A, systems.B, { engineLevel: 3, fuelTankLevel: 1 })).toBeLessThan(cost)
+    expect(getJumpFuelCost(systems.A, systems.B, { engineLevel: 1, fuelTankLevel: 3 })).toBeLessThan(cost)
+    expect(getJumpFuelMultiplier({ engineLevel: 20, fuelTankLevel: 20 })).toBe(MIN_FUEL_MULTIPLIER)
+  })
+
+  it('should plan the fewest jumps or the least fuel', () => {
+    const shortest = planRoute(systems, 'A', 'D', 'shortest', BASE_LEVELS)!
+    const cheapest = planRoute(systems, 'A', 'D', 'cheapest', BASE_LEVELS)!
+
+    expect(shortest.path).toEqual(['A', 'B', 'D'])
+    expect(cheapest.path).toEqual(['A', 'C', 'E', 'D'])
+    expect(cheapest.jumps).toBe(3)
+    expect(cheapest.fuelCost).toBeLessThan(shortest.fuelCost)
+    expect(cheapest.fuelCost).toBe(cheapest.legCosts.reduce((a, b) => a + b, 0))
+  })
+
+  it('should report unreachable systems and fuel shortfalls', () => {
+    expect(planRoute(systems, 'A', 'Lonely', 'shortest', BASE_LEVELS)).toBeNull()
+    expect(planRoute(systems, 'A', 'A', 'shortest', BASE_LEVELS)).toBeNull()
+
+    const route = planRoute(systems, 'A', 'D', 'cheapest', BASE_LEVELS)!
+    expect(getRouteFuelShortfall(route, route.fuelCost)).toBe(0)
+    expect(getRouteFuelShortfall(route, route.fuelCost - 5)).toBe(5)
+  })
+})
@@ -1,5 +1,7 @@
 // canvasRenderer.ts - Handles star map canvas rendering
 
+import type { PlannedRoute } from './routePlanner.ts';
+
 interface StarSystem {
     name: string;
     position: { x: number; y: number };
@@ -104,6 +106,36 @@ export class CanvasRenderer {
         }
     }
 
+    // Draw a planned route with the fuel cost of each jump
+    drawRoute(ctx: CanvasRenderingContext2D, centerX: number, centerY: number, systems: Record<string, StarSystem>, route: PlannedRoute): void {
+        const points = route.path
+            .map(id => systems[id])
+            .filter(system => system)
+            .map(system => ({ x: centerX + system.position.x, y: centerY + system.position.y }));
+        if (points.length < 2) return;
+        
+        ctx.lineWidth = this.isMobile ? 4 : 3;
+        ctx.strokeStyle = 'rgba(255, 170, 0, 0.9)';
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (const point of points.slice(1)) {
+            ctx.lineTo(point.x, point.y);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Label each jump with its fuel cost
+        ctx.fillStyle = '#ffaa00';
+        ctx.font = this.isMobile ? 'bold 12px Courier New' : 'bold 10px Courier New';
+        ctx.textAlign = 'center';
+        for (let i = 1; i < points.length; i++) {
+            const midX = (points[i - 1].x + points[i].x) / 2;
+            const midY = (points[i - 1].y + points[i].y) / 2;
+            ctx.fillText(`${route.legCosts[i - 1]}F`, midX, midY - 6);
+        }
+    }
+
     drawSystems(ctx: CanvasRenderingContext2D, centerX: number, centerY: number, systems: Record<string, StarSystem>, currentSystem: string, selectedSystem: string | null = null): void {
         // Now draw systems
         for (const [systemId, system] of Object.entries(systems)) {
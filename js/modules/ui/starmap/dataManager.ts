@@ -1,6 +1,10 @@
 // dataManager.ts - Handles star map data management and system information
 
+import { getRouteFuelShortfall, type PlannedRoute } from './routePlanner.ts';
+import { describeHazards, getSystemHazards } from '../../environment/hazards/systemHazards.ts';
+
 interface StarSystem {
+    id: string;
     name: string;
     starClass: string;
     classification: string;
@@ -61,6 +65,22 @@ export class DataManager {
         if (featuresEl) {
             featuresEl.textContent = `Special Features: ${system.specialFeatures.join(', ')}`;
         }
+
+        const hazardsEl = document.getElementById('current-system-hazards');
+        if (hazardsEl) hazardsEl.innerHTML = this.getHazardWarningHtml(system);
+    }
+
+    // Hazard warnings for a system, empty if it is safe
+    getHazardWarningHtml(system: StarSystem): string {
+        const lines = describeHazards(getSystemHazards(system));
+        if (lines.length === 0) return '';
+
+        return `
+            <div class="starmap-hazard-warning">
+                <div class="starmap-hazard-title">Environmental hazards</div>
+                ${lines.map(line => `<div>${line}</div>`).join('')}
+            </div>
+        `;
     }
 
     // Update selected system info card
@@ -107,6 +127,7 @@ export class DataManager {
             <div class="starmap-system-features ${isMobile ? 'starmap-system-features-mobile' : ''}">
                 Special Features: ${system.specialFeatures.join(', ')}
             </div>
+            ${this.getHazardWarningHtml(system)}
         `;
         
         // Scroll to make selected system info visible on mobile
@@ -118,8 +139,10 @@ export class DataManager {
         }
     }
 
-    // Update travel button state
-    updateTravelButton(systemId: string | null, isCurrentSystem: boolean, isConnected: boolean): void {
+    // Update travel button state and the route summary
+    updateTravelButton(systemId: string | null, isCurrentSystem: boolean, route: PlannedRoute | null, fuel: number | null): void {
+        this.updateRouteSummary(route, fuel);
+        
         const travelButton = document.getElementById('travel-button') as HTMLButtonElement;
         if (!travelButton) return;
 
@@ -131,16 +154,48 @@ export class DataManager {
             return;
         }
 
-        travelButton.disabled = isCurrentSystem || !isConnected;
-        if (isCurrentSystem || !isConnected) {
-            travelButton.classList.add('starmap-travel-button-disabled');
-        } else {
+        const hasFuel = !route || fuel === null || getRouteFuelShortfall(route, fuel) === 0;
+        const canTravel = !isCurrentSystem && route !== null && hasFuel;
+        travelButton.disabled = !canTravel;
+        if (canTravel) {
             travelButton.classList.remove('starmap-travel-button-disabled');
+        } else {
+            travelButton.classList.add('starmap-travel-button-disabled');
         }
         
         // Update button text
         travelButton.textContent = isCurrentSystem ? 'CURRENT LOCATION' : 
-                                  !isConnected ? 'NO DIRECT ROUTE' : 'TRAVEL TO SYSTEM';
+                                  !route ? 'NO ROUTE AVAILABLE' :
+                                  !hasFuel ? 'INSUFFICIENT FUEL' :
+                                  route.jumps === 1 ? 'TRAVEL TO SYSTEM' : `TRAVEL (${route.jumps} JUMPS)`;
+    }
+
+    // Show jumps, fuel cost and any fuel warning for the plotted route
+    updateRouteSummary(route: PlannedRoute | null, fuel: number | null): void {
+        const summary = document.getElementById('route-summary');
+        if (!summary) return;
+
+        if (!route) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const systems = this.starSystemGenerator.getAllSystems();
+        const stops = route.path.map(id => systems[id]?.name || id).join(' &rarr; ');
+        const shortfall = fuel === null ? 0 : getRouteFuelShortfall(route, fuel);
+
+        summary.innerHTML = `
+            <div class="starmap-route-path">${stops}</div>
+            <div class="starmap-route-stats">
+                <span>Jumps: ${route.jumps}</span>
+                <span>Fuel: ${route.fuelCost}${fuel === null ? '' : ` / ${Math.floor(fuel)}`}</span>
+            </div>
+            ${shortfall > 0 ? `
+                <div class="starmap-route-warning">
+                    Route needs ${Math.ceil(shortfall)} more fuel than the ship is carrying. Refuel or upgrade the fuel tank at the stargate.
+                </div>
+            ` : ''}
+        `;
     }
 
     getCurrentSystemData(): StarSystem | null {
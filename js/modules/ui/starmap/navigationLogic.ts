@@ -1,6 +1,12 @@
 // navigationLogic.ts - Handles star map navigation and travel logic
 
+import { EVENT } from '../../../core/events.ts';
+import type { Message } from '../../../core/messageBus.ts';
+import { mainMessageBus } from '../../../globals/messageBus.ts';
+import { planRoute, type PlannedRoute, type RouteMode } from './routePlanner.ts';
+
 interface StarSystem {
+    id: string;
     name: string;
     starClass: string;
     classification: string;
@@ -11,6 +17,8 @@ interface StarSystem {
     };
     description: string;
     specialFeatures: string[];
+    position: { x: number; y: number };
+    connections: string[];
 }
 
 interface StarSystemGenerator {
@@ -33,88 +41,236 @@ interface Environment {
     travelToSystem(systemId: string): boolean;
 }
 
+interface Spaceship {
+    fuel: number;
+    engineLevel: number;
+    fuelTankLevel: number;
+}
+
+interface ActiveRoute {
+    destination: string;
+    // Jumps still to make, in order
+    hops: string[];
+    legCosts: number[];
+    unsubscribe: () => void;
+}
+
+// Pause between arriving in a system and spooling up the next jump
+const ROUTE_HOP_DELAY = 1500;
+
 export class NavigationLogic {
     private starSystemGenerator: StarSystemGenerator;
     private selectedSystem: string | null;
     private isTraveling: boolean;
+    private routeMode: RouteMode;
+    private plannedRoute: PlannedRoute | null;
+    private activeRoute: ActiveRoute | null;
 
     constructor(starSystemGenerator: StarSystemGenerator, _dockingSystem: DockingSystem, _stargateInterface: StargateInterface) {
         this.starSystemGenerator = starSystemGenerator;
         this.selectedSystem = null;
         this.isTraveling = false;
+        this.routeMode = 'shortest';
+        this.plannedRoute = null;
+        this.activeRoute = null;
     }
 
-    // Select a system and update the UI
+    // Select a system, plot a route to it and update the UI
     selectSystem(
         systemId: string | null, 
         isMobile: boolean, 
         updateSelectedSystemCallback: (system: StarSystem | null, isMobile: boolean) => void, 
-        updateTravelButtonCallback: (systemId: string | null, isCurrentSystem: boolean, isConnected: boolean) => void
+        updateTravelButtonCallback: (systemId: string | null, isCurrentSystem: boolean, route: PlannedRoute | null, fuel: number | null) => void
     ): void {
         console.log(`Selecting system: ${systemId}`);
         this.selectedSystem = systemId;
+        this.plannedRoute = null;
         
         if (!systemId) {
             // Clear selection
             updateSelectedSystemCallback(null, isMobile);
-            updateTravelButtonCallback(null, false, false);
+            updateTravelButtonCallback(null, false, null, null);
             return;
         }
         
         // Get system data
-        const system = this.starSystemGenerator.getAllSystems()[systemId];
+        const systems = this.starSystemGenerator.getAllSystems();
+        const system = systems[systemId];
         const currentSystem = this.starSystemGenerator.currentSystem;
         
         // Update selected system info card
         updateSelectedSystemCallback(system, isMobile);
         
-        // Enable/disable travel button
-        const isConnected = this.starSystemGenerator.getCurrentSystemConnections().includes(systemId);
+        // Plot a route with the ship's current upgrades
         const isCurrentSystem = systemId === currentSystem;
+        const spaceship = this.getSpaceship();
+        if (!isCurrentSystem) {
+            this.plannedRoute = planRoute(systems, currentSystem, systemId, this.routeMode, {
+                engineLevel: spaceship?.engineLevel ?? 1,
+                fuelTankLevel: spaceship?.fuelTankLevel ?? 1
+            });
+        }
         
-        updateTravelButtonCallback(systemId, isCurrentSystem, isConnected);
+        updateTravelButtonCallback(systemId, isCurrentSystem, this.plannedRoute, spaceship ? spaceship.fuel : null);
     }
 
-    // Handle travel to selected system
+    // Switch between fewest-jump and least-fuel routes
+    setRouteMode(mode: RouteMode): void {
+        this.routeMode = mode;
+    }
+
+    getRouteMode(): RouteMode {
+        return this.routeMode;
+    }
+
+    getPlannedRoute(): PlannedRoute | null {
+        return this.plannedRoute;
+    }
+
+    // Fly the planned route to the selected system, one jump at a time
     handleTravel(hideCallback: () => void): void {
-        if (this.selectedSystem && this.selectedSystem !== this.starSystemGenerator.currentSystem) {
-            console.log(`Initiating travel to system: ${this.selectedSystem}`);
+        const route = this.plannedRoute;
+        if (!route || this.isTraveling || route.path[0] !== this.starSystemGenerator.currentSystem) return;
+        
+        const spaceship = this.getSpaceship();
+        if (spaceship && spaceship.fuel < route.fuelCost) {
+            console.warn(`Route to ${this.selectedSystem} needs ${route.fuelCost} fuel, ship has ${spaceship.fuel}`);
+            return;
+        }
+        
+        console.log(`Initiating travel to system: ${this.selectedSystem} (${route.jumps} jumps, ${route.fuelCost} fuel)`);
+        
+        // Set traveling flag before hiding the star map
+        this.isTraveling = true;
+        
+        // Close the star map first
+        hideCallback();
+        
+        // Find the environment object to properly handle transition
+        const environment = this.getEnvironment();
+        if (environment) {
+            const hops = route.path.slice(1);
+            this.activeRoute = {
+                destination: hops[hops.length - 1],
+                hops,
+                legCosts: [...route.legCosts],
+                // Each arrival (after the SystemTransition effect) triggers the next jump
+                unsubscribe: mainMessageBus.subscribe(EVENT.SYSTEM_ENTERED, (message: Message) => this.handleRouteArrival(message.data.systemId))
+            };
+            this.jumpToNextSystem(environment);
+        } else {
+            // Fallback to direct use of starSystemGenerator
+            for (let i = 1; i < route.path.length; i++) {
+                if (!this.spendJumpFuel(route.legCosts[i - 1])) break;
+                if (!this.starSystemGenerator.travelToSystem(route.path[i])) {
+                    this.refundJumpFuel(route.legCosts[i - 1]);
+                    break;
+                }
+            }
             
-            // Set traveling flag before hiding the star map
-            this.isTraveling = true;
+            // Reset selection
+            this.selectSystem(null, false, () => {}, () => {});
             
-            // Close the star map first
-            hideCallback();
+            // Notify the user
+            const currentSystemData = this.starSystemGenerator.getCurrentSystemData();
+            if (currentSystemData) {
+                this.showTravelNotification(currentSystemData.name, false);
+            }
             
-            // Find the environment object to properly handle transition
-            const environment = (window.game as any).environment as Environment;
-            if (environment && environment.travelToSystem) {
-                const success = environment.travelToSystem(this.selectedSystem);
-                console.log(`Travel to ${this.selectedSystem} initiated: ${success}`);
-                
-                // Reset traveling flag after travel is complete
-                setTimeout(() => {
-                    this.isTraveling = false;
-                }, 5000); // Wait for transition to complete
+            // Reset traveling flag
+            this.isTraveling = false;
+        }
+    }
+
+    // Start the next jump of the active route
+    private jumpToNextSystem(environment: Environment): void {
+        const route = this.activeRoute;
+        if (!route) return;
+        
+        const targetId = route.hops[0];
+        const cost = route.legCosts[0];
+        if (!this.spendJumpFuel(cost)) {
+            this.endRoute(`Out of fuel: route to ${this.getSystemName(route.destination)} stopped`, 'warning');
+            return;
+        }
+        
+        if (!environment.travelToSystem(targetId)) {
+            this.refundJumpFuel(cost);
+            this.endRoute(`Jump to ${this.getSystemName(targetId)} failed: route cancelled`, 'error');
+            return;
+        }
+        console.log(`Route jump to ${targetId} initiated, ${route.hops.length - 1} jumps remaining`);
+    }
+
+    // Continue or finish the active route once a jump lands
+    private handleRouteArrival(systemId: string): void {
+        const route = this.activeRoute;
+        if (!route || systemId !== route.hops[0]) return;
+        
+        route.hops.shift();
+        route.legCosts.shift();
+        
+        if (route.hops.length === 0) {
+            this.endRoute(null);
+            return;
+        }
+        
+        mainMessageBus.publish('ui.notification', {
+            message: `Next jump in route to ${this.getSystemName(route.destination)}: ${route.hops.length} remaining`,
+            type: 'info',
+            duration: 2000
+        });
+        
+        setTimeout(() => {
+            const environment = this.getEnvironment();
+            if (environment) {
+                this.jumpToNextSystem(environment);
             } else {
-                // Fallback to direct use of starSystemGenerator
-                const success = this.starSystemGenerator.travelToSystem(this.selectedSystem);
-                
-                if (success) {
-                    // Reset selection
-                    this.selectSystem(null, false, () => {}, () => {});
-                    
-                    // Notify the user
-                    const currentSystemData = this.starSystemGenerator.getCurrentSystemData();
-                    if (currentSystemData) {
-                        this.showTravelNotification(currentSystemData.name, false);
-                    }
-                    
-                    // Reset traveling flag
-                    this.isTraveling = false;
-                }
+                this.endRoute('Route interrupted', 'error');
             }
+        }, ROUTE_HOP_DELAY);
+    }
+
+    private endRoute(message: string | null, type: 'warning' | 'error' = 'warning'): void {
+        if (this.activeRoute) {
+            this.activeRoute.unsubscribe();
+            this.activeRoute = null;
         }
+        this.plannedRoute = null;
+        this.isTraveling = false;
+        
+        if (message) {
+            mainMessageBus.publish('ui.notification', { message, type, duration: 4000 });
+        }
+    }
+
+    private spendJumpFuel(cost: number): boolean {
+        const spaceship = this.getSpaceship();
+        if (!spaceship) return true;
+        if (spaceship.fuel < cost) return false;
+        
+        spaceship.fuel -= cost;
+        return true;
+    }
+
+    private refundJumpFuel(cost: number): void {
+        const spaceship = this.getSpaceship();
+        if (spaceship) {
+            spaceship.fuel += cost;
+        }
+    }
+
+    private getSystemName(systemId: string): string {
+        return this.starSystemGenerator.getAllSystems()[systemId]?.name || systemId;
+    }
+
+    private getEnvironment(): Environment | null {
+        const environment = (window as any).game?.environment;
+        return environment && typeof environment.travelToSystem === 'function' ? environment as Environment : null;
+    }
+
+    private getSpaceship(): Spaceship | null {
+        return ((window as any).game?.spaceship as Spaceship | undefined) || null;
     }
 
     // Show travel notification
@@ -0,0 +1,127 @@
+// routePlanner.ts - Multi-jump route planning and jump fuel costs for the star map
+
+export type RouteMode = 'shortest' | 'cheapest';
+
+export interface RouteSystem {
+    position: { x: number; y: number };
+    connections: string[];
+}
+
+export interface ShipLevels {
+    engineLevel: number;
+    fuelTankLevel: number;
+}
+
+export interface PlannedRoute {
+    mode: RouteMode;
+    // System ids from the current system to the destination, inclusive
+    path: string[];
+    // Fuel for each jump; legCosts[i] is the jump from path[i] to path[i + 1]
+    legCosts: number[];
+    jumps: number;
+    fuelCost: number;
+}
+
+// Fuel for a jump: a fixed spool-up cost plus a cost per star map unit travelled
+export const BASE_JUMP_FUEL = 8;
+export const JUMP_FUEL_PER_UNIT = 0.08;
+
+// Each engine level burns 10% less fuel per jump, each fuel tank level 5% less
+export const ENGINE_FUEL_SAVING = 0.1;
+export const FUEL_TANK_FUEL_SAVING = 0.05;
+export const MIN_FUEL_MULTIPLIER = 0.4;
+
+/**
+ * Jump fuel multiplier for the ship's upgrade levels
+ */
+export function getJumpFuelMultiplier(levels: ShipLevels): number {
+    const saving = ENGINE_FUEL_SAVING * (Math.max(1, levels.engineLevel) - 1)
+        + FUEL_TANK_FUEL_SAVING * (Math.max(1, levels.fuelTankLevel) - 1);
+    return Math.max(MIN_FUEL_MULTIPLIER, 1 - saving);
+}
+
+/**
+ * Fuel used by a single jump between two connected systems
+ */
+export function getJumpFuelCost(from: RouteSystem, to: RouteSystem, levels: ShipLevels): number {
+    const distance = Math.hypot(to.position.x - from.position.x, to.position.y - from.position.y);
+    return Math.ceil((BASE_JUMP_FUEL + distance * JUMP_FUEL_PER_UNIT) * getJumpFuelMultiplier(levels));
+}
+
+/**
+ * Find a route through the warp gate network
+ * @param mode 'shortest' for the fewest jumps, 'cheapest' for the least fuel;
+ *             ties are broken on the other measure
+ * @returns The route, or null if the destination is unreachable or is the start
+ */
+export function planRoute(
+    systems: Record<string, RouteSystem>,
+    fromId: string,
+    toId: string,
+    mode: RouteMode,
+    levels: ShipLevels
+): PlannedRoute | null {
+    if (fromId === toId || !systems[fromId] || !systems[toId]) return null;
+
+    // Dijkstra over [primary, secondary] costs compared lexicographically
+    const best = new Map<string, { jumps: number; fuel: number; previous: string | null }>();
+    const visited = new Set<string>();
+    best.set(fromId, { jumps: 0, fuel: 0, previous: null });
+
+    const rank = (entry: { jumps: number; fuel: number }): [number, number] =>
+        mode === 'shortest' ? [entry.jumps, entry.fuel] : [entry.fuel, entry.jumps];
+    const isBetter = (a: { jumps: number; fuel: number }, b: { jumps: number; fuel: number }): boolean => {
+        const [a1, a2] = rank(a);
+        const [b1, b2] = rank(b);
+        return a1 < b1 || (a1 === b1 && a2 < b2);
+    };
+
+    while (true) {
+        let currentId: string | null = null;
+        for (const [id, entry] of best) {
+            if (!visited.has(id) && (currentId === null || isBetter(entry, best.get(currentId)!))) {
+                currentId = id;
+            }
+        }
+        if (currentId === null) return null;
+        if (currentId === toId) break;
+        visited.add(currentId);
+
+        const current = best.get(currentId)!;
+        for (const neighbourId of systems[currentId].connections) {
+            const neighbour = systems[neighbourId];
+            if (!neighbour || visited.has(neighbourId)) continue;
+
+            const candidate = {
+                jumps: current.jumps + 1,
+                fuel: current.fuel + getJumpFuelCost(systems[currentId], neighbour, levels),
+                previous: currentId
+            };
+            const known = best.get(neighbourId);
+            if (!known || isBetter(candidate, known)) {
+                best.set(neighbourId, candidate);
+            }
+        }
+    }
+
+    const path: string[] = [];
+    for (let id: string | null = toId; id !== null; id = best.get(id)!.previous) {
+        path.unshift(id);
+    }
+
+    const legCosts = path.slice(1).map((id, i) => getJumpFuelCost(systems[path[i]], systems[id], levels));
+    return {
+        mode,
+        path,
+        legCosts,
+        jumps: legCosts.length,
+        fuelCost: legCosts.reduce((total, cost) => total + cost, 0)
+    };
+}
+
+/**
+ * Fuel still needed before the route can be flown (0 if the tank is enough)
+ */
+export function getRouteFuelShortfall(route: PlannedRoute, fuel: number): number {
+    return Math.max(0, route.fuelCost - fuel);
+}
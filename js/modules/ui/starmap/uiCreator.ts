@@ -127,6 +127,7 @@ export class UICreator {
                 <div id="current-system-features" class="starmap-system-features ${this.isMobile ? 'starmap-system-features-mobile' : ''}">
                     Special Features: Earth
                 </div>
+                <div id="current-system-hazards"></div>
             </div>
         `;
         return currentSystem;
@@ -143,6 +144,11 @@ export class UICreator {
                     ${this.isMobile ? 'Tap' : 'Click'} on a star system in the map to select it.
                 </div>
             </div>
+            <div class="starmap-route-modes">
+                <button id="route-mode-shortest" class="starmap-route-mode-button starmap-route-mode-button-active">FEWEST JUMPS</button>
+                <button id="route-mode-cheapest" class="starmap-route-mode-button">LEAST FUEL</button>
+            </div>
+            <div id="route-summary" class="starmap-route-summary ${this.isMobile ? 'starmap-route-summary-mobile' : ''}"></div>
             <button id="travel-button" disabled class="starmap-travel-button starmap-travel-button-disabled ${this.isMobile ? 'starmap-travel-button-mobile' : ''}">
                 TRAVEL TO SYSTEM
             </button>
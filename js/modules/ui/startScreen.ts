@@ -1,8 +1,14 @@
 // startScreen.js - Manages the game's start screen UI
 
+import { gameRandom } from '../../globals/random.ts';
+
 type StartScreenGame = {
     startDocked?: () => void;
     startIntroSequence?: () => void;
+    saveManager?: {
+        hasSaves: () => boolean;
+        loadLatest: () => boolean;
+    };
     [key: string]: unknown;
 };
 
@@ -32,9 +38,14 @@ export class StartScreen {
             <div class="start-screen-inner">
                 <h1 class="game-title">Solar System Asteroid Miner</h1>
                 <div class="button-container">
+                    <button id="continue-button" class="start-button" style="display: none;">Continue</button>
                     <button id="play-button" class="start-button">Play</button>
                     <button id="how-to-play-button" class="start-button">How to Play</button>
                 </div>
+                <div class="seed-container">
+                    <label for="seed-input">Seed</label>
+                    <input id="seed-input" type="text" maxlength="32" spellcheck="false" autocomplete="off">
+                </div>
                 <div class="version">v0.5.8</div>
             </div>
             
@@ -113,6 +124,11 @@ export class StartScreen {
                 console.log("Game object:", this.game);
                 console.log("Game methods available:", Object.getOwnPropertyNames(Object.getPrototypeOf(this.game)));
                 
+                // A different seed means a different universe - reload with it in the URL
+                if (this.applySeedFromInput()) {
+                    return;
+                }
+
                 this.hide();
                 // Check if intro has been played before
                 const introPlayed = localStorage.getItem('introPlayed') === 'true';
@@ -138,6 +154,20 @@ export class StartScreen {
             });
         }
 
+        // Continue button - resume from the most recent save
+        const continueButton = document.getElementById('continue-button') as HTMLButtonElement | null;
+        if (continueButton) {
+            continueButton.addEventListener('click', () => {
+                this.hide();
+                if (this.game && this.game.startDocked) {
+                    this.game.startDocked();
+                }
+                if (this.game && this.game.saveManager && !this.game.saveManager.loadLatest()) {
+                    console.error("Failed to load most recent save");
+                }
+            });
+        }
+
         // How to Play button
         const howToPlayButton = document.getElementById('how-to-play-button') as HTMLButtonElement | null;
         const howToPlayModal = document.getElementById('how-to-play-modal') as HTMLDivElement | null;
@@ -168,6 +198,18 @@ export class StartScreen {
         if (startScreen) {
             startScreen.style.display = 'flex';
             this.isVisible = true;
+
+            const seedInput = document.getElementById('seed-input') as HTMLInputElement | null;
+            if (seedInput) {
+                seedInput.value = gameRandom.seed;
+            }
+
+            // Only offer Continue when there is something to continue
+            const continueButton = document.getElementById('continue-button') as HTMLButtonElement | null;
+            if (continueButton) {
+                const hasSaves = !!(this.game && this.game.saveManager && this.game.saveManager.hasSaves());
+                continueButton.style.display = hasSaves ? '' : 'none';
+            }
             
             // End timing for initialization when start screen becomes visible
             const initialTimestamp = (window as Window & { initialTimestamp?: number }).initialTimestamp;
@@ -179,6 +221,25 @@ export class StartScreen {
         }
     }
 
+    /**
+     * Reload the page with ?seed= if the player entered a new seed.
+     * The universe is generated before the start screen, so a reload is the
+     * only way to rebuild it - and it leaves a shareable URL behind.
+     * @returns True if a reload was triggered
+     */
+    applySeedFromInput(): boolean {
+        const seedInput = document.getElementById('seed-input') as HTMLInputElement | null;
+        const seed = seedInput ? seedInput.value.trim() : '';
+        if (!seed || seed === gameRandom.seed) {
+            return false;
+        }
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', seed);
+        window.location.href = url.toString();
+        return true;
+    }
+
     hide(): void {
         const startScreen = document.getElementById('start-screen') as HTMLDivElement | null;
         if (startScreen) {
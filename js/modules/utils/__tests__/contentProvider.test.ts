@@ -0,0 +1,52 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  MAX_CONTENT_TIMEOUT,
+  createDefaultContentConfig,
+  generateWithFallback,
+  readContentConfig,
+  type ContentProvider,
+} from '../contentProvider'
+
+function createProvider(id: ContentProvider['id'], generate: ContentProvider['generateSkybox']): ContentProvider {
+  return { id, name: id, generateSkybox: generate, generatePlanet: generate }
+}
+
+describe('Content Providers', () => {
+  it('should read provider settings leniently', () => {
+    expect(readContentConfig(null)).toEqual(createDefaultContentConfig())
+    expect(readContentConfig({
+      contentProviders: ['selfHosted', 'local', 'cloud', 'local'],
+      contentTimeout: 9999,
+      selfHostedUrl: ' http://192.168.1.5:8001/ ',
+    })).toEqual({ order: ['selfHosted', 'local'], timeoutSeconds: MAX_CONTENT_TIMEOUT, selfHostedUrl: 'http://192.168.1.5:8001' })
+
+    // No server URL drops the self-hosted provider; an empty order still generates locally
+    expect(readContentConfig({ contentProviders: ['selfHosted'], selfHostedUrl: 'ftp://nope' }).order).toEqual(['local'])
+  })
+
+  it('should fall back to the next provider on errors, empty results and timeouts', async () => {
+    vi.useFakeTimers()
+    try {
+      const hanging = createProvider('remote', (_name, _description, signal) => new Promise((_, reject) => {
+        signal?.addEventListener('abort', () => reject(new Error('aborted')))
+      }))
+      const empty = createProvider('selfHosted', async () => ({ success: false, message: 'server busy' }))
+      const local = createProvider('local', async () => ({ success: true, image_paths: ['procedural:skybox/00000001/mixed'] }))
+
+      const pending = generateWithFallback([hanging, empty, local], 10, (provider, signal) =>
+        provider.generateSkybox('Test', 'A test sky', signal))
+      await vi.advanceTimersByTimeAsync(10000)
+
+      await expect(pending).resolves.toEqual({
+        success: true,
+        image_paths: ['procedural:skybox/00000001/mixed'],
+        provider: 'local',
+      })
+
+      await expect(generateWithFallback([empty], 10, provider => provider.generateSkybox('Test', 'A test sky')))
+        .rejects.toThrow('selfHosted: server busy')
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+})
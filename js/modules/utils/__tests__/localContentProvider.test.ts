@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import {
+  LocalContentProvider,
+  createPlanetRecipe,
+  createSkyboxRecipe,
+  detectPlanetType,
+  detectSkyboxTheme,
+  parseProceduralImagePath,
+  resolveContentImageUrl,
+} from '../localContentProvider'
+
+describe('Local Content Provider', () => {
+  it('should give the same images for the same inputs', async () => {
+    const provider = new LocalContentProvider()
+    const first = await provider.generateSkybox('Dense Belt', 'A violet nebula over a crowded belt')
+    const again = await provider.generateSkybox('Dense Belt', 'A violet nebula over a crowded belt')
+    const other = await provider.generateSkybox('Dense Belt', 'A violet nebula over an empty belt')
+
+    expect(first).toEqual(again)
+    expect(first.image_paths![0]).toMatch(/^procedural:skybox\/[0-9a-f]{8}\/violet$/)
+    expect(other.image_paths![0]).not.toBe(first.image_paths![0])
+
+    const image = parseProceduralImagePath(first.image_paths![0])!
+    expect(createSkyboxRecipe(image.seed, 'violet')).toEqual(createSkyboxRecipe(image.seed, 'violet'))
+  })
+
+  it('should pick themes and planet types from description keywords', async () => {
+    expect(detectSkyboxTheme('Deep space with golden dust and red giants')).toBe('golden')
+    expect(detectSkyboxTheme('Stars everywhere')).toBe('mixed')
+    expect(detectPlanetType('A frozen moon with hidden oceans')).toBe('ice')
+    expect(detectPlanetType('Grey and quiet')).toBe('rocky')
+
+    const planet = await new LocalContentProvider().generatePlanet('Magmar', 'Molten volcanic surface')
+    expect(planet.image_paths![0]).toMatch(/^procedural:planet\/[0-9a-f]{8}\/lava$/)
+    expect(planet.description).toMatch(/^Magmar is a (molten world|volcanic planet|scorched planet) /)
+
+    const { seed } = parseProceduralImagePath(planet.image_paths![0])!
+    expect(createPlanetRecipe(seed, 'gas').bands.length).toBeGreaterThanOrEqual(8)
+  })
+
+  it('should only accept well-formed procedural paths', () => {
+    expect(parseProceduralImagePath('procedural:skybox/0000ffff/azure')).toEqual({ kind: 'skybox', seed: 0xffff, style: 'azure' })
+    expect(parseProceduralImagePath('procedural:planet/0000ffff/azure')).toBeNull()
+    expect(parseProceduralImagePath('procedural:skybox/xyz/azure')).toBeNull()
+    expect(resolveContentImageUrl('/images/skybox.png')).toBe('/images/skybox.png')
+  })
+})
@@ -1,29 +1,43 @@
-// apiClient.ts - Client for interacting with the skybox generation API
+// apiClient.ts - Client for skybox and planet generation
+//
+// Requests go to the content providers in the order chosen in the game
+// settings (see contentProvider.ts). The first provider that answers in time
+// wins; if none does, the error lists why each one failed.
 
-type RefreshCallback = (success: boolean) => void;
+import { SettingsPersistence } from '../ui/components/settings/persistence.ts';
+import {
+    CONTENT_PROVIDER_LABELS,
+    generateWithFallback,
+    readContentConfig,
+    type ContentProvider,
+    type ContentProviderConfig,
+    type ContentResponse
+} from './contentProvider.ts';
+import { LocalContentProvider, resolveContentImageUrl } from './localContentProvider.ts';
+import { RemoteContentProvider } from './remoteContentProvider.ts';
+
+/**
+ * Provider settings as currently saved
+ */
+function loadContentConfig(): ContentProviderConfig {
+    return readContentConfig(new SettingsPersistence().loadSettings() as Record<string, unknown>);
+}
 
 export class ApiClient {
     private apiBaseUrl: string;
-    private token: string | null;
-    private tokenExpiry: string | null;
-    private clientId: string;
-    private isRefreshing: boolean;
-    private refreshCallbacks: RefreshCallback[];
+    private getConfig: () => ContentProviderConfig;
+    private remoteProvider: RemoteContentProvider;
+    private localProvider: LocalContentProvider;
+    private selfHostedProvider: RemoteContentProvider | null;
 
-    constructor() {
+    constructor(getConfig: () => ContentProviderConfig = loadContentConfig) {
         // API configuration
         this.apiBaseUrl = this.getApiBaseUrl();
+        this.getConfig = getConfig;
         
-        // In-memory token storage (no localStorage)
-        this.token = null;
-        this.tokenExpiry = null;
-        
-        // Default client ID
-        this.clientId = 'game_client';
-        
-        // For token refresh
-        this.isRefreshing = false;
-        this.refreshCallbacks = [];
+        this.remoteProvider = new RemoteContentProvider('remote', CONTENT_PROVIDER_LABELS.remote, this.apiBaseUrl);
+        this.localProvider = new LocalContentProvider();
+        this.selfHostedProvider = null;
         
         console.log(`API Client initialized with base URL: ${this.apiBaseUrl}`);
     }
@@ -39,200 +53,49 @@ export class ApiClient {
         return 'https://aminer-skybox-generator-833fe937a945.herokuapp.com';
     }
     
-    // Check if token is valid and not expired
-    private hasValidToken(): boolean {
-        if (!this.token || !this.tokenExpiry) {
-            return false;
-        }
-        
-        const expiryTime = new Date(this.tokenExpiry).getTime();
-        const currentTime = new Date().getTime();
-        
-        // Consider token expired if less than 5 minutes remain
-        const fiveMinutesInMs = 5 * 60 * 1000;
-        return (expiryTime - currentTime) > fiveMinutesInMs;
-    }
-    
-    // Clear token from memory
-    private clearToken(): void {
-        this.token = null;
-        this.tokenExpiry = null;
-    }
-    
-    // Get a new token from the API
-    private async getToken(): Promise<boolean> {
-        // Prevent multiple simultaneous refresh attempts
-        if (this.isRefreshing) {
-            return new Promise((resolve) => {
-                this.refreshCallbacks.push((success) => resolve(success));
-            });
-        }
-        
-        this.isRefreshing = true;
-        
-        try {
-            const response = await fetch(`${this.apiBaseUrl}/token`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ client_id: this.clientId })
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                const errorMessage = errorData.detail || 'Failed to get token';
-                console.error(`Token error (${response.status}): ${errorMessage}`);
-                
-                // Execute callbacks with failure
-                this.refreshCallbacks.forEach(cb => cb(false));
-                this.refreshCallbacks = [];
-                this.isRefreshing = false;
-                
-                throw new Error(errorMessage);
-            }
-            
-            interface TokenResponse {
-                access_token: string;
-            }
-            const data: TokenResponse = await response.json();
-            
-            // Save token in memory
-            this.token = data.access_token;
-            
-            // Set expiry (tokens are valid for 1 hour)
-            const expiryDate = new Date();
-            expiryDate.setHours(expiryDate.getHours() + 1);
-            this.tokenExpiry = expiryDate.toISOString();
-            
-            // Execute callbacks with success
-            this.refreshCallbacks.forEach(cb => cb(true));
-            this.refreshCallbacks = [];
-            this.isRefreshing = false;
-            
-            return true;
-        } catch (error: any) {
-            console.error('Error getting token:', error);
-            
-            // Execute callbacks with failure
-            this.refreshCallbacks.forEach(cb => cb(false));
-            this.refreshCallbacks = [];
-            this.isRefreshing = false;
-            
-            return false;
-        }
-    }
-    
-    // Handle API response errors
-    private async handleApiResponse(response: Response): Promise<boolean> {
-        if (response.status === 401) {
-            // Token has expired or is invalid
-            this.clearToken();
-            
-            // Try to get a new token and retry the request
-            const success = await this.getToken();
-            if (!success) {
-                throw new Error('Authentication failed. Please reload the application.');
+    // Providers to try, in the configured order
+    private getProviders(config: ContentProviderConfig): ContentProvider[] {
+        return config.order.map(id => {
+            switch (id) {
+                case 'remote':
+                    return this.remoteProvider;
+                case 'local':
+                    return this.localProvider;
+                case 'selfHosted':
+                    // Self-hosted images are stored as full URLs since the game can't know the server later
+                    if (!this.selfHostedProvider || this.selfHostedProvider.baseUrl !== config.selfHostedUrl) {
+                        this.selfHostedProvider = new RemoteContentProvider(
+                            'selfHosted', CONTENT_PROVIDER_LABELS.selfHosted, config.selfHostedUrl, true
+                        );
+                    }
+                    return this.selfHostedProvider;
             }
-            
-            // Return false to indicate a retry is needed
-            return false;
-        }
-        
-        if (response.status === 429) {
-            // Rate limit exceeded
-            throw new Error('Rate limit exceeded. Please try again later.');
-        }
-        
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.message || errorData.detail || `Error: ${response.status} ${response.statusText}`);
-        }
-        
-        // Return true to indicate success
-        return true;
+        });
     }
     
     // Generate a skybox based on the system name and description
-    async generateSkybox(systemName: string, description: string): Promise<any> {
-        // Get a new token if current one is invalid
-        if (!this.hasValidToken()) {
-            const success = await this.getToken();
-            if (!success) {
-                throw new Error('Failed to authenticate with the API');
-            }
-        }
-        
-        // Make request to generate skybox
-        const response = await fetch(`${this.apiBaseUrl}/generate-skybox`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.token}`
-            },
-            body: JSON.stringify({
-                system_name: systemName,
-                skybox_description: description
-            })
-        });
-        
-        // Handle response errors
-        const isValid = await this.handleApiResponse(response);
-        if (!isValid) {
-            // Retry the request with the new token
-            return this.generateSkybox(systemName, description);
-        }
-        
-        return await response.json();
+    async generateSkybox(systemName: string, description: string): Promise<ContentResponse> {
+        const config = this.getConfig();
+        return generateWithFallback(this.getProviders(config), config.timeoutSeconds,
+            (provider, signal) => provider.generateSkybox(systemName, description, signal));
     }
     
     // Generate a planet texture based on the planet name and description
-    async generatePlanet(planetName: string, description: string): Promise<any> {
-        // Get a new token if current one is invalid
-        if (!this.hasValidToken()) {
-            const success = await this.getToken();
-            if (!success) {
-                throw new Error('Failed to authenticate with the API');
-            }
-        }
-        
-        // Make request to generate planet
-        const response = await fetch(`${this.apiBaseUrl}/generate-planet`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.token}`
-            },
-            body: JSON.stringify({
-                planet_name: planetName,
-                planet_description: description
-            })
-        });
-        
-        // Handle response errors
-        const isValid = await this.handleApiResponse(response);
-        if (!isValid) {
-            // Retry the request with the new token
-            return this.generatePlanet(planetName, description);
-        }
-        
-        return await response.json();
+    async generatePlanet(planetName: string, description: string): Promise<ContentResponse> {
+        const config = this.getConfig();
+        return generateWithFallback(this.getProviders(config), config.timeoutSeconds,
+            (provider, signal) => provider.generatePlanet(planetName, description, signal));
     }
     
-    // Convert a relative image path to a full URL
+    // Convert a generated image path to a URL an <img> or texture loader can use
     getFullImageUrl(relativeUrl: string): string {
-        // If it's already a full URL, return as is
-        if (relativeUrl.startsWith('http')) {
-            return relativeUrl;
+        // Procedural images are drawn locally
+        const resolved = resolveContentImageUrl(relativeUrl);
+        if (resolved !== relativeUrl) {
+            return resolved;
         }
         
-        // Remove leading slash if present
-        const cleanPath = relativeUrl.startsWith('/') ? relativeUrl.substring(1) : relativeUrl;
-        
-        // Get the API base URL
-        const baseUrl = this.apiBaseUrl;
-        
-        // Join with API base URL
-        return `${baseUrl}/${cleanPath}`;
+        // Hosted API paths are relative to its server
+        return this.remoteProvider.getFullImageUrl(relativeUrl);
     }
-}
\ No newline at end of file
+}
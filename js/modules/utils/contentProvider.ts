@@ -0,0 +1,144 @@
+// contentProvider.ts - Content-generation provider interface and settings
+//
+// ApiClient asks each enabled provider in the fallback order from the game
+// settings, giving every request its own timeout, until one of them returns
+// images. Providers:
+//   remote     - the hosted skybox generation API
+//   selfHosted - the same API run on a server of the player's choosing
+//   local      - procedural textures drawn in the browser (works offline)
+
+export type ContentProviderId = 'remote' | 'selfHosted' | 'local';
+
+export type ApiImageResponse = {
+    success: boolean;
+    image_paths?: string[];
+    message?: string;
+    // Generated flavour text (local provider)
+    description?: string;
+};
+
+/**
+ * A generation response tagged with the provider that produced it
+ */
+export type ContentResponse = ApiImageResponse & {
+    provider: ContentProviderId;
+};
+
+export interface ContentProvider {
+    id: ContentProviderId;
+    name: string;
+    generateSkybox(systemName: string, description: string, signal?: AbortSignal): Promise<ApiImageResponse>;
+    generatePlanet(planetName: string, description: string, signal?: AbortSignal): Promise<ApiImageResponse>;
+}
+
+export interface ContentProviderConfig {
+    // Providers to try, first to last
+    order: ContentProviderId[];
+    // Seconds before a provider is abandoned for the next one
+    timeoutSeconds: number;
+    // Base URL of a self-hosted generation server
+    selfHostedUrl: string;
+}
+
+export const CONTENT_PROVIDER_IDS: ContentProviderId[] = ['remote', 'selfHosted', 'local'];
+
+export const CONTENT_PROVIDER_LABELS: Record<ContentProviderId, string> = {
+    remote: 'Remote API',
+    selfHosted: 'Self-Hosted Server',
+    local: 'Local Generator (Offline)'
+};
+
+export const MIN_CONTENT_TIMEOUT = 5;
+export const MAX_CONTENT_TIMEOUT = 300;
+
+export function isContentProviderId(value: unknown): value is ContentProviderId {
+    return typeof value === 'string' && (CONTENT_PROVIDER_IDS as string[]).includes(value);
+}
+
+export function createDefaultContentConfig(): ContentProviderConfig {
+    return {
+        order: ['remote', 'local'],
+        timeoutSeconds: 60,
+        selfHostedUrl: ''
+    };
+}
+
+/**
+ * Read provider settings, falling back to defaults for anything invalid.
+ * The self-hosted provider is dropped while no server URL is set.
+ * @param settings Game settings (contentProviders, contentTimeout, selfHostedUrl)
+ */
+export function readContentConfig(settings: Record<string, unknown> | null): ContentProviderConfig {
+    const config = createDefaultContentConfig();
+    if (!settings) return config;
+
+    if (typeof settings.selfHostedUrl === 'string' && /^https?:\/\/\S+$/.test(settings.selfHostedUrl.trim())) {
+        config.selfHostedUrl = settings.selfHostedUrl.trim().replace(/\/+$/, '');
+    }
+
+    if (Array.isArray(settings.contentProviders)) {
+        const order = settings.contentProviders
+            .filter(isContentProviderId)
+            .filter((id, index, ids) => ids.indexOf(id) === index)
+            .filter(id => id !== 'selfHosted' || config.selfHostedUrl);
+        config.order = order.length > 0 ? order : ['local'];
+    }
+
+    const timeout = settings.contentTimeout;
+    if (typeof timeout === 'number' && Number.isFinite(timeout)) {
+        config.timeoutSeconds = Math.min(MAX_CONTENT_TIMEOUT, Math.max(MIN_CONTENT_TIMEOUT, timeout));
+    }
+    return config;
+}
+
+/**
+ * Run a provider request, aborting it once the timeout passes
+ */
+export async function withTimeout<T>(
+    request: (signal: AbortSignal) => Promise<T>,
+    timeoutSeconds: number
+): Promise<T> {
+    const controller = new AbortController();
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const timeout = new Promise<never>((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Timed out after ${timeoutSeconds}s`));
+        }, timeoutSeconds * 1000);
+    });
+
+    try {
+        return await Promise.race([request(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Ask each provider in turn until one returns images
+ * @returns The first successful response
+ * @throws When every provider fails; the message lists each failure
+ */
+export async function generateWithFallback(
+    providers: ContentProvider[],
+    timeoutSeconds: number,
+    request: (provider: ContentProvider, signal: AbortSignal) => Promise<ApiImageResponse>
+): Promise<ContentResponse> {
+    const failures: string[] = [];
+
+    for (const provider of providers) {
+        try {
+            const response = await withTimeout(signal => request(provider, signal), timeoutSeconds);
+            if (response.success && response.image_paths?.length) {
+                return { ...response, provider: provider.id };
+            }
+            failures.push(`${provider.name}: ${response.message || 'no images returned'}`);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            console.warn(`Content provider ${provider.name} failed:`, message);
+            failures.push(`${provider.name}: ${message}`);
+        }
+    }
+
+    throw new Error(failures.length > 0 ? failures.join('; ') : 'No content providers enabled');
+}
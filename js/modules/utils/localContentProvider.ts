@@ -0,0 +1,379 @@
+// localContentProvider.ts - Offline procedural skybox and planet generation
+//
+// The local provider never leaves the browser. Each request is hashed into a
+// seed and matched against colour and terrain keywords in its description, and
+// the result is stored as a short "procedural:" image path such as
+// "procedural:skybox/1f2e3d4c/violet". The texture is drawn from that path
+// whenever it is loaded, so the same inputs always give the same image and
+// shared systems stay small.
+
+import { hashString, SeededRandom } from '../../globals/random.ts';
+import type { ApiImageResponse, ContentProvider, ContentProviderId } from './contentProvider.ts';
+
+export type SkyboxTheme = 'crimson' | 'azure' | 'violet' | 'emerald' | 'golden' | 'teal' | 'monochrome' | 'mixed';
+
+export type PlanetType = 'gas' | 'ice' | 'lava' | 'ocean' | 'desert' | 'verdant' | 'rocky';
+
+type HSL = [number, number, number];
+
+export interface SkyboxRecipe {
+    background: HSL;
+    // Positions and sizes are fractions of the texture size
+    nebulae: { x: number; y: number; radius: number; color: HSL; alpha: number }[];
+    stars: { x: number; y: number; radius: number; brightness: number }[];
+}
+
+export interface PlanetRecipe {
+    base: HSL;
+    bands: { y: number; height: number; wobble: number; color: HSL }[];
+    spots: { x: number; y: number; radius: number; color: HSL }[];
+}
+
+export interface ProceduralImage {
+    kind: 'skybox' | 'planet';
+    seed: number;
+    style: string;
+}
+
+const PROCEDURAL_PATH = /^procedural:(skybox|planet)\/([0-9a-f]{8})\/([a-z]+)$/;
+
+const SKYBOX_SIZE = { width: 2048, height: 1024 };
+const PLANET_SIZE = { width: 1024, height: 512 };
+
+// Words in a skybox description that pick its colour theme
+const THEME_KEYWORDS: Record<Exclude<SkyboxTheme, 'mixed'>, string[]> = {
+    crimson: ['red', 'crimson', 'scarlet', 'blood', 'ruby'],
+    azure: ['blue', 'azure', 'sapphire', 'cobalt', 'indigo'],
+    violet: ['purple', 'violet', 'magenta', 'pink', 'lilac'],
+    emerald: ['green', 'emerald', 'jade', 'verdant'],
+    golden: ['gold', 'golden', 'yellow', 'orange', 'amber'],
+    teal: ['teal', 'cyan', 'turquoise', 'aqua'],
+    monochrome: ['dark', 'black', 'void', 'grey', 'gray', 'white', 'empty']
+};
+
+// Hue range of each theme in degrees (null for a grey palette)
+const THEME_HUES: Record<SkyboxTheme, [number, number] | null> = {
+    crimson: [345, 375],
+    azure: [205, 235],
+    violet: [265, 310],
+    emerald: [115, 155],
+    golden: [30, 55],
+    teal: [170, 195],
+    monochrome: null,
+    mixed: [0, 360]
+};
+
+// Words in a planet description that pick its surface type
+const PLANET_KEYWORDS: Record<Exclude<PlanetType, 'rocky'>, string[]> = {
+    gas: ['gas', 'giant', 'storm', 'storms', 'clouds', 'jovian', 'bands'],
+    ice: ['ice', 'icy', 'frozen', 'snow', 'glacier', 'glaciers', 'frost'],
+    lava: ['lava', 'volcanic', 'volcanoes', 'molten', 'magma', 'fire'],
+    ocean: ['ocean', 'oceans', 'water', 'sea', 'seas', 'islands'],
+    desert: ['desert', 'sand', 'dunes', 'arid', 'dry', 'dust'],
+    verdant: ['forest', 'forests', 'jungle', 'lush', 'life', 'green']
+};
+
+const PLANET_PALETTES: Record<PlanetType, { hue: [number, number]; saturation: [number, number]; lightness: [number, number] }> = {
+    gas: { hue: [20, 50], saturation: [35, 65], lightness: [40, 70] },
+    ice: { hue: [185, 215], saturation: [20, 50], lightness: [70, 92] },
+    lava: { hue: [0, 25], saturation: [70, 95], lightness: [15, 50] },
+    ocean: { hue: [195, 230], saturation: [50, 80], lightness: [25, 50] },
+    desert: { hue: [28, 45], saturation: [40, 70], lightness: [45, 70] },
+    verdant: { hue: [90, 140], saturation: [35, 65], lightness: [25, 45] },
+    rocky: { hue: [20, 40], saturation: [5, 25], lightness: [30, 55] }
+};
+
+const PLANET_TRAITS: Record<PlanetType, { kinds: string[]; features: string[] }> = {
+    gas: {
+        kinds: ['banded gas giant', 'storm-wracked gas giant', 'pale gas giant'],
+        features: ['whose cloud belts race around it in opposing jets', 'with a storm large enough to swallow a moon', 'that glows faintly where its deep layers churn']
+    },
+    ice: {
+        kinds: ['frozen world', 'glacier-covered planet', 'icy dwarf'],
+        features: ['whose cracked ice sheets hide a dark ocean', 'dusted with nitrogen frost', 'crossed by blue fault lines kilometres deep']
+    },
+    lava: {
+        kinds: ['molten world', 'volcanic planet', 'scorched planet'],
+        features: ['where rivers of magma never cool', 'shrouded in ash from a thousand eruptions', 'whose night side glows with open lava seas']
+    },
+    ocean: {
+        kinds: ['ocean world', 'waterlogged planet', 'archipelago world'],
+        features: ['with barely a scrap of land above the waves', 'whose tides are driven by a close orbit', 'scattered with chains of volcanic islands']
+    },
+    desert: {
+        kinds: ['desert planet', 'dune world', 'arid planet'],
+        features: ['swept by planet-wide sandstorms', 'where dune seas stretch from pole to pole', 'cut by the dry beds of ancient rivers']
+    },
+    verdant: {
+        kinds: ['verdant world', 'jungle planet', 'temperate garden world'],
+        features: ['covered pole to pole in dense forest', 'whose green continents are ringed by shallow seas', 'teeming with life under a thick, humid sky']
+    },
+    rocky: {
+        kinds: ['rocky planet', 'cratered world', 'barren planet'],
+        features: ['pocked by billions of years of impacts', 'with a thin, dusty atmosphere', 'rich in exposed metal seams']
+    }
+};
+
+// Rendered textures by path
+const imageCache = new Map<string, string>();
+
+function tokenize(text: string): string[] {
+    return text.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+}
+
+/**
+ * Colour theme for a skybox description: the first theme keyword it mentions
+ */
+export function detectSkyboxTheme(description: string): SkyboxTheme {
+    for (const word of tokenize(description)) {
+        for (const [theme, keywords] of Object.entries(THEME_KEYWORDS)) {
+            if (keywords.includes(word)) return theme as SkyboxTheme;
+        }
+    }
+    return 'mixed';
+}
+
+/**
+ * Surface type for a planet description: the first terrain keyword it mentions
+ */
+export function detectPlanetType(description: string): PlanetType {
+    for (const word of tokenize(description)) {
+        for (const [type, keywords] of Object.entries(PLANET_KEYWORDS)) {
+            if (keywords.includes(word)) return type as PlanetType;
+        }
+    }
+    return 'rocky';
+}
+
+function seedFor(name: string, description: string): number {
+    return hashString(`${name.trim()}\n${description.trim()}`);
+}
+
+function toHex(seed: number): string {
+    return seed.toString(16).padStart(8, '0');
+}
+
+export function isProceduralImagePath(path: string): boolean {
+    return PROCEDURAL_PATH.test(path);
+}
+
+/**
+ * Read a "procedural:" image path, or null if it is not one
+ */
+export function parseProceduralImagePath(path: string): ProceduralImage | null {
+    const match = PROCEDURAL_PATH.exec(path);
+    if (!match) return null;
+
+    const kind = match[1] as ProceduralImage['kind'];
+    const style = match[3];
+    const styles = kind === 'skybox' ? THEME_HUES : PLANET_PALETTES;
+    if (!(style in styles)) return null;
+
+    return { kind, seed: parseInt(match[2], 16), style };
+}
+
+export function createSkyboxRecipe(seed: number, theme: SkyboxTheme): SkyboxRecipe {
+    const random = new SeededRandom(seed);
+    const hues = THEME_HUES[theme];
+    const pickColor = (): HSL => hues
+        ? [random.float(hues[0], hues[1]) % 360, random.float(50, 90), random.float(35, 60)]
+        : [0, 0, random.float(40, 70)];
+
+    const nebulae = [];
+    const nebulaCount = random.int(4, 8);
+    for (let i = 0; i < nebulaCount; i++) {
+        nebulae.push({
+            x: random.next(),
+            y: random.float(0.2, 0.8),
+            radius: random.float(0.08, 0.3),
+            color: pickColor(),
+            alpha: random.float(0.15, 0.45)
+        });
+    }
+
+    const stars = [];
+    const starCount = random.int(500, 900);
+    for (let i = 0; i < starCount; i++) {
+        stars.push({
+            x: random.next(),
+            y: random.next(),
+            radius: random.chance(0.05) ? random.float(1.2, 2.2) : random.float(0.3, 1),
+            brightness: random.float(0.4, 1)
+        });
+    }
+
+    const background: HSL = hues ? [(hues[0] + hues[1]) / 2 % 360, 40, 4] : [0, 0, 3];
+    return { background, nebulae, stars };
+}
+
+export function createPlanetRecipe(seed: number, type: PlanetType): PlanetRecipe {
+    const random = new SeededRandom(seed);
+    const palette = PLANET_PALETTES[type];
+    const pickColor = (): HSL => [
+        random.float(palette.hue[0], palette.hue[1]),
+        random.float(palette.saturation[0], palette.saturation[1]),
+        random.float(palette.lightness[0], palette.lightness[1])
+    ];
+
+    const base = pickColor();
+    const bands = [];
+    const bandCount = type === 'gas' ? random.int(8, 14) : random.int(3, 6);
+    for (let i = 0; i < bandCount; i++) {
+        bands.push({
+            y: random.next(),
+            height: type === 'gas' ? random.float(0.03, 0.1) : random.float(0.05, 0.2),
+            wobble: random.float(0, 0.03),
+            color: pickColor()
+        });
+    }
+
+    const spots = [];
+    const spotCount = type === 'gas' ? random.int(1, 3) : random.int(10, 30);
+    for (let i = 0; i < spotCount; i++) {
+        spots.push({
+            x: random.next(),
+            y: random.float(0.1, 0.9),
+            radius: type === 'gas' ? random.float(0.03, 0.08) : random.float(0.005, 0.04),
+            color: pickColor()
+        });
+    }
+
+    return { base, bands, spots };
+}
+
+/**
+ * One-sentence planet description
+ */
+export function describePlanet(name: string, seed: number, type: PlanetType): string {
+    const random = new SeededRandom(seed ^ 0x5bd1e995);
+    const traits = PLANET_TRAITS[type];
+    return `${name.trim()} is a ${random.pick(traits.kinds)} ${random.pick(traits.features)}.`;
+}
+
+function hsl([h, s, l]: HSL, alpha: number = 1): string {
+    return `hsla(${h.toFixed(1)}, ${s.toFixed(1)}%, ${l.toFixed(1)}%, ${alpha})`;
+}
+
+function paintSkybox(ctx: CanvasRenderingContext2D, recipe: SkyboxRecipe, width: number, height: number): void {
+    ctx.fillStyle = hsl(recipe.background);
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.globalCompositeOperation = 'lighter';
+    for (const nebula of recipe.nebulae) {
+        const x = nebula.x * width;
+        const y = nebula.y * height;
+        const radius = nebula.radius * width;
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, hsl(nebula.color, nebula.alpha));
+        gradient.addColorStop(1, hsl(nebula.color, 0));
+        ctx.fillStyle = gradient;
+        // Draw again one texture-width away so nebulae wrap around the seam
+        for (const offset of [-width, 0, width]) {
+            ctx.fillRect(x + offset - radius, y - radius, radius * 2, radius * 2);
+        }
+    }
+
+    ctx.globalCompositeOperation = 'source-over';
+    for (const star of recipe.stars) {
+        ctx.fillStyle = `rgba(255, 255, 255, ${star.brightness})`;
+        ctx.beginPath();
+        ctx.arc(star.x * width, star.y * height, star.radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+function paintPlanet(ctx: CanvasRenderingContext2D, recipe: PlanetRecipe, width: number, height: number): void {
+    ctx.fillStyle = hsl(recipe.base);
+    ctx.fillRect(0, 0, width, height);
+
+    for (const band of recipe.bands) {
+        ctx.fillStyle = hsl(band.color, 0.8);
+        ctx.beginPath();
+        for (let x = 0; x <= width; x += 16) {
+            // Whole periods across the width keep the texture seamless
+            const wave = Math.sin((x / width) * Math.PI * 4) * band.wobble * height;
+            ctx.lineTo(x, band.y * height + wave);
+        }
+        for (let x = width; x >= 0; x -= 16) {
+            const wave = Math.sin((x / width) * Math.PI * 4 + 1) * band.wobble * height;
+            ctx.lineTo(x, (band.y + band.height) * height + wave);
+        }
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    for (const spot of recipe.spots) {
+        ctx.fillStyle = hsl(spot.color, 0.7);
+        ctx.beginPath();
+        ctx.ellipse(spot.x * width, spot.y * height, spot.radius * width, spot.radius * width * 0.6, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+/**
+ * Draw a procedural image as a data URL
+ * @returns The data URL, or null if the path is not procedural or there is no canvas
+ */
+export function renderProceduralImage(path: string): string | null {
+    const cached = imageCache.get(path);
+    if (cached) return cached;
+
+    const image = parseProceduralImagePath(path);
+    if (!image || typeof document === 'undefined') return null;
+
+    const size = image.kind === 'skybox' ? SKYBOX_SIZE : PLANET_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        console.error('Canvas 2D context unavailable for procedural textures');
+        return null;
+    }
+
+    if (image.kind === 'skybox') {
+        paintSkybox(ctx, createSkyboxRecipe(image.seed, image.style as SkyboxTheme), size.width, size.height);
+    } else {
+        paintPlanet(ctx, createPlanetRecipe(image.seed, image.style as PlanetType), size.width, size.height);
+    }
+
+    const url = canvas.toDataURL('image/jpeg', 0.9);
+    imageCache.set(path, url);
+    return url;
+}
+
+/**
+ * URL a texture loader can use for an image path: procedural paths are drawn,
+ * anything else is returned unchanged
+ */
+export function resolveContentImageUrl(path: string): string {
+    return isProceduralImagePath(path) ? renderProceduralImage(path) || path : path;
+}
+
+export class LocalContentProvider implements ContentProvider {
+    id: ContentProviderId;
+    name: string;
+
+    constructor() {
+        this.id = 'local';
+        this.name = 'Local Generator';
+    }
+
+    async generateSkybox(systemName: string, description: string): Promise<ApiImageResponse> {
+        const seed = seedFor(systemName, description);
+        return {
+            success: true,
+            image_paths: [`procedural:skybox/${toHex(seed)}/${detectSkyboxTheme(description)}`]
+        };
+    }
+
+    async generatePlanet(planetName: string, description: string): Promise<ApiImageResponse> {
+        const seed = seedFor(planetName, description);
+        const type = detectPlanetType(description);
+        return {
+            success: true,
+            image_paths: [`procedural:planet/${toHex(seed)}/${type}`],
+            description: describePlanet(planetName, seed, type)
+        };
+    }
+}
@@ -0,0 +1,217 @@
+// remoteContentProvider.ts - Skybox generation API client (hosted or self-hosted)
+
+import type { ApiImageResponse, ContentProvider, ContentProviderId } from './contentProvider.ts';
+
+type RefreshCallback = (success: boolean) => void;
+
+export class RemoteContentProvider implements ContentProvider {
+    id: ContentProviderId;
+    name: string;
+    baseUrl: string;
+    private token: string | null;
+    private tokenExpiry: string | null;
+    private clientId: string;
+    private isRefreshing: boolean;
+    private refreshCallbacks: RefreshCallback[];
+    private absolutePaths: boolean;
+
+    /**
+     * @param absolutePaths Return full image URLs instead of server-relative paths
+     */
+    constructor(id: ContentProviderId, name: string, baseUrl: string, absolutePaths: boolean = false) {
+        this.id = id;
+        this.name = name;
+        this.baseUrl = baseUrl;
+        this.absolutePaths = absolutePaths;
+        
+        // In-memory token storage (no localStorage)
+        this.token = null;
+        this.tokenExpiry = null;
+        
+        // Default client ID
+        this.clientId = 'game_client';
+        
+        // For token refresh
+        this.isRefreshing = false;
+        this.refreshCallbacks = [];
+    }
+    
+    // Check if token is valid and not expired
+    private hasValidToken(): boolean {
+        if (!this.token || !this.tokenExpiry) {
+            return false;
+        }
+        
+        const expiryTime = new Date(this.tokenExpiry).getTime();
+        const currentTime = new Date().getTime();
+        
+        // Consider token expired if less than 5 minutes remain
+        const fiveMinutesInMs = 5 * 60 * 1000;
+        return (expiryTime - currentTime) > fiveMinutesInMs;
+    }
+    
+    // Clear token from memory
+    private clearToken(): void {
+        this.token = null;
+        this.tokenExpiry = null;
+    }
+    
+    // Get a new token from the API
+    private async getToken(signal?: AbortSignal): Promise<boolean> {
+        // Prevent multiple simultaneous refresh attempts
+        if (this.isRefreshing) {
+            return new Promise((resolve) => {
+                this.refreshCallbacks.push((success) => resolve(success));
+            });
+        }
+        
+        this.isRefreshing = true;
+        
+        try {
+            const response = await fetch(`${this.baseUrl}/token`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ client_id: this.clientId }),
+                signal
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                const errorMessage = errorData.detail || 'Failed to get token';
+                console.error(`Token error (${response.status}): ${errorMessage}`);
+                
+                // Execute callbacks with failure
+                this.refreshCallbacks.forEach(cb => cb(false));
+                this.refreshCallbacks = [];
+                this.isRefreshing = false;
+                
+                throw new Error(errorMessage);
+            }
+            
+            interface TokenResponse {
+                access_token: string;
+            }
+            const data: TokenResponse = await response.json();
+            
+            // Save token in memory
+            this.token = data.access_token;
+            
+            // Set expiry (tokens are valid for 1 hour)
+            const expiryDate = new Date();
+            expiryDate.setHours(expiryDate.getHours() + 1);
+            this.tokenExpiry = expiryDate.toISOString();
+            
+            // Execute callbacks with success
+            this.refreshCallbacks.forEach(cb => cb(true));
+            this.refreshCallbacks = [];
+            this.isRefreshing = false;
+            
+            return true;
+        } catch (error: any) {
+            console.error('Error getting token:', error);
+            
+            // Execute callbacks with failure
+            this.refreshCallbacks.forEach(cb => cb(false));
+            this.refreshCallbacks = [];
+            this.isRefreshing = false;
+            
+            return false;
+        }
+    }
+    
+    // Handle API response errors
+    private async handleApiResponse(response: Response, signal?: AbortSignal): Promise<boolean> {
+        if (response.status === 401) {
+            // Token has expired or is invalid
+            this.clearToken();
+            
+            // Try to get a new token and retry the request
+            const success = await this.getToken(signal);
+            if (!success) {
+                throw new Error('Authentication failed. Please reload the application.');
+            }
+            
+            // Return false to indicate a retry is needed
+            return false;
+        }
+        
+        if (response.status === 429) {
+            // Rate limit exceeded
+            throw new Error('Rate limit exceeded. Please try again later.');
+        }
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || errorData.detail || `Error: ${response.status} ${response.statusText}`);
+        }
+        
+        // Return true to indicate success
+        return true;
+    }
+    
+    // POST a generation request, retrying once with a fresh token if it expired
+    private async request(endpoint: string, body: Record<string, string>, signal?: AbortSignal): Promise<ApiImageResponse> {
+        // Get a new token if current one is invalid
+        if (!this.hasValidToken()) {
+            const success = await this.getToken(signal);
+            if (!success) {
+                throw new Error('Failed to authenticate with the API');
+            }
+        }
+        
+        const response = await fetch(`${this.baseUrl}/${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.token}`
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+        
+        // Handle response errors
+        const isValid = await this.handleApiResponse(response, signal);
+        if (!isValid) {
+            // Retry the request with the new token
+            return this.request(endpoint, body, signal);
+        }
+        
+        const data: ApiImageResponse = await response.json();
+        if (this.absolutePaths && data.image_paths) {
+            data.image_paths = data.image_paths.map(path => this.getFullImageUrl(path));
+        }
+        return data;
+    }
+    
+    // Generate a skybox based on the system name and description
+    generateSkybox(systemName: string, description: string, signal?: AbortSignal): Promise<ApiImageResponse> {
+        return this.request('generate-skybox', {
+            system_name: systemName,
+            skybox_description: description
+        }, signal);
+    }
+    
+    // Generate a planet texture based on the planet name and description
+    generatePlanet(planetName: string, description: string, signal?: AbortSignal): Promise<ApiImageResponse> {
+        return this.request('generate-planet', {
+            planet_name: planetName,
+            planet_description: description
+        }, signal);
+    }
+    
+    // Convert a relative image path to a full URL on this server
+    getFullImageUrl(relativeUrl: string): string {
+        // If it's already a full URL, return as is
+        if (relativeUrl.startsWith('http')) {
+            return relativeUrl;
+        }
+        
+        // Remove leading slash if present
+        const cleanPath = relativeUrl.startsWith('/') ? relativeUrl.substring(1) : relativeUrl;
+        
+        // Join with the server URL
+        return `${this.baseUrl}/${cleanPath}`;
+    }
+}
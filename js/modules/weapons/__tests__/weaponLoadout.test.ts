@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_WEAPON_ENERGY,
+  WEAPONS,
+  WeaponLoadout,
+  getWeaponCooldown,
+  readLoadoutState,
+} from '../weaponLoadout'
+
+describe('Weapon Loadout', () => {
+  it('should start with the particle cannon on both hardpoints', () => {
+    const loadout = new WeaponLoadout()
+
+    expect(loadout.owned).toEqual(['cannon'])
+    expect(loadout.getSelectedWeapon()).toBe(WEAPONS.cannon)
+    expect(loadout.mount('missiles', 'right')).toBe(false)
+    expect(loadout.mounts).toEqual({ left: 'cannon', right: 'cannon' })
+  })
+
+  it('should switch between the weapons mounted on each hardpoint', () => {
+    const loadout = new WeaponLoadout()
+    expect(loadout.addWeapon('missiles')).toBe(true)
+    expect(loadout.addWeapon('missiles')).toBe(false)
+    expect(loadout.ammo.missiles).toBe(WEAPONS.missiles.maxAmmo)
+
+    loadout.mount('missiles', 'right')
+    expect(loadout.switchWeapon()).toBe(WEAPONS.missiles)
+    expect(loadout.activeHardpoint).toBe('right')
+    expect(loadout.switchWeapon()).toBe(WEAPONS.cannon)
+  })
+
+  it('should limit fire by cooldown, energy and ammunition', () => {
+    const loadout = new WeaponLoadout()
+    const cooldown = getWeaponCooldown(WEAPONS.cannon)
+
+    expect(loadout.consumeShot(0)).toBe(WEAPONS.cannon)
+    expect(loadout.consumeShot(cooldown - 1)).toBeNull()
+    expect(loadout.getCooldownProgress(cooldown / 2)).toBeCloseTo(0.5)
+    expect(loadout.consumeShot(cooldown)).toBe(WEAPONS.cannon)
+    expect(loadout.energy).toBe(MAX_WEAPON_ENERGY - 2 * WEAPONS.cannon.energyCost)
+
+    loadout.addWeapon('plasma')
+    loadout.mount('plasma', 'left')
+    loadout.energy = WEAPONS.plasma.energyCost - 1
+    expect(loadout.canFire(10000)).toBe(false)
+    loadout.recharge(1)
+    expect(loadout.consumeShot(10000)).toBe(WEAPONS.plasma)
+
+    loadout.addWeapon('missiles')
+    loadout.mount('missiles', 'left')
+    loadout.ammo.missiles = 1
+    expect(loadout.consumeShot(20000)).toBe(WEAPONS.missiles)
+    expect(loadout.consumeShot(40000)).toBeNull()
+    expect(loadout.getStatus(40000)).toMatchObject({ name: 'Homing Missiles', ammo: 0, cooldownProgress: 1 })
+  })
+
+  it('should run cooldowns on game time rather than wall-clock time', () => {
+    const loadout = new WeaponLoadout()
+    const cooldown = getWeaponCooldown(WEAPONS.cannon)
+
+    expect(loadout.consumeShot()).toBe(WEAPONS.cannon)
+    expect(loadout.consumeShot()).toBeNull()
+
+    loadout.recharge(cooldown / 2000)
+    expect(loadout.getCurrentWeaponInfo().cooldownProgress).toBeCloseTo(0.5)
+    expect(loadout.consumeShot()).toBeNull()
+
+    loadout.recharge(cooldown / 2000)
+    expect(loadout.consumeShot()).toBe(WEAPONS.cannon)
+  })
+
+  it('should charge for the rounds needed to restock', () => {
+    const loadout = new WeaponLoadout()
+    expect(loadout.getRestockCost('missiles')).toBe(0)
+
+    loadout.addWeapon('missiles')
+    loadout.ammo.missiles = 2
+    expect(loadout.getRestockCost('missiles')).toBe((WEAPONS.missiles.maxAmmo - 2) * WEAPONS.missiles.ammoPrice)
+    expect(loadout.restock('missiles', 3.5)).toBe(3)
+    expect(loadout.restock('missiles')).toBe(WEAPONS.missiles.maxAmmo - 5)
+    expect(loadout.getRestockCost('missiles')).toBe(0)
+  })
+
+  it('should round-trip its state and repair invalid saves', () => {
+    const loadout = new WeaponLoadout()
+    loadout.addWeapon('autocannon')
+    loadout.mount('autocannon', 'right')
+    loadout.switchWeapon()
+    loadout.ammo.autocannon = 120
+
+    expect(new WeaponLoadout(loadout.getState()).getState()).toEqual(loadout.getState())
+    expect(readLoadoutState({
+      owned: ['missiles', 'railgun'],
+      mounts: { left: 'plasma', right: 'missiles' },
+      activeHardpoint: 'up',
+      ammo: { missiles: 500, autocannon: -3 },
+    })).toEqual({
+      owned: ['cannon', 'missiles'],
+      mounts: { left: 'cannon', right: 'missiles' },
+      activeHardpoint: 'left',
+      ammo: { cannon: 0, autocannon: 0, plasma: 0, missiles: WEAPONS.missiles.maxAmmo },
+    })
+    expect(readLoadoutState(null)).toEqual(new WeaponLoadout().getState())
+  })
+})
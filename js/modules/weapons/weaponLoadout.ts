@@ -0,0 +1,300 @@
+// weaponLoadout.ts - Purchasable weapons, hardpoint mounts and firing budget
+//
+// The ship has two hardpoints, the left and right cannons. Each mounts one
+// owned weapon and the pilot fires whichever hardpoint is active, switching
+// between them in flight. Every weapon is built on one of the pooled projectile
+// types and pays for its shots with capacitor energy, ammunition or both.
+
+export type WeaponId = 'cannon' | 'autocannon' | 'plasma' | 'missiles';
+
+export type ProjectileType = 'laser' | 'bullet' | 'plasma' | 'missile';
+
+export type Hardpoint = 'left' | 'right';
+
+export interface WeaponDefinition {
+    id: WeaponId;
+    name: string;
+    projectile: ProjectileType;
+    damage: number;
+    // Shots per second
+    fireRate: number;
+    // Capacitor energy drawn per shot
+    energyCost: number;
+    // Rounds carried when full (0 = no ammunition needed)
+    maxAmmo: number;
+    // Credits per round when restocking
+    ammoPrice: number;
+    // Purchase price at the stargate (0 = fitted as standard)
+    price: number;
+    range: number;
+    // Steers toward the locked-on enemy
+    homing: boolean;
+    color: number;
+}
+
+export const WEAPONS: Record<WeaponId, WeaponDefinition> = {
+    cannon: {
+        id: 'cannon', name: 'Particle Cannon', projectile: 'laser',
+        damage: 20, fireRate: 3, energyCost: 4, maxAmmo: 0, ammoPrice: 0,
+        price: 0, range: 2000, homing: false, color: 0x00ffff
+    },
+    autocannon: {
+        id: 'autocannon', name: 'Autocannon', projectile: 'bullet',
+        damage: 8, fireRate: 10, energyCost: 0, maxAmmo: 300, ammoPrice: 2,
+        price: 2500, range: 1500, homing: false, color: 0xffcc00
+    },
+    plasma: {
+        id: 'plasma', name: 'Plasma Cannon', projectile: 'plasma',
+        damage: 75, fireRate: 1, energyCost: 30, maxAmmo: 0, ammoPrice: 0,
+        price: 5000, range: 1200, homing: false, color: 0x33ff66
+    },
+    missiles: {
+        id: 'missiles', name: 'Homing Missiles', projectile: 'missile',
+        damage: 150, fireRate: 0.5, energyCost: 0, maxAmmo: 12, ammoPrice: 60,
+        price: 8000, range: 3000, homing: true, color: 0xff5500
+    }
+};
+
+export const WEAPON_IDS = Object.keys(WEAPONS) as WeaponId[];
+
+export const HARDPOINTS: Hardpoint[] = ['left', 'right'];
+
+// Weapon capacitor - the standard cannon's sustained fire stays below the recharge rate
+export const MAX_WEAPON_ENERGY = 100;
+export const WEAPON_ENERGY_RECHARGE = 15; // per second
+
+export interface WeaponLoadoutState {
+    owned: WeaponId[];
+    mounts: Record<Hardpoint, WeaponId>;
+    activeHardpoint: Hardpoint;
+    ammo: Record<WeaponId, number>;
+}
+
+export interface WeaponStatus {
+    name: string;
+    color: number;
+    hardpoint: Hardpoint;
+    energy: number;
+    maxEnergy: number;
+    // Rounds left, or null for energy weapons
+    ammo: number | null;
+    maxAmmo: number;
+    // 0 just after a shot, 1 when ready to fire again
+    cooldownProgress: number;
+}
+
+export function isWeaponId(value: unknown): value is WeaponId {
+    return typeof value === 'string' && (WEAPON_IDS as string[]).includes(value);
+}
+
+export function isHardpoint(value: unknown): value is Hardpoint {
+    return value === 'left' || value === 'right';
+}
+
+/**
+ * Milliseconds between shots
+ */
+export function getWeaponCooldown(weapon: WeaponDefinition): number {
+    return 1000 / weapon.fireRate;
+}
+
+export function createDefaultLoadoutState(): WeaponLoadoutState {
+    const ammo = {} as Record<WeaponId, number>;
+    for (const id of WEAPON_IDS) {
+        ammo[id] = 0;
+    }
+    return {
+        owned: ['cannon'],
+        mounts: { left: 'cannon', right: 'cannon' },
+        activeHardpoint: 'left',
+        ammo
+    };
+}
+
+/**
+ * Read a stored loadout, falling back to the standard fit for anything invalid
+ */
+export function readLoadoutState(raw: unknown): WeaponLoadoutState {
+    const state = createDefaultLoadoutState();
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) return state;
+
+    const source = raw as Record<string, any>;
+    if (Array.isArray(source.owned)) {
+        state.owned = ['cannon', ...WEAPON_IDS.filter(id => id !== 'cannon' && source.owned.includes(id))];
+    }
+    for (const hardpoint of HARDPOINTS) {
+        const mounted = source.mounts ? source.mounts[hardpoint] : null;
+        if (isWeaponId(mounted) && state.owned.includes(mounted)) {
+            state.mounts[hardpoint] = mounted;
+        }
+    }
+    if (isHardpoint(source.activeHardpoint)) {
+        state.activeHardpoint = source.activeHardpoint;
+    }
+    for (const id of WEAPON_IDS) {
+        const rounds = source.ammo ? source.ammo[id] : 0;
+        state.ammo[id] = state.owned.includes(id) && typeof rounds === 'number' && Number.isFinite(rounds) && rounds > 0
+            ? Math.min(Math.floor(rounds), WEAPONS[id].maxAmmo)
+            : 0;
+    }
+    return state;
+}
+
+export class WeaponLoadout {
+    owned: WeaponId[];
+    mounts: Record<Hardpoint, WeaponId>;
+    activeHardpoint: Hardpoint;
+    ammo: Record<WeaponId, number>;
+    energy: number;
+    // Milliseconds of game time, advanced by recharge so cooldowns pause with the game loop
+    clock: number;
+    lastFireTime: number;
+
+    constructor(state: WeaponLoadoutState = createDefaultLoadoutState()) {
+        this.owned = [];
+        this.mounts = { left: 'cannon', right: 'cannon' };
+        this.activeHardpoint = 'left';
+        this.ammo = createDefaultLoadoutState().ammo;
+        this.energy = MAX_WEAPON_ENERGY;
+        this.clock = 0;
+        this.lastFireTime = -Infinity;
+        this.setState(state);
+    }
+
+    getSelectedWeapon(): WeaponDefinition {
+        return WEAPONS[this.mounts[this.activeHardpoint]];
+    }
+
+    owns(id: WeaponId): boolean {
+        return this.owned.includes(id);
+    }
+
+    /**
+     * Add a weapon to the ship with a full magazine. Credits are handled by the caller.
+     * @returns False if the weapon is already owned
+     */
+    addWeapon(id: WeaponId): boolean {
+        if (this.owns(id)) return false;
+        this.owned.push(id);
+        this.ammo[id] = WEAPONS[id].maxAmmo;
+        return true;
+    }
+
+    /**
+     * Mount an owned weapon on a hardpoint
+     */
+    mount(id: WeaponId, hardpoint: Hardpoint): boolean {
+        if (!this.owns(id)) return false;
+        this.mounts[hardpoint] = id;
+        return true;
+    }
+
+    /**
+     * Make the other hardpoint active
+     * @returns The weapon now selected
+     */
+    switchWeapon(): WeaponDefinition {
+        this.activeHardpoint = this.activeHardpoint === 'left' ? 'right' : 'left';
+        return this.getSelectedWeapon();
+    }
+
+    /**
+     * Rounds needed to fill a weapon's magazine
+     */
+    getMissingAmmo(id: WeaponId): number {
+        return this.owns(id) ? WEAPONS[id].maxAmmo - this.ammo[id] : 0;
+    }
+
+    getRestockCost(id: WeaponId): number {
+        return this.getMissingAmmo(id) * WEAPONS[id].ammoPrice;
+    }
+
+    /**
+     * Fill a weapon's magazine. Credits are handled by the caller.
+     * @param limit Most rounds to load (default: a full magazine)
+     * @returns Rounds loaded
+     */
+    restock(id: WeaponId, limit: number = Infinity): number {
+        const rounds = Math.min(this.getMissingAmmo(id), Math.max(0, Math.floor(limit)));
+        this.ammo[id] += rounds;
+        return rounds;
+    }
+
+    /**
+     * Recharge the capacitor and advance the cooldown clock
+     * @param deltaTime Seconds since the last update
+     */
+    recharge(deltaTime: number): void {
+        this.energy = Math.min(MAX_WEAPON_ENERGY, this.energy + WEAPON_ENERGY_RECHARGE * deltaTime);
+        this.clock += deltaTime * 1000;
+    }
+
+    getCooldownProgress(now: number = this.clock): number {
+        return Math.min(1, Math.max(0, (now - this.lastFireTime) / getWeaponCooldown(this.getSelectedWeapon())));
+    }
+
+    /**
+     * Whether the active weapon has the cooldown, energy and ammunition for a shot
+     */
+    canFire(now: number = this.clock): boolean {
+        const weapon = this.getSelectedWeapon();
+        return this.getCooldownProgress(now) >= 1 &&
+            this.energy >= weapon.energyCost &&
+            (weapon.maxAmmo === 0 || this.ammo[weapon.id] > 0);
+    }
+
+    /**
+     * Pay for one shot of the active weapon
+     * @returns The weapon fired, or null if it cannot fire yet
+     */
+    consumeShot(now: number = this.clock): WeaponDefinition | null {
+        if (!this.canFire(now)) return null;
+
+        const weapon = this.getSelectedWeapon();
+        this.energy -= weapon.energyCost;
+        if (weapon.maxAmmo > 0) {
+            this.ammo[weapon.id]--;
+        }
+        this.lastFireTime = now;
+        return weapon;
+    }
+
+    getStatus(now: number = this.clock): WeaponStatus {
+        const weapon = this.getSelectedWeapon();
+        return {
+            name: weapon.name,
+            color: weapon.color,
+            hardpoint: this.activeHardpoint,
+            energy: this.energy,
+            maxEnergy: MAX_WEAPON_ENERGY,
+            ammo: weapon.maxAmmo > 0 ? this.ammo[weapon.id] : null,
+            maxAmmo: weapon.maxAmmo,
+            cooldownProgress: this.getCooldownProgress(now)
+        };
+    }
+
+    /**
+     * Active weapon status for WeaponDisplay
+     */
+    getCurrentWeaponInfo(): WeaponStatus {
+        return this.getStatus();
+    }
+
+    getState(): WeaponLoadoutState {
+        return {
+            owned: [...this.owned],
+            mounts: { ...this.mounts },
+            activeHardpoint: this.activeHardpoint,
+            ammo: { ...this.ammo }
+        };
+    }
+
+    setState(state: WeaponLoadoutState): void {
+        const valid = readLoadoutState(state);
+        this.owned = valid.owned;
+        this.mounts = valid.mounts;
+        this.activeHardpoint = valid.activeHardpoint;
+        this.ammo = valid.ammo;
+        this.energy = MAX_WEAPON_ENERGY;
+    }
+}
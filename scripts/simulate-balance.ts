@@ -0,0 +1,72 @@
+/**
+ * Headless Balance Simulation
+ *
+ * Runs the bitECS enemy, combat, physics and mining systems without a
+ * renderer and prints a JSON balance report. It:
+ * 1. Spawns the live enemy archetype mix on the DifficultyManager schedule
+ * 2. Drives a scripted stand-in player that shoots and mines
+ * 3. Reports time-to-kill, damage taken, enemy counts per minute and
+ *    mining throughput
+ *
+ * Usage: npx tsx scripts/simulate-balance.ts [--minutes 10] [--seed balance] [--horde] [--tick-rate 60] [--classification Hazardous]
+ */
+
+import { runSimulation, type SimulationOverrides } from '../js/ecs/simulation/headlessSimulation.ts';
+
+function parseArgs(argv: string[]): SimulationOverrides {
+  const options: SimulationOverrides = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    switch (arg) {
+      case '--minutes':
+        options.durationSeconds = parsePositive(arg, value) * 60;
+        i++;
+        break;
+      case '--seed':
+        if (!value) throw new Error('--seed needs a value');
+        options.seed = value;
+        i++;
+        break;
+      case '--tick-rate':
+        options.tickRate = parsePositive(arg, value);
+        i++;
+        break;
+      case '--horde':
+        options.hordeMode = true;
+        break;
+      case '--classification':
+        if (!value) throw new Error('--classification needs a value');
+        options.classification = value;
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function parsePositive(name: string, value: string | undefined): number {
+  const number = Number(value);
+  if (!value || !Number.isFinite(number) || number <= 0) {
+    throw new Error(`${name} needs a positive number`);
+  }
+  return number;
+}
+
+function main() {
+  try {
+    const report = runSimulation(parseArgs(process.argv.slice(2)));
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+  } catch (error: any) {
+    console.error('[ERROR]', error.message);
+    process.exit(1);
+  }
+}
+
+main();
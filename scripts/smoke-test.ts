@@ -10,16 +10,43 @@
  *    - Canvas element exists
  *    - window.game is defined
  * 4. Cleans up the server
+ *
+ * With --benchmark it instead loads ?benchmark=<scenario> for each scenario,
+ * saves the reports to reports/benchmarks/ and compares them against the
+ * baseline reports, failing on regressions. Chromium renders in software
+ * (SwiftShader), so no GPU is needed.
  * 
- * Usage: npx tsx scripts/smoke-test.ts
+ * Usage: npx tsx scripts/smoke-test.ts [--benchmark <scenario|all>] [--update-baseline] [--tolerance 0.15]
  */
 
 import { spawn, ChildProcess } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
 import { chromium, Browser, Page } from 'playwright';
+import {
+  BENCHMARK_SCENARIOS,
+  DEFAULT_REGRESSION_TOLERANCE,
+  compareToBaseline,
+  type BenchmarkReport,
+  type BenchmarkScenarioId,
+} from '../js/modules/debug/benchmark.ts';
 
 const PORT = 9100;
 const TIMEOUT_MS = 30000;
 const SERVER_START_DELAY = 3000;
+// Time allowed on top of warm-up and duration for the world to load
+const BENCHMARK_LOAD_MS = 60000;
+const REPORT_DIR = path.join('reports', 'benchmarks');
+const BASELINE_DIR = path.join(REPORT_DIR, 'baseline');
+
+// Software rendering plus precise heap sizes for the GC count
+const CHROMIUM_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--use-angle=swiftshader',
+  '--enable-unsafe-swiftshader',
+  '--enable-precise-memory-info',
+];
 
 interface SmokeTestResult {
   success: boolean;
@@ -27,6 +54,49 @@ interface SmokeTestResult {
   warnings: string[];
 }
 
+interface BenchmarkOptions {
+  scenarios: BenchmarkScenarioId[];
+  updateBaseline: boolean;
+  tolerance: number;
+}
+
+function parseArgs(argv: string[]): BenchmarkOptions | null {
+  let scenarios: BenchmarkScenarioId[] | null = null;
+  let updateBaseline = false;
+  let tolerance = DEFAULT_REGRESSION_TOLERANCE;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    switch (arg) {
+      case '--benchmark': {
+        const ids = Object.keys(BENCHMARK_SCENARIOS) as BenchmarkScenarioId[];
+        if (value !== 'all' && !ids.includes(value as BenchmarkScenarioId)) {
+          throw new Error(`--benchmark needs one of: all, ${ids.join(', ')}`);
+        }
+        scenarios = value === 'all' ? ids : [value as BenchmarkScenarioId];
+        i++;
+        break;
+      }
+      case '--update-baseline':
+        updateBaseline = true;
+        break;
+      case '--tolerance':
+        tolerance = Number(value);
+        if (!value || !Number.isFinite(tolerance) || tolerance <= 0) {
+          throw new Error('--tolerance needs a positive number');
+        }
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return scenarios ? { scenarios, updateBaseline, tolerance } : null;
+}
+
 async function startViteServer(): Promise<ChildProcess> {
   console.log(`[INFO] Starting Vite dev server on port ${PORT}...`);
   
@@ -53,7 +123,7 @@ async function runSmokeTest(): Promise<SmokeTestResult> {
     console.log('[INFO] Launching headless Chromium...');
     browser = await chromium.launch({
       headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox'],
+      args: CHROMIUM_ARGS,
     });
 
     page = await browser.newPage();
@@ -122,15 +192,102 @@ async function runSmokeTest(): Promise<SmokeTestResult> {
   return result;
 }
 
+async function runBenchmark(browser: Browser, id: BenchmarkScenarioId, options: BenchmarkOptions, result: SmokeTestResult): Promise<void> {
+  const scenario = BENCHMARK_SCENARIOS[id];
+  const page = await browser.newPage({ viewport: { width: 1280, height: 720 } });
+  page.on('pageerror', (err) => {
+    result.errors.push(`[${id}] Page error: ${err.message}`);
+  });
+
+  try {
+    console.log(`[INFO] Running benchmark "${id}" (${scenario.warmupSeconds + scenario.durationSeconds}s)...`);
+    await page.goto(`http://localhost:${PORT}/?benchmark=${id}`, {
+      waitUntil: 'networkidle',
+      timeout: TIMEOUT_MS,
+    });
+
+    await page.waitForFunction(() => (window as any).__benchmarkReport !== undefined, null, {
+      timeout: (scenario.warmupSeconds + scenario.durationSeconds) * 1000 + BENCHMARK_LOAD_MS,
+      polling: 1000,
+    });
+    const report: BenchmarkReport = await page.evaluate(() => (window as any).__benchmarkReport);
+
+    mkdirSync(REPORT_DIR, { recursive: true });
+    const reportPath = path.join(REPORT_DIR, `${id}.json`);
+    writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+    const { frameTime } = report;
+    console.log(`[INFO] ${id}: ${frameTime.frames} frames, p50 ${frameTime.p50Ms} ms, p95 ${frameTime.p95Ms} ms, p99 ${frameTime.p99Ms} ms (${report.renderer})`);
+    console.log(`[INFO] Report written to ${reportPath}`);
+
+    const baselinePath = path.join(BASELINE_DIR, `${id}.json`);
+    if (options.updateBaseline) {
+      mkdirSync(BASELINE_DIR, { recursive: true });
+      writeFileSync(baselinePath, JSON.stringify(report, null, 2) + '\n');
+      console.log(`[INFO] Baseline updated: ${baselinePath}`);
+      return;
+    }
+
+    if (!existsSync(baselinePath)) {
+      result.warnings.push(`[${id}] No baseline at ${baselinePath}; run with --update-baseline to save one`);
+      return;
+    }
+
+    const baseline: BenchmarkReport = JSON.parse(readFileSync(baselinePath, 'utf8'));
+    const regressions = compareToBaseline(report, baseline, options.tolerance);
+    if (regressions.length === 0) {
+      console.log(`[PASS] ${id}: within ${Math.round(options.tolerance * 100)}% of baseline`);
+    }
+    for (const r of regressions) {
+      result.errors.push(`[${id}] Regression in ${r.metric}: ${r.baseline} -> ${r.current} (${Math.round(r.change * 100)}% worse)`);
+    }
+  } catch (error: any) {
+    result.errors.push(`[${id}] Benchmark failed: ${error.message}`);
+  } finally {
+    await page.close();
+  }
+}
+
+async function runBenchmarks(options: BenchmarkOptions): Promise<SmokeTestResult> {
+  const result: SmokeTestResult = {
+    success: false,
+    errors: [],
+    warnings: [],
+  };
+
+  let browser: Browser | null = null;
+
+  try {
+    console.log('[INFO] Launching headless Chromium (software rendering)...');
+    browser = await chromium.launch({
+      headless: true,
+      args: CHROMIUM_ARGS,
+    });
+
+    // One scenario at a time so runs don't compete for the CPU
+    for (const id of options.scenarios) {
+      await runBenchmark(browser, id, options, result);
+    }
+
+    result.success = result.errors.length === 0;
+  } catch (error: any) {
+    result.errors.push(`Benchmark exception: ${error.message}`);
+  } finally {
+    if (browser) await browser.close();
+  }
+
+  return result;
+}
+
 async function main() {
   let viteProcess: ChildProcess | null = null;
 
   try {
+    const benchmarkOptions = parseArgs(process.argv.slice(2));
     viteProcess = await startViteServer();
-    const result = await runSmokeTest();
+    const result = benchmarkOptions ? await runBenchmarks(benchmarkOptions) : await runSmokeTest();
 
     console.log('\n========================================');
-    console.log('SMOKE TEST RESULTS');
+    console.log(benchmarkOptions ? 'BENCHMARK RESULTS' : 'SMOKE TEST RESULTS');
     console.log('========================================');
     
     if (result.warnings.length > 0) {
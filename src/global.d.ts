@@ -52,6 +52,8 @@ declare global {
     };
     __perf?: PerfMetrics;
     __perfOverlay?: unknown;
+    __eventInspector?: unknown;
+    __benchmarkReport?: import('../js/modules/debug/benchmark.ts').BenchmarkReport;
     MemoryStats?: {
       update: () => void;
       logReport: () => void;